@@ -44,7 +44,11 @@ class SimpleTelegramBot {
       // Register feedback handlers after message handlers
       const { registerFeedbackHandlers } = require('../server/services/telegram/feedbackHandlers');
       registerFeedbackHandlers(this.bot);
-      
+
+      // Replies to support messages are threaded back into tickets
+      const { registerTicketReplyHandlers } = require('../server/services/telegram/ticketReplyHandlers');
+      registerTicketReplyHandlers(this.bot);
+
       this._setupErrorHandling();
       
       this.isInitialized = true;
@@ -0,0 +1,522 @@
+/**
+ * JavaScript для управления каталогом аудиоразборов в админ-панели "Читатель"
+ * Загрузка треков, порядок воспроизведения, бесплатные/платные разборы
+ */
+
+/**
+ * @typedef {Object} AudioTrack
+ * @property {string} id - ID трека
+ * @property {string} title - Название трека
+ * @property {string} file - Путь к файлу относительно /media/free/
+ * @property {number|null} durationSec - Длительность в секундах
+ */
+
+/**
+ * @typedef {Object} AudioEntry
+ * @property {string} id - ID разбора (audioId)
+ * @property {string} title - Название
+ * @property {string} author - Автор
+ * @property {string} description - Описание
+ * @property {string} coverUrl - Обложка в каталоге
+ * @property {string} playerCoverUrl - Обложка в плеере
+ * @property {string|null} bookSlug - Связь с BookCatalog
+ * @property {boolean} isFree - Бесплатный разбор
+ * @property {boolean} isActive - Показывать в приложении
+ * @property {number} sortOrder - Порядок в каталоге
+ * @property {AudioTrack[]} tracks - Треки
+ */
+
+/**
+ * Основной класс для управления каталогом аудио
+ */
+class AudioCatalogManager {
+    constructor() {
+        this.apiPrefix = '/api/audio-catalog';
+        /** @type {AudioEntry[]} */
+        this.entries = [];
+        /** @type {AudioEntry|null} */
+        this.current = null;
+        this.isNew = false;
+
+        this.init();
+    }
+
+    /**
+     * Инициализация страницы
+     */
+    async init() {
+        document.getElementById('create-audio')?.addEventListener('click', () => this.openEditor(null));
+        await this.loadEntries();
+    }
+
+    /**
+     * Заголовки авторизации (без Content-Type для multipart)
+     * @param {boolean} [json=true] - Добавлять ли JSON Content-Type
+     * @returns {Object} Заголовки
+     */
+    getHeaders(json = true) {
+        const headers = window.authManager ? window.authManager.getApiHeaders() : {};
+        if (!json) {
+            delete headers['Content-Type'];
+        }
+        return headers;
+    }
+
+    /**
+     * Запрос к API каталога
+     * @param {string} method - HTTP метод
+     * @param {string} path - Путь относительно apiPrefix
+     * @param {Object|FormData} [body] - Тело запроса
+     * @returns {Promise<Object>} Ответ API
+     */
+    async request(method, path, body) {
+        const isForm = body instanceof FormData;
+        const response = await fetch(`${this.apiPrefix}${path}`, {
+            method,
+            headers: this.getHeaders(!isForm),
+            body: body ? (isForm ? body : JSON.stringify(body)) : undefined
+        });
+
+        if (response.status === 401 && window.authManager) {
+            window.authManager.redirectToLogin();
+            throw new Error('Требуется авторизация');
+        }
+
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+        return data;
+    }
+
+    /**
+     * Загрузка каталога
+     */
+    async loadEntries() {
+        try {
+            const data = await this.request('GET', '');
+            this.entries = data.data || [];
+            this.renderList();
+        } catch (error) {
+            console.error('❌ Ошибка загрузки каталога аудио:', error);
+            document.getElementById('audio-list').innerHTML = `<div class="error">❌ ${this.escape(error.message)}</div>`;
+        }
+    }
+
+    /**
+     * Отрисовка списка разборов
+     */
+    renderList() {
+        const container = document.getElementById('audio-list');
+        if (this.entries.length === 0) {
+            container.innerHTML = '<div class="audio-list-empty">Каталог пуст</div>';
+            return;
+        }
+
+        container.innerHTML = this.entries.map(entry => `
+            <div class="audio-list-item ${this.current && this.current.id === entry.id ? 'active' : ''} ${entry.isActive ? '' : 'inactive'}" data-id="${this.escape(entry.id)}">
+                <div class="audio-list-title">${this.escape(entry.title)}</div>
+                <div class="audio-list-meta">
+                    <span class="audio-badge ${entry.isFree ? 'free' : 'paid'}">${entry.isFree ? 'Бесплатно' : 'Платно'}</span>
+                    <span>${entry.tracks.length} ${this.pluralizeTracks(entry.tracks.length)}</span>
+                    ${entry.isActive ? '' : '<span class="audio-badge hidden-badge">Скрыт</span>'}
+                </div>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.audio-list-item').forEach(item => {
+            item.addEventListener('click', () => {
+                const entry = this.entries.find(e => e.id === item.dataset.id);
+                this.openEditor(entry);
+            });
+        });
+    }
+
+    /**
+     * Открыть редактор разбора
+     * @param {AudioEntry|null} entry - Разбор или null для нового
+     */
+    openEditor(entry) {
+        this.isNew = !entry;
+        this.current = entry || {
+            id: '', title: '', author: '', description: '', coverUrl: '', playerCoverUrl: '',
+            bookSlug: '', isFree: true, isActive: true, sortOrder: this.entries.length + 1, tracks: []
+        };
+        this.renderList();
+        this.renderEditor();
+    }
+
+    /**
+     * Отрисовка формы редактирования и списка треков
+     */
+    renderEditor() {
+        const entry = this.current;
+        const editor = document.getElementById('audio-editor');
+
+        editor.innerHTML = `
+            <form id="audio-form" class="audio-form">
+                <h3>${this.isNew ? '➕ Новый разбор' : '✏️ ' + this.escape(entry.title)}</h3>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="audio-id">ID (латиница, для ссылок)</label>
+                        <input id="audio-id" class="form-input" name="audioId" value="${this.escape(entry.id)}" ${this.isNew ? '' : 'disabled'} pattern="[a-z0-9_-]+" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="audio-book-slug">bookSlug (связь с каталогом книг)</label>
+                        <input id="audio-book-slug" class="form-input" name="bookSlug" value="${this.escape(entry.bookSlug || '')}">
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label for="audio-title">Название</label>
+                    <input id="audio-title" class="form-input" name="title" value="${this.escape(entry.title)}" required>
+                </div>
+                <div class="form-group">
+                    <label for="audio-author">Автор</label>
+                    <input id="audio-author" class="form-input" name="author" value="${this.escape(entry.author)}">
+                </div>
+                <div class="form-group">
+                    <label for="audio-description">Описание</label>
+                    <textarea id="audio-description" class="form-input" name="description" rows="3">${this.escape(entry.description)}</textarea>
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="audio-cover">Обложка в каталоге (URL)</label>
+                        <input id="audio-cover" class="form-input" name="coverUrl" value="${this.escape(entry.coverUrl)}">
+                    </div>
+                    <div class="form-group">
+                        <label for="audio-player-cover">Обложка в плеере (URL)</label>
+                        <input id="audio-player-cover" class="form-input" name="playerCoverUrl" value="${this.escape(entry.playerCoverUrl)}">
+                    </div>
+                </div>
+                <div class="form-row">
+                    <label class="audio-checkbox"><input type="checkbox" name="isFree" ${entry.isFree ? 'checked' : ''}> Бесплатный</label>
+                    <label class="audio-checkbox"><input type="checkbox" name="isActive" ${entry.isActive ? 'checked' : ''}> Показывать в приложении</label>
+                    <div class="form-group audio-sort">
+                        <label for="audio-sort">Порядок</label>
+                        <input id="audio-sort" class="form-input" type="number" name="sortOrder" value="${Number(entry.sortOrder) || 0}">
+                    </div>
+                </div>
+                <div class="audio-form-actions">
+                    <button type="submit" class="btn btn-primary">💾 Сохранить</button>
+                    ${this.isNew ? '' : '<button type="button" id="delete-audio" class="btn btn-danger">🗑️ Удалить</button>'}
+                </div>
+            </form>
+            ${this.isNew ? '' : this.renderTracks()}
+        `;
+
+        editor.querySelector('#audio-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveEntry(e.target);
+        });
+        editor.querySelector('#delete-audio')?.addEventListener('click', () => this.deleteEntry());
+
+        if (!this.isNew) {
+            this.attachTrackListeners(editor);
+        }
+    }
+
+    /**
+     * Отрисовка треков и формы загрузки
+     * @returns {string} HTML
+     */
+    renderTracks() {
+        const tracks = this.current.tracks || [];
+        return `
+            <div class="audio-tracks">
+                <h3>🎵 Треки</h3>
+                ${tracks.length === 0 ? '<div class="audio-list-empty">Треков пока нет</div>' : `
+                    <ol class="audio-track-list">
+                        ${tracks.map((track, index) => `
+                            <li class="audio-track" data-track-id="${this.escape(track.id)}">
+                                <input class="form-input audio-track-title" value="${this.escape(track.title)}">
+                                <span class="audio-track-duration">${this.formatDuration(track.durationSec)}</span>
+                                <span class="audio-track-file">${this.escape(track.file)}</span>
+                                <button type="button" class="btn btn-sm btn-secondary" data-action="up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                                <button type="button" class="btn btn-sm btn-secondary" data-action="down" ${index === tracks.length - 1 ? 'disabled' : ''}>↓</button>
+                                <button type="button" class="btn btn-sm btn-secondary" data-action="rename">💾</button>
+                                <button type="button" class="btn btn-sm btn-danger" data-action="delete">×</button>
+                            </li>
+                        `).join('')}
+                    </ol>
+                `}
+                <form id="track-upload-form" class="audio-upload">
+                    <input class="form-input" name="title" placeholder="Название трека (например, «Часть ${tracks.length + 1}»)">
+                    <input class="form-input" type="file" name="file" accept="audio/*" required>
+                    <button type="submit" class="btn btn-primary">⬆️ Загрузить трек</button>
+                </form>
+            </div>
+        `;
+    }
+
+    /**
+     * Обработчики для треков
+     * @param {HTMLElement} editor - Контейнер редактора
+     */
+    attachTrackListeners(editor) {
+        editor.querySelectorAll('.audio-track button').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const trackEl = btn.closest('.audio-track');
+                const trackId = trackEl.dataset.trackId;
+                const action = btn.dataset.action;
+
+                if (action === 'up' || action === 'down') {
+                    this.moveTrack(trackId, action === 'up' ? -1 : 1);
+                } else if (action === 'rename') {
+                    this.renameTrack(trackId, trackEl.querySelector('.audio-track-title').value);
+                } else if (action === 'delete') {
+                    this.deleteTrack(trackId);
+                }
+            });
+        });
+
+        editor.querySelector('#track-upload-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.uploadTrack(e.target);
+        });
+    }
+
+    /**
+     * Сохранение разбора
+     * @param {HTMLFormElement} form - Форма
+     */
+    async saveEntry(form) {
+        const payload = {
+            title: form.title.value.trim(),
+            author: form.author.value.trim(),
+            description: form.description.value.trim(),
+            coverUrl: form.coverUrl.value.trim(),
+            playerCoverUrl: form.playerCoverUrl.value.trim(),
+            bookSlug: form.bookSlug.value.trim(),
+            isFree: form.isFree.checked,
+            isActive: form.isActive.checked,
+            sortOrder: Number(form.sortOrder.value) || 0
+        };
+
+        try {
+            let data;
+            if (this.isNew) {
+                data = await this.request('POST', '', { audioId: form.audioId.value.trim(), ...payload });
+            } else {
+                data = await this.request('PUT', `/${encodeURIComponent(this.current.id)}`, payload);
+            }
+            this.showNotification('success', 'Разбор сохранен');
+            await this.reloadCurrent(data.data.id);
+        } catch (error) {
+            this.showNotification('error', `Ошибка сохранения: ${error.message}`);
+        }
+    }
+
+    /**
+     * Удаление разбора
+     */
+    async deleteEntry() {
+        if (!confirm(`Удалить разбор «${this.current.title}»? Файлы треков останутся на диске.`)) {
+            return;
+        }
+        try {
+            await this.request('DELETE', `/${encodeURIComponent(this.current.id)}`);
+            this.current = null;
+            document.getElementById('audio-editor').innerHTML = '<div class="audio-editor-empty">Разбор удален</div>';
+            this.showNotification('success', 'Разбор удален');
+            await this.loadEntries();
+        } catch (error) {
+            this.showNotification('error', `Ошибка удаления: ${error.message}`);
+        }
+    }
+
+    /**
+     * Загрузка трека (длительность определяется в браузере)
+     * @param {HTMLFormElement} form - Форма загрузки
+     */
+    async uploadTrack(form) {
+        const file = form.file.files[0];
+        if (!file) return;
+
+        const button = form.querySelector('button[type="submit"]');
+        button.disabled = true;
+        button.textContent = '⏳ Загрузка...';
+
+        try {
+            const formData = new FormData();
+            formData.append('title', form.title.value.trim());
+            const durationSec = await this.readDuration(file);
+            if (durationSec) {
+                formData.append('durationSec', String(durationSec));
+            }
+            formData.append('file', file);
+
+            await this.request('POST', `/${encodeURIComponent(this.current.id)}/tracks`, formData);
+            this.showNotification('success', 'Трек загружен');
+            await this.reloadCurrent(this.current.id);
+        } catch (error) {
+            this.showNotification('error', `Ошибка загрузки: ${error.message}`);
+            button.disabled = false;
+            button.textContent = '⬆️ Загрузить трек';
+        }
+    }
+
+    /**
+     * Определить длительность аудиофайла
+     * @param {File} file - Файл
+     * @returns {Promise<number|null>} Длительность в секундах
+     */
+    readDuration(file) {
+        return new Promise(resolve => {
+            const url = URL.createObjectURL(file);
+            const audio = new Audio();
+            audio.preload = 'metadata';
+            audio.onloadedmetadata = () => {
+                URL.revokeObjectURL(url);
+                resolve(isFinite(audio.duration) ? Math.round(audio.duration) : null);
+            };
+            audio.onerror = () => {
+                URL.revokeObjectURL(url);
+                resolve(null);
+            };
+            audio.src = url;
+        });
+    }
+
+    /**
+     * Переместить трек вверх/вниз
+     * @param {string} trackId - ID трека
+     * @param {number} delta - -1 вверх, 1 вниз
+     */
+    async moveTrack(trackId, delta) {
+        const ids = this.current.tracks.map(t => t.id);
+        const index = ids.indexOf(trackId);
+        const target = index + delta;
+        if (index === -1 || target < 0 || target >= ids.length) return;
+
+        [ids[index], ids[target]] = [ids[target], ids[index]];
+
+        try {
+            await this.request('PUT', `/${encodeURIComponent(this.current.id)}/tracks/order`, { trackIds: ids });
+            await this.reloadCurrent(this.current.id);
+        } catch (error) {
+            this.showNotification('error', `Ошибка сортировки: ${error.message}`);
+        }
+    }
+
+    /**
+     * Переименовать трек
+     * @param {string} trackId - ID трека
+     * @param {string} title - Новое название
+     */
+    async renameTrack(trackId, title) {
+        try {
+            await this.request('PUT', `/${encodeURIComponent(this.current.id)}/tracks/${encodeURIComponent(trackId)}`, { title });
+            this.showNotification('success', 'Название трека сохранено');
+            await this.reloadCurrent(this.current.id);
+        } catch (error) {
+            this.showNotification('error', `Ошибка сохранения: ${error.message}`);
+        }
+    }
+
+    /**
+     * Удалить трек
+     * @param {string} trackId - ID трека
+     */
+    async deleteTrack(trackId) {
+        if (!confirm('Удалить трек вместе с файлом?')) return;
+        try {
+            await this.request('DELETE', `/${encodeURIComponent(this.current.id)}/tracks/${encodeURIComponent(trackId)}`);
+            this.showNotification('success', 'Трек удален');
+            await this.reloadCurrent(this.current.id);
+        } catch (error) {
+            this.showNotification('error', `Ошибка удаления: ${error.message}`);
+        }
+    }
+
+    /**
+     * Перезагрузить каталог и открыть разбор
+     * @param {string} audioId - ID разбора
+     */
+    async reloadCurrent(audioId) {
+        await this.loadEntries();
+        const entry = this.entries.find(e => e.id === audioId);
+        if (entry) {
+            this.openEditor(entry);
+        }
+    }
+
+    /**
+     * Форматирование длительности
+     * @param {number|null} seconds - Секунды
+     * @returns {string} мм:сс
+     */
+    formatDuration(seconds) {
+        if (!seconds && seconds !== 0) return '--:--';
+        const m = Math.floor(seconds / 60);
+        const s = String(seconds % 60).padStart(2, '0');
+        return `${m}:${s}`;
+    }
+
+    /**
+     * Склонение слова «трек»
+     * @param {number} n - Количество
+     * @returns {string} Слово
+     */
+    pluralizeTracks(n) {
+        const mod10 = n % 10;
+        const mod100 = n % 100;
+        if (mod10 === 1 && mod100 !== 11) return 'трек';
+        if (mod10 >= 2 && mod10 <= 4 && (mod100 < 12 || mod100 > 14)) return 'трека';
+        return 'треков';
+    }
+
+    /**
+     * Экранирование HTML
+     * @param {string} text - Текст
+     * @returns {string} Безопасный HTML
+     */
+    escape(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text || '');
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Показ уведомления
+     * @param {string} type - Тип уведомления (success/error/info)
+     * @param {string} message - Сообщение
+     */
+    showNotification(type, message) {
+        const container = document.getElementById('notification-container');
+        if (!container) {
+            console.log(`[${type.toUpperCase()}] ${message}`);
+            return;
+        }
+
+        const notification = document.createElement('div');
+        notification.className = `notification notification-${type}`;
+        notification.innerHTML = `
+            <div class="notification-content">
+                <span class="notification-icon">${type === 'success' ? '✅' : type === 'error' ? '❌' : '🎧'}</span>
+                <span class="notification-message">${this.escape(message)}</span>
+            </div>
+            <button class="notification-close" onclick="this.parentElement.remove()">×</button>
+        `;
+
+        container.appendChild(notification);
+
+        setTimeout(() => {
+            if (notification.parentNode) {
+                notification.parentNode.removeChild(notification);
+            }
+        }, 5000);
+    }
+}
+
+/**
+ * Инициализация страницы аудиоразборов
+ */
+window.initAudioPage = function() {
+    console.log('🎧 Инициализация страницы аудиоразборов');
+    window.audioCatalogManager = new AudioCatalogManager();
+};
+
+// Экспорт для использования в других модулях
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AudioCatalogManager };
+}
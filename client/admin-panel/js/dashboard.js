@@ -59,6 +59,31 @@ class ReaderDashboard {
       console.log('📊 Переход в fallback режим...');
       this.showFallbackData();
     }
+
+    // Расход AI грузим отдельно: ошибка не должна переводить дашборд в fallback
+    try {
+      this.updateAIUsage(await this.fetchAIUsage());
+    } catch (error) {
+      console.error('📊 Ошибка загрузки расхода AI:', error);
+      ['ai-usage-totals', 'ai-usage-features', 'ai-usage-users'].forEach(id => {
+        const container = document.getElementById(id);
+        if (container) {
+          container.innerHTML = '<div class="loading">Нет данных</div>';
+        }
+      });
+    }
+
+    try {
+      this.updateTicketSLA(await this.fetchTicketStats());
+    } catch (error) {
+      console.error('📊 Ошибка загрузки SLA обращений:', error);
+      ['ticket-sla-summary', 'ticket-sla-response', 'ticket-sla-resolution'].forEach(id => {
+        const container = document.getElementById(id);
+        if (container) {
+          container.innerHTML = '<div class="loading">Нет данных</div>';
+        }
+      });
+    }
   }
 
   /**
@@ -106,6 +131,138 @@ class ReaderDashboard {
     return result.data || result;
   }
 
+  /**
+   * Получение расхода токенов и стоимости AI (требует авторизации админа)
+   */
+  async fetchAIUsage() {
+    const url = `${this.apiBase}/ai-usage?period=${this.currentPeriod}`;
+    const headers = window.authManager ? window.authManager.getApiHeaders() : {};
+
+    const response = await fetch(url, { headers });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    const result = await response.json();
+    return result.data || result;
+  }
+
+  /**
+   * Обновление блока расходов AI
+   */
+  updateAIUsage(usage) {
+    const formatUsd = value => `$${(value || 0).toFixed(value >= 1 ? 2 : 4)}`;
+    const formatTokens = value => (value || 0).toLocaleString('ru-RU');
+    const renderItems = items => items.map(([name, value], index) => `
+      <div class="top-item">
+        <span class="rank">${index + 1}</span>
+        <span class="name">${name}</span>
+        <span class="count">${value}</span>
+      </div>
+    `).join('');
+
+    const { totals, today, budgets } = usage;
+    const dailyBudget = [
+      budgets.dailyUsd > 0 ? formatUsd(budgets.dailyUsd) : null,
+      budgets.dailyTokens > 0 ? `${formatTokens(budgets.dailyTokens)} ток.` : null
+    ].filter(Boolean).join(' · ') || 'без лимита';
+
+    const totalsContainer = document.getElementById('ai-usage-totals');
+    if (totalsContainer) {
+      totalsContainer.innerHTML = renderItems([
+        ['Запросов', totals.calls],
+        ['Токенов', formatTokens(totals.totalTokens)],
+        ['Стоимость', formatUsd(totals.costUsd)],
+        ['На читателя', formatUsd(totals.avgCostPerUser)],
+        ['Сегодня', `${formatUsd(today.costUsd)} · ${formatTokens(today.totalTokens)} ток.`],
+        ['Дневной бюджет', dailyBudget],
+        ['Ошибки / блок бюджетом', `${totals.errors} / ${totals.budgetBlocked}`]
+      ]);
+    }
+
+    const featuresContainer = document.getElementById('ai-usage-features');
+    if (featuresContainer) {
+      featuresContainer.innerHTML = usage.byFeature.length
+        ? renderItems(usage.byFeature.map(row => [row.feature, `${row.calls} × ${formatUsd(row.costUsd)}`]))
+        : '<div class="loading">Нет запросов</div>';
+    }
+
+    const usersContainer = document.getElementById('ai-usage-users');
+    if (usersContainer) {
+      usersContainer.innerHTML = usage.topUsers.length
+        ? renderItems(usage.topUsers.map(row => [row.userId, `${formatTokens(row.totalTokens)} ток. · ${formatUsd(row.costUsd)}`]))
+        : '<div class="loading">Нет запросов</div>';
+    }
+
+    console.log('📊 Расход AI обновлен');
+  }
+
+  /**
+   * Получение статистики обращений с метриками SLA (требует авторизации админа)
+   */
+  async fetchTicketStats() {
+    const headers = window.authManager ? window.authManager.getApiHeaders() : {};
+
+    const response = await fetch('/api/tickets/stats/summary', { headers });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    const result = await response.json();
+    return result.data || result;
+  }
+
+  /**
+   * Обновление блока SLA обращений
+   */
+  updateTicketSLA(stats) {
+    const sla = stats.sla;
+    if (!sla) return;
+
+    const formatRate = value => (value === null || value === undefined ? '—' : `${value}%`);
+    const formatMinutes = value => {
+      if (value === null || value === undefined) return '—';
+      return value < 60 ? `${value} мин` : `${Math.round(value / 6) / 10} ч`;
+    };
+    const renderItems = items => items.map(([name, value], index) => `
+      <div class="top-item">
+        <span class="rank">${index + 1}</span>
+        <span class="name">${name}</span>
+        <span class="count">${value}</span>
+      </div>
+    `).join('');
+
+    const summaryContainer = document.getElementById('ticket-sla-summary');
+    if (summaryContainer) {
+      summaryContainer.innerHTML = renderItems([
+        ['Соблюдение SLA', formatRate(sla.complianceRate)],
+        ['Обращений со сроками', sla.tracked],
+        ['Нарушено', sla.breached],
+        ['Просрочено сейчас', sla.breachedOpen],
+        ['Эскалировано', sla.escalated],
+        ['Закрыто без ответа', sla.autoClosed]
+      ]);
+    }
+
+    const responseContainer = document.getElementById('ticket-sla-response');
+    if (responseContainer) {
+      responseContainer.innerHTML = renderItems([
+        ['В срок', formatRate(sla.response.complianceRate)],
+        ['Отвечено', `${sla.response.withinSLA} / ${sla.response.responded}`],
+        ['Среднее время', formatMinutes(sla.response.avgMinutes)]
+      ]);
+    }
+
+    const resolutionContainer = document.getElementById('ticket-sla-resolution');
+    if (resolutionContainer) {
+      resolutionContainer.innerHTML = renderItems([
+        ['В срок', formatRate(sla.resolution.complianceRate)],
+        ['Решено', `${sla.resolution.withinSLA} / ${sla.resolution.resolved}`],
+        ['Среднее время', formatMinutes(sla.resolution.avgMinutes)]
+      ]);
+    }
+
+    console.log('📊 SLA обращений обновлен');
+  }
+
   /**
    * ИСПРАВЛЕНО: Обновление статистических карточек
    */
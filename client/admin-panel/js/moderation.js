@@ -0,0 +1,336 @@
+/**
+ * JavaScript для модерации сообщества в админ-панели "Читатель"
+ * Очередь жалоб на обложки, комментарии и цитаты, скрытие/возврат, блокировка авторов
+ */
+
+/**
+ * @typedef {Object} ModerationItem
+ * @property {string} targetType - cover|comment|quote
+ * @property {string} targetId - ID объекта
+ * @property {string} targetUserId - Автор контента
+ * @property {{text: string, imageUrl: string|null}} snapshot - Копия контента
+ * @property {number} reportsCount - Количество жалоб
+ * @property {string[]} reasons - Причины
+ * @property {string[]} autoFlags - Правила авто-проверки
+ * @property {string[]} comments - Пояснения читателей
+ * @property {string[]} sources - user|auto
+ * @property {string} state - published|hidden|deleted
+ * @property {Object} author - Профиль автора
+ * @property {Object|null} resolution - Решение модератора
+ */
+
+const TARGET_LABELS = {
+    cover: '📸 Обложка',
+    comment: '💬 Комментарий',
+    quote: '📝 Цитата'
+};
+
+const REASON_LABELS = {
+    spam: 'Спам',
+    abuse: 'Оскорбления',
+    inappropriate: 'Неуместный контент',
+    other: 'Другое'
+};
+
+const FLAG_LABELS = {
+    link: 'Ссылка',
+    link_spam: 'Много ссылок',
+    profanity: 'Мат'
+};
+
+const ACTION_LABELS = {
+    hide: 'Скрыто',
+    restore: 'Возвращено',
+    ban: 'Автор заблокирован',
+    dismiss: 'Жалоба отклонена'
+};
+
+/**
+ * Основной класс очереди модерации
+ */
+class ModerationManager {
+    constructor() {
+        this.apiPrefix = '/api/moderation';
+        /** @type {ModerationItem[]} */
+        this.items = [];
+
+        this.init();
+    }
+
+    /**
+     * Инициализация страницы
+     */
+    async init() {
+        document.getElementById('moderation-status')?.addEventListener('change', () => this.loadQueue());
+        document.getElementById('moderation-type')?.addEventListener('change', () => this.loadQueue());
+        document.getElementById('moderation-refresh')?.addEventListener('click', () => this.refresh());
+        await this.refresh();
+    }
+
+    /**
+     * Перезагрузка очереди и списка блокировок
+     */
+    async refresh() {
+        await Promise.all([this.loadQueue(), this.loadBans()]);
+    }
+
+    /**
+     * Запрос к API модерации
+     * @param {string} method - HTTP метод
+     * @param {string} path - Путь относительно apiPrefix
+     * @param {Object} [body] - Тело запроса
+     * @returns {Promise<Object>} Ответ API
+     */
+    async request(method, path, body) {
+        const response = await fetch(`${this.apiPrefix}${path}`, {
+            method,
+            headers: window.authManager ? window.authManager.getApiHeaders() : {},
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        if (response.status === 401 && window.authManager) {
+            window.authManager.redirectToLogin();
+            throw new Error('Требуется авторизация');
+        }
+
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+        return data;
+    }
+
+    /**
+     * Загрузка очереди жалоб
+     */
+    async loadQueue() {
+        const container = document.getElementById('moderation-queue');
+        const status = document.getElementById('moderation-status')?.value || 'open';
+        const targetType = document.getElementById('moderation-type')?.value || '';
+        const query = new URLSearchParams({ status });
+        if (targetType) query.set('targetType', targetType);
+
+        try {
+            const data = await this.request('GET', `/queue?${query}`);
+            this.items = data.data || [];
+            this.renderQueue();
+        } catch (error) {
+            console.error('❌ Ошибка загрузки очереди модерации:', error);
+            container.innerHTML = `<div class="error">❌ ${this.escape(error.message)}</div>`;
+        }
+    }
+
+    /**
+     * Отрисовка очереди
+     */
+    renderQueue() {
+        const container = document.getElementById('moderation-queue');
+        if (this.items.length === 0) {
+            container.innerHTML = '<div class="moderation-empty">Жалоб нет 🎉</div>';
+            return;
+        }
+
+        container.innerHTML = this.items.map(item => this.renderItem(item)).join('');
+
+        container.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.applyAction(button.dataset.type, button.dataset.id, button.dataset.action);
+            });
+        });
+    }
+
+    /**
+     * Карточка объекта с жалобами
+     * @param {ModerationItem} item - Объект очереди
+     * @returns {string} HTML
+     */
+    renderItem(item) {
+        const author = item.author || {};
+        const authorName = author.name || author.telegramUsername || item.targetUserId;
+        const isAuto = (item.sources || []).includes('auto');
+        const flags = (item.autoFlags || []).map(flag =>
+            `<span class="moderation-badge flag">${this.escape(FLAG_LABELS[flag] || flag)}</span>`
+        ).join('');
+        const reasons = (item.reasons || []).map(reason => REASON_LABELS[reason] || reason).join(', ');
+        const comments = (item.comments || []).map(comment => `<li>${this.escape(comment)}</li>`).join('');
+        const image = item.snapshot?.imageUrl
+            ? `<img src="${this.escape(item.snapshot.imageUrl)}" alt="">`
+            : '';
+        const target = `data-type="${this.escape(item.targetType)}" data-id="${this.escape(item.targetId)}"`;
+
+        let actions = '';
+        if (item.resolution) {
+            const at = item.resolution.at ? new Date(item.resolution.at).toLocaleString('ru-RU') : '';
+            actions = `<div class="moderation-resolution">${this.escape(ACTION_LABELS[item.resolution.action] || item.resolution.action)} · ${this.escape(item.resolution.by || '')} · ${this.escape(at)}</div>`;
+        }
+        if (item.state !== 'deleted') {
+            actions += `
+                <div class="moderation-actions">
+                    ${item.state === 'hidden'
+                        ? `<button class="btn btn-secondary" ${target} data-action="restore">↩️ Вернуть</button>`
+                        : `<button class="btn btn-secondary" ${target} data-action="hide">🙈 Скрыть</button>`}
+                    <button class="btn btn-danger" ${target} data-action="ban">🔨 Скрыть и заблокировать автора</button>
+                    ${item.resolution ? '' : `<button class="btn btn-text" ${target} data-action="dismiss">Отклонить жалобу</button>`}
+                </div>
+            `;
+        }
+
+        return `
+            <div class="moderation-item ${isAuto ? 'auto' : ''}">
+                <div class="moderation-item-head">
+                    <strong>${TARGET_LABELS[item.targetType] || this.escape(item.targetType)}</strong>
+                    <span class="moderation-badge ${this.escape(item.state)}">${item.state === 'hidden' ? 'Скрыт' : item.state === 'deleted' ? 'Удален' : 'Опубликован'}</span>
+                    <span class="moderation-badge count">🚩 ${Number(item.reportsCount) || 0}</span>
+                    ${isAuto ? '<span class="moderation-badge flag">🤖 Авто-проверка</span>' : ''}
+                    ${flags}
+                    ${author.communityBan ? '<span class="moderation-badge banned">Автор заблокирован</span>' : ''}
+                    <span>👤 ${this.escape(authorName)}</span>
+                    <span>${this.escape(reasons)}</span>
+                </div>
+                <div class="moderation-snapshot">${image}<div>${this.escape(item.snapshot?.text || '')}</div></div>
+                ${comments ? `<ul class="moderation-comments">${comments}</ul>` : ''}
+                ${actions}
+            </div>
+        `;
+    }
+
+    /**
+     * Действие модератора
+     * @param {string} targetType - cover|comment|quote
+     * @param {string} targetId - ID объекта
+     * @param {string} action - hide|restore|ban|dismiss
+     */
+    async applyAction(targetType, targetId, action) {
+        const body = { action };
+
+        if (action === 'ban') {
+            const days = prompt('Срок блокировки в днях (пусто - бессрочно):', '7');
+            if (days === null) return;
+            body.banDays = days.trim() ? parseInt(days, 10) : null;
+            body.note = prompt('Причина блокировки (необязательно):', '') || null;
+        }
+
+        try {
+            await this.request('POST', `/${targetType}/${targetId}/actions`, body);
+            this.showNotification('success', ACTION_LABELS[action] || 'Готово');
+            await this.refresh();
+        } catch (error) {
+            this.showNotification('error', `Ошибка: ${error.message}`);
+        }
+    }
+
+    /**
+     * Загрузка заблокированных читателей
+     */
+    async loadBans() {
+        const container = document.getElementById('moderation-bans');
+        try {
+            const data = await this.request('GET', '/bans');
+            this.renderBans(data.data || []);
+        } catch (error) {
+            console.error('❌ Ошибка загрузки блокировок:', error);
+            container.innerHTML = `<div class="error">❌ ${this.escape(error.message)}</div>`;
+        }
+    }
+
+    /**
+     * Отрисовка списка блокировок
+     * @param {Array<Object>} bans - Профили с communityBan
+     */
+    renderBans(bans) {
+        const container = document.getElementById('moderation-bans');
+        if (bans.length === 0) {
+            container.innerHTML = '<div class="moderation-empty">Никто не заблокирован</div>';
+            return;
+        }
+
+        container.innerHTML = bans.map(user => {
+            const ban = user.communityBan || {};
+            const until = ban.until ? `до ${new Date(ban.until).toLocaleDateString('ru-RU')}` : 'бессрочно';
+            return `
+                <div class="moderation-ban">
+                    <div class="moderation-ban-info">
+                        <strong>${this.escape(user.name || user.telegramUsername || user.userId)}</strong>
+                        ${this.escape(until)}${ban.reason ? ` · ${this.escape(ban.reason)}` : ''}
+                    </div>
+                    <button class="btn btn-text" data-unban="${this.escape(user.userId)}">Разблокировать</button>
+                </div>
+            `;
+        }).join('');
+
+        container.querySelectorAll('[data-unban]').forEach(button => {
+            button.addEventListener('click', () => this.unban(button.dataset.unban));
+        });
+    }
+
+    /**
+     * Снятие блокировки
+     * @param {string} userId - Telegram ID
+     */
+    async unban(userId) {
+        if (!confirm('Снять блокировку в сообществе?')) return;
+
+        try {
+            await this.request('DELETE', `/bans/${encodeURIComponent(userId)}`);
+            this.showNotification('success', 'Блокировка снята');
+            await this.refresh();
+        } catch (error) {
+            this.showNotification('error', `Ошибка: ${error.message}`);
+        }
+    }
+
+    /**
+     * Экранирование HTML
+     * @param {*} text - Текст
+     * @returns {string}
+     */
+    escape(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text || '');
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Показ уведомления
+     * @param {string} type - Тип уведомления (success/error/info)
+     * @param {string} message - Сообщение
+     */
+    showNotification(type, message) {
+        const container = document.getElementById('notification-container');
+        if (!container) {
+            console.log(`[${type.toUpperCase()}] ${message}`);
+            return;
+        }
+
+        const notification = document.createElement('div');
+        notification.className = `notification notification-${type}`;
+        notification.innerHTML = `
+            <div class="notification-content">
+                <span class="notification-icon">${type === 'success' ? '✅' : type === 'error' ? '❌' : '🛡️'}</span>
+                <span class="notification-message">${this.escape(message)}</span>
+            </div>
+            <button class="notification-close" onclick="this.parentElement.remove()">×</button>
+        `;
+
+        container.appendChild(notification);
+
+        setTimeout(() => {
+            if (notification.parentNode) {
+                notification.parentNode.removeChild(notification);
+            }
+        }, 5000);
+    }
+}
+
+/**
+ * Инициализация страницы модерации
+ */
+window.initModerationPage = function() {
+    console.log('🛡️ Инициализация страницы модерации');
+    window.moderationManager = new ModerationManager();
+};
+
+// Экспорт для использования в других модулях
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ModerationManager };
+}
@@ -0,0 +1,715 @@
+/**
+ * JavaScript для календаря напоминаний в админ-панели "Читатель"
+ * Кампании с правилами-ротациями по дням недели, переопределения дат и предпросмотр календаря
+ */
+
+/**
+ * @typedef {Object} CampaignMessage
+ * @property {string} text - Текст (подпись к изображению)
+ * @property {string} image - Файл из /assets/notifications
+ * @property {{text: string, url: string}} [button] - Кнопка с deeplink
+ */
+
+/**
+ * @typedef {Object} CampaignRule
+ * @property {string} slot - Слот
+ * @property {number[]} weekdays - Дни недели (0 - воскресенье), пусто - каждый день
+ * @property {CampaignMessage[]} messages - Ротация сообщений
+ */
+
+/**
+ * @typedef {Object} CampaignOverride
+ * @property {string} date - YYYY-MM-DD
+ * @property {string} slot - Слот
+ * @property {boolean} skip - Ничего не отправлять
+ * @property {CampaignMessage} [message] - Сообщение на дату
+ */
+
+/**
+ * Слоты напоминаний с подписями
+ */
+const CAMPAIGN_SLOTS = {
+    morning: '🌅 Утро',
+    day: '🌤️ День',
+    evening: '🌙 Вечер',
+    report: '📊 Недельный отчет',
+    monthlyReport: '📈 Месячный отчет'
+};
+
+/**
+ * Дни недели в порядке понедельник - воскресенье (значения как в Date.getDay)
+ */
+const CAMPAIGN_WEEKDAYS = [
+    { value: 1, label: 'Пн' },
+    { value: 2, label: 'Вт' },
+    { value: 3, label: 'Ср' },
+    { value: 4, label: 'Чт' },
+    { value: 5, label: 'Пт' },
+    { value: 6, label: 'Сб' },
+    { value: 0, label: 'Вс' }
+];
+
+/**
+ * Подписи источников шаблона в календаре
+ */
+const CAMPAIGN_SOURCE_LABELS = {
+    override: 'Дата',
+    rule: 'Правило',
+    skip: 'Пропуск',
+    fallback: 'Резервная ротация'
+};
+
+/**
+ * Основной класс управления календарем напоминаний
+ */
+class NotificationCampaignManager {
+    constructor() {
+        this.apiPrefix = '/api/notification-campaigns';
+        this.campaigns = [];
+        this.current = null;
+        this.isNew = false;
+        /** @type {Array<{file: string, url: string}>} */
+        this.images = [];
+        this.calendarFrom = this.getWeekStart(new Date());
+        this.calendarDays = 28;
+
+        this.init();
+    }
+
+    /**
+     * Инициализация страницы
+     */
+    async init() {
+        document.getElementById('create-campaign')?.addEventListener('click', () => this.openEditor(null));
+        document.getElementById('calendar-prev')?.addEventListener('click', () => this.shiftCalendar(-this.calendarDays));
+        document.getElementById('calendar-next')?.addEventListener('click', () => this.shiftCalendar(this.calendarDays));
+
+        await Promise.all([this.loadCampaigns(), this.loadImages()]);
+        await this.loadCalendar();
+    }
+
+    /**
+     * Заголовки авторизации
+     * @param {boolean} [json=true] - Добавлять ли JSON Content-Type
+     * @returns {Object} Заголовки
+     */
+    getHeaders(json = true) {
+        const headers = window.authManager ? window.authManager.getApiHeaders() : {};
+        if (!json) {
+            delete headers['Content-Type'];
+        }
+        return headers;
+    }
+
+    /**
+     * Запрос к API кампаний
+     * @param {string} method - HTTP метод
+     * @param {string} path - Путь относительно apiPrefix
+     * @param {Object|FormData} [body] - Тело запроса
+     * @returns {Promise<Object>} Ответ API
+     */
+    async request(method, path, body) {
+        const isForm = body instanceof FormData;
+        const response = await fetch(`${this.apiPrefix}${path}`, {
+            method,
+            headers: this.getHeaders(!isForm),
+            body: body ? (isForm ? body : JSON.stringify(body)) : undefined
+        });
+
+        if (response.status === 401 && window.authManager) {
+            window.authManager.redirectToLogin();
+            throw new Error('Требуется авторизация');
+        }
+
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+        return data;
+    }
+
+    /**
+     * Загрузка списка кампаний
+     */
+    async loadCampaigns() {
+        try {
+            const data = await this.request('GET', '');
+            this.campaigns = data.data || [];
+            this.renderList();
+        } catch (error) {
+            console.error('❌ Ошибка загрузки кампаний:', error);
+            document.getElementById('campaigns-list').innerHTML = `<div class="error">❌ ${this.escape(error.message)}</div>`;
+        }
+    }
+
+    /**
+     * Загрузка списка изображений для вложений
+     */
+    async loadImages() {
+        try {
+            const data = await this.request('GET', '/images');
+            this.images = data.data || [];
+        } catch (error) {
+            console.error('❌ Ошибка загрузки изображений:', error);
+            this.images = [];
+        }
+    }
+
+    /**
+     * Отрисовка списка кампаний
+     */
+    renderList() {
+        const container = document.getElementById('campaigns-list');
+        if (this.campaigns.length === 0) {
+            container.innerHTML = '<div class="campaign-list-empty">Кампаний нет - работает резервная ротация</div>';
+            return;
+        }
+
+        container.innerHTML = this.campaigns.map(campaign => `
+            <div class="campaign-list-item ${this.current && this.current._id === campaign._id ? 'active' : ''} ${campaign.isActive ? '' : 'inactive'}" data-id="${this.escape(campaign._id)}">
+                <div class="campaign-list-title">${this.escape(campaign.name)}</div>
+                <div class="campaign-list-meta">
+                    <span>${this.formatPeriod(campaign)}</span>
+                    <span>⚡ ${Number(campaign.priority) || 0}</span>
+                    <span>${campaign.rules.length} прав. / ${campaign.overrides.length} дат</span>
+                    ${campaign.isActive ? '' : '<span class="campaign-badge">Выключена</span>'}
+                </div>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.campaign-list-item').forEach(item => {
+            item.addEventListener('click', () => {
+                const campaign = this.campaigns.find(c => c._id === item.dataset.id);
+                this.openEditor(campaign);
+            });
+        });
+    }
+
+    /**
+     * Открыть редактор кампании
+     * @param {Object|null} campaign - Кампания или null для новой
+     */
+    openEditor(campaign) {
+        this.isNew = !campaign;
+        this.current = campaign ? JSON.parse(JSON.stringify(campaign)) : {
+            _id: null, name: '', description: '', isActive: true, priority: 0,
+            startDate: null, endDate: null, rules: [], overrides: []
+        };
+        this.renderList();
+        this.renderEditor();
+    }
+
+    /**
+     * Отрисовка формы кампании
+     */
+    renderEditor() {
+        const campaign = this.current;
+        const editor = document.getElementById('campaign-editor');
+
+        editor.innerHTML = `
+            <form id="campaign-form" class="campaign-form">
+                <h3>${this.isNew ? '➕ Новая кампания' : '✏️ ' + this.escape(campaign.name)}</h3>
+                <div class="form-group">
+                    <label for="campaign-name">Название</label>
+                    <input id="campaign-name" class="form-input" name="name" value="${this.escape(campaign.name)}" required>
+                </div>
+                <div class="form-group">
+                    <label for="campaign-description">Описание</label>
+                    <input id="campaign-description" class="form-input" name="description" value="${this.escape(campaign.description)}">
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="campaign-start">Начало (и отсчет ротации)</label>
+                        <input id="campaign-start" class="form-input" type="date" name="startDate" value="${this.escape(campaign.startDate || '')}">
+                    </div>
+                    <div class="form-group">
+                        <label for="campaign-end">Окончание</label>
+                        <input id="campaign-end" class="form-input" type="date" name="endDate" value="${this.escape(campaign.endDate || '')}">
+                    </div>
+                    <div class="form-group campaign-priority">
+                        <label for="campaign-priority">Приоритет</label>
+                        <input id="campaign-priority" class="form-input" type="number" name="priority" value="${Number(campaign.priority) || 0}">
+                    </div>
+                </div>
+                <label class="campaign-checkbox"><input type="checkbox" name="isActive" ${campaign.isActive ? 'checked' : ''}> Активна</label>
+
+                <div class="campaign-section">
+                    <div class="campaign-section-header">
+                        <h4>🔁 Правила (ротация по дням недели)</h4>
+                        <button type="button" class="btn btn-sm btn-secondary" data-action="add-rule">➕ Правило</button>
+                    </div>
+                    <div id="campaign-rules">
+                        ${campaign.rules.length === 0 ? '<div class="campaign-list-empty">Правил нет</div>' : campaign.rules.map((rule, index) => this.renderRule(rule, index)).join('')}
+                    </div>
+                </div>
+
+                <div class="campaign-section">
+                    <div class="campaign-section-header">
+                        <h4>📌 Даты (переопределяют правила)</h4>
+                        <button type="button" class="btn btn-sm btn-secondary" data-action="add-override">➕ Дата</button>
+                    </div>
+                    <div id="campaign-overrides">
+                        ${campaign.overrides.length === 0 ? '<div class="campaign-list-empty">Переопределений нет</div>' : campaign.overrides.map((override, index) => this.renderOverride(override, index)).join('')}
+                    </div>
+                </div>
+
+                <div class="campaign-section campaign-upload">
+                    <input class="form-input" type="file" id="campaign-image-file" accept="image/jpeg,image/png,image/webp">
+                    <button type="button" class="btn btn-sm btn-secondary" data-action="upload-image">⬆️ Загрузить изображение</button>
+                </div>
+
+                <div class="campaign-form-actions">
+                    <button type="submit" class="btn btn-primary">💾 Сохранить</button>
+                    ${this.isNew ? '' : '<button type="button" class="btn btn-danger" data-action="delete-campaign">🗑️ Удалить</button>'}
+                </div>
+            </form>
+        `;
+
+        const form = editor.querySelector('#campaign-form');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveCampaign(form);
+        });
+        form.addEventListener('click', (e) => this.handleEditorClick(e, form));
+    }
+
+    /**
+     * Отрисовка правила
+     * @param {CampaignRule} rule - Правило
+     * @param {number} index - Индекс
+     * @returns {string} HTML
+     */
+    renderRule(rule, index) {
+        return `
+            <div class="campaign-rule" data-index="${index}">
+                <div class="campaign-rule-header">
+                    ${this.renderSlotSelect(rule.slot)}
+                    <div class="campaign-weekdays">
+                        ${CAMPAIGN_WEEKDAYS.map(day => `
+                            <label><input type="checkbox" data-weekday="${day.value}" ${(rule.weekdays || []).includes(day.value) ? 'checked' : ''}> ${day.label}</label>
+                        `).join('')}
+                    </div>
+                    <button type="button" class="btn btn-sm btn-danger" data-action="remove-rule" data-index="${index}">×</button>
+                </div>
+                <div class="campaign-rule-hint">Без отмеченных дней - каждый день. Сообщения идут по кругу.</div>
+                <div class="campaign-messages">
+                    ${(rule.messages || []).map((message, messageIndex) => `
+                        <div class="campaign-message-row">
+                            <span class="campaign-message-number">${messageIndex + 1}</span>
+                            ${this.renderMessageFields(message)}
+                            <button type="button" class="btn btn-sm btn-danger" data-action="remove-message" data-index="${index}" data-message="${messageIndex}">×</button>
+                        </div>
+                    `).join('')}
+                </div>
+                <button type="button" class="btn btn-sm btn-secondary" data-action="add-message" data-index="${index}">➕ Сообщение в ротацию</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Отрисовка переопределения даты
+     * @param {CampaignOverride} override - Переопределение
+     * @param {number} index - Индекс
+     * @returns {string} HTML
+     */
+    renderOverride(override, index) {
+        return `
+            <div class="campaign-override" data-index="${index}">
+                <div class="campaign-rule-header">
+                    <input class="form-input" type="date" data-field="date" value="${this.escape(override.date)}" required>
+                    ${this.renderSlotSelect(override.slot)}
+                    <label class="campaign-checkbox"><input type="checkbox" data-field="skip" ${override.skip ? 'checked' : ''}> Не отправлять</label>
+                    <button type="button" class="btn btn-sm btn-danger" data-action="remove-override" data-index="${index}">×</button>
+                </div>
+                ${this.renderMessageFields(override.message || {})}
+            </div>
+        `;
+    }
+
+    /**
+     * Поля сообщения: текст, изображение, кнопка
+     * @param {CampaignMessage} message - Сообщение
+     * @returns {string} HTML
+     */
+    renderMessageFields(message) {
+        const button = message.button || {};
+        const hasImage = message.image && !this.images.some(image => image.file === message.image);
+        return `
+            <div class="campaign-message">
+                <textarea class="form-input" data-field="text" rows="3" placeholder="Текст напоминания">${this.escape(message.text || '')}</textarea>
+                <div class="campaign-message-extra">
+                    <select class="form-input" data-field="image">
+                        <option value="">Без изображения</option>
+                        ${hasImage ? `<option value="${this.escape(message.image)}" selected>⚠️ ${this.escape(message.image)} (нет файла)</option>` : ''}
+                        ${this.images.map(image => `<option value="${this.escape(image.file)}" ${image.file === message.image ? 'selected' : ''}>${this.escape(image.file)}</option>`).join('')}
+                    </select>
+                    <input class="form-input" data-field="buttonText" placeholder="Текст кнопки" value="${this.escape(button.text || '')}">
+                    <input class="form-input" data-field="buttonUrl" placeholder="startapp (например, reports)" value="${this.escape(button.url || '')}">
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Выпадающий список слотов
+     * @param {string} selected - Выбранный слот
+     * @returns {string} HTML
+     */
+    renderSlotSelect(selected) {
+        return `
+            <select class="form-input campaign-slot" data-field="slot">
+                ${Object.entries(CAMPAIGN_SLOTS).map(([slot, label]) => `<option value="${slot}" ${slot === selected ? 'selected' : ''}>${label}</option>`).join('')}
+            </select>
+        `;
+    }
+
+    /**
+     * Кнопки внутри редактора
+     * @param {Event} e - Событие клика
+     * @param {HTMLFormElement} form - Форма
+     */
+    handleEditorClick(e, form) {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        const action = button.dataset.action;
+        const index = Number(button.dataset.index);
+
+        if (action === 'delete-campaign') {
+            this.deleteCampaign();
+            return;
+        }
+        if (action === 'upload-image') {
+            this.uploadImage(form);
+            return;
+        }
+
+        // Сохраняем введенное перед перерисовкой
+        this.current = { ...this.current, ...this.collectForm(form) };
+
+        if (action === 'add-rule') {
+            this.current.rules.push({ slot: 'morning', weekdays: [], messages: [{ text: '', image: '' }] });
+        } else if (action === 'remove-rule') {
+            this.current.rules.splice(index, 1);
+        } else if (action === 'add-message') {
+            this.current.rules[index].messages.push({ text: '', image: '' });
+        } else if (action === 'remove-message') {
+            this.current.rules[index].messages.splice(Number(button.dataset.message), 1);
+        } else if (action === 'add-override') {
+            this.current.overrides.push({ date: this.toDateKey(new Date()), slot: 'morning', skip: false, message: { text: '', image: '' } });
+        } else if (action === 'remove-override') {
+            this.current.overrides.splice(index, 1);
+        }
+
+        this.renderEditor();
+    }
+
+    /**
+     * Прочитать поля сообщения
+     * @param {HTMLElement} container - Контейнер .campaign-message
+     * @returns {CampaignMessage}
+     */
+    readMessage(container) {
+        const message = {
+            text: container.querySelector('[data-field="text"]').value.trim(),
+            image: container.querySelector('[data-field="image"]').value
+        };
+        const buttonText = container.querySelector('[data-field="buttonText"]').value.trim();
+        const buttonUrl = container.querySelector('[data-field="buttonUrl"]').value.trim();
+        if (buttonText && buttonUrl) {
+            message.button = { text: buttonText, url: buttonUrl };
+        }
+        return message;
+    }
+
+    /**
+     * Собрать данные кампании из формы
+     * @param {HTMLFormElement} form - Форма
+     * @returns {Object} Данные кампании
+     */
+    collectForm(form) {
+        const rules = [...form.querySelectorAll('.campaign-rule')].map(ruleEl => ({
+            slot: ruleEl.querySelector('[data-field="slot"]').value,
+            weekdays: [...ruleEl.querySelectorAll('[data-weekday]:checked')].map(input => Number(input.dataset.weekday)),
+            messages: [...ruleEl.querySelectorAll('.campaign-message')].map(messageEl => this.readMessage(messageEl))
+        }));
+
+        const overrides = [...form.querySelectorAll('.campaign-override')].map(overrideEl => ({
+            date: overrideEl.querySelector('[data-field="date"]').value,
+            slot: overrideEl.querySelector('[data-field="slot"]').value,
+            skip: overrideEl.querySelector('[data-field="skip"]').checked,
+            message: this.readMessage(overrideEl.querySelector('.campaign-message'))
+        }));
+
+        return {
+            name: form.elements.namedItem('name').value.trim(),
+            description: form.description.value.trim(),
+            startDate: form.startDate.value || null,
+            endDate: form.endDate.value || null,
+            priority: Number(form.priority.value) || 0,
+            isActive: form.isActive.checked,
+            rules,
+            overrides
+        };
+    }
+
+    /**
+     * Сохранение кампании
+     * @param {HTMLFormElement} form - Форма
+     */
+    async saveCampaign(form) {
+        const payload = this.collectForm(form);
+        payload.rules = payload.rules.filter(rule => rule.messages.some(m => m.text || m.image));
+        payload.rules.forEach(rule => {
+            rule.messages = rule.messages.filter(m => m.text || m.image);
+        });
+
+        try {
+            let data;
+            if (this.isNew) {
+                data = await this.request('POST', '', payload);
+            } else {
+                data = await this.request('PUT', `/${encodeURIComponent(this.current._id)}`, payload);
+            }
+            this.showNotification('success', 'Кампания сохранена');
+            await this.reloadCurrent(data.data._id);
+            await this.loadCalendar();
+        } catch (error) {
+            this.showNotification('error', `Ошибка сохранения: ${error.message}`);
+        }
+    }
+
+    /**
+     * Удаление кампании
+     */
+    async deleteCampaign() {
+        if (!confirm(`Удалить кампанию «${this.current.name}»? Изображения останутся на диске.`)) {
+            return;
+        }
+        try {
+            await this.request('DELETE', `/${encodeURIComponent(this.current._id)}`);
+            this.current = null;
+            document.getElementById('campaign-editor').innerHTML = '<div class="campaign-editor-empty">Кампания удалена</div>';
+            this.showNotification('success', 'Кампания удалена');
+            await this.loadCampaigns();
+            await this.loadCalendar();
+        } catch (error) {
+            this.showNotification('error', `Ошибка удаления: ${error.message}`);
+        }
+    }
+
+    /**
+     * Загрузка изображения для вложений
+     * @param {HTMLFormElement} form - Форма кампании
+     */
+    async uploadImage(form) {
+        const file = form.querySelector('#campaign-image-file').files[0];
+        if (!file) {
+            this.showNotification('info', 'Выберите файл изображения');
+            return;
+        }
+
+        try {
+            const formData = new FormData();
+            formData.append('file', file);
+            const data = await this.request('POST', '/images', formData);
+            this.current = { ...this.current, ...this.collectForm(form) };
+            await this.loadImages();
+            this.renderEditor();
+            this.showNotification('success', `Изображение загружено: ${data.data.file}`);
+        } catch (error) {
+            this.showNotification('error', `Ошибка загрузки: ${error.message}`);
+        }
+    }
+
+    /**
+     * Перезагрузить список и открыть кампанию
+     * @param {string} id - ID кампании
+     */
+    async reloadCurrent(id) {
+        await this.loadCampaigns();
+        const campaign = this.campaigns.find(c => c._id === id);
+        if (campaign) {
+            this.openEditor(campaign);
+        }
+    }
+
+    /**
+     * Загрузка предпросмотра календаря
+     */
+    async loadCalendar() {
+        const container = document.getElementById('campaign-calendar');
+        try {
+            const from = this.toDateKey(this.calendarFrom);
+            const data = await this.request('GET', `/preview?from=${from}&days=${this.calendarDays}`);
+            this.renderCalendar(data.data.calendar);
+        } catch (error) {
+            console.error('❌ Ошибка загрузки календаря:', error);
+            container.innerHTML = `<div class="error">❌ ${this.escape(error.message)}</div>`;
+        }
+    }
+
+    /**
+     * Отрисовка календаря (недели с понедельника)
+     * @param {Array} calendar - Дни с шаблонами по слотам
+     */
+    renderCalendar(calendar) {
+        const container = document.getElementById('campaign-calendar');
+        const today = this.toDateKey(new Date());
+
+        if (calendar.length > 0) {
+            document.getElementById('calendar-range').textContent = `📅 ${this.formatDate(calendar[0].date)} - ${this.formatDate(calendar[calendar.length - 1].date)}`;
+        }
+
+        container.innerHTML = `
+            <div class="campaign-calendar-grid">
+                ${CAMPAIGN_WEEKDAYS.map(day => `<div class="campaign-calendar-weekday">${day.label}</div>`).join('')}
+                ${calendar.map(day => `
+                    <div class="campaign-calendar-day ${day.date === today ? 'today' : ''}">
+                        <div class="campaign-calendar-date">${this.formatDate(day.date)}</div>
+                        ${Object.keys(CAMPAIGN_SLOTS).map(slot => this.renderCalendarSlot(slot, day.slots[slot])).join('')}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Ячейка слота в календаре
+     * @param {string} slot - Слот
+     * @param {{template: CampaignMessage|null, source: Object}} resolved - Шаблон и источник
+     * @returns {string} HTML
+     */
+    renderCalendarSlot(slot, resolved) {
+        if (!resolved) return '';
+        const { template, source } = resolved;
+
+        // Отчеты уходят только в свои дни - резерв показываем лишь для ежедневных слотов
+        if (!template && source.type !== 'skip') return '';
+        if ((slot === 'report' || slot === 'monthlyReport') && source.type === 'fallback') return '';
+
+        const preview = template ? (template.text || (template.image ? `🖼️ ${template.image}` : '')) : 'не отправляется';
+        const title = [
+            CAMPAIGN_SOURCE_LABELS[source.type],
+            source.campaignName,
+            template?.text,
+            template?.image ? `🖼️ ${template.image}` : '',
+            template?.button ? `🔘 ${template.button.text} → ${template.button.url}` : ''
+        ].filter(Boolean).join('\n');
+
+        return `
+            <div class="campaign-calendar-slot ${source.type}" title="${this.escape(title)}">
+                <span class="campaign-calendar-slot-label">${CAMPAIGN_SLOTS[slot].split(' ')[0]}</span>
+                <span class="campaign-calendar-slot-text">${this.escape(preview)}</span>
+                ${template?.image ? '🖼️' : ''}${template?.button ? '🔘' : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Сдвиг календаря
+     * @param {number} days - На сколько дней
+     */
+    shiftCalendar(days) {
+        this.calendarFrom = new Date(this.calendarFrom.getTime() + days * 24 * 60 * 60 * 1000);
+        this.loadCalendar();
+    }
+
+    /**
+     * Понедельник недели
+     * @param {Date} date - Дата
+     * @returns {Date} Понедельник 00:00
+     */
+    getWeekStart(date) {
+        const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        const shift = (start.getDay() + 6) % 7;
+        start.setDate(start.getDate() - shift);
+        return start;
+    }
+
+    /**
+     * @param {Date} date - Дата
+     * @returns {string} YYYY-MM-DD (локальная дата)
+     */
+    toDateKey(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * @param {string} dateKey - YYYY-MM-DD
+     * @returns {string} ДД.ММ
+     */
+    formatDate(dateKey) {
+        const [, month, day] = dateKey.split('-');
+        return `${day}.${month}`;
+    }
+
+    /**
+     * Период кампании для списка
+     * @param {Object} campaign - Кампания
+     * @returns {string} Текст
+     */
+    formatPeriod(campaign) {
+        if (!campaign.startDate && !campaign.endDate) return '📅 Всегда';
+        const from = campaign.startDate ? this.formatDate(campaign.startDate) + '.' + campaign.startDate.slice(0, 4) : '…';
+        const to = campaign.endDate ? this.formatDate(campaign.endDate) + '.' + campaign.endDate.slice(0, 4) : '…';
+        return `📅 ${from} - ${to}`;
+    }
+
+    /**
+     * Экранирование HTML
+     * @param {string} text - Текст
+     * @returns {string} Безопасный HTML
+     */
+    escape(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text || '');
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Показ уведомления
+     * @param {string} type - Тип уведомления (success/error/info)
+     * @param {string} message - Сообщение
+     */
+    showNotification(type, message) {
+        const container = document.getElementById('notification-container');
+        if (!container) {
+            console.log(`[${type.toUpperCase()}] ${message}`);
+            return;
+        }
+
+        const notification = document.createElement('div');
+        notification.className = `notification notification-${type}`;
+        notification.innerHTML = `
+            <div class="notification-content">
+                <span class="notification-icon">${type === 'success' ? '✅' : type === 'error' ? '❌' : '🔔'}</span>
+                <span class="notification-message">${this.escape(message)}</span>
+            </div>
+            <button class="notification-close" onclick="this.parentElement.remove()">×</button>
+        `;
+
+        container.appendChild(notification);
+
+        setTimeout(() => {
+            if (notification.parentNode) {
+                notification.parentNode.removeChild(notification);
+            }
+        }, 5000);
+    }
+}
+
+/**
+ * Инициализация страницы напоминаний
+ */
+window.initNotificationsPage = function() {
+    console.log('🔔 Инициализация календаря напоминаний');
+    window.notificationCampaignManager = new NotificationCampaignManager();
+};
+
+// Экспорт для использования в других модулях
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NotificationCampaignManager };
+}
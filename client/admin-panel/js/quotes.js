@@ -706,19 +706,21 @@ class QuotesManager {
 
     /**
      * Экспорт цитат
+     * Запускает фоновую задачу экспорта и скачивает файл, когда он готов
+     * @param {string} [format='csv'] - Формат экспорта (csv, json, md, epub)
      */
-    async exportQuotes() {
+    async exportQuotes(format = 'csv') {
         try {
             console.log('📊 Экспорт цитат');
 
-            const response = await fetch(`${this.apiPrefix}/quotes/export`, {
+            const response = await fetch('/api/quote-exports', {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
+                headers: this.getAdminHeaders(),
                 body: JSON.stringify({
-                    format: 'csv',
-                    ...this.filters
+                    format,
+                    includeUserData: true,
+                    period: this.filters.period,
+                    category: this.filters.category
                 })
             });
 
@@ -728,10 +730,14 @@ class QuotesManager {
 
             const data = await response.json();
             if (!data.success) {
-                throw new Error(data.message || 'Ошибка экспорта');
+                throw new Error(data.message || data.error || 'Ошибка экспорта');
             }
 
-            this.showNotification('success', `Экспорт запущен: ${data.data.filename}`);
+            this.showNotification('info', 'Экспорт запущен, подготавливаем файл...');
+
+            const job = await this.waitForExport(data.export.jobId);
+            await this.downloadExport(job);
+            this.showNotification('success', `Экспорт готов: ${job.filename} (${job.recordsCount} цитат)`);
 
         } catch (error) {
             console.error('❌ Ошибка экспорта:', error);
@@ -739,6 +745,65 @@ class QuotesManager {
         }
     }
 
+    /**
+     * Ожидание завершения задачи экспорта
+     * @param {string} jobId - ID задачи экспорта
+     * @param {number} [maxAttempts=60] - Максимальное количество проверок
+     * @returns {Promise<Object>} Завершенная задача экспорта
+     */
+    async waitForExport(jobId, maxAttempts = 60) {
+        for (let attempt = 0; attempt < maxAttempts; attempt++) {
+            const response = await fetch(`/api/quote-exports/${jobId}`, {
+                headers: this.getAdminHeaders()
+            });
+            const data = await response.json();
+
+            if (!data.success) {
+                throw new Error(data.error || 'Ошибка получения статуса экспорта');
+            }
+
+            if (data.export.status === 'completed') {
+                return data.export;
+            }
+            if (data.export.status === 'failed') {
+                throw new Error(data.export.error || 'Экспорт завершился с ошибкой');
+            }
+
+            await new Promise(resolve => setTimeout(resolve, 2000));
+        }
+
+        throw new Error('Превышено время ожидания экспорта');
+    }
+
+    /**
+     * Скачивание готового экспорта (ссылка требует токен администратора, поэтому через fetch)
+     * @param {Object} job - Завершенная задача экспорта
+     * @returns {Promise<void>}
+     */
+    async downloadExport(job) {
+        const response = await fetch(job.downloadUrl, { headers: this.getAdminHeaders() });
+        if (!response.ok) {
+            throw new Error('Ошибка скачивания экспорта');
+        }
+
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = job.filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Заголовки запросов к админским API (токен из authManager)
+     * @returns {Object} HTTP заголовки
+     */
+    getAdminHeaders() {
+        return window.authManager ? window.authManager.getApiHeaders() : { 'Content-Type': 'application/json' };
+    }
+
     /**
      * Поиск похожих цитат
      * @param {string} quoteId - ID цитаты
@@ -37,6 +37,8 @@ class ReportsManager {
         this.currentPage = 1;
         this.limit = 20;
         this.baseApiUrl = '/api/reader';
+        this.versionsReportId = null;
+        this.weeklyPromptsLoaded = false;
         
         this.init();
     }
@@ -99,6 +101,11 @@ class ReportsManager {
         window.exportReports = () => this.exportReports();
         window.viewReport = (reportId) => this.viewReport(reportId);
         window.resendReport = (reportId) => this.resendReport(reportId);
+        window.viewReportVersions = (reportId) => this.openReportVersions(reportId);
+        window.closeReportVersions = () => this.closeReportVersions();
+        window.compareReportVersions = (fromId, toId) => this.compareReportVersions(fromId, toId);
+        window.regenerateCurrentReport = (publish) => this.regenerateCurrentReport(publish);
+        window.bulkRegenerateReports = () => this.bulkRegenerateReports();
     }
 
     /**
@@ -362,6 +369,7 @@ class ReportsManager {
                 <td><span class="status-badge ${statusBadgeClass}">${this.getStatusLabel(report.status)}</span></td>
                 <td>
                     <button class="btn btn-sm" onclick="viewReport('${report.id}')">Просмотр</button>
+                    ${report.type === 'weekly' ? `<button class="btn btn-sm btn-secondary" onclick="viewReportVersions('${report.id}')">Версии</button>` : ''}
                     <button class="btn btn-sm btn-secondary" onclick="resendReport('${report.id}')">Переслать</button>
                 </td>
             </tr>
@@ -707,6 +715,278 @@ class ReportsManager {
         }
     }
 
+    /**
+     * Заголовки с авторизацией админа
+     */
+    getAuthHeaders() {
+        return window.authManager ? window.authManager.getApiHeaders() : { 'Content-Type': 'application/json' };
+    }
+
+    /**
+     * Открытие истории версий еженедельного отчета
+     * @param {string} reportId - ID отчета
+     */
+    async openReportVersions(reportId) {
+        this.versionsReportId = reportId;
+        document.getElementById('report-versions-diff').innerHTML = '';
+        document.getElementById('report-versions-modal').classList.add('active');
+
+        await Promise.all([
+            this.loadWeeklyPrompts(),
+            this.loadReportVersions()
+        ]);
+    }
+
+    /**
+     * Закрытие окна версий
+     */
+    closeReportVersions() {
+        document.getElementById('report-versions-modal').classList.remove('active');
+        this.versionsReportId = null;
+    }
+
+    /**
+     * Промпты недельных отчетов (в т.ч. черновики) для перегенерации
+     */
+    async loadWeeklyPrompts() {
+        if (this.weeklyPromptsLoaded) return;
+
+        try {
+            const response = await fetch(`${this.baseApiUrl}/prompts?category=weekly_reports&status=all&limit=50`, {
+                headers: this.getAuthHeaders()
+            });
+            const result = await response.json();
+            if (!result.success) return;
+
+            const select = document.getElementById('regenerate-prompt');
+            result.data.forEach(prompt => {
+                const option = document.createElement('option');
+                option.value = prompt.id;
+                option.textContent = `${prompt.name} v${prompt.version} (${prompt.status})`;
+                select.appendChild(option);
+            });
+            this.weeklyPromptsLoaded = true;
+        } catch (error) {
+            console.error('❌ Ошибка загрузки промптов:', error);
+        }
+    }
+
+    /**
+     * Загрузка и отображение списка версий
+     */
+    async loadReportVersions() {
+        const list = document.getElementById('report-versions-list');
+        list.innerHTML = '<div class="text-center">📡 Загрузка версий...</div>';
+
+        try {
+            const response = await fetch(`${this.baseApiUrl}/reports/weekly/${this.versionsReportId}/versions`, {
+                headers: this.getAuthHeaders()
+            });
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error || 'Ошибка загрузки версий');
+            }
+
+            const { report, versions } = result.data;
+            document.getElementById('report-versions-title').textContent =
+                `🗂 Версии отчета: неделя ${report.weekNumber}/${report.year}, пользователь ${report.userId}`;
+            list.innerHTML = versions.map(version => this.buildVersionItem(version)).join('');
+
+            // Сразу показываем, чем текущая версия отличается от предыдущей
+            const previous = versions.find(version => version.status !== 'current');
+            if (previous) {
+                await this.compareReportVersions(previous.id, 'current');
+            }
+        } catch (error) {
+            console.error('❌ Ошибка загрузки версий:', error);
+            list.innerHTML = `<div class="text-center">❌ ${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    /**
+     * Строка списка версий
+     * @param {Object} version - Версия
+     */
+    buildVersionItem(version) {
+        const statusLabels = { current: 'Текущая', archived: 'Архив', candidate: 'Кандидат' };
+        const generation = version.generation || {};
+        const prompt = generation.promptName
+            ? `${generation.promptName}${generation.promptVersion ? ` v${generation.promptVersion}` : ''}`
+            : 'промпт неизвестен';
+        const model = generation.fallback
+            ? 'fallback без AI'
+            : [generation.provider, generation.model].filter(Boolean).join('/') || 'модель неизвестна';
+
+        return `
+            <div class="version-item ${version.status}">
+                <div>
+                    <strong>v${version.version}</strong> · ${statusLabels[version.status] || version.status}
+                    <div class="version-meta">
+                        ${this.escapeHtml(prompt)} · ${this.escapeHtml(model)} · ${version.createdAt ? this.formatDate(version.createdAt) : '—'}
+                        ${version.reason ? ` · ${this.escapeHtml(version.reason)}` : ''}
+                    </div>
+                </div>
+                ${version.status === 'current' ? '' : `<button class="btn btn-sm btn-secondary" onclick="compareReportVersions('${version.id}', 'current')">Сравнить с текущей</button>`}
+            </div>
+        `;
+    }
+
+    /**
+     * Side-by-side сравнение двух версий
+     * @param {string} fromId - Левая версия
+     * @param {string} [toId='current'] - Правая версия
+     */
+    async compareReportVersions(fromId, toId = 'current') {
+        const container = document.getElementById('report-versions-diff');
+
+        try {
+            const params = new URLSearchParams({ from: fromId, to: toId });
+            const response = await fetch(`${this.baseApiUrl}/reports/weekly/${this.versionsReportId}/diff?${params}`, {
+                headers: this.getAuthHeaders()
+            });
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error || 'Ошибка сравнения');
+            }
+
+            container.innerHTML = this.buildDiffView(result.data);
+        } catch (error) {
+            console.error('❌ Ошибка сравнения версий:', error);
+            this.showNotification('error', `Ошибка сравнения версий: ${error.message}`);
+        }
+    }
+
+    /**
+     * HTML сравнения: слева удаленное, справа добавленное
+     * @param {Object} data - { left, right, diff }
+     */
+    buildDiffView({ left, right, diff }) {
+        const renderSide = (side) => diff.insights
+            .filter(segment => segment.type === 'equal' || segment.type === side)
+            .map(segment => segment.type === 'equal'
+                ? this.escapeHtml(segment.text)
+                : `<span class="diff-${side}">${this.escapeHtml(segment.text)}</span>`)
+            .join('');
+        const formatList = (items) => items.length ? items.map(item => this.escapeHtml(item)).join(', ') : '—';
+
+        return `
+            <div class="versions-diff-grid">
+                <div class="diff-column">
+                    <h4>v${left.version} (${left.status})</h4>${renderSide('removed')}
+                </div>
+                <div class="diff-column">
+                    <h4>v${right.version} (${right.status})</h4>${renderSide('added')}
+                </div>
+            </div>
+            <div class="diff-summary">
+                Тон: ${this.escapeHtml(diff.emotionalTone.before || '—')} → ${this.escapeHtml(diff.emotionalTone.after || '—')}
+                · Изменено слов: ${diff.insightsStats.changedWords}
+                · Длина: ${diff.insightsStats.beforeLength} → ${diff.insightsStats.afterLength}<br>
+                Темы: +${formatList(diff.dominantThemes.added)} / −${formatList(diff.dominantThemes.removed)}<br>
+                Рекомендации: +${formatList(diff.recommendations.added)} / −${formatList(diff.recommendations.removed)}
+            </div>
+        `;
+    }
+
+    /**
+     * Перегенерация открытого отчета
+     * @param {boolean} publish - true - заменить текущую версию, false - сохранить кандидата
+     */
+    async regenerateCurrentReport(publish) {
+        if (!this.versionsReportId) return;
+
+        const message = publish
+            ? 'Перегенерировать отчет и заменить текущую версию? Предыдущая версия сохранится в истории.'
+            : 'Сгенерировать кандидата для сравнения? Текущая версия не изменится.';
+        if (!confirm(message)) return;
+
+        try {
+            this.showNotification('info', 'Генерация отчета...');
+            const response = await fetch(`${this.baseApiUrl}/reports/weekly/${this.versionsReportId}/regenerate`, {
+                method: 'POST',
+                headers: this.getAuthHeaders(),
+                body: JSON.stringify({
+                    publish,
+                    promptId: document.getElementById('regenerate-prompt').value || undefined
+                })
+            });
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error || 'Ошибка перегенерации');
+            }
+
+            this.showNotification('success', publish
+                ? `Отчет перегенерирован: v${result.data.currentVersion}`
+                : `Кандидат v${result.data.version} сохранен`);
+            await this.loadReportVersions();
+            if (!publish) {
+                await this.compareReportVersions('current', result.data.versionId);
+            }
+        } catch (error) {
+            console.error('❌ Ошибка перегенерации:', error);
+            this.showNotification('error', `Ошибка перегенерации: ${error.message}`);
+        }
+    }
+
+    /**
+     * Массовая перегенерация: пользователи (через запятую) или неделя (2025-W05)
+     */
+    async bulkRegenerateReports() {
+        const target = prompt('ID пользователей через запятую или неделя в формате 2025-W05:');
+        if (!target || !target.trim()) return;
+
+        const weekMatch = target.trim().match(/^(\d{4})-W(\d{1,2})$/i);
+        const filter = weekMatch
+            ? { year: Number(weekMatch[1]), weekNumber: Number(weekMatch[2]) }
+            : { userIds: target.split(',').map(id => id.trim()).filter(Boolean) };
+        const publish = confirm('Заменить текущие версии отчетов?\nОК — опубликовать, Отмена — сохранить как кандидатов для сравнения.');
+
+        try {
+            const response = await fetch(`${this.baseApiUrl}/reports/weekly/regenerate`, {
+                method: 'POST',
+                headers: this.getAuthHeaders(),
+                body: JSON.stringify({ ...filter, publish })
+            });
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error || 'Ошибка запуска');
+            }
+
+            this.showNotification('info', `Перегенерация запущена: ${result.data.total} отчетов`);
+            this.pollRegenerationJob(result.data.id);
+        } catch (error) {
+            console.error('❌ Ошибка массовой перегенерации:', error);
+            this.showNotification('error', `Ошибка перегенерации: ${error.message}`);
+        }
+    }
+
+    /**
+     * Отслеживание фоновой перегенерации
+     * @param {string} jobId - ID задачи
+     */
+    pollRegenerationJob(jobId) {
+        const timer = setInterval(async () => {
+            try {
+                const response = await fetch(`${this.baseApiUrl}/reports/weekly/regenerate/jobs/${jobId}`, {
+                    headers: this.getAuthHeaders()
+                });
+                const result = await response.json();
+                if (!result.success || result.data.status !== 'running') {
+                    clearInterval(timer);
+                    if (result.success) {
+                        const job = result.data;
+                        this.showNotification(job.failed ? 'warning' : 'success',
+                            `Перегенерация завершена: ${job.processed - job.failed}/${job.total}, ошибок: ${job.failed}`);
+                        await this.loadReports();
+                    }
+                }
+            } catch (error) {
+                clearInterval(timer);
+                console.error('❌ Ошибка статуса перегенерации:', error);
+            }
+        }, 3000);
+    }
+
     /**
      * Показ уведомления
      */
@@ -46,6 +46,7 @@ const ticketsState = {
   },
   totalTickets: 0,
   isLoading: false,
+  socket: null,
   pagination: {
     currentPage: 1,
     totalPages: 1,
@@ -726,6 +727,9 @@ async function showRealTicketDetail(ticketId) {
     if (statusSelect) statusSelect.value = ticket.status;
     if (prioritySelect) prioritySelect.value = ticket.priority;
     
+    // Переписка по обращению
+    renderTicketComments(ticket.comments || []);
+    
     // Парсим и отображаем контекст диалога
     if (ticket.context) {
       try {
@@ -758,6 +762,134 @@ async function showRealTicketDetail(ticketId) {
   }
 }
 
+/**
+ * Отображает комментарии тикета (публичные ответы и внутренние заметки)
+ * @param {Array<Object>} comments - ticket.comments
+ */
+function renderTicketComments(comments) {
+  const container = document.getElementById('detail-ticket-comments');
+  if (!container) return;
+  
+  if (!comments.length) {
+    container.innerHTML = '<div class="ticket-comments-empty">Ответов пока нет</div>';
+    return;
+  }
+  
+  container.innerHTML = comments.map(comment => `
+    <div class="ticket-comment ${comment.isInternal ? 'internal' : ''}">
+      <div class="ticket-comment-meta">
+        <span>${escapeHtml(comment.authorName || comment.authorId)}</span>
+        <span>${comment.isInternal ? '🔒 внутренняя заметка · ' : ''}${formatDateTime(comment.createdAt)}</span>
+      </div>
+      <div class="ticket-comment-content">${escapeHtml(comment.content)}</div>
+    </div>
+  `).join('');
+}
+
+/**
+ * Отправляет ответ пользователю (или внутреннюю заметку) из модального окна
+ */
+async function sendTicketReply() {
+  const overlay = document.getElementById('ticket-detail-overlay');
+  const replyField = document.getElementById('ticket-reply-text');
+  const internalCheckbox = document.getElementById('ticket-reply-internal');
+  const sendBtn = document.getElementById('send-ticket-reply');
+  if (!overlay || !overlay.dataset.currentTicketId || !replyField) return;
+  
+  const content = replyField.value.trim();
+  if (!content) {
+    showNotification('✏️ Введите текст ответа', 'warning');
+    return;
+  }
+  
+  const isInternal = internalCheckbox ? internalCheckbox.checked : false;
+  
+  try {
+    if (sendBtn) sendBtn.disabled = true;
+    
+    const response = await window.makeAuthenticatedRequest(
+      `${TICKETS_CONFIG.API_BASE}/${overlay.dataset.currentTicketId}/comments`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ content, isInternal })
+      }
+    );
+    
+    if (!response.success) {
+      throw new Error(response.error || 'Не удалось отправить ответ');
+    }
+    
+    // Обновляем тикет в локальном состоянии и перерисовываем переписку
+    const index = ticketsState.tickets.findIndex(t => t._id === response.data._id);
+    if (index !== -1) {
+      ticketsState.tickets[index] = { ...ticketsState.tickets[index], ...response.data };
+    }
+    renderTicketComments(response.data.comments || []);
+    replyField.value = '';
+    if (internalCheckbox) internalCheckbox.checked = false;
+    
+    const delivery = response.delivery || [];
+    if (isInternal) {
+      showNotification('🔒 Внутренняя заметка сохранена', 'success');
+    } else if (delivery.length) {
+      const channels = delivery.map(channel => channel === 'telegram' ? 'Telegram' : 'email').join(' и ');
+      showNotification(`✉️ Ответ поставлен в очередь отправки: ${channels}`, 'success');
+    } else {
+      showNotification('⚠️ Ответ сохранен, но у пользователя нет email и Telegram', 'warning');
+    }
+  } catch (error) {
+    console.error('🍄 Ошибка отправки ответа:', error);
+    showNotification('❌ Ошибка отправки ответа', 'error');
+  } finally {
+    if (sendBtn) sendBtn.disabled = false;
+  }
+}
+
+/**
+ * Подключается к socket.io (namespace /admin) для живых обновлений тикетов
+ */
+function setupTicketSocket() {
+  if (typeof window.io !== 'function') {
+    console.warn('🍄 socket.io клиент не загружен, живые обновления отключены');
+    return;
+  }
+  
+  const headers = window.authManager ? window.authManager.getApiHeaders() : {};
+  const socket = window.io('/admin', {
+    auth: { authorization: headers.Authorization },
+    transports: ['websocket', 'polling']
+  });
+  
+  socket.on('connect_error', (error) => {
+    console.warn('🍄 Живые обновления тикетов недоступны:', error.message);
+  });
+  
+  socket.on('ticket:reply', handleTicketReplyEvent);
+  ticketsState.socket = socket;
+}
+
+/**
+ * Ответ пользователя из Telegram: обновляем список и открытое обращение
+ * @param {{ticket: Object, comment: Object}} event - Данные события
+ */
+function handleTicketReplyEvent({ ticket, comment }) {
+  const index = ticketsState.tickets.findIndex(t => t._id === ticket._id);
+  if (index !== -1) {
+    ticketsState.tickets[index] = { ...ticketsState.tickets[index], ...ticket };
+    renderRealTicketsTable();
+  }
+  
+  const overlay = document.getElementById('ticket-detail-overlay');
+  if (overlay && overlay.dataset.currentTicketId === ticket._id) {
+    renderTicketComments(ticket.comments || []);
+    const statusSelect = document.getElementById('detail-ticket-status');
+    if (statusSelect) statusSelect.value = ticket.status;
+  }
+  
+  showNotification(`💬 Новый ответ по обращению ${ticket.ticketId}: ${(comment?.content || '').substring(0, 60)}`, 'info');
+}
+
 /**
  * Отображает контекст диалога с ботом
  * @param {Object} context - Контекст диалога
@@ -1043,11 +1175,13 @@ function initTicketsPage() {
   window.quickDeleteTicket = quickDeleteTicket;
   window.quickDeleteRealTicket = quickDeleteRealTicket;
   window.changeTicketStatus = changeTicketStatus;
+  window.sendTicketReply = sendTicketReply;
   
   // Используем существующие обработчики фильтров из HTML
   setupRealTicketFilters();
   setupPaginationControls();
   setupModalEventHandlers();
+  setupTicketSocket();
   
   // Загружаем данные
   loadRealTickets();
@@ -1147,6 +1281,12 @@ function setupModalEventHandlers() {
     changeStatusBtn.addEventListener('click', changeTicketStatus);
   }
   
+  // Ответ пользователю / внутренняя заметка
+  const sendReplyBtn = document.getElementById('send-ticket-reply');
+  if (sendReplyBtn) {
+    sendReplyBtn.addEventListener('click', sendTicketReply);
+  }
+  
   // НОВАЯ: Кнопка закрытия тикета
   const closeTicketBtn = document.getElementById('close-ticket');
   if (closeTicketBtn) {
@@ -1232,6 +1372,11 @@ function closeTicketDetail() {
   if (resolutionField) {
     resolutionField.value = '';
   }
+  
+  const replyField = document.getElementById('ticket-reply-text');
+  if (replyField) {
+    replyField.value = '';
+  }
 }
 
 /**
@@ -1289,7 +1289,14 @@ class CoverCommentsModal {
                                     title="Удалить">
                                 Удалить
                             </button>
-                        ` : ''}
+                        ` : `
+                            <button class="comment__action-btn comment__report-btn" 
+                                    data-action="report-comment" 
+                                    data-comment-id="${commentId}" 
+                                    title="Пожаловаться">
+                                Пожаловаться
+                            </button>
+                        `}
                     </div>
                 </div>
             </div>
@@ -1456,6 +1463,14 @@ class CoverCommentsModal {
                 return;
             }
             
+            // Report comment
+            if (target.dataset.action === 'report-comment' || target.closest('[data-action="report-comment"]')) {
+                e.preventDefault();
+                const btn = target.dataset.action === 'report-comment' ? target : target.closest('[data-action="report-comment"]');
+                this.handleReportComment(btn);
+                return;
+            }
+            
             // Like comment
             if (target.dataset.action === 'like-comment' || target.closest('[data-action="like-comment"]')) {
                 e.preventDefault();
@@ -1770,7 +1785,9 @@ class CoverCommentsModal {
             console.error('❌ CoverCommentsModal: Failed to add comment:', error);
             
             if (window.app && window.app.showToast) {
-                window.app.showToast('Ошибка добавления комментария', 'error');
+                // Пре-модерация (COMMENT_REJECTED) и блокировка (COMMUNITY_BANNED) объясняют причину
+                const serverMessage = error && error.data && error.data.code ? error.data.error : null;
+                window.app.showToast(serverMessage || 'Ошибка добавления комментария', 'error');
             }
         } finally {
             // Re-enable button and textarea
@@ -1779,6 +1796,36 @@ class CoverCommentsModal {
         }
     }
     
+    /**
+     * 🚩 Handle report comment
+     */
+    async handleReportComment(button) {
+        if (!button) return;
+        
+        const commentId = button.dataset.commentId;
+        if (!commentId) return;
+        
+        const reason = await window.chooseReportReason();
+        if (!reason) return;
+        
+        try {
+            const response = await this.api.reportCoverComment(this.postId, commentId, reason);
+            if (!response || !response.success) {
+                throw new Error((response && response.error) || 'Failed to report comment');
+            }
+            
+            button.remove();
+            if (window.app && window.app.showToast) {
+                window.app.showToast('Спасибо! Жалоба отправлена модератору', 'success');
+            }
+        } catch (error) {
+            console.error('❌ CoverCommentsModal: Failed to report comment:', error);
+            if (window.app && window.app.showToast) {
+                window.app.showToast('Не удалось отправить жалобу', 'error');
+            }
+        }
+    }
+    
     /**
      * 🗑️ Handle delete comment
      */
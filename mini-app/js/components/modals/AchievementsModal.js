@@ -8,6 +8,7 @@
  * - Система мотивации и геймификации
  * - Категории достижений
  * - Награды и бейджи
+ * - Уровни (бронза - платина) и редкость: процент читателей с достижением
  */
 
 class AchievementsModal {
@@ -24,8 +25,8 @@ class AchievementsModal {
         this.userStats = {};
         this.loading = false;
         
-        // Конфигурация достижений
-        this.achievementConfig = this.getAchievementConfig();
+        // Определения достижений приходят с сервера вместе с прогрессом
+        this.achievementConfig = [];
         
         // Подписки на изменения состояния
         this.subscriptions = [];
@@ -75,6 +76,7 @@ class AchievementsModal {
             ]);
             
             this.achievements = achievements;
+            this.achievementConfig = achievements;
             this.userStats = stats;
             
             // Обновляем прогресс достижений
@@ -95,9 +97,17 @@ class AchievementsModal {
      * 🏅 Загрузка достижений пользователя
      */
     async loadUserAchievements() {
-        // Note: /achievements endpoint doesn't exist yet
-        // Return empty array for now, achievements are shown on AchievementsPage
-        return [];
+        try {
+            const response = await this.api.getAchievements();
+            return (response?.achievements || []).map(achievement => ({
+                ...achievement,
+                title: achievement.name,
+                unlocked: achievement.isUnlocked
+            }));
+        } catch (error) {
+            console.error('❌ Ошибка загрузки достижений:', error);
+            return [];
+        }
     }
     
     /**
@@ -187,7 +197,7 @@ class AchievementsModal {
     renderHeader() {
         const unlockedCount = this.getUnlockedAchievementsCount();
         const totalCount = this.achievementConfig.length;
-        const completionPercent = Math.round((unlockedCount / totalCount) * 100);
+        const completionPercent = totalCount ? Math.round((unlockedCount / totalCount) * 100) : 0;
         
         return `
             <div class="achievements-header">
@@ -216,7 +226,8 @@ class AchievementsModal {
      * 📈 Рендер общего прогресса
      */
     renderProgress() {
-        const categories = this.getAchievementCategories();
+        const categories = this.getAchievementCategories()
+            .filter(category => this.achievementConfig.some(a => a.category === category.id));
         
         return `
             <div class="achievements-categories">
@@ -295,7 +306,7 @@ class AchievementsModal {
         const canUnlock = progress.current >= progress.total;
         
         return `
-            <div class="achievement-item ${isUnlocked ? 'unlocked' : 'locked'} ${canUnlock && !isUnlocked ? 'ready-to-unlock' : ''}" 
+            <div class="achievement-item ${isUnlocked ? 'unlocked' : 'locked'} ${canUnlock && !isUnlocked ? 'ready-to-unlock' : ''} tier-${achievement.tier || 'bronze'}" 
                  data-achievement-id="${achievement.id}">
                 
                 <div class="achievement-icon ${isUnlocked ? 'unlocked' : 'locked'}">
@@ -306,6 +317,7 @@ class AchievementsModal {
                 <div class="achievement-info">
                     <div class="achievement-title">${achievement.title}</div>
                     <div class="achievement-description">${achievement.description}</div>
+                    ${this.renderRarity(achievement)}
                     
                     ${isUnlocked ? 
                         `<div class="achievement-completed">
@@ -335,6 +347,21 @@ class AchievementsModal {
         `;
     }
     
+    /**
+     * 💎 Рендер уровня и редкости достижения
+     */
+    renderRarity(achievement) {
+        const tier = this.getTierInfo(achievement.tier);
+        const rarity = achievement.rarity;
+        
+        return `
+            <div class="achievement-rarity ${rarity ? `rarity-${rarity.level}` : ''}">
+                <span class="achievement-tier tier-${achievement.tier || 'bronze'}">${tier.icon} ${tier.name}</span>
+                ${rarity ? `<span class="rarity-text">${rarity.label} · есть у ${this.formatRarityPercent(rarity.percent)} читателей</span>` : ''}
+            </div>
+        `;
+    }
+    
     /**
      * 💪 Рендер мотивационной секции
      */
@@ -503,6 +530,7 @@ class AchievementsModal {
                 <div class="achievement-details">
                     <div class="detail-icon">${achievement.icon}</div>
                     <div class="detail-description">${achievement.description}</div>
+                    ${this.renderRarity(achievement)}
                     
                     <div class="detail-progress">
                         <div class="progress-label">Прогресс:</div>
@@ -574,129 +602,12 @@ class AchievementsModal {
     }
     
     /**
-     * 📊 Расчет прогресса достижения
+     * 📊 Расчет прогресса достижения (текущее значение считает сервер)
      */
     calculateAchievementProgress(achievement) {
-        const stats = this.userStats;
-        
-        switch (achievement.id) {
-            case 'first_quote':
-                return { current: Math.min(stats.totalQuotes || 0, 1), total: 1 };
-            
-            case 'wisdom_collector':
-                return { current: Math.min(stats.totalQuotes || 0, 25), total: 25 };
-            
-            case 'week_philosopher':
-                return { current: Math.min(stats.currentStreak || 0, 7), total: 7 };
-            
-            case 'thinker':
-                return { current: Math.min(stats.ownThoughts || 0, 10), total: 10 };
-            
-            case 'classic_lover':
-                return { current: Math.min(stats.classicAuthors || 0, 10), total: 10 };
-            
-            case 'month_master':
-                return { current: Math.min(stats.currentStreak || 0, 30), total: 30 };
-            
-            case 'hundred_quotes':
-                return { current: Math.min(stats.totalQuotes || 0, 100), total: 100 };
-            
-            case 'year_reader':
-                return { current: Math.min(stats.currentStreak || 0, 365), total: 365 };
-            
-            default:
-                return { current: 0, total: 1 };
-        }
-    }
-    
-    /**
-     * 🏆 Получение конфигурации достижений
-     */
-    getAchievementConfig() {
-        return [
-            // Категория: Первые шаги
-            {
-                id: 'first_quote',
-                title: 'Первые шаги',
-                description: 'Добавили первую цитату в дневник',
-                icon: '🌟',
-                category: 'beginner',
-                unit: 'цитата',
-                tips: 'Просто отправьте любую понравившуюся цитату боту!',
-                reward: { icon: '🎉', text: 'Доступ к персональному анализу' }
-            },
-            {
-                id: 'wisdom_collector',
-                title: 'Коллекционер мудрости',
-                description: 'Собрали 25 цитат',
-                icon: '📚',
-                category: 'beginner',
-                unit: 'цитат',
-                tips: 'Сохраняйте цитаты регулярно - по одной в день!'
-            },
-            
-            // Категория: Постоянство
-            {
-                id: 'week_philosopher',
-                title: 'Философ недели',
-                description: '7 дней подряд добавляйте цитаты',
-                icon: '🔥',
-                category: 'consistency',
-                unit: 'дней',
-                tips: 'Добавляйте хотя бы одну цитату каждый день в течение недели',
-                reward: { icon: '⭐', text: 'Еженедельный бонус к анализу' }
-            },
-            {
-                id: 'month_master',
-                title: 'Мастер месяца',
-                description: '30 дней подряд добавляйте цитаты',
-                icon: '👑',
-                category: 'consistency',
-                unit: 'дней',
-                tips: 'Создайте привычку - добавляйте цитаты в одно и то же время'
-            },
-            {
-                id: 'year_reader',
-                title: 'Читатель года',
-                description: '365 дней подряд добавляйте цитаты',
-                icon: '🏆',
-                category: 'consistency',
-                unit: 'дней',
-                tips: 'Создайте систему напоминаний и не пропускайте ни дня!',
-                reward: { icon: '💎', text: 'Эксклюзивный анализ от Анны' }
-            },
-            
-            // Категория: Качество
-            {
-                id: 'thinker',
-                title: 'Мыслитель',
-                description: 'Добавьте 10 собственных мыслей',
-                icon: '💎',
-                category: 'quality',
-                unit: 'мыслей',
-                tips: 'Записывайте свои размышления без указания автора'
-            },
-            {
-                id: 'classic_lover',
-                title: 'Любитель классики',
-                description: '10 цитат классических авторов',
-                icon: '🎭',
-                category: 'quality',
-                unit: 'цитат',
-                tips: 'Исследуйте произведения великих писателей и философов'
-            },
-            
-            // Категория: Масштаб
-            {
-                id: 'hundred_quotes',
-                title: 'Сотня мудрости',
-                description: 'Собрали 100 цитат',
-                icon: '💯',
-                category: 'scale',
-                unit: 'цитат',
-                tips: 'Продолжайте собирать цитаты из разных источников'
-            }
-        ];
+        const total = achievement.targetValue || 1;
+        const current = achievement.unlocked ? total : Math.min(achievement.currentValue || 0, total);
+        return { current, total };
     }
     
     /**
@@ -707,10 +618,32 @@ class AchievementsModal {
             { id: 'beginner', name: 'Первые шаги', icon: '🌱' },
             { id: 'consistency', name: 'Постоянство', icon: '🔥' },
             { id: 'quality', name: 'Качество', icon: '💎' },
-            { id: 'scale', name: 'Масштаб', icon: '📈' }
+            { id: 'scale', name: 'Масштаб', icon: '📈' },
+            { id: 'community', name: 'Сообщество', icon: '🤝' }
         ];
     }
     
+    /**
+     * 🥇 Информация об уровне достижения
+     */
+    getTierInfo(tier) {
+        const tiers = {
+            bronze: { name: 'Бронза', icon: '🥉' },
+            silver: { name: 'Серебро', icon: '🥈' },
+            gold: { name: 'Золото', icon: '🥇' },
+            platinum: { name: 'Платина', icon: '💎' }
+        };
+        return tiers[tier] || tiers.bronze;
+    }
+    
+    /**
+     * 📊 Форматирование доли читателей (меньше 1% показываем как «<1%»)
+     */
+    formatRarityPercent(percent) {
+        if (percent > 0 && percent < 1) return '<1%';
+        return `${Math.round(percent)}%`;
+    }
+    
     /**
      * 📋 Группировка достижений по категориям
      */
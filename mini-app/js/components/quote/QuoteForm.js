@@ -946,11 +946,13 @@ class QuoteForm {
             }
 
             // Извлекаем данные из ответа сервера
-            const quoteDataFromServer = savedQuote?.data || savedQuote;
+            const quoteDataFromServer = savedQuote?.data || savedQuote?.quote || savedQuote;
+            // 📴 Без сети цитата ушла в офлайн-очередь: анализа пока нет
+            const isQueued = Boolean(savedQuote?.queued);
             console.log('LOG: QuoteForm - извлеченные данные цитаты:', quoteDataFromServer);
 
             // Обновляем локальный aiAnalysis из ответа сервера
-            if (quoteDataFromServer && !this.options.initialData) {
+            if (quoteDataFromServer && !this.options.initialData && !isQueued) {
                 const serverAnalysis = {
                     category: quoteDataFromServer.category,
                     themes: quoteDataFromServer.themes,
@@ -1024,11 +1026,15 @@ class QuoteForm {
             }
 
             // Показываем успешное сообщение
-            this.showSuccess(
-                this.options.initialData ? 
-                'Цитата успешно обновлена!' : 
-                'Цитата добавлена в ваш дневник!'
-            );
+            if (isQueued) {
+                this.showSuccess('Сохранено офлайн, отправим при появлении сети');
+            } else {
+                this.showSuccess(
+                    this.options.initialData ? 
+                    'Цитата успешно обновлена!' : 
+                    'Цитата добавлена в ваш дневник!'
+                );
+            }
             
             console.log('LOG: QuoteForm.handleSave - сохранение завершено успешно');
 
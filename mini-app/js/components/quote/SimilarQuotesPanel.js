@@ -0,0 +1,177 @@
+/**
+ * 🔗 SIMILAR QUOTES PANEL COMPONENT
+ *
+ * Inline panel under a diary quote card with semantically similar quotes
+ * Features:
+ * - Scope toggle: own diary / community
+ * - Similarity percentage for each match
+ * - Loading, empty and error states
+ *
+ * @version 1.0.0
+ */
+
+class SimilarQuotesPanel {
+    /**
+     * @param {Object} options - Configuration options
+     * @param {string} options.quoteId - Source quote ID
+     * @param {Object} options.api - API service instance
+     * @param {Object} [options.telegram] - Telegram service (haptic feedback)
+     * @param {number} [options.limit=5] - Number of results
+     */
+    constructor(options = {}) {
+        this.quoteId = options.quoteId;
+        this.api = options.api || (window.app && window.app.api);
+        this.telegram = options.telegram || (window.app && window.app.telegram);
+        this.limit = options.limit || 5;
+
+        this.scope = 'own';
+        this.loading = false;
+        this.element = null;
+        this._requestId = 0;
+
+        this._handleClick = this._handleClick.bind(this);
+    }
+
+    /**
+     * Mount panel into a quote card
+     * @param {HTMLElement} card - Quote card element
+     */
+    mount(card) {
+        this.element = document.createElement('div');
+        this.element.className = 'similar-quotes-panel';
+        this.element.addEventListener('click', this._handleClick);
+        card.appendChild(this.element);
+        this.load();
+    }
+
+    /**
+     * Load similar quotes for current scope
+     */
+    async load() {
+        const requestId = ++this._requestId;
+        this.loading = true;
+        this.update({ state: 'loading' });
+
+        try {
+            const response = await this.api.getSimilarQuotes(this.quoteId, {
+                scope: this.scope,
+                limit: this.limit
+            });
+            if (requestId !== this._requestId) return;
+
+            const similar = response?.similar || [];
+            this.update({ state: similar.length > 0 ? 'ready' : 'empty', similar });
+        } catch (error) {
+            if (requestId !== this._requestId) return;
+            console.error('❌ Similar quotes error:', error);
+            this.update({ state: 'error' });
+        } finally {
+            if (requestId === this._requestId) {
+                this.loading = false;
+            }
+        }
+    }
+
+    /**
+     * Re-render panel content
+     * @param {Object} data - Render data
+     * @param {string} data.state - loading | ready | empty | error
+     * @param {Array} [data.similar] - Similar quotes
+     */
+    update(data) {
+        if (!this.element) return;
+        this.element.innerHTML = this.render(data);
+    }
+
+    /**
+     * Render panel HTML
+     * @param {Object} data - Render data
+     * @returns {string} HTML string
+     */
+    render({ state, similar = [] }) {
+        return `
+            <div class="similar-quotes-header">
+                <span class="similar-quotes-title">🔗 Похожие цитаты</span>
+                <div class="similar-quotes-scope">
+                    <button class="similar-scope-btn${this.scope === 'own' ? ' active' : ''}" data-scope="own">Мои</button>
+                    <button class="similar-scope-btn${this.scope === 'community' ? ' active' : ''}" data-scope="community">Сообщество</button>
+                </div>
+            </div>
+            <div class="similar-quotes-body">
+                ${this.renderBody(state, similar)}
+            </div>
+        `;
+    }
+
+    /**
+     * @param {string} state - Panel state
+     * @param {Array} similar - Similar quotes
+     * @returns {string} HTML string
+     */
+    renderBody(state, similar) {
+        if (state === 'loading') {
+            return '<div class="similar-quotes-status">Ищем похожие мысли...</div>';
+        }
+        if (state === 'error') {
+            return '<div class="similar-quotes-status">Не удалось загрузить похожие цитаты</div>';
+        }
+        if (state === 'empty') {
+            return this.scope === 'own'
+                ? '<div class="similar-quotes-status">В дневнике пока нет похожих цитат</div>'
+                : '<div class="similar-quotes-status">Похожих цитат в сообществе не нашлось</div>';
+        }
+
+        return similar.map(quote => `
+            <div class="similar-quote-item">
+                <div class="similar-quote-text">${this.escapeHtml(quote.text)}</div>
+                <div class="similar-quote-meta">
+                    ${quote.author ? `<span class="similar-quote-author">— ${this.escapeHtml(quote.author)}</span>` : ''}
+                    ${quote.user ? `<span class="similar-quote-user">${this.escapeHtml(quote.user.name)}</span>` : ''}
+                    <span class="similar-quote-score">${Math.round((quote.similarity || 0) * 100)}%</span>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Clicks inside the panel must not reach the diary card handlers
+     * @param {Event} e - Click event
+     */
+    _handleClick(e) {
+        e.stopPropagation();
+
+        const scopeBtn = e.target.closest('.similar-scope-btn');
+        if (scopeBtn && scopeBtn.dataset.scope !== this.scope) {
+            this.scope = scopeBtn.dataset.scope;
+            this.telegram?.hapticFeedback?.('light');
+            this.load();
+        }
+    }
+
+    /**
+     * @param {string} text - Raw text
+     * @returns {string} Escaped HTML
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text || '';
+        return div.innerHTML;
+    }
+
+    /**
+     * Remove panel from DOM
+     */
+    destroy() {
+        this._requestId++;
+        if (this.element) {
+            this.element.removeEventListener('click', this._handleClick);
+            this.element.remove();
+            this.element = null;
+        }
+    }
+}
+
+// Export to global scope
+if (typeof window !== 'undefined') {
+    window.SimilarQuotesPanel = SimilarQuotesPanel;
+}
@@ -39,6 +39,10 @@ class ReaderApp {
 
         this.handleError = this.handleError.bind(this);
         this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+        this.handleOnline = this.handleOnline.bind(this);
+        this.handleServiceWorkerMessage = this.handleServiceWorkerMessage.bind(this);
+        this.handleQuoteSynced = this.handleQuoteSynced.bind(this);
+        this.handleQuoteSyncFailed = this.handleQuoteSyncFailed.bind(this);
 
         // === GLOBAL DEBUG REFERENCES ===
         // Set global window references for manual debugging in console
@@ -648,8 +652,13 @@ class ReaderApp {
         this.hideLoadingScreen();
         this.showApp();
         this.registerLifecycleHandlers();
+        this.initializeOfflineSync();
         this.isInitialized = true;
         this.telegram?.ready?.();
+        this.api?.trackEvent('app_open', {
+            platform: window.Telegram?.WebApp?.platform || 'web',
+            startRoute: this.router?.currentRoute || ''
+        });
         console.log('✅ Приложение полностью готово к работе');
     }
 
@@ -851,6 +860,71 @@ class ReaderApp {
         }
     }
 
+    /**
+     * 📴 Офлайн-режим: service worker с app shell и отправка цитат из офлайн-очереди
+     * при старте, при появлении сети и по Background Sync
+     */
+    initializeOfflineSync() {
+        window.addEventListener('online', this.handleOnline);
+        document.addEventListener('quotes:synced', this.handleQuoteSynced);
+        document.addEventListener('quotes:sync-failed', this.handleQuoteSyncFailed);
+
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.register('service-worker.js', { scope: './' })
+                .then(registration => console.log('✅ Service worker зарегистрирован:', registration.scope))
+                .catch(error => console.warn('⚠️ Не удалось зарегистрировать service worker:', error));
+            navigator.serviceWorker.addEventListener('message', this.handleServiceWorkerMessage);
+        }
+
+        if (navigator.onLine !== false) {
+            this.syncOfflineQuotes();
+        }
+    }
+
+    handleOnline() {
+        console.log('🌐 Сеть появилась - отправляем офлайн-цитаты');
+        this.syncOfflineQuotes();
+    }
+
+    handleServiceWorkerMessage(event) {
+        if (event.data?.type === 'SYNC_QUOTES') {
+            this.syncOfflineQuotes();
+        }
+    }
+
+    /**
+     * Заменяет офлайн-черновик цитаты (id = clientId) на сохраненную сервером
+     */
+    handleQuoteSynced(event) {
+        const { clientId, quote } = event.detail || {};
+        if (!clientId || !quote) return;
+        const items = this.state.get('quotes.items') || [];
+        this.state.set('quotes.items', items.map(item => (
+            item.clientId === clientId ? { ...quote, id: quote.id || quote._id } : item
+        )));
+    }
+
+    handleQuoteSyncFailed(event) {
+        const { clientId } = event.detail || {};
+        if (clientId) this.state.removeQuote(clientId);
+    }
+
+    async syncOfflineQuotes() {
+        if (!this.api?.syncPendingQuotes) return;
+        try {
+            const { synced, failed } = await this.api.syncPendingQuotes();
+            if (synced > 0) {
+                this.telegram?.hapticFeedback?.('success');
+                window.showNotification?.(`Офлайн-цитаты отправлены: ${synced}`, 'success');
+            }
+            if (failed > 0) {
+                window.showNotification?.(`Не удалось сохранить цитат: ${failed}`, 'error');
+            }
+        } catch (error) {
+            console.warn('⚠️ Ошибка синхронизации офлайн-цитат:', error);
+        }
+    }
+
     async createDebugUser() {
         const debugUserId = 12345 + Math.floor(Math.random() * 1000);
         const debugTelegramData = {
@@ -937,6 +1011,7 @@ class ReaderApp {
     handleVisibilityChange() {
         if (document.hidden) {
             console.log('📱 Приложение скрыто');
+            this.api?.flushEvents({ keepalive: true });
         } else {
             console.log('📱 Приложение показано');
             this.refreshData();
@@ -1038,6 +1113,12 @@ class ReaderApp {
         document.removeEventListener('visibilitychange', this.handleVisibilityChange);
         window.removeEventListener('error', this.handleError);
         window.removeEventListener('unhandledrejection', this.handleError);
+        window.removeEventListener('online', this.handleOnline);
+        document.removeEventListener('quotes:synced', this.handleQuoteSynced);
+        document.removeEventListener('quotes:sync-failed', this.handleQuoteSyncFailed);
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.removeEventListener('message', this.handleServiceWorkerMessage);
+        }
         if (this.router?.destroy) this.router.destroy();
         if (this.state?.cleanup) this.state.cleanup();
         this.isInitialized = false;
@@ -521,6 +521,7 @@ class AppRouter {
             }
             
             console.log(`✅ Router: Навигация к ${normalizedPath} завершена`);
+            this.api?.trackEvent?.('page_view', { page: normalizedPath });
             
         } catch (error) {
             console.error(`❌ Router: Ошибка навигации к ${normalizedPath}:`, error);
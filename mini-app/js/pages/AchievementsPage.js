@@ -27,6 +27,11 @@ class AchievementsPage {
         this.aliceProgress = null;
         this.aliceLoading = false;
         
+        // Challenges state
+        this.challenges = { active: [], completed: [] };
+        this.challengesLoading = false;
+        this.claimingChallenge = null;
+        
         // Подписки на изменения состояния
         this.subscriptions = [];
         
@@ -58,24 +63,28 @@ class AchievementsPage {
         this._quoteAddedHandler = () => {
             console.log('📖 Quote added, refreshing Alice progress...');
             this.refreshAliceProgress();
+            this.refreshChallenges();
         };
         window.addEventListener('quote:added', this._quoteAddedHandler);
         
         this._likeChangedHandler = () => {
             console.log('❤️ Like changed, refreshing Alice progress...');
             this.refreshAliceProgress();
+            this.refreshChallenges();
         };
         window.addEventListener('like:changed', this._likeChangedHandler);
         
         this._followChangedHandler = () => {
             console.log('👥 Follow changed, refreshing Alice progress...');
             this.refreshAliceProgress();
+            this.refreshChallenges();
         };
         window.addEventListener('follow:changed', this._followChangedHandler);
         
         this._photoUploadedHandler = () => {
             console.log('📸 Photo uploaded, refreshing Alice progress...');
             this.refreshAliceProgress();
+            this.refreshChallenges();
         };
         window.addEventListener('photo:uploaded', this._photoUploadedHandler);
     }
@@ -110,6 +119,7 @@ class AchievementsPage {
             <div class="content">
                 ${this.renderHeader()}
                 ${this.renderAliceBadgeSection()}
+                <div id="challengesSection">${this.renderChallenges()}</div>
                 ${this.renderEarnedAchievements()}
                 ${this.renderError()}
             </div>
@@ -120,18 +130,23 @@ class AchievementsPage {
      * 📋 Рендер заголовка страницы
      */
     renderHeader() {
-        // Alice-based header: show "0 из 1" when not claimed, "1 из 1" when claimed
-        const claimed = this.aliceProgress?.claimed ? 1 : 0;
-        const total = 1;
-        
         return `
             <div class="page-header">
                 <h1>Достижения</h1>
-                <p>Ваши награды (${claimed} из ${total})</p>
+                <p>${this.getHeaderText()}</p>
             </div>
         `;
     }
     
+    /**
+     * 🔢 Текст счетчика наград: бейдж Алисы + челленджи
+     */
+    getHeaderText() {
+        const claimed = (this.aliceProgress?.claimed ? 1 : 0) + this.challenges.completed.length;
+        const total = 1 + this.challenges.active.length + this.challenges.completed.length;
+        return `Ваши награды (${claimed} из ${total})`;
+    }
+    
     /**
      * 🎖️ Рендер секции Alice Badge
      */
@@ -257,6 +272,104 @@ class AchievementsPage {
         `;
     }
     
+    /**
+     * 🎯 Рендер челленджей: активные с прогрессом и выполненные
+     */
+    renderChallenges() {
+        const { active, completed } = this.challenges;
+        if (active.length === 0 && completed.length === 0) {
+            return '';
+        }
+        
+        return `
+            ${active.length > 0 ? `
+                <div class="challenges-section">
+                    <h3>🎯 Челленджи</h3>
+                    ${active.map(challenge => this.renderActiveChallenge(challenge)).join('')}
+                </div>
+            ` : ''}
+            ${completed.length > 0 ? `
+                <div class="challenges-section">
+                    <h3>✅ Выполненные челленджи</h3>
+                    ${completed.map(challenge => this.renderCompletedChallenge(challenge)).join('')}
+                </div>
+            ` : ''}
+        `;
+    }
+    
+    /**
+     * 🎯 Карточка активного челленджа
+     */
+    renderActiveChallenge(challenge) {
+        const claiming = this.claimingChallenge === challenge.slug;
+        const daysLeft = challenge.daysLeft > 0 ? `Осталось дней: ${challenge.daysLeft}` : 'Последний день';
+        
+        return `
+            <div class="challenge-card" data-challenge-slug="${this.escapeHtml(challenge.slug)}">
+                <div class="challenge-header">
+                    ${challenge.image
+                        ? `<img src="${this.escapeHtml(challenge.image)}" alt="" class="challenge-image">`
+                        : `<div class="challenge-emoji">${this.escapeHtml(challenge.emoji || '🏆')}</div>`}
+                    <div class="challenge-info">
+                        <h4 class="challenge-title">${this.escapeHtml(challenge.title)}</h4>
+                        <div class="challenge-meta">${daysLeft} · ${challenge.percent}%</div>
+                    </div>
+                </div>
+                ${challenge.description ? `<p class="challenge-description">${this.escapeHtml(challenge.description)}</p>` : ''}
+                <div class="alice-progress-list">
+                    ${challenge.criteria.map(criterion => `
+                        <div class="alice-progress-item${criterion.completed ? ' completed' : ''}">
+                            <div class="alice-progress-header">
+                                <span class="alice-progress-label">${this.escapeHtml(criterion.label)}</span>
+                                <span class="alice-progress-counter">${Math.min(criterion.current, criterion.target)}/${criterion.target}</span>
+                            </div>
+                            <div class="alice-progress-bar">
+                                <div class="alice-progress-fill" style="width: ${criterion.percent}%"></div>
+                            </div>
+                        </div>
+                    `).join('')}
+                </div>
+                ${challenge.reward?.title ? `<div class="challenge-reward">🎁 ${this.escapeHtml(challenge.reward.title)}</div>` : ''}
+                <button 
+                    class="alice-claim-button challenge-claim-button" 
+                    data-challenge-slug="${this.escapeHtml(challenge.slug)}"
+                    ${!challenge.completed || claiming ? 'disabled' : ''}
+                >
+                    ${claiming ? 'Получаем награду...' : (challenge.completed ? 'Получить награду' : 'Выполните все условия')}
+                </button>
+            </div>
+        `;
+    }
+    
+    /**
+     * ✅ Карточка выполненного челленджа
+     */
+    renderCompletedChallenge(challenge) {
+        const reward = challenge.reward || {};
+        let rewardDetails = '';
+        if (reward.type === 'promo_code' && reward.promoCode) {
+            rewardDetails = `Промокод: <strong>${this.escapeHtml(reward.promoCode)}</strong>`;
+        } else if (reward.type === 'entitlement') {
+            rewardDetails = reward.expiresAt
+                ? `Доступ открыт до ${new Date(reward.expiresAt).toLocaleDateString()}`
+                : 'Доступ открыт';
+        }
+        
+        return `
+            <div class="challenge-card completed">
+                <div class="challenge-header">
+                    <div class="challenge-emoji">${this.escapeHtml(challenge.emoji || '🏆')}</div>
+                    <div class="challenge-info">
+                        <h4 class="challenge-title">${this.escapeHtml(challenge.title)}</h4>
+                        ${challenge.claimedAt ? `<div class="challenge-meta">Получено: ${new Date(challenge.claimedAt).toLocaleDateString()}</div>` : ''}
+                    </div>
+                </div>
+                ${reward.title ? `<div class="challenge-reward">🎁 ${this.escapeHtml(reward.title)}</div>` : ''}
+                ${rewardDetails ? `<div class="challenge-reward-details">${rewardDetails}</div>` : ''}
+            </div>
+        `;
+    }
+    
     /**
      * 🏆 Рендер полученных наград (только разблокированные)
      */
@@ -391,7 +504,7 @@ class AchievementsPage {
             }
             
             const headerP = document.querySelector('.page-header p');
-            if (headerP) headerP.textContent = `Ваши награды (${this.aliceProgress?.claimed ? 1 : 0} из 1)`;
+            if (headerP) headerP.textContent = this.getHeaderText();
             
             const claimBtn = document.getElementById('aliceClaimButton');
             if (claimBtn) {
@@ -460,6 +573,112 @@ class AchievementsPage {
         }
     }
     
+    /**
+     * 🎯 Загрузка челленджей
+     */
+    async loadChallenges() {
+        if (this.challengesLoading) return;
+        
+        try {
+            this.challengesLoading = true;
+            const response = await this.api.getChallenges();
+            this.challenges = {
+                active: response?.data?.active || [],
+                completed: response?.data?.completed || []
+            };
+        } catch (error) {
+            console.warn('⚠️ Failed to load challenges:', error);
+        } finally {
+            this.challengesLoading = false;
+        }
+    }
+    
+    /**
+     * 🔄 Обновление челленджей без перерисовки всей страницы
+     */
+    async refreshChallenges() {
+        await this.loadChallenges();
+        
+        const section = document.getElementById('challengesSection');
+        if (section) {
+            section.innerHTML = this.renderChallenges();
+            this.attachChallengeListeners();
+        }
+        
+        const headerP = document.querySelector('.page-header p');
+        if (headerP) headerP.textContent = this.getHeaderText();
+    }
+    
+    /**
+     * 🎁 Получение награды за челлендж
+     */
+    async handleChallengeClaimClick(slug) {
+        if (this.claimingChallenge) return;
+        
+        const challenge = this.challenges.active.find(item => item.slug === slug);
+        if (!challenge?.completed) return;
+        
+        try {
+            this.claimingChallenge = slug;
+            if (this.telegram?.hapticFeedback) {
+                this.telegram.hapticFeedback('medium');
+            }
+            
+            const result = await this.api.claimChallenge(slug);
+            const reward = result?.reward || {};
+            let message = 'Награда получена!';
+            if (reward.type === 'promo_code' && reward.promoCode) {
+                message = `Награда получена! Ваш промокод: ${reward.promoCode}`;
+            } else if (reward.type === 'entitlement') {
+                message = 'Награда получена! Доступ к разбору открыт';
+                if (reward.expiresAt) {
+                    window.dispatchEvent(new CustomEvent('entitlement:granted', {
+                        detail: { resourceId: reward.resourceId, expiresAt: reward.expiresAt }
+                    }));
+                }
+            }
+            
+            if (this.telegram?.showAlert) {
+                this.telegram.showAlert(message);
+            } else {
+                alert(message);
+            }
+        } catch (error) {
+            console.error('❌ Failed to claim challenge:', error);
+            const errorMsg = error?.data?.code === 'CHALLENGE_NOT_ACTIVE'
+                ? 'Челлендж уже завершился.'
+                : 'Ошибка при получении награды. Попробуйте позже.';
+            if (this.telegram?.showAlert) {
+                this.telegram.showAlert(errorMsg);
+            } else {
+                alert(errorMsg);
+            }
+        } finally {
+            this.claimingChallenge = null;
+            await this.refreshChallenges();
+        }
+    }
+    
+    /**
+     * 🎯 Обработчики кнопок челленджей
+     */
+    attachChallengeListeners() {
+        document.querySelectorAll('.challenge-claim-button').forEach(button => {
+            button.addEventListener('click', () => {
+                this.handleChallengeClaimClick(button.dataset.challengeSlug);
+            });
+        });
+    }
+    
+    /**
+     * 🛡️ Экранирование текста из админки
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text == null ? '' : String(text);
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+    
     /**
      * 📱 Навешивание обработчиков событий
      */
@@ -480,6 +699,8 @@ class AchievementsPage {
                 this.handleAliceClaimClick();
             });
         }
+        
+        this.attachChallengeListeners();
     }
     
     /**
@@ -648,8 +869,11 @@ ${achievement.hint ? `💡 Подсказка: ${achievement.hint}` : ''}
             await this.loadAchievementsData();
         }
         
-        // Load Alice progress
-        await this.loadAliceProgress();
+        // Load Alice progress and challenges
+        await Promise.all([
+            this.loadAliceProgress(),
+            this.loadChallenges()
+        ]);
         
         // Re-render the page content
         const container = document.getElementById('page-content');
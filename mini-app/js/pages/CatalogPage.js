@@ -52,6 +52,7 @@ class CatalogPage {
         
         // Примеры данных (точно из концепта)
         this.userTags = ['Психология', 'Отношения', 'Саморазвитие'];
+        this.recommendations = []; // Персональные рекомендации с объяснениями (GET /recommendations)
         this.books = [];
         
         // Top week IDs для бейджей
@@ -284,6 +285,8 @@ class CatalogPage {
                 return;
             }
             
+            await this.loadRecommendations();
+            
             // Попытка получить weeklyReport через API
             if (this.api.getWeeklyReports) {
                 const response = await this.api.getWeeklyReports({ limit: 1 }, userId);
@@ -335,6 +338,19 @@ class CatalogPage {
         console.log('📝 CatalogPage: No personalization topics, will show placeholder');
     }
     
+    /**
+     * 📚 Загрузка персональных рекомендаций (книги + "потому что ...")
+     */
+    async loadRecommendations() {
+        try {
+            const response = await this.api.getRecommendations();
+            this.recommendations = (response?.recommendations || []).slice(0, 3);
+        } catch (error) {
+            console.warn('⚠️ CatalogPage: Recommendations unavailable:', error.message);
+            this.recommendations = [];
+        }
+    }
+    
     /**
      * 🔄 Конвертация данных API в формат для отображения
      */
@@ -742,7 +758,7 @@ class CatalogPage {
      */
     renderPersonalizationCard() {
         // Если нет тем - показать placeholder (вариант 2)
-        if (!this.userTags || this.userTags.length === 0) {
+        if ((!this.userTags || this.userTags.length === 0) && this.recommendations.length === 0) {
             return `
                 <div class="personalization-card">
                     <div class="personalization-title">🎯 Персональные рекомендации по категориям</div>
@@ -760,6 +776,26 @@ class CatalogPage {
                         <span class="user-tag">${tag}</span>
                     `).join('')}
                 </div>
+                ${this.renderRecommendationsList()}
+            </div>
+        `;
+    }
+    
+    /**
+     * 📚 Список "Для вас": книга и объяснение, почему она рекомендована
+     */
+    renderRecommendationsList() {
+        if (this.recommendations.length === 0) return '';
+        
+        const escapeHtml = window.escapeHtml || ((text) => text);
+        return `
+            <div class="personal-recommendations">
+                ${this.recommendations.map(rec => `
+                    <div class="personal-recommendation" data-highlight-slug="${escapeHtml(rec.bookSlug || '')}">
+                        <div class="personal-recommendation-title">${escapeHtml(rec.title || '')}</div>
+                        <div class="personal-recommendation-reason">${escapeHtml(rec.reasoning || '')}</div>
+                    </div>
+                `).join('')}
             </div>
         `;
     }
@@ -1026,6 +1062,21 @@ class CatalogPage {
             });
         });
         
+        // Персональные рекомендации: показываем книгу в каталоге
+        const recommendationItems = document.querySelectorAll('.personal-recommendation');
+        recommendationItems.forEach(item => {
+            item.addEventListener('click', () => {
+                const slug = item.dataset.highlightSlug;
+                if (!slug) return;
+                if (this.activeFilter !== 'ВСЕ' || this.searchQuery) {
+                    this.activeFilter = 'ВСЕ';
+                    this.searchQuery = '';
+                    this.rerender();
+                }
+                this.applyHighlight(slug);
+            });
+        });
+        
         // Кнопки покупки
         const buyButtons = document.querySelectorAll('.buy-button');
         buyButtons.forEach(btn => {
@@ -926,6 +926,8 @@ class CommunityPage {
             return '';
         }
         
+        const currentUserId = this.api && typeof this.api.resolveUserId === 'function' ? this.api.resolveUserId() : null;
+        
         return quotes.map((quote, index) => {
             const quoteText = quote.text || quote.content || '';
             const quoteAuthor = quote.author || 'Неизвестный автор';
@@ -935,6 +937,8 @@ class CommunityPage {
             const storeEntry = this._likeStore.get(normalizedKey);
             const isLiked = storeEntry ? storeEntry.liked : !!quote.likedByMe;
             const favoritesCount = storeEntry ? storeEntry.count : (quote.favorites || quote.count || 0);
+            // Жалоба возможна только на реальную цитату другого читателя
+            const canReport = !!quote._id && String(quote.userId || '') !== String(currentUserId || '');
             
             return `
                 <div class="quote-card" data-quote-id="${quote.id || `${chunkId}-${index}`}">
@@ -952,6 +956,7 @@ class CommunityPage {
                                     <span class="like-icon">${isLiked ? '❤️' : '♡'}</span> <span class="like-count">${favoritesCount}</span>
                                 </button>
                             </div>
+                            ${canReport ? `<button type="button" class="quote-card__report-btn" data-action="report-quote" data-quote-id="${quote._id}" title="Пожаловаться">🚩</button>` : ''}
                         </div>
                     </div>
                 </div>
@@ -2304,6 +2309,7 @@ async refreshSpotlight() {
                     <button class="cover-card__action-btn" data-action="show-comments" data-post-id="${postId}">
                         💬 ${commentsCount > 0 ? commentsCount : 'Комментарии'}
                     </button>
+                    ${isOwnPost ? '' : `<button class="cover-card__action-btn cover-card__report-btn" data-action="report-cover" data-post-id="${postId}" title="Пожаловаться">🚩</button>`}
                 </div>
                 <div class="cover-card__comments-section" id="comments-${postId}" style="display: none;"></div>
             </div>
@@ -3700,6 +3706,15 @@ renderAchievementsSection() {
                 return;
             }
             
+            // Handle report cover / community quote
+            if (target.dataset.action === 'report-cover' || target.dataset.action === 'report-quote') {
+                event.preventDefault();
+                const isCover = target.dataset.action === 'report-cover';
+                this.handleReport(isCover ? 'cover' : 'quote', isCover ? target.dataset.postId : target.dataset.quoteId, target);
+                this.triggerHapticFeedback('light');
+                return;
+            }
+            
             // Handle show comments
             if (target.dataset.action === 'show-comments') {
                 event.preventDefault();
@@ -4326,7 +4341,11 @@ renderAchievementsSection() {
                 this.triggerHapticFeedback('success');
                 
                 // Показываем уведомление
-                this.showNotification('Цитата добавлена в ваш дневник!', 'success');
+                if (response.queued) {
+                    this.showNotification('📴 Сохранено офлайн, отправим при появлении сети', 'info');
+                } else {
+                    this.showNotification('Цитата добавлена в ваш дневник!', 'success');
+                }
                 
                 // Возвращаем кнопку в исходное состояние через 2 секунды
                 setTimeout(() => {
@@ -5024,6 +5043,39 @@ renderAchievementsSection() {
         });
     }
     
+    /**
+     * 🚩 Жалоба модератору на обложку или цитату из ленты
+     * @param {'cover'|'quote'} targetType - Тип контента
+     * @param {string} targetId - ID поста или цитаты
+     * @param {HTMLElement} [button] - Кнопка жалобы (скрывается после отправки)
+     */
+    async handleReport(targetType, targetId, button) {
+        if (!targetId) return;
+        
+        const reason = await window.chooseReportReason();
+        if (!reason) return;
+        
+        try {
+            const response = targetType === 'cover'
+                ? await this.api.reportCover(targetId, reason)
+                : await this.api.reportCommunityQuote(targetId, reason);
+            
+            if (!response || !response.success) {
+                throw new Error((response && response.error) || 'Failed to report');
+            }
+            
+            if (button) button.remove();
+            if (window.app && window.app.showToast) {
+                window.app.showToast('Спасибо! Жалоба отправлена модератору', 'success');
+            }
+        } catch (error) {
+            console.error('❌ CommunityPage: Failed to report content:', error);
+            if (window.app && window.app.showToast) {
+                window.app.showToast(error?.data?.error || 'Не удалось отправить жалобу', 'error');
+            }
+        }
+    }
+    
     /**
      * 📸 Handle delete cover post
      * @param {string} postId - Post ID
@@ -18,7 +18,7 @@ class DiaryPage {
         this.telegram = app.telegram;
         
         // Состояние страницы (точно как в концепте)
-        this.activeTab = 'add'; // add, my-quotes
+        this.activeTab = 'add'; // add, my-quotes, import
         this.currentFilter = 'all'; // all, favorites, this-week, by-author
         this.searchQuery = '';
         
@@ -52,6 +52,16 @@ class DiaryPage {
         this.analysisStartTime = null;
         this.analysisVisible = false;
         
+        // 📥 Состояние импорта (Kindle, CSV, текст)
+        this.importState = {
+            content: '',
+            filename: '',
+            preview: null,
+            excluded: new Set(),
+            loading: false,
+            result: null
+        };
+        
         // Removed global quote delegation flag
         
         this.init();
@@ -290,6 +300,7 @@ class DiaryPage {
             <div class="tabs">
                 <button class="tab ${this.activeTab === 'add' ? 'active' : ''}" data-tab="add">✍️ Добавить</button>
                 <button class="tab ${this.activeTab === 'my-quotes' ? 'active' : ''}" data-tab="my-quotes">📚 Мои цитаты</button>
+                <button class="tab ${this.activeTab === 'import' ? 'active' : ''}" data-tab="import">📥 Импорт</button>
             </div>
         `;
     }
@@ -300,6 +311,8 @@ class DiaryPage {
                 return this.renderAddTab();
             case 'my-quotes':
                 return this.renderMyQuotesTab();
+            case 'import':
+                return this.renderImportTab();
             default:
                 return this.renderAddTab();
         }
@@ -336,6 +349,91 @@ class DiaryPage {
         `;
     }
     
+    /**
+     * 📥 ТАБ ИМПОРТА: Kindle "My Clippings.txt", CSV Goodreads/Bookmate, список "цитата — автор"
+     */
+    renderImportTab() {
+        const { content, filename, preview, loading, result } = this.importState;
+
+        if (result) {
+            return `
+                <div class="form-section import-section">
+                    <div class="ai-insight import-result">
+                        <div class="ai-title">✅ Импорт завершён</div>
+                        <div class="ai-text">Добавлено цитат: <strong>${result.imported}</strong></div>
+                        ${result.skipped.duplicate ? `<div class="ai-text">Пропущено дубликатов: ${result.skipped.duplicate}</div>` : ''}
+                        <div class="ai-text">Анна разберёт цитаты по категориям в фоне — это займёт несколько минут.</div>
+                    </div>
+                    <button class="save-btn" id="importDoneBtn">📚 К моим цитатам</button>
+                </div>
+            `;
+        }
+
+        return `
+            <div class="form-section import-section">
+                <div class="form-group">
+                    <label class="form-label">📄 Файл</label>
+                    <div class="import-hint">Kindle «My Clippings.txt», CSV из Goodreads или Bookmate, либо текст в формате «цитата — автор»</div>
+                    <input type="file" class="form-input" id="importFile" accept=".txt,.csv,text/plain,text/csv">
+                    ${filename ? `<div class="import-hint">Выбран файл: ${this.escapeHtml(filename)}</div>` : ''}
+                </div>
+
+                <div class="form-group">
+                    <label class="form-label">📋 Или вставьте текст</label>
+                    <textarea class="form-textarea"
+                              id="importText"
+                              placeholder="Каждая цитата с новой строки или через пустую строку">${filename ? '' : this.escapeHtml(content)}</textarea>
+                </div>
+
+                <button class="save-btn" id="importPreviewBtn" ${content.trim() && !loading ? '' : 'disabled'}>
+                    ${loading && !preview ? '⏳ Разбираем...' : '👀 Предпросмотр'}
+                </button>
+            </div>
+
+            ${preview ? this.renderImportPreview() : ''}
+        `;
+    }
+
+    /**
+     * 👀 Предпросмотр импорта со списком найденных цитат
+     */
+    renderImportPreview() {
+        const { preview, excluded, loading } = this.importState;
+        const selectedCount = preview.items.filter(i => i.status === 'new' && !excluded.has(i.index)).length;
+        const visibleItems = preview.items.slice(0, 100);
+
+        const items = visibleItems.map(item => {
+            const isNew = item.status === 'new';
+            return `
+                <label class="import-item ${isNew ? '' : 'import-item--skipped'}">
+                    <input type="checkbox" class="import-item-check" data-index="${item.index}"
+                           ${isNew ? '' : 'disabled'} ${isNew && !excluded.has(item.index) ? 'checked' : ''}>
+                    <div class="import-item-body">
+                        <div class="quote-text">${this.escapeHtml(item.text)}</div>
+                        <div class="quote-meta">
+                            ${item.author ? `<span class="quote-author">${this.escapeHtml(item.author)}</span>` : ''}
+                            ${item.source ? `<span class="quote-date">${this.escapeHtml(item.source)}</span>` : ''}
+                            ${item.reason ? `<span class="import-item-reason">${this.escapeHtml(item.reason)}</span>` : ''}
+                        </div>
+                    </div>
+                </label>
+            `;
+        }).join('');
+
+        return `
+            <div class="stats-summary import-summary">
+                Найдено: ${preview.counts.total} · новых: ${preview.counts.new} · дубликатов: ${preview.counts.duplicate}${preview.counts.invalid ? ` · с ошибками: ${preview.counts.invalid}` : ''}
+            </div>
+            <div class="import-list">
+                ${items}
+                ${preview.items.length > visibleItems.length ? `<div class="import-hint">…и ещё ${preview.items.length - visibleItems.length}</div>` : ''}
+            </div>
+            <button class="save-btn" id="importCommitBtn" ${selectedCount > 0 && !loading ? '' : 'disabled'}>
+                ${loading ? '⏳ Импортируем...' : `📥 Импортировать ${selectedCount}`}
+            </button>
+        `;
+    }
+
     /**
      * 🔒 Escape HTML to prevent injection
      * @param {string} text - Text to escape
@@ -639,6 +737,7 @@ class DiaryPage {
                 <div class="quote-actions-inline">
                     <button class="action-btn" data-action="edit" aria-label="Редактировать цитату" title="Редактировать">✏️</button>
                     <button class="action-btn" data-action="favorite" aria-label="Добавить в избранное" title="Избранное">${heartIcon}</button>
+                    <button class="action-btn" data-action="similar" aria-label="Похожие цитаты" title="Похожие цитаты">🔗</button>
                     <button class="action-btn action-delete" data-action="delete" aria-label="Удалить цитату" title="Удалить">🗑️</button>
                 </div>
              </div>
@@ -680,6 +779,7 @@ class DiaryPage {
         this.attachFilterListeners();
         this.attachQuoteActionListeners();
         this.attachSearchListeners();
+        this.attachImportListeners();
         this.attachAddTabKeyboardHandler();
 
         const prevPageBtn = document.getElementById('prevPageBtn');
@@ -694,6 +794,138 @@ class DiaryPage {
         }
     }
     
+    /**
+     * 📥 Обработчики таба импорта
+     */
+    attachImportListeners() {
+        if (this.activeTab !== 'import') return;
+
+        const fileInput = document.getElementById('importFile');
+        const textArea = document.getElementById('importText');
+        const previewBtn = document.getElementById('importPreviewBtn');
+        const commitBtn = document.getElementById('importCommitBtn');
+        const doneBtn = document.getElementById('importDoneBtn');
+
+        if (fileInput) {
+            fileInput.addEventListener('change', () => {
+                const file = fileInput.files && fileInput.files[0];
+                if (!file) return;
+                const reader = new FileReader();
+                reader.onload = () => {
+                    this.importState.content = String(reader.result || '');
+                    this.importState.filename = file.name;
+                    this.importState.preview = null;
+                    this.rerender();
+                };
+                reader.readAsText(file, 'utf-8');
+            });
+        }
+
+        if (textArea) {
+            textArea.addEventListener('input', () => {
+                this.importState.content = textArea.value;
+                this.importState.filename = '';
+                this.importState.preview = null;
+                if (previewBtn) previewBtn.disabled = !textArea.value.trim();
+            });
+        }
+
+        if (previewBtn) {
+            previewBtn.addEventListener('click', () => this.handleImportPreview());
+        }
+
+        document.querySelectorAll('.import-item-check').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                const index = Number(checkbox.dataset.index);
+                if (checkbox.checked) {
+                    this.importState.excluded.delete(index);
+                } else {
+                    this.importState.excluded.add(index);
+                }
+                const count = this.importState.preview.items
+                    .filter(i => i.status === 'new' && !this.importState.excluded.has(i.index)).length;
+                if (commitBtn) {
+                    commitBtn.disabled = count === 0;
+                    commitBtn.textContent = `📥 Импортировать ${count}`;
+                }
+            });
+        });
+
+        if (commitBtn) {
+            commitBtn.addEventListener('click', () => this.handleImportCommit());
+        }
+
+        if (doneBtn) {
+            doneBtn.addEventListener('click', () => {
+                this.importState = { content: '', filename: '', preview: null, excluded: new Set(), loading: false, result: null };
+                this.switchTab('my-quotes');
+            });
+        }
+    }
+
+    /**
+     * 👀 Запрос предпросмотра импорта
+     */
+    async handleImportPreview() {
+        const { content, filename } = this.importState;
+        if (!content.trim()) return;
+
+        this.importState.loading = true;
+        this.rerender();
+
+        try {
+            const preview = await this.api.previewQuotesImport({ content, filename });
+            this.importState.preview = preview;
+            this.importState.excluded = new Set();
+            if (preview.counts.total === 0 && typeof window.showNotification === 'function') {
+                window.showNotification('Не удалось найти цитаты в этом файле.', 'info', 5000);
+            }
+        } catch (error) {
+            console.error('❌ Ошибка предпросмотра импорта:', error);
+            this.telegram.hapticFeedback('error');
+            if (typeof window.showNotification === 'function') {
+                window.showNotification('Не удалось разобрать файл. Попробуйте ещё раз.', 'error', 5000);
+            }
+        } finally {
+            this.importState.loading = false;
+            this.rerender();
+        }
+    }
+
+    /**
+     * 📥 Импорт выбранных цитат
+     */
+    async handleImportCommit() {
+        const { content, filename, excluded } = this.importState;
+
+        this.importState.loading = true;
+        this.rerender();
+
+        try {
+            const result = await this.api.importQuotes({ content, filename, exclude: [...excluded] });
+            this.importState.result = result;
+            this.importState.preview = null;
+            this.quotesLoaded = false;
+            this.telegram.hapticFeedback('success');
+
+            if (this.app?.statistics) {
+                Promise.all([
+                    this.app.statistics.refreshMainStatsSilent(),
+                    this.app.statistics.refreshDiaryStatsSilent()
+                ]).catch(e => console.debug('Stats refresh failed:', e));
+            }
+        } catch (error) {
+            console.error('❌ Ошибка импорта:', error);
+            this.telegram.hapticFeedback('error');
+            if (typeof window.showNotification === 'function') {
+                window.showNotification('Импорт не удался. Попробуйте ещё раз.', 'error', 5000);
+            }
+        } finally {
+            this.importState.loading = false;
+            this.rerender();
+        }
+    }
+
     attachTabListeners() {
         const tabs = document.querySelectorAll('.tab[data-tab]');
         tabs.forEach(tab => {
@@ -1208,7 +1440,9 @@ class DiaryPage {
 
             // Only show generic success toast when there is NO insight
             // When there is an insight, rely on the inline analysis block instead
-            if (!insights && typeof window !== 'undefined' && typeof window.showNotification === 'function') {
+            if (data.queued && typeof window.showNotification === 'function') {
+                window.showNotification('📴 Сохранено офлайн, отправим при появлении сети', 'info');
+            } else if (!insights && typeof window !== 'undefined' && typeof window.showNotification === 'function') {
                 window.showNotification('✨ Цитата сохранена в ваш дневник!', 'success');
             }
 
@@ -1747,6 +1981,8 @@ class DiaryPage {
                         this.deleteQuote(quoteId);
                     } else if (action === 'favorite') {
                         this.toggleFavorite(quoteId, card, actionBtn);
+                    } else if (action === 'similar') {
+                        this.toggleSimilarQuotes(quoteId, card);
                     }
                 }
             }
@@ -1763,6 +1999,29 @@ class DiaryPage {
         }
     }
 
+    /**
+     * 🔗 Показать/скрыть панель похожих цитат под карточкой
+     * @param {string} quoteId - ID цитаты
+     * @param {HTMLElement} card - Карточка цитаты
+     */
+    toggleSimilarQuotes(quoteId, card) {
+        this.telegram?.hapticFeedback?.('light');
+
+        if (card._similarPanel) {
+            card._similarPanel.destroy();
+            card._similarPanel = null;
+            return;
+        }
+
+        const panel = new window.SimilarQuotesPanel({
+            quoteId,
+            api: this.api,
+            telegram: this.telegram
+        });
+        panel.mount(card);
+        card._similarPanel = panel;
+    }
+
     /**
      * Ensure action buttons are present inline (helper method for container-level delegation)
      */
@@ -1778,6 +2037,7 @@ class DiaryPage {
             actions.innerHTML = `
                 <button class="action-btn" data-action="edit" aria-label="Редактировать цитату" title="Редактировать">✏️</button>
                 <button class="action-btn" data-action="favorite" aria-label="Добавить в избранное" title="Избранное">${heartIcon}</button>
+                <button class="action-btn" data-action="similar" aria-label="Похожие цитаты" title="Похожие цитаты">🔗</button>
                 <button class="action-btn action-delete" data-action="delete" aria-label="Удалить цитату" title="Удалить">🗑️</button>
             `;
             card.appendChild(actions);
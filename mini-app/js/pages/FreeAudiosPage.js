@@ -101,19 +101,20 @@ class FreeAudiosPage {
 
   /**
    * Compute Alice state based on progress metadata
-   * Uses authoritative data from server: hasAccess, claimed, expiresAt, remainingDays
+   * Uses authoritative data from server: hasAccess, claimed, expiresAt, remainingDays, unlimited
    * @param {Object} meta - Alice metadata from progress endpoint
-   * @returns {Object} State object with state and remainingDays
+   * @returns {Object} State object with state, remainingDays and unlimited
    */
   computeAliceState(meta = {}) {
     // Use authoritative hasAccess field from server
     const hasAccess = meta?.hasAccess === true;
     const claimed = meta?.claimed === true;
+    const unlimited = meta?.unlimited === true;
     const remainingDays = Number(meta?.remainingDays || 0);
 
-    // Active state: user has current valid access
-    if (hasAccess && remainingDays > 0) {
-      return { state: 'active', remainingDays };
+    // Active state: user has current valid access (packages may never expire)
+    if (hasAccess && (unlimited || remainingDays > 0)) {
+      return { state: 'active', remainingDays, unlimited };
     }
 
     // Expired state: badge was claimed but access expired
@@ -135,27 +136,49 @@ class FreeAudiosPage {
     `;
   }
 
+  /**
+   * Alice card metadata from the audio catalog (falls back to built-in texts)
+   * @returns {Object} { title, author, description, coverUrl }
+   */
+  getAliceCatalogEntry() {
+    const entry = Array.isArray(this.items) ? this.items.find(item => item.id === 'alice_wonderland') : null;
+    return {
+      title: entry?.title || 'Разбор: «Алиса в стране чудес»',
+      author: entry?.author || 'Льюис Кэрролл',
+      description: entry?.description || 'Эксклюзивный аудиоразбор классического произведения',
+      coverUrl: entry?.coverUrl || '/mini-app/assets/audio-covers/alice.svg'
+    };
+  }
+
+  renderAliceMain() {
+    const entry = this.getAliceCatalogEntry();
+    return `
+      <div class="book-main">
+        <div class="book-cover cover-1">
+          <img class="book-cover-img" src="${this.escape(entry.coverUrl)}" alt="${this.escape(entry.title)}" onerror="window.RBImageErrorHandler && window.RBImageErrorHandler(this)">
+        </div>
+        <div class="book-info">
+          <div class="book-header">
+            <div>
+              <div class="book-title">${this.escape(entry.title)}</div>
+              <div class="book-author">${this.escape(entry.author)}</div>
+            </div>
+          </div>
+          <div class="book-description">${this.escape(entry.description)}</div>
+        </div>
+      </div>
+    `;
+  }
+
   renderAliceCard() {
     const s = this.computeAliceState(this.aliceMeta || {});
     const remainingDays = s.remainingDays || 0;
+    const aliceMain = this.renderAliceMain();
 
     if (s.state === 'locked') {
       return `
         <div class="book-card alice-card locked" data-id="alice_wonderland">
-          <div class="book-main">
-            <div class="book-cover cover-1">
-              <img class="book-cover-img" src="/mini-app/assets/audio-covers/alice.svg" alt="Алиса в стране чудес" onerror="window.RBImageErrorHandler && window.RBImageErrorHandler(this)">
-            </div>
-            <div class="book-info">
-              <div class="book-header">
-                <div>
-                  <div class="book-title">Разбор: «Алиса в стране чудес»</div>
-                  <div class="book-author">Льюис Кэрролл</div>
-                </div>
-              </div>
-              <div class="book-description">Эксклюзивный аудиоразбор классического произведения</div>
-            </div>
-          </div>
+          ${aliceMain}
           <div class="book-footer">
             <div class="book-pricing">
               <div class="book-price">Требуется бейдж</div>
@@ -167,23 +190,12 @@ class FreeAudiosPage {
     }
 
     if (s.state === 'active') {
-      const label = remainingDays >= 30 ? 'Доступен: 1 месяц' : `Осталось ${remainingDays} ${this.pluralizeDays(remainingDays)}`;
+      const label = s.unlimited
+        ? 'Доступен без ограничений'
+        : remainingDays >= 30 ? 'Доступен: 1 месяц' : `Осталось ${remainingDays} ${this.pluralizeDays(remainingDays)}`;
       return `
         <div class="book-card alice-card" data-id="alice_wonderland">
-          <div class="book-main">
-            <div class="book-cover cover-1">
-              <img class="book-cover-img" src="/mini-app/assets/audio-covers/alice.svg" alt="Алиса в стране чудес" onerror="window.RBImageErrorHandler && window.RBImageErrorHandler(this)">
-            </div>
-            <div class="book-info">
-              <div class="book-header">
-                <div>
-                  <div class="book-title">Разбор: «Алиса в стране чудес»</div>
-                  <div class="book-author">Льюис Кэрролл</div>
-                </div>
-              </div>
-              <div class="book-description">Эксклюзивный аудиоразбор классического произведения</div>
-            </div>
-          </div>
+          ${aliceMain}
           <div class="book-footer">
             <div class="book-pricing"><div class="book-price">${label}</div></div>
             <button class="buy-button" data-id="alice_wonderland">Прослушать</button>
@@ -195,20 +207,7 @@ class FreeAudiosPage {
     // expired — «Доступ окончен», без кнопок
     return `
       <div class="book-card alice-card expired" data-id="alice_wonderland">
-        <div class="book-main">
-          <div class="book-cover cover-1">
-            <img class="book-cover-img" src="/mini-app/assets/audio-covers/alice.svg" alt="Алиса в стране чудес" onerror="window.RBImageErrorHandler && window.RBImageErrorHandler(this)">
-          </div>
-          <div class="book-info">
-            <div class="book-header">
-              <div>
-                <div class="book-title">Разбор: «Алиса в стране чудес»</div>
-                <div class="book-author">Льюис Кэрролл</div>
-              </div>
-            </div>
-            <div class="book-description">Эксклюзивный аудиоразбор классического произведения</div>
-          </div>
-        </div>
+        ${aliceMain}
         <div class="book-footer">
           <div class="book-pricing"><div class="book-price">Доступ окончен</div></div>
         </div>
@@ -261,7 +260,7 @@ class FreeAudiosPage {
               </div>
             </div>
             <div class="book-footer">
-              <div class="book-pricing"><div class="book-price">Бесплатно</div></div>
+              <div class="book-pricing"><div class="book-price">${x.isFree === false ? 'Платный разбор' : 'Бесплатно'}</div></div>
               <button class="buy-button" data-id="${this.escape(x.id)}">Прослушать</button>
             </div>
           </div>
@@ -359,6 +358,7 @@ class FreeAudiosPage {
           claimed: progress?.claimed || false,
           expiresAt: progress?.expiresAt || null,
           remainingDays: Number(progress?.remainingDays || 0),
+          unlimited: progress?.unlimited === true,
         };
         console.log('✅ FreeAudiosPage: Alice progress updated:', this.aliceMeta);
       } catch (e) {
@@ -369,8 +369,8 @@ class FreeAudiosPage {
       }
       this.aliceLoaded = true;
       
-      // B. Fetch free audio list as before
-      const res = await fetch('/api/audio/free', { credentials: 'include' });
+      // B. Fetch audio catalog (free and paid entries, managed in admin panel)
+      const res = await fetch('/api/audio', { credentials: 'include' });
       if (!res.ok) {
         throw new Error(`HTTP error ${res.status}`);
       }
@@ -46,6 +46,9 @@ class ReportsPage {
         
         // ✅ НОВОЕ: Хранение еженедельного отчета
         this.weeklyReport = null;
+
+        // 👁️ Отчеты, уже отмеченные прочитанными в этой сессии страницы
+        this.markedReadReportIds = new Set();
         
         // ✅ НОВОЕ: Хранение предыдущего отчета для дельт
         this.previousWeeklyReport = null;
@@ -611,6 +614,8 @@ class ReportsPage {
      */
     processWeeklyReport() {
         if (!this.weeklyReport) return;
+
+        this.markWeeklyReportRead();
         
         // ✅ ИСПРАВЛЕНО: Вычисляем статистику ТОЛЬКО из weeklyReport данных
         this.calculateStatisticsFromWeeklyReport();
@@ -678,6 +683,27 @@ class ReportsPage {
         console.log('✅ ReportsPage: Нормализованный анализ', this.weeklyReport.analysis);
     }
     
+    /**
+     * 👁️ Отметить показанный отчет прочитанным (один запрос на отчет, ошибки не мешают странице)
+     */
+    markWeeklyReportRead() {
+        const reportId = this.weeklyReport?.id || this.weeklyReport?._id;
+        if (!reportId || this.weeklyReport.isRead || this.markedReadReportIds.has(String(reportId))) return;
+        if (typeof this.api?.markWeeklyReportRead !== 'function') return;
+
+        this.markedReadReportIds.add(String(reportId));
+        this.api.markWeeklyReportRead(reportId)
+            .then(() => {
+                if (this.weeklyReport && String(this.weeklyReport.id || this.weeklyReport._id) === String(reportId)) {
+                    this.weeklyReport.isRead = true;
+                }
+            })
+            .catch(error => {
+                console.warn('⚠️ ReportsPage: Не удалось отметить отчет прочитанным:', error.message);
+                this.markedReadReportIds.delete(String(reportId));
+            });
+    }
+    
     async loadReportData(currentWeekKey = null) {
         // ✅ ИСПРАВЛЕНО: Предотвращаем дублирующиеся вызовы
         if (this.reportsLoading) {
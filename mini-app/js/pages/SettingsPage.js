@@ -26,6 +26,8 @@ class SettingsPage {
         this.saving = false; // Network in-flight guard
         this.uiSaving = false; // UI state for disabling inputs
         this.uploadingAvatar = false;
+        this.exportingData = false;
+        this.accountDeletion = null; // Статус запроса на удаление аккаунта
         
         // Подписки на изменения состояния
         this.subscriptions = [];
@@ -39,7 +41,7 @@ class SettingsPage {
             notifications: false,
             personalization: false,
             privacy: false,
-            dataExport: false,
+            dataExport: true,
             cacheClear: false
         };
         
@@ -52,6 +54,7 @@ class SettingsPage {
     init() {
         this.setupSubscriptions();
         this.loadSettings();
+        this.loadAccountDeletion();
     }
     
     /**
@@ -77,6 +80,19 @@ class SettingsPage {
         this.subscriptions.push(settingsSubscription, profileSubscription, statsSubscription);
     }
     
+    /**
+     * 🗑️ Загрузка статуса удаления аккаунта
+     */
+    async loadAccountDeletion() {
+        try {
+            const response = await this.api.getAccountDeletion();
+            this.accountDeletion = response?.deletion || null;
+            this.refreshDataSettings();
+        } catch (error) {
+            console.warn('⚠️ Не удалось загрузить статус удаления аккаунта:', error.message);
+        }
+    }
+    
     /**
      * 📊 Загрузка настроек
      */
@@ -138,6 +154,7 @@ class SettingsPage {
                 ${this.renderHeader()}
                 ${this.renderProfileSection(profile, stats, telegramData)}
                 ${this.settingsFeatureFlags.notifications ? this.renderNotificationSettings() : ''}
+                ${this.renderTimezoneSettings()}
                 ${this.settingsFeatureFlags.personalization ? this.renderPersonalizationSettings() : ''}
                 ${this.settingsFeatureFlags.privacy ? this.renderPrivacySettings() : ''}
                 ${this.renderDataSettings()}
@@ -292,6 +309,62 @@ class SettingsPage {
         `;
     }
     
+    /**
+     * 🕐 Рендер выбора часового пояса
+     * Напоминания, серии дней и недельные отчёты считаются по местному времени
+     */
+    renderTimezoneSettings() {
+        const deviceTimezone = this.getDeviceTimezone();
+        const current = this.getTimezoneSelectValue();
+        const timezones = [...SettingsPage.TIMEZONES];
+
+        if (current !== 'auto' && !timezones.some(([value]) => value === current)) {
+            timezones.push([current, current]);
+        }
+
+        return `
+            <div class="settings-section">
+                <h3>🕐 Часовой пояс</h3>
+                
+                <div class="setting-item">
+                    <div class="setting-info">
+                        <h4>Местное время</h4>
+                        <p>Напоминания и отчёты приходят по вашему времени</p>
+                    </div>
+                    <select class="form-select" id="timezone">
+                        <option value="auto" ${current === 'auto' ? 'selected' : ''}>Автоматически${deviceTimezone ? ` (${deviceTimezone})` : ''}</option>
+                        ${timezones.map(([value, label]) => `
+                            <option value="${value}" ${current === value ? 'selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * 🕐 Значение селекта часового пояса: 'auto' или выбранный вручную пояс
+     */
+    getTimezoneSelectValue() {
+        return this.settings.timezoneSource === 'manual' && this.settings.timezone
+            ? this.settings.timezone
+            : 'auto';
+    }
+    
+    /**
+     * 🕐 Часовой пояс устройства
+     */
+    getDeviceTimezone() {
+        if (typeof this.api?.getDeviceTimezone === 'function') {
+            return this.api.getDeviceTimezone();
+        }
+        try {
+            return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
     /**
      * 🎨 Рендер настроек персонализации
      */
@@ -375,13 +448,15 @@ class SettingsPage {
      * 📊 Рендер настроек данных
      */
     renderDataSettings() {
+        const deletion = this.accountDeletion;
+        
         return `
-            <div class="settings-section">
+            <div class="settings-section" id="dataSettingsSection">
                 <h3>📊 Управление данными</h3>
                 
                 ${this.settingsFeatureFlags.dataExport ? `
-                <button class="btn btn-secondary btn-block" id="exportDataBtn">
-                    📤 Экспорт данных
+                <button class="btn btn-secondary btn-block" id="exportDataBtn" ${this.exportingData ? 'disabled' : ''}>
+                    ${this.exportingData ? '⏳ Готовим архив...' : '📤 Скачать мои данные'}
                 </button>
                 ` : ''}
                 
@@ -391,13 +466,42 @@ class SettingsPage {
                 </button>
                 ` : ''}
                 
+                ${deletion?.scheduled ? `
+                <div class="setting-item">
+                    <div class="setting-info">
+                        <h4>⏳ Аккаунт будет удален ${this.formatDeletionDate(deletion.scheduledFor)}</h4>
+                        <p>До этой даты удаление можно отменить, после - все данные будут удалены без возможности восстановления</p>
+                    </div>
+                </div>
+                <button class="btn btn-secondary btn-block" id="cancelDeletionBtn">
+                    ↩️ Отменить удаление
+                </button>
+                ` : `
                 <button class="btn btn-error btn-block" id="deleteAccountBtn">
                     ⚠️ Удалить аккаунт
                 </button>
+                `}
             </div>
         `;
     }
     
+    /**
+     * 📅 Дата удаления аккаунта для UI
+     */
+    formatDeletionDate(date) {
+        return new Date(date).toLocaleDateString('ru-RU', { day: 'numeric', month: 'long', year: 'numeric' });
+    }
+    
+    /**
+     * 🔄 Перерисовка блока управления данными (статус удаления, экспорт)
+     */
+    refreshDataSettings() {
+        const section = document.getElementById('dataSettingsSection');
+        if (!section) return;
+        section.outerHTML = this.renderDataSettings();
+        this.attachDataSettingsListeners();
+    }
+    
     /**
      * ⚠️ Рендер ошибки
      */
@@ -444,25 +548,7 @@ class SettingsPage {
             });
         }
         
-        // Action buttons (guard with feature flags)
-        if (this.settingsFeatureFlags.dataExport) {
-            const exportBtn = document.getElementById('exportDataBtn');
-            if (exportBtn) {
-                exportBtn.addEventListener('click', () => this.handleExportData());
-            }
-        }
-        
-        if (this.settingsFeatureFlags.cacheClear) {
-            const clearCacheBtn = document.getElementById('clearCacheBtn');
-            if (clearCacheBtn) {
-                clearCacheBtn.addEventListener('click', () => this.handleClearCache());
-            }
-        }
-        
-        const deleteAccountBtn = document.getElementById('deleteAccountBtn');
-        if (deleteAccountBtn) {
-            deleteAccountBtn.addEventListener('click', () => this.handleDeleteAccount());
-        }
+        this.attachDataSettingsListeners();
         
         // Delegated event listeners on the root element for robustness
         const settingsRoot = document.getElementById('settingsPageRoot');
@@ -494,6 +580,35 @@ class SettingsPage {
         }
     }
     
+    /**
+     * 📊 Обработчики кнопок блока управления данными (guard with feature flags)
+     */
+    attachDataSettingsListeners() {
+        if (this.settingsFeatureFlags.dataExport) {
+            const exportBtn = document.getElementById('exportDataBtn');
+            if (exportBtn) {
+                exportBtn.addEventListener('click', () => this.handleExportData());
+            }
+        }
+        
+        if (this.settingsFeatureFlags.cacheClear) {
+            const clearCacheBtn = document.getElementById('clearCacheBtn');
+            if (clearCacheBtn) {
+                clearCacheBtn.addEventListener('click', () => this.handleClearCache());
+            }
+        }
+        
+        const deleteAccountBtn = document.getElementById('deleteAccountBtn');
+        if (deleteAccountBtn) {
+            deleteAccountBtn.addEventListener('click', () => this.handleDeleteAccount());
+        }
+        
+        const cancelDeletionBtn = document.getElementById('cancelDeletionBtn');
+        if (cancelDeletionBtn) {
+            cancelDeletionBtn.addEventListener('click', () => this.handleCancelDeletion());
+        }
+    }
+    
     /**
      * 🖼️ Обработчик загрузки аватара
      * FIX: сравнение размеров после сжатия, не отправляем файл >5МБ
@@ -708,6 +823,15 @@ class SettingsPage {
                     if (!this.settings.achievements) this.settings.achievements = {};
                     this.settings.achievements.enabled = value;
                     break;
+                case 'timezone':
+                    if (value === 'auto') {
+                        this.settings.timezoneSource = 'auto';
+                        this.settings.timezone = this.getDeviceTimezone() || this.settings.timezone;
+                    } else {
+                        this.settings.timezoneSource = 'manual';
+                        this.settings.timezone = value;
+                    }
+                    break;
                 case 'theme':
                 case 'fontSize':
                 case 'animations':
@@ -792,16 +916,40 @@ class SettingsPage {
     }
     
     /**
-     * 📤 Обработчик экспорта данных
+     * 📤 Обработчик экспорта данных: скачивает zip со всеми данными читателя
      */
-    handleExportData() {
+    async handleExportData() {
+        if (this.exportingData) return;
+        
         if (this.telegram?.hapticFeedback) {
             this.telegram.hapticFeedback('medium');
         }
         
-        // TODO: Implement data export
-        if (this.telegram?.showAlert) {
-            this.telegram.showAlert('Экспорт данных будет реализован в следующих версиях');
+        this.exportingData = true;
+        this.refreshDataSettings();
+        
+        try {
+            const { blob, filename } = await this.api.downloadAccountExport();
+            const url = URL.createObjectURL(blob);
+            
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = filename;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            
+            URL.revokeObjectURL(url);
+            
+            if (this.telegram?.hapticFeedback) {
+                this.telegram.hapticFeedback('success');
+            }
+        } catch (error) {
+            console.error('❌ Ошибка экспорта данных:', error);
+            this.showError('Не удалось подготовить архив с данными');
+        } finally {
+            this.exportingData = false;
+            this.refreshDataSettings();
         }
     }
     
@@ -833,26 +981,56 @@ class SettingsPage {
     }
     
     /**
-     * ⚠️ Обработчик удаления аккаунта
+     * ⚠️ Обработчик удаления аккаунта: данные удаляются после grace period,
+     * до этого удаление можно отменить
      */
-    handleDeleteAccount() {
+    async handleDeleteAccount() {
         if (this.telegram?.hapticFeedback) {
             this.telegram.hapticFeedback('error');
         }
         
-        if (this.telegram?.showConfirm) {
-            this.telegram.showConfirm('Вы уверены, что хотите удалить аккаунт? Это действие нельзя отменить.', (confirmed) => {
-                if (confirmed) {
-                    // TODO: Implement account deletion
-                    this.telegram.showAlert('Удаление аккаунта будет реализовано в следующих версиях');
-                }
-            });
-        } else {
-            const confirmed = confirm('Вы уверены, что хотите удалить аккаунт? Это действие нельзя отменить.');
-            if (confirmed) {
-                // TODO: Implement account deletion
-                alert('Удаление аккаунта будет реализовано в следующих версиях');
+        const graceDays = this.accountDeletion?.graceDays || 14;
+        const message = `Аккаунт и все ваши данные будут удалены через ${graceDays} дн. До этого удаление можно отменить в настройках. Продолжить?`;
+        const confirmed = this.telegram?.showConfirm ?
+            await new Promise(resolve => {
+                this.telegram.showConfirm(message, resolve);
+            }) :
+            confirm(message);
+        
+        if (!confirmed) return;
+        
+        try {
+            const response = await this.api.requestAccountDeletion();
+            this.accountDeletion = response?.deletion || null;
+            this.refreshDataSettings();
+            
+            const notice = `Аккаунт будет удален ${this.formatDeletionDate(this.accountDeletion.scheduledFor)}`;
+            if (this.telegram?.showAlert) {
+                this.telegram.showAlert(notice);
+            } else {
+                alert(notice);
+            }
+        } catch (error) {
+            console.error('❌ Ошибка удаления аккаунта:', error);
+            this.showError('Не удалось запросить удаление аккаунта');
+        }
+    }
+    
+    /**
+     * ↩️ Отмена удаления аккаунта
+     */
+    async handleCancelDeletion() {
+        try {
+            const response = await this.api.cancelAccountDeletion();
+            this.accountDeletion = response?.deletion || null;
+            this.refreshDataSettings();
+            
+            if (this.telegram?.hapticFeedback) {
+                this.telegram.hapticFeedback('success');
             }
+        } catch (error) {
+            console.error('❌ Ошибка отмены удаления аккаунта:', error);
+            this.showError('Не удалось отменить удаление аккаунта');
         }
     }
     
@@ -865,6 +1043,7 @@ class SettingsPage {
             'remindersEnabled': this.settings.reminders?.enabled,
             'reminderFrequency': this.settings.reminders?.frequency,
             'achievementsEnabled': this.settings.achievements?.enabled,
+            'timezone': this.getTimezoneSelectValue(),
             'theme': this.settings.theme,
             'fontSize': this.settings.fontSize,
             'animations': this.settings.animations,
@@ -1091,6 +1270,9 @@ class SettingsPage {
             achievements: {
                 enabled: settings.achievements?.enabled ?? true
             },
+            // Ручной выбор сохраняем как есть, иначе сервер берёт пояс устройства
+            timezone: settings.timezoneSource === 'manual' ? settings.timezone : 'auto',
+            detectedTimezone: this.getDeviceTimezone(),
             theme: settings.theme,
             fontSize: settings.fontSize,
             animations: settings.animations,
@@ -1124,6 +1306,8 @@ class SettingsPage {
         this.error = null;
         this.saving = false;
         this.uploadingAvatar = false;
+        this.exportingData = false;
+        this.accountDeletion = null;
         this.settings = {};
     }
     
@@ -1160,5 +1344,34 @@ class SettingsPage {
     }
 }
 
+/**
+ * 🕐 Часовые пояса для ручного выбора [IANA, подпись]
+ */
+SettingsPage.TIMEZONES = [
+    ['Europe/Kaliningrad', 'Калининград (UTC+2)'],
+    ['Europe/Moscow', 'Москва (UTC+3)'],
+    ['Europe/Samara', 'Самара (UTC+4)'],
+    ['Asia/Yekaterinburg', 'Екатеринбург (UTC+5)'],
+    ['Asia/Omsk', 'Омск (UTC+6)'],
+    ['Asia/Novosibirsk', 'Новосибирск (UTC+7)'],
+    ['Asia/Irkutsk', 'Иркутск (UTC+8)'],
+    ['Asia/Yakutsk', 'Якутск (UTC+9)'],
+    ['Asia/Vladivostok', 'Владивосток (UTC+10)'],
+    ['Asia/Magadan', 'Магадан (UTC+11)'],
+    ['Asia/Kamchatka', 'Камчатка (UTC+12)'],
+    ['Europe/Minsk', 'Минск (UTC+3)'],
+    ['Europe/Kiev', 'Киев'],
+    ['Asia/Almaty', 'Алматы (UTC+5)'],
+    ['Asia/Tbilisi', 'Тбилиси (UTC+4)'],
+    ['Asia/Yerevan', 'Ереван (UTC+4)'],
+    ['Asia/Tashkent', 'Ташкент (UTC+5)'],
+    ['Europe/Istanbul', 'Стамбул (UTC+3)'],
+    ['Asia/Dubai', 'Дубай (UTC+4)'],
+    ['Europe/Berlin', 'Берлин'],
+    ['Europe/London', 'Лондон'],
+    ['America/New_York', 'Нью-Йорк'],
+    ['America/Los_Angeles', 'Лос-Анджелес']
+];
+
 // 📤 Экспорт класса
 window.SettingsPage = SettingsPage;
@@ -28,6 +28,19 @@ class ApiService {
         // 📊 Кэширование запросов
         this.cache = new Map();
         this.cacheTimeout = 5 * 60 * 1000; // 5 минут
+
+        // 📴 Текущая синхронизация офлайн-цитат
+        this.quoteSyncPromise = null;
+
+        // 📈 Очередь продуктовых событий (отправляется пачками)
+        this.eventQueue = [];
+        this.eventFlushTimer = null;
+        this.eventConfig = {
+            batchSize: 20,
+            flushInterval: 10000, // 10 секунд
+            maxQueueSize: 100
+        };
+        this.analyticsSessionId = `s_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
         
         console.log('🚀 API Service инициализирован', { 
             baseURL: this.baseURL
@@ -431,7 +444,8 @@ class ApiService {
 
             const response = await this.request('POST', '/auth/telegram', {
                 telegramData,
-                user
+                user,
+                timezone: this.getDeviceTimezone()
             });
 
             return response;
@@ -448,6 +462,18 @@ class ApiService {
         }
     }
 
+    /**
+     * 🕐 Часовой пояс устройства (Telegram его не передаёт)
+     * @returns {string|null} IANA timezone, например 'Europe/Moscow'
+     */
+    getDeviceTimezone() {
+        try {
+            return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
     /**
      * 📊 Проверка статуса онбординга
      */
@@ -487,7 +513,10 @@ class ApiService {
      */
     async completeOnboarding(onboardingData) {
         try {
-            const response = await this.request('POST', '/auth/complete-onboarding', onboardingData);
+            const response = await this.request('POST', '/auth/complete-onboarding', {
+                timezone: this.getDeviceTimezone(),
+                ...onboardingData
+            });
             
             // Handle both successful completion and already completed cases
             if (response && response.success) {
@@ -828,14 +857,27 @@ class ApiService {
 
     /**
      * ➕ Добавить новую цитату
+     * Каждой цитате присваивается clientId (Idempotency-Key): повторы после таймаута
+     * не создают дублей. Без сети цитата попадает в офлайн-очередь и возвращается
+     * с флагом queued - отправим ее в syncPendingQuotes().
      */
     async addQuote(quoteData, userId = 'demo-user') {
         this.clearQuotesCache();
         console.log('LOG: ApiService.addQuote - начинаем создание цитаты:', quoteData);
         console.log('LOG: ApiService.addQuote - userId:', userId);
+
+        const payload = {
+            ...quoteData,
+            userId,
+            clientId: quoteData.clientId || this.generateQuoteClientId()
+        };
+
+        if (navigator.onLine === false && this.getOfflineQueue()) {
+            return this.queueQuote(payload);
+        }
         
         try {
-            const result = await this.request('POST', '/quotes', { ...quoteData, userId });
+            const result = await this.postQuote(payload);
             console.log('LOG: ApiService.addQuote - успешный ответ:', result);
             return result;
         } catch (error) {
@@ -846,10 +888,119 @@ class ApiService {
                 console.log('LOG: ApiService.addQuote - получен код 201 с success=true, считаем успехом');
                 return error.data;
             }
+
+            // 📴 Сетевая ошибка (нет ответа сервера) - сохраняем офлайн
+            if (!error.status && this.getOfflineQueue()) {
+                return this.queueQuote(payload);
+            }
             
             throw error;
         }
     }
+
+    /**
+     * 📤 POST /quotes с ключом идемпотентности
+     */
+    postQuote(payload) {
+        return this.request('POST', '/quotes', payload, {
+            headers: { 'Idempotency-Key': payload.clientId }
+        });
+    }
+
+    /**
+     * 🆔 Client-side ID цитаты
+     */
+    generateQuoteClientId() {
+        if (window.OfflineQuoteQueue) {
+            return window.OfflineQuoteQueue.generateClientId();
+        }
+        return `q_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 12)}`;
+    }
+
+    /**
+     * 📴 Офлайн-очередь цитат (если IndexedDB доступен)
+     */
+    getOfflineQueue() {
+        const queue = window.offlineQuoteQueue;
+        return queue && queue.isSupported() ? queue : null;
+    }
+
+    /**
+     * 📥 Кладет цитату в офлайн-очередь
+     * @returns {Promise<Object>} Ответ в формате POST /quotes с флагом queued
+     */
+    async queueQuote(payload) {
+        const queue = this.getOfflineQueue();
+        const entry = await queue.add(payload);
+        queue.requestBackgroundSync();
+        console.log('📴 ApiService.addQuote - цитата сохранена офлайн:', payload.clientId);
+
+        return {
+            success: true,
+            queued: true,
+            quote: {
+                ...payload,
+                id: payload.clientId,
+                pending: true,
+                createdAt: entry.queuedAt
+            }
+        };
+    }
+
+    /**
+     * 🔄 Отправляет цитаты из офлайн-очереди
+     * Отправленные удаляются из очереди, отклоненные сервером (400/404) - тоже,
+     * с событием quotes:sync-failed. При 429 и сетевых ошибках останавливаемся
+     * и ждем следующей попытки.
+     * @returns {Promise<{synced: number, failed: number, remaining: number}>}
+     */
+    async syncPendingQuotes() {
+        const queue = this.getOfflineQueue();
+        if (!queue) return { synced: 0, failed: 0, remaining: 0 };
+        if (this.quoteSyncPromise) return this.quoteSyncPromise;
+
+        this.quoteSyncPromise = (async () => {
+            const stats = { synced: 0, failed: 0, remaining: 0 };
+            const entries = await queue.getAll();
+
+            for (const entry of entries) {
+                try {
+                    const result = await this.postQuote(entry.payload);
+                    await queue.remove(entry.clientId);
+                    stats.synced++;
+                    document.dispatchEvent(new CustomEvent('quotes:synced', {
+                        detail: { clientId: entry.clientId, quote: result.quote || result }
+                    }));
+                } catch (error) {
+                    if (error.status === 400 || error.status === 404) {
+                        await queue.remove(entry.clientId);
+                        stats.failed++;
+                        document.dispatchEvent(new CustomEvent('quotes:sync-failed', {
+                            detail: { clientId: entry.clientId, quote: entry.payload, error: error.message }
+                        }));
+                        continue;
+                    }
+
+                    await queue.update({ ...entry, attempts: entry.attempts + 1, lastError: error.message });
+                    console.warn('⏸️ Синхронизация цитат отложена:', error.message);
+                    break;
+                }
+            }
+
+            if (stats.synced > 0) {
+                this.clearQuotesCache();
+            }
+            stats.remaining = await queue.count();
+            console.log('🔄 Синхронизация офлайн-цитат:', stats);
+            return stats;
+        })();
+
+        try {
+            return await this.quoteSyncPromise;
+        } finally {
+            this.quoteSyncPromise = null;
+        }
+    }
     
     /**
      * 📖 Получить цитаты пользователя
@@ -959,6 +1110,142 @@ class ApiService {
         return this.request('GET', `/quotes/search?${params.toString()}`);
     }
 
+    /**
+     * 🔗 Семантически похожие цитаты
+     * @param {string} quoteId - ID исходной цитаты
+     * @param {Object} options - Опции
+     * @param {string} [options.scope='own'] - own (свой дневник) или community
+     * @param {number} [options.limit=5] - Количество результатов
+     */
+    async getSimilarQuotes(quoteId, options = {}) {
+        const params = new URLSearchParams();
+        params.append('scope', options.scope || 'own');
+        if (options.limit) params.append('limit', options.limit);
+
+        return this.request('GET', `/quotes/${quoteId}/similar?${params.toString()}`);
+    }
+
+    /**
+     * 📥 Предпросмотр импорта цитат (Kindle, CSV, текст)
+     * @param {Object} payload - Данные импорта
+     * @param {string} payload.content - Содержимое файла или вставленный текст
+     * @param {string} [payload.filename] - Имя файла (для определения формата)
+     * @param {string} [payload.format] - Явный формат: kindle, csv, text
+     * @returns {Promise<Object>} Предпросмотр с items и counts
+     */
+    async previewQuotesImport(payload) {
+        return this.request('POST', '/quotes/import/preview', payload);
+    }
+
+    /**
+     * 📥 Импортировать цитаты в дневник
+     * @param {Object} payload - Данные импорта (как в previewQuotesImport)
+     * @param {number[]} [payload.exclude] - Индексы, снятые в предпросмотре
+     * @returns {Promise<Object>} Результат импорта с batchId
+     */
+    async importQuotes(payload) {
+        this.clearQuotesCache();
+        return this.request('POST', '/quotes/import', payload);
+    }
+
+    /**
+     * 📥 Прогресс AI-разбора импортированных цитат
+     * @param {string} batchId - ID пакета импорта
+     * @returns {Promise<Object>} { total, pending, done }
+     */
+    async getQuotesImportStatus(batchId) {
+        return this.request('GET', `/quotes/import/${batchId}`, null, { noCache: true });
+    }
+
+    /**
+     * 📦 Запустить экспорт дневника (csv, json, md, epub)
+     * @param {Object} options - Параметры экспорта
+     * @param {string} [options.format='md'] - Формат файла
+     * @param {string} [options.period='all'] - Период ('all', '30d', ...)
+     * @param {string} [options.category='all'] - Категория
+     * @returns {Promise<Object>} Ответ с задачей экспорта
+     */
+    async exportQuotes(options = {}) {
+        return this.request('POST', '/quotes/export', {
+            format: options.format || 'md',
+            period: options.period || 'all',
+            category: options.category || 'all'
+        });
+    }
+
+    /**
+     * 📦 Получить статус задачи экспорта
+     * @param {string} jobId - ID задачи экспорта
+     * @returns {Promise<Object>} Ответ с задачей экспорта
+     */
+    async getQuotesExport(jobId) {
+        return this.request('GET', `/quotes/export/${jobId}`, null, { noCache: true });
+    }
+
+    /**
+     * 📥 Скачать готовый экспорт (с заголовками аутентификации)
+     * @param {string} jobId - ID задачи экспорта
+     * @returns {Promise<Blob>} Файл экспорта
+     */
+    async downloadQuotesExport(jobId) {
+        const response = await fetch(`${this.baseURL}/quotes/export/${jobId}/download`, {
+            headers: this.getHeaders(),
+            credentials: 'include'
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        return response.blob();
+    }
+
+    // ===========================================
+    // 🔐 ДАННЫЕ АККАУНТА
+    // ===========================================
+
+    /**
+     * 📦 Скачать все свои данные (zip с JSON)
+     * @returns {Promise<{blob: Blob, filename: string}>}
+     */
+    async downloadAccountExport() {
+        const response = await fetch(`${this.baseURL}/me/export`, {
+            headers: this.getHeaders(),
+            credentials: 'include'
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        const disposition = response.headers.get('content-disposition') || '';
+        const match = disposition.match(/filename="?([^"]+)"?/);
+        return {
+            blob: await response.blob(),
+            filename: match ? match[1] : 'reader-data.zip'
+        };
+    }
+
+    /**
+     * 🗑️ Статус запроса на удаление аккаунта
+     * @returns {Promise<Object>} { success, deletion: { scheduled, scheduledFor, graceDays } }
+     */
+    async getAccountDeletion() {
+        return this.request('GET', '/me/deletion', null, { noCache: true });
+    }
+
+    /**
+     * 🗑️ Запросить удаление аккаунта (с отсрочкой, пока не истек grace period)
+     * @returns {Promise<Object>} { success, deletion }
+     */
+    async requestAccountDeletion() {
+        return this.request('DELETE', '/me');
+    }
+
+    /**
+     * ↩️ Отменить запрос на удаление аккаунта
+     * @returns {Promise<Object>} { success, deletion }
+     */
+    async cancelAccountDeletion() {
+        return this.request('POST', '/me/deletion/cancel');
+    }
+
     // ===========================================
     // 📊 ОТЧЕТЫ
     // ===========================================
@@ -981,6 +1268,15 @@ class ApiService {
         return this.request('GET', endpoint);
     }
 
+    /**
+     * 👁️ Отметить еженедельный отчет прочитанным (первое открытие попадает в аналитику)
+     * @param {string} reportId - ID отчета
+     * @returns {Promise<{success: boolean, isRead: boolean, firstOpen: boolean}>}
+     */
+    async markWeeklyReportRead(reportId) {
+        return this.request('POST', `/reports/weekly/${encodeURIComponent(String(reportId))}/read`);
+    }
+
     /**
      * 📈 Получить конкретный еженедельный отчет по ID
      * Бэкенд не предоставляет GET /reports/weekly/:reportId,
@@ -2019,6 +2315,125 @@ class ApiService {
         return this.request('DELETE', `/covers/${postId}/comments/${commentId}`);
     }
     
+    /**
+     * Report a cover post to moderators
+     * @param {string} postId - Post ID
+     * @param {string} reason - spam|abuse|inappropriate|other
+     * @param {string} [comment] - Optional explanation
+     * @returns {Promise}
+     */
+    async reportCover(postId, reason, comment = '') {
+        console.log(`🚩 ApiService: Reporting cover post ${postId} (${reason})...`);
+        return this.request('POST', `/covers/${postId}/report`, { reason, comment });
+    }
+    
+    /**
+     * Report a comment on a cover post to moderators
+     * @param {string} postId - Post ID
+     * @param {string} commentId - Comment ID
+     * @param {string} reason - spam|abuse|inappropriate|other
+     * @param {string} [comment] - Optional explanation
+     * @returns {Promise}
+     */
+    async reportCoverComment(postId, commentId, reason, comment = '') {
+        console.log(`🚩 ApiService: Reporting comment ${commentId} (${reason})...`);
+        return this.request('POST', `/covers/${postId}/comments/${commentId}/report`, { reason, comment });
+    }
+    
+    /**
+     * Report a community feed quote to moderators
+     * @param {string} quoteId - Quote ID
+     * @param {string} reason - spam|abuse|inappropriate|other
+     * @param {string} [comment] - Optional explanation
+     * @returns {Promise}
+     */
+    async reportCommunityQuote(quoteId, reason, comment = '') {
+        console.log(`🚩 ApiService: Reporting community quote ${quoteId} (${reason})...`);
+        return this.request('POST', `/community/quotes/${quoteId}/report`, { reason, comment });
+    }
+    
+    // ============================================================================
+    // === ANALYTICS EVENTS ===
+    // ============================================================================
+    
+    /**
+     * Поставить продуктовое событие в очередь. Очередь уходит пачкой (batchSize событий
+     * или раз в flushInterval), при сворачивании приложения - через keepalive.
+     * Без согласия на аналитику (settings.analytics === false) ничего не делает
+     * @param {string} name - app_open|page_view
+     * @param {Object} [properties] - Плоские свойства события
+     */
+    trackEvent(name, properties = {}) {
+        if (!this.isAnalyticsEnabled()) return;
+
+        this.eventQueue.push({
+            name,
+            properties,
+            occurredAt: new Date().toISOString(),
+            sessionId: this.analyticsSessionId,
+            eventId: `e_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 12)}`
+        });
+
+        if (this.eventQueue.length >= this.eventConfig.batchSize) {
+            this.flushEvents();
+        } else if (!this.eventFlushTimer) {
+            this.eventFlushTimer = setTimeout(() => this.flushEvents(), this.eventConfig.flushInterval);
+        }
+    }
+
+    /**
+     * Согласие на аналитику из настроек пользователя (по умолчанию включено)
+     * @returns {boolean}
+     */
+    isAnalyticsEnabled() {
+        const state = window.App?.state || window.appState;
+        return state?.get?.('settings')?.analytics !== false;
+    }
+
+    /**
+     * Отправить очередь событий. Идет мимо request(): без ретраев и кэша, с keepalive,
+     * чтобы пачка ушла и при закрытии приложения. При сбое события возвращаются в очередь,
+     * повторная отправка не задвоит их - сервер дедуплицирует по eventId
+     * @param {Object} [options]
+     * @param {boolean} [options.keepalive=false] - Отправка при сворачивании/закрытии
+     * @returns {Promise<void>}
+     */
+    async flushEvents({ keepalive = false } = {}) {
+        clearTimeout(this.eventFlushTimer);
+        this.eventFlushTimer = null;
+        if (this.eventQueue.length === 0) return;
+
+        const events = this.eventQueue.splice(0, this.eventConfig.batchSize);
+        try {
+            const response = await fetch(`${this.baseURL}/analytics/events`, {
+                method: 'POST',
+                headers: this.getHeaders(),
+                body: JSON.stringify({ events }),
+                credentials: 'include',
+                keepalive
+            });
+            // 4xx - пачку не примут и при повторе, отбрасываем
+            if (response.status >= 500) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+        } catch (error) {
+            console.warn('📈 ApiService: события аналитики не отправлены', error.message);
+            this.eventQueue = [...events, ...this.eventQueue].slice(-this.eventConfig.maxQueueSize);
+            if (!keepalive && !this.eventFlushTimer) {
+                this.eventFlushTimer = setTimeout(() => this.flushEvents(), this.eventConfig.flushInterval);
+            }
+            return;
+        }
+
+        if (this.eventQueue.length > 0) {
+            if (keepalive) {
+                await this.flushEvents({ keepalive });
+            } else if (!this.eventFlushTimer) {
+                this.eventFlushTimer = setTimeout(() => this.flushEvents(), this.eventConfig.flushInterval);
+            }
+        }
+    }
+    
     // ============================================================================
     // === GAMIFICATION / ALICE BADGE METHODS ===
     // ============================================================================
@@ -2042,6 +2457,31 @@ class ApiService {
         console.log('🎖️ ApiService: Claiming Alice badge...');
         return this.request('POST', '/gamification/alice/claim');
     }
+    
+    // ============================================================================
+    // === GAMIFICATION / CHALLENGES ===
+    // ============================================================================
+    
+    /**
+     * Get active and completed challenges with progress
+     * @param {Object} options - Request options
+     * @param {boolean} options.noCache - Force bypass cache (default: true for fresh data)
+     * @returns {Promise<Object>} { success, data: { active, completed } }
+     */
+    async getChallenges(options = { noCache: true }) {
+        console.log('🏆 ApiService: Getting challenges...');
+        return this.request('GET', '/gamification/challenges', null, options);
+    }
+    
+    /**
+     * Claim the reward of a completed challenge
+     * @param {string} slug - Challenge slug
+     * @returns {Promise<Object>} { success, reward, alreadyClaimed? }
+     */
+    async claimChallenge(slug) {
+        console.log(`🏆 ApiService: Claiming challenge ${slug}...`);
+        return this.request('POST', `/gamification/challenges/${encodeURIComponent(slug)}/claim`);
+    }
 }
 
 // 🌍 Глобальный экспорт (только если window доступен)
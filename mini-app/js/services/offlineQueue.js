@@ -0,0 +1,172 @@
+/**
+ * 📴 OFFLINE QUOTE QUEUE - Очередь цитат, сохраненных без сети
+ *
+ * - Цитаты хранятся в IndexedDB (переживают закрытие mini app)
+ * - У каждой цитаты client-side ID, он же Idempotency-Key для POST /api/reader/quotes:
+ *   повторная отправка после таймаута не создает дубль
+ * - Отправку выполняет ApiService.syncPendingQuotes (при появлении сети,
+ *   при старте приложения и по Background Sync из service worker)
+ */
+
+class OfflineQuoteQueue {
+    constructor() {
+        this.dbName = 'reader-offline';
+        this.dbVersion = 1;
+        this.storeName = 'pendingQuotes';
+        this.dbPromise = null;
+    }
+
+    /**
+     * 🆔 Client-side ID цитаты (UUID, если доступен crypto.randomUUID)
+     */
+    static generateClientId() {
+        if (window.crypto?.randomUUID) {
+            return window.crypto.randomUUID();
+        }
+        const random = Math.random().toString(36).slice(2, 12);
+        return `q_${Date.now().toString(36)}_${random}`;
+    }
+
+    /**
+     * ✅ Доступен ли IndexedDB
+     */
+    isSupported() {
+        return typeof window !== 'undefined' && !!window.indexedDB;
+    }
+
+    /**
+     * 🔌 Открывает базу (один раз)
+     */
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (!this.isSupported()) {
+                reject(new Error('IndexedDB is not supported'));
+                return;
+            }
+
+            const request = window.indexedDB.open(this.dbName, this.dbVersion);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    const store = db.createObjectStore(this.storeName, { keyPath: 'clientId' });
+                    store.createIndex('queuedAt', 'queuedAt');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Следующий вызов попробует открыть заново
+        this.dbPromise.catch(() => {
+            this.dbPromise = null;
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * 🔁 Выполняет операцию в транзакции
+     * @param {'readonly'|'readwrite'} mode - Режим транзакции
+     * @param {Function} operation - (store) => IDBRequest
+     */
+    async run(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request?.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * ➕ Добавляет цитату в очередь
+     * @param {Object} quoteData - Данные для POST /quotes (с clientId)
+     * @returns {Promise<Object>} Запись очереди
+     */
+    async add(quoteData) {
+        const entry = {
+            clientId: quoteData.clientId,
+            payload: quoteData,
+            queuedAt: new Date().toISOString(),
+            attempts: 0,
+            lastError: null
+        };
+        await this.run('readwrite', store => store.put(entry));
+        this.notifyChanged();
+        return entry;
+    }
+
+    /**
+     * 📋 Все записи в порядке добавления
+     */
+    async getAll() {
+        if (!this.isSupported()) return [];
+        const entries = await this.run('readonly', store => store.getAll());
+        return (entries || []).sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+    }
+
+    /**
+     * 🔢 Количество цитат в очереди
+     */
+    async count() {
+        if (!this.isSupported()) return 0;
+        return this.run('readonly', store => store.count());
+    }
+
+    /**
+     * ✏️ Обновляет запись (попытки, последняя ошибка)
+     */
+    async update(entry) {
+        await this.run('readwrite', store => store.put(entry));
+    }
+
+    /**
+     * 🗑️ Удаляет отправленную цитату
+     */
+    async remove(clientId) {
+        await this.run('readwrite', store => store.delete(clientId));
+        this.notifyChanged();
+    }
+
+    /**
+     * 📣 Сообщает UI об изменении очереди
+     */
+    notifyChanged() {
+        this.count()
+            .then(count => {
+                document.dispatchEvent(new CustomEvent('quotes:queue-changed', { detail: { count } }));
+            })
+            .catch(() => {});
+    }
+
+    /**
+     * 🔄 Просит service worker разбудить нас при появлении сети (Background Sync)
+     */
+    async requestBackgroundSync() {
+        try {
+            if (!('serviceWorker' in navigator)) return;
+            const registration = await navigator.serviceWorker.ready;
+            if (registration.sync) {
+                await registration.sync.register('sync-quotes');
+            }
+        } catch (error) {
+            console.warn('⚠️ Background Sync недоступен:', error);
+        }
+    }
+}
+
+// 🌍 Создаем глобальный экземпляр
+const offlineQuoteQueue = new OfflineQuoteQueue();
+
+// 🌍 Глобальный экспорт
+window.OfflineQuoteQueue = OfflineQuoteQueue;
+window.offlineQuoteQueue = offlineQuoteQueue;
+
+// 📱 Экспорт для модульной системы
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OfflineQuoteQueue;
+}
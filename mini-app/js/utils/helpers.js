@@ -105,6 +105,34 @@ function showNotification(message, type = 'info', duration = 3000) {
     }, duration);
 }
 
+/**
+ * Спрашивает причину жалобы на контент сообщества
+ * (Telegram popup допускает максимум 3 кнопки, поэтому причин две + отмена)
+ * @returns {Promise<string|null>} spam|abuse или null, если читатель передумал
+ */
+function chooseReportReason() {
+    return new Promise(resolve => {
+        const webApp = window.Telegram?.WebApp;
+        if (webApp?.showPopup) {
+            try {
+                webApp.showPopup({
+                    title: 'Пожаловаться',
+                    message: 'Что не так с этой публикацией?',
+                    buttons: [
+                        { id: 'spam', type: 'default', text: 'Спам' },
+                        { id: 'abuse', type: 'destructive', text: 'Оскорбление' },
+                        { id: 'cancel', type: 'cancel' }
+                    ]
+                }, buttonId => resolve(buttonId && buttonId !== 'cancel' ? buttonId : null));
+                return;
+            } catch (error) {
+                console.warn('⚠️ showPopup недоступен:', error);
+            }
+        }
+        resolve(confirm('Отправить жалобу модератору?') ? 'other' : null);
+    });
+}
+
 // 📊 ФУНКЦИИ ДЛЯ РАБОТЫ С ДАННЫМИ
 
 /**
@@ -148,6 +176,7 @@ if (typeof module !== 'undefined' && module.exports) {
         escapeHtml,
         getInitials,
         showNotification,
+        chooseReportReason,
         groupBy,
         debounce,
         calculateProgress
@@ -160,6 +189,7 @@ if (typeof module !== 'undefined' && module.exports) {
     window.escapeHtml = escapeHtml;
     window.getInitials = getInitials;
     window.showNotification = showNotification;
+    window.chooseReportReason = chooseReportReason;
     window.groupBy = groupBy;
     window.debounce = debounce;
     window.calculateProgress = calculateProgress;
@@ -3,27 +3,111 @@
  * Обеспечивает offline функции, кэширование и PWA возможности
  * 
  * @fileoverview Service Worker для Progressive Web App функциональности
- * @version 1.0.0
+ * @version 1.1.0
  */
 
 // Версия кэша - изменяется при обновлении приложения
-const CACHE_VERSION = 'reader-bot-v1.0.0';
+const CACHE_VERSION = 'reader-bot-v1.1.0';
 const CACHE_NAME = `reader-bot-cache-${CACHE_VERSION}`;
 
-// Статические файлы для кэширования при установке
+// App shell: все, что подключает index.html. Пути относительные - SW живет в /mini-app/
+// и разрешает их относительно своего адреса. Список надо обновлять вместе с index.html
 const STATIC_CACHE_FILES = [
-    '/',
-    '/index.html',
-    '/css/main.css',
-    '/css/mobile.css',
-    '/js/app.js',
-    '/js/telegram.js',
-    '/js/api.js',
-    '/config/app-config.js',
-    '/config/api-endpoints.js',
-    '/assets/icons/icon-192x192.png',
-    '/assets/icons/icon-512x512.png',
-    '/manifest.json'
+    './',
+    'index.html',
+    'manifest.json',
+
+    // Стили
+    'css/variables.css',
+    'css/reset.css',
+    'css/base.css',
+    'css/components/navigation.css',
+    'css/components/buttons.css',
+    'css/components/cards.css',
+    'css/components/forms.css',
+    'css/components/modals.css',
+    'css/components/quote-card.css',
+    'css/components/skeleton.css',
+    'css/components/follow.css',
+    'css/components/news-carousel.css',
+    'css/components/cover-card.css',
+    'css/components/cover-comments.css',
+    'css/components/comments-fixed-reply.css',
+    'css/components/image-viewer.css',
+    'css/components/heart.css',
+    'css/pages/home.css',
+    'css/pages/onboarding.css',
+    'css/pages/diary.css',
+    'css/pages/reports.css',
+    'css/pages/catalog.css',
+    'css/pages/community.css',
+    'css/pages/navigation.css',
+    'css/pages/audio.css',
+    'css/pages/achievements.css',
+    'css/pages/settings.css',
+    'css/pages/help.css',
+    'css/pages/about.css',
+    'css/pages/profile.css',
+    'css/mobile.css',
+    'css/ios-navigation-fix.css',
+    'css/scroll-fix.css',
+
+    // Скрипты
+    'js/utils/comprehensive-debug-system-fixed.js',
+    'js/utils/viewport-calculator.js',
+    'js/utils/imageUtils.js',
+    'js/utils/dateUtils.js',
+    'js/utils/quoteNormalizer.js',
+    'js/utils/quote-utils.js',
+    'js/utils/helpers.js',
+    'js/utils/price.js',
+    'js/services/ios-fix.js',
+    'js/services/telegram.js',
+    'js/services/storage.js',
+    'js/services/offlineQueue.js',
+    'js/services/api.js',
+    'js/services/StatisticsService.js',
+    'js/services/AudioService.js',
+    'js/core/State.js',
+    'js/core/Router.js',
+    'js/core/App.js',
+    'js/components/navigation/BottomNav.js',
+    'js/components/navigation/TopMenu.js',
+    'js/components/ui/Modal.js',
+    'js/components/ProfileModal.js',
+    'js/components/CoverCommentsModal.js',
+    'js/components/NewsCarousel.js',
+    'js/components/ImageViewer.js',
+    'js/components/CoverUploadForm.js',
+    'js/components/quote/SimilarQuotesPanel.js',
+    'js/pages/HomePage.js',
+    'js/pages/DiaryPage.js',
+    'js/pages/ReportsPage.js',
+    'js/pages/CatalogPage.js',
+    'js/pages/CommunityPage.js',
+    'js/pages/OnboardingPage.js',
+    'js/pages/AchievementsPage.js',
+    'js/pages/SettingsPage.js',
+    'js/pages/AboutPage.js',
+    'js/pages/HelpPage.js',
+    'js/pages/ProfilePage.js',
+    'js/pages/FreeAudiosPage.js',
+    'js/pages/FreeAudioPlayerPage.js',
+    'js/views/MyQuotesView.js',
+    'js/views/HomeView.js',
+
+    // Иконки
+    'assets/icons/about.svg',
+    'assets/icons/achievements.svg',
+    'assets/icons/app-icon.svg',
+    'assets/icons/catalog.svg',
+    'assets/icons/community.svg',
+    'assets/icons/diary.svg',
+    'assets/icons/help.svg',
+    'assets/icons/home.svg',
+    'assets/icons/profile.svg',
+    'assets/icons/reports.svg',
+    'assets/icons/settings.svg'
 ];
 
 // API endpoints для кэширования данных
@@ -34,8 +118,8 @@ const API_CACHE_PATTERNS = [
     '/api/reader/profile'
 ];
 
-// Offline страница
-const OFFLINE_PAGE = '/offline.html';
+// SPA: без сети любая навигация получает закэшированный index.html
+const APP_SHELL_PAGE = 'index.html';
 
 // Время жизни кэша (в миллисекундах)
 const CACHE_EXPIRY = {
@@ -127,9 +211,10 @@ async function handleFetchRequest(request, url) {
     const pathname = url.pathname;
     
     try {
-        // Стратегия для статических файлов: Cache First
+        // Стратегия для app shell (JS/CSS): Network First - после деплоя
+        // сразу получаем свежий код, без сети работаем из кэша
         if (isStaticResource(pathname)) {
-            return await cacheFirst(request);
+            return await networkFirst(request);
         }
         
         // Стратегия для API: Network First с fallback на кэш
@@ -228,14 +313,14 @@ async function networkFirstWithOfflinePage(request) {
 }
 
 /**
- * Получить offline страницу
+ * Получить offline страницу: закэшированный app shell, иначе заглушка
  */
 async function getOfflinePage() {
     const cache = await caches.open(CACHE_NAME);
-    const offlinePage = await cache.match(OFFLINE_PAGE);
+    const appShell = await cache.match(new URL(APP_SHELL_PAGE, self.registration.scope).href);
     
-    if (offlinePage) {
-        return offlinePage;
+    if (appShell) {
+        return appShell;
     }
     
     // Создаем простую offline страницу если нет кэшированной
@@ -336,74 +421,16 @@ self.addEventListener('sync', (event) => {
 });
 
 /**
- * Получить JWT токен из storage для аутентификации
- */
-async function getAuthToken() {
-    try {
-        // Пробуем получить токен из различных источников
-        
-        // 1. Проверяем sessionStorage
-        if (typeof sessionStorage !== 'undefined') {
-            const token = sessionStorage.getItem('reader_auth_token');
-            if (token) return token;
-        }
-        
-        // 2. Проверяем localStorage  
-        if (typeof localStorage !== 'undefined') {
-            const token = localStorage.getItem('reader_auth_token');
-            if (token) return token;
-        }
-        
-        // 3. Проверяем IndexedDB (для более надежного хранения)
-        // TODO: Implement IndexedDB token retrieval if needed
-        
-        return null;
-    } catch (error) {
-        console.warn('⚠️ Не удалось получить токен аутентификации:', error);
-        return null;
-    }
-}
-
-/**
- * Синхронизация цитат при восстановлении соединения
+ * Синхронизация цитат при восстановлении соединения.
+ * Очередь (IndexedDB) и авторизация живут в приложении, поэтому SW только будит
+ * открытые окна - отправку делает ApiService.syncPendingQuotes с Idempotency-Key.
+ * Если окон нет, цитаты уйдут при следующем запуске mini app.
  */
 async function syncQuotes() {
-    try {
-        console.log('🔄 Синхронизация цитат...');
-        
-        // Получаем несинхронизированные цитаты из IndexedDB
-        const pendingQuotes = await getPendingQuotes();
-        
-        for (const quote of pendingQuotes) {
-            try {
-                // ИСПРАВЛЕНИЕ: Получаем JWT токен для аутентификации
-                const authToken = await getAuthToken();
-                
-                // Подготавливаем заголовки
-                const headers = { 'Content-Type': 'application/json' };
-                if (authToken) {
-                    headers['Authorization'] = `Bearer ${authToken}`;
-                }
-                
-                // ИСПРАВЛЕНИЕ: Используем правильный endpoint для Reader API
-                const response = await fetch('/api/reader/quotes', {
-                    method: 'POST',
-                    headers: headers,
-                    body: JSON.stringify(quote)
-                });
-                
-                if (response.ok) {
-                    await removePendingQuote(quote.id);
-                    console.log('✅ Цитата синхронизирована:', quote.id);
-                }
-            } catch (error) {
-                console.error('❌ Ошибка синхронизации цитаты:', error);
-            }
-        }
-        
-    } catch (error) {
-        console.error('❌ Ошибка синхронизации цитат:', error);
-    }
+    const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    console.log('🔄 Синхронизация цитат: окон приложения -', clients.length);
+    
+    clients.forEach((client) => client.postMessage({ type: 'SYNC_QUOTES' }));
 }
 
 /**
@@ -502,20 +529,6 @@ self.addEventListener('notificationclick', (event) => {
     }
 });
 
-/**
- * Утилиты для работы с IndexedDB (заглушки)
- * В реальном приложении здесь будет полная реализация
- */
-async function getPendingQuotes() {
-    // TODO: Реализовать получение несинхронизированных цитат из IndexedDB
-    return [];
-}
-
-async function removePendingQuote(quoteId) {
-    // TODO: Реализовать удаление синхронизированной цитаты из IndexedDB
-    console.log('Удаление синхронизированной цитаты:', quoteId);
-}
-
 /**
  * Обработка сообщений от основного приложения
  */
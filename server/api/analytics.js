@@ -7,6 +7,9 @@
 const express = require('express');
 const router = express.Router();
 const analyticsService = require('../services/analyticsService');
+const aiUsageService = require('../services/aiUsageService');
+const funnelService = require('../services/funnelService');
+const { adminAuth } = require('../middleware/adminAuth');
 
 /**
  * @typedef {Object} ApiResponse
@@ -140,6 +143,76 @@ router.get('/retention', async (req, res) => {
   }
 });
 
+/**
+ * Справочники конструктора воронок: шаги, источники, целевые аудитории
+ * @route GET /api/analytics/funnels/meta
+ */
+router.get('/funnels/meta', adminAuth, async (req, res) => {
+  try {
+    const meta = await funnelService.getFunnelMeta();
+
+    res.json({
+      success: true,
+      data: meta,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('📊 Ошибка получения справочников воронок:', error);
+
+    res.status(500).json({
+      success: false,
+      error: 'Не удалось получить справочники воронок',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * Построение воронки с разбивкой по когортам регистрации
+ * @route POST /api/analytics/funnels
+ * @param {string} [from] - Начало периода регистрации, YYYY-MM-DD (МСК)
+ * @param {string} [to] - Конец периода регистрации, YYYY-MM-DD (МСК)
+ * @param {string} [source] - Источник (UserProfile.source)
+ * @param {string} [audience] - slug целевой аудитории
+ * @param {string} [cohortBy=week] - week|month
+ * @param {Array<{type: string, minCount?: number, withinDays?: number}>} [steps] - Шаги воронки
+ */
+router.post('/funnels', adminAuth, async (req, res) => {
+  try {
+    const { from, to, source, audience, cohortBy, steps } = req.body || {};
+    console.log(`📊 FUNNEL: ${from || '-'}..${to || '-'}, source=${source || 'all'}, audience=${audience || 'all'}`);
+
+    const result = await funnelService.buildFunnel({ from, to, source, audience, cohortBy, steps });
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        error: result.error,
+        code: result.code,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { success, ...data } = result;
+    res.json({
+      success,
+      data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('📊 Ошибка построения воронки:', error);
+
+    res.status(500).json({
+      success: false,
+      error: 'Не удалось построить воронку',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * Получение топ контента (авторы, категории, цитаты)
  * @route GET /api/analytics/top-content
@@ -330,8 +403,15 @@ router.post('/track-action', async (req, res) => {
     }
 
     // Трекинг через сервис
-    await analyticsService.trackUserAction(user_id, action, metadata);
-    
+    const tracked = await analyticsService.trackUserAction(user_id, action, metadata);
+    if (!tracked) {
+      return res.status(400).json({
+        success: false,
+        error: `Неизвестное действие: ${action}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
     console.log(`📊 Действие записано: ${action} от пользователя ${user_id}`);
     
     res.json({
@@ -422,6 +502,47 @@ router.get('/export', async (req, res) => {
   }
 });
 
+/**
+ * Расход токенов и стоимость AI-запросов (по функциям, моделям, читателям)
+ * @route GET /api/analytics/ai-usage
+ * @param {string} [period=7d] - Период анализа (1d, 7d, 30d, 90d)
+ * @returns {ApiResponse<Object>}
+ */
+router.get('/ai-usage', adminAuth, async (req, res) => {
+  try {
+    const { period = '7d' } = req.query;
+
+    const validPeriods = ['1d', '7d', '30d', '90d'];
+    if (!validPeriods.includes(period)) {
+      return res.status(400).json({
+        success: false,
+        error: `Неверный период. Доступные: ${validPeriods.join(', ')}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const usage = await aiUsageService.getSummary(period);
+
+    console.log(`📊 AI usage за ${period}: ${usage.totals.calls} запросов, $${usage.totals.costUsd.toFixed(4)}`);
+
+    res.json({
+      success: true,
+      data: usage,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('📊 Ошибка получения расхода AI:', error);
+
+    res.status(500).json({
+      success: false,
+      error: 'Не удалось получить расход AI',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * Получение метаданных аналитики
  * @route GET /api/analytics/metadata
@@ -478,6 +599,8 @@ router.use('*', (req, res) => {
       'GET /api/analytics/test',
       'GET /api/analytics/dashboard',
       'GET /api/analytics/retention',
+      'GET /api/analytics/funnels/meta',
+      'POST /api/analytics/funnels',
       'GET /api/analytics/top-content',
       'GET /api/analytics/export',
       'GET /api/analytics/metadata',
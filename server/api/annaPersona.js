@@ -165,6 +165,7 @@ router.get('/contexts', async (req, res) => {
 /**
  * GET /api/reader/anna-persona/for-context/:context
  * Получение персоны Анны для конкретного контекста
+ * (варианты A/B экспериментов применяются в системном промпте чата для авторизованного читателя)
  */
 router.get('/for-context/:context', async (req, res) => {
     try {
@@ -11,6 +11,7 @@ const mongoose = require('mongoose');
 const audioService = require('../services/audio/audioService');
 const AudioProgress = require('../models/AudioProgress');
 const { resolveUserObjectId } = require('../services/access/resolveUserId');
+const analyticsService = require('../services/analyticsService');
 const logger = require('../utils/logger');
 
 /**
@@ -20,6 +21,29 @@ const logger = require('../utils/logger');
  */
 const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
 
+/**
+ * GET /api/audio
+ * List the active audio catalog (free and paid entries)
+ * @returns {Array} Array of catalog summaries
+ */
+router.get('/', async (req, res) => {
+  try {
+    const audios = await audioService.listCatalog();
+    
+    res.json({
+      success: true,
+      audios
+    });
+  } catch (error) {
+    logger.error('❌ Error fetching audio catalog:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch audio catalog',
+      details: error.message
+    });
+  }
+});
+
 /**
  * GET /api/audio/free
  * List all free audio content
@@ -119,55 +143,41 @@ router.get('/:id', async (req, res) => {
       });
     }
 
-    // Check if audio is unlocked for this user
-    let unlocked = false;
-    let remainingDays = null;
-    let expiresAt = null;
+    // Check if audio is unlocked for this user and why
+    let access = null;
     
     if (userId) {
       // Resolve userId to ObjectId before calling audioService (prevents "me" CastError)
       const userObjectId = await resolveUserObjectId(userId);
       
       if (userObjectId) {
-        unlocked = await audioService.isUnlocked(userObjectId, id);
-        
-        // For gated content (alice_wonderland), include remainingDays and expiresAt if unlocked
-        if (audio.requiresEntitlement) {
-          const entitlementService = require('../services/access/entitlementService');
-          const UserEntitlement = require('../models/UserEntitlement');
-          
-          // Get entitlement to extract expiresAt
-          const entitlement = await UserEntitlement.findOne({ 
-            userId: userObjectId, 
-            kind: 'audio', 
-            resourceId: id 
-          });
-          
-          if (entitlement) {
-            expiresAt = entitlement.expiresAt;
-            // Only include remainingDays if still valid
-            if (unlocked) {
-              remainingDays = await entitlementService.getRemainingDays(userObjectId, id);
-            }
-          }
-        }
+        access = await audioService.getAccessInfo(userObjectId, id);
       }
     }
 
     // Prepare response object
     const audioResponse = {
       ...audio,
-      unlocked
+      unlocked: access ? access.unlocked : false
     };
     
-    // Add remainingDays only if available (for gated content)
-    if (remainingDays !== null) {
-      audioResponse.remainingDays = remainingDays;
-    }
-    
-    // Add expiresAt if available (for expired detection)
-    if (expiresAt !== null) {
-      audioResponse.expiresAt = expiresAt;
+    // For gated content, explain access: reason (audio/package/subscription) and expiry
+    // remainingDays is null and unlimited is true for access that never expires
+    if (access && access.unlocked && access.reason !== 'free') {
+      audioResponse.access = {
+        reason: access.reason,
+        resourceId: access.resourceId,
+        expiresAt: access.expiresAt,
+        unlimited: access.unlimited
+      };
+      audioResponse.remainingDays = access.remainingDays;
+      audioResponse.unlimited = access.unlimited;
+      if (access.expiresAt) {
+        audioResponse.expiresAt = access.expiresAt;
+      }
+    } else if (access && access.expiresAt) {
+      // Add expiresAt of expired access (for expired detection)
+      audioResponse.expiresAt = access.expiresAt;
     }
 
     // Return container with tracks if applicable
@@ -227,6 +237,10 @@ router.get('/:id/stream-url', async (req, res) => {
     }
     
     const streamUrl = await audioService.getStreamUrl(userId, id);
+
+    // В событиях аналитики храним Telegram ID; ObjectId профиля не подставляем
+    const telegramId = /^\d+$/.test(String(rawUserId)) ? String(rawUserId) : null;
+    analyticsService.trackEvent('audio_played', telegramId, { audioId: String(id) });
     
     res.json({
       success: true,
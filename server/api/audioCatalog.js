@@ -0,0 +1,295 @@
+/**
+ * Audio catalog admin routes - CRUD for audio разборы, track upload and ordering
+ * @file server/api/audioCatalog.js
+ */
+
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const router = express.Router();
+
+const AudioCatalog = require('../models/AudioCatalog');
+const audioService = require('../services/audio/audioService');
+const { adminAuth } = require('../middleware/adminAuth');
+const logger = require('../utils/logger');
+
+/**
+ * Root directory served as /media/free/ (see docs/ops/nginx/audio.conf)
+ */
+const AUDIO_STORAGE_DIR = process.env.AUDIO_STORAGE_DIR || '/srv/reader-audio/free';
+
+/**
+ * Editable catalog fields
+ */
+const EDITABLE_FIELDS = ['title', 'author', 'description', 'coverUrl', 'playerCoverUrl', 'bookSlug', 'isFree', 'isActive', 'sortOrder'];
+
+const trackStorage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    const dir = path.join(AUDIO_STORAGE_DIR, req.catalogEntry.audioId);
+    fs.mkdir(dir, { recursive: true }, (error) => cb(error, dir));
+  },
+  filename: function (req, file, cb) {
+    const ext = (path.extname(file.originalname) || '.mp3').toLowerCase();
+    cb(null, `${req.trackId.split('-').pop()}${ext}`);
+  }
+});
+
+const trackUpload = multer({
+  storage: trackStorage,
+  limits: {
+    fileSize: 300 * 1024 * 1024 // 300MB limit for long разборы
+  },
+  fileFilter: function (req, file, cb) {
+    const allowedMimes = ['audio/mpeg', 'audio/mp3', 'audio/mp4', 'audio/x-m4a', 'audio/aac', 'audio/ogg'];
+    if (allowedMimes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Поддерживаются только аудиофайлы (MP3, M4A, AAC, OGG)'));
+    }
+  }
+});
+
+/**
+ * Pick editable fields from request body
+ * @param {Object} body - Request body
+ * @returns {Object} Update data
+ */
+function pickFields(body) {
+  const data = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  }
+  if (data.bookSlug === '') {
+    data.bookSlug = null;
+  }
+  return data;
+}
+
+/**
+ * Load catalog entry by audioId into req.catalogEntry
+ */
+async function loadEntry(req, res, next) {
+  try {
+    const entry = await AudioCatalog.findOne({ audioId: req.params.audioId });
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Audio not found'
+      });
+    }
+    req.catalogEntry = entry;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Map validation/duplicate errors to HTTP responses
+ * @param {Error} error - Error
+ * @param {Object} res - Express response
+ * @param {string} message - Fallback message
+ */
+function sendError(error, res, message) {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({ success: false, error: 'Audio with this ID already exists' });
+  }
+  logger.error(`❌ ${message}:`, error);
+  res.status(500).json({ success: false, error: message, details: error.message });
+}
+
+router.use(adminAuth);
+
+/**
+ * GET /api/audio-catalog
+ * List all catalog entries, including inactive ones
+ */
+router.get('/', async (req, res) => {
+  try {
+    const entries = await AudioCatalog.find({}).sort({ sortOrder: 1, createdAt: 1 });
+    res.json({
+      success: true,
+      data: entries.map(entry => ({ ...entry.toMetadata(), isActive: entry.isActive, sortOrder: entry.sortOrder }))
+    });
+  } catch (error) {
+    sendError(error, res, 'Failed to fetch audio catalog');
+  }
+});
+
+/**
+ * GET /api/audio-catalog/:audioId
+ * Get a single catalog entry
+ */
+router.get('/:audioId', loadEntry, (req, res) => {
+  const entry = req.catalogEntry;
+  res.json({
+    success: true,
+    data: { ...entry.toMetadata(), isActive: entry.isActive, sortOrder: entry.sortOrder }
+  });
+});
+
+/**
+ * POST /api/audio-catalog
+ * Create a catalog entry (tracks are uploaded separately)
+ */
+router.post('/', async (req, res) => {
+  try {
+    const entry = await AudioCatalog.create({
+      audioId: String(req.body.audioId || '').trim(),
+      ...pickFields(req.body)
+    });
+    audioService.invalidateCatalog();
+    logger.info(`🎵 Audio catalog entry created: ${entry.audioId}`);
+    res.status(201).json({ success: true, data: entry.toMetadata() });
+  } catch (error) {
+    sendError(error, res, 'Failed to create audio');
+  }
+});
+
+/**
+ * PUT /api/audio-catalog/:audioId
+ * Update catalog entry metadata
+ */
+router.put('/:audioId', loadEntry, async (req, res) => {
+  try {
+    const entry = req.catalogEntry;
+    Object.assign(entry, pickFields(req.body));
+    await entry.save();
+    audioService.invalidateCatalog();
+    logger.info(`🎵 Audio catalog entry updated: ${entry.audioId}`);
+    res.json({ success: true, data: entry.toMetadata() });
+  } catch (error) {
+    sendError(error, res, 'Failed to update audio');
+  }
+});
+
+/**
+ * DELETE /api/audio-catalog/:audioId
+ * Delete catalog entry (uploaded files are kept on disk)
+ */
+router.delete('/:audioId', loadEntry, async (req, res) => {
+  try {
+    await req.catalogEntry.deleteOne();
+    audioService.invalidateCatalog();
+    logger.info(`🗑️ Audio catalog entry deleted: ${req.params.audioId}`);
+    res.json({ success: true });
+  } catch (error) {
+    sendError(error, res, 'Failed to delete audio');
+  }
+});
+
+/**
+ * POST /api/audio-catalog/:audioId/tracks
+ * Upload a track (multipart: file, title, durationSec)
+ */
+router.post('/:audioId/tracks', loadEntry, (req, res, next) => {
+  req.trackId = req.catalogEntry.nextTrackId();
+  next();
+}, trackUpload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'Audio file is required' });
+    }
+
+    const entry = req.catalogEntry;
+    const track = {
+      trackId: req.trackId,
+      title: String(req.body.title || '').trim() || `Часть ${entry.tracks.length + 1}`,
+      file: `${entry.audioId}/${req.file.filename}`,
+      durationSec: req.body.durationSec ? Math.round(Number(req.body.durationSec)) : null,
+      order: entry.tracks.length
+    };
+    entry.tracks.push(track);
+    await entry.save();
+    audioService.invalidateCatalog();
+
+    logger.info(`🎵 Track ${track.trackId} uploaded to ${entry.audioId} (${req.file.size} bytes)`);
+    res.status(201).json({ success: true, data: entry.toMetadata() });
+  } catch (error) {
+    sendError(error, res, 'Failed to upload track');
+  }
+});
+
+/**
+ * PUT /api/audio-catalog/:audioId/tracks/order
+ * Reorder tracks: { trackIds: string[] }
+ */
+router.put('/:audioId/tracks/order', loadEntry, async (req, res) => {
+  try {
+    const entry = req.catalogEntry;
+    if (!entry.reorderTracks(req.body.trackIds)) {
+      return res.status(400).json({
+        success: false,
+        error: 'trackIds must list every track of this audio exactly once'
+      });
+    }
+    await entry.save();
+    audioService.invalidateCatalog();
+    res.json({ success: true, data: entry.toMetadata() });
+  } catch (error) {
+    sendError(error, res, 'Failed to reorder tracks');
+  }
+});
+
+/**
+ * PUT /api/audio-catalog/:audioId/tracks/:trackId
+ * Update track title or duration
+ */
+router.put('/:audioId/tracks/:trackId', loadEntry, async (req, res) => {
+  try {
+    const entry = req.catalogEntry;
+    const track = entry.tracks.find(t => t.trackId === req.params.trackId);
+    if (!track) {
+      return res.status(404).json({ success: false, error: 'Track not found' });
+    }
+    if (req.body.title !== undefined) {
+      track.title = String(req.body.title).trim();
+    }
+    if (req.body.durationSec !== undefined) {
+      track.durationSec = req.body.durationSec === null ? null : Math.round(Number(req.body.durationSec));
+    }
+    entry.markModified('tracks');
+    await entry.save();
+    audioService.invalidateCatalog();
+    res.json({ success: true, data: entry.toMetadata() });
+  } catch (error) {
+    sendError(error, res, 'Failed to update track');
+  }
+});
+
+/**
+ * DELETE /api/audio-catalog/:audioId/tracks/:trackId
+ * Remove a track and its file
+ */
+router.delete('/:audioId/tracks/:trackId', loadEntry, async (req, res) => {
+  try {
+    const entry = req.catalogEntry;
+    const track = entry.tracks.find(t => t.trackId === req.params.trackId);
+    if (!track) {
+      return res.status(404).json({ success: false, error: 'Track not found' });
+    }
+
+    entry.tracks = entry.tracks.filter(t => t.trackId !== track.trackId);
+    entry.getSortedTracks().forEach((t, index) => { t.order = index; });
+    entry.markModified('tracks');
+    await entry.save();
+    audioService.invalidateCatalog();
+
+    fs.promises.unlink(path.join(AUDIO_STORAGE_DIR, track.file)).catch(error => {
+      logger.warn(`⚠️ Could not delete track file ${track.file}: ${error.message}`);
+    });
+
+    logger.info(`🗑️ Track ${track.trackId} removed from ${entry.audioId}`);
+    res.json({ success: true, data: entry.toMetadata() });
+  } catch (error) {
+    sendError(error, res, 'Failed to delete track');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,184 @@
+/**
+ * Challenge admin routes - CRUD for time-boxed reading challenges and claim stats
+ * @file server/api/challenges.js
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+
+const Challenge = require('../models/Challenge');
+const { CHALLENGE_METRICS, CHALLENGE_REWARD_TYPES } = require('../models/Challenge');
+const ChallengeClaim = require('../models/ChallengeClaim');
+const { METRIC_LABELS } = require('../services/gamification/challengeService');
+const { adminAuth } = require('../middleware/adminAuth');
+const logger = require('../utils/logger');
+
+/**
+ * Editable challenge fields
+ */
+const EDITABLE_FIELDS = ['slug', 'title', 'description', 'emoji', 'image', 'isActive', 'startsAt', 'endsAt', 'criteria', 'reward', 'sortOrder'];
+
+/**
+ * Pick editable fields from request body
+ * @param {Object} body - Request body
+ * @returns {Object} Update data
+ */
+function pickFields(body) {
+  const data = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  }
+  return data;
+}
+
+/**
+ * Load challenge by id into req.challenge
+ */
+async function loadChallenge(req, res, next) {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid challenge id' });
+    }
+    const challenge = await Challenge.findById(req.params.id);
+    if (!challenge) {
+      return res.status(404).json({ success: false, error: 'Challenge not found' });
+    }
+    req.challenge = challenge;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Map validation errors to HTTP responses
+ * @param {Error} error - Error
+ * @param {Object} res - Express response
+ * @param {string} message - Fallback message
+ */
+function sendError(error, res, message) {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({ success: false, error: 'Challenge with this slug already exists' });
+  }
+  logger.error(`❌ ${message}:`, error);
+  res.status(500).json({ success: false, error: message, details: error.message });
+}
+
+router.use(adminAuth);
+
+/**
+ * GET /api/challenges
+ * List challenges with claim counts
+ */
+router.get('/', async (req, res) => {
+  try {
+    const [challenges, claimCounts] = await Promise.all([
+      Challenge.find({}).sort({ isActive: -1, startsAt: -1 }).lean(),
+      ChallengeClaim.aggregate([{ $group: { _id: '$challengeId', claims: { $sum: 1 } } }])
+    ]);
+
+    const countsById = new Map(claimCounts.map(row => [String(row._id), row.claims]));
+    const data = challenges.map(challenge => ({
+      ...challenge,
+      claims: countsById.get(String(challenge._id)) || 0
+    }));
+
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(error, res, 'Failed to fetch challenges');
+  }
+});
+
+/**
+ * GET /api/challenges/options
+ * Available metrics and reward types for the challenge form
+ */
+router.get('/options', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      metrics: CHALLENGE_METRICS.map(metric => ({ metric, label: METRIC_LABELS[metric] })),
+      rewardTypes: CHALLENGE_REWARD_TYPES
+    }
+  });
+});
+
+/**
+ * GET /api/challenges/:id
+ * Challenge with the latest claims
+ */
+router.get('/:id', loadChallenge, async (req, res) => {
+  try {
+    const claims = await ChallengeClaim.find({ challengeId: req.challenge._id })
+      .sort({ claimedAt: -1 })
+      .limit(100)
+      .lean();
+    res.json({ success: true, data: { ...req.challenge.toObject(), recentClaims: claims } });
+  } catch (error) {
+    sendError(error, res, 'Failed to fetch challenge');
+  }
+});
+
+/**
+ * POST /api/challenges
+ * Create a challenge
+ */
+router.post('/', async (req, res) => {
+  try {
+    const challenge = await Challenge.create({
+      ...pickFields(req.body),
+      createdBy: req.admin?.username || 'admin'
+    });
+    logger.info(`🏆 Challenge created: ${challenge.slug} (${challenge._id})`);
+    res.status(201).json({ success: true, data: challenge });
+  } catch (error) {
+    sendError(error, res, 'Failed to create challenge');
+  }
+});
+
+/**
+ * PUT /api/challenges/:id
+ * Update a challenge (criteria and reward are replaced as a whole)
+ */
+router.put('/:id', loadChallenge, async (req, res) => {
+  try {
+    const challenge = req.challenge;
+    Object.assign(challenge, pickFields(req.body));
+    challenge.updatedBy = req.admin?.username || 'admin';
+    await challenge.save();
+    logger.info(`🏆 Challenge updated: ${challenge.slug} (${challenge._id})`);
+    res.json({ success: true, data: challenge });
+  } catch (error) {
+    sendError(error, res, 'Failed to update challenge');
+  }
+});
+
+/**
+ * DELETE /api/challenges/:id
+ * Delete a challenge that nobody has claimed yet (otherwise deactivate it)
+ */
+router.delete('/:id', loadChallenge, async (req, res) => {
+  try {
+    const claims = await ChallengeClaim.countDocuments({ challengeId: req.challenge._id });
+    if (claims > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Challenge has ${claims} claims, deactivate it instead`
+      });
+    }
+
+    await req.challenge.deleteOne();
+    logger.info(`🗑️ Challenge deleted: ${req.challenge.slug} (${req.params.id})`);
+    res.json({ success: true });
+  } catch (error) {
+    sendError(error, res, 'Failed to delete challenge');
+  }
+});
+
+module.exports = router;
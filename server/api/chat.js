@@ -35,7 +35,7 @@ router.post(['/', '/message'], async (req, res) => {
     }
 
     // 🍄 НОВОЕ: Проверяем, есть ли у пользователя тикет в ожидании email
-    const pendingTicket = ticketEmailService.getPendingTicket(userId);
+    const pendingTicket = await ticketEmailService.getPendingTicket(userId);
     
     // 🍄 НОВОЕ: Если есть тикет в ожидании и сообщение содержит email
     if (pendingTicket && ticketEmailService.isEmailMessage(message)) {
@@ -350,7 +350,7 @@ router.post(['/', '/message'], async (req, res) => {
 router.get('/users/:userId/pending-ticket', async (req, res) => {
   try {
     const { userId } = req.params;
-    const pendingTicket = ticketEmailService.getPendingTicket(userId);
+    const pendingTicket = await ticketEmailService.getPendingTicket(userId);
     
     if (pendingTicket) {
       res.json({
@@ -389,7 +389,7 @@ router.get('/users/:userId/pending-ticket', async (req, res) => {
  */
 router.get('/ticket-email-stats', async (req, res) => {
   try {
-    const stats = ticketEmailService.getPendingTicketsStats();
+    const stats = await ticketEmailService.getPendingTicketsStats();
     
     res.json({
       success: true,
@@ -831,15 +831,21 @@ router.post('/switch-ai-provider', async (req, res) => {
   try {
     const { provider } = req.body;
     
-    if (!provider || !['openai', 'claude'].includes(provider)) {
+    if (!provider || !['openai', 'claude', 'local'].includes(provider)) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid provider. Must be one of: openai, claude',
+        error: 'Invalid provider. Must be one of: openai, claude, local',
         code: 'VALIDATION_ERROR'
       });
     }
     
-    claude.switchProvider(provider);
+    if (!claude.switchProvider(provider)) {
+      return res.status(400).json({
+        success: false,
+        error: `Provider ${provider} is not configured`,
+        code: 'PROVIDER_NOT_CONFIGURED'
+      });
+    }
     
     const providerInfo = claude.getProviderInfo();
     
@@ -932,6 +938,7 @@ router.post('/test-rag', async (req, res) => {
         language,
         resultsByThreshold: results,
         automaticSearch: autoResults,
+        embeddings: vectorStoreService.getProviderInfo(),
         timestamp: new Date().toISOString()
       }
     });
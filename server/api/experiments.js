@@ -0,0 +1,119 @@
+/**
+ * Experiments admin routes - A/B эксперименты с промптами, персонами Анны и уведомлениями:
+ * создание, запуск/пауза/завершение и метрики по вариантам
+ * @file server/api/experiments.js
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { EXPERIMENT_TYPES, EXPERIMENT_STATUSES } = require('../models/Experiment');
+const experimentService = require('../services/experimentService');
+const { adminAuth } = require('../middleware/adminAuth');
+const logger = require('../utils/logger');
+
+const ERROR_STATUS = {
+  INVALID_EXPERIMENT: 400,
+  INVALID_VARIANT: 400,
+  INVALID_STATUS: 400,
+  DUPLICATE_KEY: 409,
+  CONFLICT: 409,
+  LOCKED: 409,
+  NOT_FOUND: 404
+};
+
+/**
+ * Ответ с ошибкой сервиса
+ * @param {Object} res - Express response
+ * @param {{error: string, code: string}} result
+ */
+function sendError(res, result) {
+  res.status(ERROR_STATUS[result.code] || 400).json({ success: false, error: result.error, code: result.code });
+}
+
+router.use(adminAuth);
+
+/**
+ * GET /api/experiments?status=&type=
+ * Experiments with exposed readers per variant
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { status, type } = req.query;
+    if (status && !EXPERIMENT_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: 'Invalid status' });
+    }
+    if (type && !EXPERIMENT_TYPES.includes(type)) {
+      return res.status(400).json({ success: false, error: 'Invalid type' });
+    }
+
+    const data = await experimentService.listExperiments({ status, type });
+    res.json({ success: true, data });
+  } catch (error) {
+    logger.error('❌ Failed to list experiments:', error);
+    res.status(500).json({ success: false, error: 'Failed to list experiments', details: error.message });
+  }
+});
+
+/**
+ * POST /api/experiments
+ * Body: { key, name, description?, type: prompt|persona|notification, target (Experiment.EXPERIMENT_TARGETS[type]), trafficPercent?,
+ *         variants: [{ key, name?, weight?, isControl?, promptId? | personaId? | template? }] }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const result = await experimentService.createExperiment(req.body || {}, req.admin?.username || null);
+    if (!result.success) return sendError(res, result);
+    res.status(201).json({ success: true, data: result.experiment });
+  } catch (error) {
+    logger.error('❌ Failed to create experiment:', error);
+    res.status(500).json({ success: false, error: 'Failed to create experiment', details: error.message });
+  }
+});
+
+/**
+ * PUT /api/experiments/:id
+ * Drafts are fully editable; after start only name, description and trafficPercent (increase only)
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const result = await experimentService.updateExperiment(req.params.id, req.body || {});
+    if (!result.success) return sendError(res, result);
+    res.json({ success: true, data: result.experiment });
+  } catch (error) {
+    logger.error('❌ Failed to update experiment:', error);
+    res.status(500).json({ success: false, error: 'Failed to update experiment', details: error.message });
+  }
+});
+
+/**
+ * POST /api/experiments/:id/status
+ * Body: { status: running|paused|completed }
+ */
+router.post('/:id/status', async (req, res) => {
+  try {
+    const result = await experimentService.setStatus(req.params.id, (req.body || {}).status);
+    if (!result.success) return sendError(res, result);
+    res.json({ success: true, data: result.experiment });
+  } catch (error) {
+    logger.error('❌ Failed to change experiment status:', error);
+    res.status(500).json({ success: false, error: 'Failed to change experiment status', details: error.message });
+  }
+});
+
+/**
+ * GET /api/experiments/:id/metrics
+ * Report read rate, quotes per week and catalog clicks per variant since exposure
+ */
+router.get('/:id/metrics', async (req, res) => {
+  try {
+    const result = await experimentService.getExperimentMetrics(req.params.id);
+    if (!result.success) return sendError(res, result);
+    res.json({ success: true, data: { experiment: result.experiment, variants: result.variants } });
+  } catch (error) {
+    logger.error('❌ Failed to build experiment metrics:', error);
+    res.status(500).json({ success: false, error: 'Failed to build experiment metrics', details: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,123 @@
+/**
+ * Moderation admin routes - очередь жалоб на контент сообщества, скрытие/возврат,
+ * блокировка авторов
+ * @file server/api/moderation.js
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { MODERATION_TARGET_TYPES, MODERATION_ACTIONS } = require('../models/ModerationReport');
+const moderationService = require('../services/moderationService');
+const { adminAuth } = require('../middleware/adminAuth');
+const logger = require('../utils/logger');
+
+const ERROR_STATUS = {
+  INVALID_ACTION: 400,
+  INVALID_TARGET: 400,
+  NOT_FOUND: 404
+};
+
+/**
+ * Parse optional ban duration (days); empty/0 means permanent
+ * @param {*} value - Raw value
+ * @returns {number|null}
+ */
+function parseBanDays(value) {
+  const days = parseInt(value, 10);
+  return Number.isFinite(days) && days > 0 ? days : null;
+}
+
+router.use(adminAuth);
+
+/**
+ * GET /api/moderation/queue?status=open|resolved|dismissed&targetType=cover|comment|quote
+ * Reports grouped by target, most reported first
+ */
+router.get('/queue', async (req, res) => {
+  try {
+    const { status = 'open', targetType } = req.query;
+    if (!['open', 'resolved', 'dismissed'].includes(status)) {
+      return res.status(400).json({ success: false, error: 'Invalid status' });
+    }
+    if (targetType && !MODERATION_TARGET_TYPES.includes(targetType)) {
+      return res.status(400).json({ success: false, error: 'Invalid target type' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const data = await moderationService.getQueue({ status, targetType, limit });
+    res.json({ success: true, data });
+  } catch (error) {
+    logger.error('❌ Failed to fetch moderation queue:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch moderation queue', details: error.message });
+  }
+});
+
+/**
+ * POST /api/moderation/:targetType/:targetId/actions
+ * Body: { action: hide|restore|ban|dismiss, note?, banDays? }
+ */
+router.post('/:targetType/:targetId/actions', async (req, res) => {
+  try {
+    const { targetType, targetId } = req.params;
+    const { action, note } = req.body || {};
+
+    if (!MODERATION_TARGET_TYPES.includes(targetType)) {
+      return res.status(400).json({ success: false, error: 'Invalid target type' });
+    }
+    if (!MODERATION_ACTIONS.includes(action)) {
+      return res.status(400).json({ success: false, error: 'Invalid action' });
+    }
+
+    const result = await moderationService.applyAction({
+      targetType,
+      targetId,
+      action,
+      note: note ? String(note).slice(0, 500) : null,
+      banDays: parseBanDays(req.body.banDays),
+      adminLogin: req.admin?.username || 'admin'
+    });
+
+    if (!result.success) {
+      return res.status(ERROR_STATUS[result.code] || 400).json(result);
+    }
+    res.json({ success: true, data: result });
+  } catch (error) {
+    logger.error('❌ Failed to apply moderation action:', error);
+    res.status(500).json({ success: false, error: 'Failed to apply moderation action', details: error.message });
+  }
+});
+
+/**
+ * GET /api/moderation/bans
+ * Readers with an active community ban
+ */
+router.get('/bans', async (req, res) => {
+  try {
+    const data = await moderationService.getBannedUsers();
+    res.json({ success: true, data });
+  } catch (error) {
+    logger.error('❌ Failed to fetch community bans:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch community bans', details: error.message });
+  }
+});
+
+/**
+ * DELETE /api/moderation/bans/:userId
+ * Lift a community ban
+ */
+router.delete('/bans/:userId', async (req, res) => {
+  try {
+    const lifted = await moderationService.unbanUser(req.params.userId);
+    if (!lifted) {
+      return res.status(404).json({ success: false, error: 'Ban not found' });
+    }
+    logger.info(`🔓 Community ban lifted for ${req.params.userId} by ${req.admin?.username || 'admin'}`);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('❌ Failed to lift community ban:', error);
+    res.status(500).json({ success: false, error: 'Failed to lift community ban', details: error.message });
+  }
+});
+
+module.exports = router;
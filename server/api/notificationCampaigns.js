@@ -0,0 +1,228 @@
+/**
+ * Notification campaign admin routes - CRUD for the reminder calendar, preview and image uploads
+ * @file server/api/notificationCampaigns.js
+ */
+
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const mongoose = require('mongoose');
+const router = express.Router();
+
+const NotificationCampaign = require('../models/NotificationCampaign');
+const { DATE_KEY_PATTERN } = require('../models/NotificationCampaign');
+const notificationCampaignService = require('../services/notificationCampaignService');
+const { adminAuth } = require('../middleware/adminAuth');
+const logger = require('../utils/logger');
+
+/**
+ * Images are served as /assets/notifications/<file> (see server/index.js)
+ */
+const NOTIFICATION_ASSETS_DIR = path.join(__dirname, '../assets/notifications');
+
+/**
+ * Editable campaign fields
+ */
+const EDITABLE_FIELDS = ['name', 'description', 'isActive', 'priority', 'startDate', 'endDate', 'rules', 'overrides'];
+
+const imageStorage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    fs.mkdir(NOTIFICATION_ASSETS_DIR, { recursive: true }, (error) => cb(error, NOTIFICATION_ASSETS_DIR));
+  },
+  filename: function (req, file, cb) {
+    const ext = (path.extname(file.originalname) || '.jpg').toLowerCase();
+    const base = path.basename(file.originalname, path.extname(file.originalname))
+      .toLowerCase()
+      .replace(/[^a-z0-9_-]+/g, '_')
+      .slice(0, 60) || 'image';
+    cb(null, `${Date.now()}_${base}${ext}`);
+  }
+});
+
+const imageUpload = multer({
+  storage: imageStorage,
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB - Telegram sendPhoto limit
+  },
+  fileFilter: function (req, file, cb) {
+    const allowedMimes = ['image/jpeg', 'image/png', 'image/webp'];
+    if (allowedMimes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Поддерживаются только изображения (JPEG, PNG, WebP)'));
+    }
+  }
+});
+
+/**
+ * Pick editable fields from request body
+ * @param {Object} body - Request body
+ * @returns {Object} Update data
+ */
+function pickFields(body) {
+  const data = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  }
+  if (data.startDate === '') data.startDate = null;
+  if (data.endDate === '') data.endDate = null;
+  return data;
+}
+
+/**
+ * Load campaign by id into req.campaign
+ */
+async function loadCampaign(req, res, next) {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid campaign id' });
+    }
+    const campaign = await NotificationCampaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ success: false, error: 'Campaign not found' });
+    }
+    req.campaign = campaign;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Map validation errors to HTTP responses
+ * @param {Error} error - Error
+ * @param {Object} res - Express response
+ * @param {string} message - Fallback message
+ */
+function sendError(error, res, message) {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  logger.error(`❌ ${message}:`, error);
+  res.status(500).json({ success: false, error: message, details: error.message });
+}
+
+router.use(adminAuth);
+
+/**
+ * GET /api/notification-campaigns
+ * List campaigns, including inactive ones
+ */
+router.get('/', async (req, res) => {
+  try {
+    const campaigns = await NotificationCampaign.find({}).sort({ isActive: -1, priority: -1, createdAt: -1 }).lean();
+    res.json({ success: true, data: campaigns });
+  } catch (error) {
+    sendError(error, res, 'Failed to fetch notification campaigns');
+  }
+});
+
+/**
+ * GET /api/notification-campaigns/preview?from=YYYY-MM-DD&days=35
+ * Resolved reminders per day and slot, including fallback rotation
+ */
+router.get('/preview', async (req, res) => {
+  try {
+    const from = req.query.from || new Intl.DateTimeFormat('en-CA', { timeZone: 'Europe/Moscow' }).format(new Date());
+    if (!DATE_KEY_PATTERN.test(from)) {
+      return res.status(400).json({ success: false, error: 'from must be YYYY-MM-DD' });
+    }
+
+    const calendar = await notificationCampaignService.previewCalendar(from, req.query.days);
+    res.json({ success: true, data: { from, days: calendar.length, calendar } });
+  } catch (error) {
+    sendError(error, res, 'Failed to build notification calendar');
+  }
+});
+
+/**
+ * GET /api/notification-campaigns/images
+ * Images available for attachments
+ */
+router.get('/images', async (req, res) => {
+  try {
+    const files = await fs.promises.readdir(NOTIFICATION_ASSETS_DIR).catch(() => []);
+    const images = files
+      .filter(file => /\.(jpe?g|png|webp)$/i.test(file))
+      .sort()
+      .map(file => ({ file, url: `/assets/notifications/${file}` }));
+    res.json({ success: true, data: images });
+  } catch (error) {
+    sendError(error, res, 'Failed to list notification images');
+  }
+});
+
+/**
+ * POST /api/notification-campaigns/images
+ * Upload an image attachment (multipart: file)
+ */
+router.post('/images', imageUpload.single('file'), (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ success: false, error: 'Image file is required' });
+  }
+  logger.info(`🖼️ Notification image uploaded: ${req.file.filename} (${req.file.size} bytes)`);
+  res.status(201).json({
+    success: true,
+    data: { file: req.file.filename, url: `/assets/notifications/${req.file.filename}` }
+  });
+});
+
+/**
+ * GET /api/notification-campaigns/:id
+ */
+router.get('/:id', loadCampaign, (req, res) => {
+  res.json({ success: true, data: req.campaign });
+});
+
+/**
+ * POST /api/notification-campaigns
+ * Create a campaign
+ */
+router.post('/', async (req, res) => {
+  try {
+    const campaign = await NotificationCampaign.create({
+      ...pickFields(req.body),
+      createdBy: req.admin?.username || 'admin'
+    });
+    logger.info(`🔔 Notification campaign created: ${campaign.name} (${campaign._id})`);
+    res.status(201).json({ success: true, data: campaign });
+  } catch (error) {
+    sendError(error, res, 'Failed to create notification campaign');
+  }
+});
+
+/**
+ * PUT /api/notification-campaigns/:id
+ * Update a campaign (rules and overrides are replaced as a whole)
+ */
+router.put('/:id', loadCampaign, async (req, res) => {
+  try {
+    const campaign = req.campaign;
+    Object.assign(campaign, pickFields(req.body));
+    campaign.updatedBy = req.admin?.username || 'admin';
+    await campaign.save();
+    logger.info(`🔔 Notification campaign updated: ${campaign.name} (${campaign._id})`);
+    res.json({ success: true, data: campaign });
+  } catch (error) {
+    sendError(error, res, 'Failed to update notification campaign');
+  }
+});
+
+/**
+ * DELETE /api/notification-campaigns/:id
+ * Delete a campaign (uploaded images are kept on disk)
+ */
+router.delete('/:id', loadCampaign, async (req, res) => {
+  try {
+    await req.campaign.deleteOne();
+    logger.info(`🗑️ Notification campaign deleted: ${req.campaign.name} (${req.params.id})`);
+    res.json({ success: true });
+  } catch (error) {
+    sendError(error, res, 'Failed to delete notification campaign');
+  }
+});
+
+module.exports = router;
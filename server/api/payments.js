@@ -0,0 +1,54 @@
+/**
+ * Payment webhook routes
+ * @file server/api/payments.js
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const paymentWebhookService = require('../services/payments/paymentWebhookService');
+const logger = require('../utils/logger');
+
+/**
+ * POST /api/payments/webhook
+ * Shop payment webhook. Body must be signed with PAYMENT_WEBHOOK_SECRET
+ * (header X-Payment-Signature: t=<unix seconds>,v1=<hex hmac-sha256 of "t.body">).
+ * Replays of the same event ID are acknowledged without side effects.
+ */
+router.post('/webhook', async (req, res) => {
+  const secret = paymentWebhookService.getSecret();
+  if (!secret) {
+    logger.error('❌ Payment webhook received but PAYMENT_WEBHOOK_SECRET is not configured');
+    return res.status(503).json({
+      success: false,
+      error: 'Payment webhook secret not configured'
+    });
+  }
+
+  const signature = req.get(paymentWebhookService.SIGNATURE_HEADER);
+  if (!paymentWebhookService.verifySignature(req.rawBody, signature, secret)) {
+    logger.warn(`⚠️ Payment webhook rejected: invalid signature (ip ${req.ip})`);
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid signature'
+    });
+  }
+
+  try {
+    const result = await paymentWebhookService.processEvent(req.body);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    if (statusCode >= 500) {
+      logger.error('❌ Payment webhook processing failed:', error);
+    } else {
+      logger.warn(`⚠️ Payment webhook rejected: ${error.message}`);
+    }
+    res.status(statusCode).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
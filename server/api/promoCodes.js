@@ -6,11 +6,25 @@
 
 const express = require('express');
 const PromoCode = require('../models/PromoCode');
+const { PromoCodeUsage } = require('../models/analytics');
+const promoCodeService = require('../services/promoCodeService');
 const { adminAuth } = require('../middleware/adminAuth');
+const { telegramAuth } = require('../middleware/telegramAuth');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+/**
+ * HTTP статусы для ошибок promoCodeService
+ */
+const REDEEM_ERROR_STATUS = {
+  INVALID_REQUEST: 400,
+  PROMO_UNAVAILABLE: 400,
+  NOT_OWNER: 403,
+  AUDIENCE_MISMATCH: 403,
+  USER_LIMIT_REACHED: 409
+};
+
 /**
  * GET /api/reader/promoCodes
  * Получить список промокодов
@@ -25,6 +39,7 @@ router.get('/', async (req, res) => {
       isActive,
       isExpired,
       search,
+      personal,
       sortBy = 'createdAt',
       sortOrder = 'desc'
     } = req.query;
@@ -43,6 +58,9 @@ router.get('/', async (req, res) => {
     if (isActive !== undefined) {
       filter.isActive = isActive === 'true';
     }
+
+    // Персональные коды читателей по умолчанию не показываем - их тысячи
+    filter.ownerUserId = personal === 'true' ? { $type: 'string' } : null;
     
     if (isExpired !== undefined) {
       const now = new Date();
@@ -117,6 +135,30 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/reader/promoCodes/attribution
+ * Конверсия кодов по рассылкам: какие отчеты и анонсы приводят к использованию
+ */
+router.get('/attribution', adminAuth, async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 90, 1), 365);
+    const stats = await promoCodeService.getAttributionStats({ days });
+
+    res.json({
+      success: true,
+      data: stats
+    });
+
+  } catch (error) {
+    logger.error('Error fetching promo code attribution:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Ошибка получения атрибуции промокодов',
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /api/reader/promoCodes/active/:context
  * Получить активные промокоды по контексту
@@ -212,34 +254,51 @@ router.post('/validate', async (req, res) => {
 
 /**
  * POST /api/reader/promoCodes/use
- * Использовать промокод
+ * Использовать промокод от имени читателя (Telegram initData).
+ * Проверяет лимит на читателя, владельца персонального кода и аудиторию, пишет PromoCodeUsage
  */
-router.post('/use', async (req, res) => {
+router.post('/use', telegramAuth, async (req, res) => {
   try {
-    const { code } = req.body;
+    const { code, orderValue, product, source, campaign } = req.body;
     
-    if (!code) {
+    if (!code || typeof code !== 'string') {
       return res.status(400).json({
         success: false,
         message: 'Код промокода обязателен'
       });
     }
 
-    const used = await PromoCode.useCode(code);
-
-    if (used) {
-      logger.info(`🎁 Promo code used: ${code.toUpperCase()}`);
-      res.json({
-        success: true,
-        message: 'Промокод успешно использован'
+    const sources = PromoCodeUsage.schema.path('source').enumValues;
+    if (source !== undefined && !sources.includes(source)) {
+      return res.status(400).json({
+        success: false,
+        message: `Неверный источник. Доступные: ${sources.join(', ')}`
       });
-    } else {
-      res.status(400).json({
+    }
+
+    const result = await promoCodeService.redeemCode(req.userId, code, { orderValue, product, source, campaign });
+
+    if (!result.success) {
+      return res.status(REDEEM_ERROR_STATUS[result.code] || 400).json({
         success: false,
-        message: 'Промокод недоступен для использования'
+        message: result.error,
+        code: result.code
       });
     }
 
+    res.json({
+      success: true,
+      data: {
+        code: result.usage.promoCode,
+        discount: result.discount,
+        discountType: result.discountType,
+        discountAmount: result.discountAmount,
+        finalAmount: result.finalAmount,
+        campaign: result.usage.campaign || null
+      },
+      message: 'Промокод успешно использован'
+    });
+
   } catch (error) {
     logger.error('Error using promo code:', error);
     res.status(500).json({
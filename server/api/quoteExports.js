@@ -0,0 +1,96 @@
+/**
+ * Quote export admin routes - экспорт цитат всех читателей из админ-панели
+ * (те же фоновые задачи, что и у читателей, но по токену администратора)
+ * @file server/api/quoteExports.js
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const quoteExportService = require('../services/quoteExportService');
+const { adminAuth } = require('../middleware/adminAuth');
+const logger = require('../utils/logger');
+
+/**
+ * Ссылка на скачивание для админ-панели
+ * @param {string} jobId - ID задачи экспорта
+ * @returns {string}
+ */
+const adminExportDownloadUrl = (jobId) => `/api/quote-exports/${jobId}/download`;
+
+/**
+ * Владелец задачи экспорта, созданной администратором
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+const adminRequester = (req) => `admin:${req.admin?.username || 'admin'}`;
+
+router.use(adminAuth);
+
+/**
+ * POST /api/quote-exports
+ * Body: { format: csv|json|md|epub, period?, category?, includeUserData? }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { format = 'csv', period = 'all', category = 'all', includeUserData = true } = req.body || {};
+
+    if (!quoteExportService.normalizeFormat(format)) {
+      return res.status(400).json({ success: false, error: 'Unsupported export format' });
+    }
+
+    const job = await quoteExportService.createExportJob({
+      requestedBy: adminRequester(req),
+      format,
+      filters: { period, category, includeUserData: Boolean(includeUserData) },
+      scope: 'all'
+    });
+
+    res.status(202).json({ success: true, export: job.toPublicJSON(adminExportDownloadUrl) });
+  } catch (error) {
+    logger.error('❌ Failed to start admin quote export:', error);
+    res.status(500).json({ success: false, error: 'Failed to start quote export', details: error.message });
+  }
+});
+
+/**
+ * GET /api/quote-exports/:jobId
+ * Export job status
+ */
+router.get('/:jobId', async (req, res) => {
+  try {
+    const job = await quoteExportService.getExportJob(req.params.jobId, null, { isAdmin: true });
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Export not found' });
+    }
+
+    res.json({ success: true, export: job.toPublicJSON(adminExportDownloadUrl) });
+  } catch (error) {
+    logger.error('❌ Failed to get admin quote export status:', error);
+    res.status(500).json({ success: false, error: 'Failed to get export status', details: error.message });
+  }
+});
+
+/**
+ * GET /api/quote-exports/:jobId/download
+ * Generated export file
+ */
+router.get('/:jobId/download', async (req, res) => {
+  try {
+    const job = await quoteExportService.getExportJob(req.params.jobId, null, { isAdmin: true });
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Export not found' });
+    }
+    if (!job.isDownloadable()) {
+      return res.status(409).json({ success: false, error: 'Export is not ready', status: job.status });
+    }
+
+    res.setHeader('Content-Type', quoteExportService.getMimeType(job.format));
+    res.download(job.filePath, job.filename);
+  } catch (error) {
+    logger.error('❌ Failed to download admin quote export:', error);
+    res.status(500).json({ success: false, error: 'Failed to download export', details: error.message });
+  }
+});
+
+module.exports = router;
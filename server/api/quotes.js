@@ -7,38 +7,7 @@
 const express = require('express');
 const router = express.Router();
 
-// ✅ ДОБАВИТЬ НЕДОСТАЮЩИЙ ИМПОРТ:
-function parseUserIdFromInitData(initData) {
-  try {
-    const params = new URLSearchParams(initData);
-    const userStr = params.get('user');
-    if (userStr) {
-      const userObj = JSON.parse(userStr);
-      if (userObj && userObj.id) return String(userObj.id);
-    }
-  } catch (e) {
-    console.warn('InitData parse error:', e, initData);
-  }
-  return null;
-}
-
-function telegramAuth(req, res, next) {
-  const initData = req.headers['authorization']?.startsWith('tma ')
-    ? req.headers['authorization'].slice(4)
-    : req.headers['x-telegram-init-data'];
-
-  const userId = parseUserIdFromInitData(initData);
-  
-  if (!initData || !userId) {
-    return res.status(401).json({ 
-      success: false, 
-      error: 'Authentication required' 
-    });
-  }
-
-  req.userId = userId;
-  next();
-}
+const { telegramAuth } = require('../middleware/telegramAuth');
 
 // Импорт утилит
 const logger = require('../utils/logger');
@@ -47,6 +16,29 @@ const logger = require('../utils/logger');
 const Quote = require('../models/quote');
 const UserProfile = require('../models/userProfile');
 
+// Импорт сервисов
+const quoteExportService = require('../services/quoteExportService');
+const quoteSimilarityService = require('../services/quoteSimilarityService');
+const { getUserTimezone } = require('../services/userTimezoneService');
+const { getEmbeddingProvider, cosineSimilarity, LocalEmbeddingProvider } = require('../services/embeddings');
+
+/**
+ * Ссылка на скачивание файла экспорта
+ * @param {string} jobId - ID задачи экспорта
+ * @returns {string} URL для скачивания
+ */
+const exportDownloadUrl = (jobId) => `/api/quotes/download/${jobId}`;
+
+/**
+ * Проверка, является ли пользователь администратором
+ * @param {Object} req - Express request
+ * @returns {boolean} True если userId входит в ADMIN_TELEGRAM_IDS
+ */
+function isAdmin(req) {
+  const adminIds = (process.env.ADMIN_TELEGRAM_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+  return adminIds.includes(String(req.userId));
+}
+
 /**
  * @typedef {Object} QuoteFilters
  * @property {string} period - Период фильтрации ('1d', '7d', '30d', '90d')
@@ -392,6 +384,8 @@ router.post('/', async (req, res) => {
             createdAt: now,
             isEdited: false
         });
+        // Неделя и месяц пересчитываются при сохранении в часовом поясе читателя
+        newQuote.$locals.timezone = await getUserTimezone(userId);
 
         const savedQuote = await newQuote.save();
 
@@ -405,7 +399,7 @@ router.post('/', async (req, res) => {
         try {
             const QuoteHandler = require('../services/quoteHandler');
             const quoteHandler = new QuoteHandler();
-            analysis = await quoteHandler.analyzeQuote(savedQuote.text, savedQuote.author);
+            analysis = await quoteHandler.analyzeQuote(savedQuote.text, savedQuote.author, savedQuote.userId);
             savedQuote.category = analysis.category;
             savedQuote.themes = analysis.themes;
             savedQuote.sentiment = analysis.sentiment;
@@ -820,11 +814,11 @@ router.get('/:id', telegramAuth, async (req, res) => {
                 wordCount: quote.text.split(' ').length,
                 characterCount: quote.text.length
             },
-            relatedQuotes: similarQuotes.map(sq => ({
+            relatedQuotes: (await scoreSimilarity(quote.text, similarQuotes)).map(({ quote: sq, similarity }) => ({
                 id: sq._id.toString(),
                 text: sq.text,
                 author: sq.author,
-                similarity: Math.random() * 0.3 + 0.7 // Временная логика
+                similarity
             }))
         };
 
@@ -1136,7 +1130,8 @@ router.post('/:id/favorite', telegramAuth, async (req, res) => {
 });
 
 /**
- * POST /api/quotes/export - Экспорт цитат
+ * POST /api/quotes/export - Запуск экспорта цитат (CSV, JSON, Markdown, EPUB)
+ * Экспорт выполняется как фоновая задача, статус доступен по GET /api/quotes/export/:jobId
  */
 router.post('/export', telegramAuth, async (req, res) => {
     try {
@@ -1144,42 +1139,39 @@ router.post('/export', telegramAuth, async (req, res) => {
             format = 'csv',
             period = '30d',
             category = 'all',
-            includeUserData = false
+            includeUserData = false,
+            scope
         } = req.body;
 
         logger.info('📊 Экспорт цитат:', { format, period, category, includeUserData });
 
         res.setHeader('Content-Type', 'application/json; charset=utf-8');
 
-        // Построение фильтра
-        const filter = {};
-        if (period !== 'all') {
-            const days = parseInt(period);
-            const startDate = new Date();
-            startDate.setDate(startDate.getDate() - days);
-            filter.createdAt = { $gte: startDate };
-        }
-
-        if (category !== 'all') {
-            filter.category = category;
+        if (!quoteExportService.normalizeFormat(format)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Неподдерживаемый формат экспорта (csv, json, md, epub)',
+                error: 'INVALID_FORMAT'
+            });
         }
 
-        // Подсчитываем количество записей для экспорта
-        const recordsCount = await Quote.countDocuments(filter);
+        // Администраторы экспортируют все цитаты, читатели - только свои
+        const exportScope = isAdmin(req) && scope !== 'user' ? 'all' : 'user';
 
-        // TODO: Здесь будет логика генерации файла
-        const exportData = {
-            filename: `quotes_export_${new Date().toISOString().split('T')[0]}.${format}`,
+        const job = await quoteExportService.createExportJob({
+            requestedBy: req.userId,
             format,
-            recordsCount,
-            generatedAt: new Date().toISOString(),
-            downloadUrl: `/api/quotes/download/${Date.now()}.${format}`
-        };
+            filters: { period, category, includeUserData },
+            scope: exportScope
+        });
 
-        res.json({
+        res.status(202).json({
             success: true,
             message: 'Экспорт запущен',
-            data: exportData
+            data: {
+                ...job.toPublicJSON(exportDownloadUrl),
+                statusUrl: `/api/quotes/export/${job._id}`
+            }
         });
 
     } catch (error) {
@@ -1192,6 +1184,74 @@ router.post('/export', telegramAuth, async (req, res) => {
     }
 });
 
+/**
+ * GET /api/quotes/export/:jobId - Статус задачи экспорта
+ */
+router.get('/export/:jobId', telegramAuth, async (req, res) => {
+    try {
+        const job = await quoteExportService.getExportJob(req.params.jobId, req.userId, {
+            isAdmin: isAdmin(req)
+        });
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: 'Задача экспорта не найдена'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: job.toPublicJSON(exportDownloadUrl)
+        });
+
+    } catch (error) {
+        logger.error('❌ Ошибка получения статуса экспорта:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Ошибка получения статуса экспорта',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/quotes/download/:jobId - Скачивание готового файла экспорта
+ */
+router.get('/download/:jobId', telegramAuth, async (req, res) => {
+    try {
+        const job = await quoteExportService.getExportJob(req.params.jobId, req.userId, {
+            isAdmin: isAdmin(req)
+        });
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: 'Задача экспорта не найдена'
+            });
+        }
+
+        if (!job.isDownloadable()) {
+            return res.status(409).json({
+                success: false,
+                message: job.status === 'failed' ? 'Экспорт завершился с ошибкой' : 'Файл экспорта еще не готов или устарел',
+                data: { status: job.status }
+            });
+        }
+
+        res.setHeader('Content-Type', quoteExportService.getMimeType(job.format));
+        res.download(job.filePath, job.filename);
+
+    } catch (error) {
+        logger.error('❌ Ошибка скачивания экспорта:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Ошибка скачивания экспорта',
+            error: error.message
+        });
+    }
+});
+
 /**
  * GET /api/quotes/search/similar/:id - Поиск похожих цитат
  */
@@ -1213,18 +1273,35 @@ router.get('/search/similar/:id', telegramAuth, async (req, res) => {
             });
         }
 
-        // Ищем похожие цитаты
-        const similarQuotes = await Quote.findSimilarQuotes(
-            sourceQuote.text, 
-            sourceQuote.userId
-        );
+        // Ищем похожие цитаты других читателей в семантическом индексе
+        let scored = [];
+        const matches = await quoteSimilarityService.findSimilar(sourceQuote, {
+            scope: 'community',
+            limit
+        });
+        if (matches.length > 0) {
+            const found = await Quote.find({ _id: { $in: matches.map(m => m.quoteId) } });
+            const quoteMap = new Map(found.map(q => [q._id.toString(), q]));
+            scored = matches
+                .filter(m => quoteMap.has(m.quoteId))
+                .map(m => ({ quote: quoteMap.get(m.quoteId), similarity: m.similarity }));
+        }
 
-        const result = similarQuotes.slice(0, parseInt(limit)).map(quote => ({
+        // Индекс пуст или недоступен - полнотекстовый поиск MongoDB
+        if (scored.length === 0) {
+            const similarQuotes = await Quote.findSimilarQuotes(
+                sourceQuote.text, 
+                sourceQuote.userId
+            );
+            scored = await scoreSimilarity(sourceQuote.text, similarQuotes);
+        }
+
+        const result = scored.slice(0, parseInt(limit)).map(({ quote, similarity }) => ({
             id: quote._id.toString(),
             text: quote.text,
             author: quote.author,
             category: quote.category,
-            similarity: Math.random() * 0.3 + 0.7 // Временная логика, заменить на реальный алгоритм
+            similarity
         }));
 
         res.json({
@@ -1261,6 +1338,36 @@ async function getStatisticsForPeriod(period) {
     return stats;
 }
 
+/**
+ * Оценка семантической близости цитат через провайдер embeddings
+ * Если основной провайдер недоступен (нет сети) - используется локальный
+ * @param {string} sourceText - Текст исходной цитаты
+ * @param {Array<Object>} quotes - Кандидаты
+ * @returns {Promise<Array<{quote: Object, similarity: number}>>} Кандидаты по убыванию близости
+ */
+async function scoreSimilarity(sourceText, quotes) {
+    if (quotes.length === 0) {
+        return [];
+    }
+
+    const texts = [sourceText, ...quotes.map(q => q.text)];
+    let vectors;
+    try {
+        vectors = await getEmbeddingProvider().embedBatch(texts);
+    } catch (error) {
+        logger.warn(`⚠️ Embedding provider failed, using local similarity: ${error.message}`);
+        vectors = await new LocalEmbeddingProvider().embedBatch(texts);
+    }
+
+    const [sourceVector, ...candidateVectors] = vectors;
+    return quotes
+        .map((quote, index) => ({
+            quote,
+            similarity: Math.round(Math.max(0, cosineSimilarity(sourceVector, candidateVectors[index])) * 1000) / 1000
+        }))
+        .sort((a, b) => b.similarity - a.similarity);
+}
+
 /**
  * Получение номера недели в году
  * @param {Date} date - Дата
@@ -28,9 +28,7 @@ function safeExtractUserId(req) {
     }
     
     // Priority 2: Try to parse from headers (Authorization or X-Telegram-Init-Data)
-    const initData = req.headers['authorization']?.startsWith('tma ')
-      ? req.headers['authorization'].slice(4)
-      : req.headers['x-telegram-init-data'];
+    const initData = getInitData(req);
     
     if (initData) {
       const userId = parseUserIdFromInitData(initData);
@@ -53,87 +51,6 @@ function safeExtractUserId(req) {
   }
 }
 
-/**
- * Parse userId from Telegram initData string
- * Enhanced with better validation and error handling
- * ОБНОВЛЕНО: Добавлена безопасная декодировка для санитизированных данных
- * @param {string} initData - Telegram initData string (может быть закодирован)
- * @returns {string|null} userId or null if invalid
- */
-function parseUserIdFromInitData(initData) {
-  try {
-    // Validate input is a string
-    if (!initData || typeof initData !== 'string') {
-      console.warn('parseUserIdFromInitData: initData is not a valid string');
-      return null;
-    }
-    
-    // Безопасная декодировка: клиент может отправить закодированную строку
-    let decodedInitData = initData;
-    try {
-      // Пробуем декодировать, если строка закодирована
-      const decoded = decodeURIComponent(initData);
-      // Используем декодированную версию только если она выглядит как initData
-      if (decoded.includes('=')) {
-        decodedInitData = decoded;
-      }
-    } catch (decodeError) {
-      // Если декодирование не удалось, используем оригинал
-      console.debug('parseUserIdFromInitData: initData already decoded or invalid encoding');
-    }
-    
-    // Check if initData contains expected pattern
-    if (!decodedInitData.includes('=')) {
-      console.warn('parseUserIdFromInitData: initData does not match expected pattern');
-      return null;
-    }
-    
-    // Парсим параметры из initData
-    const params = new URLSearchParams(decodedInitData);
-    const userStr = params.get('user');
-    if (userStr) {
-      const userObj = JSON.parse(userStr);
-      if (userObj && userObj.id) return String(userObj.id);
-    }
-  } catch (e) {
-    console.warn('InitData parse error:', e.message);
-  }
-  return null;
-}
-
-function telegramAuth(req, res, next) {
-  // DEV AUTH BYPASS: Allow requests with userId query param in development
-  const isDevelopment = process.env.NODE_ENV === 'development';
-  const queryUserId = req.query.userId;
-  
-  if (isDevelopment && queryUserId) {
-    console.log('[TELEGRAM AUTH] DEV BYPASS: Using userId from query param:', queryUserId);
-    req.userId = String(queryUserId);
-    return next();
-  }
-
-  const initData = req.headers['authorization']?.startsWith('tma ')
-    ? req.headers['authorization'].slice(4)
-    : req.headers['x-telegram-init-data'];
-
-  console.log('[TELEGRAM AUTH] RAW:', req.headers['authorization']);
-  console.log('[TELEGRAM AUTH] INITDATA:', initData);
-
-  const userId = parseUserIdFromInitData(initData);
-  console.log('[TELEGRAM AUTH] PARSED USERID:', userId);
-  
-  if (!initData) {
-    return res.status(401).json({ success: false, error: 'No Telegram initData' });
-  }
-
-  if (!userId) {
-    return res.status(401).json({ success: false, error: 'Invalid Telegram initData' });
-  }
-
-  req.userId = userId;
-  next();
-}
-
 /**
  * @fileoverview Reader Bot Mini App API Endpoints
  * @description API маршруты для Telegram Mini App
@@ -162,10 +79,19 @@ const PhotoSchedule = require('../models/PhotoSchedule');
 
 // Импорт сервисов
 const QuoteHandler = require('../services/quoteHandler');
+const quoteExportService = require('../services/quoteExportService');
+const quoteImportService = require('../services/quoteImportService');
+const quoteSimilarityService = require('../services/quoteSimilarityService');
+const accountDataService = require('../services/accountDataService');
+const moderationService = require('../services/moderationService');
+const analyticsService = require('../services/analyticsService');
+const userTimezoneService = require('../services/userTimezoneService');
+const recommendationService = require('../services/recommendationService');
 
 // Импорт утилит
 const { fetchTelegramAvatar, hasAvatar, updateUserAvatar } = require('../utils/telegramAvatarFetcher');
 const { getAllCategories } = require('../utils/normalizeCategory');
+const { DEFAULT_TIMEZONE, isValidTimezone, normalizeTimezone, getDayKey, getLocalDayRange } = require('../utils/timezone');
 
 // Defensive module-level import with fallback to prevent ReferenceError
 const _normalizer = (() => {
@@ -183,7 +109,12 @@ const localNormalizeQuoteField = _normalizer.normalizeQuoteField || (s => {
 });
 
 // Импорт middleware
-const { communityLimiter } = require('../middleware/rateLimiting');
+const { getInitData, parseUserIdFromInitData, telegramAuth } = require('../middleware/telegramAuth');
+const { communityLimiter: communityRateLimiter } = require('../middleware/rateLimiting');
+const { communityBanGuard } = require('../middleware/communityBan');
+
+// Маршруты сообщества: лимит запросов + блокировка модератором (после telegramAuth)
+const communityLimiter = [communityRateLimiter, communityBanGuard];
 
 // Helper functions for safe normalization with additional error handling
 function safeNormalize(s) {
@@ -207,6 +138,9 @@ function toNormalizedKey(text, author) {
 // Инициализация обработчика цитат
 const quoteHandler = new QuoteHandler();
 
+// Ссылка на скачивание экспорта дневника
+const readerExportDownloadUrl = (jobId) => `/api/reader/quotes/export/${jobId}/download`;
+
 // === AVATAR STORAGE CONFIGURATION ===
 // Use __dirname to ensure consistent path resolution regardless of process.cwd()
 // Two levels up (../../) from server/api to reach repository root
@@ -415,15 +349,11 @@ async function getUserBadges(userId) {
 
 /**
  * Get current day key in Europe/Moscow timezone
+ * Community photo day is shared by all readers (same key as photoAutopostCron)
  * @returns {string} Day key in format YYYY-MM-DD
  */
 function getCurrentDayKey() {
-  const now = new Date();
-  const moscowTime = new Date(now.toLocaleString('en-US', { timeZone: 'Europe/Moscow' }));
-  const year = moscowTime.getFullYear();
-  const month = String(moscowTime.getMonth() + 1).padStart(2, '0');
-  const day = String(moscowTime.getDate()).padStart(2, '0');
-  return `${year}-${month}-${day}`;
+  return getDayKey(new Date(), 'Europe/Moscow');
 }
 
 /**
@@ -673,10 +603,34 @@ function toQuoteDTO(q, { summary = '', user = null } = {}) {
       sentiment: q.sentiment || 'neutral'
     }
   };
+  if (q.clientId) base.clientId = q.clientId;
   if (user) base.user = user;
   return base;
 }
 
+/**
+ * Формат ключа идемпотентности цитаты (UUID из mini app или похожий ID)
+ */
+const QUOTE_CLIENT_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+/**
+ * Повторный ответ на уже обработанный POST /quotes с тем же ключом
+ * @param {Object} res - Express response
+ * @param {Object} quote - Сохраненная ранее цитата
+ * @returns {Promise<Object>}
+ */
+async function sendQuoteReplay(res, quote) {
+  const todayCount = await Quote.getTodayQuotesCount(quote.userId);
+  res.set('Idempotent-Replayed', 'true');
+  return res.json({
+    success: true,
+    quote: toQuoteDTO(quote),
+    newAchievements: [],
+    todayCount,
+    idempotentReplay: true
+  });
+}
+
 /**
  * Local helper to normalize user settings with safe defaults
  * @param {Object|null} user - User profile object 
@@ -688,7 +642,9 @@ function normalizeSettings(user) {
     return {
       reminders: { enabled: true, frequency: 'often', lastSentAt: null },
       achievements: { enabled: true },
-      language: 'ru'
+      language: 'ru',
+      timezone: DEFAULT_TIMEZONE,
+      timezoneSource: 'auto'
     };
   }
 
@@ -708,10 +664,34 @@ function normalizeSettings(user) {
     achievements: {
       enabled: settings.achievements?.enabled ?? true
     },
-    language: settings.language ?? 'ru'
+    language: settings.language ?? 'ru',
+    timezone: isValidTimezone(settings.timezone) ? settings.timezone : DEFAULT_TIMEZONE,
+    timezoneSource: settings.timezoneSource ?? 'auto'
   };
 }
 
+/**
+ * Сохраняет часовой пояс, определённый мини-приложением (Intl API)
+ * Выбранный вручную в настройках пояс не перезаписывается
+ * @param {Object} userProfile - UserProfile document
+ * @param {string} timezone - IANA timezone из клиента
+ * @returns {Promise<boolean>} true, если пояс обновлён
+ */
+async function applyDetectedTimezone(userProfile, timezone) {
+  if (!userProfile || !isValidTimezone(timezone)) return false;
+
+  const settings = userProfile.settings || {};
+  if (settings.timezoneSource === 'manual' || settings.timezone === timezone) return false;
+
+  await UserProfile.updateOne(
+    { userId: userProfile.userId },
+    { $set: { 'settings.timezone': timezone, 'settings.timezoneSource': 'auto' } }
+  );
+  userTimezoneService.remember(userProfile.userId, timezone);
+  console.log(`🕐 Часовой пояс пользователя ${userProfile.userId}: ${timezone} (auto)`);
+  return true;
+}
+
 /**
  * Encode cursor for pagination
  * @param {Object} item - Item with createdAt and _id
@@ -841,7 +821,7 @@ router.get('/health', (req, res) => {
  */
 router.post('/auth/telegram', async (req, res) => {
   try {
-    const { telegramData, user } = req.body;
+    const { telegramData, user, timezone } = req.body;
 
     if (!user || !user.id) {
       return res.status(400).json({
@@ -853,6 +833,13 @@ router.post('/auth/telegram', async (req, res) => {
     const userId = user.id.toString();
     const userProfile = await UserProfile.findOne({ userId });
 
+    // Часовой пояс из мини-приложения (Telegram его не передаёт)
+    try {
+      await applyDetectedTimezone(userProfile, timezone);
+    } catch (timezoneError) {
+      console.error(`❌ Failed to save timezone for user ${userId}:`, timezoneError.message);
+    }
+
     // Асинхронное получение аватара, если у пользователя его нет
     if (userProfile && !hasAvatar(userProfile)) {
       // Запускаем фетч аватара в фоне, не блокируя ответ
@@ -980,7 +967,7 @@ function normalizeOnboardingInput(email, source) {
  */
 router.post('/auth/complete-onboarding', async (req, res) => {
   try {
-    const { user, answers, email, source, forceRetake } = req.body || {};
+    const { user, answers, email, source, forceRetake, timezone } = req.body || {};
 
     if (!user || !user.id || !answers) {
       return res.status(400).json({ success: false, error: 'MISSING_FIELDS' });
@@ -1040,6 +1027,7 @@ router.post('/auth/complete-onboarding', async (req, res) => {
           languageCode: user.language_code,
           chatId: userId
         },
+        ...(isValidTimezone(timezone) ? { settings: { timezone, timezoneSource: 'auto' } } : {}),
         isOnboardingComplete: true,
         registeredAt: now,
         updatedAt: now
@@ -1058,6 +1046,8 @@ router.post('/auth/complete-onboarding', async (req, res) => {
       });
     }
 
+    await applyDetectedTimezone(profile, timezone);
+
     // 2. Идемпотентный повтор без forceRetake
     if (profile.isOnboardingComplete && !forceRetake) {
       console.log(`⚠️ Already completed (idempotent): ${userId}`);
@@ -1290,7 +1280,7 @@ router.get('/debug/avatar/:file', communityLimiter, (req, res) => {
  * @route POST /api/reader/auth/upload-avatar
  * Rate limited to prevent abuse
  */
-router.post('/auth/upload-avatar', communityLimiter, telegramAuth, avatarUpload.single('avatar'), async (req, res) => {
+router.post('/auth/upload-avatar', telegramAuth, communityLimiter, avatarUpload.single('avatar'), async (req, res) => {
   try {
     const userId = req.userId;
 
@@ -1703,6 +1693,83 @@ router.post('/profile/reset-test', async (req, res) => {
   }
 });
 
+/**
+ * @description Выгрузка всех данных читателя (zip с JSON по разделам)
+ * @route GET /api/reader/me/export
+ */
+router.get('/me/export', telegramAuth, async (req, res) => {
+  try {
+    const result = await accountDataService.buildAccountExport(req.userId);
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${result.filename}"`);
+    res.send(result.buffer);
+  } catch (error) {
+    console.error('❌ Account Export Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @description Статус запроса на удаление аккаунта
+ * @route GET /api/reader/me/deletion
+ */
+router.get('/me/deletion', telegramAuth, async (req, res) => {
+  try {
+    const user = await UserProfile.findOne({ userId: req.userId }).select('deletion').lean();
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    res.json({ success: true, deletion: accountDataService.getDeletionStatus(user) });
+  } catch (error) {
+    console.error('❌ Account Deletion Status Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @description Запрос на удаление аккаунта. Данные удаляются по истечении grace period,
+ * до этого запрос можно отменить через POST /me/deletion/cancel
+ * @route DELETE /api/reader/me
+ */
+router.delete('/me', telegramAuth, async (req, res) => {
+  try {
+    const deletion = await accountDataService.requestAccountDeletion(req.userId, {
+      reason: req.body?.reason
+    });
+    if (!deletion) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    res.json({ success: true, deletion });
+  } catch (error) {
+    console.error('❌ Account Deletion Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @description Отмена запроса на удаление аккаунта
+ * @route POST /api/reader/me/deletion/cancel
+ */
+router.post('/me/deletion/cancel', telegramAuth, async (req, res) => {
+  try {
+    const cancelled = await accountDataService.cancelAccountDeletion(req.userId);
+    if (!cancelled) {
+      return res.status(404).json({ success: false, error: 'No pending account deletion' });
+    }
+
+    res.json({ success: true, deletion: accountDataService.getDeletionStatus(null) });
+  } catch (error) {
+    console.error('❌ Account Deletion Cancel Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * @description Получение статистики пользователя
  * @route GET /api/reader/stats
@@ -1730,10 +1797,11 @@ router.get('/stats', telegramAuth, async (req, res) => {
       getISOWeekRange 
     } = require('../utils/isoWeek');
 
-    // ---- Time boundaries using business timezone ----
-    const businessNow = getBusinessNow();
-    const startOfToday = new Date(businessNow); 
-    startOfToday.setHours(0,0,0,0);
+    // ---- Time boundaries in the reader's timezone ----
+    const timezone = user.getTimezone();
+    const businessNow = getBusinessNow(timezone);
+    const todayKey = getDayKey(new Date(), timezone);
+    const startOfToday = getLocalDayRange(todayKey, timezone).start;
     
     let scopedQuotes, weekMeta = null;
 
@@ -1782,7 +1850,7 @@ router.get('/stats', telegramAuth, async (req, res) => {
       });
     }
 
-    const startOfMonth = new Date(businessNow.getFullYear(), businessNow.getMonth(), 1);
+    const startOfMonth = getLocalDayRange(`${todayKey.slice(0, 8)}01`, timezone).start;
 
     // ---- Parallel base counts ----
     const [ totalQuotes, todayQuotes, currentMonthQuotes ] = await Promise.all([
@@ -1800,23 +1868,15 @@ router.get('/stats', telegramAuth, async (req, res) => {
       .lean();
 
     // ---- Helpers ----
-    const getDayKey = (d) => { 
-      const dt = new Date(d);
-      // Apply business timezone offset for consistent day boundaries
-      const businessDate = new Date(dt.getTime() + (180 * 60 * 1000)); // Moscow time offset
-      businessDate.setHours(0,0,0,0); 
-      return businessDate.toISOString().slice(0,10); 
-    };
-
     const computeDynamicStreak = (quotes) => {
       if (!quotes.length) return 0;
-      const daySet = new Set(quotes.map(q => getDayKey(q.createdAt)));
+      const daySet = new Set(quotes.map(q => getDayKey(new Date(q.createdAt), timezone)));
       let streak = 0;
-      const cursor = new Date(businessNow); 
-      cursor.setHours(0,0,0,0);
-      while (true) {
-        const key = getDayKey(cursor);
-        if (daySet.has(key)) { streak++; cursor.setDate(cursor.getDate() - 1); } else { break; }
+      let key = todayKey;
+      while (daySet.has(key)) {
+        streak++;
+        // Previous local day: one millisecond before the local midnight
+        key = getDayKey(new Date(getLocalDayRange(key, timezone).start.getTime() - 1), timezone);
       }
       return streak;
     };
@@ -1845,7 +1905,7 @@ router.get('/stats', telegramAuth, async (req, res) => {
     // ---- Activity-based streak (includes all activity types) ----
     let activityStreak = 0;
     try {
-      activityStreak = await badgesService.calculateStreak(userId);
+      activityStreak = await badgesService.calculateStreak(userId, timezone);
     } catch (error) {
       console.error('Error calculating activity streak:', error);
       // Fall back to quote-only streak if activity streak fails
@@ -1940,12 +2000,23 @@ router.get('/stats', telegramAuth, async (req, res) => {
 
 /**
  * @description Добавление новой цитаты с AI анализом (лимит 10/день)
+ * Заголовок Idempotency-Key (или body.clientId) делает запрос идемпотентным:
+ * повтор с тем же ключом возвращает уже сохраненную цитату (idempotentReplay: true)
  * @route POST /api/reader/quotes
  */
 router.post('/quotes', telegramAuth, async (req, res) => {
   try {
     const userId = req.userId;
     const { text, author, source, isFavorite } = req.body;
+    const rawClientId = req.get('Idempotency-Key') || req.body.clientId;
+    const clientId = rawClientId ? String(rawClientId).trim() : null;
+
+    if (clientId && !QUOTE_CLIENT_ID_PATTERN.test(clientId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid Idempotency-Key'
+      });
+    }
 
     if (!text || text.trim().length === 0) {
       return res.status(400).json({
@@ -1954,6 +2025,14 @@ router.post('/quotes', telegramAuth, async (req, res) => {
       });
     }
 
+    // Повтор из офлайн-очереди или после таймаута - до проверки лимита
+    if (clientId) {
+      const existing = await Quote.findOne({ userId, clientId });
+      if (existing) {
+        return sendQuoteReplay(res, existing);
+      }
+    }
+
     // Проверяем лимит цитат
     const todayQuotes = await Quote.getTodayQuotesCount(userId);
     if (todayQuotes >= 10) {
@@ -1970,7 +2049,17 @@ router.post('/quotes', telegramAuth, async (req, res) => {
 
     // Основная логика добавления цитаты
     try {
-      const result = await quoteHandler.handleQuote(userId, text, author, source);
+      const result = await quoteHandler.handleQuote(userId, text, author, source, {
+        clientId,
+        timezone: normalizeTimezone(user.settings?.timezone)
+      });
+
+      if (result.duplicate) {
+        const existing = await Quote.findOne({ userId, clientId });
+        if (existing) {
+          return sendQuoteReplay(res, existing);
+        }
+      }
 
       if (!result.success) {
         return res.status(400).json({
@@ -2220,6 +2309,66 @@ router.get('/quotes/:id', telegramAuth, async (req, res) => {
   }
 });
 
+/**
+ * @description Семантически похожие цитаты (по умолчанию - из своего дневника)
+ * @route GET /api/reader/quotes/:id/similar
+ * @query {string} [scope=own] - own | community
+ * @query {number} [limit=5] - Количество результатов (до 20)
+ */
+router.get('/quotes/:id/similar', telegramAuth, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const scope = req.query.scope === 'community' ? 'community' : 'own';
+    const quote = await Quote.findOne({ _id: req.params.id, userId });
+
+    if (!quote) {
+      return res.status(404).json({ success: false, error: 'Quote not found' });
+    }
+
+    const matches = await quoteSimilarityService.findSimilar(quote, {
+      userId,
+      scope,
+      limit: req.query.limit
+    });
+
+    // Индекс может отставать от MongoDB - удаленные цитаты пропускаем
+    const filter = { _id: { $in: matches.map(m => m.quoteId) } };
+    if (scope === 'own') {
+      filter.userId = userId;
+    }
+    const quotes = await Quote.find(filter).lean();
+    const quoteMap = new Map(quotes.map(q => [q._id.toString(), q]));
+    const found = matches.filter(m => quoteMap.has(m.quoteId));
+
+    let userMap = new Map();
+    if (scope === 'community' && found.length > 0) {
+      const users = await UserProfile.find({ userId: { $in: [...new Set(found.map(m => quoteMap.get(m.quoteId).userId))] } })
+        .select('userId name telegramUsername avatarUrl')
+        .lean();
+      userMap = new Map(users.map(u => [u.userId, u]));
+    }
+
+    const similar = found.map(match => {
+      const q = quoteMap.get(match.quoteId);
+      const user = scope === 'community' ? buildEnrichedUserObject(userMap.get(q.userId), q.userId) : null;
+      return {
+        ...toQuoteDTO(q, { user }),
+        similarity: match.similarity
+      };
+    });
+
+    res.json({
+      success: true,
+      quoteId: quote._id,
+      scope,
+      similar
+    });
+  } catch (error) {
+    console.error('❌ Similar Quotes Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * @description Редактирование цитаты с повторным AI анализом
  * @route PUT /api/reader/quotes/:id
@@ -2240,7 +2389,7 @@ router.put('/quotes/:id', telegramAuth, async (req, res) => {
 
     try {
       const parsedQuote = quoteHandler._parseQuote(author ? `"${text}" (${author})` : text);
-      const analysis = await quoteHandler._analyzeQuote(parsedQuote.text, parsedQuote.author);
+      const analysis = await quoteHandler._analyzeQuote(parsedQuote.text, parsedQuote.author, req.userId);
 
       quote.text = text.trim();
       quote.author = author ? author.trim() : null;
@@ -2296,7 +2445,7 @@ router.post('/quotes/analyze', telegramAuth, async (req, res) => {
     }
 
     const parsedQuote = quoteHandler._parseQuote(text);
-    const analysis = await quoteHandler._analyzeQuote(parsedQuote.text, parsedQuote.author);
+    const analysis = await quoteHandler._analyzeQuote(parsedQuote.text, parsedQuote.author, req.userId);
 
     res.json({
       success: true,
@@ -2378,6 +2527,162 @@ router.get('/quotes/search', telegramAuth, async (req, res) => {
   }
 });
 
+/**
+ * @description Предпросмотр импорта (Kindle My Clippings.txt, CSV Goodreads/Bookmate, текст "цитата — автор")
+ * @route POST /api/reader/quotes/import/preview
+ */
+router.post('/quotes/import/preview', telegramAuth, async (req, res) => {
+  try {
+    const { content, format, filename } = req.body || {};
+
+    if (!content || typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ success: false, error: 'Import content is required' });
+    }
+
+    const preview = await quoteImportService.previewImport(req.userId, content, { format, filename });
+
+    res.json({ success: true, ...preview });
+
+  } catch (error) {
+    console.error('❌ Import Preview Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @description Импорт цитат в дневник (без учета дневного лимита, AI-категоризация в фоне)
+ * @route POST /api/reader/quotes/import
+ */
+router.post('/quotes/import', telegramAuth, async (req, res) => {
+  try {
+    const { content, format, filename, exclude = [] } = req.body || {};
+
+    if (!content || typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ success: false, error: 'Import content is required' });
+    }
+
+    const user = await UserProfile.findOne({ userId: req.userId });
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const result = await quoteImportService.importQuotes(req.userId, content, {
+      format,
+      filename,
+      exclude: Array.isArray(exclude) ? exclude : [],
+      quoteHandler
+    });
+
+    res.json({ success: true, ...result });
+
+  } catch (error) {
+    console.error('❌ Import Quotes Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @description Прогресс AI-категоризации импортированных цитат
+ * @route GET /api/reader/quotes/import/:batchId
+ */
+router.get('/quotes/import/:batchId', telegramAuth, async (req, res) => {
+  try {
+    const status = await quoteImportService.getImportStatus(req.userId, req.params.batchId);
+
+    if (status.total === 0) {
+      return res.status(404).json({ success: false, error: 'Import batch not found' });
+    }
+
+    res.json({ success: true, batchId: req.params.batchId, ...status });
+
+  } catch (error) {
+    console.error('❌ Import Status Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @description Запуск экспорта дневника (csv, json, md, epub) как фоновой задачи
+ * @route POST /api/reader/quotes/export
+ */
+router.post('/quotes/export', telegramAuth, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { format = 'md', period = 'all', category = 'all', includeUserData = false, scope } = req.body || {};
+
+    if (!quoteExportService.normalizeFormat(format)) {
+      return res.status(400).json({ success: false, error: 'Unsupported export format' });
+    }
+
+    // Only admins may export quotes of all readers
+    const exportScope = isAdmin(req) && scope === 'all' ? 'all' : 'user';
+
+    const job = await quoteExportService.createExportJob({
+      requestedBy: userId,
+      format,
+      filters: { period, category, includeUserData: exportScope === 'all' && Boolean(includeUserData) },
+      scope: exportScope
+    });
+
+    res.status(202).json({
+      success: true,
+      export: job.toPublicJSON(readerExportDownloadUrl)
+    });
+
+  } catch (error) {
+    console.error('❌ Quote Export Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @description Статус задачи экспорта дневника
+ * @route GET /api/reader/quotes/export/:jobId
+ */
+router.get('/quotes/export/:jobId', telegramAuth, async (req, res) => {
+  try {
+    const job = await quoteExportService.getExportJob(req.params.jobId, req.userId, { isAdmin: isAdmin(req) });
+
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Export not found' });
+    }
+
+    res.json({
+      success: true,
+      export: job.toPublicJSON(readerExportDownloadUrl)
+    });
+
+  } catch (error) {
+    console.error('❌ Quote Export Status Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @description Скачивание готового экспорта дневника
+ * @route GET /api/reader/quotes/export/:jobId/download
+ */
+router.get('/quotes/export/:jobId/download', telegramAuth, async (req, res) => {
+  try {
+    const job = await quoteExportService.getExportJob(req.params.jobId, req.userId, { isAdmin: isAdmin(req) });
+
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Export not found' });
+    }
+
+    if (!job.isDownloadable()) {
+      return res.status(409).json({ success: false, error: 'Export is not ready', status: job.status });
+    }
+
+    res.setHeader('Content-Type', quoteExportService.getMimeType(job.format));
+    res.download(job.filePath, job.filename);
+
+  } catch (error) {
+    console.error('❌ Quote Export Download Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * @description Удаление цитаты
  * @route DELETE /api/reader/quotes/:id
@@ -2556,6 +2861,46 @@ router.get('/reports/weekly/:userId', telegramAuth, async (req, res) => {
   }
 });
 
+/**
+ * @description Отметка еженедельного отчёта прочитанным; первое открытие пишет событие report_opened
+ * @route POST /api/reader/reports/weekly/:reportId/read
+ */
+router.post('/reports/weekly/:reportId/read', telegramAuth, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { reportId } = req.params;
+
+    if (!require('mongoose').Types.ObjectId.isValid(reportId)) {
+      return res.status(400).json({ success: false, error: 'Invalid report ID' });
+    }
+
+    const firstOpen = await WeeklyReport.findOneAndUpdate(
+      { _id: reportId, userId, isRead: { $ne: true } },
+      { $set: { isRead: true, readAt: new Date() } },
+      { new: true }
+    ).select('weekNumber year readAt').lean();
+
+    if (firstOpen) {
+      analyticsService.trackEvent('report_opened', userId, {
+        reportId: String(firstOpen._id),
+        weekNumber: firstOpen.weekNumber,
+        year: firstOpen.year
+      });
+      return res.json({ success: true, isRead: true, readAt: firstOpen.readAt, firstOpen: true });
+    }
+
+    const report = await WeeklyReport.findOne({ _id: reportId, userId }).select('readAt').lean();
+    if (!report) {
+      return res.status(404).json({ success: false, error: 'Report not found' });
+    }
+
+    res.json({ success: true, isRead: true, readAt: report.readAt, firstOpen: false });
+  } catch (error) {
+    console.error('❌ Mark Weekly Report Read Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * @description Получение месячных отчётов
  * @route GET /api/reader/reports/monthly
@@ -2655,33 +3000,32 @@ router.get('/catalog', async (req, res) => {
 });
 
 /**
- * @description Персональные рекомендации книг
+ * @description Персональные рекомендации книг с объяснениями
+ * (категории цитат, любимые авторы, клики по каталогу, популярность; купленное исключено)
  * @route GET /api/reader/recommendations
+ * @query {number} [limit=3] - 1..10
  */
-router.get('/recommendations', async (req, res) => {
+router.get('/recommendations', telegramAuth, async (req, res) => {
   try {
     const userId = req.userId;
-    const user = await UserProfile.findOne({ userId });
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 3, 1), 10);
 
-    const userThemes = user?.preferences?.mainThemes || [];
-    const favoriteCategories = user?.statistics?.favoriteAuthors || []; // пока не используется
-
-    let recommendations = await BookCatalog.getRecommendationsByThemes(userThemes, 3);
-    if (recommendations.length < 2) {
-      const universal = await BookCatalog.getUniversalRecommendations(2 - recommendations.length);
-      recommendations = recommendations.concat(universal);
-    }
+    const recommendations = await recommendationService.getRecommendations(userId, { limit });
 
     res.json({
       success: true,
-      recommendations: recommendations.map(book => ({
+      recommendations: recommendations.map(({ book, score, reasons, explanation }) => ({
         id: book._id,
         title: book.title,
         author: book.author,
         description: book.description,
         price: book.price,
-        reasoning: book.reasoning,
-        utmLink: book.utmLink
+        bookSlug: book.bookSlug,
+        reasoning: explanation || book.reasoning,
+        reasons: reasons.map(({ type, text }) => ({ type, text })),
+        score,
+        // utmLink - виртуальное поле, lean() его не возвращает
+        utmLink: BookCatalog.hydrate(book).utmLink
       }))
     });
 
@@ -2714,6 +3058,7 @@ router.post('/catalog/track-click', async (req, res) => {
       content: slug,
       timestamp: new Date()
     });
+    analyticsService.trackEvent('catalog_click', userId, { bookSlug: slug });
 
     return res.json({ success: true });
   } catch (e) {
@@ -2722,6 +3067,26 @@ router.post('/catalog/track-click', async (req, res) => {
   }
 });
 
+/**
+ * @description Пачка продуктовых событий из mini-app (app_open, page_view)
+ * @route POST /api/reader/analytics/events
+ * @body {{events: Array<{name: string, occurredAt: string, properties?: Object, sessionId?: string, eventId?: string}>}}
+ */
+router.post('/analytics/events', telegramAuth, async (req, res) => {
+  try {
+    const { events } = req.body || {};
+    if (!Array.isArray(events)) {
+      return res.status(400).json({ success: false, error: 'events array required' });
+    }
+
+    const result = await analyticsService.ingestClientEvents(req.userId, events);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('❌ Analytics events error:', error);
+    res.status(500).json({ success: false, error: 'Failed to store events' });
+  }
+});
+
 /**
  * @route GET /api/reader/top-books?period=7d or GET /api/reader/top-books?scope=week
  */
@@ -2836,8 +3201,8 @@ router.get('/community/quotes/latest', telegramAuth, communityLimiter, async (re
       });
     }
 
-    // Fetch latest quotes sorted by createdAt desc, tie-breaker _id
-    const quotes = await Quote.find({})
+    // Fetch latest quotes sorted by createdAt desc, tie-breaker _id (без скрытых модератором)
+    const quotes = await Quote.find({ communityHidden: { $ne: true } })
       .sort({ createdAt: -1, _id: -1 })
       .limit(limit)
       .select({
@@ -3026,6 +3391,41 @@ router.get('/community/quotes/latest', telegramAuth, communityLimiter, async (re
   }
 });
 
+/**
+ * Отправляет результат moderationService.reportContent
+ * @param {Object} res - Express response
+ * @param {Object} result - {success, duplicate} или {success:false, error, code}
+ */
+function sendReportResult(res, result) {
+  if (!result.success) {
+    const status = result.code === 'NOT_FOUND' ? 404 : 400;
+    return res.status(status).json(result);
+  }
+  res.json({ success: true, duplicate: !!result.duplicate });
+}
+
+/**
+ * @description Жалоба на цитату в ленте сообщества
+ * @route POST /api/reader/community/quotes/:id/report
+ * @body {string} reason - spam|abuse|inappropriate|other
+ * @body {string} [comment] - Пояснение
+ */
+router.post('/community/quotes/:id/report', telegramAuth, communityLimiter, async (req, res) => {
+  try {
+    const result = await moderationService.reportContent({
+      targetType: 'quote',
+      targetId: req.params.id,
+      reporterId: req.userId,
+      reason: req.body?.reason,
+      comment: req.body?.comment
+    });
+    sendReportResult(res, result);
+  } catch (error) {
+    console.error('❌ Report Community Quote Error:', error);
+    res.status(500).json({ success: false, error: 'Ошибка отправки жалобы' });
+  }
+});
+
 /**
  * @description Популярные цитаты сообщества с поддержкой ISO недель
  * @route GET /api/reader/community/popular
@@ -3039,7 +3439,7 @@ router.get('/community/popular', telegramAuth, communityLimiter, async (req, res
     const yearNumber = currentWeek.isoYear;
 
     // Фильтруем по weekNumber и yearNumber
-    const matchCriteria = { weekNumber, yearNumber };
+    const matchCriteria = { weekNumber, yearNumber, communityHidden: { $ne: true } };
 
     // Агрегация: выбираем топ-3 цитаты за ISO неделю using normalized fields
     const pipeline = [
@@ -3189,6 +3589,9 @@ router.get('/community/popular-favorites', telegramAuth, communityLimiter, async
       period = validPeriod;
     }
 
+    // Скрытые модератором цитаты не попадают в ленту сообщества
+    matchCriteria.communityHidden = { $ne: true };
+
     const { limit, isValid: limitValid } = validateLimit(limitParam, 10, 50);
     if (!limitValid) {
       return res.status(400).json({ 
@@ -3504,6 +3907,9 @@ router.get('/community/favorites/recent', telegramAuth, communityLimiter, async
         ]
       };
     }
+
+    // Скрытые модератором цитаты не попадают в ленту сообщества
+    matchCriteria.communityHidden = { $ne: true };
     
     // Validate limit parameter (default 10, max 50)
     const { limit, isValid: limitValid } = validateLimit(limitParam, 10, 50);
@@ -4818,9 +5224,28 @@ router.patch('/settings', telegramAuth, async (req, res) => {
       updatedSettings.language = settings.language;
     }
 
+    // Update timezone: IANA name = manual choice, 'auto' = back to the timezone detected by the mini-app
+    const previousTimezone = currentSettings.timezone ?? null;
+    if (settings.timezone === 'auto') {
+      updatedSettings.timezoneSource = 'auto';
+      if (isValidTimezone(settings.detectedTimezone)) {
+        updatedSettings.timezone = settings.detectedTimezone;
+      }
+    } else if (settings.timezone !== undefined) {
+      if (!isValidTimezone(settings.timezone)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid timezone'
+        });
+      }
+      updatedSettings.timezone = settings.timezone;
+      updatedSettings.timezoneSource = 'manual';
+    }
+
     // Save updated settings
     user.settings = updatedSettings;
     await user.save();
+    userTimezoneService.remember(userId, user.settings?.timezone);
 
     // Log changes for diagnostics
     const changes = {};
@@ -4833,6 +5258,9 @@ router.patch('/settings', telegramAuth, async (req, res) => {
     if (updatedSettings.achievements?.enabled !== currentSettings.achievements?.enabled) {
       changes.achievementsEnabled = `${currentSettings.achievements?.enabled} → ${updatedSettings.achievements.enabled}`;
     }
+    if ((user.settings?.timezone ?? null) !== previousTimezone) {
+      changes.timezone = `${previousTimezone} → ${user.settings.timezone}`;
+    }
     
     if (Object.keys(changes).length > 0) {
       console.info(`⚙️ Settings updated for user ${userId}:`, changes);
@@ -5653,6 +6081,7 @@ router.post('/covers', telegramAuth, communityLimiter, coverUpload.single('image
         isPinned: false,
         status: 'published'
       });
+      analyticsService.trackEvent('cover_posted', userId, { postId: String(post._id), dayKey });
       
       // Enrich with user data
       const enrichedPosts = await enrichPostsWithUserData([post.toObject()]);
@@ -5805,6 +6234,19 @@ router.post('/covers/:id/comments', telegramAuth, communityLimiter, async (req,
       }
     }
     
+    // Автоматическая пре-модерация: мат и ссылочный спам отклоняем, одиночную ссылку - на проверку
+    const prescreen = moderationService.prescreenText(text);
+    if (!prescreen.allowed) {
+      return res.status(400).json({
+        success: false,
+        error: prescreen.reason === 'spam'
+          ? 'Комментарий похож на спам: слишком много ссылок'
+          : 'Комментарий содержит недопустимые выражения',
+        code: 'COMMENT_REJECTED',
+        flags: prescreen.flags
+      });
+    }
+    
     // Create comment
     const comment = await PhotoComment.createComment({
       postId,
@@ -5813,6 +6255,10 @@ router.post('/covers/:id/comments', telegramAuth, communityLimiter, async (req,
       parentId: parentId || null
     });
     
+    if (prescreen.flags.length > 0) {
+      await moderationService.createAutoReport('comment', comment, prescreen.flags);
+    }
+    
     // Enrich with user data
     const enrichedComments = await enrichCommentsWithUserData([comment.toObject()]);
     
@@ -5839,8 +6285,8 @@ router.get('/covers/:id/comments', telegramAuth, async (req, res) => {
     const { cursor, limit = 20 } = req.query;
     const limitNum = Math.min(parseInt(limit) || 20, 100);
     
-    // Build query
-    const query = { postId };
+    // Build query (скрытые модератором комментарии не показываем)
+    const query = { postId, status: { $ne: 'hidden' } };
     
     // Apply cursor pagination
     const decodedCursor = decodeCursor(cursor);
@@ -5890,6 +6336,57 @@ router.get('/covers/:id/comments', telegramAuth, async (req, res) => {
   }
 });
 
+/**
+ * @description POST /api/reader/covers/:id/report - Report a cover post
+ * @route POST /api/reader/covers/:id/report
+ * @access Private (telegramAuth)
+ */
+router.post('/covers/:id/report', telegramAuth, communityLimiter, async (req, res) => {
+  try {
+    const result = await moderationService.reportContent({
+      targetType: 'cover',
+      targetId: req.params.id,
+      reporterId: req.userId,
+      reason: req.body?.reason,
+      comment: req.body?.comment
+    });
+    sendReportResult(res, result);
+  } catch (error) {
+    console.error('Error reporting cover:', error);
+    res.status(500).json({ success: false, error: 'Ошибка отправки жалобы' });
+  }
+});
+
+/**
+ * @description POST /api/reader/covers/:postId/comments/:commentId/report - Report a comment
+ * @route POST /api/reader/covers/:postId/comments/:commentId/report
+ * @access Private (telegramAuth)
+ */
+router.post('/covers/:postId/comments/:commentId/report', telegramAuth, communityLimiter, async (req, res) => {
+  try {
+    const { postId, commentId } = req.params;
+    
+    const comment = require('mongoose').Types.ObjectId.isValid(commentId)
+      ? await PhotoComment.findById(commentId).select('postId').lean()
+      : null;
+    if (!comment || comment.postId.toString() !== postId) {
+      return res.status(404).json({ success: false, error: 'Комментарий не найден', code: 'NOT_FOUND' });
+    }
+    
+    const result = await moderationService.reportContent({
+      targetType: 'comment',
+      targetId: commentId,
+      reporterId: req.userId,
+      reason: req.body?.reason,
+      comment: req.body?.comment
+    });
+    sendReportResult(res, result);
+  } catch (error) {
+    console.error('Error reporting comment:', error);
+    res.status(500).json({ success: false, error: 'Ошибка отправки жалобы' });
+  }
+});
+
 /**
  * @description POST /api/reader/covers/:id/like - Toggle like on a cover post
  * @route POST /api/reader/covers/:id/like
@@ -6204,6 +6701,38 @@ router.post('/covers/schedule', telegramAuth, coverUpload.single('image'), async
 // ============================================================================
 
 const badgesService = require('../services/gamification/badgesService');
+const challengeService = require('../services/gamification/challengeService');
+const AchievementService = require('../services/achievementService');
+
+const achievementService = new AchievementService();
+
+/**
+ * @description GET /api/reader/achievements - All achievements with progress, tier and rarity
+ * @route GET /api/reader/achievements
+ * @access Private (telegramAuth)
+ * @returns {Object} { success, achievements: [...], unlockedCount, totalCount }
+ */
+router.get('/achievements', telegramAuth, async (req, res) => {
+  try {
+    // Выдаем достижения, условия которых уже выполнены, до построения списка
+    await achievementService.checkAndUnlockAchievements(req.userId);
+    const achievements = await achievementService.getUserAchievementProgress(req.userId);
+
+    res.json({
+      success: true,
+      achievements,
+      unlockedCount: achievements.filter(achievement => achievement.isUnlocked).length,
+      totalCount: achievements.length
+    });
+  } catch (error) {
+    console.error('❌ Error getting achievements:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get achievements',
+      details: error.message
+    });
+  }
+});
 
 /**
  * @description GET /api/reader/gamification/progress/alice - Get Alice badge progress
@@ -6262,4 +6791,47 @@ router.post('/gamification/alice/claim', telegramAuth, async (req, res) => {
   }
 });
 
+/**
+ * @description GET /api/reader/gamification/challenges - Active and completed challenges with progress
+ * @route GET /api/reader/gamification/challenges
+ * @access Private (telegramAuth)
+ * @returns {Object} { success, data: { active: [...], completed: [...] } }
+ */
+router.get('/gamification/challenges', telegramAuth, async (req, res) => {
+  try {
+    const data = await challengeService.getUserChallenges(req.userId);
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('❌ Error getting challenges:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get challenges',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @description POST /api/reader/gamification/challenges/:slug/claim - Claim the reward of a completed challenge
+ * @route POST /api/reader/gamification/challenges/:slug/claim
+ * @access Private (telegramAuth)
+ * @returns {Object} { success, reward, alreadyClaimed? } or { success: false, error, code }
+ */
+router.post('/gamification/challenges/:slug/claim', telegramAuth, async (req, res) => {
+  const statusByCode = {
+    CHALLENGE_NOT_FOUND: 404,
+    CHALLENGE_NOT_ACTIVE: 400,
+    REQUIREMENTS_NOT_MET: 400,
+    REWARD_UNAVAILABLE: 409,
+    USER_NOT_FOUND: 404
+  };
+
+  const result = await challengeService.claimChallenge(req.userId, req.params.slug);
+  if (!result.success) {
+    return res.status(statusByCode[result.code] || 500).json(result);
+  }
+
+  res.json(result);
+});
+
 module.exports = router;
@@ -7,6 +7,8 @@
 const express = require('express');
 const router = express.Router();
 const logger = require('../utils/logger');
+const { adminAuth } = require('../middleware/adminAuth');
+const weeklyReportVersionService = require('../services/weeklyReportVersionService');
 
 // 🔧 ИСПРАВЛЕНЫ ИМПОРТЫ: Безопасная загрузка моделей с обработкой ошибок
 let WeeklyReport, MonthlyReport, UserProfile, Quote;
@@ -545,6 +547,113 @@ router.post('/weekly/generate', checkModelsAvailable, async (req, res) => {
   }
 });
 
+/**
+ * Ответ с ошибкой версионирования (statusCode из сервиса или 500)
+ * @param {Object} res - Express response
+ * @param {Error} error - Ошибка
+ * @param {string} message - Сообщение для 500
+ */
+function sendVersioningError(res, error, message) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, error: error.message });
+  }
+  logger.error(`📖 ${message}: ${error.message}`, error);
+  res.status(500).json({ success: false, error: message, details: error.message });
+}
+
+/**
+ * POST /api/reports/weekly/regenerate
+ * Массовая перегенерация (пользователь, неделя или когорта) в фоне
+ * body: { userId | userIds[] | weekNumber+year | dateFrom/dateTo, promptId?, publish?, reason?, limit? }
+ */
+router.post('/weekly/regenerate', adminAuth, checkModelsAvailable, async (req, res) => {
+  try {
+    const { userId, userIds, weekNumber, year, dateFrom, dateTo, promptId, publish, reason, limit } = req.body;
+
+    const job = await weeklyReportVersionService.startBulkRegeneration(
+      { userId, userIds, weekNumber, year, dateFrom, dateTo },
+      { promptId, publish: publish !== false, reason, limit, triggeredBy: req.admin?.username || 'admin' }
+    );
+
+    res.status(202).json({ success: true, data: job });
+  } catch (error) {
+    sendVersioningError(res, error, 'Failed to start weekly reports regeneration');
+  }
+});
+
+/**
+ * GET /api/reports/weekly/regenerate/jobs/:jobId
+ * Прогресс массовой перегенерации
+ */
+router.get('/weekly/regenerate/jobs/:jobId', adminAuth, (req, res) => {
+  const job = weeklyReportVersionService.getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+  res.json({ success: true, data: job });
+});
+
+/**
+ * POST /api/reports/weekly/:reportId/regenerate
+ * Перегенерация одного отчета. publish=false - сохранить результат как кандидата для сравнения
+ */
+router.post('/weekly/:reportId/regenerate', adminAuth, checkModelsAvailable, async (req, res) => {
+  try {
+    const { promptId, publish, reason } = req.body;
+
+    const result = await weeklyReportVersionService.regenerateReport(req.params.reportId, {
+      promptId,
+      publish: publish !== false,
+      reason,
+      triggeredBy: req.admin?.username || 'admin'
+    });
+
+    res.json({
+      success: true,
+      data: {
+        published: result.published,
+        currentVersion: result.report.version,
+        versionId: String(result.version._id),
+        version: result.version.version,
+        generation: result.published ? result.report.generation : result.version.generation
+      }
+    });
+  } catch (error) {
+    sendVersioningError(res, error, 'Failed to regenerate weekly report');
+  }
+});
+
+/**
+ * GET /api/reports/weekly/:reportId/versions
+ * История версий отчета (текущая, архивные, кандидаты)
+ */
+router.get('/weekly/:reportId/versions', adminAuth, checkModelsAvailable, async (req, res) => {
+  try {
+    const data = await weeklyReportVersionService.listVersions(req.params.reportId);
+    res.json({ success: true, data });
+  } catch (error) {
+    sendVersioningError(res, error, 'Failed to get weekly report versions');
+  }
+});
+
+/**
+ * GET /api/reports/weekly/:reportId/diff?from=<versionId|current>&to=<versionId|current>
+ * Side-by-side сравнение двух версий отчета
+ */
+router.get('/weekly/:reportId/diff', adminAuth, checkModelsAvailable, async (req, res) => {
+  try {
+    const { from, to = 'current' } = req.query;
+    if (!from) {
+      return res.status(400).json({ success: false, error: 'Query parameter "from" is required' });
+    }
+
+    const data = await weeklyReportVersionService.diffVersions(req.params.reportId, from, to);
+    res.json({ success: true, data });
+  } catch (error) {
+    sendVersioningError(res, error, 'Failed to diff weekly report versions');
+  }
+});
+
 /**
  * GET /api/reports/weekly/:userId/stats
  * Получение статистики за неделю для конкретного пользователя
@@ -7,9 +7,24 @@ const express = require('express');
 const router = express.Router();
 const ticketService = require('../services/ticketing');
 const conversationService = require('../services/conversation');
+const outboxService = require('../services/outboxService');
+const { TICKET_TEMPLATES } = require('../services/email/ticketTemplates');
 const logger = require('../utils/logger');
 const { requireAdminAuth } = require('../middleware/adminAuth');
 
+/**
+ * Находит тикет по ticketId или MongoDB ObjectId
+ * @param {string} id - ticketId или _id
+ * @returns {Promise<Object|null>}
+ */
+async function findTicket(id) {
+  let ticket = await ticketService.getTicketByTicketId(id);
+  if (!ticket && id.match(/^[0-9a-fA-F]{24}$/)) {
+    ticket = await ticketService.getTicketById(id);
+  }
+  return ticket;
+}
+
 /**
  * @typedef {Object} TicketResponse
  * @property {boolean} success - Статус успешности операции
@@ -30,7 +45,7 @@ const { requireAdminAuth } = require('../middleware/adminAuth');
  * Получить статистику по тикетам
  * @route GET /api/tickets/stats/summary
  * @access Private (Admin)
- * @returns {Promise<Object>} Статистика тикетов
+ * @returns {Promise<Object>} Статистика тикетов, включая соблюдение SLA (data.sla)
  */
 router.get('/stats/summary', requireAdminAuth, async (req, res) => {
   try {
@@ -50,6 +65,71 @@ router.get('/stats/summary', requireAdminAuth, async (req, res) => {
   }
 });
 
+/**
+ * Состояние очереди уведомлений (email / Telegram)
+ * @route GET /api/tickets/outbox/summary
+ * @access Private (Admin)
+ * @returns {Promise<Object>} Счетчики по статусам и последние неудачные отправки
+ */
+router.get('/outbox/summary', requireAdminAuth, async (req, res) => {
+  try {
+    const OutboxMessage = require('../models/OutboxMessage');
+    const [counts, recentFailed] = await Promise.all([
+      OutboxMessage.getStatusCounts(),
+      OutboxMessage.find({ status: 'failed' })
+        .sort({ updatedAt: -1 })
+        .limit(20)
+        .select('channel to subject template ticketId attempts lastError updatedAt')
+        .lean()
+    ]);
+
+    res.json({
+      success: true,
+      data: { counts, recentFailed }
+    });
+  } catch (error) {
+    logger.error(`Error fetching outbox summary: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch outbox summary',
+      code: 'INTERNAL_SERVER_ERROR'
+    });
+  }
+});
+
+/**
+ * Повторить неудачную отправку уведомления
+ * @route POST /api/tickets/outbox/:messageId/retry
+ * @access Private (Admin)
+ * @param {string} messageId - ID сообщения очереди
+ * @returns {Promise<Object>} Сообщение, снова поставленное в очередь
+ */
+router.post('/outbox/:messageId/retry', requireAdminAuth, async (req, res) => {
+  try {
+    const message = await outboxService.retryMessage(req.params.messageId);
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        error: 'Failed outbox message not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: message
+    });
+  } catch (error) {
+    logger.error(`Error retrying outbox message ${req.params.messageId}: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retry outbox message',
+      code: 'INTERNAL_SERVER_ERROR'
+    });
+  }
+});
+
 /**
  * Получить список всех тикетов с фильтрацией
  * @route GET /api/tickets
@@ -181,6 +261,9 @@ router.post('/', async (req, res) => {
 
     const ticket = await ticketService.createTicket(ticketData);
 
+    // Подтверждение создания только на почту - в Telegram пользователь уже видит ответ бота
+    await outboxService.enqueueTicketNotification(ticket, TICKET_TEMPLATES.CREATED, {}, { emailOnly: true });
+
     res.status(201).json({
       success: true,
       data: ticket
@@ -196,12 +279,13 @@ router.post('/', async (req, res) => {
 });
 
 /**
- * Добавить комментарий к тикету
+ * Добавить комментарий к тикету.
+ * Публичный комментарий отправляется пользователю через бота (reply вернется в тикет) и копией на email.
  * @route POST /api/tickets/:id/comments
  * @access Private (Admin)
  * @param {string} id - ID тикета
  * @body {Object} commentData - Данные комментария
- * @returns {Promise<TicketResponse>} Обновленный тикет с комментарием
+ * @returns {Promise<TicketResponse>} Обновленный тикет с комментарием и каналами доставки (delivery)
  */
 router.post('/:id/comments', requireAdminAuth, async (req, res) => {
   try {
@@ -239,9 +323,12 @@ router.post('/:id/comments', requireAdminAuth, async (req, res) => {
       });
     }
 
+    const delivery = isInternal ? [] : await outboxService.notifyTicketComment(ticket, content);
+
     res.json({
       success: true,
-      data: ticket
+      data: ticket,
+      delivery
     });
   } catch (error) {
     logger.error(`Error adding comment to ticket ${req.params.id}: ${error.message}`);
@@ -336,6 +423,9 @@ router.patch('/:id', requireAdminAuth, async (req, res) => {
       filteredData.resolvedAt = new Date();
     }
 
+    // Статус до обновления - для уведомления пользователя
+    const previousTicket = filteredData.status ? await findTicket(id) : null;
+
     // Пробуем найти и обновить тикет сначала по ticketId, затем по ObjectId
     let ticket = await ticketService.updateTicketByTicketId(id, filteredData);
     
@@ -351,6 +441,10 @@ router.patch('/:id', requireAdminAuth, async (req, res) => {
       });
     }
 
+    if (previousTicket) {
+      await outboxService.notifyTicketStatusChange(ticket, previousTicket.status);
+    }
+
     res.json({
       success: true,
       data: ticket
@@ -431,11 +525,14 @@ router.post('/:id/close', requireAdminAuth, async (req, res) => {
     const { id } = req.params;
     const { resolution = 'Closed by administrator' } = req.body;
 
+    const previousTicket = await findTicket(id);
+    const closedByName = req.admin?.username || 'Administrator';
+
     // Пробуем закрыть тикет по ticketId, затем по ObjectId
-    let ticket = await ticketService.closeTicketByTicketId(id, resolution, req.admin?.id);
+    let ticket = await ticketService.closeTicketByTicketId(id, resolution, req.admin?.id, closedByName);
     
     if (!ticket && id.match(/^[0-9a-fA-F]{24}$/)) {
-      ticket = await ticketService.closeTicketById(id, resolution, req.admin?.id);
+      ticket = await ticketService.closeTicketById(id, resolution, req.admin?.id, closedByName);
     }
 
     if (!ticket) {
@@ -446,6 +543,8 @@ router.post('/:id/close', requireAdminAuth, async (req, res) => {
       });
     }
 
+    await outboxService.notifyTicketStatusChange(ticket, previousTicket?.status);
+
     res.json({
       success: true,
       data: ticket,
@@ -11,9 +11,10 @@ const {
   getBusinessNow, 
   getISOWeekInfo, 
   getPreviousCompleteISOWeek,
-  getISOWeekRange,
+  getLocalISOWeekRange,
   formatISOWeekLabel 
 } = require('../utils/isoWeek');
+const { getUserTimezone } = require('../services/userTimezoneService');
 
 /**
  * GET /api/reader/week-context
@@ -60,12 +61,14 @@ router.get('/', async (req, res) => {
       });
     }
     
-    const businessNow = getBusinessNow();
+    // Weeks are counted in the reader's timezone
+    const timezone = await getUserTimezone(userId);
+    const businessNow = getBusinessNow(timezone);
     const currentWeekInfo = getISOWeekInfo(businessNow);
-    const previousWeekInfo = getPreviousCompleteISOWeek();
+    const previousWeekInfo = getPreviousCompleteISOWeek(timezone);
     
     // Get current week range
-    const currentWeekRange = getISOWeekRange(currentWeekInfo.isoWeek, currentWeekInfo.isoYear);
+    const currentWeekRange = getLocalISOWeekRange(currentWeekInfo.isoWeek, currentWeekInfo.isoYear, timezone);
     
     // Check if previous week has a report
     const previousWeekReport = await WeeklyReport.findOne({
@@ -131,9 +134,11 @@ router.get('/status', async (req, res) => {
       });
     }
     
-    const businessNow = getBusinessNow();
+    // Weeks are counted in the reader's timezone
+    const timezone = await getUserTimezone(userId);
+    const businessNow = getBusinessNow(timezone);
     const currentWeekInfo = getISOWeekInfo(businessNow);
-    const previousWeekInfo = getPreviousCompleteISOWeek();
+    const previousWeekInfo = getPreviousCompleteISOWeek(timezone);
     
     // Quick check for previous week report
     const hasReportForPreviousWeek = await WeeklyReport.exists({
@@ -0,0 +1,236 @@
+/**
+ * @fileoverview Стартовый набор достижений для бота "Читатель"
+ * @description Источник для Achievement.seedDefaults: при первом запуске определения
+ * копируются в коллекцию achievements и дальше редактируются уже в БД
+ * (существующие записи при повторном сидировании не перезаписываются).
+ * @author g1orgi89
+ */
+
+/**
+ * Авторы, цитаты которых считаются «классикой» (тип classics_count)
+ * @type {string[]}
+ */
+const CLASSIC_AUTHORS = [
+  'Толстой', 'Лев Толстой', 'Л. Толстой',
+  'Достоевский', 'Федор Достоевский', 'Ф. Достоевский',
+  'Пушкин', 'Александр Пушкин', 'А. Пушкин',
+  'Чехов', 'Антон Чехов', 'А. Чехов',
+  'Тургенев', 'Иван Тургенев', 'И. Тургенев',
+  'Гоголь', 'Николай Гоголь', 'Н. Гоголь',
+  'Лермонтов', 'Михаил Лермонтов', 'М. Лермонтов'
+];
+
+/**
+ * Определения достижений
+ * type/targetValue - основное условие (по нему показывается прогресс),
+ * requirements - дополнительные условия, которые тоже должны быть выполнены
+ * @type {Array<Object>}
+ */
+const DEFAULT_ACHIEVEMENTS = [
+  // Первые шаги
+  {
+    achievementId: 'first_quote',
+    name: 'Первые шаги',
+    description: 'Сохранили первую цитату в дневник мудрости',
+    icon: '🌱',
+    tier: 'bronze',
+    category: 'beginner',
+    type: 'quotes_count',
+    targetValue: 1,
+    unit: 'цитата',
+    tips: 'Просто отправьте любую понравившуюся цитату боту!',
+    sortOrder: 10
+  },
+  {
+    achievementId: 'wisdom_collector',
+    name: 'Коллекционер мудрости',
+    description: 'Собрали 25 цитат - настоящая библиотека вдохновения!',
+    icon: '📚',
+    tier: 'silver',
+    category: 'beginner',
+    type: 'quotes_count',
+    targetValue: 25,
+    unit: 'цитат',
+    tips: 'Сохраняйте цитаты регулярно - по одной в день!',
+    sortOrder: 20
+  },
+
+  // Постоянство
+  {
+    achievementId: 'week_philosopher',
+    name: 'Философ недели',
+    description: '7 дней подряд с цитатами - вы превращаете чтение в привычку',
+    icon: '🔥',
+    tier: 'bronze',
+    category: 'consistency',
+    type: 'streak_days',
+    targetValue: 7,
+    unit: 'дней',
+    tips: 'Добавляйте хотя бы одну цитату каждый день в течение недели',
+    sortOrder: 30
+  },
+  {
+    achievementId: 'monthly_consistent',
+    name: 'Постоянство',
+    description: 'Месяц с ботом и активное использование',
+    icon: '⭐',
+    tier: 'silver',
+    category: 'consistency',
+    type: 'days_with_bot',
+    targetValue: 30,
+    requirements: [{ type: 'quotes_count', targetValue: 15 }],
+    unit: 'дней',
+    tips: 'Будьте с нами месяц и сохраните за это время 15 цитат',
+    sortOrder: 40
+  },
+  {
+    achievementId: 'month_master',
+    name: 'Мастер месяца',
+    description: '30 дней подряд с цитатами',
+    icon: '👑',
+    tier: 'gold',
+    category: 'consistency',
+    type: 'streak_days',
+    targetValue: 30,
+    unit: 'дней',
+    tips: 'Создайте привычку - добавляйте цитаты в одно и то же время',
+    sortOrder: 50
+  },
+  {
+    achievementId: 'year_reader',
+    name: 'Читатель года',
+    description: '365 дней подряд с цитатами',
+    icon: '🏆',
+    tier: 'platinum',
+    category: 'consistency',
+    type: 'streak_days',
+    targetValue: 365,
+    unit: 'дней',
+    visibility: 'secret',
+    sortOrder: 60
+  },
+
+  // Качество
+  {
+    achievementId: 'classics_lover',
+    name: 'Любитель классики',
+    description: '10 цитат классиков - вы цените вечные истины',
+    icon: '📖',
+    tier: 'silver',
+    category: 'quality',
+    type: 'classics_count',
+    targetValue: 10,
+    unit: 'цитат',
+    tips: 'Исследуйте произведения великих писателей',
+    sortOrder: 70
+  },
+  {
+    achievementId: 'thinker',
+    name: 'Мыслитель',
+    description: '10 собственных мыслей - вы не только читаете, но и размышляете',
+    icon: '💭',
+    tier: 'silver',
+    category: 'quality',
+    type: 'own_thoughts',
+    targetValue: 10,
+    unit: 'мыслей',
+    tips: 'Записывайте свои размышления без указания автора',
+    sortOrder: 80
+  },
+  {
+    achievementId: 'diverse_reader',
+    name: 'Разносторонний читатель',
+    description: 'Цитаты из 5 разных категорий - широкий кругозор!',
+    icon: '🌈',
+    tier: 'silver',
+    category: 'quality',
+    type: 'category_diversity',
+    targetValue: 5,
+    unit: 'категорий',
+    tips: 'Читайте книги о разном - от философии до любви',
+    sortOrder: 90
+  },
+
+  // Масштаб
+  {
+    achievementId: 'marathon_reader',
+    name: 'Марафонец чтения',
+    description: '50 цитат - вы настоящий ценитель мудрости',
+    icon: '🏃‍♀️',
+    tier: 'gold',
+    category: 'scale',
+    type: 'quotes_count',
+    targetValue: 50,
+    unit: 'цитат',
+    sortOrder: 100
+  },
+  {
+    achievementId: 'hundred_quotes',
+    name: 'Сотня мудрости',
+    description: 'Собрали 100 цитат',
+    icon: '💯',
+    tier: 'platinum',
+    category: 'scale',
+    type: 'quotes_count',
+    targetValue: 100,
+    unit: 'цитат',
+    tips: 'Продолжайте собирать цитаты из разных источников',
+    sortOrder: 110
+  },
+  {
+    achievementId: 'thousand_quotes',
+    name: 'Тысяча мгновений',
+    description: 'Тысяча цитат в дневнике - это уже целая библиотека',
+    icon: '🌌',
+    tier: 'platinum',
+    category: 'scale',
+    type: 'quotes_count',
+    targetValue: 1000,
+    unit: 'цитат',
+    visibility: 'hidden',
+    sortOrder: 120
+  },
+
+  // Сообщество (счетчики из badgesService)
+  {
+    achievementId: 'book_frame',
+    name: 'Книжный кадр',
+    description: '10 фото в рубрику «книжный кадр»',
+    icon: '📸',
+    tier: 'bronze',
+    category: 'community',
+    type: 'book_frame_photos',
+    targetValue: 10,
+    unit: 'фото',
+    sortOrder: 130
+  },
+  {
+    achievementId: 'kind_reader',
+    name: 'Добрый читатель',
+    description: '10 лайков цитатам других читателей',
+    icon: '❤️',
+    tier: 'bronze',
+    category: 'community',
+    type: 'likes_given',
+    targetValue: 10,
+    unit: 'лайков',
+    sortOrder: 140
+  },
+  {
+    achievementId: 'alice',
+    name: 'Алиса в стране чудес',
+    description: 'Выполнили все условия значка «Алиса» и получили разбор в подарок',
+    icon: '🐇',
+    tier: 'gold',
+    category: 'community',
+    type: 'manual',
+    targetValue: 1,
+    tips: 'Условия значка - на странице достижений',
+    sortOrder: 150
+  }
+];
+
+module.exports = {
+  CLASSIC_AUTHORS,
+  DEFAULT_ACHIEVEMENTS
+};
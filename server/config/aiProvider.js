@@ -5,9 +5,10 @@
 
 /**
  * @typedef {Object} AIProviderConfig
- * @property {'claude'|'openai'} provider - Выбранный AI провайдер
+ * @property {'claude'|'openai'|'local'} provider - Выбранный AI провайдер
  * @property {Object} claude - Конфигурация Claude
  * @property {Object} openai - Конфигурация OpenAI
+ * @property {Object} local - Конфигурация локального (сценарного) провайдера
  */
 
 /**
@@ -32,23 +33,160 @@ function getAIProviderConfig() {
       model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
       maxTokens: parseInt(process.env.OPENAI_MAX_TOKENS) || 1000,
       temperature: parseFloat(process.env.OPENAI_TEMPERATURE) || 0.7
+    },
+    local: {
+      model: process.env.LOCAL_AI_MODEL || 'scripted-v1',
+      scriptPath: process.env.AI_LOCAL_SCRIPT || null,
+      maxTokens: 1000,
+      temperature: 0
     }
   };
 }
 
 /**
- * Получение конфигурации для embeddings (всегда OpenAI)
- * @returns {Object}
+ * Функции приложения, для которых можно отдельно выбрать провайдера и модель
+ * @type {Object<string, string>}
+ */
+const AI_FEATURES = {
+  CHAT: 'chat',
+  QUOTE_ANALYSIS: 'quote_analysis',
+  QUOTE_IMPORT: 'quote_import',
+  WEEKLY_REPORT: 'weekly_report',
+  MONTHLY_REPORT: 'monthly_report',
+  PROMPT_TEST: 'prompt_test',
+  HEALTH_CHECK: 'health_check'
+};
+
+/**
+ * Функции, которые без своего AI_ROUTE_<FEATURE> идут по маршруту другой функции
+ * (категоризация импорта - тот же анализ цитат, но вне бюджета читателя)
+ * @type {Object<string, string>}
+ */
+const ROUTE_FALLBACKS = {
+  [AI_FEATURES.QUOTE_IMPORT]: AI_FEATURES.QUOTE_ANALYSIS
+};
+
+/**
+ * @typedef {Object} AIRoute
+ * @property {string} [provider] - Провайдер для функции (по умолчанию AI_PROVIDER)
+ * @property {string} [model] - Модель (по умолчанию модель провайдера)
+ */
+
+/**
+ * @typedef {Object} AIRoutingConfig
+ * @property {Object<string, AIRoute>} routes - Маршруты по функциям
+ * @property {number} timeoutMs - Таймаут одной попытки
+ * @property {number} maxRetries - Количество повторов при временных ошибках
+ * @property {number} retryDelayMs - Базовая задержка между повторами (растет экспоненциально)
+ */
+
+/**
+ * Маршрутизация AI-запросов по функциям
+ * AI_ROUTE_<FEATURE>=provider[:model], например AI_ROUTE_QUOTE_ANALYSIS=openai:gpt-4o-mini
+ * @returns {AIRoutingConfig}
+ */
+function getAIRoutingConfig() {
+  const routes = {};
+
+  Object.values(AI_FEATURES).forEach(feature => {
+    const value = process.env[`AI_ROUTE_${feature.toUpperCase()}`];
+    if (!value) return;
+
+    const separatorIndex = value.indexOf(':');
+    const provider = (separatorIndex === -1 ? value : value.slice(0, separatorIndex)).trim().toLowerCase();
+    const model = separatorIndex === -1 ? '' : value.slice(separatorIndex + 1).trim();
+    routes[feature] = {
+      provider: provider === 'anthropic' ? 'claude' : provider || undefined,
+      model: model || undefined
+    };
+  });
+
+  Object.entries(ROUTE_FALLBACKS).forEach(([feature, fallback]) => {
+    if (!routes[feature] && routes[fallback]) {
+      routes[feature] = routes[fallback];
+    }
+  });
+
+  const maxRetries = parseInt(process.env.AI_MAX_RETRIES);
+
+  return {
+    routes,
+    timeoutMs: parseInt(process.env.AI_TIMEOUT_MS) || 60000,
+    maxRetries: Number.isNaN(maxRetries) ? 2 : maxRetries,
+    retryDelayMs: parseInt(process.env.AI_RETRY_DELAY_MS) || 1000
+  };
+}
+
+/**
+ * @typedef {Object} AIBudgetConfig
+ * @property {number} userDailyTokens - Токенов на читателя в день (0 - без лимита)
+ * @property {number} userDailyUsd - Расход на читателя в день, USD (0 - без лимита)
+ * @property {number} dailyTokens - Токенов на всех в день (0 - без лимита)
+ * @property {number} dailyUsd - Общий расход в день, USD (0 - без лимита)
+ */
+
+/**
+ * Бюджеты AI (дни считаются в бизнес-часовом поясе)
+ * @returns {AIBudgetConfig}
+ */
+function getAIBudgetConfig() {
+  return {
+    userDailyTokens: parseInt(process.env.AI_BUDGET_USER_DAILY_TOKENS) || 0,
+    userDailyUsd: parseFloat(process.env.AI_BUDGET_USER_DAILY_USD) || 0,
+    dailyTokens: parseInt(process.env.AI_BUDGET_DAILY_TOKENS) || 0,
+    dailyUsd: parseFloat(process.env.AI_BUDGET_DAILY_USD) || 0
+  };
+}
+
+/**
+ * Размерности известных моделей OpenAI embeddings
+ * @type {Object<string, number>}
+ */
+const OPENAI_EMBEDDING_DIMENSIONS = {
+  'text-embedding-ada-002': 1536,
+  'text-embedding-3-small': 1536,
+  'text-embedding-3-large': 3072
+};
+
+/**
+ * @typedef {Object} EmbeddingProviderConfig
+ * @property {'openai'|'local'} provider - Провайдер embeddings
+ * @property {string} [apiKey] - API ключ (только для openai)
+ * @property {string} model - Модель embeddings
+ * @property {number} dimension - Размерность векторов
+ */
+
+/**
+ * Получение конфигурации для embeddings
+ * EMBEDDING_PROVIDER=openai|local; по умолчанию openai при наличии ключа, иначе local
+ * @returns {EmbeddingProviderConfig}
  */
 function getEmbeddingProviderConfig() {
+  const explicit = (process.env.EMBEDDING_PROVIDER || '').toLowerCase();
+  const provider = explicit || (process.env.OPENAI_API_KEY ? 'openai' : 'local');
+
+  if (provider === 'local') {
+    return {
+      provider: 'local',
+      model: process.env.LOCAL_EMBEDDING_MODEL || 'hashing-v1',
+      dimension: parseInt(process.env.EMBEDDING_DIMENSION) || 512
+    };
+  }
+
+  const model = process.env.EMBEDDING_MODEL || 'text-embedding-ada-002';
   return {
     provider: 'openai',
     apiKey: process.env.OPENAI_API_KEY,
-    model: process.env.EMBEDDING_MODEL || 'text-embedding-ada-002'
+    model,
+    dimension: parseInt(process.env.EMBEDDING_DIMENSION) || OPENAI_EMBEDDING_DIMENSIONS[model] || 1536
   };
 }
 
 module.exports = {
   getAIProviderConfig,
-  getEmbeddingProviderConfig
+  getAIRoutingConfig,
+  getAIBudgetConfig,
+  AI_FEATURES,
+  getEmbeddingProviderConfig,
+  OPENAI_EMBEDDING_DIMENSIONS
 };
@@ -194,6 +194,12 @@ const config = {
   // Настройки email
   email: {
     from: process.env.EMAIL_FROM || 'noreply@reader-bot.io', // 📖 Обновили email domain
+    // Транспорт доставки: smtp | file | log (без SMTP_HOST письма только логируются)
+    transport: process.env.EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'log'),
+    // Каталог для file-транспорта (.eml + .json на каждое письмо)
+    outboxDir: process.env.EMAIL_OUTBOX_DIR || 'uploads/outbox',
+    maxAttempts: parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 6,
+    retryBaseDelayMs: parseInt(process.env.EMAIL_RETRY_BASE_DELAY_MS) || 60000,
     smtp: {
       host: process.env.SMTP_HOST || 'smtp.gmail.com',
       port: parseInt(process.env.SMTP_PORT) || 587,
@@ -205,6 +211,26 @@ const config = {
     }
   },
 
+  // Поддержка: проверка SLA и автозакрытие обращений
+  tickets: {
+    slaCheckCron: process.env.TICKET_SLA_CHECK_CRON || '*/10 * * * *',
+    // Обращения в статусе waiting_response без ответа пользователя закрываются через N дней
+    autoCloseAfterDays: parseInt(process.env.TICKET_AUTO_CLOSE_DAYS) || 7
+  },
+
+  // Удаление аккаунта читателем: в течение grace period запрос можно отменить
+  accountDeletion: {
+    graceDays: parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14
+  },
+
+  // Событийная аналитика: сырые события живут retention дней, дневные сводки - бессрочно
+  analytics: {
+    eventRetentionDays: parseInt(process.env.ANALYTICS_EVENT_RETENTION_DAYS) || 90,
+    flushIntervalMs: parseInt(process.env.ANALYTICS_FLUSH_INTERVAL_MS) || 5000,
+    maxBufferSize: parseInt(process.env.ANALYTICS_MAX_BUFFER_SIZE) || 200,
+    maxBatchSize: 50
+  },
+
   // 📖 Настройки для проекта "Читатель"
   reader: {
     // Настройки цитат
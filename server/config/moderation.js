@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Правила автоматической пре-модерации комментариев сообщества
+ * @description Используется moderationService.prescreenText в POST /api/reader/covers/:id/comments.
+ * Нецензурная лексика и ссылочный спам отклоняются сразу, одиночная ссылка
+ * пропускается, но попадает в очередь модерации как автоматическая жалоба.
+ * @author g1orgi89
+ */
+
+/**
+ * Начала нецензурных слов (ищутся с начала слова после нормализации:
+ * нижний регистр, ё → е, латинские двойники → кириллица)
+ * @type {string[]}
+ */
+const PROFANITY_STEMS = [
+  'хуй', 'хуе', 'хуя', 'хуи',
+  'пизд', 'пезд',
+  'бляд', 'блят',
+  'ебан', 'ебат', 'ебал', 'ебуч', 'еблан', 'ебло',
+  'заеб', 'отъеб', 'выеб', 'уеб', 'долбоеб',
+  'мудак', 'мудил',
+  'сука', 'суки', 'сучар',
+  'гандон', 'гондон',
+  'шлюх',
+  'пидор', 'пидар',
+  'fuck', 'shit', 'bitch', 'cunt'
+];
+
+/**
+ * Короткие слова, которые ищутся только целиком: как начало слова они
+ * задели бы обычные слова ("бляха", "бляшка")
+ * @type {string[]}
+ */
+const PROFANITY_WORDS = ['бля'];
+
+/**
+ * Латинские буквы, которыми маскируют кириллицу ("xyй", "cука")
+ * @type {Object<string, string>}
+ */
+const LOOKALIKE_CHARS = {
+  a: 'а', b: 'в', c: 'с', e: 'е', h: 'н', k: 'к', m: 'м',
+  o: 'о', p: 'р', t: 'т', x: 'х', y: 'у'
+};
+
+/**
+ * Правила ссылок
+ */
+const LINK_RULES = {
+  // Ссылки: http(s)://..., www..., домены в популярных зонах (в т.ч. t.me/...)
+  pattern: /(?:https?:\/\/|www\.)[^\s]+|\b[a-z0-9][a-z0-9-]*\.(?:ru|рф|su|com|net|org|info|io|me|xyz|site|online|shop|club|pro|biz)\b(?:\/[^\s]*)?/gi,
+  // С одной ссылкой комментарий публикуется и отправляется на проверку
+  flagAt: 1,
+  // Две и больше - спам, комментарий отклоняется
+  rejectAt: 2
+};
+
+module.exports = {
+  PROFANITY_STEMS,
+  PROFANITY_WORDS,
+  LOOKALIKE_CHARS,
+  LINK_RULES
+};
@@ -6,6 +6,9 @@
  * UPDATED: Added button support for report notifications
  * - button: { text: string, url: string } - inline button with deeplink
  * - monthlyReport slot added for 1st of each month
+ *
+ * DEPRECATED: reminders are now resolved from the NotificationCampaign calendar.
+ * This file is kept only as the source for server/scripts/importNotificationTemplates.js
  * 
  * @author g1orgi89
  */
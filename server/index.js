@@ -279,6 +279,13 @@ const targetAudiencesRoutes = require('./api/targetAudiences');
 const utmTemplatesRoutes = require('./api/utmTemplates');
 const annaPersonaRoutes = require('./api/annaPersona');
 const audioRoutes = require('./api/audio');
+const paymentsRoutes = require('./api/payments');
+const audioCatalogRoutes = require('./api/audioCatalog');
+const notificationCampaignsRoutes = require('./api/notificationCampaigns');
+const challengesRoutes = require('./api/challenges');
+const moderationRoutes = require('./api/moderation');
+const experimentsRoutes = require('./api/experiments');
+const quoteExportsRoutes = require('./api/quoteExports');
 
 // 🔧 ИСПРАВЛЕНИЕ: Возвращаем полный knowledge API с детальным логированием ошибок
 let knowledgeRoutes, usersRoutes, quotesRoutes;
@@ -523,6 +530,9 @@ const io = socketIo(server, {
   }
 });
 
+// 🔌 Живые обновления тикетов в админ-панели (namespace /admin)
+require('./services/ticketRealtime').attach(io);
+
 // Middleware для заголовков
 app.use((req, res, next) => {
   if (req.path.startsWith('/api')) {
@@ -538,14 +548,21 @@ app.use(cors({
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
   allowedHeaders: [
     'Origin', 'X-Requested-With', 'Content-Type', 'Accept', 'Authorization',
-    'X-Telegram-Init-Data', 'X-User-Id', 'Cache-Control', 'Pragma'
-  ]
+    'X-Telegram-Init-Data', 'X-User-Id', 'Cache-Control', 'Pragma', 'Idempotency-Key'
+  ],
+  exposedHeaders: ['Idempotent-Replayed']
 }));
 
 // JSON parser middleware
+// Raw body is kept for signature verification of payment webhooks
 app.use(express.json({ 
   limit: '10mb',
-  type: 'application/json'
+  type: 'application/json',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith(`${config.app.apiPrefix}/payments/`)) {
+      req.rawBody = buf.toString('utf8');
+    }
+  }
 }));
 
 app.use(express.urlencoded({ 
@@ -749,6 +766,26 @@ app.use(`${config.app.apiPrefix}/anna-persona`, annaPersonaRoutes);
 // 🎵 Audio API routes
 logger.info('🎵 Registering Audio API routes...');
 app.use(`${config.app.apiPrefix}/audio`, audioRoutes);
+app.use(`${config.app.apiPrefix}/audio-catalog`, audioCatalogRoutes);
+
+// 🔔 Notification campaign calendar (admin)
+app.use(`${config.app.apiPrefix}/notification-campaigns`, notificationCampaignsRoutes);
+
+// 🏆 Reading challenges (admin)
+app.use(`${config.app.apiPrefix}/challenges`, challengesRoutes);
+
+// 🛡️ Community moderation queue (admin)
+app.use(`${config.app.apiPrefix}/moderation`, moderationRoutes);
+
+// 📦 Quote exports of all readers (admin)
+app.use(`${config.app.apiPrefix}/quote-exports`, quoteExportsRoutes);
+
+// 🧪 A/B experiments (admin)
+app.use(`${config.app.apiPrefix}/experiments`, experimentsRoutes);
+
+// 💳 Payment webhook routes
+logger.info('💳 Registering payment webhook routes...');
+app.use(`${config.app.apiPrefix}/payments`, paymentsRoutes);
 
 // 🔒 Protected audio streaming endpoint (outside /api prefix)
 logger.info('🔒 Registering protected media stream route...');
@@ -903,6 +940,51 @@ async function startServer() {
       logger.warn('⚠️ PromptService initialization failed, will use fallback prompts:', error.message);
     }
     
+    // 🎵 Seed audio catalog with default разборы on first start
+    try {
+      const AudioCatalog = require('./models/AudioCatalog');
+      const seeded = await AudioCatalog.createDefaultCatalog();
+      if (seeded > 0) {
+        logger.info(`🎵 Audio catalog seeded with ${seeded} default entries`);
+      }
+    } catch (error) {
+      logger.warn('⚠️ Audio catalog seeding failed:', error.message);
+    }
+    
+    // 📥 Resume AI categorization of diary imports interrupted by a restart
+    try {
+      const quoteImportService = require('./services/quoteImportService');
+      const QuoteHandler = require('./services/quoteHandler');
+      quoteImportService.resumePendingImports(new QuoteHandler())
+        .then(count => count > 0 && logger.info(`📥 Resumed categorization for ${count} import batch(es)`))
+        .catch(error => logger.warn('⚠️ Failed to resume pending imports:', error.message));
+    } catch (error) {
+      logger.warn('⚠️ Quote import service unavailable:', error.message);
+    }
+
+    // 📦 Finish quote exports interrupted by the restart
+    try {
+      const quoteExportService = require('./services/quoteExportService');
+      quoteExportService.resumePendingExports()
+        .then(count => count > 0 && logger.info(`📦 Resumed ${count} quote export job(s)`))
+        .catch(error => logger.warn('⚠️ Failed to resume pending exports:', error.message));
+    } catch (error) {
+      logger.warn('⚠️ Quote export service unavailable:', error.message);
+    }
+
+    // 🧮 Connect vector store in background (re-indexes knowledge if the embedding provider changed)
+    vectorStoreService.initialize()
+      .then(ok => ok && logger.info(`🧮 Vector store ready: ${JSON.stringify(vectorStoreService.getProviderInfo())}`))
+      .catch(error => logger.warn('⚠️ Vector store initialization failed:', error.message));
+
+    // 🔗 Quote similarity index (rebuilt from MongoDB when the collection is new or empty)
+    const quoteSimilarityService = require('./services/quoteSimilarityService');
+    if (quoteSimilarityService.enabled) {
+      quoteSimilarityService.store.initialize()
+        .then(ok => ok && logger.info(`🔗 Quote similarity index ready: ${quoteSimilarityService.store.collectionName}`))
+        .catch(error => logger.warn('⚠️ Quote similarity index initialization failed:', error.message));
+    }
+
     const PORT = config.app.port;
     
     // 🔧 ИСПРАВЛЕНИЕ: Явно указываем что сервер должен слушать на всех интерфейсах
@@ -995,6 +1077,15 @@ async function startServer() {
     } else {
       logger.info('🤖 Simple Telegram Bot not created, skipping webhook setup and reminder services');
     }
+
+    // 📮 Outbox: доставка уведомлений по тикетам (email / Telegram) с повторами
+    try {
+      const outboxService = require('./services/outboxService');
+      outboxService.initialize({ bot: simpleBot ? simpleBot.bot : null });
+      outboxService.start();
+    } catch (error) {
+      logger.error('❌ Failed to start OutboxService:', error.message);
+    }
    
     // 📖 Initialize and start CronService
     if (cronService) {
@@ -1051,6 +1142,14 @@ async function gracefulShutdown(signal) {
     }
   }
   
+  // Stop outbox worker and close SMTP connections
+  try {
+    require('./services/outboxService').stop();
+    require('./services/email').closeTransports();
+  } catch (error) {
+    logger.error('❌ Error stopping outbox worker:', error);
+  }
+  
   // Stop Simple Telegram Bot
   if (simpleBot) {
     try {
@@ -1063,8 +1162,10 @@ async function gracefulShutdown(signal) {
   
   server.close(async () => {
     logger.info('✅ HTTP server closed');
-    
+
     try {
+      // Дописываем буфер событий аналитики, пока соединение с БД живо
+      await require('./services/analyticsService').flushEvents();
       await dbService.disconnect();
       logger.info('✅ Database disconnected');
     } catch (error) {
@@ -190,10 +190,36 @@ function parseBasicAuth(authHeader) {
   }
 }
 
+/**
+ * Проверяет Authorization заголовок вне Express (например, при подключении socket.io)
+ * @param {string} authHeader - Значение заголовка (Bearer или Basic)
+ * @returns {{id: string, role: string, username: string}|null} Админ или null
+ */
+function authenticateAdminHeader(authHeader) {
+  if (!authHeader || typeof authHeader !== 'string') {
+    return null;
+  }
+
+  const adminUsername = process.env.ADMIN_USERNAME || 'admin';
+  let isValidAuth = false;
+
+  if (authHeader.startsWith('Bearer ')) {
+    const validToken = process.env.ADMIN_TOKEN || 'default-admin-token';
+    isValidAuth = authHeader.substring(7) === validToken;
+  } else {
+    const credentials = parseBasicAuth(authHeader);
+    const adminPassword = process.env.ADMIN_PASSWORD || 'password123';
+    isValidAuth = Boolean(credentials) && credentials.username === adminUsername && credentials.password === adminPassword;
+  }
+
+  return isValidAuth ? { id: 'admin-user', role: 'admin', username: adminUsername } : null;
+}
+
 module.exports = {
   requireAdminAuth,
   optionalAdminAuth,
   parseBasicAuth,
+  authenticateAdminHeader,
   // Add alias for backward compatibility
   adminAuth: requireAdminAuth
 };
\ No newline at end of file
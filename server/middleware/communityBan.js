@@ -0,0 +1,47 @@
+/**
+ * Community ban middleware - не пускает заблокированных модератором читателей
+ * в маршруты сообщества (используется вместе с communityLimiter)
+ * @file server/middleware/communityBan.js
+ */
+
+const logger = require('../utils/logger');
+const moderationService = require('../services/moderationService');
+
+/**
+ * @typedef {import('express').Request} Request
+ * @typedef {import('express').Response} Response
+ * @typedef {import('express').NextFunction} NextFunction
+ */
+
+/**
+ * Отклоняет запросы заблокированных читателей с 403 COMMUNITY_BANNED.
+ * Требует telegramAuth до себя; без req.userId пропускает запрос
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {NextFunction} next - Express next function
+ */
+async function communityBanGuard(req, res, next) {
+  if (!req.userId || req.method === 'OPTIONS') {
+    return next();
+  }
+
+  try {
+    if (await moderationService.isCommunityBanned(req.userId)) {
+      logger.warn(`🚫 Community request from banned user ${req.userId}: ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({
+        success: false,
+        error: 'Доступ к сообществу ограничен модератором',
+        code: 'COMMUNITY_BANNED'
+      });
+    }
+  } catch (error) {
+    // Не блокируем сообщество целиком из-за сбоя проверки
+    logger.error('❌ Community ban check failed:', error);
+  }
+
+  next();
+}
+
+module.exports = {
+  communityBanGuard
+};
@@ -0,0 +1,96 @@
+/**
+ * Telegram Mini App auth middleware - читатель по initData
+ * (Authorization: tma <initData> или X-Telegram-Init-Data)
+ * @file server/middleware/telegramAuth.js
+ */
+
+const logger = require('../utils/logger');
+
+/**
+ * @typedef {import('express').Request} Request
+ * @typedef {import('express').Response} Response
+ * @typedef {import('express').NextFunction} NextFunction
+ */
+
+/**
+ * initData из заголовков запроса
+ * @param {Request} req - Express request object
+ * @returns {string|undefined} initData
+ */
+function getInitData(req) {
+  return req.headers['authorization']?.startsWith('tma ')
+    ? req.headers['authorization'].slice(4)
+    : req.headers['x-telegram-init-data'];
+}
+
+/**
+ * Telegram ID из initData
+ * Клиент может прислать строку закодированной (encodeURIComponent) - декодируем, если это initData
+ * @param {string} initData - Telegram initData
+ * @returns {string|null} userId или null
+ */
+function parseUserIdFromInitData(initData) {
+  try {
+    if (!initData || typeof initData !== 'string') {
+      return null;
+    }
+
+    let decodedInitData = initData;
+    try {
+      const decoded = decodeURIComponent(initData);
+      if (decoded.includes('=')) {
+        decodedInitData = decoded;
+      }
+    } catch (decodeError) {
+      // Уже декодирована или некорректное кодирование - используем как есть
+    }
+
+    if (!decodedInitData.includes('=')) {
+      logger.warn('parseUserIdFromInitData: initData does not match expected pattern');
+      return null;
+    }
+
+    const userStr = new URLSearchParams(decodedInitData).get('user');
+    if (userStr) {
+      const userObj = JSON.parse(userStr);
+      if (userObj && userObj.id) return String(userObj.id);
+    }
+  } catch (error) {
+    logger.warn(`InitData parse error: ${error.message}`);
+  }
+  return null;
+}
+
+/**
+ * Устанавливает req.userId по initData, иначе 401.
+ * В development допускается ?userId= для отладки без Telegram
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {NextFunction} next - Express next function
+ */
+function telegramAuth(req, res, next) {
+  if (process.env.NODE_ENV === 'development' && req.query.userId) {
+    logger.debug(`[TELEGRAM AUTH] DEV BYPASS: userId ${req.query.userId} from query param`);
+    req.userId = String(req.query.userId);
+    return next();
+  }
+
+  const initData = getInitData(req);
+  if (!initData) {
+    return res.status(401).json({ success: false, error: 'No Telegram initData' });
+  }
+
+  const userId = parseUserIdFromInitData(initData);
+  if (!userId) {
+    return res.status(401).json({ success: false, error: 'Invalid Telegram initData' });
+  }
+
+  req.userId = userId;
+  next();
+}
+
+module.exports = {
+  getInitData,
+  parseUserIdFromInitData,
+  telegramAuth
+};
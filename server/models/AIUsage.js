@@ -0,0 +1,174 @@
+/**
+ * AI Usage Model - token and cost accounting for every AI call
+ * @file server/models/AIUsage.js
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Запись об одном AI-запросе (успешном, неудачном или заблокированном бюджетом)
+ */
+const aiUsageSchema = new mongoose.Schema({
+  feature: {
+    type: String,
+    required: true,
+    index: true
+    // chat, quote_analysis, quote_import, weekly_report, monthly_report, prompt_test, health_check
+  },
+  userId: {
+    type: String,
+    default: null,
+    index: true
+    // Telegram userId читателя; null - системные вызовы
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  model: {
+    type: String,
+    default: ''
+  },
+  inputTokens: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  outputTokens: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  totalTokens: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  costUsd: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  durationMs: {
+    type: Number,
+    default: 0
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  status: {
+    type: String,
+    enum: ['success', 'error', 'budget_exceeded'],
+    default: 'success',
+    index: true
+  },
+  errorMessage: {
+    type: String,
+    default: null
+  },
+  day: {
+    type: String,
+    required: true
+    // YYYY-MM-DD в бизнес-часовом поясе (для дневных бюджетов)
+  }
+}, {
+  timestamps: true
+});
+
+aiUsageSchema.index({ day: 1, userId: 1 });
+aiUsageSchema.index({ createdAt: -1 });
+
+/**
+ * Суммарное потребление за день (для проверки бюджетов)
+ * @param {string} day - День YYYY-MM-DD
+ * @param {string|null} [userId] - Читатель; без него - все вызовы за день
+ * @param {Object} [options]
+ * @param {string[]} [options.excludeFeatures] - Функции, которые не учитываются
+ * @returns {Promise<{totalTokens: number, costUsd: number, calls: number}>}
+ */
+aiUsageSchema.statics.getDailyTotals = async function(day, userId = undefined, options = {}) {
+  const match = { day, status: { $ne: 'budget_exceeded' } };
+  if (userId !== undefined) {
+    match.userId = userId;
+  }
+  if (options.excludeFeatures && options.excludeFeatures.length) {
+    match.feature = { $nin: options.excludeFeatures };
+  }
+
+  const [totals] = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        totalTokens: { $sum: '$totalTokens' },
+        costUsd: { $sum: '$costUsd' },
+        calls: { $sum: 1 }
+      }
+    }
+  ]);
+
+  return {
+    totalTokens: totals?.totalTokens || 0,
+    costUsd: totals?.costUsd || 0,
+    calls: totals?.calls || 0
+  };
+};
+
+/**
+ * Сводка потребления за период для админ-панели
+ * @param {Date} from - Начало периода
+ * @param {Date} [to=new Date()] - Конец периода
+ * @param {number} [topUsersLimit=10] - Количество самых дорогих читателей
+ * @returns {Promise<Object>} totals, byFeature, byModel, byDay, topUsers
+ */
+aiUsageSchema.statics.getSummary = async function(from, to = new Date(), topUsersLimit = 10) {
+  const groupTotals = {
+    calls: { $sum: 1 },
+    inputTokens: { $sum: '$inputTokens' },
+    outputTokens: { $sum: '$outputTokens' },
+    totalTokens: { $sum: '$totalTokens' },
+    costUsd: { $sum: '$costUsd' },
+    errors: { $sum: { $cond: [{ $eq: ['$status', 'error'] }, 1, 0] } },
+    budgetBlocked: { $sum: { $cond: [{ $eq: ['$status', 'budget_exceeded'] }, 1, 0] } }
+  };
+
+  const [result] = await this.aggregate([
+    { $match: { createdAt: { $gte: from, $lte: to } } },
+    {
+      $facet: {
+        totals: [{ $group: { _id: null, ...groupTotals, users: { $addToSet: '$userId' } } }],
+        byFeature: [{ $group: { _id: '$feature', ...groupTotals } }, { $sort: { costUsd: -1 } }],
+        byModel: [{ $group: { _id: { provider: '$provider', model: '$model' }, ...groupTotals } }, { $sort: { costUsd: -1 } }],
+        byDay: [{ $group: { _id: '$day', ...groupTotals } }, { $sort: { _id: 1 } }],
+        topUsers: [
+          { $match: { userId: { $ne: null } } },
+          { $group: { _id: '$userId', ...groupTotals } },
+          { $sort: { costUsd: -1, totalTokens: -1 } },
+          { $limit: topUsersLimit }
+        ]
+      }
+    }
+  ]);
+
+  const totals = result.totals[0] || { calls: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, costUsd: 0, errors: 0, budgetBlocked: 0, users: [] };
+  const users = totals.users.filter(Boolean).length;
+  delete totals._id;
+  delete totals.users;
+
+  return {
+    totals: {
+      ...totals,
+      users,
+      avgCostPerUser: users > 0 ? Number((totals.costUsd / users).toFixed(6)) : 0
+    },
+    byFeature: result.byFeature.map(({ _id, ...row }) => ({ feature: _id, ...row })),
+    byModel: result.byModel.map(({ _id, ...row }) => ({ provider: _id.provider, model: _id.model, ...row })),
+    byDay: result.byDay.map(({ _id, ...row }) => ({ day: _id, ...row })),
+    topUsers: result.topUsers.map(({ _id, ...row }) => ({ userId: _id, ...row }))
+  };
+};
+
+const AIUsage = mongoose.model('AIUsage', aiUsageSchema);
+
+module.exports = AIUsage;
@@ -0,0 +1,192 @@
+/**
+ * Achievement Model - определения достижений (условия, уровни, редкость)
+ * @file server/models/Achievement.js
+ * @description Условия проверяет server/services/achievementService.js по полю type;
+ * стартовый набор - server/config/achievements.js
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Типы условий (метрики). manual - выдается другим сервисом (значки, челленджи)
+ */
+const ACHIEVEMENT_TYPES = [
+  'quotes_count',        // всего цитат
+  'classics_count',      // цитаты классиков
+  'own_thoughts',        // цитаты без автора
+  'category_diversity',  // разные категории цитат
+  'streak_days',         // текущая серия дней с цитатами
+  'days_with_bot',       // дней с регистрации
+  'book_frame_photos',   // фото в «книжный кадр»
+  'follows',             // подписки на читателей
+  'likes_given',         // лайки цитатам других читателей
+  'manual'
+];
+
+const ACHIEVEMENT_TIERS = ['bronze', 'silver', 'gold', 'platinum'];
+
+const ACHIEVEMENT_CATEGORIES = ['beginner', 'consistency', 'quality', 'scale', 'community'];
+
+/**
+ * visible - всегда в списке; secret - в списке, но название и условие скрыты до получения;
+ * hidden - не показывается, пока не получено
+ */
+const ACHIEVEMENT_VISIBILITY = ['visible', 'secret', 'hidden'];
+
+/**
+ * Уровни редкости: maxPercent - доля читателей с достижением (включительно)
+ */
+const RARITY_LEVELS = [
+  { level: 'legendary', label: 'Легендарное', maxPercent: 1 },
+  { level: 'epic', label: 'Эпическое', maxPercent: 5 },
+  { level: 'rare', label: 'Редкое', maxPercent: 15 },
+  { level: 'uncommon', label: 'Необычное', maxPercent: 40 },
+  { level: 'common', label: 'Обычное', maxPercent: 100 }
+];
+
+const requirementSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ACHIEVEMENT_TYPES.filter(type => type !== 'manual'),
+    required: true
+  },
+  targetValue: {
+    type: Number,
+    required: true,
+    min: 1
+  }
+}, { _id: false });
+
+const achievementSchema = new mongoose.Schema({
+  achievementId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    match: /^[a-z0-9_]+$/
+    // Совпадает с UserProfile.achievements.achievementId
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  icon: {
+    type: String,
+    trim: true,
+    maxlength: 16,
+    default: '🏆'
+  },
+  image: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  tier: {
+    type: String,
+    enum: ACHIEVEMENT_TIERS,
+    default: 'bronze'
+  },
+  category: {
+    type: String,
+    enum: ACHIEVEMENT_CATEGORIES,
+    default: 'beginner'
+  },
+  type: {
+    type: String,
+    enum: ACHIEVEMENT_TYPES,
+    required: true
+  },
+  targetValue: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  requirements: {
+    type: [requirementSchema],
+    default: []
+    // Дополнительные условия (все должны быть выполнены)
+  },
+  unit: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  tips: {
+    type: String,
+    trim: true,
+    maxlength: 300,
+    default: ''
+  },
+  visibility: {
+    type: String,
+    enum: ACHIEVEMENT_VISIBILITY,
+    default: 'visible'
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  rarity: {
+    unlockedCount: { type: Number, default: 0 },
+    readersCount: { type: Number, default: 0 },
+    percent: { type: Number, default: null },
+    computedAt: { type: Date, default: null }
+    // Пересчитывает achievementService.refreshRarity (cron + скрипт backfill)
+  }
+}, {
+  timestamps: true,
+  collection: 'achievements'
+});
+
+/**
+ * Создает отсутствующие определения (существующие не трогает)
+ * @param {Array<Object>} definitions - Определения из server/config/achievements.js
+ * @returns {Promise<number>} Количество созданных
+ */
+achievementSchema.statics.seedDefaults = async function(definitions) {
+  if (!definitions.length) return 0;
+
+  const result = await this.bulkWrite(definitions.map(definition => ({
+    updateOne: {
+      filter: { achievementId: definition.achievementId },
+      update: { $setOnInsert: definition },
+      upsert: true
+    }
+  })));
+
+  return result.upsertedCount || 0;
+};
+
+/**
+ * Уровень редкости по доле читателей
+ * @param {number|null} percent - Процент читателей с достижением
+ * @returns {{level: string, label: string}|null}
+ */
+function getRarityLevel(percent) {
+  if (percent === null || percent === undefined) return null;
+  const { level, label } = RARITY_LEVELS.find(item => percent <= item.maxPercent) || RARITY_LEVELS[RARITY_LEVELS.length - 1];
+  return { level, label };
+}
+
+const Achievement = mongoose.model('Achievement', achievementSchema);
+
+module.exports = Achievement;
+module.exports.ACHIEVEMENT_TYPES = ACHIEVEMENT_TYPES;
+module.exports.ACHIEVEMENT_TIERS = ACHIEVEMENT_TIERS;
+module.exports.ACHIEVEMENT_CATEGORIES = ACHIEVEMENT_CATEGORIES;
+module.exports.ACHIEVEMENT_VISIBILITY = ACHIEVEMENT_VISIBILITY;
+module.exports.RARITY_LEVELS = RARITY_LEVELS;
+module.exports.getRarityLevel = getRarityLevel;
@@ -0,0 +1,84 @@
+/**
+ * Achievement Unlock Model - история получения достижений
+ * @file server/models/AchievementUnlock.js
+ * @description UserProfile.achievements - быстрый список полученного;
+ * здесь - откуда и с каким значением метрики достижение было получено
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Источники получения
+ */
+const UNLOCK_SOURCES = [
+  'live',       // проверка после сохранения цитаты / открытия списка
+  'backfill',   // server/scripts/backfillAchievements.js по историческим данным
+  'profile',    // перенос записей UserProfile.achievements без истории
+  'badge',      // значки badgesService (alice)
+  'challenge'   // награда челленджа
+];
+
+const achievementUnlockSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true
+    // Telegram user ID
+  },
+  achievementId: {
+    type: String,
+    required: true
+  },
+  tier: {
+    type: String,
+    default: null
+  },
+  source: {
+    type: String,
+    enum: UNLOCK_SOURCES,
+    default: 'live'
+  },
+  value: {
+    type: Number,
+    default: null
+    // Значение основной метрики на момент получения
+  },
+  unlockedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  collection: 'achievement_unlocks'
+});
+
+achievementUnlockSchema.index({ userId: 1, achievementId: 1 }, { unique: true });
+achievementUnlockSchema.index({ achievementId: 1, unlockedAt: -1 });
+
+/**
+ * Записывает получение достижения (повторная запись ничего не меняет)
+ * @param {string} userId - Telegram user ID
+ * @param {string} achievementId - ID достижения
+ * @param {Object} [details] - tier, source, value, unlockedAt
+ * @returns {Promise<boolean>} true, если запись создана
+ */
+achievementUnlockSchema.statics.record = async function(userId, achievementId, details = {}) {
+  const result = await this.updateOne(
+    { userId, achievementId },
+    {
+      $setOnInsert: {
+        userId,
+        achievementId,
+        tier: details.tier || null,
+        source: details.source || 'live',
+        value: details.value ?? null,
+        unlockedAt: details.unlockedAt || new Date()
+      }
+    },
+    { upsert: true }
+  );
+  return result.upsertedCount > 0;
+};
+
+module.exports = mongoose.model('AchievementUnlock', achievementUnlockSchema);
+module.exports.UNLOCK_SOURCES = UNLOCK_SOURCES;
@@ -0,0 +1,85 @@
+/**
+ * Analytics Daily Rollup Model - дневные сводки для дашборда аналитики
+ * Один документ на календарный день (МСК). Счетчики храним бессрочно, списки userId
+ * вычищаются после окна хранения сырых событий
+ * @file server/models/AnalyticsDailyRollup.js
+ */
+
+const mongoose = require('mongoose');
+
+const eventCountSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  count: { type: Number, default: 0 },
+  uniqueUsers: { type: Number, default: 0 }
+}, { _id: false });
+
+const sourceCountSchema = new mongoose.Schema({
+  source: { type: String, required: true },
+  count: { type: Number, default: 0 }
+}, { _id: false });
+
+const utmCampaignSchema = new mongoose.Schema({
+  campaign: { type: String, required: true },
+  clicks: { type: Number, default: 0 },
+  userIds: { type: [String], default: [] }
+  // Для уникальных пользователей за период; очищается после retention
+}, { _id: false });
+
+const analyticsDailyRollupSchema = new mongoose.Schema({
+  dayKey: {
+    type: String,
+    required: true,
+    unique: true
+    // YYYY-MM-DD по Europe/Moscow
+  },
+  totalUsers: {
+    type: Number,
+    default: 0
+    // Снимок: завершивших онбординг на конец дня
+  },
+  newUsers: {
+    type: Number,
+    default: 0
+  },
+  activeUsers: {
+    type: Number,
+    default: 0
+  },
+  activeUserIds: {
+    type: [String],
+    default: []
+    // Для уникальных активных за период; очищается после retention
+  },
+  quotesAdded: {
+    type: Number,
+    default: 0
+  },
+  promoUsage: {
+    type: Number,
+    default: 0
+  },
+  events: {
+    type: [eventCountSchema],
+    default: []
+  },
+  sources: {
+    type: [sourceCountSchema],
+    default: []
+    // Источники новых пользователей за день
+  },
+  utm: {
+    type: [utmCampaignSchema],
+    default: []
+  },
+  computedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  versionKey: false,
+  collection: 'analytics_daily_rollups'
+});
+
+const AnalyticsDailyRollup = mongoose.model('AnalyticsDailyRollup', analyticsDailyRollupSchema);
+
+module.exports = AnalyticsDailyRollup;
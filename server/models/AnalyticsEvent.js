@@ -0,0 +1,83 @@
+/**
+ * Analytics Event Model - сырые продуктовые события (сервер и mini-app)
+ * Хранятся config.analytics.eventRetentionDays дней, дальше живут только дневные сводки
+ * @file server/models/AnalyticsEvent.js
+ */
+
+const mongoose = require('mongoose');
+const { config } = require('../config');
+
+/**
+ * Все известные события
+ * @type {string[]}
+ */
+const ANALYTICS_EVENTS = [
+  'app_open',
+  'page_view',
+  'quote_added',
+  'report_opened',
+  'cover_posted',
+  'audio_played',
+  'catalog_click'
+];
+
+/**
+ * События, которые принимаются от mini-app; остальные пишет только сервер
+ * @type {string[]}
+ */
+const CLIENT_EVENTS = ['app_open', 'page_view'];
+
+const analyticsEventSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    enum: ANALYTICS_EVENTS,
+    required: true
+  },
+  userId: {
+    type: String,
+    default: null
+    // Telegram user ID; null для анонимных событий
+  },
+  source: {
+    type: String,
+    enum: ['server', 'client'],
+    default: 'server'
+  },
+  properties: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+    // Небольшой плоский объект: page, quoteId, trackId, bookSlug...
+  },
+  sessionId: {
+    type: String,
+    default: null
+  },
+  eventId: {
+    type: String,
+    default: undefined
+    // Клиентский ID для дедупликации повторной отправки батча
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  versionKey: false,
+  collection: 'analytics_events'
+});
+
+analyticsEventSchema.index({ name: 1, occurredAt: -1 });
+analyticsEventSchema.index({ userId: 1, occurredAt: -1 });
+analyticsEventSchema.index({ eventId: 1 }, { unique: true, sparse: true });
+
+// TTL: сырые события удаляются после окна хранения
+analyticsEventSchema.index(
+  { occurredAt: 1 },
+  { expireAfterSeconds: config.analytics.eventRetentionDays * 24 * 60 * 60 }
+);
+
+const AnalyticsEvent = mongoose.model('AnalyticsEvent', analyticsEventSchema);
+
+module.exports = AnalyticsEvent;
+module.exports.ANALYTICS_EVENTS = ANALYTICS_EVENTS;
+module.exports.CLIENT_EVENTS = CLIENT_EVENTS;
@@ -0,0 +1,266 @@
+/**
+ * Audio Catalog Model - audio разборы with tracks, covers and access flags
+ * @file server/models/AudioCatalog.js
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Schema for a single track of an audio container
+ */
+const audioTrackSchema = new mongoose.Schema({
+  trackId: {
+    type: String,
+    required: true
+    // Public track identifier (e.g., 'malenkii_princ-01'), used for progress
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  file: {
+    type: String,
+    required: true
+    // Path relative to the audio storage root (e.g., 'malenkii_princ/01.mp3')
+  },
+  durationSec: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  order: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+/**
+ * Schema for audio catalog entries
+ */
+const audioCatalogSchema = new mongoose.Schema({
+  audioId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    match: /^[a-z0-9_-]+$/
+    // Public container identifier used in URLs and entitlements
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  author: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+    default: ''
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    default: ''
+  },
+  coverUrl: {
+    type: String,
+    default: ''
+  },
+  playerCoverUrl: {
+    type: String,
+    default: ''
+  },
+  bookSlug: {
+    type: String,
+    default: null,
+    index: true
+    // Link to BookCatalog.bookSlug (used by book-based packages)
+  },
+  isFree: {
+    type: Boolean,
+    default: true
+    // Paid entries require an entitlement (audio, package or subscription)
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  tracks: {
+    type: [audioTrackSchema],
+    default: []
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+audioCatalogSchema.index({ 'tracks.trackId': 1 });
+audioCatalogSchema.index({ isActive: 1, sortOrder: 1 });
+
+/**
+ * Paid content is gated behind entitlements
+ */
+audioCatalogSchema.virtual('requiresEntitlement').get(function() {
+  return !this.isFree;
+});
+
+/**
+ * Total duration of all tracks (null if any duration is unknown)
+ */
+audioCatalogSchema.virtual('totalDurationSec').get(function() {
+  const tracks = this.tracks || [];
+  if (tracks.length === 0 || tracks.some(t => t.durationSec === null || t.durationSec === undefined)) {
+    return null;
+  }
+  return tracks.reduce((sum, t) => sum + t.durationSec, 0);
+});
+
+/**
+ * Tracks sorted by their order
+ * @returns {Array} Sorted tracks
+ */
+audioCatalogSchema.methods.getSortedTracks = function() {
+  return (this.tracks || []).slice().sort((a, b) => a.order - b.order);
+};
+
+/**
+ * Generate next track ID for this container ('<audioId>-NN')
+ * @returns {string} Track ID
+ */
+audioCatalogSchema.methods.nextTrackId = function() {
+  const numbers = (this.tracks || [])
+    .map(t => parseInt(String(t.trackId).split('-').pop(), 10))
+    .filter(n => !isNaN(n));
+  const next = (numbers.length ? Math.max(...numbers) : 0) + 1;
+  return `${this.audioId}-${String(next).padStart(2, '0')}`;
+};
+
+/**
+ * Reorder tracks by a list of track IDs
+ * @param {string[]} trackIds - Track IDs in the desired order (must contain every track)
+ * @returns {boolean} True if reordered, false if the list does not match the tracks
+ */
+audioCatalogSchema.methods.reorderTracks = function(trackIds) {
+  const current = (this.tracks || []).map(t => t.trackId).sort();
+  const requested = (trackIds || []).slice().sort();
+  if (current.length !== requested.length || current.some((id, i) => id !== requested[i])) {
+    return false;
+  }
+  for (const track of this.tracks) {
+    track.order = trackIds.indexOf(track.trackId);
+  }
+  this.markModified('tracks');
+  return true;
+};
+
+/**
+ * Plain metadata used by audioService and the API (legacy FREE_AUDIO_METADATA shape)
+ * @returns {Object} Audio metadata with tracks { id, title, file, durationSec }
+ */
+audioCatalogSchema.methods.toMetadata = function() {
+  return {
+    id: this.audioId,
+    title: this.title,
+    author: this.author,
+    description: this.description,
+    coverUrl: this.coverUrl,
+    playerCoverUrl: this.playerCoverUrl,
+    bookSlug: this.bookSlug,
+    isFree: this.isFree,
+    requiresEntitlement: !this.isFree,
+    totalDurationSec: this.totalDurationSec,
+    tracks: this.getSortedTracks().map(t => ({
+      id: t.trackId,
+      title: t.title,
+      file: t.file,
+      durationSec: t.durationSec
+    }))
+  };
+};
+
+/**
+ * Get active catalog entries in display order
+ * @returns {Promise<Array>} Catalog documents
+ */
+audioCatalogSchema.statics.getActiveCatalog = async function() {
+  return this.find({ isActive: true }).sort({ sortOrder: 1, createdAt: 1 });
+};
+
+/**
+ * Audio content that used to be hardcoded in audioService (seeded on first start)
+ */
+const DEFAULT_AUDIO_CATALOG = [
+  {
+    audioId: 'malenkii_princ',
+    title: 'Разбор: «Маленький принц»',
+    author: 'Антуан де Сент-Экзюпери',
+    description: 'Этот разбор прослушало более 35.000 человек!',
+    coverUrl: '/assets/book-covers/malenkii_princ.png',
+    playerCoverUrl: '/assets/audio-covers/malenkii_princ-player.png',
+    isFree: true,
+    sortOrder: 1,
+    tracks: [1, 2, 3, 4, 5, 6].map(n => ({
+      trackId: `malenkii_princ-0${n}`,
+      title: `Часть ${n}`,
+      file: `malenkii_princ/0${n}.mp3`,
+      order: n - 1
+    }))
+  },
+  {
+    audioId: 'eat_pray_love',
+    title: 'Разбор фильма: «Ешь, молись, люби»',
+    author: 'Фильм',
+    description: 'Как найти своё предназначение?',
+    coverUrl: '/assets/book-covers/eat_pray_love.png',
+    playerCoverUrl: '/assets/audio-covers/eat_pray_love-player.png',
+    isFree: true,
+    sortOrder: 2,
+    tracks: [
+      { trackId: 'eat_pray_love-01', title: 'Полный аудиоразбор', file: 'eat_pray_love/01.mp3', order: 0 }
+    ]
+  },
+  {
+    audioId: 'alice_wonderland',
+    title: 'Разбор: «Алиса в стране чудес»',
+    author: 'Льюис Кэрролл',
+    description: 'Философский анализ классической сказки о поиске себя и познании мира',
+    coverUrl: '/assets/book-covers/alice_wonderland.png',
+    playerCoverUrl: '/assets/audio-covers/alice_wonderland-player.png',
+    isFree: false,
+    sortOrder: 3,
+    tracks: [1, 2, 3].map(n => ({
+      trackId: `alice_wonderland-0${n}`,
+      title: `Часть ${n}`,
+      file: `alice_wonderland/0${n}.mp3`,
+      order: n - 1
+    }))
+  }
+];
+
+/**
+ * Seed the catalog with default entries if it is empty
+ * @returns {Promise<number>} Number of inserted entries
+ */
+audioCatalogSchema.statics.createDefaultCatalog = async function() {
+  const count = await this.countDocuments();
+  if (count > 0) {
+    return 0;
+  }
+  const inserted = await this.insertMany(DEFAULT_AUDIO_CATALOG);
+  return inserted.length;
+};
+
+const AudioCatalog = mongoose.model('AudioCatalog', audioCatalogSchema);
+
+module.exports = AudioCatalog;
+module.exports.DEFAULT_AUDIO_CATALOG = DEFAULT_AUDIO_CATALOG;
@@ -0,0 +1,210 @@
+/**
+ * Challenge Model - ограниченные по времени читательские челленджи
+ * @file server/models/Challenge.js
+ * @description Админ задает условия (метрики из CHALLENGE_METRICS) и награду;
+ * прогресс считает server/services/gamification/challengeService.js
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Метрики условий челленджа
+ */
+const CHALLENGE_METRICS = [
+  'quotes',          // цитаты, сохраненные за время челленджа
+  'streak_days',     // текущая серия активных дней
+  'cover_photos',    // опубликованные фото в «книжный кадр»
+  'follows',         // новые подписки на читателей
+  'likes_given',     // лайки цитат
+  'audio_listened'   // аудиоразборы, прослушанные хотя бы минуту
+];
+
+/**
+ * Типы наград
+ */
+const CHALLENGE_REWARD_TYPES = ['entitlement', 'promo_code', 'badge'];
+
+/**
+ * Slug используется в URL mini app: /gamification/challenges/:slug
+ */
+const CHALLENGE_SLUG_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+const criterionSchema = new mongoose.Schema({
+  metric: {
+    type: String,
+    enum: CHALLENGE_METRICS,
+    required: true
+  },
+  target: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 120,
+    default: ''
+    // Пусто - подпись по умолчанию для метрики
+  }
+}, { _id: false });
+
+const rewardSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: CHALLENGE_REWARD_TYPES,
+    required: true
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 120,
+    default: ''
+    // Что увидит читатель: «Доступ к разбору на 30 дней»
+  },
+  resourceId: {
+    type: String,
+    trim: true,
+    default: null
+    // entitlement: audioId из AudioCatalog
+  },
+  durationDays: {
+    type: Number,
+    min: 1,
+    default: null
+    // entitlement: срок доступа, null - бессрочно
+  },
+  promoCode: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: null
+    // promo_code: существующий код из promo_codes
+  },
+  badgeId: {
+    type: String,
+    trim: true,
+    default: null
+    // badge: achievementId в UserProfile.achievements
+  }
+}, { _id: false });
+
+const challengeSchema = new mongoose.Schema({
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxlength: 60,
+    match: CHALLENGE_SLUG_PATTERN
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 120
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    default: ''
+  },
+  emoji: {
+    type: String,
+    trim: true,
+    maxlength: 8,
+    default: '🏆'
+  },
+  image: {
+    type: String,
+    trim: true,
+    default: ''
+    // Например /assets/badges/alice.png
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  criteria: {
+    type: [criterionSchema],
+    validate: {
+      validator: criteria => criteria.length > 0,
+      message: 'Challenge needs at least one criterion'
+    }
+  },
+  reward: {
+    type: rewardSchema,
+    required: true
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: String,
+    default: 'admin'
+  },
+  updatedBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'challenges'
+});
+
+challengeSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 });
+
+challengeSchema.pre('validate', function(next) {
+  if (this.startsAt && this.endsAt && this.startsAt >= this.endsAt) {
+    this.invalidate('endsAt', 'endsAt must be after startsAt');
+  }
+
+  const reward = this.reward || {};
+  if (reward.type === 'entitlement' && !reward.resourceId) {
+    this.invalidate('reward.resourceId', 'Entitlement reward needs resourceId');
+  }
+  if (reward.type === 'promo_code' && !reward.promoCode) {
+    this.invalidate('reward.promoCode', 'Promo code reward needs promoCode');
+  }
+  if (reward.type === 'badge' && !reward.badgeId) {
+    this.invalidate('reward.badgeId', 'Badge reward needs badgeId');
+  }
+
+  const metrics = (this.criteria || []).map(criterion => criterion.metric);
+  if (new Set(metrics).size !== metrics.length) {
+    this.invalidate('criteria', 'Each metric can be used once per challenge');
+  }
+  next();
+});
+
+/**
+ * Челленджи, идущие в данный момент
+ * @param {Date} [now] - Текущее время
+ * @returns {Promise<Object[]>}
+ */
+challengeSchema.statics.findRunning = function(now = new Date()) {
+  return this.find({
+    isActive: true,
+    startsAt: { $lte: now },
+    endsAt: { $gte: now }
+  }).sort({ sortOrder: 1, endsAt: 1 }).lean();
+};
+
+const Challenge = mongoose.model('Challenge', challengeSchema);
+
+module.exports = Challenge;
+module.exports.CHALLENGE_METRICS = CHALLENGE_METRICS;
+module.exports.CHALLENGE_REWARD_TYPES = CHALLENGE_REWARD_TYPES;
+module.exports.CHALLENGE_SLUG_PATTERN = CHALLENGE_SLUG_PATTERN;
@@ -0,0 +1,46 @@
+/**
+ * Challenge Claim Model - выполненные челленджи и выданные награды
+ * @file server/models/ChallengeClaim.js
+ */
+
+const mongoose = require('mongoose');
+
+const challengeClaimSchema = new mongoose.Schema({
+  challengeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Challenge',
+    required: true
+  },
+  slug: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: String,
+    required: true,
+    index: true
+    // Telegram user ID
+  },
+  reward: {
+    type: Object,
+    required: true
+    // Снимок награды на момент получения (+ expiresAt для доступа)
+  },
+  progress: {
+    type: Object,
+    default: {}
+    // metric -> значение на момент получения
+  },
+  claimedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  collection: 'challenge_claims'
+});
+
+// Одна награда на читателя за челлендж
+challengeClaimSchema.index({ challengeId: 1, userId: 1 }, { unique: true });
+
+module.exports = mongoose.model('ChallengeClaim', challengeClaimSchema);
@@ -0,0 +1,166 @@
+/**
+ * Experiment Model - A/B эксперименты с промптами, персонами Анны и текстами уведомлений
+ * @file server/models/Experiment.js
+ */
+
+const mongoose = require('mongoose');
+const { NOTIFICATION_SLOTS, messageSchema } = require('./NotificationCampaign');
+
+/**
+ * Что подменяет эксперимент
+ * - prompt: Prompt для promptService.getActivePrompt(target) или недельного отчета (target weekly_reports)
+ * - persona: AnnaPersona, добавляемая к системному промпту чата (target general_chat)
+ * - notification: шаблон напоминания для слота target
+ * @type {string[]}
+ */
+const EXPERIMENT_TYPES = ['prompt', 'persona', 'notification'];
+
+/**
+ * Цели, для которых код запрашивает вариант читателя; с другой целью эксперимент
+ * ничего бы не подменял и не собирал экспозиции
+ * - prompt: basic (чат), quote_analysis (анализ цитат), weekly_reports (недельный отчет)
+ * - persona: general_chat (системный промпт чата)
+ * @type {Object<string, string[]>}
+ */
+const EXPERIMENT_TARGETS = {
+  prompt: ['basic', 'quote_analysis', 'weekly_reports'],
+  persona: ['general_chat'],
+  notification: NOTIFICATION_SLOTS
+};
+
+/**
+ * @type {string[]}
+ */
+const EXPERIMENT_STATUSES = ['draft', 'running', 'paused', 'completed'];
+
+const variantSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    match: /^[a-z0-9_-]{1,32}$/
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: ''
+  },
+  weight: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 50
+    // Относительная доля трафика
+  },
+  isControl: {
+    type: Boolean,
+    default: false
+    // Контроль ничего не подменяет - работает текущая логика
+  },
+  promptId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Prompt',
+    default: null
+  },
+  personaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AnnaPersona',
+    default: null
+  },
+  template: {
+    type: messageSchema,
+    default: undefined
+    // Для notification: текст/изображение/кнопка вместо шаблона кампании
+  }
+}, { _id: false });
+
+const experimentSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: /^[a-z0-9_-]{3,64}$/
+    // Входит в хеш бакетинга: смена ключа перераспределит читателей
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    default: ''
+  },
+  type: {
+    type: String,
+    enum: EXPERIMENT_TYPES,
+    required: true
+  },
+  target: {
+    type: String,
+    required: true,
+    trim: true
+    // Одна из EXPERIMENT_TARGETS[type]
+  },
+  status: {
+    type: String,
+    enum: EXPERIMENT_STATUSES,
+    default: 'draft',
+    index: true
+  },
+  trafficPercent: {
+    type: Number,
+    min: 1,
+    max: 100,
+    default: 100
+    // Доля читателей в эксперименте; остальные не экспонируются
+  },
+  variants: {
+    type: [variantSchema],
+    validate: {
+      validator: variants => variants.length >= 2 && new Set(variants.map(v => v.key)).size === variants.length,
+      message: 'Experiment needs at least two variants with unique keys'
+    }
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'experiments'
+});
+
+experimentSchema.index({ type: 1, target: 1, status: 1 });
+
+/**
+ * Проверка цели эксперимента по типу
+ */
+experimentSchema.path('target').validate({
+  validator: function(target) {
+    return (EXPERIMENT_TARGETS[this.type] || []).includes(target);
+  },
+  message: props => `Unsupported experiment target "${props.value}"`
+});
+
+const Experiment = mongoose.model('Experiment', experimentSchema);
+
+module.exports = Experiment;
+module.exports.EXPERIMENT_TYPES = EXPERIMENT_TYPES;
+module.exports.EXPERIMENT_TARGETS = EXPERIMENT_TARGETS;
+module.exports.EXPERIMENT_STATUSES = EXPERIMENT_STATUSES;
@@ -0,0 +1,54 @@
+/**
+ * Experiment Exposure Model - какой вариант увидел читатель и когда впервые
+ * @file server/models/ExperimentExposure.js
+ */
+
+const mongoose = require('mongoose');
+
+const experimentExposureSchema = new mongoose.Schema({
+  experimentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Experiment',
+    required: true
+  },
+  experimentKey: {
+    type: String,
+    required: true
+  },
+  variantKey: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: String,
+    required: true,
+    index: true
+    // Telegram ID
+  },
+  context: {
+    type: String,
+    default: null
+    // Где произошла экспозиция: quote_analysis, chat, morning...
+  },
+  firstExposedAt: {
+    type: Date,
+    default: Date.now
+    // Точка отсчета метрик варианта
+  },
+  lastExposedAt: {
+    type: Date,
+    default: Date.now
+  },
+  exposures: {
+    type: Number,
+    default: 1
+  }
+}, {
+  collection: 'experiment_exposures'
+});
+
+// Одна запись на читателя в эксперименте; повторные показы увеличивают счетчик
+experimentExposureSchema.index({ experimentId: 1, userId: 1 }, { unique: true });
+experimentExposureSchema.index({ experimentId: 1, variantKey: 1 });
+
+module.exports = mongoose.model('ExperimentExposure', experimentExposureSchema);
@@ -0,0 +1,176 @@
+/**
+ * Moderation Report Model - жалобы на обложки, комментарии и цитаты сообщества
+ * @file server/models/ModerationReport.js
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Типы контента, на который можно пожаловаться
+ * @type {string[]}
+ */
+const MODERATION_TARGET_TYPES = ['cover', 'comment', 'quote'];
+
+/**
+ * Причины жалоб
+ * @type {string[]}
+ */
+const MODERATION_REASONS = ['spam', 'abuse', 'inappropriate', 'other'];
+
+/**
+ * Действия модератора
+ * @type {string[]}
+ */
+const MODERATION_ACTIONS = ['hide', 'restore', 'ban', 'dismiss'];
+
+const resolutionSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: MODERATION_ACTIONS,
+    required: true
+  },
+  by: {
+    type: String,
+    default: null
+    // Логин администратора
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  note: {
+    type: String,
+    maxlength: 500,
+    default: null
+  }
+}, { _id: false });
+
+const moderationReportSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: MODERATION_TARGET_TYPES,
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+    // PhotoPost / PhotoComment / Quote _id
+  },
+  targetUserId: {
+    type: String,
+    required: true,
+    index: true
+    // Автор контента (Telegram user ID)
+  },
+  reporterId: {
+    type: String,
+    required: true
+    // Кто пожаловался; 'system' - автоматическая проверка
+  },
+  source: {
+    type: String,
+    enum: ['user', 'auto'],
+    default: 'user'
+  },
+  reason: {
+    type: String,
+    enum: MODERATION_REASONS,
+    default: 'other'
+  },
+  comment: {
+    type: String,
+    maxlength: 500,
+    trim: true,
+    default: ''
+  },
+  autoFlags: {
+    type: [String],
+    default: []
+    // Сработавшие правила пре-модерации (link, profanity...)
+  },
+  snapshot: {
+    text: { type: String, default: '' },
+    imageUrl: { type: String, default: null }
+    // Копия контента на момент жалобы (автор мог отредактировать или удалить)
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved', 'dismissed'],
+    default: 'open',
+    index: true
+  },
+  resolution: {
+    type: resolutionSchema,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'moderation_reports'
+});
+
+// Одна жалоба от читателя на один объект
+moderationReportSchema.index({ targetType: 1, targetId: 1, reporterId: 1 }, { unique: true });
+moderationReportSchema.index({ status: 1, createdAt: -1 });
+
+/**
+ * Очередь модерации: жалобы, сгруппированные по объекту
+ * @param {Object} [options]
+ * @param {string} [options.status='open'] - Статус жалоб
+ * @param {string} [options.targetType] - Фильтр по типу контента
+ * @param {number} [options.limit=50] - Сколько объектов вернуть
+ * @returns {Promise<Array<Object>>} [{targetType, targetId, targetUserId, reportsCount, reasons, ...}]
+ */
+moderationReportSchema.statics.getQueue = async function({ status = 'open', targetType, limit = 50 } = {}) {
+  const match = { status };
+  if (targetType) match.targetType = targetType;
+
+  return this.aggregate([
+    { $match: match },
+    { $sort: { createdAt: -1 } },
+    {
+      $group: {
+        _id: { targetType: '$targetType', targetId: '$targetId' },
+        targetUserId: { $first: '$targetUserId' },
+        snapshot: { $first: '$snapshot' },
+        reportsCount: { $sum: 1 },
+        reasons: { $addToSet: '$reason' },
+        autoFlags: { $push: '$autoFlags' },
+        comments: { $push: '$comment' },
+        sources: { $addToSet: '$source' },
+        resolution: { $first: '$resolution' },
+        firstReportedAt: { $min: '$createdAt' },
+        lastReportedAt: { $max: '$createdAt' }
+      }
+    },
+    { $sort: { reportsCount: -1, lastReportedAt: -1 } },
+    { $limit: limit },
+    {
+      $project: {
+        _id: 0,
+        targetType: '$_id.targetType',
+        targetId: '$_id.targetId',
+        targetUserId: 1,
+        snapshot: 1,
+        reportsCount: 1,
+        reasons: 1,
+        autoFlags: {
+          $reduce: { input: '$autoFlags', initialValue: [], in: { $setUnion: ['$$value', '$$this'] } }
+        },
+        comments: {
+          $filter: { input: '$comments', as: 'comment', cond: { $ne: ['$$comment', ''] } }
+        },
+        sources: 1,
+        resolution: 1,
+        firstReportedAt: 1,
+        lastReportedAt: 1
+      }
+    }
+  ]);
+};
+
+const ModerationReport = mongoose.model('ModerationReport', moderationReportSchema);
+
+module.exports = ModerationReport;
+module.exports.MODERATION_TARGET_TYPES = MODERATION_TARGET_TYPES;
+module.exports.MODERATION_REASONS = MODERATION_REASONS;
+module.exports.MODERATION_ACTIONS = MODERATION_ACTIONS;
@@ -0,0 +1,194 @@
+/**
+ * Notification Campaign Model - календарь напоминаний читателям
+ * @file server/models/NotificationCampaign.js
+ * @description Заменяет хардкод server/config/notificationTemplates.js:
+ * повторяющиеся правила (ротация по дням недели и слотам) + переопределения на даты
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Слоты напоминаний (см. server/scheduler/reminderJobs.js и cronService)
+ */
+const NOTIFICATION_SLOTS = ['morning', 'day', 'evening', 'report', 'monthlyReport'];
+
+/**
+ * Дата кампании в формате YYYY-MM-DD (московское время)
+ */
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * @typedef {Object} NotificationMessage
+ * @property {string} [text] - Текст (или подпись к изображению)
+ * @property {string} [image] - Файл из server/assets/notifications
+ * @property {{text: string, url: string}} [button] - Кнопка с deeplink в mini app (startapp=url)
+ */
+
+const buttonSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    trim: true,
+    maxlength: 64
+  },
+  url: {
+    type: String,
+    trim: true,
+    maxlength: 64,
+    match: /^[A-Za-z0-9_-]*$/
+    // Параметр startapp: 'reports', 'catalog', ...
+  }
+}, { _id: false });
+
+const messageSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    trim: true,
+    maxlength: 1024,
+    default: ''
+    // 1024 - лимит подписи к фото в Telegram
+  },
+  image: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  button: {
+    type: buttonSchema,
+    default: undefined
+  }
+}, { _id: false });
+
+/**
+ * Повторяющееся правило: в слот по выбранным дням недели отправляется
+ * следующий шаблон из ротации
+ */
+const ruleSchema = new mongoose.Schema({
+  slot: {
+    type: String,
+    enum: NOTIFICATION_SLOTS,
+    required: true
+  },
+  weekdays: {
+    type: [{ type: Number, min: 0, max: 6 }],
+    default: []
+    // 0 - воскресенье ... 6 - суббота; пусто - каждый день
+  },
+  messages: {
+    type: [messageSchema],
+    validate: {
+      validator: messages => messages.length > 0,
+      message: 'Rule needs at least one message'
+    }
+  }
+});
+
+/**
+ * Переопределение конкретного дня: заменяет правила кампании в этот слот
+ */
+const overrideSchema = new mongoose.Schema({
+  date: {
+    type: String,
+    required: true,
+    match: DATE_KEY_PATTERN
+  },
+  slot: {
+    type: String,
+    enum: NOTIFICATION_SLOTS,
+    required: true
+  },
+  skip: {
+    type: Boolean,
+    default: false
+    // true - в этот слот ничего не отправлять
+  },
+  message: {
+    type: messageSchema,
+    default: undefined
+  }
+});
+
+const notificationCampaignSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 120
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  priority: {
+    type: Number,
+    default: 0
+    // При пересечении кампаний побеждает большая
+  },
+  startDate: {
+    type: String,
+    match: DATE_KEY_PATTERN,
+    default: null
+    // null - без начала; от startDate же считается ротация
+  },
+  endDate: {
+    type: String,
+    match: DATE_KEY_PATTERN,
+    default: null
+  },
+  rules: {
+    type: [ruleSchema],
+    default: []
+  },
+  overrides: {
+    type: [overrideSchema],
+    default: []
+  },
+  createdBy: {
+    type: String,
+    default: 'admin'
+  },
+  updatedBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+notificationCampaignSchema.index({ isActive: 1, priority: -1 });
+
+notificationCampaignSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.startDate > this.endDate) {
+    this.invalidate('endDate', 'endDate must not be before startDate');
+  }
+  next();
+});
+
+/**
+ * Активные кампании, пересекающиеся с периодом
+ * @param {string} fromKey - Начало периода (YYYY-MM-DD)
+ * @param {string} [toKey=fromKey] - Конец периода
+ * @returns {Promise<Object[]>} Кампании по убыванию приоритета
+ */
+notificationCampaignSchema.statics.findActiveForRange = function(fromKey, toKey = fromKey) {
+  return this.find({
+    isActive: true,
+    $and: [
+      { $or: [{ startDate: null }, { startDate: { $lte: toKey } }] },
+      { $or: [{ endDate: null }, { endDate: { $gte: fromKey } }] }
+    ]
+  }).sort({ priority: -1, createdAt: 1 }).lean();
+};
+
+const NotificationCampaign = mongoose.model('NotificationCampaign', notificationCampaignSchema);
+
+module.exports = NotificationCampaign;
+module.exports.NOTIFICATION_SLOTS = NOTIFICATION_SLOTS;
+module.exports.DATE_KEY_PATTERN = DATE_KEY_PATTERN;
+module.exports.messageSchema = messageSchema;
@@ -0,0 +1,170 @@
+/**
+ * Outbox Message Model - persisted queue of outgoing ticket notifications (email / Telegram)
+ * @file server/models/OutboxMessage.js
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Каналы доставки
+ */
+const OUTBOX_CHANNELS = ['email', 'telegram'];
+
+/**
+ * Статусы сообщения в очереди
+ */
+const OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+
+/**
+ * Сообщение в исходящей очереди. Воркер (server/services/outboxService.js)
+ * забирает pending-сообщения с наступившим nextAttemptAt и повторяет с backoff.
+ */
+const outboxMessageSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: OUTBOX_CHANNELS,
+    required: true,
+    index: true
+  },
+  to: {
+    type: String,
+    required: true,
+    trim: true
+    // email адрес или Telegram chat id
+  },
+  subject: {
+    type: String,
+    default: '',
+    maxlength: 300
+  },
+  text: {
+    type: String,
+    required: true,
+    maxlength: 20000
+  },
+  html: {
+    type: String,
+    default: null
+  },
+  template: {
+    type: String,
+    required: true
+    // ticket_created, ticket_status_changed, ticket_resolved, ticket_comment
+  },
+  ticketId: {
+    type: String,
+    default: null,
+    index: true
+    // Читаемый ID тикета (RDER...)
+  },
+  userId: {
+    type: String,
+    default: null,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: OUTBOX_STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 6,
+    min: 1
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+    // Защита от двойной отправки, если воркер упал посреди попытки
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  transport: {
+    type: String,
+    default: null
+    // smtp | file | log | telegram - чем фактически отправлено
+  },
+  providerMessageId: {
+    type: String,
+    default: null
+    // Message-ID письма или message_id в Telegram (по нему reply пользователя находит тикет)
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'outbox_messages'
+});
+
+outboxMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+outboxMessageSchema.index({ createdAt: -1 });
+outboxMessageSchema.index({ channel: 1, to: 1, providerMessageId: 1 });
+
+/**
+ * Атомарно забирает следующее готовое к отправке сообщение
+ * @param {Date} [now=new Date()] - Текущее время
+ * @param {number} [lockMs=300000] - На сколько блокировать сообщение
+ * @returns {Promise<Object|null>} Сообщение в статусе sending или null
+ */
+outboxMessageSchema.statics.claimNext = function(now = new Date(), lockMs = 5 * 60 * 1000) {
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        // Зависшие после падения процесса
+        { status: 'sending', lockedUntil: { $lte: now } }
+      ]
+    },
+    {
+      $set: { status: 'sending', lockedUntil: new Date(now.getTime() + lockMs) },
+      $inc: { attempts: 1 }
+    },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+/**
+ * Тикет, к которому относится отправленное ботом сообщение (для reply пользователя)
+ * @param {string|number} chatId - Telegram chat id
+ * @param {string|number} messageId - message_id сообщения бота
+ * @returns {Promise<string|null>} ticketId или null
+ */
+outboxMessageSchema.statics.findTicketIdByTelegramMessage = async function(chatId, messageId) {
+  const message = await this.findOne(
+    { channel: 'telegram', to: String(chatId), providerMessageId: String(messageId), ticketId: { $ne: null } },
+    { ticketId: 1 }
+  ).lean();
+  return message ? message.ticketId : null;
+};
+
+/**
+ * Количество сообщений по статусам (для админ-панели)
+ * @returns {Promise<Object<string, number>>}
+ */
+outboxMessageSchema.statics.getStatusCounts = async function() {
+  const rows = await this.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]);
+  const counts = Object.fromEntries(OUTBOX_STATUSES.map(status => [status, 0]));
+  rows.forEach(row => {
+    counts[row._id] = row.count;
+  });
+  return counts;
+};
+
+const OutboxMessage = mongoose.model('OutboxMessage', outboxMessageSchema);
+
+module.exports = OutboxMessage;
+module.exports.OUTBOX_CHANNELS = OUTBOX_CHANNELS;
+module.exports.OUTBOX_STATUSES = OUTBOX_STATUSES;
@@ -45,6 +45,12 @@ const photoCommentSchema = new mongoose.Schema({
     type: [String],
     default: []
     // Array of userIds who liked this comment
+  },
+  status: {
+    type: String,
+    enum: ['published', 'hidden'],
+    default: 'published'
+    // Comment status (hidden by moderation)
   }
 }, {
   timestamps: true // Adds createdAt and updatedAt
@@ -74,7 +80,7 @@ photoCommentSchema.statics.createComment = async function(commentData) {
  * @returns {Promise<Array>} Array of comments
  */
 photoCommentSchema.statics.getCommentsForPost = async function(postId, limit = 20, skip = 0) {
-  return this.find({ postId })
+  return this.find({ postId, status: { $ne: 'hidden' } })
     .sort({ createdAt: -1 })
     .skip(skip)
     .limit(limit)
@@ -87,7 +93,7 @@ photoCommentSchema.statics.getCommentsForPost = async function(postId, limit = 2
  * @returns {Promise<number>} Number of comments
  */
 photoCommentSchema.statics.countForPost = async function(postId) {
-  return this.countDocuments({ postId });
+  return this.countDocuments({ postId, status: { $ne: 'hidden' } });
 };
 
 const PhotoComment = mongoose.model('PhotoComment', photoCommentSchema);
@@ -18,7 +18,11 @@ const mongoose = require('mongoose');
  * @property {Date} validUntil - Действителен до
  * @property {boolean} isActive - Активен ли промокод
  * @property {string[]} usageContext - Контекст использования
- * @property {string[]} targetAudience - Целевая аудитория
+ * @property {string[]} targetAudience - Целевая аудитория: slug из TargetAudience, new_users, active_users или all
+ * @property {number} maxUsesPerUser - Сколько раз один читатель может использовать код
+ * @property {string|null} ownerUserId - Telegram ID владельца персонального кода
+ * @property {Object} [issuedFor] - Что выдало персональный код (отчет, анонс)
+ * @property {string} [templateCode] - Общий код, по которому создан персональный
  * @property {Date} createdAt - Дата создания
  * @property {Date} updatedAt - Дата обновления
  */
@@ -65,6 +69,12 @@ const promoCodeSchema = new mongoose.Schema({
     min: 0,
     default: 0
   },
+
+  maxUsesPerUser: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
   
   validFrom: {
     type: Date,
@@ -97,16 +107,32 @@ const promoCodeSchema = new mongoose.Schema({
   
   targetAudience: [{
     type: String,
-    enum: [
-      'new_users',
-      'active_users',
-      'mothers',
-      'self_development',
-      'relationships',
-      'all'
-    ],
+    trim: true,
+    lowercase: true,
     default: 'all'
-  }]
+    // slug из TargetAudience; new_users, active_users и all вычисляются по профилю
+  }],
+
+  // Персональный одноразовый код: выдан конкретному читателю отчетом или анонсом
+  ownerUserId: {
+    type: String,
+    default: null
+  },
+
+  issuedFor: {
+    type: {
+      type: String,
+      enum: ['weekly_report', 'monthly_report', 'announcement']
+    },
+    ref: String, // Ключ выдачи: неделя отчета (2026-W23) или id анонса
+    reportId: String,
+    announcementId: String
+  },
+
+  templateCode: {
+    type: String,
+    uppercase: true
+  }
 }, {
   timestamps: true,
   collection: 'promo_codes'
@@ -117,6 +143,11 @@ promoCodeSchema.index({ code: 1 }, { unique: true });
 promoCodeSchema.index({ isActive: 1, validUntil: 1 });
 promoCodeSchema.index({ usageContext: 1 });
 promoCodeSchema.index({ targetAudience: 1 });
+// Один персональный код на читателя и выдачу (повторная генерация отчета не плодит коды)
+promoCodeSchema.index(
+  { ownerUserId: 1, 'issuedFor.type': 1, 'issuedFor.ref': 1 },
+  { unique: true, partialFilterExpression: { ownerUserId: { $type: 'string' } } }
+);
 
 /**
  * Получить активные промокоды по контексту
@@ -130,6 +161,7 @@ promoCodeSchema.statics.getActiveByContext = async function(context, limit = 5)
   return this.find({
     isActive: true,
     usageContext: context,
+    ownerUserId: null,
     validFrom: { $lte: now },
     validUntil: { $gte: now },
     $expr: { $lt: ['$currentUses', '$maxUses'] }
@@ -151,6 +183,7 @@ promoCodeSchema.statics.getRandomForContext = async function(context, audience =
     isActive: true,
     usageContext: context,
     targetAudience: { $in: audience },
+    ownerUserId: null,
     validFrom: { $lte: now },
     validUntil: { $gte: now },
     $expr: { $lt: ['$currentUses', '$maxUses'] }
@@ -45,7 +45,7 @@ const purchaseSchema = new mongoose.Schema({
   source: {
     type: String,
     required: true,
-    enum: ['stripe', 'telegram-stars', 'promo-code', 'admin', 'other'],
+    enum: ['stripe', 'telegram-stars', 'shop', 'promo-code', 'admin', 'other'],
     default: 'other'
     // Source of the purchase/grant
   },
@@ -77,7 +77,12 @@ const purchaseSchema = new mongoose.Schema({
     type: String,
     enum: ['pending', 'completed', 'failed', 'refunded'],
     default: 'completed'
-    // Purchase status
+    // Purchase status (shop payments stay pending until their entitlements are granted)
+  },
+  claimedAt: {
+    type: Date,
+    default: null
+    // When a webhook delivery took this purchase for processing (null = free to claim)
   },
   rawPayload: {
     type: mongoose.Schema.Types.Mixed,
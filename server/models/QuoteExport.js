@@ -0,0 +1,121 @@
+/**
+ * Quote Export Model - stored export jobs for quotes (CSV, JSON, Markdown, EPUB)
+ * @file server/models/QuoteExport.js
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Supported export formats
+ */
+const EXPORT_FORMATS = ['csv', 'json', 'md', 'epub'];
+
+/**
+ * Schema for quote export jobs
+ */
+const quoteExportSchema = new mongoose.Schema({
+  requestedBy: {
+    type: String,
+    required: true,
+    index: true
+    // Telegram ID of the reader (or admin) who requested the export
+  },
+  scope: {
+    type: String,
+    enum: ['user', 'all'],
+    default: 'user'
+    // 'user' - only requester's quotes, 'all' - all quotes (admin only)
+  },
+  format: {
+    type: String,
+    enum: EXPORT_FORMATS,
+    required: true
+  },
+  filters: {
+    period: { type: String, default: 'all' },
+    category: { type: String, default: 'all' },
+    includeUserData: { type: Boolean, default: false }
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed'],
+    default: 'pending',
+    index: true
+  },
+  recordsCount: {
+    type: Number,
+    default: 0
+  },
+  filename: {
+    type: String,
+    default: null
+    // Filename offered to the client on download
+  },
+  filePath: {
+    type: String,
+    default: null
+    // Absolute path of the generated file on disk
+  },
+  fileSize: {
+    type: Number,
+    default: 0
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+    // Generated file is removed after this date
+  }
+}, {
+  timestamps: true
+});
+
+quoteExportSchema.index({ requestedBy: 1, createdAt: -1 });
+quoteExportSchema.index({ expiresAt: 1 });
+
+/**
+ * Check if the export file can be downloaded
+ * @returns {boolean} True if job is completed and not expired
+ */
+quoteExportSchema.methods.isDownloadable = function() {
+  return this.status === 'completed' && !!this.filePath && new Date() < this.expiresAt;
+};
+
+/**
+ * Public representation of the job for API responses
+ * @param {function(string): string} buildDownloadUrl - Builds download URL from job ID
+ * @returns {Object} Job summary
+ */
+quoteExportSchema.methods.toPublicJSON = function(buildDownloadUrl) {
+  return {
+    jobId: this._id.toString(),
+    status: this.status,
+    format: this.format,
+    scope: this.scope,
+    filters: this.filters,
+    recordsCount: this.recordsCount,
+    filename: this.filename,
+    fileSize: this.fileSize,
+    error: this.error,
+    createdAt: this.createdAt,
+    completedAt: this.completedAt,
+    expiresAt: this.expiresAt,
+    downloadUrl: this.isDownloadable() ? buildDownloadUrl(this._id.toString()) : null
+  };
+};
+
+const QuoteExport = mongoose.model('QuoteExport', quoteExportSchema);
+
+module.exports = QuoteExport;
+module.exports.EXPORT_FORMATS = EXPORT_FORMATS;
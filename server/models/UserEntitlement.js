@@ -26,10 +26,23 @@ const userEntitlementSchema = new mongoose.Schema({
     required: true
     // Identifier of the resource (audioId, packageId, subscriptionId)
   },
+  includes: {
+    audioIds: {
+      type: [String],
+      default: []
+      // Audio containers covered by a package/subscription
+    },
+    bookSlugs: {
+      type: [String],
+      default: []
+      // Books (BookCatalog.bookSlug) whose audio is covered by a package/subscription
+    }
+    // Empty for a subscription = covers all premium audio
+  },
   expiresAt: {
     type: Date,
     default: null
-    // Expiration date (null = never expires)
+    // Expiration date (null = never expires, required for subscriptions)
   },
   grantedAt: {
     type: Date,
@@ -52,6 +65,20 @@ const userEntitlementSchema = new mongoose.Schema({
 
 // Compound index for fast lookups
 userEntitlementSchema.index({ userId: 1, kind: 1, resourceId: 1 });
+userEntitlementSchema.index({ userId: 1, 'includes.audioIds': 1 });
+// One row per purchased item: webhook retries can't grant the same purchase twice
+userEntitlementSchema.index(
+  { 'metadata.purchaseId': 1, kind: 1, resourceId: 1 },
+  { unique: true, partialFilterExpression: { grantedBy: 'purchase' } }
+);
+
+// Subscriptions are time-boxed
+userEntitlementSchema.pre('validate', function(next) {
+  if (this.kind === 'subscription' && !this.expiresAt) {
+    return next(new Error('Subscription entitlement requires expiresAt'));
+  }
+  next();
+});
 userEntitlementSchema.index({ expiresAt: 1 }); // For cleanup of expired entitlements
 
 /**
@@ -66,25 +93,50 @@ userEntitlementSchema.methods.isValid = function() {
 };
 
 /**
- * Grant an entitlement to a user
- * Note: This creates a new entitlement each time. For updating existing entitlements,
- * first revoke the old one or use findOneAndUpdate in calling code.
+ * Check if entitlement covers an audio (directly, via package or via subscription)
+ * @param {string} audioId - Audio container ID
+ * @param {string|null} [bookSlug] - Book slug of the audio
+ * @returns {boolean} True if covered
+ */
+userEntitlementSchema.methods.coversAudio = function(audioId, bookSlug = null) {
+  if (this.kind === 'audio') {
+    return this.resourceId === audioId;
+  }
+
+  const audioIds = (this.includes && this.includes.audioIds) || [];
+  const bookSlugs = (this.includes && this.includes.bookSlugs) || [];
+
+  if (this.kind === 'subscription' && audioIds.length === 0 && bookSlugs.length === 0) {
+    return true;
+  }
+
+  return audioIds.includes(audioId) || (!!bookSlug && bookSlugs.includes(bookSlug));
+};
+
+/**
+ * Grant an entitlement to a user (admin, badges, promo codes)
+ * Updates the existing non-purchase entitlement for the same resource if there is one.
+ * Purchased entitlements are separate rows (see entitlementService.grantPurchase) and are never overwritten here.
  * @param {mongoose.Types.ObjectId} userId - User ID
  * @param {string} kind - Entitlement kind
  * @param {string} resourceId - Resource identifier
  * @param {Object} options - Optional parameters
  * @param {Date} options.expiresAt - Expiration date
+ * @param {Object} options.includes - Covered audioIds/bookSlugs (packages and subscriptions)
  * @param {string} options.grantedBy - Who granted this
  * @param {Object} options.metadata - Additional metadata
  * @returns {Promise<Object>} Created entitlement
  */
 userEntitlementSchema.statics.grant = async function(userId, kind, resourceId, options = {}) {
   // Check if entitlement already exists
-  const existing = await this.findOne({ userId, kind, resourceId });
+  const existing = await this.findOne({ userId, kind, resourceId, grantedBy: { $ne: 'purchase' } });
   
   if (existing) {
     // Update existing entitlement if it exists
     existing.expiresAt = options.expiresAt || null;
+    if (options.includes) {
+      existing.includes = options.includes;
+    }
     existing.grantedBy = options.grantedBy || 'system';
     existing.metadata = options.metadata || {};
     existing.grantedAt = new Date();
@@ -96,6 +148,7 @@ userEntitlementSchema.statics.grant = async function(userId, kind, resourceId, o
     userId,
     kind,
     resourceId,
+    includes: options.includes || {},
     expiresAt: options.expiresAt || null,
     grantedBy: options.grantedBy || 'system',
     metadata: options.metadata || {}
@@ -123,13 +176,9 @@ userEntitlementSchema.statics.revoke = async function(userId, kind, resourceId)
  * @returns {Promise<boolean>} True if user has valid entitlement
  */
 userEntitlementSchema.statics.hasAccess = async function(userId, kind, resourceId) {
-  const entitlement = await this.findOne({ userId, kind, resourceId });
-  
-  if (!entitlement) {
-    return false;
-  }
-  
-  return entitlement.isValid();
+  // Several rows are possible: one per purchase plus admin/badge/promo grants
+  const entitlements = await this.find({ userId, kind, resourceId });
+  return entitlements.some(e => e.isValid());
 };
 
 /**
@@ -0,0 +1,89 @@
+/**
+ * Weekly Report Version Model - previous and candidate versions of weekly report analysis
+ * @file server/models/WeeklyReportVersion.js
+ */
+
+const mongoose = require('mongoose');
+const { generationInfoSchema } = require('./weeklyReport');
+
+/**
+ * Версия отчета. Текущая версия хранится в самом WeeklyReport, здесь:
+ * - archived: версии, замененные перегенерацией
+ * - candidate: перегенерация без публикации (оценка нового промпта на реальных данных)
+ */
+const weeklyReportVersionSchema = new mongoose.Schema({
+  reportId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WeeklyReport',
+    required: true
+  },
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  weekNumber: {
+    type: Number,
+    required: true
+  },
+  year: {
+    type: Number,
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  status: {
+    type: String,
+    enum: ['archived', 'candidate'],
+    required: true,
+    index: true
+  },
+  analysis: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+    // Снимок WeeklyReport.analysis
+  },
+  recommendations: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  generation: {
+    type: generationInfoSchema,
+    default: undefined
+  },
+  generationTime: {
+    type: Number
+  },
+  reason: {
+    type: String,
+    maxlength: 500,
+    default: null
+    // Зачем перегенерировали (например, "новый промпт v2.1")
+  },
+  triggeredBy: {
+    type: String,
+    default: 'admin'
+  }
+}, {
+  timestamps: true
+});
+
+weeklyReportVersionSchema.index({ reportId: 1, version: -1 });
+weeklyReportVersionSchema.index({ 'generation.promptId': 1, createdAt: -1 });
+
+/**
+ * Следующий свободный номер версии отчета
+ * @param {Object} report - Документ WeeklyReport
+ * @returns {Promise<number>}
+ */
+weeklyReportVersionSchema.statics.getNextVersion = async function(report) {
+  const latest = await this.findOne({ reportId: report._id }).sort({ version: -1 }).select('version').lean();
+  return Math.max(report.version || 1, latest?.version || 0) + 1;
+};
+
+const WeeklyReportVersion = mongoose.model('WeeklyReportVersion', weeklyReportVersionSchema);
+
+module.exports = WeeklyReportVersion;
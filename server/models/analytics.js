@@ -115,7 +115,37 @@ const promoCodeUsageSchema = new mongoose.Schema({
   },
   booksPurchased: [{
     type: String
-  }]
+  }],
+  // Порядковый номер использования кода этим читателем (1..maxUsesPerUser)
+  redemptionIndex: {
+    type: Number,
+    min: 1
+  },
+  // Что выдало код: отчет или анонс
+  campaign: {
+    type: {
+      type: String,
+      enum: ['weekly_report', 'monthly_report', 'announcement', 'other']
+    },
+    reportId: String,
+    announcementId: String
+  },
+  product: {
+    title: String,
+    category: {
+      type: String,
+      enum: ['book_analysis', 'course', 'consultation', 'bundle', 'other']
+    },
+    originalPrice: Number
+  },
+  // Снимок читателя на момент использования
+  userInfo: {
+    registrationDate: Date,
+    totalQuotes: Number,
+    weeksSinceRegistration: Number,
+    source: String,
+    lastActivity: Date
+  }
 }, {
   timestamps: true
 });
@@ -125,6 +155,12 @@ promoCodeUsageSchema.index({ promoCode: 1, timestamp: -1 });
 promoCodeUsageSchema.index({ userId: 1, timestamp: -1 });
 promoCodeUsageSchema.index({ timestamp: -1 });
 promoCodeUsageSchema.index({ source: 1, reportType: 1 });
+promoCodeUsageSchema.index({ 'campaign.type': 1, timestamp: -1 });
+// Лимит на читателя: параллельные запросы не займут один слот дважды
+promoCodeUsageSchema.index(
+  { promoCode: 1, userId: 1, redemptionIndex: 1 },
+  { unique: true, partialFilterExpression: { redemptionIndex: { $exists: true } } }
+);
 
 /**
  * Схема для общей аналитики действий пользователей
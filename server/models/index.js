@@ -8,19 +8,34 @@ const Quote = require('./quote');
 const UserProfile = require('./userProfile');
 const Content = require('./content');
 const WeeklyReport = require('./weeklyReport');
+const WeeklyReportVersion = require('./WeeklyReportVersion');
 const MonthlyReport = require('./monthlyReport');
 const Prompt = require('./prompt');
 const Favorite = require('./Favorite');
 const Follow = require('./Follow');
 const Feedback = require('./Feedback');
+const QuoteExport = require('./QuoteExport');
+const NotificationCampaign = require('./NotificationCampaign');
+const OutboxMessage = require('./OutboxMessage');
+const Challenge = require('./Challenge');
+const ChallengeClaim = require('./ChallengeClaim');
+const Achievement = require('./Achievement');
+const AchievementUnlock = require('./AchievementUnlock');
+const ModerationReport = require('./ModerationReport');
+const Experiment = require('./Experiment');
+const ExperimentExposure = require('./ExperimentExposure');
 
 // Import audio models
 const AudioProgress = require('./AudioProgress');
 const UserEntitlement = require('./UserEntitlement');
 const Purchase = require('./Purchase');
+const AudioCatalog = require('./AudioCatalog');
 
 // Import analytics models
 const { UTMClick, PromoCodeUsage, UserAction } = require('./analytics');
+const AIUsage = require('./AIUsage');
+const AnalyticsEvent = require('./AnalyticsEvent');
+const AnalyticsDailyRollup = require('./AnalyticsDailyRollup');
 
 // Import legacy models (keeping for compatibility during migration)
 const Message = require('./message');
@@ -42,21 +57,36 @@ async function initializeModels() {
       UserProfile.ensureIndexes(),
       Content.ensureIndexes(),
       WeeklyReport.ensureIndexes(),
+      WeeklyReportVersion.ensureIndexes(),
       MonthlyReport.ensureIndexes(),
       Prompt.ensureIndexes(),
       Favorite.ensureIndexes(),
       Follow.ensureIndexes(),
       Feedback.ensureIndexes(),
+      QuoteExport.ensureIndexes(),
+      NotificationCampaign.ensureIndexes(),
+      OutboxMessage.ensureIndexes(),
+      Challenge.ensureIndexes(),
+      ChallengeClaim.ensureIndexes(),
+      Achievement.ensureIndexes(),
+      AchievementUnlock.ensureIndexes(),
+      ModerationReport.ensureIndexes(),
+      Experiment.ensureIndexes(),
+      ExperimentExposure.ensureIndexes(),
       
       // Audio models
       AudioProgress.ensureIndexes(),
       UserEntitlement.ensureIndexes(),
       Purchase.ensureIndexes(),
+      AudioCatalog.ensureIndexes(),
       
       // Analytics models
       UTMClick.ensureIndexes(),
       PromoCodeUsage.ensureIndexes(),
       UserAction.ensureIndexes(),
+      AIUsage.ensureIndexes(),
+      AnalyticsEvent.ensureIndexes(),
+      AnalyticsDailyRollup.ensureIndexes(),
       
       // Legacy models
       Message.ensureIndexes(),
@@ -226,21 +256,36 @@ module.exports = {
   UserProfile,
   Content,
   WeeklyReport,
+  WeeklyReportVersion,
   MonthlyReport,
   Prompt,
   Favorite,
   Follow,
   Feedback,
+  QuoteExport,
+  NotificationCampaign,
+  OutboxMessage,
+  Challenge,
+  ChallengeClaim,
+  Achievement,
+  AchievementUnlock,
+  ModerationReport,
+  Experiment,
+  ExperimentExposure,
   
   // Audio models
   AudioProgress,
   UserEntitlement,
   Purchase,
+  AudioCatalog,
   
   // Analytics models
   UTMClick,
   PromoCodeUsage,
   UserAction,
+  AIUsage,
+  AnalyticsEvent,
+  AnalyticsDailyRollup,
   
   // Legacy models (for compatibility during migration)
   Message,
@@ -105,6 +105,33 @@ const quoteSchema = new mongoose.Schema({
     type: String,
     index: true
     // Normalized author for grouping (computed from author)
+  },
+  origin: {
+    type: String,
+    enum: ['app', 'import'],
+    default: 'app'
+    // Откуда пришла цитата: добавлена вручную или импортирована
+  },
+  importBatchId: {
+    type: String,
+    default: null,
+    index: true
+    // ID пакета импорта (Kindle, CSV, текст)
+  },
+  aiPending: {
+    type: Boolean,
+    default: false
+    // Ожидает фоновой AI-категоризации
+  },
+  clientId: {
+    type: String,
+    default: undefined
+    // ID, созданный mini app (Idempotency-Key): повторная отправка из офлайн-очереди не создает дубль
+  },
+  communityHidden: {
+    type: Boolean,
+    default: false
+    // Скрыта модератором из ленты сообщества (в дневнике автора остается)
   }
 }, {
   timestamps: true,
@@ -124,6 +151,11 @@ quoteSchema.index({ createdAt: -1 });
 // Indexes for normalized fields used in community grouping
 quoteSchema.index({ normalizedText: 1, normalizedAuthor: 1 });
 quoteSchema.index({ normalizedText: 1, normalizedAuthor: 1, createdAt: 1 });
+// Idempotency for POST /api/reader/quotes
+quoteSchema.index(
+  { userId: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } }
+);
 
 // Виртуальные поля
 quoteSchema.virtual('displayAuthor').get(function() {
@@ -239,8 +271,10 @@ quoteSchema.statics = {
     const tomorrow = new Date(today);
     tomorrow.setDate(tomorrow.getDate() + 1);
 
+    // Импортированные цитаты не учитываются в дневном лимите
     return this.countDocuments({
       userId,
+      origin: { $ne: 'import' },
       createdAt: {
         $gte: today,
         $lt: tomorrow
@@ -379,14 +413,17 @@ quoteSchema.statics = {
 };
 
 // Middleware перед сохранением
-quoteSchema.pre('save', function(next) {
+quoteSchema.pre('save', async function() {
   if (this.isNew) {
-    // Use business timezone aware ISO week calculation
-    const { getISOWeekInfo, getBusinessNow } = require('../utils/isoWeek');
-    const businessNow = getBusinessNow();
+    // Use timezone aware ISO week calculation (user timezone, business time by default)
+    // Imported quotes keep their original date, so bucket them by createdAt
+    const { getISOWeekInfo, getBusinessNow, toBusinessTimezone } = require('../utils/isoWeek');
+    const { getUserTimezone } = require('../services/userTimezoneService');
+    const timezone = this.$locals.timezone || await getUserTimezone(this.userId);
+    const businessNow = this.createdAt ? toBusinessTimezone(this.createdAt, timezone) : getBusinessNow(timezone);
     const weekInfo = getISOWeekInfo(businessNow);
     
-    // Set ISO week/year based on business timezone (Moscow time)
+    // Set ISO week/year/month in the user's local calendar
     this.weekNumber = weekInfo.isoWeek;
     this.yearNumber = weekInfo.isoYear; // Note: ISO year may differ from calendar year at year boundaries
     this.monthNumber = businessNow.getMonth() + 1;
@@ -399,8 +436,28 @@ quoteSchema.pre('save', function(next) {
   if (this.isModified('author') || !this.normalizedAuthor) {
     this.normalizedAuthor = normalizeQuoteField(this.author || '');
   }
-  
-  next();
+
+  // Семантический индекс похожих цитат обновляем только при изменении текста
+  this.$locals.reindexEmbedding = this.isNew || this.isModified('text') || this.isModified('author');
+});
+
+// Индексация в векторном хранилище (в фоне, ошибки не влияют на сохранение)
+quoteSchema.post('save', function(doc) {
+  if (doc.$locals.reindexEmbedding) {
+    require('../services/quoteSimilarityService').scheduleIndex(doc);
+  }
+});
+
+quoteSchema.post('deleteOne', { document: true, query: false }, function(doc) {
+  require('../services/quoteSimilarityService').scheduleRemove(doc._id);
+});
+
+quoteSchema.post(['deleteOne', 'findOneAndDelete'], { document: false, query: true }, function(result) {
+  // Quote.deleteOne({ _id }) / findOneAndDelete - операторы вроде { $in } не обрабатываем
+  const quoteId = result?._id || this.getFilter()._id;
+  if (typeof quoteId === 'string' || quoteId instanceof mongoose.Types.ObjectId) {
+    require('../services/quoteSimilarityService').scheduleRemove(quoteId);
+  }
 });
 
 // Индекс для текстового поиска
@@ -127,7 +127,15 @@ const ticketSchema = new mongoose.Schema({
     },
     feedback: String,
     createdBy: String,
-    lastUpdatedBy: String
+    lastUpdatedBy: String,
+    // Сбор email в чате (server/services/ticketEmail.js)
+    pendingEmail: Boolean,
+    emailRequested: Boolean,
+    pendingEmailExpiresAt: Date,
+    emailCollected: Boolean,
+    emailCollectedAt: Date,
+    // Закрыт автоматически после ожидания ответа пользователя
+    autoClosed: Boolean
   },
   resolvedAt: {
     type: Date,
@@ -142,7 +150,11 @@ const ticketSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
-    breachedAt: Date
+    breachedAt: Date,
+    // Когда зафиксировано нарушение каждого из сроков (эскалация - один раз на срок)
+    responseBreachedAt: Date,
+    resolutionBreachedAt: Date,
+    escalatedAt: Date
   }
 }, {
   timestamps: true,
@@ -154,6 +166,7 @@ ticketSchema.index({ status: 1, priority: -1, createdAt: 1 });
 ticketSchema.index({ assignedTo: 1, status: 1, createdAt: -1 });
 ticketSchema.index({ category: 1, status: 1, createdAt: -1 });
 ticketSchema.index({ createdAt: -1, status: 1 });
+ticketSchema.index({ userId: 1, 'metadata.pendingEmail': 1, 'metadata.pendingEmailExpiresAt': -1 });
 
 // Текстовый индекс для поиска
 ticketSchema.index({ 
@@ -342,8 +355,9 @@ ticketSchema.methods.checkSLA = function() {
                            this.priority === 'high' ? 480 : 
                            this.priority === 'medium' ? 1440 : 2880;
   
-  // Проверяем нарушение SLA
-  if (!this.sla.breached && ageMinutes > responseTimeSLA) {
+  // Проверяем нарушение SLA (после первого ответа важен только срок решения)
+  const responseOverdue = !this.firstResponseAt && ageMinutes > responseTimeSLA;
+  if (!this.sla.breached && (responseOverdue || ageMinutes > resolutionTimeSLA)) {
     this.sla.breached = true;
     this.sla.breachedAt = now;
     this.sla.responseTime = responseTimeSLA;
@@ -4,6 +4,7 @@
  */
 
 const mongoose = require('mongoose');
+const { isValidTimezone, normalizeTimezone, getDayKey, getLocalDayRange } = require('../utils/timezone');
 
 /**
  * @typedef {import('../types/reader').UserProfile} UserProfile
@@ -172,6 +173,21 @@ const settingsSchema = new mongoose.Schema({
     default: 'ru',
     enum: ['ru', 'en']
     // Язык интерфейса
+  },
+  timezone: {
+    type: String,
+    default: null,
+    validate: {
+      validator: value => value === null || isValidTimezone(value),
+      message: 'Некорректный часовой пояс'
+    }
+    // IANA часовой пояс пользователя (null - бизнес-время по умолчанию)
+  },
+  timezoneSource: {
+    type: String,
+    default: 'auto',
+    enum: ['auto', 'manual']
+    // auto - определён мини-приложением, manual - выбран пользователем
   }
 }, { _id: false });
 
@@ -193,6 +209,53 @@ const preferencesSchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+/**
+ * Схема запроса на удаление аккаунта (до окончания grace period можно отменить)
+ */
+const deletionSchema = new mongoose.Schema({
+  requestedAt: {
+    type: Date,
+    required: true
+  },
+  scheduledFor: {
+    type: Date,
+    required: true
+    // После этой даты cron удаляет/обезличивает все данные читателя
+  },
+  reason: {
+    type: String,
+    maxlength: 500,
+    trim: true,
+    default: null
+  }
+}, { _id: false });
+
+/**
+ * Схема блокировки в сообществе (модерация): комментарии, обложки, лента цитат
+ */
+const communityBanSchema = new mongoose.Schema({
+  bannedAt: {
+    type: Date,
+    required: true
+  },
+  until: {
+    type: Date,
+    default: null
+    // null - бессрочно
+  },
+  reason: {
+    type: String,
+    maxlength: 500,
+    trim: true,
+    default: null
+  },
+  bannedBy: {
+    type: String,
+    default: null
+    // Логин администратора
+  }
+}, { _id: false });
+
 /**
  * Основная схема профиля пользователя для бота "Читатель"
  */
@@ -313,6 +376,16 @@ const userProfileSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
     index: true
+  },
+  deletion: {
+    type: deletionSchema,
+    default: null
+    // Запрошено удаление аккаунта (DELETE /api/reader/me)
+  },
+  communityBan: {
+    type: communityBanSchema,
+    default: null
+    // Блокировка в сообществе (не путать с isBlocked - пользователь заблокировал бота)
   }
 }, {
   timestamps: true,
@@ -327,6 +400,7 @@ userProfileSchema.index({ source: 1, registeredAt: -1 });
 userProfileSchema.index({ lastActiveAt: -1 });
 userProfileSchema.index({ isOnboardingComplete: 1 });
 userProfileSchema.index({ registeredAt: -1 });
+userProfileSchema.index({ 'deletion.scheduledFor': 1 }, { sparse: true });
 userProfileSchema.index({ 'settings.reminderEnabled': 1 }); // legacy
 userProfileSchema.index({ 'settings.reminders.enabled': 1 }); // new structured
 
@@ -453,10 +527,8 @@ userProfileSchema.methods = {
       }
     }
     
-    // Обновляем статистику по месяцам
-    const now = new Date();
-    const currentMonth = now.getMonth() + 1;
-    const currentYear = now.getFullYear();
+    // Обновляем статистику по месяцам (в часовом поясе пользователя)
+    const [currentYear, currentMonth] = getDayKey(new Date(), this.getTimezone()).split('-').map(Number);
     
     let monthStat = this.statistics.monthlyQuotes.find(
       m => m.month === currentMonth && m.year === currentYear
@@ -480,19 +552,17 @@ userProfileSchema.methods = {
    * @private
    */
   _updateStreak() {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    const lastActive = new Date(this.lastActiveAt);
-    lastActive.setHours(0, 0, 0, 0);
+    // Сутки считаем в часовом поясе пользователя
+    const timezone = this.getTimezone();
+    const today = getDayKey(new Date(), timezone);
+    const lastActive = getDayKey(new Date(this.lastActiveAt), timezone);
+    const { start } = getLocalDayRange(today, timezone);
+    const yesterday = getDayKey(new Date(start.getTime() - 1), timezone);
     
-    const yesterday = new Date(today);
-    yesterday.setDate(yesterday.getDate() - 1);
-    
-    if (lastActive.getTime() === today.getTime()) {
+    if (lastActive === today) {
       // Уже была активность сегодня - не меняем серию
       return;
-    } else if (lastActive.getTime() === yesterday.getTime()) {
+    } else if (lastActive === yesterday) {
       // Была активность вчера - продолжаем серию
       this.statistics.currentStreak += 1;
     } else {
@@ -575,6 +645,14 @@ userProfileSchema.methods = {
     };
   },
 
+  /**
+   * Часовой пояс пользователя (или бизнес-время по умолчанию)
+   * @returns {string} IANA timezone
+   */
+  getTimezone() {
+    return normalizeTimezone(this.settings?.timezone);
+  },
+
   /**
    * Получить нормализованные настройки с миграцией от legacy полей
    * @returns {Object}
@@ -598,7 +676,9 @@ userProfileSchema.methods = {
       announcements: {
         enabled: settings.announcements?.enabled ?? true
       },
-      language: settings.language ?? 'ru'
+      language: settings.language ?? 'ru',
+      timezone: normalizeTimezone(settings.timezone),
+      timezoneSource: settings.timezoneSource ?? 'auto'
     };
 
     // Keep legacy fields for backward compatibility
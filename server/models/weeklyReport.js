@@ -186,6 +186,40 @@ const feedbackSchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+/**
+ * Схема сведений о генерации (какой промпт и модель дали анализ)
+ */
+const generationInfoSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    default: null
+    // AI провайдер; null - fallback анализ без AI
+  },
+  model: {
+    type: String,
+    default: null
+  },
+  promptId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Prompt',
+    default: null
+    // null - встроенный промпт
+  },
+  promptName: {
+    type: String,
+    default: 'builtin'
+  },
+  promptVersion: {
+    type: String,
+    default: null
+  },
+  fallback: {
+    type: Boolean,
+    default: false
+    // Анализ построен без AI (ошибка, бюджет, провайдер не настроен)
+  }
+}, { _id: false });
+
 /**
  * Основная схема еженедельного отчета
  */
@@ -258,6 +292,21 @@ const weeklyReportSchema = new mongoose.Schema({
     type: Number
     // Время генерации в миллисекундах
   },
+  generation: {
+    type: generationInfoSchema,
+    default: undefined
+    // Промпт и модель текущей версии анализа
+  },
+  version: {
+    type: Number,
+    default: 1,
+    min: 1
+    // Номер текущей версии; прошлые версии - в WeeklyReportVersion
+  },
+  regeneratedAt: {
+    type: Date
+    // Дата последней перегенерации
+  },
   
   // Метрики недели (новое поле для фиксации показателей)
   metrics: {
@@ -601,3 +650,4 @@ weeklyReportSchema.methods._generateSlugFromTitle = function(title) {
 const WeeklyReport = mongoose.model('WeeklyReport', weeklyReportSchema);
 
 module.exports = WeeklyReport;
+module.exports.generationInfoSchema = generationInfoSchema;
@@ -5,6 +5,12 @@
 
 const cron = require('node-cron');
 const logger = require('../utils/logger');
+const notificationCampaignService = require('../services/notificationCampaignService');
+
+/**
+ * Слоты, которые отправляет этот планировщик (monthlyReport - в cronService)
+ */
+const CRON_SLOTS = ['morning', 'day', 'evening', 'report'];
 
 console.log('DEBUG: reminderJobs.js загружен');
 
@@ -22,107 +28,76 @@ function initReminderCron({ reminderService }) {
     return null;
   }
 
-  logger.info('🔔 Initializing reminder cron jobs for Moscow timezone...');
+  logger.info('🔔 Initializing hourly reminder dispatch (per-user timezones)...');
 
   const jobs = {};
 
-  // Morning reminders: 09:05 Moscow time
-  jobs.morning = cron.schedule('5 9 * * *', async () => {
+  // Каждый час в :05 отправляем слоты, у которых наступило локальное время читателей:
+  // утро 09:05, день 15:05, вечер 21:05, отчет 11:05 по понедельникам
+  jobs.dispatch = cron.schedule('5 * * * *', async () => {
     const startTime = new Date();
-    logger.info('🌅 Starting morning reminders...');
+
     try {
-      console.log('[DEBUG] CRON: Вызван morning slot, сейчас будет отправка');
-      const stats = await reminderService.sendSlotReminders('morning');
-      const endTime = new Date();
-      const duration = endTime - startTime;
-      logger.info(`🌅 Morning reminders completed in ${duration}ms: sent=${stats.sent}, skipped=${stats.skipped}, failed=${stats.failed}`);
-      if (stats.failed > 0) {
-        logger.warn(`🌅 Morning reminders had ${stats.failed} failures:`, stats.errors);
+      const stats = await reminderService.sendDueReminders(startTime);
+      if (stats.dispatched.length === 0) {
+        return;
       }
-    } catch (error) {
-      logger.error('🌅 Error in morning reminders cron:', error);
-    }
-  }, {
-    timezone: 'Europe/Moscow',
-    scheduled: true
-  });
 
-  // Day reminders: 15:05 Moscow time
-  jobs.day = cron.schedule('5 15 * * *', async () => {
-    const startTime = new Date();
-    logger.info('🌤️ Starting day reminders...');
-    
-    try {
-      const stats = await reminderService.sendSlotReminders('day');
-      const endTime = new Date();
-      const duration = endTime - startTime;
-      
-      logger.info(`🌤️ Day reminders completed in ${duration}ms: sent=${stats.sent}, skipped=${stats.skipped}, failed=${stats.failed}`);
-      
+      const duration = new Date() - startTime;
+      logger.info(`🔔 Reminders dispatched [${stats.dispatched.join(', ')}] in ${duration}ms: sent=${stats.sent}, skipped=${stats.skipped}, failed=${stats.failed}`);
+
       if (stats.failed > 0) {
-        logger.warn(`🌤️ Day reminders had ${stats.failed} failures:`, stats.errors);
+        logger.warn(`🔔 Reminder dispatch had ${stats.failed} failures:`, stats.errors);
       }
     } catch (error) {
-      logger.error('🌤️ Error in day reminders cron:', error);
+      logger.error('🔔 Error in reminder dispatch cron:', error);
     }
   }, {
-    timezone: 'Europe/Moscow',
+    timezone: 'UTC',
     scheduled: true
   });
 
-  // Evening reminders: 21:05 Moscow time
-  jobs.evening = cron.schedule('5 21 * * *', async () => {
-    const startTime = new Date();
-    logger.info('🌙 Starting evening reminders...');
-    
-    try {
-      const stats = await reminderService.sendSlotReminders('evening');
-      const endTime = new Date();
-      const duration = endTime - startTime;
-      
-      logger.info(`🌙 Evening reminders completed in ${duration}ms: sent=${stats.sent}, skipped=${stats.skipped}, failed=${stats.failed}`);
-      
-      if (stats.failed > 0) {
-        logger.warn(`🌙 Evening reminders had ${stats.failed} failures:`, stats.errors);
-      }
-    } catch (error) {
-      logger.error('🌙 Error in evening reminders cron:', error);
-    }
-  }, {
-    timezone: 'Europe/Moscow',
-    scheduled: true
+  logger.info('✅ Reminder cron jobs registered (local time of each reader):');
+  logger.info('  🌅 Morning: 09:05');
+  logger.info('  🌤️ Day: 15:05');
+  logger.info('  🌙 Evening: 21:05');
+  logger.info('  📊 Report: 11:05 (Mondays)');
+
+  checkCalendarCoverage(reminderService).catch(error => {
+    logger.error('🔔 Failed to check notification calendar coverage:', error);
   });
 
-  // Weekly report notifications: 11:05 Moscow time, Mondays only
-  jobs.report = cron.schedule('5 11 * * 1', async () => {
-    const startTime = new Date();
-    logger.info('📊 Starting weekly report notifications...');
-    
-    try {
-      const stats = await reminderService.sendSlotReminders('report');
-      const endTime = new Date();
-      const duration = endTime - startTime;
-      
-      logger.info(`📊 Report notifications completed in ${duration}ms: sent=${stats.sent}, skipped=${stats.skipped}, failed=${stats.failed}`);
-      
-      if (stats.failed > 0) {
-        logger.warn(`📊 Report notifications had ${stats.failed} failures:`, stats.errors);
+  return jobs;
+}
+
+/**
+ * Проверить, какие слоты ближайшей недели покрыты кампаниями
+ * Слоты без кампании уходят во встроенную ротацию - предупреждаем админа в логах
+ * @param {Object} reminderService - ReminderService instance
+ * @param {number} [days=7] - Сколько дней проверить
+ * @returns {Promise<{checked: number, fallback: string[]}>}
+ */
+async function checkCalendarCoverage(reminderService, days = 7) {
+  const fromKey = reminderService.getCurrentMoscowDateKey();
+  const calendar = await notificationCampaignService.previewCalendar(fromKey, days);
+
+  const fallback = [];
+  for (const day of calendar) {
+    for (const slot of CRON_SLOTS) {
+      if (day.slots[slot].source.type === 'fallback') {
+        fallback.push(`${day.date} ${slot}`);
       }
-    } catch (error) {
-      logger.error('📊 Error in report notifications cron:', error);
     }
-  }, {
-    timezone: 'Europe/Moscow',
-    scheduled: true
-  });
+  }
 
-  logger.info('✅ Reminder cron jobs registered:');
-  logger.info('  🌅 Morning: 09:05 MSK');
-  logger.info('  🌤️ Day: 15:05 MSK');
-  logger.info('  🌙 Evening: 21:05 MSK');
-  logger.info('  📊 Report: 11:05 MSK (Mondays)');
+  const checked = calendar.length * CRON_SLOTS.length;
+  if (fallback.length > 0) {
+    logger.warn(`🔔 ${fallback.length}/${checked} reminder slots of the next ${days} days have no campaign and use the fallback rotation: ${fallback.slice(0, 5).join(', ')}${fallback.length > 5 ? ', ...' : ''}`);
+  } else {
+    logger.info(`🔔 Notification calendar covers all ${checked} slots of the next ${days} days`);
+  }
 
-  return jobs;
+  return { checked, fallback };
 }
 
 /**
@@ -134,15 +109,13 @@ function stopReminderCron(jobs) {
   
   logger.info('🔔 Stopping reminder cron jobs...');
   
-  if (jobs.morning) jobs.morning.stop();
-  if (jobs.day) jobs.day.stop();
-  if (jobs.evening) jobs.evening.stop();
-  if (jobs.report) jobs.report.stop();
+  Object.values(jobs).forEach(job => job && job.stop());
   
   logger.info('✅ Reminder cron jobs stopped');
 }
 
 module.exports = {
   initReminderCron,
-  stopReminderCron
+  stopReminderCron,
+  checkCalendarCoverage
 };
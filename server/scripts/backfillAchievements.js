@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Пересчет достижений по историческим данным
+ * @description Создает отсутствующие определения достижений, для каждого читателя
+ * переносит в историю уже полученные достижения и выдает те, условия которых выполнены
+ * (дата получения оценивается по данным), затем пересчитывает редкость.
+ * Повторный запуск безопасен - уже записанное не меняется.
+ *
+ * Usage:
+ *   node server/scripts/backfillAchievements.js [--dry-run] [--user=<telegramId>]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { UserProfile, Achievement } = require('../models');
+const AchievementService = require('../services/achievementService');
+const { DEFAULT_ACHIEVEMENTS } = require('../config/achievements');
+
+/**
+ * Пересчитывает достижения
+ * @param {Object} [options={}] - dryRun, userId
+ * @returns {Promise<Object>} Статистика
+ */
+async function backfillAchievements(options = {}) {
+  const achievementService = new AchievementService();
+  const stats = { users: 0, recorded: 0, unlocked: 0, failed: 0, byAchievement: {} };
+
+  if (!options.dryRun) {
+    const created = await Achievement.seedDefaults(DEFAULT_ACHIEVEMENTS);
+    console.log(`🏆 Новых определений достижений: ${created}`);
+  }
+  const achievements = await achievementService.loadAchievements({ force: true, seed: !options.dryRun });
+  console.log(`🏆 Активных достижений: ${achievements.length}`);
+
+  const filter = options.userId ? { userId: options.userId } : { isOnboardingComplete: true };
+  const cursor = UserProfile.find(filter).select('userId').lean().cursor();
+
+  for await (const { userId } of cursor) {
+    stats.users++;
+    try {
+      const result = await achievementService.backfillUser(userId, { dryRun: options.dryRun });
+      stats.recorded += result.recorded;
+      stats.unlocked += result.unlocked.length;
+      result.unlocked.forEach(id => {
+        stats.byAchievement[id] = (stats.byAchievement[id] || 0) + 1;
+      });
+      if (result.unlocked.length) {
+        console.log(`  ✨ ${userId}: ${result.unlocked.join(', ')}`);
+      }
+    } catch (error) {
+      stats.failed++;
+      console.error(`  ❌ ${userId}: ${error.message}`);
+    }
+
+    if (stats.users % 100 === 0) {
+      console.log(`⏳ Обработано читателей: ${stats.users}`);
+    }
+  }
+
+  console.log(`📊 Читателей: ${stats.users}, перенесено в историю: ${stats.recorded}, выдано: ${stats.unlocked}, ошибок: ${stats.failed}`);
+
+  if (options.dryRun) {
+    console.log('🧪 Dry run - в БД ничего не записано');
+    return stats;
+  }
+
+  const rarity = await achievementService.refreshRarity();
+  Object.entries(rarity.achievements).forEach(([id, percent]) => {
+    console.log(`  ${id}: ${percent === null ? '-' : `${percent}%`}`);
+  });
+
+  return stats;
+}
+
+/**
+ * Запуск из командной строки
+ */
+async function run() {
+  const dryRun = process.argv.includes('--dry-run');
+  const userArg = process.argv.find(arg => arg.startsWith('--user='));
+  const userId = userArg ? userArg.slice('--user='.length) : null;
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/reader-bot');
+    console.log('✅ Подключение к MongoDB установлено');
+
+    await backfillAchievements({ dryRun, userId });
+
+    await mongoose.connection.close();
+    console.log('👋 Соединение с MongoDB закрыто');
+    process.exit(0);
+  } catch (error) {
+    console.error('💥 Ошибка пересчета достижений:', error);
+    process.exit(1);
+  }
+}
+
+module.exports = { backfillAchievements };
+
+if (require.main === module) {
+  run();
+}
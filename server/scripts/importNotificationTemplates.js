@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Импорт хардкода server/config/notificationTemplates.js в NotificationCampaign
+ * @description Создает кампанию с переопределениями на каждую дату старого календаря.
+ * Повторный запуск обновляет ранее импортированную кампанию (по имени).
+ *
+ * Usage:
+ *   node server/scripts/importNotificationTemplates.js [--dry-run]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const NotificationCampaign = require('../models/NotificationCampaign');
+const { notificationTemplates } = require('../config/notificationTemplates');
+const { templatesToCampaign } = require('../services/notificationCampaignService');
+
+const IMPORTED_CAMPAIGN_NAME = 'Календарь напоминаний (импорт)';
+
+/**
+ * Импортирует шаблоны
+ * @param {Object} [options={}] - dryRun
+ * @returns {Promise<Object>} Данные кампании
+ */
+async function importNotificationTemplates(options = {}) {
+  const data = templatesToCampaign(notificationTemplates, { name: IMPORTED_CAMPAIGN_NAME });
+  console.log(`📅 Дат в старом календаре: ${data.startDate} - ${data.endDate}, переопределений: ${data.overrides.length}`);
+
+  if (options.dryRun) {
+    console.log('🧪 Dry run - в БД ничего не записано');
+    return data;
+  }
+
+  const existing = await NotificationCampaign.findOne({ name: IMPORTED_CAMPAIGN_NAME });
+  if (existing) {
+    Object.assign(existing, data, { updatedBy: 'import-script' });
+    await existing.save();
+    console.log(`♻️  Кампания обновлена: ${existing._id}`);
+  } else {
+    const campaign = await NotificationCampaign.create({ ...data, createdBy: 'import-script' });
+    console.log(`✅ Кампания создана: ${campaign._id}`);
+  }
+
+  return data;
+}
+
+/**
+ * Запуск из командной строки
+ */
+async function run() {
+  const dryRun = process.argv.includes('--dry-run');
+  try {
+    if (!dryRun) {
+      await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/reader-bot');
+      console.log('✅ Подключение к MongoDB установлено');
+    }
+
+    await importNotificationTemplates({ dryRun });
+
+    if (!dryRun) {
+      await mongoose.connection.close();
+      console.log('👋 Соединение с MongoDB закрыто');
+    }
+    process.exit(0);
+  } catch (error) {
+    console.error('💥 Ошибка импорта:', error);
+    process.exit(1);
+  }
+}
+
+module.exports = { importNotificationTemplates };
+
+if (require.main === module) {
+  run();
+}
@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Send a signed payment webhook fixture to a running server
+ * @description Signs the payload with PAYMENT_WEBHOOK_SECRET exactly like the shop does,
+ * so the whole purchase → entitlement flow can be checked locally.
+ *
+ * Usage:
+ *   node server/scripts/sendPaymentWebhook.js tests/fixtures/payments/payment-succeeded.json [--user <telegramId>] [--url <webhookUrl>]
+ *
+ * @author Reader Bot Team
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { signPayload, SIGNATURE_HEADER } = require('../services/payments/paymentWebhookService');
+
+/**
+ * Read value of a CLI flag
+ * @param {string} name - Flag name without dashes
+ * @returns {string|null} Flag value
+ */
+function getArg(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : null;
+}
+
+async function main() {
+  const fixturePath = process.argv[2];
+  if (!fixturePath) {
+    console.error('❌ Usage: node server/scripts/sendPaymentWebhook.js <fixture.json> [--user <telegramId>] [--url <webhookUrl>]');
+    process.exit(1);
+  }
+
+  const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+  if (!secret) {
+    console.error('❌ PAYMENT_WEBHOOK_SECRET is not set');
+    process.exit(1);
+  }
+
+  const event = JSON.parse(fs.readFileSync(path.resolve(fixturePath), 'utf8'));
+  const user = getArg('user');
+  if (user) {
+    event.data.userId = user;
+  }
+
+  const url = getArg('url') || `http://localhost:${process.env.PORT || 3002}/api/payments/webhook`;
+  const body = JSON.stringify(event);
+
+  console.log(`📤 Sending ${event.type} (${event.id}) to ${url}`);
+
+  try {
+    const response = await axios.post(url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        [SIGNATURE_HEADER]: signPayload(body, secret)
+      }
+    });
+    console.log(`✅ ${response.status}`, response.data);
+  } catch (error) {
+    if (error.response) {
+      console.error(`❌ ${error.response.status}`, error.response.data);
+    } else {
+      console.error('❌ Request failed:', error.message);
+    }
+    process.exit(1);
+  }
+}
+
+main();
@@ -6,25 +6,89 @@
 const UserEntitlement = require('../../models/UserEntitlement');
 const logger = require('../../utils/logger');
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} AudioAccess
+ * @property {boolean} hasAccess - Whether the user can listen
+ * @property {string|null} reason - 'audio' | 'package' | 'subscription' (kind of entitlement that grants access)
+ * @property {string|null} resourceId - Entitlement resource (audioId, packageId, subscriptionId)
+ * @property {Date|null} expiresAt - When access ends (null = never); without access - when the
+ *   last covering entitlement expired (null if there never was one)
+ */
+
+/**
+ * Order of preference when several entitlements cover the same audio
+ */
+const KIND_PRIORITY = { audio: 0, package: 1, subscription: 2 };
+
+/**
+ * Pick the entitlement that gives the longest access
+ * Never-expiring entitlements win, then the latest expiry, then the most specific kind.
+ * @param {Array} entitlements - Valid entitlements covering the audio
+ * @returns {Object|null} Best entitlement
+ */
+function pickBestEntitlement(entitlements) {
+  return entitlements.slice().sort((a, b) => {
+    const aTime = a.expiresAt ? a.expiresAt.getTime() : Infinity;
+    const bTime = b.expiresAt ? b.expiresAt.getTime() : Infinity;
+    if (aTime !== bTime) return bTime - aTime;
+    return KIND_PRIORITY[a.kind] - KIND_PRIORITY[b.kind];
+  })[0] || null;
+}
+
+/**
+ * Resolve how (and until when) a user has access to an audio
+ * Checks direct audio entitlements, packages (audio IDs or book slugs) and subscriptions.
+ * @param {mongoose.Types.ObjectId} userId - User ID
+ * @param {string} audioId - Audio container identifier
+ * @param {Object} [options] - Optional parameters
+ * @param {string} [options.bookSlug] - Book slug of the audio (for book-based packages)
+ * @returns {Promise<AudioAccess>} Access details
+ */
+async function resolveAudioAccess(userId, audioId, options = {}) {
+  const entitlements = await UserEntitlement.find({
+    userId,
+    $or: [
+      { kind: 'audio', resourceId: audioId },
+      { kind: { $in: ['package', 'subscription'] } }
+    ]
+  });
+
+  const covering = entitlements.filter(e => e.coversAudio(audioId, options.bookSlug || null));
+  const best = pickBestEntitlement(covering.filter(e => e.isValid()));
+
+  if (!best) {
+    // Expired access is reported with its end date so clients can tell "expired" from "locked"
+    const lastExpired = pickBestEntitlement(covering);
+    return { hasAccess: false, reason: null, resourceId: null, expiresAt: lastExpired ? lastExpired.expiresAt : null };
+  }
+
+  return {
+    hasAccess: true,
+    reason: best.kind,
+    resourceId: best.resourceId,
+    expiresAt: best.expiresAt || null
+  };
+}
+
 /**
  * Check if user has access to a specific audio
  * @param {mongoose.Types.ObjectId} userId - User ID
  * @param {string} audioId - Audio identifier
+ * @param {Object} [options] - Optional parameters
+ * @param {string} [options.bookSlug] - Book slug of the audio
  * @returns {Promise<boolean>} True if user has access
  */
-async function hasAudioAccess(userId, audioId) {
+async function hasAudioAccess(userId, audioId, options = {}) {
   try {
-    // Check for direct audio entitlement
-    const hasDirectAccess = await UserEntitlement.hasAccess(userId, 'audio', audioId);
-    
-    if (hasDirectAccess) {
-      logger.info(`✅ User ${userId} has direct access to audio ${audioId}`);
+    const access = await resolveAudioAccess(userId, audioId, options);
+
+    if (access.hasAccess) {
+      logger.info(`✅ User ${userId} has ${access.reason} access to audio ${audioId} (${access.resourceId})`);
       return true;
     }
 
-    // In the future, check for package or subscription access
-    // For now, we only check direct audio entitlements
-    
     logger.info(`❌ User ${userId} does not have access to audio ${audioId}`);
     return false;
   } catch (error) {
@@ -92,39 +156,33 @@ async function getUserAudioEntitlements(userId) {
 }
 
 /**
- * Get remaining days for an audio entitlement
+ * Convert expiry date to remaining days
+ * @param {Date|null} expiresAt - Expiration date
+ * @returns {number} Remaining days (rounded up), -1 if never expires
+ */
+function daysUntil(expiresAt) {
+  if (!expiresAt) {
+    return -1; // -1 indicates "never expires"
+  }
+  const msRemaining = expiresAt - new Date();
+  return Math.max(0, Math.ceil(msRemaining / (1000 * 60 * 60 * 24)));
+}
+
+/**
+ * Get remaining days of access to an audio (direct, package or subscription)
  * @param {mongoose.Types.ObjectId} userId - User ID
  * @param {string} audioId - Audio identifier
- * @returns {Promise<number|null>} Remaining days (rounded up), null if no entitlement or expired
+ * @param {Object} [options] - Optional parameters
+ * @param {string} [options.bookSlug] - Book slug of the audio
+ * @returns {Promise<number|null>} Remaining days (rounded up), -1 if never expires, null if no access
  */
-async function getRemainingDays(userId, audioId) {
+async function getRemainingDays(userId, audioId, options = {}) {
   try {
-    const entitlement = await UserEntitlement.findOne({ 
-      userId, 
-      kind: 'audio', 
-      resourceId: audioId 
-    });
-    
-    if (!entitlement) {
-      return null;
-    }
-    
-    // Check if entitlement is still valid
-    if (!entitlement.isValid()) {
+    const access = await resolveAudioAccess(userId, audioId, options);
+    if (!access.hasAccess) {
       return null;
     }
-    
-    // If no expiration date, it never expires (return a large number or special value)
-    if (!entitlement.expiresAt) {
-      return -1; // -1 indicates "never expires"
-    }
-    
-    // Calculate remaining days (ceil to round up)
-    const now = new Date();
-    const msRemaining = entitlement.expiresAt - now;
-    const daysRemaining = Math.ceil(msRemaining / (1000 * 60 * 60 * 24));
-    
-    return Math.max(0, daysRemaining);
+    return daysUntil(access.expiresAt);
   } catch (error) {
     logger.error(`❌ Error getting remaining days for audio ${audioId}:`, error);
     return null;
@@ -136,6 +194,8 @@ async function getRemainingDays(userId, audioId) {
  * @param {mongoose.Types.ObjectId} userId - User ID
  * @param {string} packageId - Package identifier
  * @param {Object} options - Optional parameters
+ * @param {Object} options.includes - Covered content: { audioIds: string[], bookSlugs: string[] }
+ * @param {Date} options.expiresAt - Expiration date
  * @returns {Promise<Object>} Created entitlement
  */
 async function grantPackage(userId, packageId, options = {}) {
@@ -151,9 +211,13 @@ async function grantPackage(userId, packageId, options = {}) {
 
 /**
  * Grant subscription access to a user
+ * Subscriptions are time-boxed: options.expiresAt is required.
+ * Without options.includes the subscription covers all premium audio.
  * @param {mongoose.Types.ObjectId} userId - User ID
  * @param {string} subscriptionId - Subscription identifier
  * @param {Object} options - Optional parameters
+ * @param {Date} options.expiresAt - End of the subscription period
+ * @param {Object} options.includes - Optional limit: { audioIds: string[], bookSlugs: string[] }
  * @returns {Promise<Object>} Created entitlement
  */
 async function grantSubscription(userId, subscriptionId, options = {}) {
@@ -167,12 +231,133 @@ async function grantSubscription(userId, subscriptionId, options = {}) {
   }
 }
 
+/**
+ * Grant an entitlement bought in a purchase
+ * Every purchase gets its own row, so other purchases and admin/badge/promo grants are never relabeled.
+ * A time-boxed item bought before the current access ends continues from that expiry
+ * (renewing early keeps the remaining days); metadata.periodStart records where its days begin.
+ * Idempotent per purchase item: a repeated call returns the row granted before.
+ * @param {mongoose.Types.ObjectId} userId - User ID
+ * @param {string} kind - 'audio' | 'package' | 'subscription'
+ * @param {string} resourceId - Resource identifier
+ * @param {Object} options - Purchase details
+ * @param {number|null} options.durationDays - Bought period (null = never expires)
+ * @param {Object} [options.includes] - Covered audioIds/bookSlugs (packages and subscriptions)
+ * @param {Object} options.metadata - Must contain purchaseId
+ * @param {Date} [options.now] - Current time (for tests)
+ * @returns {Promise<Object>} Created entitlement
+ */
+async function grantPurchase(userId, kind, resourceId, options = {}) {
+  const now = options.now || new Date();
+  const purchaseId = options.metadata?.purchaseId;
+  const purchaseFilter = { grantedBy: 'purchase', 'metadata.purchaseId': purchaseId, kind, resourceId };
+
+  try {
+    const granted = await UserEntitlement.findOne(purchaseFilter);
+    if (granted) {
+      return granted;
+    }
+
+    let periodStart = null;
+    let expiresAt = null;
+    if (options.durationDays) {
+      const [current] = await UserEntitlement.find({ userId, kind, resourceId, expiresAt: { $gt: now } })
+        .sort({ expiresAt: -1 })
+        .limit(1);
+      periodStart = current ? current.expiresAt : now;
+      expiresAt = new Date(periodStart.getTime() + options.durationDays * DAY_MS);
+    }
+
+    const entitlement = await UserEntitlement.create({
+      userId,
+      kind,
+      resourceId,
+      includes: options.includes || {},
+      expiresAt,
+      grantedAt: now,
+      grantedBy: 'purchase',
+      metadata: { ...(options.metadata || {}), periodStart }
+    });
+    logger.info(`✅ Granted purchased ${kind} ${resourceId} to user ${userId}`, {
+      expiresAt,
+      purchaseId
+    });
+    return entitlement;
+  } catch (error) {
+    // A concurrent delivery of the same purchase inserted the row first
+    if (error.code === 11000) {
+      return await UserEntitlement.findOne(purchaseFilter);
+    }
+    logger.error(`❌ Error granting purchased ${kind} ${resourceId} to user ${userId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Revoke all entitlements granted by a purchase (used on refunds)
+ * Entitlements granted from other sources (badges, promo codes, admin) and by other purchases are kept.
+ * Purchased periods that were queued after a refunded one are moved back by the refunded days,
+ * so the refund removes exactly the days its own purchase added. Each queued row remembers
+ * which refunds already moved it (metadata.shiftedBy), so a retried refund never moves it twice.
+ * @param {mongoose.Types.ObjectId} userId - User ID
+ * @param {string} purchaseId - Purchase document ID
+ * @returns {Promise<Object>} Delete result
+ */
+async function revokeByPurchase(userId, purchaseId) {
+  try {
+    const refunded = await UserEntitlement.find({
+      userId,
+      grantedBy: 'purchase',
+      'metadata.purchaseId': purchaseId
+    });
+
+    for (const entitlement of refunded) {
+      const periodStart = entitlement.metadata?.periodStart;
+      if (!entitlement.expiresAt || !periodStart) continue;
+
+      const refundedMs = entitlement.expiresAt.getTime() - new Date(periodStart).getTime();
+      const refundedId = entitlement._id.toString();
+      const queued = await UserEntitlement.find({
+        userId,
+        kind: entitlement.kind,
+        resourceId: entitlement.resourceId,
+        grantedBy: 'purchase',
+        _id: { $ne: entitlement._id },
+        'metadata.periodStart': { $gte: entitlement.expiresAt },
+        'metadata.shiftedBy': { $ne: refundedId }
+      });
+
+      for (const later of queued) {
+        later.expiresAt = new Date(later.expiresAt.getTime() - refundedMs);
+        later.metadata = {
+          ...later.metadata,
+          periodStart: new Date(new Date(later.metadata.periodStart).getTime() - refundedMs),
+          shiftedBy: [...(later.metadata.shiftedBy || []), refundedId]
+        };
+        later.markModified('metadata');
+        await later.save();
+      }
+    }
+
+    const result = await UserEntitlement.deleteMany({ _id: { $in: refunded.map(e => e._id) } });
+    logger.info(`✅ Revoked ${result.deletedCount} entitlement(s) of purchase ${purchaseId} from user ${userId}`);
+    return result;
+  } catch (error) {
+    logger.error(`❌ Error revoking entitlements of purchase ${purchaseId} from user ${userId}:`, error);
+    throw error;
+  }
+}
+
 module.exports = {
+  resolveAudioAccess,
   hasAudioAccess,
   grantAudio,
   revokeAudio,
   getUserAudioEntitlements,
   getRemainingDays,
+  daysUntil,
   grantPackage,
-  grantSubscription
+  grantSubscription,
+  grantPurchase,
+  revokeByPurchase
 };
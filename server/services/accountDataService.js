@@ -0,0 +1,421 @@
+/**
+ * Account Data Service - выгрузка всех данных читателя (zip с JSON) и удаление аккаунта
+ * с grace period: по истечении срока данные удаляются или обезличиваются во всех моделях
+ * @file server/services/accountDataService.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const JSZip = require('jszip');
+
+const UserProfile = require('../models/userProfile');
+const Quote = require('../models/quote');
+const WeeklyReport = require('../models/weeklyReport');
+const WeeklyReportVersion = require('../models/WeeklyReportVersion');
+const MonthlyReport = require('../models/monthlyReport');
+const Favorite = require('../models/Favorite');
+const Follow = require('../models/Follow');
+const Feedback = require('../models/Feedback');
+const PhotoPost = require('../models/PhotoPost');
+const PhotoComment = require('../models/PhotoComment');
+const AudioProgress = require('../models/AudioProgress');
+const UserEntitlement = require('../models/UserEntitlement');
+const Purchase = require('../models/Purchase');
+const AchievementUnlock = require('../models/AchievementUnlock');
+const ChallengeClaim = require('../models/ChallengeClaim');
+const QuoteExport = require('../models/QuoteExport');
+const OutboxMessage = require('../models/OutboxMessage');
+const AIUsage = require('../models/AIUsage');
+const DebugLog = require('../models/DebugLog');
+const Message = require('../models/message');
+const Conversation = require('../models/conversation');
+const Ticket = require('../models/ticket');
+const ModerationReport = require('../models/ModerationReport');
+const PromoCode = require('../models/PromoCode');
+const { UTMClick, PromoCodeUsage, UserAction } = require('../models/analytics');
+const AnalyticsEvent = require('../models/AnalyticsEvent');
+const AnalyticsDailyRollup = require('../models/AnalyticsDailyRollup');
+const ExperimentExposure = require('../models/ExperimentExposure');
+const quoteSimilarityService = require('./quoteSimilarityService');
+const { config } = require('../config');
+const logger = require('../utils/logger');
+
+const UPLOADS_ROOT = path.join(__dirname, '../../uploads');
+const AVATARS_DIR = path.join(UPLOADS_ROOT, 'avatars');
+const COVERS_DIR = path.join(UPLOADS_ROOT, 'covers');
+
+const EXPORT_FORMAT_VERSION = 1;
+
+/**
+ * @typedef {Object} ExportSection
+ * @property {string} name - Имя файла в архиве (без .json)
+ * @property {mongoose.Model} model - Модель
+ * @property {Function} filter - (userId, profile) => MongoDB filter
+ * @property {boolean} [single] - Один документ вместо массива
+ */
+
+/**
+ * Что попадает в выгрузку. Часть моделей ссылается на профиль по _id, а не по Telegram ID
+ * @type {ExportSection[]}
+ */
+const EXPORT_SECTIONS = [
+  { name: 'profile', model: UserProfile, filter: userId => ({ userId }), single: true },
+  { name: 'quotes', model: Quote, filter: userId => ({ userId }) },
+  { name: 'weekly_reports', model: WeeklyReport, filter: userId => ({ userId }) },
+  { name: 'monthly_reports', model: MonthlyReport, filter: userId => ({ userId }) },
+  { name: 'favorites', model: Favorite, filter: userId => ({ userId }) },
+  { name: 'follows', model: Follow, filter: userId => ({ $or: [{ followerId: userId }, { followingId: userId }] }) },
+  { name: 'covers', model: PhotoPost, filter: userId => ({ userId }) },
+  { name: 'comments', model: PhotoComment, filter: userId => ({ userId }) },
+  { name: 'feedback', model: Feedback, filter: userId => ({ telegramId: userId }) },
+  { name: 'audio_progress', model: AudioProgress, filter: (userId, profile) => ({ userId: profile._id }) },
+  { name: 'achievements', model: AchievementUnlock, filter: userId => ({ userId }) },
+  { name: 'challenges', model: ChallengeClaim, filter: userId => ({ userId }) },
+  { name: 'purchases', model: Purchase, filter: (userId, profile) => ({ userId: profile._id }) },
+  { name: 'entitlements', model: UserEntitlement, filter: (userId, profile) => ({ userId: profile._id }) },
+  { name: 'support_tickets', model: Ticket, filter: userId => ({ userId }) },
+  { name: 'moderation_reports', model: ModerationReport, filter: userId => ({ reporterId: userId }) },
+  { name: 'analytics_events', model: AnalyticsEvent, filter: userId => ({ userId }) },
+  { name: 'personal_promo_codes', model: PromoCode, filter: userId => ({ ownerUserId: userId }) },
+  { name: 'experiment_exposures', model: ExperimentExposure, filter: userId => ({ userId }) }
+];
+
+/**
+ * @typedef {Object} DeletionStep
+ * @property {string} name - Имя шага (для статистики)
+ * @property {mongoose.Model} model - Модель
+ * @property {Function} filter - (userId, profile) => MongoDB filter
+ * @property {Function} [update] - (context) => update для обезличивания; без него документы удаляются.
+ *   context: {userId, anonymousId, anonymousObjectId}
+ */
+
+/**
+ * Каскадное удаление. Личный контент удаляется; записи, нужные для учета платежей,
+ * аналитики и поддержки, остаются, но отвязываются от читателя (случайный псевдоним)
+ * @type {DeletionStep[]}
+ */
+const DELETION_STEPS = [
+  { name: 'quotes', model: Quote, filter: userId => ({ userId }) },
+  { name: 'weeklyReports', model: WeeklyReport, filter: userId => ({ userId }) },
+  { name: 'weeklyReportVersions', model: WeeklyReportVersion, filter: userId => ({ userId }) },
+  { name: 'monthlyReports', model: MonthlyReport, filter: userId => ({ userId }) },
+  { name: 'favorites', model: Favorite, filter: userId => ({ userId }) },
+  { name: 'follows', model: Follow, filter: userId => ({ $or: [{ followerId: userId }, { followingId: userId }] }) },
+  { name: 'comments', model: PhotoComment, filter: userId => ({ userId }) },
+  { name: 'feedback', model: Feedback, filter: userId => ({ telegramId: userId }) },
+  { name: 'audioProgress', model: AudioProgress, filter: (userId, profile) => ({ userId: profile._id }) },
+  { name: 'entitlements', model: UserEntitlement, filter: (userId, profile) => ({ userId: profile._id }) },
+  { name: 'achievementUnlocks', model: AchievementUnlock, filter: userId => ({ userId }) },
+  { name: 'challengeClaims', model: ChallengeClaim, filter: userId => ({ userId }) },
+  { name: 'outboxMessages', model: OutboxMessage, filter: userId => ({ userId }) },
+  { name: 'messages', model: Message, filter: userId => ({ userId }) },
+  { name: 'conversations', model: Conversation, filter: userId => ({ userId }) },
+  { name: 'debugLogs', model: DebugLog, filter: userId => ({ userId }) },
+  { name: 'moderationReports', model: ModerationReport, filter: userId => ({ targetUserId: userId }) },
+  {
+    name: 'purchases',
+    model: Purchase,
+    filter: (userId, profile) => ({ userId: profile._id }),
+    update: ({ anonymousObjectId }) => ({ $set: { userId: anonymousObjectId }, $unset: { rawPayload: 1, metadata: 1 } })
+  },
+  {
+    name: 'tickets',
+    model: Ticket,
+    filter: userId => ({ userId }),
+    update: ({ anonymousId }) => ({ $set: { userId: anonymousId }, $unset: { email: 1 } })
+  },
+  {
+    name: 'promoCodeUsages',
+    model: PromoCodeUsage,
+    filter: userId => ({ userId }),
+    update: ({ anonymousId }) => ({ $set: { userId: anonymousId } })
+  },
+  {
+    // Персональные коды нужны для конверсии рассылок - отвязываем владельца
+    name: 'personalPromoCodes',
+    model: PromoCode,
+    filter: userId => ({ ownerUserId: userId }),
+    update: ({ anonymousId }) => ({ $set: { ownerUserId: anonymousId } })
+  },
+  {
+    name: 'utmClicks',
+    model: UTMClick,
+    filter: userId => ({ userId }),
+    update: ({ anonymousId }) => ({ $set: { userId: anonymousId } })
+  },
+  {
+    name: 'userActions',
+    model: UserAction,
+    filter: userId => ({ userId }),
+    update: ({ anonymousId }) => ({ $set: { userId: anonymousId } })
+  },
+  {
+    name: 'analyticsEvents',
+    model: AnalyticsEvent,
+    filter: userId => ({ userId }),
+    update: ({ anonymousId }) => ({ $set: { userId: anonymousId } })
+  },
+  {
+    // Счетчики сводок не меняются, из списков уникальных пользователей читатель убирается
+    name: 'analyticsRollups',
+    model: AnalyticsDailyRollup,
+    filter: userId => ({ $or: [{ activeUserIds: userId }, { 'utm.userIds': userId }] }),
+    update: ({ userId }) => ({ $pull: { activeUserIds: userId, 'utm.$[].userIds': userId } })
+  },
+  {
+    // Число читателей в вариантах эксперимента не меняется - экспозиции только отвязываются
+    name: 'experimentExposures',
+    model: ExperimentExposure,
+    filter: userId => ({ userId }),
+    update: ({ anonymousId }) => ({ $set: { userId: anonymousId } })
+  },
+  {
+    name: 'aiUsage',
+    model: AIUsage,
+    filter: userId => ({ userId }),
+    update: ({ anonymousId }) => ({ $set: { userId: anonymousId } })
+  },
+  {
+    name: 'filedReports',
+    model: ModerationReport,
+    filter: userId => ({ reporterId: userId }),
+    update: ({ anonymousId }) => ({ $set: { reporterId: anonymousId } })
+  }
+];
+
+/**
+ * Удаляет файл, только если он лежит внутри ожидаемой папки
+ * @param {string} dir - Папка загрузок
+ * @param {string|null} fileRef - URL (/uploads/covers/x.jpg) или путь
+ * @returns {Promise<boolean>} Удален ли файл
+ */
+async function removeUploadedFile(dir, fileRef) {
+  if (!fileRef) return false;
+
+  const resolvedDir = path.resolve(dir);
+  const filePath = path.resolve(resolvedDir, path.basename(fileRef));
+  if (!filePath.startsWith(resolvedDir + path.sep)) return false;
+
+  try {
+    await fs.promises.unlink(filePath);
+    return true;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn(`🗑️ Failed to remove ${filePath}: ${error.message}`);
+    }
+    return false;
+  }
+}
+
+/**
+ * Статус запроса на удаление для API
+ * @param {Object|null} profile - Профиль читателя
+ * @returns {Object} { scheduled, requestedAt, scheduledFor, graceDays }
+ */
+function getDeletionStatus(profile) {
+  const deletion = profile?.deletion || null;
+  return {
+    scheduled: Boolean(deletion?.scheduledFor),
+    requestedAt: deletion?.requestedAt || null,
+    scheduledFor: deletion?.scheduledFor || null,
+    graceDays: config.accountDeletion.graceDays
+  };
+}
+
+/**
+ * Собирает zip со всеми данными читателя: по JSON-файлу на раздел плюс manifest.json
+ * @param {string} userId - Telegram ID
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Время выгрузки
+ * @returns {Promise<{buffer: Buffer, filename: string, counts: Object}|null>} null, если профиля нет
+ */
+async function buildAccountExport(userId, { now = new Date() } = {}) {
+  const profile = await UserProfile.findOne({ userId }).lean();
+  if (!profile) return null;
+
+  const zip = new JSZip();
+  const counts = {};
+
+  for (const section of EXPORT_SECTIONS) {
+    let data;
+    if (section.single) {
+      data = section.name === 'profile' ? profile : await section.model.findOne(section.filter(userId, profile)).lean();
+      counts[section.name] = data ? 1 : 0;
+    } else {
+      data = await section.model.find(section.filter(userId, profile)).sort({ createdAt: 1 }).lean();
+      counts[section.name] = data.length;
+    }
+    zip.file(`${section.name}.json`, JSON.stringify(data, null, 2));
+  }
+
+  zip.file('manifest.json', JSON.stringify({
+    formatVersion: EXPORT_FORMAT_VERSION,
+    userId,
+    exportedAt: now.toISOString(),
+    files: EXPORT_SECTIONS.map(section => `${section.name}.json`),
+    counts
+  }, null, 2));
+
+  const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  const filename = `reader-data-${userId}-${now.toISOString().slice(0, 10)}.zip`;
+
+  logger.info(`📦 Account export built for ${userId}: ${buffer.length} bytes`);
+  return { buffer, filename, counts };
+}
+
+/**
+ * Запрашивает удаление аккаунта. Повторный запрос не сдвигает срок.
+ * На время grace period профиль неактивен (без напоминаний и отчетов)
+ * @param {string} userId - Telegram ID
+ * @param {Object} [options]
+ * @param {string} [options.reason] - Причина (необязательно)
+ * @param {Date} [options.now]
+ * @returns {Promise<Object|null>} Статус удаления или null, если профиля нет
+ */
+async function requestAccountDeletion(userId, { reason = null, now = new Date() } = {}) {
+  const profile = await UserProfile.findOne({ userId }).select('userId deletion').lean();
+  if (!profile) return null;
+
+  if (profile.deletion?.scheduledFor) {
+    return getDeletionStatus(profile);
+  }
+
+  const deletion = {
+    requestedAt: now,
+    scheduledFor: new Date(now.getTime() + config.accountDeletion.graceDays * 24 * 60 * 60 * 1000),
+    reason: reason ? String(reason).slice(0, 500) : null
+  };
+
+  await UserProfile.updateOne({ userId }, { $set: { deletion, isActive: false } });
+  logger.info(`🗑️ Account deletion requested for ${userId}, scheduled for ${deletion.scheduledFor.toISOString()}`);
+
+  return getDeletionStatus({ deletion });
+}
+
+/**
+ * Отменяет запрос на удаление (пока не прошел grace period)
+ * @param {string} userId - Telegram ID
+ * @returns {Promise<boolean>} Был ли запрос отменен
+ */
+async function cancelAccountDeletion(userId) {
+  const result = await UserProfile.updateOne(
+    { userId, 'deletion.scheduledFor': { $ne: null } },
+    { $set: { deletion: null, isActive: true } }
+  );
+
+  if (result.modifiedCount > 0) {
+    logger.info(`↩️ Account deletion cancelled for ${userId}`);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Удаляет или обезличивает все данные читателя
+ * @param {string} userId - Telegram ID
+ * @returns {Promise<Object|null>} Количество затронутых документов по шагам или null, если профиля нет
+ */
+async function purgeAccount(userId) {
+  const profile = await UserProfile.findOne({ userId }).lean();
+  if (!profile) return null;
+
+  const context = {
+    userId,
+    anonymousId: `deleted_${crypto.randomBytes(8).toString('hex')}`,
+    anonymousObjectId: new mongoose.Types.ObjectId()
+  };
+  const stats = {};
+
+  // Обложки: файлы, комментарии других читателей под ними и сами посты
+  const covers = await PhotoPost.find({ userId }).select('_id imageUrl').lean();
+  if (covers.length) {
+    const coverIds = covers.map(cover => cover._id);
+    await PhotoComment.deleteMany({ postId: { $in: coverIds } });
+    await Promise.all(covers.map(cover => removeUploadedFile(COVERS_DIR, cover.imageUrl)));
+    await PhotoPost.deleteMany({ _id: { $in: coverIds } });
+  }
+  stats.covers = covers.length;
+
+  // Шаг quotes удаляет через deleteMany - хуки deleteOne не срабатывают, индекс похожих цитат чистим сами
+  const quoteIds = (await Quote.find({ userId }).select('_id').lean()).map(quote => quote._id);
+
+  for (const step of DELETION_STEPS) {
+    const filter = step.filter(userId, profile);
+    const result = step.update
+      ? await step.model.updateMany(filter, step.update(context))
+      : await step.model.deleteMany(filter);
+    stats[step.name] = step.update ? result.modifiedCount : result.deletedCount;
+  }
+
+  stats.similarityIndex = 0;
+  if (quoteSimilarityService.enabled) {
+    for (const quoteId of quoteIds) {
+      if (await quoteSimilarityService.removeQuote(quoteId)) {
+        stats.similarityIndex++;
+      }
+    }
+  }
+
+  // Лайки читателя на чужих обложках и комментариях
+  for (const model of [PhotoPost, PhotoComment]) {
+    await model.updateMany(
+      { likedBy: userId },
+      { $pull: { likedBy: userId }, $inc: { likesCount: -1 } }
+    );
+  }
+
+  // Выгрузки дневника: файлы и задачи
+  const exports = await QuoteExport.find({ requestedBy: userId }).select('filePath').lean();
+  await Promise.all(exports.map(job => job.filePath && fs.promises.unlink(job.filePath).catch(() => {})));
+  stats.quoteExports = (await QuoteExport.deleteMany({ requestedBy: userId })).deletedCount;
+
+  await removeUploadedFile(AVATARS_DIR, profile.avatarUrl);
+  await UserProfile.deleteOne({ _id: profile._id });
+  stats.profile = 1;
+
+  logger.info(`🗑️ Account ${userId} purged: ${JSON.stringify(stats)}`);
+  return stats;
+}
+
+/**
+ * Удаляет аккаунты, у которых истек grace period (cron)
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @param {number} [options.limit=50] - Максимум аккаунтов за запуск
+ * @returns {Promise<{processed: number, failed: number}>}
+ */
+async function processDueDeletions({ now = new Date(), limit = 50 } = {}) {
+  const due = await UserProfile.find({ 'deletion.scheduledFor': { $lte: now } })
+    .select('userId')
+    .limit(limit)
+    .lean();
+
+  const result = { processed: 0, failed: 0 };
+  for (const { userId } of due) {
+    try {
+      await purgeAccount(userId);
+      result.processed++;
+    } catch (error) {
+      result.failed++;
+      logger.error(`🗑️ Failed to purge account ${userId}: ${error.message}`, error);
+    }
+  }
+
+  if (due.length) {
+    logger.info(`🗑️ Account deletions processed: ${result.processed}, failed: ${result.failed}`);
+  }
+  return result;
+}
+
+module.exports = {
+  EXPORT_SECTIONS,
+  DELETION_STEPS,
+  getDeletionStatus,
+  buildAccountExport,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  purgeAccount,
+  processDueDeletions
+};
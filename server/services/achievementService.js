@@ -1,10 +1,23 @@
 /**
  * @fileoverview Сервис системы достижений для бота "Читатель"
+ * @description Определения хранятся в коллекции achievements (модель Achievement),
+ * история получения - в achievement_unlocks. Счетчики сообщества общие с badgesService.
  * @author g1orgi89
  */
 
-const { Quote } = require('../models');
-const { UserProfile } = require('../models');
+const mongoose = require('mongoose');
+const { Quote, UserProfile, Achievement, AchievementUnlock } = require('../models');
+const { getRarityLevel } = require('../models/Achievement');
+const { countBookFramePhotos, countFollows, countLikesGivenToOthers } = require('./gamification/badgesService');
+const { CLASSIC_AUTHORS, DEFAULT_ACHIEVEMENTS } = require('../config/achievements');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Как долго держать определения из БД в памяти
+ */
+const DEFINITIONS_TTL_MS = 5 * 60 * 1000;
 
 /**
  * @typedef {Object} Achievement
@@ -12,150 +25,175 @@ const { UserProfile } = require('../models');
  * @property {string} name - Название достижения
  * @property {string} description - Описание достижения
  * @property {string} icon - Эмодзи иконка
+ * @property {string} tier - bronze | silver | gold | platinum
+ * @property {string} category - Категория для группировки
  * @property {number} targetValue - Цель для получения
- * @property {string} type - Тип достижения
- * @property {Function} checkCondition - Функция проверки условия
+ * @property {string} type - Тип условия (метрика)
+ * @property {Array<{type: string, targetValue: number}>} requirements - Дополнительные условия
+ * @property {string} visibility - visible | secret | hidden
+ * @property {Object} rarity - {unlockedCount, readersCount, percent, computedAt}
+ */
+
+/**
+ * Фильтры цитат для метрик, которые считаются по коллекции quotes
+ * (используются и для подсчета, и для оценки даты получения при backfill)
+ */
+const QUOTE_METRIC_FILTERS = {
+  quotes_count: userId => ({ userId }),
+  classics_count: userId => ({ userId, author: { $in: CLASSIC_AUTHORS } }),
+  own_thoughts: userId => ({
+    userId,
+    $or: [
+      { author: { $exists: false } },
+      { author: null },
+      { author: '' }
+    ]
+  })
+};
+
+/**
+ * Счетчики метрик: (userId, {user, now}) => number
+ */
+const METRIC_EVALUATORS = {
+  quotes_count: userId => Quote.countDocuments(QUOTE_METRIC_FILTERS.quotes_count(userId)),
+  classics_count: userId => Quote.countDocuments(QUOTE_METRIC_FILTERS.classics_count(userId)),
+  own_thoughts: userId => Quote.countDocuments(QUOTE_METRIC_FILTERS.own_thoughts(userId)),
+  category_diversity: async userId => (await Quote.distinct('category', { userId })).length,
+  streak_days: (userId, { user }) => user?.statistics?.currentStreak || 0,
+  days_with_bot: (userId, { user, now }) => (
+    user?.registeredAt ? Math.floor((now - new Date(user.registeredAt)) / DAY_MS) : 0
+  ),
+  book_frame_photos: userId => countBookFramePhotos(userId),
+  follows: userId => countFollows(userId),
+  likes_given: userId => countLikesGivenToOthers(userId)
+};
+
+/**
+ * Все условия достижения: основное + дополнительные
+ * @param {Achievement} achievement - Достижение
+ * @returns {Array<{type: string, targetValue: number}>}
+ */
+function getCriteria(achievement) {
+  return [
+    { type: achievement.type, targetValue: achievement.targetValue },
+    ...(achievement.requirements || [])
+  ];
+}
+
+/**
+ * Проверяет условия достижения
+ * @param {string} userId - ID пользователя
+ * @param {Achievement} achievement - Достижение
+ * @param {Object} context - {user, now, cache} (cache - Map метрика -> Promise<number>)
+ * @returns {Promise<{current: number, completed: boolean, values: Object<string, number>}>}
+ */
+async function evaluateAchievement(userId, achievement, context) {
+  if (achievement.type === 'manual') {
+    return { current: 0, completed: false, values: {} };
+  }
+
+  const cache = context.cache || new Map();
+  const values = {};
+
+  for (const { type } of getCriteria(achievement)) {
+    if (!cache.has(type)) {
+      const evaluator = METRIC_EVALUATORS[type];
+      cache.set(type, Promise.resolve(evaluator ? evaluator(userId, context) : 0));
+    }
+
+    try {
+      values[type] = await cache.get(type);
+    } catch (error) {
+      logger.error(`Error calculating ${type} for user ${userId}:`, error);
+      values[type] = 0;
+    }
+  }
+
+  return {
+    current: values[achievement.type] || 0,
+    completed: getCriteria(achievement).every(({ type, targetValue }) => (values[type] || 0) >= targetValue),
+    values
+  };
+}
+
+/**
+ * Редкость для клиента
+ * @param {Object} [rarity] - Achievement.rarity
+ * @returns {{percent: number, level: string, label: string}|null}
  */
+function toPublicRarity(rarity) {
+  if (!rarity || rarity.percent === null || rarity.percent === undefined) return null;
+  return { percent: rarity.percent, ...getRarityLevel(rarity.percent) };
+}
+
+/**
+ * Документ Achievement -> определение сервиса (id - для совместимости со старым кодом)
+ * @param {Object} doc - Документ или элемент DEFAULT_ACHIEVEMENTS
+ * @returns {Achievement}
+ */
+function toDefinition(doc) {
+  return {
+    id: doc.achievementId,
+    name: doc.name,
+    description: doc.description || '',
+    icon: doc.icon || '🏆',
+    image: doc.image || '',
+    tier: doc.tier || 'bronze',
+    category: doc.category || 'beginner',
+    type: doc.type,
+    targetValue: doc.targetValue,
+    requirements: doc.requirements || [],
+    unit: doc.unit || '',
+    tips: doc.tips || '',
+    visibility: doc.visibility || 'visible',
+    sortOrder: doc.sortOrder || 0,
+    rarity: doc.rarity || null
+  };
+}
 
 /**
  * Сервис системы достижений
  */
 class AchievementService {
   constructor() {
-    this.achievements = this._initializeAchievements();
+    // До первой загрузки из БД работаем со стартовым набором
+    this.achievements = DEFAULT_ACHIEVEMENTS.map(toDefinition);
+    this.loadedAt = 0;
   }
 
   /**
-   * Инициализация списка достижений согласно ТЗ
-   * @returns {Achievement[]}
-   * @private
+   * Загрузить определения из БД (при пустой коллекции - создать стартовый набор)
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Игнорировать кэш
+   * @param {boolean} [options.seed] - Создавать стартовый набор при пустой коллекции
+   * @returns {Promise<Achievement[]>}
    */
-  _initializeAchievements() {
-    return [
-      {
-        id: 'first_quote',
-        name: 'Первые шаги',
-        description: 'Сохранили первую цитату в дневник мудрости',
-        icon: '🌱',
-        targetValue: 1,
-        type: 'quotes_count',
-        checkCondition: async (userId) => {
-          const count = await Quote.countDocuments({ userId });
-          return count >= 1;
-        }
-      },
-      {
-        id: 'wisdom_collector',
-        name: 'Коллекционер мудрости',
-        description: 'Собрали 25 цитат - настоящая библиотека вдохновения!',
-        icon: '📚',
-        targetValue: 25,
-        type: 'quotes_count',
-        checkCondition: async (userId) => {
-          const count = await Quote.countDocuments({ userId });
-          return count >= 25;
-        }
-      },
-      {
-        id: 'week_philosopher',
-        name: 'Философ недели',
-        description: '7 дней подряд с цитатами - вы превращаете чтение в привычку',
-        icon: '🔥',
-        targetValue: 7,
-        type: 'streak_days',
-        checkCondition: async (userId) => {
-          const user = await UserProfile.findOne({ userId });
-          return user && user.statistics.currentStreak >= 7;
-        }
-      },
-      {
-        id: 'classics_lover',
-        name: 'Любитель классики',
-        description: '10 цитат классиков - вы цените вечные истины',
-        icon: '📖',
-        targetValue: 10,
-        type: 'classics_count',
-        checkCondition: async (userId) => {
-          const classicAuthors = [
-            'Толстой', 'Лев Толстой', 'Л. Толстой',
-            'Достоевский', 'Федор Достоевский', 'Ф. Достоевский',
-            'Пушкин', 'Александр Пушкин', 'А. Пушкин',
-            'Чехов', 'Антон Чехов', 'А. Чехов',
-            'Тургенев', 'Иван Тургенев', 'И. Тургенев',
-            'Гоголь', 'Николай Гоголь', 'Н. Гоголь',
-            'Лермонтов', 'Михаил Лермонтов', 'М. Лермонтов'
-          ];
-          
-          const count = await Quote.countDocuments({
-            userId,
-            author: { $in: classicAuthors }
-          });
-          return count >= 10;
-        }
-      },
-      {
-        id: 'thinker',
-        name: 'Мыслитель',
-        description: '10 собственных мыслей - вы не только читаете, но и размышляете',
-        icon: '💭',
-        targetValue: 10,
-        type: 'own_thoughts',
-        checkCondition: async (userId) => {
-          const count = await Quote.countDocuments({
-            userId,
-            $or: [
-              { author: { $exists: false } },
-              { author: null },
-              { author: '' }
-            ]
-          });
-          return count >= 10;
-        }
-      },
-      {
-        id: 'marathon_reader',
-        name: 'Марафонец чтения',
-        description: '50 цитат - вы настоящий ценитель мудрости',
-        icon: '🏃‍♀️',
-        targetValue: 50,
-        type: 'quotes_count',
-        checkCondition: async (userId) => {
-          const count = await Quote.countDocuments({ userId });
-          return count >= 50;
-        }
-      },
-      {
-        id: 'diverse_reader',
-        name: 'Разносторонний читатель',
-        description: 'Цитаты из 5 разных категорий - широкий кругозор!',
-        icon: '🌈',
-        targetValue: 5,
-        type: 'category_diversity',
-        checkCondition: async (userId) => {
-          const categories = await Quote.distinct('category', { userId });
-          return categories.length >= 5;
-        }
-      },
-      {
-        id: 'monthly_consistent',
-        name: 'Постоянство',
-        description: 'Месяц с ботом и активное использование',
-        icon: '⭐',
-        targetValue: 30,
-        type: 'days_with_bot',
-        checkCondition: async (userId) => {
-          const user = await UserProfile.findOne({ userId });
-          if (!user) return false;
-          
-          const daysSinceRegistration = Math.floor(
-            (new Date() - user.registeredAt) / (1000 * 60 * 60 * 24)
-          );
-          
-          const quotesCount = await Quote.countDocuments({ userId });
-          return daysSinceRegistration >= 30 && quotesCount >= 15;
-        }
+  async loadAchievements({ force = false, seed = true } = {}) {
+    if (mongoose.connection.readyState !== 1) {
+      return this.achievements;
+    }
+    if (!force && Date.now() - this.loadedAt < DEFINITIONS_TTL_MS) {
+      return this.achievements;
+    }
+
+    try {
+      let docs = await Achievement.find({ isActive: true }).sort({ sortOrder: 1 }).lean();
+      if (docs.length === 0 && await Achievement.estimatedDocumentCount() === 0) {
+        // Без сидирования (dry run) остаемся на стартовом наборе из кода
+        if (!seed) return this.achievements;
+
+        const created = await Achievement.seedDefaults(DEFAULT_ACHIEVEMENTS);
+        logger.info(`🏆 Seeded ${created} default achievements`);
+        docs = await Achievement.find({ isActive: true }).sort({ sortOrder: 1 }).lean();
       }
-    ];
+
+      this.achievements = docs.map(toDefinition);
+      this.loadedAt = Date.now();
+    } catch (error) {
+      logger.error('Error loading achievements:', error);
+    }
+
+    return this.achievements;
   }
 
   /**
@@ -182,136 +220,229 @@ class AchievementService {
    */
   async checkAndUnlockAchievements(userId) {
     try {
+      await this.loadAchievements();
+
       const user = await UserProfile.findOne({ userId });
       if (!user) return [];
 
       const currentAchievements = user.achievements.map(a => a.achievementId);
+      const context = { user, now: new Date(), cache: new Map() };
       const newAchievements = [];
 
-      // Проверяем каждое достижение
       for (const achievement of this.achievements) {
-        // Пропускаем уже полученные достижения
-        if (currentAchievements.includes(achievement.id)) {
+        // Пропускаем уже полученные и выдаваемые другими сервисами
+        if (currentAchievements.includes(achievement.id) || achievement.type === 'manual') {
           continue;
         }
 
-        // Проверяем условие получения
-        const isUnlocked = await achievement.checkCondition(userId);
-        
-        if (isUnlocked) {
-          // Добавляем достижение пользователю
+        const { completed, current } = await evaluateAchievement(userId, achievement, context);
+        if (completed) {
           await user.addAchievement(achievement.id);
+          await this._recordUnlock(userId, achievement, { source: 'live', value: current });
           newAchievements.push(achievement);
-          
-          console.log(`🏆 User ${userId} unlocked achievement: ${achievement.name}`);
+
+          logger.info(`🏆 User ${userId} unlocked achievement: ${achievement.name}`);
         }
       }
 
       return newAchievements;
     } catch (error) {
-      console.error('Error checking achievements:', error);
+      logger.error('Error checking achievements:', error);
       return [];
     }
   }
 
+  /**
+   * Записать историю получения (ошибка не должна ломать выдачу достижения)
+   * @param {string} userId - ID пользователя
+   * @param {Achievement} achievement - Достижение
+   * @param {Object} details - source, value, unlockedAt
+   * @returns {Promise<boolean>} true, если запись создана
+   * @private
+   */
+  async _recordUnlock(userId, achievement, details) {
+    try {
+      return await AchievementUnlock.record(userId, achievement.id, { tier: achievement.tier, ...details });
+    } catch (error) {
+      logger.warn(`⚠️ Failed to record unlock history ${achievement.id} for user ${userId}:`, error);
+      return false;
+    }
+  }
+
   /**
    * Получить прогресс пользователя по всем достижениям
+   * Скрытые достижения не попадают в список до получения, у секретных скрыты название и условие
    * @param {string} userId - ID пользователя
    * @returns {Promise<Object[]>} Прогресс по достижениям
    */
   async getUserAchievementProgress(userId) {
     try {
+      await this.loadAchievements();
+
       const user = await UserProfile.findOne({ userId });
       if (!user) return [];
 
-      const userAchievements = user.achievements.map(a => a.achievementId);
+      const unlockedById = new Map(user.achievements.map(a => [a.achievementId, a.unlockedAt]));
+      const context = { user, now: new Date(), cache: new Map() };
       const progress = [];
 
       for (const achievement of this.achievements) {
-        const isUnlocked = userAchievements.includes(achievement.id);
-        let currentValue = 0;
+        const isUnlocked = unlockedById.has(achievement.id);
+        if (!isUnlocked && achievement.visibility === 'hidden') {
+          continue;
+        }
 
         // Получаем текущий прогресс
+        let currentValue = 0;
         if (!isUnlocked) {
-          currentValue = await this._getCurrentProgress(userId, achievement);
+          currentValue = (await evaluateAchievement(userId, achievement, context)).current;
         }
 
+        const isSecret = !isUnlocked && achievement.visibility === 'secret';
         progress.push({
           ...achievement,
+          ...(isSecret ? { name: 'Секретное достижение', description: 'Условие откроется после получения', icon: '❔', tips: '' } : {}),
+          requirements: isSecret ? [] : achievement.requirements,
+          isSecret,
           isUnlocked,
           currentValue,
           progress: isUnlocked ? 100 : Math.min((currentValue / achievement.targetValue) * 100, 100),
-          unlockedAt: isUnlocked ? user.achievements.find(a => a.achievementId === achievement.id)?.unlockedAt : null
+          unlockedAt: isUnlocked ? unlockedById.get(achievement.id) : null,
+          rarity: toPublicRarity(achievement.rarity)
         });
       }
 
       return progress;
     } catch (error) {
-      console.error('Error getting achievement progress:', error);
+      logger.error('Error getting achievement progress:', error);
       return [];
     }
   }
 
   /**
-   * Получить текущий прогресс по конкретному достижению
+   * Пересчитать редкость: доля завершивших онбординг читателей, у которых есть достижение
+   * @returns {Promise<{readersCount: number, achievements: Object<string, number>}>} achievementId -> процент
+   */
+  async refreshRarity() {
+    const readersMatch = { isOnboardingComplete: true };
+    const [readersCount, counts] = await Promise.all([
+      UserProfile.countDocuments(readersMatch),
+      UserProfile.aggregate([
+        { $match: readersMatch },
+        { $unwind: '$achievements' },
+        { $group: { _id: '$achievements.achievementId', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const countById = new Map(counts.map(row => [row._id, row.count]));
+    const definitions = await Achievement.find({}).select('achievementId').lean();
+    const computedAt = new Date();
+    const result = {};
+
+    const operations = definitions.map(({ achievementId }) => {
+      const unlockedCount = countById.get(achievementId) || 0;
+      const percent = readersCount > 0 ? Math.round((unlockedCount / readersCount) * 1000) / 10 : null;
+      result[achievementId] = percent;
+
+      return {
+        updateOne: {
+          filter: { achievementId },
+          update: { $set: { rarity: { unlockedCount, readersCount, percent, computedAt } } }
+        }
+      };
+    });
+
+    if (operations.length) {
+      await Achievement.bulkWrite(operations);
+    }
+    this.loadedAt = 0;
+
+    logger.info(`🏆 Achievement rarity refreshed for ${operations.length} achievements (${readersCount} readers)`);
+    return { readersCount, achievements: result };
+  }
+
+  /**
+   * Пересчитать достижения читателя по историческим данным
+   * - переносит в историю записи UserProfile.achievements без истории;
+   * - выдает достижения, условия которых уже выполнены (с оценкой даты получения)
+   * @param {string} userId - ID пользователя
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Только посчитать, ничего не записывать
+   * @param {Date} [options.now] - Текущее время
+   * @returns {Promise<{recorded: number, unlocked: string[]}>}
+   */
+  async backfillUser(userId, { dryRun = false, now = new Date() } = {}) {
+    const result = { recorded: 0, unlocked: [] };
+
+    const user = await UserProfile.findOne({ userId });
+    if (!user) return result;
+
+    const existing = await AchievementUnlock.find({ userId }).select('achievementId').lean();
+    const withHistory = new Set(existing.map(unlock => unlock.achievementId));
+
+    for (const { achievementId, unlockedAt } of user.achievements) {
+      if (withHistory.has(achievementId)) continue;
+      const achievement = this.getAchievementById(achievementId) || { id: achievementId, tier: null };
+      if (!dryRun) {
+        await this._recordUnlock(userId, achievement, { source: 'profile', unlockedAt });
+      }
+      withHistory.add(achievementId);
+      result.recorded++;
+    }
+
+    const context = { user, now, cache: new Map() };
+    for (const achievement of this.achievements) {
+      if (withHistory.has(achievement.id) || achievement.type === 'manual') continue;
+
+      const { completed, current } = await evaluateAchievement(userId, achievement, context);
+      if (!completed) continue;
+
+      result.unlocked.push(achievement.id);
+      if (dryRun) continue;
+
+      const unlockedAt = await this._estimateUnlockedAt(userId, achievement, context);
+      await UserProfile.updateOne(
+        { userId, 'achievements.achievementId': { $ne: achievement.id } },
+        { $push: { achievements: { achievementId: achievement.id, unlockedAt } } }
+      );
+      await this._recordUnlock(userId, achievement, { source: 'backfill', value: current, unlockedAt });
+    }
+
+    return result;
+  }
+
+  /**
+   * Оценка даты получения: момент выполнения последнего из условий.
+   * Для метрик по цитатам - дата N-й подходящей цитаты, для days_with_bot - регистрация + N дней,
+   * для остальных даты не восстановить - текущее время
    * @param {string} userId - ID пользователя
    * @param {Achievement} achievement - Достижение
-   * @returns {Promise<number>} Текущее значение прогресса
+   * @param {Object} context - {user, now}
+   * @returns {Promise<Date>}
    * @private
    */
-  async _getCurrentProgress(userId, achievement) {
-    try {
-      switch (achievement.type) {
-        case 'quotes_count':
-          return await Quote.countDocuments({ userId });
-
-        case 'streak_days':
-          const user = await UserProfile.findOne({ userId });
-          return user ? user.statistics.currentStreak : 0;
-
-        case 'classics_count':
-          const classicAuthors = [
-            'Толстой', 'Лев Толстой', 'Л. Толстой',
-            'Достоевский', 'Федор Достоевский', 'Ф. Достоевский',
-            'Пушкин', 'Александр Пушкин', 'А. Пушкин',
-            'Чехов', 'Антон Чехов', 'А. Чехов',
-            'Тургенев', 'Иван Тургенев', 'И. Тургенев',
-            'Гоголь', 'Николай Гоголь', 'Н. Гоголь',
-            'Лермонтов', 'Михаил Лермонтов', 'М. Лермонтов'
-          ];
-          return await Quote.countDocuments({
-            userId,
-            author: { $in: classicAuthors }
-          });
-
-        case 'own_thoughts':
-          return await Quote.countDocuments({
-            userId,
-            $or: [
-              { author: { $exists: false } },
-              { author: null },
-              { author: '' }
-            ]
-          });
-
-        case 'category_diversity':
-          const categories = await Quote.distinct('category', { userId });
-          return categories.length;
-
-        case 'days_with_bot':
-          const userProfile = await UserProfile.findOne({ userId });
-          if (!userProfile) return 0;
-          return Math.floor(
-            (new Date() - userProfile.registeredAt) / (1000 * 60 * 60 * 24)
-          );
-
-        default:
-          return 0;
+  async _estimateUnlockedAt(userId, achievement, { user, now }) {
+    let estimate = null;
+
+    for (const { type, targetValue } of getCriteria(achievement)) {
+      let date = null;
+
+      if (QUOTE_METRIC_FILTERS[type]) {
+        const quote = await Quote.findOne(QUOTE_METRIC_FILTERS[type](userId))
+          .sort({ createdAt: 1 })
+          .skip(targetValue - 1)
+          .select('createdAt')
+          .lean();
+        date = quote?.createdAt || null;
+      } else if (type === 'days_with_bot' && user?.registeredAt) {
+        date = new Date(new Date(user.registeredAt).getTime() + targetValue * DAY_MS);
       }
-    } catch (error) {
-      console.error('Error calculating progress:', error);
-      return 0;
+
+      if (!date) return now;
+      if (!estimate || date > estimate) estimate = date;
     }
+
+    return estimate || now;
   }
 
   /**
@@ -336,6 +467,8 @@ ${achievement.description}
    */
   async getUserAchievementStats(userId) {
     try {
+      await this.loadAchievements();
+
       const user = await UserProfile.findOne({ userId });
       if (!user) {
         return {
@@ -348,7 +481,9 @@ ${achievement.description}
 
       const totalAchievements = this.achievements.length;
       const unlockedAchievements = user.achievements.length;
-      const completionRate = Math.round((unlockedAchievements / totalAchievements) * 100);
+      const completionRate = totalAchievements
+        ? Math.min(100, Math.round((unlockedAchievements / totalAchievements) * 100))
+        : 0;
 
       // Получаем последние 3 достижения
       const recentAchievements = user.achievements
@@ -369,7 +504,7 @@ ${achievement.description}
         recentAchievements
       };
     } catch (error) {
-      console.error('Error getting achievement stats:', error);
+      logger.error('Error getting achievement stats:', error);
       return {
         totalAchievements: 0,
         unlockedAchievements: 0,
@@ -380,4 +515,9 @@ ${achievement.description}
   }
 }
 
-module.exports = AchievementService;
\ No newline at end of file
+module.exports = AchievementService;
+// Export helpers for testing
+module.exports.METRIC_EVALUATORS = METRIC_EVALUATORS;
+module.exports.QUOTE_METRIC_FILTERS = QUOTE_METRIC_FILTERS;
+module.exports.evaluateAchievement = evaluateAchievement;
+module.exports.toDefinition = toDefinition;
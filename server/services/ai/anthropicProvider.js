@@ -0,0 +1,64 @@
+/**
+ * Anthropic (Claude) completion provider
+ * @file server/services/ai/anthropicProvider.js
+ */
+
+const { Anthropic } = require('@anthropic-ai/sdk');
+
+/**
+ * Провайдер Claude (Messages API)
+ * @class AnthropicProvider
+ */
+class AnthropicProvider {
+  /**
+   * @param {Object} config - Конфигурация из getAIProviderConfig().claude
+   * @param {string} config.apiKey - ANTHROPIC_API_KEY
+   * @param {string} config.model - Модель по умолчанию
+   * @param {number} config.maxTokens - Лимит токенов ответа
+   * @param {number} config.temperature - Температура
+   */
+  constructor(config = {}) {
+    if (!config.apiKey) {
+      throw new Error('ANTHROPIC_API_KEY is required for the claude provider');
+    }
+
+    this.name = 'claude';
+    this.config = config;
+    // Повторы выполняет реестр провайдеров, у SDK они отключены
+    this.client = new Anthropic({ apiKey: config.apiKey, maxRetries: 0 });
+  }
+
+  /**
+   * Выполняет запрос к модели
+   * @param {import('./index').CompletionRequest} request - Запрос
+   * @returns {Promise<import('./index').ProviderCompletion>} Ответ
+   */
+  async complete(request) {
+    const model = request.model || this.config.model;
+    const body = {
+      model,
+      max_tokens: request.maxTokens || this.config.maxTokens,
+      temperature: request.temperature ?? this.config.temperature,
+      messages: request.messages
+    };
+    if (request.system) {
+      body.system = request.system;
+    }
+
+    const response = await this.client.messages.create(body, { signal: request.signal });
+    const inputTokens = response.usage?.input_tokens || 0;
+    const outputTokens = response.usage?.output_tokens || 0;
+
+    return {
+      text: response.content?.[0]?.text || '',
+      model,
+      usage: {
+        inputTokens,
+        outputTokens,
+        totalTokens: inputTokens + outputTokens
+      }
+    };
+  }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,368 @@
+/**
+ * AI provider registry - per-feature routing, timeouts and retries for all AI calls
+ * (chat, quote analysis, weekly/monthly reports)
+ * @file server/services/ai/index.js
+ */
+
+const logger = require('../../utils/logger');
+const { getAIProviderConfig, getAIRoutingConfig, AI_FEATURES } = require('../../config/aiProvider');
+
+/**
+ * @typedef {Object} CompletionRequest
+ * @property {string} [system] - Системный промпт
+ * @property {Array<{role: 'user'|'assistant', content: string}>} messages - Сообщения
+ * @property {string} [provider] - Принудительный провайдер (иначе - маршрут функции)
+ * @property {string} [model] - Принудительная модель (иначе - маршрут функции)
+ * @property {number} [maxTokens] - Лимит токенов ответа
+ * @property {number} [temperature] - Температура
+ * @property {number} [timeoutMs] - Таймаут одной попытки
+ * @property {number} [retries] - Количество повторов
+ * @property {string} [userId] - Читатель (учет токенов и дневные бюджеты)
+ * @property {string} [feature] - Функция (заполняется реестром для провайдера)
+ * @property {AbortSignal} [signal] - Сигнал отмены (заполняется реестром)
+ */
+
+/**
+ * @typedef {Object} TokenUsage
+ * @property {number} inputTokens - Токены запроса
+ * @property {number} outputTokens - Токены ответа
+ * @property {number} totalTokens - Всего
+ */
+
+/**
+ * @typedef {Object} ProviderCompletion
+ * @property {string} text - Ответ модели
+ * @property {string} model - Использованная модель
+ * @property {TokenUsage} usage - Токены
+ */
+
+/**
+ * @typedef {Object} Completion
+ * @property {string} text - Ответ модели
+ * @property {string} provider - Провайдер
+ * @property {string} model - Модель
+ * @property {string} feature - Функция
+ * @property {TokenUsage} usage - Токены
+ * @property {number} attempts - Количество попыток
+ * @property {number} durationMs - Длительность (включая повторы)
+ * @property {number} costUsd - Оценка стоимости
+ */
+
+/**
+ * Фабрики встроенных провайдеров
+ * @type {Object<string, function(import('../../config/aiProvider').AIProviderConfig): Object>}
+ */
+const PROVIDER_FACTORIES = {
+  claude: config => new (require('./anthropicProvider'))(config.claude),
+  openai: config => new (require('./openaiProvider'))(config.openai),
+  local: config => new (require('./localProvider'))(config.local)
+};
+
+/**
+ * Сетевые ошибки без HTTP статуса, после которых имеет смысл повторить запрос
+ * @type {string[]}
+ */
+const RETRYABLE_CODES = ['ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE'];
+
+/**
+ * Временная ли ошибка (таймаут, лимит запросов, 5xx, сетевой сбой)
+ * @param {Error} error - Ошибка провайдера
+ * @returns {boolean} Можно ли повторить запрос
+ */
+function isRetryableError(error) {
+  const status = error.status || error.statusCode;
+  if (status) {
+    return status === 408 || status === 409 || status === 429 || status >= 500;
+  }
+  if (RETRYABLE_CODES.includes(error.code)) {
+    return true;
+  }
+  return error.name === 'APIConnectionError' || error.name === 'APIConnectionTimeoutError';
+}
+
+/**
+ * Реестр AI провайдеров
+ * @class AIProviderRegistry
+ */
+class AIProviderRegistry {
+  constructor() {
+    this.factories = { ...PROVIDER_FACTORIES };
+    /** @type {Map<string, Object|null>} null - провайдер не настроен (нет ключа) */
+    this.providers = new Map();
+    this.config = null;
+    this.routing = null;
+    this.defaultProvider = null;
+    /** @type {Object|null|undefined} Учет токенов и бюджетов; undefined - aiUsageService по умолчанию */
+    this.usageTracker = undefined;
+  }
+
+  /**
+   * Ленивая загрузка конфигурации из окружения
+   * @private
+   */
+  _ensureConfig() {
+    if (!this.config) {
+      this.config = getAIProviderConfig();
+      this.routing = getAIRoutingConfig();
+      this.defaultProvider = this.defaultProvider || this.config.provider;
+    }
+  }
+
+  /**
+   * Регистрирует фабрику провайдера (сторонние провайдеры)
+   * @param {string} name - Имя провайдера
+   * @param {function(Object): Object} factory - Фабрика, получает AIProviderConfig
+   */
+  registerProvider(name, factory) {
+    this.factories[name] = factory;
+    this.providers.delete(name);
+  }
+
+  /**
+   * Подменяет экземпляр провайдера (тесты)
+   * @param {string} name - Имя провайдера
+   * @param {Object} provider - Экземпляр с методом complete()
+   */
+  setProvider(name, provider) {
+    this.providers.set(name, provider);
+  }
+
+  /**
+   * Подменяет учет токенов (тесты); null - отключить учет и бюджеты
+   * @param {Object|null} tracker - Объект с методами checkBudget() и record()
+   */
+  setUsageTracker(tracker) {
+    this.usageTracker = tracker;
+  }
+
+  /**
+   * @private
+   * @returns {Object|null} Учет токенов
+   */
+  _getUsageTracker() {
+    if (this.usageTracker === undefined) {
+      this.usageTracker = require('../aiUsageService');
+    }
+    return this.usageTracker;
+  }
+
+  /**
+   * Экземпляр провайдера (создается при первом обращении)
+   * @param {string} name - Имя провайдера
+   * @returns {Object|null} Провайдер или null, если он не настроен
+   */
+  getProvider(name) {
+    this._ensureConfig();
+    if (this.providers.has(name)) {
+      return this.providers.get(name);
+    }
+
+    let provider = null;
+    const factory = this.factories[name];
+    if (!factory) {
+      logger.warn(`⚠️ Unknown AI provider: ${name}`);
+    } else {
+      try {
+        provider = factory(this.config);
+        logger.info(`🤖 AI provider initialized: ${name}`);
+      } catch (error) {
+        logger.info(`🤖 AI provider ${name} not configured: ${error.message}`);
+      }
+    }
+
+    this.providers.set(name, provider);
+    return provider;
+  }
+
+  /**
+   * Провайдеры, которые удалось инициализировать
+   * @returns {string[]} Имена
+   */
+  getAvailableProviders() {
+    return Object.keys(this.factories).filter(name => this.getProvider(name));
+  }
+
+  /**
+   * Меняет провайдера по умолчанию (функции без явного маршрута)
+   * @param {string} name - Имя провайдера
+   * @returns {boolean} Успешность
+   */
+  setDefaultProvider(name) {
+    if (!this.getProvider(name)) {
+      return false;
+    }
+    this.defaultProvider = name;
+    return true;
+  }
+
+  /**
+   * Провайдер и модель для функции
+   * @param {string} feature - Функция (AI_FEATURES)
+   * @returns {{provider: string, model: string}} Маршрут
+   */
+  resolveRoute(feature) {
+    this._ensureConfig();
+    const route = this.routing.routes[feature] || {};
+    const provider = route.provider || this.defaultProvider;
+    return {
+      provider,
+      model: route.model || this.config[provider]?.model
+    };
+  }
+
+  /**
+   * Доступен ли провайдер для функции
+   * @param {string} feature - Функция
+   * @returns {boolean} Доступность
+   */
+  isAvailable(feature) {
+    return Boolean(this.getProvider(this.resolveRoute(feature).provider));
+  }
+
+  /**
+   * Маршруты всех функций (диагностика, админка)
+   * @returns {Object<string, {provider: string, model: string, available: boolean}>} Маршруты
+   */
+  describeRoutes() {
+    return Object.values(AI_FEATURES).reduce((routes, feature) => {
+      const route = this.resolveRoute(feature);
+      routes[feature] = { ...route, available: Boolean(this.getProvider(route.provider)) };
+      return routes;
+    }, {});
+  }
+
+  /**
+   * Выполняет AI-запрос для функции с таймаутом и повторами
+   * @param {string} feature - Функция (AI_FEATURES)
+   * @param {CompletionRequest} request - Запрос
+   * @returns {Promise<Completion>} Ответ
+   * @throws {Error} Провайдер не настроен или все попытки неудачны
+   */
+  async complete(feature, request) {
+    const route = this.resolveRoute(feature);
+    const providerName = request.provider || route.provider;
+    const model = request.model || (request.provider ? this.config[providerName]?.model : route.model);
+    const provider = this.getProvider(providerName);
+
+    if (!provider) {
+      const error = new Error(`AI provider "${providerName}" is not configured`);
+      error.code = 'AI_PROVIDER_UNAVAILABLE';
+      throw error;
+    }
+
+    const tracker = this._getUsageTracker();
+    const userId = request.userId || null;
+
+    if (tracker) {
+      const budget = await tracker.checkBudget({ feature, userId });
+      if (!budget.allowed) {
+        tracker.record({ feature, userId, provider: providerName, model, status: 'budget_exceeded' });
+        logger.warn(`💸 AI ${feature} blocked: ${budget.scope} daily budget exceeded (${budget.used}/${budget.limit} ${budget.unit})`);
+        const error = new Error(`AI ${budget.scope} daily budget exceeded`);
+        error.code = 'AI_BUDGET_EXCEEDED';
+        error.statusCode = 429;
+        error.budget = budget;
+        throw error;
+      }
+    }
+
+    const timeoutMs = request.timeoutMs || this.routing.timeoutMs;
+    const maxRetries = request.retries ?? this.routing.maxRetries;
+    const startedAt = Date.now();
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const result = await this._completeWithTimeout(provider, { ...request, feature, model }, timeoutMs);
+        const durationMs = Date.now() - startedAt;
+        const costUsd = tracker
+          ? tracker.record({ feature, userId, provider: providerName, model: result.model, usage: result.usage, durationMs, attempts: attempt + 1 })
+          : 0;
+        logger.info(`🤖 AI ${feature} via ${providerName}/${result.model}: ${result.usage.totalTokens} tokens, $${costUsd}, ${durationMs}ms`);
+
+        return {
+          text: result.text,
+          provider: providerName,
+          model: result.model,
+          feature,
+          usage: result.usage,
+          attempts: attempt + 1,
+          durationMs,
+          costUsd
+        };
+      } catch (error) {
+        if (attempt >= maxRetries || !isRetryableError(error)) {
+          logger.error(`🤖 AI ${feature} via ${providerName} failed after ${attempt + 1} attempt(s): ${error.message}`);
+          if (tracker) {
+            tracker.record({
+              feature,
+              userId,
+              provider: providerName,
+              model,
+              durationMs: Date.now() - startedAt,
+              attempts: attempt + 1,
+              status: 'error',
+              errorMessage: error.message
+            });
+          }
+          error.provider = providerName;
+          error.attempts = attempt + 1;
+          throw error;
+        }
+
+        const delay = this.routing.retryDelayMs * Math.pow(2, attempt);
+        logger.warn(`🤖 AI ${feature} via ${providerName} attempt ${attempt + 1} failed (${error.message}), retrying in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Одна попытка запроса с отменой по таймауту
+   * @private
+   * @param {Object} provider - Провайдер
+   * @param {CompletionRequest} request - Запрос
+   * @param {number} timeoutMs - Таймаут
+   * @returns {Promise<ProviderCompletion>} Ответ провайдера
+   */
+  async _completeWithTimeout(provider, request, timeoutMs) {
+    const controller = new AbortController();
+    let timer;
+
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        const error = new Error(`AI request timed out after ${timeoutMs}ms`);
+        error.code = 'ETIMEDOUT';
+        reject(error);
+      }, timeoutMs);
+    });
+
+    try {
+      return await Promise.race([
+        provider.complete({ ...request, signal: controller.signal }),
+        timeout
+      ]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Сбрасывает провайдеров и конфигурацию (перечитать окружение, тесты)
+   */
+  reset() {
+    this.factories = { ...PROVIDER_FACTORIES };
+    this.providers.clear();
+    this.config = null;
+    this.routing = null;
+    this.defaultProvider = null;
+    this.usageTracker = undefined;
+  }
+}
+
+const aiProviders = new AIProviderRegistry();
+
+module.exports = aiProviders;
+module.exports.AIProviderRegistry = AIProviderRegistry;
+module.exports.AI_FEATURES = AI_FEATURES;
+module.exports.isRetryableError = isRetryableError;
@@ -0,0 +1,172 @@
+/**
+ * Local scripted completion provider - deterministic answers without network access.
+ * Used in tests and offline development (AI_PROVIDER=local or AI_ROUTE_<FEATURE>=local).
+ * @file server/services/ai/localProvider.js
+ */
+
+const fs = require('fs');
+const { AI_FEATURES } = require('../../config/aiProvider');
+
+/**
+ * @typedef {Object} ScriptRule
+ * @property {string} [feature] - Функция (quote_analysis, weekly_report, ...); без нее - любая
+ * @property {string} [match] - Подстрока (без учета регистра) или '/regex/flags' для текста запроса
+ * @property {string|Object} [response] - Ответ; объект сериализуется в JSON
+ * @property {{status?: number, message?: string}} [error] - Вместо ответа выбросить ошибку
+ * @property {number} [delayMs] - Задержка ответа (проверка таймаутов)
+ * @property {number} [times] - Сколько раз правило срабатывает (по умолчанию - всегда)
+ */
+
+/**
+ * Ответы по умолчанию: валидный JSON в формате, который ожидают сервисы
+ * @type {Object<string, Object|string>}
+ */
+const DEFAULT_RESPONSES = {
+  [AI_FEATURES.QUOTE_ANALYSIS]: {
+    category: 'ПОИСК СЕБЯ',
+    themes: ['саморазвитие'],
+    sentiment: 'neutral',
+    insights: 'Цитата приглашает остановиться и прислушаться к себе.'
+  },
+  [AI_FEATURES.WEEKLY_REPORT]: {
+    dominantThemes: ['ПОИСК СЕБЯ'],
+    emotionalTone: 'размышляющий',
+    insights: 'На этой неделе вы возвращались к мыслям о себе и своем пути. Как писал Сенека: «Пока мы откладываем жизнь, она проходит». Динамика по сравнению с прошлой неделей: вы стали внимательнее к своим желаниям. Что сейчас для вас по-настоящему важно? Берегите себя.',
+    personalGrowth: 'Ваш выбор цитат говорит о стремлении к пониманию себя и мира вокруг.'
+  },
+  [AI_FEATURES.MONTHLY_REPORT]: {
+    insights: 'Этот месяц показал ваш интерес к познанию себя. «Хорошая жизнь строится, а не даётся по умолчанию».'
+  }
+};
+
+// Категоризация импорта отвечает в формате анализа цитаты
+DEFAULT_RESPONSES[AI_FEATURES.QUOTE_IMPORT] = DEFAULT_RESPONSES[AI_FEATURES.QUOTE_ANALYSIS];
+
+/**
+ * Грубая оценка количества токенов (~4 символа на токен)
+ * @param {string} text - Текст
+ * @returns {number} Токены
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Сценарный провайдер
+ * @class LocalProvider
+ */
+class LocalProvider {
+  /**
+   * @param {Object} [config={}] - Конфигурация из getAIProviderConfig().local
+   * @param {string} [config.model='scripted-v1'] - Имя модели в ответах
+   * @param {string} [config.scriptPath] - JSON-файл с массивом ScriptRule
+   * @param {ScriptRule[]} [config.script] - Правила (вместо файла)
+   */
+  constructor(config = {}) {
+    this.name = 'local';
+    this.config = { model: 'scripted-v1', ...config };
+    /** @type {ScriptRule[]} */
+    this.rules = [];
+    /** @type {Array<{feature: string, model: string, prompt: string}>} История запросов (для тестов) */
+    this.calls = [];
+
+    if (config.scriptPath) {
+      this.loadScript(JSON.parse(fs.readFileSync(config.scriptPath, 'utf8')));
+    }
+    if (Array.isArray(config.script)) {
+      this.loadScript(config.script);
+    }
+  }
+
+  /**
+   * Добавляет правила сценария (проверяются в порядке добавления)
+   * @param {ScriptRule[]} rules - Правила
+   * @returns {LocalProvider} this
+   */
+  loadScript(rules) {
+    rules.forEach(rule => this.rules.push({ ...rule }));
+    return this;
+  }
+
+  /**
+   * Сбрасывает сценарий и историю запросов
+   */
+  reset() {
+    this.rules = [];
+    this.calls = [];
+  }
+
+  /**
+   * @private
+   * @param {ScriptRule} rule - Правило
+   * @param {string} feature - Функция
+   * @param {string} prompt - Текст запроса
+   * @returns {boolean} Подходит ли правило
+   */
+  _matches(rule, feature, prompt) {
+    if (rule.times === 0) return false;
+    if (rule.feature && rule.feature !== feature) return false;
+    if (!rule.match) return true;
+
+    const regexMatch = rule.match.match(/^\/(.+)\/([a-z]*)$/);
+    if (regexMatch) {
+      return new RegExp(regexMatch[1], regexMatch[2]).test(prompt);
+    }
+    return prompt.toLowerCase().includes(rule.match.toLowerCase());
+  }
+
+  /**
+   * Выполняет запрос по сценарию
+   * @param {import('./index').CompletionRequest} request - Запрос
+   * @returns {Promise<import('./index').ProviderCompletion>} Ответ
+   */
+  async complete(request) {
+    const feature = request.feature || AI_FEATURES.CHAT;
+    const model = request.model || this.config.model;
+    const prompt = [request.system, ...request.messages.map(m => m.content)].filter(Boolean).join('\n');
+    this.calls.push({ feature, model, prompt });
+
+    const rule = this.rules.find(r => this._matches(r, feature, prompt));
+    if (rule && typeof rule.times === 'number') {
+      rule.times--;
+    }
+
+    if (rule?.delayMs) {
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, rule.delayMs);
+        request.signal?.addEventListener('abort', () => {
+          clearTimeout(timer);
+          reject(new Error('Request was aborted'));
+        });
+      });
+    }
+
+    if (rule?.error) {
+      const error = new Error(rule.error.message || 'Scripted provider error');
+      error.status = rule.error.status;
+      throw error;
+    }
+
+    let response = rule && rule.response !== undefined ? rule.response : DEFAULT_RESPONSES[feature];
+    if (response === undefined) {
+      const lastMessage = request.messages[request.messages.length - 1]?.content || '';
+      response = `[local] ${lastMessage.substring(0, 200)}`;
+    }
+    const text = typeof response === 'string' ? response : JSON.stringify(response);
+
+    const inputTokens = estimateTokens(prompt);
+    const outputTokens = estimateTokens(text);
+    return {
+      text,
+      model,
+      usage: {
+        inputTokens,
+        outputTokens,
+        totalTokens: inputTokens + outputTokens
+      }
+    };
+  }
+}
+
+module.exports = LocalProvider;
+module.exports.DEFAULT_RESPONSES = DEFAULT_RESPONSES;
@@ -0,0 +1,63 @@
+/**
+ * OpenAI (GPT) completion provider
+ * @file server/services/ai/openaiProvider.js
+ */
+
+/**
+ * Провайдер OpenAI (Chat Completions API)
+ * @class OpenAIProvider
+ */
+class OpenAIProvider {
+  /**
+   * @param {Object} config - Конфигурация из getAIProviderConfig().openai
+   * @param {string} config.apiKey - OPENAI_API_KEY
+   * @param {string} config.model - Модель по умолчанию
+   * @param {number} config.maxTokens - Лимит токенов ответа
+   * @param {number} config.temperature - Температура
+   */
+  constructor(config = {}) {
+    if (!config.apiKey) {
+      throw new Error('OPENAI_API_KEY is required for the openai provider');
+    }
+
+    const OpenAI = require('openai');
+    this.name = 'openai';
+    this.config = config;
+    // Повторы выполняет реестр провайдеров, у SDK они отключены
+    this.client = new OpenAI({ apiKey: config.apiKey, maxRetries: 0 });
+  }
+
+  /**
+   * Выполняет запрос к модели
+   * @param {import('./index').CompletionRequest} request - Запрос
+   * @returns {Promise<import('./index').ProviderCompletion>} Ответ
+   */
+  async complete(request) {
+    const model = request.model || this.config.model;
+    const messages = request.system
+      ? [{ role: 'system', content: request.system }, ...request.messages]
+      : request.messages;
+
+    const response = await this.client.chat.completions.create({
+      model,
+      messages,
+      max_tokens: request.maxTokens || this.config.maxTokens,
+      temperature: request.temperature ?? this.config.temperature
+    }, { signal: request.signal });
+
+    const inputTokens = response.usage?.prompt_tokens || 0;
+    const outputTokens = response.usage?.completion_tokens || 0;
+
+    return {
+      text: response.choices?.[0]?.message?.content || '',
+      model,
+      usage: {
+        inputTokens,
+        outputTokens,
+        totalTokens: response.usage?.total_tokens || inputTokens + outputTokens
+      }
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
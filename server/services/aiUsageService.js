@@ -0,0 +1,257 @@
+/**
+ * AI Usage Service - token/cost accounting and daily budgets for AI calls
+ * @file server/services/aiUsageService.js
+ */
+
+const mongoose = require('mongoose');
+const AIUsage = require('../models/AIUsage');
+const tokenCounter = require('../utils/tokenCounter');
+const logger = require('../utils/logger');
+const { toBusinessTimezone } = require('../utils/isoWeek');
+const { getAIBudgetConfig, AI_FEATURES } = require('../config/aiProvider');
+
+/**
+ * Служебные вызовы из админки не ограничиваются бюджетами
+ * @type {string[]}
+ */
+const BUDGET_EXEMPT_FEATURES = [AI_FEATURES.PROMPT_TEST, AI_FEATURES.HEALTH_CHECK];
+
+/**
+ * Фоновые задачи читателя (категоризация импорта) не расходуют его дневной бюджет -
+ * иначе большой импорт отключил бы чат и анализ новых цитат до конца дня.
+ * Общий бюджет на них действует
+ * @type {string[]}
+ */
+const USER_BUDGET_EXEMPT_FEATURES = [AI_FEATURES.QUOTE_IMPORT];
+
+/**
+ * Ключ дневных итогов по всем читателям
+ */
+const ALL_USERS_KEY = '*';
+
+/**
+ * @typedef {Object} BudgetCheck
+ * @property {boolean} allowed - Можно ли выполнить запрос
+ * @property {'user'|'global'} [scope] - Какой бюджет исчерпан
+ * @property {'tokens'|'usd'} [unit] - В чем исчерпан
+ * @property {number} [limit] - Лимит
+ * @property {number} [used] - Израсходовано
+ */
+
+/**
+ * @typedef {Object} UsageRecord
+ * @property {string} feature - Функция
+ * @property {string|null} [userId] - Читатель
+ * @property {string} provider - Провайдер
+ * @property {string} [model] - Модель
+ * @property {import('./ai').TokenUsage} [usage] - Токены
+ * @property {number} [durationMs] - Длительность
+ * @property {number} [attempts] - Попытки
+ * @property {'success'|'error'|'budget_exceeded'} [status='success'] - Результат
+ * @property {string} [errorMessage] - Ошибка
+ */
+
+/**
+ * Сервис учета потребления AI
+ * @class AIUsageService
+ */
+class AIUsageService {
+  constructor() {
+    /** @type {Map<string, {totalTokens: number, costUsd: number}>} Итоги за день: `${day}:${userId|*}` */
+    this.dailyTotals = new Map();
+    this.currentDay = null;
+  }
+
+  /**
+   * День в бизнес-часовом поясе
+   * @param {Date} [date=new Date()] - Дата
+   * @returns {string} YYYY-MM-DD
+   */
+  getDayKey(date = new Date()) {
+    return toBusinessTimezone(date).toISOString().slice(0, 10);
+  }
+
+  /**
+   * @private
+   * @returns {boolean} Есть ли подключение к MongoDB
+   */
+  _isDatabaseReady() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  /**
+   * Итоги за день (из кэша, при первом обращении - из MongoDB)
+   * @private
+   * @param {string} day - День
+   * @param {string} userKey - userId или '*'
+   * @returns {Promise<{totalTokens: number, costUsd: number}>}
+   */
+  async _getDailyTotals(day, userKey) {
+    if (this.currentDay !== day) {
+      this.dailyTotals.clear();
+      this.currentDay = day;
+    }
+
+    const key = `${day}:${userKey}`;
+    if (!this.dailyTotals.has(key)) {
+      let totals = { totalTokens: 0, costUsd: 0 };
+      if (this._isDatabaseReady()) {
+        const stored = userKey === ALL_USERS_KEY
+          ? await AIUsage.getDailyTotals(day)
+          : await AIUsage.getDailyTotals(day, userKey, { excludeFeatures: USER_BUDGET_EXEMPT_FEATURES });
+        totals = { totalTokens: stored.totalTokens, costUsd: stored.costUsd };
+      }
+      // Запись могла появиться, пока шел запрос к БД
+      if (!this.dailyTotals.has(key)) {
+        this.dailyTotals.set(key, totals);
+      }
+    }
+    return this.dailyTotals.get(key);
+  }
+
+  /**
+   * @private
+   * @param {{totalTokens: number, costUsd: number}} totals - Израсходовано
+   * @param {number} tokenLimit - Лимит токенов
+   * @param {number} usdLimit - Лимит USD
+   * @param {'user'|'global'} scope - Бюджет
+   * @returns {BudgetCheck|null} Превышение или null
+   */
+  _exceeded(totals, tokenLimit, usdLimit, scope) {
+    if (tokenLimit > 0 && totals.totalTokens >= tokenLimit) {
+      return { allowed: false, scope, unit: 'tokens', limit: tokenLimit, used: totals.totalTokens };
+    }
+    if (usdLimit > 0 && totals.costUsd >= usdLimit) {
+      return { allowed: false, scope, unit: 'usd', limit: usdLimit, used: Number(totals.costUsd.toFixed(6)) };
+    }
+    return null;
+  }
+
+  /**
+   * Проверяет дневные бюджеты перед AI-запросом
+   * @param {Object} params - Параметры
+   * @param {string} params.feature - Функция
+   * @param {string|null} [params.userId] - Читатель
+   * @returns {Promise<BudgetCheck>} Результат
+   */
+  async checkBudget({ feature, userId = null }) {
+    const budget = getAIBudgetConfig();
+    if (BUDGET_EXEMPT_FEATURES.includes(feature)) {
+      return { allowed: true };
+    }
+
+    try {
+      const day = this.getDayKey();
+
+      if (budget.dailyTokens > 0 || budget.dailyUsd > 0) {
+        const exceeded = this._exceeded(await this._getDailyTotals(day, ALL_USERS_KEY), budget.dailyTokens, budget.dailyUsd, 'global');
+        if (exceeded) return exceeded;
+      }
+
+      if (userId && !USER_BUDGET_EXEMPT_FEATURES.includes(feature) && (budget.userDailyTokens > 0 || budget.userDailyUsd > 0)) {
+        const exceeded = this._exceeded(await this._getDailyTotals(day, String(userId)), budget.userDailyTokens, budget.userDailyUsd, 'user');
+        if (exceeded) return exceeded;
+      }
+    } catch (error) {
+      // Учет не должен ломать AI-функции
+      logger.warn(`⚠️ AI budget check failed: ${error.message}`);
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Оценка стоимости запроса
+   * @param {string} provider - Провайдер
+   * @param {string} model - Модель
+   * @param {import('./ai').TokenUsage} usage - Токены
+   * @returns {number} USD
+   */
+  estimateCost(provider, model, usage) {
+    if (provider === 'local' || !usage) {
+      return 0;
+    }
+    return tokenCounter.estimateCost(usage, model);
+  }
+
+  /**
+   * Записывает AI-запрос (сохранение в MongoDB - в фоне)
+   * @param {UsageRecord} record - Запись
+   * @returns {number} Оценка стоимости, USD
+   */
+  record(record) {
+    const usage = record.usage || { inputTokens: 0, outputTokens: 0, totalTokens: 0 };
+    const costUsd = this.estimateCost(record.provider, record.model, usage);
+    const day = this.getDayKey();
+    const userId = record.userId ? String(record.userId) : null;
+    const status = record.status || 'success';
+
+    if (status !== 'budget_exceeded' && this.currentDay === day) {
+      const readerKey = USER_BUDGET_EXEMPT_FEATURES.includes(record.feature) ? null : userId;
+      [ALL_USERS_KEY, readerKey].filter(Boolean).forEach(userKey => {
+        const totals = this.dailyTotals.get(`${day}:${userKey}`);
+        if (totals) {
+          totals.totalTokens += usage.totalTokens || 0;
+          totals.costUsd += costUsd;
+        }
+      });
+    }
+
+    if (this._isDatabaseReady()) {
+      AIUsage.create({
+        feature: record.feature,
+        userId,
+        provider: record.provider,
+        model: record.model || '',
+        inputTokens: usage.inputTokens || 0,
+        outputTokens: usage.outputTokens || 0,
+        totalTokens: usage.totalTokens || 0,
+        costUsd,
+        durationMs: record.durationMs || 0,
+        attempts: record.attempts || 1,
+        status,
+        errorMessage: record.errorMessage || null,
+        day
+      }).catch(error => {
+        logger.warn(`⚠️ Failed to record AI usage: ${error.message}`);
+      });
+    }
+
+    return costUsd;
+  }
+
+  /**
+   * Сводка для админ-панели
+   * @param {string} [period='7d'] - Период (1d, 7d, 30d, 90d)
+   * @returns {Promise<Object>} Сводка, бюджеты и расход за сегодня
+   */
+  async getSummary(period = '7d') {
+    const days = parseInt(period) || 7;
+    const from = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const today = this.getDayKey();
+
+    const [summary, todayTotals] = await Promise.all([
+      AIUsage.getSummary(from),
+      AIUsage.getDailyTotals(today)
+    ]);
+
+    return {
+      period,
+      ...summary,
+      today: { day: today, ...todayTotals },
+      budgets: getAIBudgetConfig()
+    };
+  }
+
+  /**
+   * Сбрасывает кэш дневных итогов (тесты, изменение бюджетов)
+   */
+  resetCache() {
+    this.dailyTotals.clear();
+    this.currentDay = null;
+  }
+}
+
+module.exports = new AIUsageService();
+module.exports.BUDGET_EXEMPT_FEATURES = BUDGET_EXEMPT_FEATURES;
+module.exports.USER_BUDGET_EXEMPT_FEATURES = USER_BUDGET_EXEMPT_FEATURES;
@@ -1,15 +1,31 @@
 /**
  * @fileoverview Сервис аналитики Reader Bot - ПОЛНАЯ РЕАЛИЗАЦИЯ
- * @description Добавляем реальную логику для retention и UTM статистики
- * @version 3.3.0 - COMPLETE IMPLEMENTATION
+ * @description Событийный пайплайн (analytics_events) и дневные сводки для дашборда,
+ * retention и топ контента
+ * @version 4.0.0 - EVENT PIPELINE
  */
 
 const logger = require('../utils/logger');
+const { config } = require('../config');
+const { getDayKey, getLocalDayRange } = require('../utils/timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Длина периода дашборда в календарных днях */
+const PERIOD_DAYS = { '1d': 1, '7d': 7, '30d': 30, '90d': 90 };
+
+/** Клиентские события старше недели считаем присланными с неверными часами */
+const CLIENT_EVENT_MAX_AGE_MS = 7 * DAY_MS;
+const CLIENT_CLOCK_SKEW_MS = 5 * 60 * 1000;
+const MAX_EVENT_PROPERTIES = 20;
 
 class AnalyticsService {
   constructor() {
     this.name = 'AnalyticsService';
     this._models = null;
+    /** @type {Object[]} Серверные события до записи пачкой */
+    this._eventBuffer = [];
+    this._flushTimer = null;
     
     logger.info('📊 AnalyticsService инициализирован с полной реализацией');
   }
@@ -28,17 +44,21 @@ class AnalyticsService {
       const Quote = require('../models/quote');
       
       // Пробуем analytics модели отдельно
-      let UTMClick, PromoCodeUsage, UserAction;
+      let UTMClick, PromoCodeUsage, UserAction, AnalyticsEvent, AnalyticsDailyRollup;
       try {
         const analytics = require('../models/analytics');
         UTMClick = analytics.UTMClick;
         PromoCodeUsage = analytics.PromoCodeUsage;
         UserAction = analytics.UserAction;
+        AnalyticsEvent = require('../models/AnalyticsEvent');
+        AnalyticsDailyRollup = require('../models/AnalyticsDailyRollup');
       } catch (analyticsError) {
         logger.warn('📊 Ошибка загрузки analytics моделей:', analyticsError.message);
         UTMClick = null;
         PromoCodeUsage = null;
         UserAction = null;
+        AnalyticsEvent = null;
+        AnalyticsDailyRollup = null;
       }
       
       // Пробуем другие модели
@@ -58,6 +78,8 @@ class AnalyticsService {
         UTMClick,
         PromoCodeUsage,
         UserAction,
+        AnalyticsEvent,
+        AnalyticsDailyRollup,
         WeeklyReport,
         MonthlyReport
       };
@@ -72,62 +94,34 @@ class AnalyticsService {
   }
 
   /**
-   * Получение статистики дашборда
+   * Получение статистики дашборда из дневных сводок (analytics_daily_rollups).
+   * Недостающие дни досчитываются при первом запросе, сегодняшний день обновляет cron
+   * @param {string} [dateRange='7d'] - 1d|7d|30d|90d (календарные дни по МСК, включая сегодня)
    */
   async getDashboardStats(dateRange = '7d') {
     try {
       const models = this.getModels();
       
-      if (!models) {
+      if (!models || !models.AnalyticsDailyRollup) {
         return this.getEmptyStats(dateRange, 'Models not available');
       }
 
-      const startDate = this.getStartDate(dateRange);
-      
-      // Получаем все данные параллельно
-      const [
-        totalUsers,
-        newUsers,
-        totalQuotes,
-        activeUsers,
-        promoUsage,
-        sourceStats,
-        utmStats
-      ] = await Promise.all([
-        this.getTotalUsers(),
-        this.getNewUsers(startDate),
-        this.getTotalQuotes(startDate),
-        this.getActiveUsers(startDate),
-        this.getPromoUsage(startDate),
-        this.getSourceStats(startDate),
-        this.getUTMStats(startDate)
-      ]);
-
-      const avgQuotesPerUser = totalUsers > 0 ? 
-        Math.round((totalQuotes / totalUsers) * 10) / 10 : 0;
+      const rollups = await this.ensureRollups(this.getPeriodDayKeys(dateRange));
+      const aggregated = this.aggregateRollups(rollups);
 
       const stats = {
-        overview: {
-          totalUsers,
-          newUsers,
-          totalQuotes,
-          avgQuotesPerUser,
-          activeUsers,
-          promoUsage
-        },
-        sourceStats: sourceStats || [],
-        utmStats: utmStats || [],
+        ...aggregated,
         period: dateRange,
         timestamp: new Date().toISOString(),
         fallbackMode: false,
-        dataSource: 'mongodb'
+        dataSource: 'rollups'
       };
 
       logger.info('📊 Dashboard данные получены:', {
-        totalUsers,
-        totalQuotes,
-        sources: sourceStats.length,
-        utmCampaigns: utmStats.length
+        days: rollups.length,
+        totalUsers: aggregated.overview.totalUsers,
+        totalQuotes: aggregated.overview.totalQuotes,
+        utmCampaigns: aggregated.utmStats.length
       });
 
       return stats;
@@ -355,159 +349,210 @@ class AnalyticsService {
   }
 
   // ========================================
-  // ОСНОВНЫЕ МЕТОДЫ ДЛЯ ДАННЫХ
+  // ДНЕВНЫЕ СВОДКИ
   // ========================================
 
-  async getTotalUsers() {
-    const models = this.getModels();
-    
-    if (!models || !models.UserProfile) {
-      return 0;
-    }
-    
-    try {
-      const count = await models.UserProfile.countDocuments({ isOnboardingComplete: true });
-      return count;
-    } catch (error) {
-      logger.error('📊 Ошибка в getTotalUsers:', error.message);
-      return 0;
+  /**
+   * Ключи дней периода, от старого к новому
+   * @param {string} dateRange - 1d|7d|30d|90d
+   * @param {Date} [now]
+   * @returns {string[]} YYYY-MM-DD
+   */
+  getPeriodDayKeys(dateRange, now = new Date()) {
+    const days = PERIOD_DAYS[dateRange] || PERIOD_DAYS['7d'];
+    const keys = new Set();
+    for (let i = days - 1; i >= 0; i--) {
+      keys.add(getDayKey(new Date(now.getTime() - i * DAY_MS)));
     }
+    return [...keys];
   }
 
-  async getNewUsers(startDate) {
+  /**
+   * Считает сводку за день из сырых данных и (по умолчанию) сохраняет ее
+   * @param {string} dayKey - YYYY-MM-DD
+   * @param {Object} [options]
+   * @param {boolean} [options.persist=true] - Сохранить в analytics_daily_rollups
+   * @returns {Promise<Object>} Документ сводки
+   */
+  async buildDailyRollup(dayKey, { persist = true } = {}) {
     const models = this.getModels();
-    
-    if (!models || !models.UserProfile) {
-      return 0;
-    }
-    
-    try {
-      const count = await models.UserProfile.countDocuments({
-        isOnboardingComplete: true,
-        registeredAt: { $gte: startDate }
-      });
-      return count;
-    } catch (error) {
-      logger.error('📊 Ошибка в getNewUsers:', error.message);
-      return 0;
-    }
-  }
+    const { start, end } = getLocalDayRange(dayKey);
+    const range = { $gte: start, $lte: end };
+    const newUsersMatch = { isOnboardingComplete: true, registeredAt: range };
+
+    const [
+      totalUsers,
+      newUsers,
+      sources,
+      quotesAdded,
+      quoteUserIds,
+      eventStats,
+      eventUserIds,
+      promoUsage,
+      utm
+    ] = await Promise.all([
+      models.UserProfile.countDocuments({ isOnboardingComplete: true, registeredAt: { $lte: end } }),
+      models.UserProfile.countDocuments(newUsersMatch),
+      models.UserProfile.aggregate([
+        { $match: newUsersMatch },
+        { $group: { _id: '$source', count: { $sum: 1 } } }
+      ]),
+      models.Quote.countDocuments({ createdAt: range }),
+      models.Quote.distinct('userId', { createdAt: range }),
+      models.AnalyticsEvent.aggregate([
+        { $match: { occurredAt: range } },
+        { $group: { _id: '$name', count: { $sum: 1 }, users: { $addToSet: '$userId' } } },
+        { $project: { count: 1, uniqueUsers: { $size: { $setDifference: ['$users', [null]] } } } }
+      ]),
+      models.AnalyticsEvent.distinct('userId', { occurredAt: range, userId: { $ne: null } }),
+      models.PromoCodeUsage.countDocuments({ timestamp: range }),
+      models.UTMClick.aggregate([
+        { $match: { timestamp: range } },
+        { $group: { _id: '$campaign', clicks: { $sum: 1 }, userIds: { $addToSet: '$userId' } } }
+      ])
+    ]);
+
+    const activeUserIds = [...new Set([...quoteUserIds, ...eventUserIds].map(String))];
+
+    const rollup = {
+      dayKey,
+      totalUsers,
+      newUsers,
+      activeUsers: activeUserIds.length,
+      activeUserIds,
+      quotesAdded,
+      promoUsage,
+      events: eventStats
+        .map(event => ({ name: event._id, count: event.count, uniqueUsers: event.uniqueUsers }))
+        .sort((a, b) => b.count - a.count),
+      sources: sources.map(item => ({ source: item._id || null, count: item.count })),
+      utm: utm.map(item => ({ campaign: item._id, clicks: item.clicks, userIds: item.userIds.map(String) })),
+      computedAt: new Date()
+    };
 
-  async getTotalQuotes(startDate) {
-    const models = this.getModels();
-    
-    if (!models || !models.Quote) {
-      return 0;
-    }
-    
-    try {
-      const count = await models.Quote.countDocuments({ createdAt: { $gte: startDate } });
-      return count;
-    } catch (error) {
-      logger.error('📊 Ошибка в getTotalQuotes:', error.message);
-      return 0;
+    if (persist) {
+      await models.AnalyticsDailyRollup.updateOne({ dayKey }, { $set: rollup }, { upsert: true });
     }
+
+    return rollup;
   }
 
-  async getActiveUsers(startDate) {
+  /**
+   * Сводки за указанные дни; отсутствующие досчитываются. Прошедший день, посчитанный
+   * до своего окончания, пересчитывается один раз окончательно
+   * @param {string[]} dayKeys - YYYY-MM-DD
+   * @param {Date} [now]
+   * @returns {Promise<Object[]>} Сводки в порядке dayKeys
+   */
+  async ensureRollups(dayKeys, now = new Date()) {
     const models = this.getModels();
-    
-    if (!models || !models.Quote) {
-      return 0;
-    }
-    
-    try {
-      const activeUsers = await models.Quote.distinct('userId', { 
-        createdAt: { $gte: startDate } 
-      });
-      return activeUsers.length;
-    } catch (error) {
-      logger.error('📊 Ошибка в getActiveUsers:', error.message);
-      return 0;
+    const todayKey = getDayKey(now);
+    const existing = await models.AnalyticsDailyRollup.find({ dayKey: { $in: dayKeys } }).lean();
+    const byKey = new Map(existing.map(rollup => [rollup.dayKey, rollup]));
+
+    const rollups = [];
+    for (const dayKey of dayKeys) {
+      let rollup = byKey.get(dayKey);
+      const isIncomplete = rollup && dayKey !== todayKey &&
+        new Date(rollup.computedAt) <= getLocalDayRange(dayKey).end;
+
+      if (!rollup || isIncomplete) {
+        rollup = await this.buildDailyRollup(dayKey);
+      }
+      rollups.push(rollup);
     }
+
+    return rollups;
   }
 
-  async getPromoUsage(startDate) {
-    const models = this.getModels();
-    
-    if (!models || !models.PromoCodeUsage) {
-      return 0;
-    }
-    
-    try {
-      const count = await models.PromoCodeUsage.countDocuments({
-        timestamp: { $gte: startDate }
+  /**
+   * Сворачивает дневные сводки в ответ дашборда
+   * @param {Object[]} rollups - Сводки от старого дня к новому
+   * @returns {{overview: Object, sourceStats: Array, utmStats: Array, events: Array}}
+   */
+  aggregateRollups(rollups) {
+    const sum = field => rollups.reduce((total, rollup) => total + (rollup[field] || 0), 0);
+    const latest = rollups[rollups.length - 1];
+    const totalUsers = latest ? latest.totalUsers : 0;
+    const totalQuotes = sum('quotesAdded');
+
+    // Уникальные за период по спискам userId; для дней за пределами retention списков нет,
+    // тогда берем максимум дневных значений как нижнюю оценку
+    const activeIds = new Set();
+    rollups.forEach(rollup => (rollup.activeUserIds || []).forEach(id => activeIds.add(id)));
+    const activeUsers = Math.max(activeIds.size, ...rollups.map(rollup => rollup.activeUsers || 0), 0);
+
+    const sources = new Map();
+    const campaigns = new Map();
+    const events = new Map();
+
+    rollups.forEach(rollup => {
+      (rollup.sources || []).forEach(({ source, count }) => {
+        sources.set(source, (sources.get(source) || 0) + count);
       });
-      return count;
-    } catch (error) {
-      return 0;
-    }
+      (rollup.utm || []).forEach(({ campaign, clicks, userIds }) => {
+        const entry = campaigns.get(campaign) || { clicks: 0, users: new Set() };
+        entry.clicks += clicks;
+        (userIds || []).forEach(id => entry.users.add(id));
+        campaigns.set(campaign, entry);
+      });
+      (rollup.events || []).forEach(({ name, count, uniqueUsers }) => {
+        const entry = events.get(name) || { count: 0, userDays: 0 };
+        entry.count += count;
+        entry.userDays += uniqueUsers;
+        events.set(name, entry);
+      });
+    });
+
+    return {
+      overview: {
+        totalUsers,
+        newUsers: sum('newUsers'),
+        totalQuotes,
+        avgQuotesPerUser: totalUsers > 0 ? Math.round((totalQuotes / totalUsers) * 10) / 10 : 0,
+        activeUsers,
+        promoUsage: sum('promoUsage')
+      },
+      sourceStats: [...sources.entries()]
+        .map(([source, count]) => ({ _id: source, count }))
+        .sort((a, b) => b.count - a.count),
+      utmStats: [...campaigns.entries()]
+        .map(([campaign, { clicks, users }]) => ({ campaign, clicks, uniqueUsers: users.size }))
+        .sort((a, b) => b.clicks - a.clicks),
+      // userDays - сумма дневных уникальных пользователей события
+      events: [...events.entries()]
+        .map(([name, { count, userDays }]) => ({ name, count, userDays }))
+        .sort((a, b) => b.count - a.count)
+    };
   }
 
-  async getSourceStats(startDate) {
-    const models = this.getModels();
-    
-    if (!models || !models.UserProfile) {
-      return [];
-    }
-    
-    try {
-      const stats = await models.UserProfile.aggregate([
-        { 
-          $match: { 
-            registeredAt: { $gte: startDate },
-            isOnboardingComplete: true
-          } 
-        },
-        { $group: { _id: '$source', count: { $sum: 1 } } },
-        { $sort: { count: -1 } }
-      ]);
-      return stats;
-    } catch (error) {
-      logger.error('📊 Ошибка в getSourceStats:', error.message);
-      return [];
+  /**
+   * Пересчет вчера и сегодня + очистка userId в сводках старше retention (cron)
+   * @param {Date} [now]
+   * @returns {Promise<{days: string[], pruned: number}>}
+   */
+  async refreshRollups(now = new Date()) {
+    await this.flushEvents();
+
+    const days = [
+      getDayKey(new Date(now.getTime() - DAY_MS)),
+      getDayKey(now)
+    ];
+    for (const dayKey of days) {
+      await this.buildDailyRollup(dayKey);
     }
-  }
 
-  async getUTMStats(startDate) {
     const models = this.getModels();
-    
-    if (!models || !models.UTMClick) {
-      logger.info('📊 UTMClick модель недоступна, создаем демо данные');
-      return this.createDemoUTMStats();
-    }
-    
-    try {
-      const stats = await models.UTMClick.aggregate([
-        { $match: { timestamp: { $gte: startDate } } },
-        { 
-          $group: { 
-            _id: '$campaign', 
-            clicks: { $sum: 1 }, 
-            users: { $addToSet: '$userId' } 
-          } 
-        },
-        { 
-          $project: { 
-            campaign: '$_id', 
-            clicks: 1, 
-            uniqueUsers: { $size: '$users' } 
-          } 
-        },
-        { $sort: { clicks: -1 } }
-      ]);
-      
-      // Если реальных данных нет, создаем демо
-      if (!stats || stats.length === 0) {
-        logger.info('📊 Нет UTM данных, создаем демо статистику');
-        return this.createDemoUTMStats();
-      }
-      
-      return stats;
-    } catch (error) {
-      logger.warn('📊 Ошибка получения UTM статистики:', error.message);
-      return this.createDemoUTMStats();
-    }
+    const cutoffKey = getDayKey(new Date(now.getTime() - config.analytics.eventRetentionDays * DAY_MS));
+    const result = await models.AnalyticsDailyRollup.updateMany(
+      {
+        dayKey: { $lt: cutoffKey },
+        $or: [{ 'activeUserIds.0': { $exists: true } }, { 'utm.userIds.0': { $exists: true } }]
+      },
+      { $set: { activeUserIds: [], 'utm.$[].userIds': [] } }
+    );
+
+    return { days, pruned: result.modifiedCount || 0 };
   }
 
   // ========================================
@@ -559,31 +604,6 @@ class AnalyticsService {
     ];
   }
 
-  createDemoUTMStats() {
-    return [
-      {
-        campaign: 'instagram_stories',
-        clicks: 45,
-        uniqueUsers: 38
-      },
-      {
-        campaign: 'telegram_channel',
-        clicks: 32,
-        uniqueUsers: 28
-      },
-      {
-        campaign: 'youtube_description',
-        clicks: 18,
-        uniqueUsers: 16
-      },
-      {
-        campaign: 'threads_post',
-        clicks: 12,
-        uniqueUsers: 11
-      }
-    ];
-  }
-
   // ========================================
   // ВСПОМОГАТЕЛЬНЫЕ МЕТОДЫ
   // ========================================
@@ -600,6 +620,7 @@ class AnalyticsService {
       },
       sourceStats: [],
       utmStats: [],
+      events: [],
       period: dateRange,
       timestamp: new Date().toISOString(),
       fallbackMode: false,
@@ -634,10 +655,221 @@ class AnalyticsService {
     }
   }
 
-  // Заглушки для методов трекинга
-  async trackUTMClick() { /* заглушка */ }
-  async trackPromoCodeUsage() { /* заглушка */ }
-  async trackUserAction() { /* заглушка */ }
+  // ========================================
+  // ТРЕКИНГ СОБЫТИЙ
+  // ========================================
+
+  /**
+   * Серверное событие: копится в буфере и пишется пачкой.
+   * Не бросает исключений - аналитика не должна ломать основной сценарий
+   * @param {string} name - Имя из ANALYTICS_EVENTS
+   * @param {string|null} userId - Telegram user ID
+   * @param {Object} [properties] - Плоские свойства события
+   * @param {Object} [options]
+   * @param {string} [options.source='server'] - server|client
+   * @param {Date} [options.occurredAt] - Время события
+   * @param {string} [options.sessionId] - ID сессии
+   * @returns {boolean} true если событие принято
+   */
+  trackEvent(name, userId, properties = {}, options = {}) {
+    const models = this.getModels();
+    if (!models || !models.AnalyticsEvent) {
+      return false;
+    }
+    if (!models.AnalyticsEvent.ANALYTICS_EVENTS.includes(name)) {
+      logger.warn(`📊 Неизвестное событие аналитики: ${name}`);
+      return false;
+    }
+
+    this._eventBuffer.push({
+      name,
+      userId: userId ? String(userId) : null,
+      source: options.source || 'server',
+      properties: this.sanitizeProperties(properties),
+      sessionId: options.sessionId || null,
+      occurredAt: options.occurredAt || new Date()
+    });
+
+    if (this._eventBuffer.length >= config.analytics.maxBufferSize) {
+      this.flushEvents();
+    } else if (!this._flushTimer) {
+      this._flushTimer = setTimeout(() => this.flushEvents(), config.analytics.flushIntervalMs);
+      this._flushTimer.unref?.();
+    }
+
+    return true;
+  }
+
+  /**
+   * Запись накопленных серверных событий. При ошибке пачка отбрасывается
+   * (без повторов, чтобы буфер не рос при недоступной БД)
+   * @returns {Promise<number>} Сколько событий записано
+   */
+  async flushEvents() {
+    if (this._flushTimer) {
+      clearTimeout(this._flushTimer);
+      this._flushTimer = null;
+    }
+    if (this._eventBuffer.length === 0) {
+      return 0;
+    }
+
+    const batch = this._eventBuffer.splice(0);
+    try {
+      await this.getModels().AnalyticsEvent.insertMany(batch, { ordered: false });
+      return batch.length;
+    } catch (error) {
+      logger.error(`📊 Не удалось записать ${batch.length} событий аналитики: ${error.message}`);
+      return 0;
+    }
+  }
+
+  /**
+   * Прием пачки событий из mini-app. Принимаются только CLIENT_EVENTS, время события
+   * должно быть в пределах недели (иначе берется время приема), повторная отправка
+   * с тем же eventId игнорируется
+   * @param {string} userId - Telegram user ID из telegramAuth
+   * @param {Array<{name: string, occurredAt?: string, properties?: Object, sessionId?: string, eventId?: string}>} events
+   * @param {Date} [now]
+   * @returns {Promise<{accepted: number, duplicates: number, rejected: number}>}
+   */
+  async ingestClientEvents(userId, events, now = new Date()) {
+    const { AnalyticsEvent } = this.getModels();
+    const received = Array.isArray(events) ? events : [];
+    const docs = [];
+
+    received.slice(0, config.analytics.maxBatchSize).forEach(event => {
+      if (!event || !AnalyticsEvent.CLIENT_EVENTS.includes(event.name)) {
+        return;
+      }
+
+      const occurredAt = new Date(event.occurredAt);
+      const isPlausible = !Number.isNaN(occurredAt.getTime()) &&
+        occurredAt.getTime() <= now.getTime() + CLIENT_CLOCK_SKEW_MS &&
+        occurredAt.getTime() >= now.getTime() - CLIENT_EVENT_MAX_AGE_MS;
+
+      const doc = {
+        name: event.name,
+        userId: String(userId),
+        source: 'client',
+        properties: this.sanitizeProperties(event.properties),
+        sessionId: typeof event.sessionId === 'string' ? event.sessionId.slice(0, 64) : null,
+        occurredAt: isPlausible ? occurredAt : now
+      };
+      if (typeof event.eventId === 'string' && event.eventId) {
+        doc.eventId = `${userId}:${event.eventId.slice(0, 64)}`;
+      }
+      docs.push(doc);
+    });
+
+    const result = { accepted: docs.length, duplicates: 0, rejected: received.length - docs.length };
+    if (docs.length === 0) {
+      return result;
+    }
+
+    try {
+      await AnalyticsEvent.insertMany(docs, { ordered: false });
+    } catch (error) {
+      const writeErrors = error.writeErrors || (error.code === 11000 ? [error] : []);
+      if (writeErrors.length === 0 || !writeErrors.every(writeError => writeError.code === 11000)) {
+        throw error;
+      }
+      result.duplicates = writeErrors.length;
+      result.accepted -= writeErrors.length;
+    }
+
+    return result;
+  }
+
+  /**
+   * Оставляет в свойствах события только короткие примитивы
+   * @param {*} properties
+   * @returns {Object}
+   */
+  sanitizeProperties(properties) {
+    if (!properties || typeof properties !== 'object' || Array.isArray(properties)) {
+      return {};
+    }
+
+    const clean = {};
+    Object.entries(properties).slice(0, MAX_EVENT_PROPERTIES).forEach(([key, value]) => {
+      if (typeof value === 'string') {
+        clean[key] = value.slice(0, 200);
+      } else if ((typeof value === 'number' && Number.isFinite(value)) || typeof value === 'boolean') {
+        clean[key] = value;
+      }
+    });
+    return clean;
+  }
+
+  /**
+   * Запись UTM клика
+   * @param {Object} utmData - utm_source, utm_medium, utm_campaign, utm_content, user_agent, referrer, ip_address, session_id
+   * @param {string} userId - ID пользователя
+   * @returns {Promise<Object>} Документ UTMClick
+   */
+  async trackUTMClick(utmData, userId) {
+    const { UTMClick } = this.getModels();
+
+    return UTMClick.recordClick({
+      userId: String(userId),
+      source: utmData.utm_source,
+      medium: utmData.utm_medium || 'unknown',
+      campaign: utmData.utm_campaign,
+      content: utmData.utm_content || undefined,
+      userAgent: utmData.user_agent,
+      referrer: utmData.referrer,
+      ipAddress: utmData.ip_address,
+      sessionId: utmData.session_id
+    });
+  }
+
+  /**
+   * Запись использования промокода
+   * @param {string} promoCode - Промокод
+   * @param {string} userId - ID пользователя
+   * @param {number} orderValue - Сумма заказа
+   * @param {Object} [metadata] - discount (%), source, reportType, booksPurchased
+   * @returns {Promise<Object>} Документ PromoCodeUsage
+   */
+  async trackPromoCodeUsage(promoCode, userId, orderValue, metadata = {}) {
+    const { PromoCodeUsage } = this.getModels();
+    const discount = Number(metadata.discount);
+    const sources = PromoCodeUsage.schema.path('source').enumValues;
+    const reportTypes = PromoCodeUsage.schema.path('reportType').enumValues;
+
+    return PromoCodeUsage.recordUsage({
+      promoCode,
+      userId: String(userId),
+      orderValue,
+      discount: Number.isFinite(discount) ? Math.min(Math.max(discount, 0), 100) : 0,
+      source: sources.includes(metadata.source) ? metadata.source : 'telegram_bot',
+      reportType: reportTypes.includes(metadata.reportType) ? metadata.reportType : undefined,
+      booksPurchased: Array.isArray(metadata.booksPurchased) ? metadata.booksPurchased.map(String) : []
+    });
+  }
+
+  /**
+   * Запись действия пользователя: события пайплайна идут в analytics_events,
+   * остальные известные действия - в UserAction
+   * @param {string} userId - ID пользователя
+   * @param {string} action - Тип действия
+   * @param {Object} [metadata] - Метаданные
+   * @returns {Promise<boolean>} false для неизвестного действия
+   */
+  async trackUserAction(userId, action, metadata = {}) {
+    const { AnalyticsEvent, UserAction } = this.getModels();
+
+    if (AnalyticsEvent.ANALYTICS_EVENTS.includes(action)) {
+      return this.trackEvent(action, userId, metadata);
+    }
+    if (!UserAction.schema.path('action').enumValues.includes(action)) {
+      return false;
+    }
+
+    await UserAction.recordAction(String(userId), action, metadata);
+    return true;
+  }
 }
 
 module.exports = new AnalyticsService();
\ No newline at end of file
@@ -5,6 +5,7 @@
  */
 
 const logger = require('../utils/logger');
+const { getDayKey } = require('../utils/timezone');
 
 /**
  * @typedef {Object} AnnouncementData
@@ -342,7 +343,7 @@ class AnnouncementService {
     const utmLink = await this.generateUTMLink(announcement.utmCampaign, userId);
     
     // 📋 NEW: Получаем актуальный промокод из БД
-    const promoCode = await this.getAnnouncementPromoCode();
+    const promoCode = await this.getAnnouncementPromoCode(userId, announcement);
     
     const message = `🎉 *Специальный анонс от Анны Бусел*\n\n📚 *${announcement.title}*\n\n${announcement.description}\n\n💰 Стоимость: ${announcement.price}\n🗓 Старт: ${announcement.launchDate}\n\n🎁 *Для подписчиков "Читателя" скидка ${promoCode.discount}%*\nПромокод: ${promoCode.code}\n\n[Узнать подробности и записаться](${utmLink})\n\n---\n_Анонсы приходят только раз в месяц с важными новостями от Анны_`;
 
@@ -366,12 +367,31 @@ class AnnouncementService {
 
   /**
    * 📋 NEW: Получение промокода для анонсов из БД
+   * Читателю выдается персональный код на анонс месяца, чтобы покупки связывались с анонсом
+   * @param {string} [userId] - Telegram ID читателя
+   * @param {AnnouncementData} [announcement] - Анонс
    * @returns {Promise<Object>} Промокод
    */
-  async getAnnouncementPromoCode() {
+  async getAnnouncementPromoCode(userId = null, announcement = null) {
     try {
+      if (this.PromoCode && userId && announcement?.id) {
+        const promoCodeService = require('./promoCodeService');
+        const personal = await promoCodeService.issuePersonalCode(userId, {
+          type: 'announcement',
+          ref: `${announcement.id}:${getDayKey().slice(0, 7)}`,
+          announcementId: String(announcement.id)
+        });
+
+        if (personal) {
+          return {
+            code: personal.code,
+            discount: personal.discount
+          };
+        }
+      }
+
       if (this.PromoCode) {
-        const promoCode = await this.PromoCode.getRandomForContext('monthly_announcement');
+        const promoCode = await this.PromoCode.getRandomForContext('announcement');
         
         if (promoCode) {
           logger.info(`📋 Using promo code from database: ${promoCode.code}`);
@@ -4,8 +4,9 @@
  */
 
 const logger = require('../../utils/logger');
+const AudioCatalog = require('../../models/AudioCatalog');
 // Import entitlement service at top level to avoid dynamic require
-const { hasAudioAccess } = require('../access/entitlementService');
+const { resolveAudioAccess, daysUntil } = require('../access/entitlementService');
 
 /**
  * Helper to construct media URL for free audio files
@@ -17,84 +18,60 @@ function makeMediaUrl(relativePath) {
 }
 
 /**
- * Metadata for free audio content
- * In production, this would come from a database
- * TODO: Move to database model for easier content management
+ * How long catalog metadata is cached in memory
  */
-const FREE_AUDIO_METADATA = {
-  'malenkii_princ': {
-    id: 'malenkii_princ',
-    title: 'Разбор: «Маленький принц»',
-    author: 'Антуан де Сент-Экзюпери',
-    description: 'Этот разбор прослушало более 35.000 человек!',
-    coverUrl: '/assets/book-covers/malenkii_princ.png',
-    playerCoverUrl: '/assets/audio-covers/malenkii_princ-player.png',
-    isFree: true,
-    tracks: [
-      {
-        id: 'malenkii_princ-01',
-        title: 'Часть 1',
-        file: 'malenkii_princ/01.mp3'
-      },
-      {
-        id: 'malenkii_princ-02',
-        title: 'Часть 2',
-        file: 'malenkii_princ/02.mp3'
-      },
-      {
-        id: 'malenkii_princ-03',
-        title: 'Часть 3',
-        file: 'malenkii_princ/03.mp3'
-      },
-      {
-        id: 'malenkii_princ-04',
-        title: 'Часть 4',
-        file: 'malenkii_princ/04.mp3'
-      },
-      {
-        id: 'malenkii_princ-05',
-        title: 'Часть 5',
-        file: 'malenkii_princ/05.mp3'
-      },
-      {
-        id: 'malenkii_princ-06',
-        title: 'Часть 6',
-        file: 'malenkii_princ/06.mp3'
-      }
-    ]
-  },
-  eat_pray_love: {
-    id: 'eat_pray_love',
-    title: 'Разбор фильма: «Ешь, молись, люби»',
-    author: 'Фильм',
-    description: 'Как найти своё предназначение?',
-    coverUrl: '/assets/book-covers/eat_pray_love.png',
-    playerCoverUrl: '/assets/audio-covers/eat_pray_love-player.png',
-    isFree: true,
-    tracks: [
-      { id: 'eat_pray_love-01', title: 'Полный аудиоразбор', file: 'eat_pray_love/01.mp3' }
-    ]
-  },
-  
-  // Premium content (gated behind entitlement)
-  alice_wonderland: {
-    id: 'alice_wonderland',
-    title: 'Разбор: «Алиса в стране чудес»',
-    author: 'Льюис Кэрролл',
-    description: 'Философский анализ классической сказки о поиске себя и познании мира',
-    coverUrl: '/assets/book-covers/alice_wonderland.png',
-    playerCoverUrl: '/assets/audio-covers/alice_wonderland-player.png',
-    isFree: false,
-    requiresEntitlement: true,
-    tracks: [
-      { id: 'alice_wonderland-01', title: 'Часть 1', file: 'alice_wonderland/01.mp3' },
-      { id: 'alice_wonderland-02', title: 'Часть 2', file: 'alice_wonderland/02.mp3' },
-      { id: 'alice_wonderland-03', title: 'Часть 3', file: 'alice_wonderland/03.mp3' }
-    ]
+const CATALOG_CACHE_TTL_MS = 60 * 1000;
+
+let catalogCache = null;
+let catalogLoadedAt = 0;
+
+/**
+ * Load active audio catalog (cached)
+ * @returns {Promise<Object<string, Object>>} Metadata keyed by audio ID
+ */
+async function loadCatalog() {
+  if (catalogCache && Date.now() - catalogLoadedAt < CATALOG_CACHE_TTL_MS) {
+    return catalogCache;
   }
-  
-  // More free audios can be added here
-};
+
+  const entries = await AudioCatalog.getActiveCatalog();
+  const catalog = {};
+  for (const entry of entries) {
+    catalog[entry.audioId] = entry.toMetadata();
+  }
+
+  catalogCache = catalog;
+  catalogLoadedAt = Date.now();
+  return catalog;
+}
+
+/**
+ * Drop cached catalog (called after admin changes)
+ */
+function invalidateCatalog() {
+  catalogCache = null;
+  catalogLoadedAt = 0;
+}
+
+/**
+ * Find container and track for an ID (container ID or track ID)
+ * @param {Object<string, Object>} catalog - Loaded catalog
+ * @param {string} audioId - Audio identifier
+ * @returns {{container: Object|null, track: Object|null}} Match
+ */
+function resolveInCatalog(catalog, audioId) {
+  if (catalog[audioId]) {
+    return { container: catalog[audioId], track: null };
+  }
+  for (const containerId in catalog) {
+    const container = catalog[containerId];
+    const track = (container.tracks || []).find(t => t.id === audioId);
+    if (track) {
+      return { container, track };
+    }
+  }
+  return { container: null, track: null };
+}
 
 /**
  * List all free audio content
@@ -102,9 +79,11 @@ const FREE_AUDIO_METADATA = {
  */
 async function listFreeAudios() {
   try {
+    const catalog = await loadCatalog();
+
     // Filter to only include content where isFree === true (exclude premium content)
-    const freeAudios = Object.values(FREE_AUDIO_METADATA)
-      .filter(audio => audio.isFree === true && !audio.requiresEntitlement)
+    const freeAudios = Object.values(catalog)
+      .filter(audio => audio.isFree === true)
       .map(audio => {
         const result = {
           id: audio.id,
@@ -115,10 +94,10 @@ async function listFreeAudios() {
           isFree: true
         };
         
-        // Only add audioUrl for single files (not containers)
-        if (audio.audioFile) {
-          result.audioUrl = `/media/free/${audio.audioFile}`;
-          result.durationSec = audio.durationSec;
+        // Single-track entries can be played directly from the list
+        if (audio.tracks.length === 1) {
+          result.audioUrl = makeMediaUrl(audio.tracks[0].file);
+          result.durationSec = audio.tracks[0].durationSec;
         }
         
         return result;
@@ -132,6 +111,26 @@ async function listFreeAudios() {
   }
 }
 
+/**
+ * List the whole active catalog (free and paid) for the mini app
+ * @returns {Promise<Array>} Array of catalog summaries
+ */
+async function listCatalog() {
+  const catalog = await loadCatalog();
+  return Object.values(catalog).map(audio => ({
+    id: audio.id,
+    title: audio.title,
+    author: audio.author,
+    description: audio.description,
+    coverUrl: audio.coverUrl,
+    bookSlug: audio.bookSlug,
+    isFree: audio.isFree,
+    requiresEntitlement: audio.requiresEntitlement,
+    trackCount: audio.tracks.length,
+    totalDurationSec: audio.totalDurationSec
+  }));
+}
+
 /**
  * Find audio by ID (container or individual track)
  * @param {string} audioId - Audio identifier (container ID or track ID)
@@ -139,59 +138,37 @@ async function listFreeAudios() {
  */
 async function findById(audioId) {
   try {
-    // Check if it's a direct container
-    if (FREE_AUDIO_METADATA[audioId]) {
-      const audio = FREE_AUDIO_METADATA[audioId];
-      
-      // If it's a container with tracks, return container metadata
-      if (audio.tracks) {
-        return {
-          id: audio.id,
-          title: audio.title,
-          author: audio.author,
-          description: audio.description,
-          coverUrl: audio.coverUrl,
-          playerCoverUrl: audio.playerCoverUrl,
-          isFree: true,
-          tracks: audio.tracks
-        };
-      }
-      
-      // Otherwise, it's a single audio file
+    const catalog = await loadCatalog();
+    const { container, track } = resolveInCatalog(catalog, audioId);
+
+    if (container && !track) {
       return {
-        id: audio.id,
-        title: audio.title,
-        author: audio.author,
-        description: audio.description,
-        durationSec: audio.durationSec,
-        coverUrl: audio.coverUrl,
-        playerCoverUrl: audio.playerCoverUrl,
-        audioUrl: `/media/free/${audio.audioFile}`,
-        isFree: true
+        id: container.id,
+        title: container.title,
+        author: container.author,
+        description: container.description,
+        coverUrl: container.coverUrl,
+        playerCoverUrl: container.playerCoverUrl,
+        bookSlug: container.bookSlug,
+        isFree: container.isFree,
+        requiresEntitlement: container.requiresEntitlement,
+        totalDurationSec: container.totalDurationSec,
+        tracks: container.tracks
       };
     }
 
-    // Check if it's a track ID (format: containerId-trackNumber)
-    for (const containerId in FREE_AUDIO_METADATA) {
-      const container = FREE_AUDIO_METADATA[containerId];
-      if (container.tracks) {
-        const track = container.tracks.find(t => t.id === audioId);
-        if (track) {
-          return {
-            id: track.id,
-            title: track.title,
-            author: container.author,
-            coverUrl: container.coverUrl,
-            audioUrl: makeMediaUrl(track.file),
-            isFree: true,
-            containerId: containerId
-          };
-        }
-      }
+    if (track) {
+      return {
+        id: track.id,
+        title: track.title,
+        author: container.author,
+        coverUrl: container.coverUrl,
+        durationSec: track.durationSec,
+        audioUrl: makeMediaUrl(track.file),
+        isFree: container.isFree,
+        containerId: container.id
+      };
     }
-
-    // In the future, check database for premium content
-    // For now, premium content is not implemented
     
     logger.warn(`⚠️ Audio not found: ${audioId}`);
     return null;
@@ -202,68 +179,85 @@ async function findById(audioId) {
 }
 
 /**
- * Check if user has access to audio
+ * @typedef {Object} AudioAccessInfo
+ * @property {boolean} unlocked - Whether the user can listen
+ * @property {string|null} reason - 'free' | 'audio' | 'package' | 'subscription' (null if locked)
+ * @property {string|null} resourceId - Entitlement resource that grants access
+ * @property {Date|null} expiresAt - When access ends (null = never); when locked - when access expired (null if never had any)
+ * @property {number|null} remainingDays - Days left (null if locked or access never expires)
+ * @property {boolean} unlimited - Access never expires
+ */
+
+/**
+ * Resolve why and until when a user has access to audio
  * @param {mongoose.Types.ObjectId} userId - User ID
  * @param {string} audioId - Audio identifier (container ID or track ID)
- * @returns {Promise<boolean>} True if user has access
+ * @returns {Promise<AudioAccessInfo>} Access details
  */
-async function isUnlocked(userId, audioId) {
+async function getAccessInfo(userId, audioId) {
+  const locked = { unlocked: false, reason: null, resourceId: null, expiresAt: null, remainingDays: null, unlimited: false };
+  const free = { unlocked: true, reason: 'free', resourceId: null, expiresAt: null, remainingDays: null, unlimited: true };
+
   try {
     // Free content is always unlocked (including tracks from free containers)
     // Check if ID starts with 'free-' prefix
     if (audioId.startsWith('free-')) {
-      logger.info(`✅ Free audio ${audioId} is unlocked for all users`);
-      return true;
+      return free;
     }
 
-    // Check if it's a direct container ID in FREE_AUDIO_METADATA
-    if (FREE_AUDIO_METADATA[audioId]) {
-      // Check if this content is actually free or requires entitlement
-      if (FREE_AUDIO_METADATA[audioId].isFree) {
-        logger.info(`✅ Free audio ${audioId} is unlocked for all users`);
-        return true;
-      }
-      // If not free, fall through to entitlement check below
-    }
+    // Resolve container: either the ID itself or the parent of a track
+    const catalog = await loadCatalog();
+    const { container } = resolveInCatalog(catalog, audioId);
 
-    // Check if it's a track ID from a container (format: containerId-trackNumber)
-    let containerForTrack = null;
-    for (const containerId in FREE_AUDIO_METADATA) {
-      const container = FREE_AUDIO_METADATA[containerId];
-      if (container.tracks) {
-        const track = container.tracks.find(t => t.id === audioId);
-        if (track) {
-          containerForTrack = container;
-          // Check if the parent container is free
-          if (container.isFree) {
-            logger.info(`✅ Free audio ${audioId} is unlocked for all users`);
-            return true;
-          }
-          // If not free, check entitlement for the container (not the track ID)
-          break;
-        }
-      }
+    if (container && container.isFree) {
+      return free;
     }
 
-    // For premium content, check entitlements
-    // If this is a track from a premium container, check entitlement for the container
-    let checkId = audioId;
-    if (containerForTrack && !containerForTrack.isFree) {
-      checkId = containerForTrack.id;
+    // For premium content, check entitlements on the container (not the track ID)
+    const checkId = container ? container.id : audioId;
+    if (checkId !== audioId) {
       logger.info(`🔐 Checking entitlement for container ${checkId} (track: ${audioId})`);
     }
-    
-    const hasAccess = await hasAudioAccess(userId, checkId);
-    
-    logger.info(`${hasAccess ? '✅' : '❌'} Audio ${audioId} ${hasAccess ? 'unlocked' : 'locked'} for user ${userId}`);
-    return hasAccess;
+
+    if (!userId) {
+      return locked;
+    }
+
+    const access = await resolveAudioAccess(userId, checkId, {
+      bookSlug: container ? container.bookSlug : null
+    });
+
+    if (!access.hasAccess) {
+      return { ...locked, expiresAt: access.expiresAt };
+    }
+
+    return {
+      unlocked: true,
+      reason: access.reason,
+      resourceId: access.resourceId,
+      expiresAt: access.expiresAt,
+      remainingDays: access.expiresAt ? daysUntil(access.expiresAt) : null,
+      unlimited: !access.expiresAt
+    };
   } catch (error) {
-    logger.error(`❌ Error checking unlock status for audio ${audioId}:`, error);
+    logger.error(`❌ Error resolving access for audio ${audioId}:`, error);
     // Fail closed - deny access on error
-    return false;
+    return locked;
   }
 }
 
+/**
+ * Check if user has access to audio
+ * @param {mongoose.Types.ObjectId} userId - User ID
+ * @param {string} audioId - Audio identifier (container ID or track ID)
+ * @returns {Promise<boolean>} True if user has access
+ */
+async function isUnlocked(userId, audioId) {
+  const access = await getAccessInfo(userId, audioId);
+  logger.info(`${access.unlocked ? '✅' : '❌'} Audio ${audioId} ${access.unlocked ? `unlocked (${access.reason})` : 'locked'} for user ${userId}`);
+  return access.unlocked;
+}
+
 /**
  * Get streaming URL for audio
  * @param {mongoose.Types.ObjectId} userId - User ID
@@ -289,8 +283,8 @@ async function getStreamUrl(userId, audioId) {
       return { url: makeMediaUrl(audio.tracks[0].file) };
     }
 
-    // For free content (single files or tracks), return direct URL
-    if (audio.isFree) {
+    // For tracks, return direct URL (access was checked above)
+    if (audio.audioUrl) {
       return { url: audio.audioUrl };
     }
 
@@ -312,7 +306,8 @@ async function getStreamUrl(userId, audioId) {
 async function getLastTrack(userId, containerId) {
   try {
     // Get container metadata to verify it exists and has tracks
-    const container = FREE_AUDIO_METADATA[containerId];
+    const catalog = await loadCatalog();
+    const container = catalog[containerId];
     
     if (!container || !container.tracks || container.tracks.length === 0) {
       logger.warn(`⚠️ Container ${containerId} not found or has no tracks`);
@@ -356,8 +351,8 @@ async function getLastTrack(userId, containerId) {
     };
   } catch (error) {
     logger.error(`❌ Error getting last track for ${containerId}:`, error);
-    // Return first track on error
-    const container = FREE_AUDIO_METADATA[containerId];
+    // Return first track on error (from cache if available)
+    const container = catalogCache && catalogCache[containerId];
     if (container && container.tracks && container.tracks.length > 0) {
       return {
         trackId: container.tracks[0].id,
@@ -369,8 +364,12 @@ async function getLastTrack(userId, containerId) {
 }
 
 module.exports = {
+  loadCatalog,
+  invalidateCatalog,
   listFreeAudios,
+  listCatalog,
   findById,
+  getAccessInfo,
   isUnlocked,
   getStreamUrl,
   getLastTrack,
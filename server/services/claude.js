@@ -7,12 +7,14 @@
  * 🚨 URGENT FIX: RAG полностью отключен для Reader Bot
  */
 
-const { Anthropic } = require('@anthropic-ai/sdk');
 const logger = require('../utils/logger');
 const { getAIProviderConfig } = require('../config/aiProvider');
+const aiProviders = require('./ai');
+const { AI_FEATURES } = aiProviders;
 // 🚨 ОТКЛЮЧАЕМ vectorStoreService для Reader Bot
 // const vectorStoreService = require('./vectorStore');
 const promptService = require('./promptService');
+const experimentService = require('./experimentService');
 
 /**
  * @typedef {Object} AIResponse
@@ -33,6 +35,7 @@ const promptService = require('./promptService');
  * @property {string} [userId] - ID пользователя для логирования
  * @property {boolean} [useRag=false] - Использовать ли RAG функциональность (ОТКЛЮЧЕНО в Reader Bot)
  * @property {number} [ragLimit=3] - Количество документов для RAG
+ * @property {string} [feature='chat'] - Функция для маршрутизации провайдера/модели (AI_FEATURES)
  */
 
 /**
@@ -43,17 +46,7 @@ class ClaudeService {
   constructor() {
     this.config = getAIProviderConfig();
     
-    if (this.config.provider === 'anthropic') {
-      this.provider = 'claude';
-      logger.info('📖 Provider name normalized from "anthropic" to "claude"');
-    } else {
-      this.provider = this.config.provider || 'claude';
-    }
-    
-    logger.info(`📖 AI Provider configuration loaded: ${this.provider}`);
-    
-    this.clients = {};
-    this.initializeProviders();
+    logger.info(`📖 AI Provider configuration loaded: ${this.config.provider}`);
     
     this.responseCache = new Map();
     this.cacheTimeout = 5 * 60 * 1000; // 5 минут
@@ -67,49 +60,48 @@ class ClaudeService {
   }
 
   /**
-   * Инициализация доступных AI провайдеров
-   * @private
+   * Провайдер по умолчанию (функции без отдельного маршрута AI_ROUTE_*)
+   * @returns {string} Имя провайдера
    */
-  initializeProviders() {
-    // Initialize Anthropic client ONLY if ANTHROPIC_API_KEY is present
-    if (this.config.claude && this.config.claude.apiKey) {
-      try {
-        this.clients.claude = new Anthropic({
-          apiKey: this.config.claude.apiKey,
-        });
-        logger.info('📖 Claude client initialized successfully');
-      } catch (error) {
-        logger.error(`📖 Failed to initialize Claude client: ${error.message}`);
-      }
-    } else {
-      logger.info('📖 Anthropic API key not provided, skipping Claude client initialization');
-    }
-    
-    if (this.config.openai && this.config.openai.apiKey) {
-      try {
-        const OpenAI = require('openai');
-        this.clients.openai = new OpenAI({
-          apiKey: this.config.openai.apiKey
-        });
-        logger.info('📖 OpenAI client initialized successfully');
-      } catch (error) {
-        logger.error(`📖 Failed to initialize OpenAI client: ${error.message}`);
-      }
-    }
+  get provider() {
+    return aiProviders.resolveRoute(AI_FEATURES.CHAT).provider;
   }
 
   /**
    * 📖 УПРОЩЕНО: Получить универсальный системный промпт
    * @private
    * @param {string} [platform='web'] - Платформа (web, telegram)
+   * @param {string} [userId] - Читатель (варианты A/B экспериментов с промптом и персоной Анны)
    * @returns {Promise<string>} Системный промпт
    */
-  async _getSystemPrompt(platform = 'web') {
+  async _getSystemPrompt(platform = 'web', userId = null) {
+    let systemPrompt;
     try {
-      return await promptService.getActivePrompt('basic');
+      systemPrompt = await promptService.getActivePrompt('basic', 'auto', { userId });
     } catch (error) {
       logger.error(`📖 Error getting system prompt from PromptService: ${error.message}`);
-      return promptService.getDefaultPrompt('basic');
+      systemPrompt = promptService.getDefaultPrompt('basic');
+    }
+
+    const persona = await this._getExperimentPersona(userId);
+    return persona ? `${systemPrompt}\n\n${persona.generateSystemPrompt()}` : systemPrompt;
+  }
+
+  /**
+   * Персона Анны из варианта эксперимента для чата (контекст general_chat)
+   * Читатель берется из сессии бота/мини-приложения, экспозиция пишется при первом ответе
+   * @private
+   * @param {string|null} userId - Telegram ID читателя
+   * @returns {Promise<Object|null>} AnnaPersona или null (контроль, нет эксперимента)
+   */
+  async _getExperimentPersona(userId) {
+    if (!userId) return null;
+
+    try {
+      return await experimentService.getVariantPersona('general_chat', userId);
+    } catch (error) {
+      logger.warn(`🧪 Failed to get experiment persona for ${userId}: ${error.message}`);
+      return null;
     }
   }
 
@@ -130,7 +122,7 @@ class ClaudeService {
   
   /**
    * Переключение провайдера AI
-   * @param {string} providerName - Имя провайдера ('claude', 'openai')
+   * @param {string} providerName - Имя провайдера ('claude', 'openai', 'local')
    * @returns {boolean} Успешность переключения
    */
   switchProvider(providerName) {
@@ -139,17 +131,11 @@ class ClaudeService {
       logger.info('📖 Provider name normalized from "anthropic" to "claude"');
     }
     
-    if (!['claude', 'openai'].includes(providerName)) {
-      logger.error(`📖 Invalid provider name: ${providerName}`);
-      return false;
-    }
-    
-    if (!this.clients[providerName]) {
+    if (!aiProviders.setDefaultProvider(providerName)) {
       logger.error(`📖 Provider ${providerName} is not initialized`);
       return false;
     }
     
-    this.provider = providerName;
     logger.info(`📖 Switched to provider: ${providerName}`);
     return true;
   }
@@ -159,42 +145,26 @@ class ClaudeService {
    * @returns {Promise<boolean>} Статус здоровья
    */
   async isHealthy() {
-    const currentProvider = this.provider;
-    const client = this.clients[currentProvider];
-    
-    if (!client) {
+    if (!aiProviders.isAvailable(AI_FEATURES.HEALTH_CHECK)) {
       return false;
     }
     
     try {
       await promptService.getActivePrompt('basic');
-      
-      if (currentProvider === 'claude') {
-        await this.clients.claude.messages.create({
-          model: this.config.claude.model,
-          max_tokens: 10,
-          messages: [
-            { role: 'user', content: 'Hello' }
-          ],
-        });
-      } else if (currentProvider === 'openai') {
-        await this.clients.openai.chat.completions.create({
-          model: this.config.openai.model,
-          messages: [
-            { role: 'user', content: 'Hello' }
-          ],
-          max_tokens: 10
-        });
-      }
+      await aiProviders.complete(AI_FEATURES.HEALTH_CHECK, {
+        messages: [{ role: 'user', content: 'Hello' }],
+        maxTokens: 10,
+        retries: 0
+      });
       return true;
     } catch (error) {
-      logger.error(`📖 Health check failed for ${currentProvider}: ${error.message}`);
+      logger.error(`📖 Health check failed for ${this.provider}: ${error.message}`);
       return false;
     }
   }
 
   /**
-   * Тестирование произвольного промпта с Claude API
+   * Тестирование произвольного промпта
    * @param {string} customPrompt - Промпт для тестирования
    * @param {string} testMessage - Тестовое сообщение пользователя
    * @param {Object} options - Опции тестирования
@@ -204,56 +174,26 @@ class ClaudeService {
   async testPrompt(customPrompt, testMessage, options = {}) {
     const { provider } = options;
     
-    const currentProvider = provider || this.provider;
-    
-    if (!this.clients[currentProvider]) {
-      throw new Error(`Provider ${currentProvider} is not available`);
-    }
-    
-    logger.info(`📖 Testing custom prompt with ${currentProvider}: "${customPrompt.substring(0, 50)}..."`);
+    logger.info(`📖 Testing custom prompt with ${provider || this.provider}: "${customPrompt.substring(0, 50)}..."`);
     
     try {
-      let response;
+      const response = await aiProviders.complete(AI_FEATURES.PROMPT_TEST, {
+        provider,
+        system: customPrompt,
+        messages: [{ role: 'user', content: testMessage }],
+        maxTokens: 1000,
+        temperature: 0.7
+      });
       
-      if (currentProvider === 'claude') {
-        response = await this.clients.claude.messages.create({
-          model: this.config.claude.model,
-          max_tokens: 1000,
-          temperature: 0.7,
-          system: customPrompt,
-          messages: [
-            { role: 'user', content: testMessage }
-          ]
-        });
-        
-        return {
-          message: response.content[0].text,
-          needsTicket: false,
-          tokensUsed: response.usage.input_tokens + response.usage.output_tokens,
-          provider: 'claude',
-          model: this.config.claude.model
-        };
-      } else if (currentProvider === 'openai') {
-        response = await this.clients.openai.chat.completions.create({
-          model: this.config.openai.model,
-          messages: [
-            { role: 'system', content: customPrompt },
-            { role: 'user', content: testMessage }
-          ],
-          max_tokens: 1000,
-          temperature: 0.7
-        });
-        
-        return {
-          message: response.choices[0].message.content,
-          needsTicket: false,
-          tokensUsed: response.usage.total_tokens || 0,
-          provider: 'openai',
-          model: this.config.openai.model
-        };
-      }
+      return {
+        message: response.text,
+        needsTicket: false,
+        tokensUsed: response.usage.totalTokens,
+        provider: response.provider,
+        model: response.model
+      };
     } catch (error) {
-      logger.error(`📖 Prompt test failed with ${currentProvider}: ${error.message}`);
+      logger.error(`📖 Prompt test failed with ${provider || this.provider}: ${error.message}`);
       throw new Error(`Test failed: ${error.message}`);
     }
   }
@@ -271,19 +211,10 @@ class ClaudeService {
     try {
       const { 
         context = [], 
-        history = [], 
-        language = 'auto', // Игнорируется - AI сам определяет
         platform = 'web',
-        userId, 
-        useRag = false, // 🚨 ПРИНУДИТЕЛЬНО false для Reader Bot
-        ragLimit = 3 
+        useRag = false // 🚨 ПРИНУДИТЕЛЬНО false для Reader Bot
       } = options;
       
-      if (this.provider === 'anthropic') {
-        this.provider = 'claude';
-        logger.info(`📖 Provider normalized from 'anthropic' to 'claude' for message: ${message.substring(0, 20)}...`);
-      }
-      
       logger.info(`📖 Generating response for platform: ${platform}, useRag: ${useRag} (DISABLED in Reader Bot)`);
       
       // 📖 ИСПРАВЛЕНО: Убрана проверка на тестовые сообщения для реальных пользовательских запросов
@@ -295,19 +226,7 @@ class ClaudeService {
       // 🚨 URGENT FIX: RAG ПОЛНОСТЬЮ ОТКЛЮЧЕН для Reader Bot
       logger.info(`📖 RAG disabled for Reader Bot - proceeding without vector store for message: "${message.substring(0, 30)}..."`);
       
-      let response;
-      
-      logger.info(`📖 Using AI provider: ${this.provider} for platform: ${platform}, message: ${message.substring(0, 20)}...`);
-      
-      if (this.provider === 'claude') {
-        response = await this._generateClaudeResponse(message, { ...options, context, platform });
-      } else if (this.provider === 'openai') {
-        response = await this._generateOpenAIResponse(message, { ...options, context, platform });
-      } else {
-        throw new Error(`Unsupported AI provider: ${this.provider}`);
-      }
-      
-      return response;
+      return await this._generateAIResponse(message, { ...options, context, platform });
     } catch (error) {
       logger.error(`📖 AI generation error: ${error.message}`);
       return this._getErrorResponse(error, options.platform);
@@ -315,20 +234,20 @@ class ClaudeService {
   }
 
   /**
-   * Генерация ответа через Claude API
+   * Генерация ответа через реестр AI провайдеров
    * 📖 УПРОЩЕНО: Убрана языковая логика
    * @private
    * @param {string} message - Сообщение пользователя
    * @param {MessageOptions} options - Опции сообщения
-   * @returns {Promise<AIResponse>} Ответ от Claude
+   * @returns {Promise<AIResponse>} Ответ от AI
    */
-  async _generateClaudeResponse(message, options) {
-    const { context, history, platform = 'web', userId } = options;
+  async _generateAIResponse(message, options) {
+    const { history, platform = 'web', userId, feature = AI_FEATURES.CHAT } = options;
     
     let systemPrompt;
     try {
       // Всегда используем базовый промпт, т.к. RAG отключен
-      systemPrompt = await this._getSystemPrompt(platform);
+      systemPrompt = await this._getSystemPrompt(platform, userId);
     } catch (error) {
       logger.error(`📖 Error getting prompt from PromptService: ${error.message}`);
       systemPrompt = promptService.getDefaultPrompt('basic');
@@ -349,102 +268,25 @@ class ClaudeService {
     messages.push({ role: 'user', content: message });
     
     if (userId) {
-      logger.info(`📖 Generating Claude response for user ${userId} (platform: ${platform}, history: ${history?.length || 0} msgs)`);
-    }
-    
-    try {
-      const claudeConfig = this.config.claude;
-      const response = await this.clients.claude.messages.create({
-        model: claudeConfig.model,
-        max_tokens: claudeConfig.maxTokens,
-        temperature: claudeConfig.temperature,
-        system: systemPrompt,
-        messages: messages
-      });
-      
-      const answer = response.content[0].text;
-      
-      // Анализ необходимости создания тикета
-      const needsTicket = this._analyzeTicketNeedFromResponse(answer);
-      
-      return {
-        message: answer,
-        needsTicket,
-        tokensUsed: response.usage.input_tokens + response.usage.output_tokens,
-        provider: 'claude',
-        model: claudeConfig.model
-      };
-    } catch (error) {
-      logger.error(`📖 Claude API error: ${error.message}`);
-      throw new Error(`Claude API error: ${error.message}`);
-    }
-  }
-
-  /**
-   * Генерация ответа через OpenAI API
-   * 📖 УПРОЩЕНО: Убрана языковая логика
-   * @private
-   * @param {string} message - Сообщение пользователя
-   * @param {MessageOptions} options - Опции сообщения
-   * @returns {Promise<AIResponse>} Ответ от OpenAI
-   */
-  async _generateOpenAIResponse(message, options) {
-    const { context, history, platform = 'web', userId } = options;
-    
-    let systemPrompt;
-    try {
-      // Всегда используем базовый промпт, т.к. RAG отключен
-      systemPrompt = await this._getSystemPrompt(platform);
-    } catch (error) {
-      logger.error(`📖 Error getting prompt from PromptService: ${error.message}`);
-      systemPrompt = promptService.getDefaultPrompt('basic');
-    }
-    
-    const messages = [
-      { role: 'system', content: systemPrompt }
-    ];
-    
-    if (history && history.length > 0) {
-      const recentHistory = history.slice(-5);
-      recentHistory.forEach(msg => {
-        messages.push({
-          role: msg.role === 'user' ? 'user' : 'assistant',
-          content: msg.content || msg.text
-        });
-      });
+      logger.info(`📖 Generating ${feature} response for user ${userId} (platform: ${platform}, history: ${history?.length || 0} msgs)`);
     }
     
-    messages.push({ role: 'user', content: message });
+    const response = await aiProviders.complete(feature, {
+      system: systemPrompt,
+      messages,
+      userId
+    });
     
-    if (userId) {
-      logger.info(`📖 Generating OpenAI response for user ${userId} (platform: ${platform}, history: ${history?.length || 0} msgs)`);
-    }
+    // Анализ необходимости создания тикета
+    const needsTicket = this._analyzeTicketNeedFromResponse(response.text);
     
-    try {
-      const openaiConfig = this.config.openai;
-      const response = await this.clients.openai.chat.completions.create({
-        model: openaiConfig.model,
-        messages,
-        max_tokens: openaiConfig.maxTokens,
-        temperature: openaiConfig.temperature
-      });
-      
-      const answer = response.choices[0].message.content;
-      
-      // Анализ необходимости создания тикета
-      const needsTicket = this._analyzeTicketNeedFromResponse(answer);
-      
-      return {
-        message: answer,
-        needsTicket,
-        tokensUsed: response.usage.total_tokens || 0,
-        provider: 'openai',
-        model: openaiConfig.model
-      };
-    } catch (error) {
-      logger.error(`📖 OpenAI API error: ${error.message}`);
-      throw new Error(`OpenAI API error: ${error.message}`);
-    }
+    return {
+      message: response.text,
+      needsTicket,
+      tokensUsed: response.usage.totalTokens,
+      provider: response.provider,
+      model: response.model
+    };
   }
   
   /**
@@ -484,7 +326,7 @@ class ClaudeService {
       needsTicket: false,
       tokensUsed: 50,
       provider: this.provider,
-      model: this.provider === 'claude' ? this.config.claude.model : this.config.openai.model
+      model: aiProviders.resolveRoute(AI_FEATURES.CHAT).model
     };
   }
   
@@ -556,6 +398,17 @@ class ClaudeService {
    * @returns {AIResponse} Ответ об ошибке
    */
   _getErrorResponse(error, platform = 'web') {
+    if (error.code === 'AI_BUDGET_EXCEEDED') {
+      // Исчерпан дневной бюджет AI - это не техническая проблема, тикет не нужен
+      return {
+        message: '📖 Сегодня лимит AI-ответов исчерпан. Возвращайтесь завтра — я обязательно отвечу!',
+        needsTicket: false,
+        tokensUsed: 0,
+        provider: this.provider,
+        model: 'budget_exceeded'
+      };
+    }
+
     const message = platform === 'telegram'
       ? "📖 I'm experiencing technical difficulties. Let me create a support ticket so our team can help."
       : "I'm experiencing technical difficulties right now. Let me create a support ticket for you so our team can help.";
@@ -620,13 +473,16 @@ class ClaudeService {
    * @returns {Object} Информация о провайдере
    */
   getProviderInfo() {
+    const availableProviders = aiProviders.getAvailableProviders();
+    
     return {
       currentProvider: this.provider,
-      availableProviders: Object.keys(this.clients),
-      models: {
-        claude: this.clients.claude ? this.config.claude.model : null,
-        openai: this.clients.openai ? this.config.openai.model : null
-      },
+      availableProviders,
+      models: availableProviders.reduce((models, name) => {
+        models[name] = this.config[name]?.model || null;
+        return models;
+      }, {}),
+      routes: aiProviders.describeRoutes(),
       supportedPlatforms: ['web', 'telegram'],
       languageSupport: 'universal',
       ragEnabled: this.enableRag
@@ -5,19 +5,16 @@
 
 const cron = require('node-cron');
 const logger = require('../../utils/logger');
+const { getDayKey } = require('../../utils/timezone');
 
 /**
  * Get current day key in Europe/Moscow timezone
+ * The community photo day is shared by all readers, so it stays on Moscow time
+ * regardless of the reader's own timezone
  * @returns {string} Day key in format YYYY-MM-DD
  */
 function getCurrentDayKey() {
-  const now = new Date();
-  // Convert to Moscow timezone (UTC+3)
-  const moscowTime = new Date(now.toLocaleString('en-US', { timeZone: 'Europe/Moscow' }));
-  const year = moscowTime.getFullYear();
-  const month = String(moscowTime.getMonth() + 1).padStart(2, '0');
-  const day = String(moscowTime.getDate()).padStart(2, '0');
-  return `${year}-${month}-${day}`;
+  return getDayKey(new Date(), 'Europe/Moscow');
 }
 
 /**
@@ -10,6 +10,27 @@
 
 const cron = require('node-cron');
 const logger = require('../utils/logger');
+const { config } = require('../config');
+
+/**
+ * Сколько нарушений SLA перечислять в сообщении администратору
+ */
+const SLA_ALERT_MAX_ITEMS = 10;
+
+/**
+ * Форматирует длительность в минутах: "45 мин", "2 ч 5 мин", "3 д 4 ч"
+ * @param {number} minutes - Минуты
+ * @returns {string}
+ */
+function formatDuration(minutes) {
+  if (minutes < 60) return `${minutes} мин`;
+  if (minutes < 24 * 60) {
+    const rest = minutes % 60;
+    return `${Math.floor(minutes / 60)} ч${rest ? ` ${rest} мин` : ''}`;
+  }
+  const hours = Math.floor((minutes % (24 * 60)) / 60);
+  return `${Math.floor(minutes / (24 * 60))} д${hours ? ` ${hours} ч` : ''}`;
+}
 
 /**
  * Cron сервис для автоматических задач
@@ -83,6 +104,51 @@ class CronService {
       });
       this.jobs.set('monthly_feedback_request', monthlyFeedbackJob);
 
+      // SLA обращений: эскалация просроченных и автозакрытие (по умолчанию каждые 10 минут)
+      const ticketSLAJob = cron.schedule(config.tickets.slaCheckCron, async () => {
+        await this.processTicketSLA();
+      }, {
+        timezone: "Europe/Moscow",
+        scheduled: true
+      });
+      this.jobs.set('ticket_sla_check', ticketSLAJob);
+
+      // Редкость достижений: каждый день в 4:30 МСК
+      const achievementRarityJob = cron.schedule('30 4 * * *', async () => {
+        await this.refreshAchievementRarity();
+      }, {
+        timezone: "Europe/Moscow",
+        scheduled: true
+      });
+      this.jobs.set('achievement_rarity', achievementRarityJob);
+
+      // Удаление аккаунтов с истекшим grace period: каждый день в 3:30 МСК
+      const accountDeletionJob = cron.schedule('30 3 * * *', async () => {
+        await this.processAccountDeletions();
+      }, {
+        timezone: "Europe/Moscow",
+        scheduled: true
+      });
+      this.jobs.set('account_deletion', accountDeletionJob);
+
+      // Категоризация импортов, отложенная из-за дневного бюджета AI: каждый день в 0:20 МСК
+      const importCategorizationJob = cron.schedule('20 0 * * *', async () => {
+        await this.resumeImportCategorization();
+      }, {
+        timezone: "Europe/Moscow",
+        scheduled: true
+      });
+      this.jobs.set('import_categorization', importCategorizationJob);
+
+      // Дневные сводки аналитики (вчера + сегодня): каждый час в :10
+      const analyticsRollupJob = cron.schedule('10 * * * *', async () => {
+        await this.processAnalyticsRollups();
+      }, {
+        timezone: "Europe/Moscow",
+        scheduled: true
+      });
+      this.jobs.set('analytics_rollup', analyticsRollupJob);
+
       // Очистка старых данных: каждый день в 3:00 МСК
       const cleanupJob = cron.schedule('0 3 * * *', async () => {
         logger.info('📖 Running daily cleanup...');
@@ -167,14 +233,6 @@ class CronService {
    * @returns {Promise<Object>} Generation statistics
    */
   async _generateReportsWithWeeklyReportService() {
-    const { UserProfile, Quote, WeeklyReport } = require('../models');
-    
-    // Get previous week range
-    const weekRange = this.weeklyReportService.getPreviousWeekRange();
-    const { isoWeek: weekNumber, isoYear: year } = weekRange;
-    
-    logger.info(`📖 Generating reports for week ${weekNumber}/${year} (${weekRange.start.toISOString().split('T')[0]} to ${weekRange.end.toISOString().split('T')[0]})`);
-
     const stats = {
       generated: 0,
       failed: 0,
@@ -183,6 +241,46 @@ class CronService {
       errors: []
     };
 
+    // Previous week depends on the reader's timezone: collect distinct week windows
+    const weekRanges = new Map();
+    for (const timezone of await this._getReaderTimezones()) {
+      const range = this.weeklyReportService.getPreviousWeekRange(timezone);
+      weekRanges.set(`${range.isoYear}-${range.isoWeek}`, range);
+    }
+
+    for (const weekRange of weekRanges.values()) {
+      await this._generateReportsForWeek(weekRange, stats);
+    }
+
+    logger.info(`📖 Report generation completed: ${stats.generated} generated, ${stats.failed} failed, ${stats.skipped} skipped`);
+    return stats;
+  }
+
+  /**
+   * Timezones of readers (business timezone is always included)
+   * @private
+   * @returns {Promise<Array<string|null>>} null stands for the business timezone
+   */
+  async _getReaderTimezones() {
+    const { UserProfile } = require('../models');
+    const { isValidTimezone } = require('../utils/timezone');
+    const stored = await UserProfile.distinct('settings.timezone', { isActive: true });
+    return [null, ...stored.filter(isValidTimezone)];
+  }
+
+  /**
+   * Generate reports for one ISO week for readers whose previous local week it is
+   * @private
+   * @param {{start: Date, end: Date, isoWeek: number, isoYear: number}} weekRange - Week window
+   * @param {Object} stats - Generation statistics (mutated)
+   * @returns {Promise<void>}
+   */
+  async _generateReportsForWeek(weekRange, stats) {
+    const { UserProfile, Quote, WeeklyReport } = require('../models');
+    const { isoWeek: weekNumber, isoYear: year } = weekRange;
+    
+    logger.info(`📖 Generating reports for week ${weekNumber}/${year} (${weekRange.start.toISOString().split('T')[0]} to ${weekRange.end.toISOString().split('T')[0]})`);
+
     try {
       // Find users who have quotes for the previous week but don't have a report yet
       const usersWithQuotes = await Quote.distinct('userId', {
@@ -202,7 +300,7 @@ class CronService {
 
       logger.info(`📖 Found ${usersWithQuotes.length} users with quotes, ${usersWithReports.length} already have reports, ${usersNeedingReports.length} need new reports`);
 
-      stats.total = usersNeedingReports.length;
+      let weekUsers = 0;
 
       // Generate reports for each user
       for (const userId of usersNeedingReports) {
@@ -217,10 +315,19 @@ class CronService {
 
           if (!userProfile) {
             logger.warn(`📖 Skipping user ${userId}: inactive or incomplete onboarding`);
+            stats.total++;
             stats.skipped++;
             continue;
           }
 
+          // The reader's own previous week may differ near the week boundary
+          const userWeek = this.weeklyReportService.getPreviousWeekRange(userProfile.settings?.timezone);
+          if (userWeek.isoWeek !== weekNumber || userWeek.isoYear !== year) {
+            continue;
+          }
+          stats.total++;
+          weekUsers++;
+
           // Get user's quotes for the week
           const quotes = await Quote.find({
             userId,
@@ -278,11 +385,10 @@ class CronService {
         }
       }
 
-      logger.info(`📖 Report generation completed: ${stats.generated} generated, ${stats.failed} failed, ${stats.skipped} skipped`);
-      return stats;
+      logger.info(`📖 Week ${weekNumber}/${year}: ${weekUsers} readers processed`);
 
     } catch (error) {
-      logger.error(`📖 Error in _generateReportsWithWeeklyReportService: ${error.message}`);
+      logger.error(`📖 Error in _generateReportsForWeek: ${error.message}`);
       throw error;
     }
   }
@@ -438,6 +544,180 @@ class CronService {
     }
   }
 
+  /**
+   * Доступна ли база данных
+   * @returns {boolean}
+   */
+  isDatabaseReady() {
+    return require('mongoose').connection.readyState === 1;
+  }
+
+  /**
+   * SLA обращений: фиксирует нарушения, повышает приоритет, уведомляет администратора
+   * и закрывает тикеты, которые слишком долго ждут ответа пользователя
+   * @returns {Promise<{escalated: number, autoClosed: number}>}
+   */
+  async processTicketSLA() {
+    const stats = { escalated: 0, autoClosed: 0 };
+
+    try {
+      if (!this.isDatabaseReady()) {
+        return stats;
+      }
+
+      const ticketService = require('./ticketing');
+      const outboxService = require('./outboxService');
+
+      const escalated = await ticketService.escalateSLAViolations();
+      const closed = await ticketService.autoCloseStaleTickets(config.tickets.autoCloseAfterDays);
+
+      // Пользователь получает обычное уведомление о закрытии
+      for (const ticket of closed) {
+        await outboxService.notifyTicketStatusChange(ticket, 'waiting_response');
+      }
+
+      stats.escalated = escalated.length;
+      stats.autoClosed = closed.length;
+
+      if (stats.escalated || stats.autoClosed) {
+        logger.info(`⏰ Ticket SLA check: ${stats.escalated} escalated, ${stats.autoClosed} auto-closed`);
+        await this._sendTicketSLAAlert(escalated, closed);
+      }
+    } catch (error) {
+      logger.error(`⏰ Error in processTicketSLA: ${error.message}`, error);
+    }
+
+    return stats;
+  }
+
+  /**
+   * Сообщение администратору о нарушениях SLA (без Markdown - темы тикетов пишут пользователи)
+   * @private
+   * @param {Array<Object>} escalated - Результат escalateSLAViolations
+   * @param {Array<Object>} closed - Автоматически закрытые тикеты
+   * @returns {Promise<void>}
+   */
+  async _sendTicketSLAAlert(escalated, closed) {
+    if (!process.env.ADMIN_TELEGRAM_ID || !this.bot) {
+      return;
+    }
+
+    const lines = [];
+    if (escalated.length > 0) {
+      lines.push(`⏰ Нарушен SLA обращений: ${escalated.length}`, '');
+      escalated.slice(0, SLA_ALERT_MAX_ITEMS).forEach(item => {
+        const violation = item.violationType === 'response' ? 'нет ответа' : 'не решено';
+        lines.push(`• ${item.ticketId} «${item.subject}» - ${violation}, просрочено на ${formatDuration(item.minutesOverdue)}, приоритет ${item.previousPriority} → ${item.priority}`);
+      });
+      if (escalated.length > SLA_ALERT_MAX_ITEMS) {
+        lines.push(`…и еще ${escalated.length - SLA_ALERT_MAX_ITEMS}`);
+      }
+    }
+
+    if (closed.length > 0) {
+      if (lines.length) lines.push('');
+      lines.push(`🔒 Закрыто без ответа пользователя (${config.tickets.autoCloseAfterDays} дн.): ${closed.map(ticket => ticket.ticketId).join(', ')}`);
+    }
+
+    try {
+      await this.bot.telegram.sendMessage(process.env.ADMIN_TELEGRAM_ID, lines.join('\n'));
+    } catch (error) {
+      logger.error(`⏰ Failed to send SLA alert to admin: ${error.message}`);
+    }
+  }
+
+  /**
+   * Пересчет редкости достижений (процент читателей, получивших каждое)
+   * @returns {Promise<Object|null>} Результат achievementService.refreshRarity или null
+   */
+  async refreshAchievementRarity() {
+    try {
+      if (!this.isDatabaseReady()) {
+        return null;
+      }
+
+      const AchievementService = require('./achievementService');
+      return await new AchievementService().refreshRarity();
+    } catch (error) {
+      logger.error(`🏆 Error in refreshAchievementRarity: ${error.message}`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Удаление аккаунтов, у которых истек grace period
+   * @returns {Promise<Object|null>} { processed, failed } или null
+   */
+  async processAccountDeletions() {
+    try {
+      if (!this.isDatabaseReady()) {
+        return null;
+      }
+
+      const accountDataService = require('./accountDataService');
+      return await accountDataService.processDueDeletions();
+    } catch (error) {
+      logger.error(`🗑️ Error in processAccountDeletions: ${error.message}`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Продолжение категоризации импортов, отложенной из-за бюджета AI
+   * @returns {Promise<number|null>} Количество пачек или null
+   */
+  async resumeImportCategorization() {
+    try {
+      if (!this.isDatabaseReady()) {
+        return null;
+      }
+
+      const quoteImportService = require('./quoteImportService');
+      const QuoteHandler = require('./quoteHandler');
+      const batches = await quoteImportService.resumePendingImports(new QuoteHandler());
+      if (batches > 0) {
+        logger.info(`📥 Import categorization resumed for ${batches} batch(es)`);
+      }
+      return batches;
+    } catch (error) {
+      logger.error(`📥 Error in resumeImportCategorization: ${error.message}`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Пересчет дневных сводок аналитики для дашборда
+   * @returns {Promise<Object|null>} {days, pruned} или null
+   */
+  async processAnalyticsRollups() {
+    try {
+      if (!this.isDatabaseReady()) {
+        return null;
+      }
+
+      const analyticsService = require('./analyticsService');
+      const result = await analyticsService.refreshRollups();
+      logger.info(`📊 Analytics rollups refreshed: ${result.days.join(', ')}, pruned ${result.pruned}`);
+      return result;
+    } catch (error) {
+      logger.error(`📊 Error in processAnalyticsRollups: ${error.message}`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Ручной запуск проверки SLA обращений
+   * @returns {Promise<Object>} Статистика
+   */
+  async triggerTicketSLA() {
+    logger.info('⏰ Manual trigger of ticket SLA check');
+    const stats = await this.processTicketSLA();
+    return {
+      message: 'Ticket SLA check triggered',
+      ...stats
+    };
+  }
+
   /**
    * Ручной запуск еженедельных отчетов (для тестирования)
    * @returns {Promise<Object>} Статистика отправки
@@ -615,6 +895,11 @@ class CronService {
   getSchedule() {
     return {
       monthly_reports: '1st day of month at 12:00 MSK (generation + notifications)',
+      ticket_sla_check: `${config.tickets.slaCheckCron} MSK (SLA escalation + auto-close)`,
+      achievement_rarity: '4:30 MSK daily',
+      account_deletion: '3:30 MSK daily',
+      import_categorization: '0:20 MSK daily (imports postponed by the AI budget)',
+      analytics_rollup: 'Hourly at :10 MSK (yesterday + today)',
       daily_cleanup: '3:00 MSK daily'
     };
   }
@@ -644,6 +929,11 @@ class CronService {
         day_reminders: this.getNextRunTime('day_reminders'),
         evening_reminders: this.getNextRunTime('evening_reminders'),
         monthly_reports: this.getNextRunTime('monthly_reports'),
+        ticket_sla_check: this.getNextRunTime('ticket_sla_check'),
+        achievement_rarity: this.getNextRunTime('achievement_rarity'),
+        account_deletion: this.getNextRunTime('account_deletion'),
+        import_categorization: this.getNextRunTime('import_categorization'),
+        analytics_rollup: this.getNextRunTime('analytics_rollup'),
         daily_cleanup: this.getNextRunTime('daily_cleanup')
       },
       serviceStatuses: {
@@ -781,4 +1071,4 @@ class CronService {
   }
 }
 
-module.exports = { CronService };
+module.exports = { CronService, formatDuration };
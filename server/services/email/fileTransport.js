@@ -0,0 +1,47 @@
+/**
+ * File email transport - writes every message to a local outbox directory (.eml + .json).
+ * Used for local development and manual testing (EMAIL_TRANSPORT=file).
+ * @file server/services/email/fileTransport.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * @class FileTransport
+ * @description Сохраняет письма в каталог вместо отправки
+ */
+class FileTransport {
+  /**
+   * @param {string} outboxDir - Каталог (относительный путь - от корня проекта)
+   */
+  constructor(outboxDir) {
+    this.name = 'file';
+    this.outboxDir = path.resolve(__dirname, '../../..', outboxDir);
+    // streamTransport собирает настоящий RFC 822 без сети
+    this.builder = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  }
+
+  /**
+   * Записывает письмо в .eml (открывается почтовым клиентом) и .json (для тестов)
+   * @param {import('./index').EmailMessage} message - Письмо
+   * @returns {Promise<{messageId: string, path: string}>}
+   */
+  async send(message) {
+    const info = await this.builder.sendMail(message);
+    const baseName = `${Date.now()}-${info.messageId.replace(/[<>@]/g, '').replace(/[^\w.-]/g, '_')}`;
+
+    await fs.promises.mkdir(this.outboxDir, { recursive: true });
+    const emlPath = path.join(this.outboxDir, `${baseName}.eml`);
+    await fs.promises.writeFile(emlPath, info.message);
+    await fs.promises.writeFile(
+      path.join(this.outboxDir, `${baseName}.json`),
+      JSON.stringify({ ...message, messageId: info.messageId, savedAt: new Date().toISOString() }, null, 2)
+    );
+
+    return { messageId: info.messageId, path: emlPath };
+  }
+}
+
+module.exports = FileTransport;
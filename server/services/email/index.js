@@ -0,0 +1,93 @@
+/**
+ * Email transport registry - smtp, file (local outbox directory) and log transports
+ * @file server/services/email/index.js
+ */
+
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+const { config } = require('../../config');
+
+/**
+ * @typedef {Object} EmailMessage
+ * @property {string} to - Получатель
+ * @property {string} [from] - Отправитель (по умолчанию config.email.from)
+ * @property {string} subject - Тема
+ * @property {string} text - Текстовая версия
+ * @property {string} [html] - HTML версия
+ */
+
+/**
+ * Log transport - только пишет письмо в лог (режим по умолчанию без SMTP_HOST)
+ */
+const logTransport = {
+  name: 'log',
+  async send(message) {
+    const messageId = `<${crypto.randomUUID()}@log.local>`;
+    logger.info(`📧 [log transport] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+    return { messageId };
+  }
+};
+
+/**
+ * Фабрики транспортов
+ * @type {Object<string, function(Object): Object>}
+ */
+const TRANSPORT_FACTORIES = {
+  smtp: emailConfig => new (require('./smtpTransport'))(emailConfig.smtp),
+  file: emailConfig => new (require('./fileTransport'))(emailConfig.outboxDir),
+  log: () => logTransport
+};
+
+/** @type {Map<string, Object>} */
+const transports = new Map();
+
+/**
+ * Возвращает транспорт по имени (по умолчанию - config.email.transport)
+ * @param {string} [name] - smtp | file | log
+ * @returns {{name: string, send: function(EmailMessage): Promise<{messageId: string}>}}
+ */
+function getTransport(name = config.email.transport) {
+  const transportName = String(name || 'log').toLowerCase();
+  const factory = TRANSPORT_FACTORIES[transportName];
+  if (!factory) {
+    const error = new Error(`Unknown email transport: ${transportName}`);
+    error.code = 'UNKNOWN_EMAIL_TRANSPORT';
+    throw error;
+  }
+
+  if (!transports.has(transportName)) {
+    transports.set(transportName, factory(config.email));
+  }
+  return transports.get(transportName);
+}
+
+/**
+ * Отправляет письмо через настроенный транспорт
+ * @param {EmailMessage} message - Письмо
+ * @param {string} [transportName] - Принудительный транспорт
+ * @returns {Promise<{messageId: string, transport: string}>}
+ */
+async function sendEmail(message, transportName) {
+  const transport = getTransport(transportName);
+  const result = await transport.send({ from: config.email.from, ...message });
+  return { ...result, transport: transport.name };
+}
+
+/**
+ * Закрывает соединения транспортов (graceful shutdown)
+ */
+function closeTransports() {
+  transports.forEach(transport => {
+    if (typeof transport.close === 'function') {
+      transport.close();
+    }
+  });
+  transports.clear();
+}
+
+module.exports = {
+  getTransport,
+  sendEmail,
+  closeTransports,
+  TRANSPORT_FACTORIES
+};
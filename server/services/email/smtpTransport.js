@@ -0,0 +1,69 @@
+/**
+ * SMTP email transport (nodemailer) - uses config.email.smtp
+ * @file server/services/email/smtpTransport.js
+ */
+
+const nodemailer = require('nodemailer');
+
+/**
+ * @class SmtpTransport
+ * @description Отправка писем через SMTP-сервер
+ */
+class SmtpTransport {
+  /**
+   * @param {Object} smtpConfig - config.email.smtp
+   */
+  constructor(smtpConfig) {
+    this.name = 'smtp';
+    this.config = smtpConfig;
+    this.transporter = null;
+  }
+
+  /**
+   * Ленивое создание nodemailer-транспорта (пул соединений)
+   * @returns {import('nodemailer').Transporter}
+   */
+  getTransporter() {
+    if (!this.transporter) {
+      const { host, port, secure, auth } = this.config;
+      this.transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: auth?.user ? auth : undefined,
+        pool: true
+      });
+    }
+    return this.transporter;
+  }
+
+  /**
+   * Отправляет письмо
+   * @param {import('./index').EmailMessage} message - Письмо
+   * @returns {Promise<{messageId: string}>}
+   */
+  async send(message) {
+    const info = await this.getTransporter().sendMail(message);
+
+    // SMTP принял не всех получателей - считаем временной ошибкой
+    if (info.rejected && info.rejected.length > 0) {
+      const error = new Error(`SMTP rejected recipients: ${info.rejected.join(', ')}`);
+      error.code = 'EENVELOPE';
+      throw error;
+    }
+
+    return { messageId: info.messageId };
+  }
+
+  /**
+   * Закрывает пул соединений
+   */
+  close() {
+    if (this.transporter) {
+      this.transporter.close();
+      this.transporter = null;
+    }
+  }
+}
+
+module.exports = SmtpTransport;
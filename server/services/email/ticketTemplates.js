@@ -0,0 +1,140 @@
+/**
+ * Ticket notification templates (created, status changed, resolved, support reply)
+ * @file server/services/email/ticketTemplates.js
+ */
+
+/**
+ * Шаблоны уведомлений по тикетам
+ */
+const TICKET_TEMPLATES = {
+  CREATED: 'ticket_created',
+  STATUS_CHANGED: 'ticket_status_changed',
+  RESOLVED: 'ticket_resolved',
+  COMMENT: 'ticket_comment'
+};
+
+/**
+ * Тексты на поддерживаемых языках (остальные - английский)
+ */
+const STRINGS = {
+  ru: {
+    statuses: {
+      open: 'Открыт',
+      in_progress: 'В работе',
+      waiting_response: 'Ожидает вашего ответа',
+      resolved: 'Решен',
+      closed: 'Закрыт'
+    },
+    greeting: 'Здравствуйте!',
+    signature: 'С уважением,\nкоманда «Читатель»',
+    replyHint: '↩️ Чтобы ответить поддержке, ответьте (Reply) на это сообщение.',
+    [TICKET_TEMPLATES.CREATED]: {
+      subject: ticket => `Обращение ${ticket.ticketId} принято`,
+      body: ticket => `Мы получили ваше обращение «${ticket.subject}» и ответим в течение 24 часов.\nНомер обращения: ${ticket.ticketId}`
+    },
+    [TICKET_TEMPLATES.STATUS_CHANGED]: {
+      subject: ticket => `Обращение ${ticket.ticketId}: статус изменен`,
+      body: (ticket, extra, t) => `Статус обращения «${ticket.subject}» изменен: ${t.statuses[extra.previousStatus] || extra.previousStatus || '—'} → ${t.statuses[ticket.status] || ticket.status}.`
+    },
+    [TICKET_TEMPLATES.RESOLVED]: {
+      subject: ticket => `Обращение ${ticket.ticketId} решено`,
+      body: ticket => `Ваше обращение «${ticket.subject}» ${ticket.status === 'closed' ? 'закрыто' : 'решено'}.${ticket.resolution ? `\n\nРешение:\n${ticket.resolution}` : ''}\n\nЕсли вопрос остался, просто напишите нам снова.`
+    },
+    [TICKET_TEMPLATES.COMMENT]: {
+      subject: ticket => `Ответ поддержки по обращению ${ticket.ticketId}`,
+      body: (ticket, extra) => `Ответ по обращению «${ticket.subject}»:\n\n${extra.comment}`
+    }
+  },
+  en: {
+    statuses: {
+      open: 'Open',
+      in_progress: 'In progress',
+      waiting_response: 'Waiting for your reply',
+      resolved: 'Resolved',
+      closed: 'Closed'
+    },
+    greeting: 'Hello!',
+    signature: 'Best regards,\nthe Reader team',
+    replyHint: '↩️ To answer support, reply to this message.',
+    [TICKET_TEMPLATES.CREATED]: {
+      subject: ticket => `Ticket ${ticket.ticketId} received`,
+      body: ticket => `We have received your request "${ticket.subject}" and will reply within 24 hours.\nTicket number: ${ticket.ticketId}`
+    },
+    [TICKET_TEMPLATES.STATUS_CHANGED]: {
+      subject: ticket => `Ticket ${ticket.ticketId}: status updated`,
+      body: (ticket, extra, t) => `The status of your request "${ticket.subject}" changed: ${t.statuses[extra.previousStatus] || extra.previousStatus || '—'} → ${t.statuses[ticket.status] || ticket.status}.`
+    },
+    [TICKET_TEMPLATES.RESOLVED]: {
+      subject: ticket => `Ticket ${ticket.ticketId} resolved`,
+      body: ticket => `Your request "${ticket.subject}" has been ${ticket.status === 'closed' ? 'closed' : 'resolved'}.${ticket.resolution ? `\n\nResolution:\n${ticket.resolution}` : ''}\n\nIf anything is still unclear, just write to us again.`
+    },
+    [TICKET_TEMPLATES.COMMENT]: {
+      subject: ticket => `Support reply on ticket ${ticket.ticketId}`,
+      body: (ticket, extra) => `Reply on your request "${ticket.subject}":\n\n${extra.comment}`
+    }
+  }
+};
+
+/**
+ * Экранирует HTML
+ * @param {string} text - Текст
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Язык шаблона по языку тикета ('auto' и неизвестные - русский/английский)
+ * @param {string} [language] - ticket.language
+ * @returns {'ru'|'en'}
+ */
+function resolveLanguage(language) {
+  if (!language || language === 'auto') return 'ru';
+  return STRINGS[language] ? language : 'en';
+}
+
+/**
+ * Рендерит уведомление по тикету
+ * @param {string} template - Один из TICKET_TEMPLATES
+ * @param {Object} ticket - Тикет (ticketId, subject, status, resolution, language)
+ * @param {Object} [extra={}] - previousStatus для смены статуса, comment для ответа поддержки
+ * @returns {{subject: string, text: string, html: string}}
+ */
+function renderTicketTemplate(template, ticket, extra = {}) {
+  const t = STRINGS[resolveLanguage(ticket.language)];
+  const definition = t[template];
+  if (!definition) {
+    throw new Error(`Unknown ticket template: ${template}`);
+  }
+
+  const subject = definition.subject(ticket);
+  const body = definition.body(ticket, extra, t);
+  const text = `${t.greeting}\n\n${body}\n\n${t.signature}`;
+  const html = text
+    .split('\n\n')
+    .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+    .join('\n');
+
+  return { subject, text, html };
+}
+
+/**
+ * Подсказка для Telegram: ответ на сообщение бота попадает в тикет
+ * @param {string} [language] - ticket.language
+ * @returns {string}
+ */
+function getReplyHint(language) {
+  return STRINGS[resolveLanguage(language)].replyHint;
+}
+
+module.exports = {
+  TICKET_TEMPLATES,
+  renderTicketTemplate,
+  getReplyHint,
+  resolveLanguage
+};
@@ -0,0 +1,95 @@
+/**
+ * Embedding providers - factory and helpers shared by vectorStore and quote similarity
+ * @file server/services/embeddings/index.js
+ */
+
+const { getEmbeddingProviderConfig } = require('../../config/aiProvider');
+const LocalEmbeddingProvider = require('./localEmbeddingProvider');
+const logger = require('../../utils/logger');
+
+/**
+ * @typedef {Object} EmbeddingProvider
+ * @property {string} name - Имя провайдера ('openai' | 'local')
+ * @property {string} model - Модель
+ * @property {number} dimension - Размерность векторов
+ * @property {number} defaultThreshold - Рекомендуемый порог релевантности
+ * @property {string} fingerprint - Отпечаток для определения необходимости переиндексации
+ * @property {function(string): Promise<number[]>} embed - Embedding для текста
+ * @property {function(string[]): Promise<number[][]>} embedBatch - Embeddings для нескольких текстов
+ */
+
+let currentProvider = null;
+
+/**
+ * Создаёт провайдер по конфигурации
+ * Если выбран openai, но ключа нет - используется локальный провайдер
+ * @param {import('../../config/aiProvider').EmbeddingProviderConfig} config - Конфигурация
+ * @returns {EmbeddingProvider} Провайдер
+ */
+function createEmbeddingProvider(config) {
+  if (config.provider === 'openai') {
+    if (config.apiKey) {
+      const OpenAIEmbeddingProvider = require('./openaiEmbeddingProvider');
+      return new OpenAIEmbeddingProvider(config);
+    }
+    logger.warn('⚠️ OPENAI_API_KEY not set, falling back to local embedding provider');
+    return new LocalEmbeddingProvider();
+  }
+
+  if (config.provider !== 'local') {
+    logger.warn(`⚠️ Unknown embedding provider "${config.provider}", using local provider`);
+  }
+  return new LocalEmbeddingProvider(config);
+}
+
+/**
+ * Текущий провайдер embeddings (создаётся при первом обращении)
+ * @returns {EmbeddingProvider} Провайдер
+ */
+function getEmbeddingProvider() {
+  if (!currentProvider) {
+    currentProvider = createEmbeddingProvider(getEmbeddingProviderConfig());
+    logger.info(`🧮 Embedding provider: ${currentProvider.fingerprint}`);
+  }
+  return currentProvider;
+}
+
+/**
+ * Заменяет текущий провайдер (тесты, переключение без перезапуска)
+ * @param {EmbeddingProvider|null} provider - Новый провайдер или null для сброса
+ */
+function setEmbeddingProvider(provider) {
+  currentProvider = provider;
+}
+
+/**
+ * Косинусное сходство двух векторов
+ * @param {number[]} a - Вектор
+ * @param {number[]} b - Вектор
+ * @returns {number} Сходство от -1 до 1 (0 для пустых/разных размерностей)
+ */
+function cosineSimilarity(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length || a.length === 0) {
+    return 0;
+  }
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) {
+    return 0;
+  }
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+module.exports = {
+  createEmbeddingProvider,
+  getEmbeddingProvider,
+  setEmbeddingProvider,
+  cosineSimilarity,
+  LocalEmbeddingProvider
+};
@@ -0,0 +1,141 @@
+/**
+ * Local Embedding Provider - deterministic hashing vectorizer (no network, no API keys)
+ * @file server/services/embeddings/localEmbeddingProvider.js
+ */
+
+/**
+ * Короткие служебные слова, не несущие смысла для поиска
+ * @type {Set<string>}
+ */
+const STOP_WORDS = new Set([
+  'и', 'в', 'во', 'не', 'что', 'он', 'на', 'я', 'с', 'со', 'как', 'а', 'то', 'все', 'она', 'так', 'его',
+  'но', 'да', 'ты', 'к', 'у', 'же', 'вы', 'за', 'бы', 'по', 'только', 'ее', 'её', 'мне', 'было', 'вот',
+  'от', 'меня', 'еще', 'ещё', 'нет', 'о', 'из', 'ему', 'ли', 'если', 'или', 'ни', 'быть', 'был', 'до',
+  'это', 'этот', 'эта', 'эти', 'для', 'мы', 'их', 'чем', 'при', 'без', 'под', 'над',
+  'the', 'a', 'an', 'and', 'or', 'of', 'to', 'in', 'on', 'is', 'are', 'was', 'be', 'it', 'that', 'this',
+  'for', 'with', 'as', 'at', 'by', 'from', 'not', 'but'
+]);
+
+/**
+ * Вес признаков по префиксу: слово, биграмма слов, символьная триграмма
+ */
+const FEATURE_WEIGHTS = {
+  w: 1.0,
+  b: 0.5,
+  t: 0.35
+};
+
+/**
+ * 32-битный FNV-1a хэш строки
+ * @param {string} str - Строка
+ * @returns {number} Беззнаковый хэш
+ */
+function fnv1a(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Разбивает текст на нормализованные токены
+ * @param {string} text - Текст
+ * @returns {string[]} Токены без стоп-слов
+ */
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/ё/g, 'е')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(token => token.length > 1 && !STOP_WORDS.has(token));
+}
+
+/**
+ * Провайдер локальных embeddings на основе feature hashing.
+ * Слова, биграммы и символьные триграммы (устойчивы к падежным окончаниям)
+ * хэшируются в вектор фиксированной размерности с сублинейным TF и L2-нормализацией.
+ * Одинаковый текст всегда даёт одинаковый вектор.
+ * @class LocalEmbeddingProvider
+ */
+class LocalEmbeddingProvider {
+  /**
+   * @param {Object} [options={}] - Опции
+   * @param {number} [options.dimension=512] - Размерность векторов
+   * @param {string} [options.model='hashing-v1'] - Версия алгоритма (входит в fingerprint)
+   */
+  constructor(options = {}) {
+    this.name = 'local';
+    this.model = options.model || 'hashing-v1';
+    this.dimension = options.dimension || 512;
+    // Хэшированные векторы дают более низкие значения косинуса, чем нейросетевые
+    this.defaultThreshold = 0.2;
+  }
+
+  /**
+   * Отпечаток провайдера: при его смене векторы нужно пересчитать
+   * @returns {string} Fingerprint
+   */
+  get fingerprint() {
+    return `${this.name}:${this.model}:${this.dimension}`;
+  }
+
+  /**
+   * Извлекает признаки из текста
+   * @private
+   * @param {string} text - Текст
+   * @returns {Map<string, number>} Признак -> количество вхождений
+   */
+  _extractFeatures(text) {
+    const tokens = tokenize(text);
+    const features = new Map();
+    const add = (feature) => features.set(feature, (features.get(feature) || 0) + 1);
+
+    tokens.forEach((token, index) => {
+      add(`w:${token}`);
+
+      if (index > 0) {
+        add(`b:${tokens[index - 1]}_${token}`);
+      }
+
+      const padded = `^${token}$`;
+      for (let i = 0; i + 3 <= padded.length; i++) {
+        add(`t:${padded.slice(i, i + 3)}`);
+      }
+    });
+
+    return features;
+  }
+
+  /**
+   * Создаёт embedding для текста
+   * @param {string} text - Текст
+   * @returns {Promise<number[]>} Нормализованный вектор
+   */
+  async embed(text) {
+    const vector = new Array(this.dimension).fill(0);
+
+    for (const [feature, count] of this._extractFeatures(text)) {
+      const hash = fnv1a(feature);
+      const bucket = hash % this.dimension;
+      const sign = (hash & 0x80000000) ? -1 : 1;
+      vector[bucket] += sign * FEATURE_WEIGHTS[feature[0]] * (1 + Math.log(count));
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    return norm > 0 ? vector.map(v => v / norm) : vector;
+  }
+
+  /**
+   * Создаёт embeddings для нескольких текстов
+   * @param {string[]} texts - Тексты
+   * @returns {Promise<number[][]>} Векторы
+   */
+  async embedBatch(texts) {
+    return Promise.all(texts.map(text => this.embed(text)));
+  }
+}
+
+module.exports = LocalEmbeddingProvider;
+module.exports.tokenize = tokenize;
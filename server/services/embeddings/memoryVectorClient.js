@@ -0,0 +1,152 @@
+/**
+ * In-process vector index with a Qdrant-compatible subset of the REST client API.
+ * Used by vectorStore when Qdrant is unreachable (offline, tests) or VECTOR_DB_URL=memory.
+ * @file server/services/embeddings/memoryVectorClient.js
+ */
+
+const { cosineSimilarity } = require('./index');
+
+/**
+ * Получает значение из payload по пути 'metadata.category'
+ * @param {Object} payload - Payload точки
+ * @param {string} key - Путь через точку
+ * @returns {*} Значение
+ */
+function getByPath(payload, key) {
+  return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), payload);
+}
+
+/**
+ * Проверяет одно условие фильтра Qdrant ({ key, match: { value } } или { should: [...] })
+ * @param {Object} payload - Payload точки
+ * @param {Object} condition - Условие
+ * @returns {boolean} Совпадение
+ */
+function matchCondition(payload, condition) {
+  if (condition.should || condition.must || condition.must_not) {
+    return matchFilter(payload, condition);
+  }
+  const value = getByPath(payload, condition.key);
+  const expected = condition.match?.value;
+  return Array.isArray(value) ? value.includes(expected) : value === expected;
+}
+
+/**
+ * Проверяет фильтр Qdrant (must - все условия, should - хотя бы одно, must_not - ни одного)
+ * @param {Object} payload - Payload точки
+ * @param {Object} [filter] - Фильтр
+ * @returns {boolean} Совпадение
+ */
+function matchFilter(payload, filter) {
+  if (!filter) {
+    return true;
+  }
+  if (Array.isArray(filter.must) && !filter.must.every(c => matchCondition(payload, c))) {
+    return false;
+  }
+  if (Array.isArray(filter.should) && filter.should.length > 0 && !filter.should.some(c => matchCondition(payload, c))) {
+    return false;
+  }
+  if (Array.isArray(filter.must_not) && filter.must_not.some(c => matchCondition(payload, c))) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Клиент векторного индекса в памяти процесса
+ * @class MemoryVectorClient
+ */
+class MemoryVectorClient {
+  constructor() {
+    /** @type {Map<string, {config: Object, points: Map<number|string, Object>}>} */
+    this.collections = new Map();
+  }
+
+  /**
+   * @private
+   * @param {string} name - Имя коллекции
+   * @returns {Object} Коллекция
+   */
+  _getCollection(name) {
+    const collection = this.collections.get(name);
+    if (!collection) {
+      throw new Error(`Collection ${name} not found`);
+    }
+    return collection;
+  }
+
+  async getCollections() {
+    return {
+      collections: Array.from(this.collections.keys()).map(name => ({ name }))
+    };
+  }
+
+  async createCollection(name, config = {}) {
+    this.collections.set(name, { config, points: new Map() });
+    return true;
+  }
+
+  async deleteCollection(name) {
+    return this.collections.delete(name);
+  }
+
+  async getCollection(name) {
+    const collection = this._getCollection(name);
+    return {
+      status: 'green',
+      points_count: collection.points.size,
+      config: { params: collection.config }
+    };
+  }
+
+  async createPayloadIndex() {
+    // Индексы не нужны для линейного поиска в памяти
+    return true;
+  }
+
+  async upsert(name, { points = [] }) {
+    const collection = this._getCollection(name);
+    const size = collection.config.vectors?.size;
+    for (const point of points) {
+      if (size && point.vector.length !== size) {
+        throw new Error(`Vector dimension error: expected dim: ${size}, got ${point.vector.length}`);
+      }
+      collection.points.set(point.id, { id: point.id, vector: point.vector, payload: point.payload || {} });
+    }
+    return { status: 'completed' };
+  }
+
+  async delete(name, { points = [] }) {
+    const collection = this._getCollection(name);
+    points.forEach(id => collection.points.delete(id));
+    return { status: 'completed' };
+  }
+
+  async scroll(name, { filter, limit = 10 } = {}) {
+    const collection = this._getCollection(name);
+    const points = [];
+    for (const point of collection.points.values()) {
+      if (points.length >= limit) break;
+      if (matchFilter(point.payload, filter)) {
+        points.push({ id: point.id, payload: point.payload });
+      }
+    }
+    return { points, next_page_offset: null };
+  }
+
+  async search(name, { vector, limit = 10, filter, score_threshold }) {
+    const collection = this._getCollection(name);
+    const results = [];
+    for (const point of collection.points.values()) {
+      if (!matchFilter(point.payload, filter)) continue;
+      const score = cosineSimilarity(vector, point.vector);
+      if (score_threshold !== undefined && score < score_threshold) continue;
+      results.push({ id: point.id, score, payload: point.payload });
+    }
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+}
+
+module.exports = MemoryVectorClient;
+module.exports.matchFilter = matchFilter;
@@ -0,0 +1,61 @@
+/**
+ * OpenAI Embedding Provider - embeddings via OpenAI API (@langchain/openai)
+ * @file server/services/embeddings/openaiEmbeddingProvider.js
+ */
+
+const { OpenAIEmbeddings } = require('@langchain/openai');
+
+/**
+ * Провайдер embeddings на основе OpenAI
+ * @class OpenAIEmbeddingProvider
+ */
+class OpenAIEmbeddingProvider {
+  /**
+   * @param {Object} options - Опции
+   * @param {string} options.apiKey - OpenAI API ключ
+   * @param {string} [options.model='text-embedding-ada-002'] - Модель
+   * @param {number} [options.dimension=1536] - Размерность векторов модели
+   */
+  constructor(options = {}) {
+    if (!options.apiKey) {
+      throw new Error('OPENAI_API_KEY is required for the openai embedding provider');
+    }
+
+    this.name = 'openai';
+    this.model = options.model || 'text-embedding-ada-002';
+    this.dimension = options.dimension || 1536;
+    this.defaultThreshold = 0.7;
+    this.client = new OpenAIEmbeddings({
+      apiKey: options.apiKey,
+      model: this.model
+    });
+  }
+
+  /**
+   * Отпечаток провайдера: при его смене векторы нужно пересчитать
+   * @returns {string} Fingerprint
+   */
+  get fingerprint() {
+    return `${this.name}:${this.model}:${this.dimension}`;
+  }
+
+  /**
+   * Создаёт embedding для текста
+   * @param {string} text - Текст
+   * @returns {Promise<number[]>} Вектор
+   */
+  async embed(text) {
+    return this.client.embedQuery(text);
+  }
+
+  /**
+   * Создаёт embeddings для нескольких текстов
+   * @param {string[]} texts - Тексты
+   * @returns {Promise<number[][]>} Векторы
+   */
+  async embedBatch(texts) {
+    return this.client.embedDocuments(texts);
+  }
+}
+
+module.exports = OpenAIEmbeddingProvider;
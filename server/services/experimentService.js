@@ -0,0 +1,542 @@
+/**
+ * Experiment Service - A/B эксперименты: детерминированное распределение читателей по вариантам,
+ * логирование экспозиций, подмена промптов / персон / уведомлений и метрики по вариантам
+ * @file server/services/experimentService.js
+ */
+
+const crypto = require('crypto');
+
+const Experiment = require('../models/Experiment');
+const ExperimentExposure = require('../models/ExperimentExposure');
+const Prompt = require('../models/prompt');
+const AnnaPersona = require('../models/AnnaPersona');
+const WeeklyReport = require('../models/weeklyReport');
+const Quote = require('../models/quote');
+const { UTMClick } = require('../models/analytics');
+const logger = require('../utils/logger');
+
+const RUNNING_CACHE_TTL_MS = 30 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+/**
+ * Допустимые переходы статусов
+ * @type {Object<string, string[]>}
+ */
+const STATUS_TRANSITIONS = {
+  draft: ['running'],
+  running: ['paused', 'completed'],
+  paused: ['running', 'completed'],
+  completed: []
+};
+
+/**
+ * Поля, которые можно менять после запуска (варианты и веса - нет, иначе читатели перераспределятся).
+ * Долю трафика можно только увеличить: уже попавшие в эксперимент читатели в нем остаются
+ * @type {string[]}
+ */
+const EDITABLE_AFTER_START = ['name', 'description', 'trafficPercent'];
+
+/** @type {{expiresAt: number, experiments: Array<Object>}|null} */
+let runningCache = null;
+
+/**
+ * Детерминированная точка [0, 1) для пары (соль, читатель)
+ * @param {string} salt - Ключ эксперимента
+ * @param {string} userId - Telegram ID
+ * @returns {number}
+ */
+function hashToUnit(salt, userId) {
+  const hash = crypto.createHash('sha256').update(`${salt}:${userId}`).digest('hex');
+  return parseInt(hash.slice(0, 8), 16) / 0x100000000;
+}
+
+/**
+ * Вариант читателя: сначала проверяется доля трафика, затем выбирается вариант по весам.
+ * Один и тот же userId всегда получает один и тот же вариант
+ * @param {Object} experiment - Experiment (lean)
+ * @param {string} userId - Telegram ID
+ * @returns {Object|null} Вариант или null (читатель вне эксперимента)
+ */
+function assignVariant(experiment, userId) {
+  if (!userId || !experiment?.variants?.length) return null;
+
+  const trafficPercent = experiment.trafficPercent ?? 100;
+  if (hashToUnit(`${experiment.key}:traffic`, userId) * 100 >= trafficPercent) {
+    return null;
+  }
+
+  const totalWeight = experiment.variants.reduce((sum, variant) => sum + (variant.weight || 0), 0);
+  if (totalWeight <= 0) return null;
+
+  const point = hashToUnit(experiment.key, userId) * totalWeight;
+  let cumulative = 0;
+  for (const variant of experiment.variants) {
+    cumulative += variant.weight || 0;
+    if (point < cumulative) return variant;
+  }
+  return experiment.variants[experiment.variants.length - 1];
+}
+
+/**
+ * Запущенные эксперименты (кэш на 30 секунд - резолв идет на каждый промпт и уведомление)
+ * @param {Date} [now]
+ * @returns {Promise<Array<Object>>}
+ */
+async function getRunningExperiments(now = new Date()) {
+  if (runningCache && runningCache.expiresAt > now.getTime()) {
+    return runningCache.experiments;
+  }
+
+  const experiments = await Experiment.find({ status: 'running' }).lean();
+  runningCache = { expiresAt: now.getTime() + RUNNING_CACHE_TTL_MS, experiments };
+  return experiments;
+}
+
+/**
+ * Сбросить кэш запущенных экспериментов (после изменений из админки)
+ */
+function clearCache() {
+  runningCache = null;
+}
+
+/**
+ * Записать экспозицию: первая фиксирует вариант и точку отсчета метрик, повторные - счетчик
+ * @param {Object} experiment - Experiment (lean)
+ * @param {Object} variant - Вариант
+ * @param {string} userId - Telegram ID
+ * @param {string|null} [context] - Где показан вариант
+ * @param {Date} [now]
+ * @returns {Promise<void>}
+ */
+async function logExposure(experiment, variant, userId, context = null, now = new Date()) {
+  try {
+    await ExperimentExposure.updateOne(
+      { experimentId: experiment._id, userId },
+      {
+        $setOnInsert: {
+          experimentKey: experiment.key,
+          variantKey: variant.key,
+          context,
+          firstExposedAt: now
+        },
+        $set: { lastExposedAt: now },
+        $inc: { exposures: 1 }
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Параллельный upsert того же читателя - экспозиция уже записана
+    if (error.code !== 11000) {
+      logger.warn(`🧪 Failed to log exposure ${experiment.key}/${variant.key} for ${userId}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Вариант читателя в запущенном эксперименте для точки подмены
+ * @param {string} type - prompt|persona|notification
+ * @param {string} target - Тип промпта, контекст персоны или слот
+ * @param {string} userId - Telegram ID
+ * @param {Object} [options]
+ * @param {string} [options.context] - Для лога экспозиции
+ * @param {Date} [options.now]
+ * @returns {Promise<{experiment: Object, variant: Object}|null>}
+ */
+async function resolveVariant(type, target, userId, { context = null, now = new Date() } = {}) {
+  if (!userId) return null;
+
+  try {
+    const experiment = (await getRunningExperiments(now))
+      .find(candidate => candidate.type === type && candidate.target === target);
+    if (!experiment) return null;
+
+    const variant = assignVariant(experiment, String(userId));
+    if (!variant) return null;
+
+    await logExposure(experiment, variant, String(userId), context || target, now);
+    return { experiment, variant };
+  } catch (error) {
+    logger.error(`🧪 Failed to resolve ${type}/${target} experiment for ${userId}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Промпт варианта (контроль и читатели вне эксперимента - null, работает обычный промпт)
+ * @param {string} promptType - Тип промпта
+ * @param {string} userId - Telegram ID
+ * @returns {Promise<Object|null>} Prompt (lean)
+ */
+async function getVariantPrompt(promptType, userId) {
+  const assignment = await resolveVariant('prompt', promptType, userId);
+  if (!assignment?.variant.promptId) return null;
+  return Prompt.findById(assignment.variant.promptId).lean();
+}
+
+/**
+ * Персона варианта для контекста
+ * @param {string} context - Контекст персоны
+ * @param {string} userId - Telegram ID
+ * @returns {Promise<Object|null>} AnnaPersona
+ */
+async function getVariantPersona(context, userId) {
+  const assignment = await resolveVariant('persona', context, userId);
+  if (!assignment?.variant.personaId) return null;
+  return AnnaPersona.findById(assignment.variant.personaId);
+}
+
+/**
+ * Шаблон уведомления с учетом варианта читателя
+ * @param {string} slot - Слот напоминания
+ * @param {string} userId - Telegram ID
+ * @param {Object} template - Шаблон из календаря кампаний
+ * @returns {Promise<Object>} Шаблон варианта или исходный
+ */
+async function getNotificationTemplate(slot, userId, template) {
+  const assignment = await resolveVariant('notification', slot, userId);
+  const variantTemplate = assignment?.variant.template;
+  if (!variantTemplate || (!variantTemplate.text && !variantTemplate.image)) {
+    return template;
+  }
+  return variantTemplate;
+}
+
+/**
+ * Проверка вариантов: не-контрольный вариант должен что-то подменять
+ * @param {string} type - Тип эксперимента
+ * @param {Array<Object>} variants
+ * @returns {Promise<string|null>} Ошибка или null
+ */
+async function validateVariants(type, variants = []) {
+  if (!Array.isArray(variants) || variants.length < 2) {
+    return 'Experiment needs at least two variants';
+  }
+  if (variants.filter(variant => variant.isControl).length > 1) {
+    return 'Only one control variant is allowed';
+  }
+
+  for (const variant of variants.filter(v => !v.isControl)) {
+    if (type === 'prompt') {
+      if (!variant.promptId || !(await Prompt.exists({ _id: variant.promptId }))) {
+        return `Variant "${variant.key}" must reference an existing prompt`;
+      }
+    } else if (type === 'persona') {
+      if (!variant.personaId || !(await AnnaPersona.exists({ _id: variant.personaId }))) {
+        return `Variant "${variant.key}" must reference an existing persona`;
+      }
+    } else if (type === 'notification' && !variant.template?.text && !variant.template?.image) {
+      return `Variant "${variant.key}" must have a notification text or image`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Ошибка сохранения → ответ сервиса
+ * @param {Error} error
+ * @returns {{success: false, error: string, code: string}}
+ */
+function saveError(error) {
+  if (error.code === 11000) {
+    return { success: false, error: 'Experiment key already exists', code: 'DUPLICATE_KEY' };
+  }
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return { success: false, error: error.message, code: 'INVALID_EXPERIMENT' };
+  }
+  throw error;
+}
+
+/**
+ * Создать эксперимент (черновик)
+ * @param {Object} data - {key, name, description, type, target, trafficPercent, variants}
+ * @param {string|null} [createdBy] - Логин администратора
+ * @returns {Promise<Object>} {success, experiment} | {success: false, error, code}
+ */
+async function createExperiment(data = {}, createdBy = null) {
+  const variantsError = await validateVariants(data.type, data.variants);
+  if (variantsError) {
+    return { success: false, error: variantsError, code: 'INVALID_VARIANT' };
+  }
+
+  try {
+    const experiment = await Experiment.create({
+      key: data.key,
+      name: data.name,
+      description: data.description,
+      type: data.type,
+      target: data.target,
+      trafficPercent: data.trafficPercent,
+      variants: data.variants,
+      createdBy
+    });
+    logger.info(`🧪 Experiment created: ${experiment.key} (${experiment.type}/${experiment.target})`);
+    return { success: true, experiment };
+  } catch (error) {
+    return saveError(error);
+  }
+}
+
+/**
+ * Изменить эксперимент. После запуска меняются только название, описание и доля трафика (только вверх)
+ * @param {string} id - Experiment _id
+ * @param {Object} data
+ * @returns {Promise<Object>} {success, experiment} | {success: false, error, code}
+ */
+async function updateExperiment(id, data = {}) {
+  const experiment = await Experiment.findById(id);
+  if (!experiment) {
+    return { success: false, error: 'Experiment not found', code: 'NOT_FOUND' };
+  }
+
+  const fields = Object.keys(data).filter(field => ['key', 'type', 'target', 'variants', ...EDITABLE_AFTER_START].includes(field));
+  if (experiment.status !== 'draft') {
+    const locked = fields.filter(field => !EDITABLE_AFTER_START.includes(field));
+    if (locked.length > 0) {
+      return { success: false, error: `Fields locked after start: ${locked.join(', ')}`, code: 'LOCKED' };
+    }
+    // Уменьшение доли исключило бы читателей, у которых уже есть экспозиция
+    if (fields.includes('trafficPercent') && Number(data.trafficPercent) < (experiment.trafficPercent ?? 100)) {
+      return { success: false, error: 'trafficPercent can only be increased after start', code: 'LOCKED' };
+    }
+  }
+
+  if (fields.includes('variants') || fields.includes('type')) {
+    const variantsError = await validateVariants(data.type || experiment.type, data.variants || experiment.variants);
+    if (variantsError) {
+      return { success: false, error: variantsError, code: 'INVALID_VARIANT' };
+    }
+  }
+
+  fields.forEach(field => experiment.set(field, data[field]));
+  try {
+    await experiment.save();
+  } catch (error) {
+    return saveError(error);
+  }
+
+  clearCache();
+  return { success: true, experiment };
+}
+
+/**
+ * Сменить статус: запуск, пауза, завершение. На одну точку подмены - один запущенный эксперимент
+ * @param {string} id - Experiment _id
+ * @param {string} status - running|paused|completed
+ * @param {Date} [now]
+ * @returns {Promise<Object>} {success, experiment} | {success: false, error, code}
+ */
+async function setStatus(id, status, now = new Date()) {
+  const experiment = await Experiment.findById(id);
+  if (!experiment) {
+    return { success: false, error: 'Experiment not found', code: 'NOT_FOUND' };
+  }
+  if (!(STATUS_TRANSITIONS[experiment.status] || []).includes(status)) {
+    return { success: false, error: `Cannot change status from ${experiment.status} to ${status}`, code: 'INVALID_STATUS' };
+  }
+
+  if (status === 'running') {
+    const conflict = await Experiment.findOne({
+      _id: { $ne: experiment._id },
+      type: experiment.type,
+      target: experiment.target,
+      status: 'running'
+    }).select('key').lean();
+    if (conflict) {
+      return { success: false, error: `Experiment "${conflict.key}" is already running for ${experiment.type}/${experiment.target}`, code: 'CONFLICT' };
+    }
+    if (!experiment.startedAt) experiment.startedAt = now;
+  }
+  if (status === 'completed') {
+    experiment.endedAt = now;
+  }
+
+  experiment.status = status;
+  await experiment.save();
+  clearCache();
+
+  logger.info(`🧪 Experiment ${experiment.key} → ${status}`);
+  return { success: true, experiment };
+}
+
+/**
+ * Эксперименты для админки с числом читателей по вариантам
+ * @param {Object} [filter]
+ * @param {string} [filter.status]
+ * @param {string} [filter.type]
+ * @returns {Promise<Array<Object>>}
+ */
+async function listExperiments({ status, type } = {}) {
+  const query = {};
+  if (status) query.status = status;
+  if (type) query.type = type;
+
+  const experiments = await Experiment.find(query).sort({ createdAt: -1 }).lean();
+  const counts = await ExperimentExposure.aggregate([
+    { $match: { experimentId: { $in: experiments.map(experiment => experiment._id) } } },
+    { $group: { _id: { experimentId: '$experimentId', variantKey: '$variantKey' }, users: { $sum: 1 } } }
+  ]);
+
+  return experiments.map(experiment => ({
+    ...experiment,
+    variants: experiment.variants.map(variant => ({
+      ...variant,
+      exposedUsers: counts.find(row => String(row._id.experimentId) === String(experiment._id)
+        && row._id.variantKey === variant.key)?.users || 0
+    }))
+  }));
+}
+
+/**
+ * Округление до одного знака
+ * @param {number} value
+ * @returns {number}
+ */
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Изменение метрики относительно контроля, %
+ * @param {number} value
+ * @param {number} control
+ * @returns {number|null}
+ */
+function lift(value, control) {
+  return control > 0 ? round1(((value - control) / control) * 100) : null;
+}
+
+/**
+ * Метрики по вариантам. Для каждого читателя считается только то, что случилось
+ * после его первой экспозиции и до завершения эксперимента:
+ * - доля прочитанных еженедельных отчетов
+ * - цитат в неделю
+ * - клики по каталогу (на читателя и доля кликнувших)
+ * @param {string} id - Experiment _id
+ * @param {Date} [now]
+ * @returns {Promise<Object>} {success, experiment, variants} | {success: false, error, code}
+ */
+async function getExperimentMetrics(id, now = new Date()) {
+  const experiment = await Experiment.findById(id).lean();
+  if (!experiment) {
+    return { success: false, error: 'Experiment not found', code: 'NOT_FOUND' };
+  }
+
+  const until = experiment.endedAt || now;
+  const exposures = await ExperimentExposure.find({ experimentId: experiment._id })
+    .select('userId variantKey firstExposedAt')
+    .lean();
+
+  const exposureByUser = new Map(exposures.map(exposure => [exposure.userId, exposure]));
+  const userIds = [...exposureByUser.keys()];
+  const since = exposures.length > 0
+    ? new Date(Math.min(...exposures.map(exposure => exposure.firstExposedAt.getTime())))
+    : until;
+
+  const [reports, quotes, clicks] = userIds.length > 0
+    ? await Promise.all([
+      WeeklyReport.find({ userId: { $in: userIds }, sentAt: { $gte: since, $lte: until } }).select('userId sentAt isRead').lean(),
+      // Импортированные цитаты не активность в эксперименте: один импорт исказил бы метрику варианта
+      Quote.find({ userId: { $in: userIds }, origin: { $ne: 'import' }, createdAt: { $gte: since, $lte: until } }).select('userId createdAt').lean(),
+      UTMClick.find({ userId: { $in: userIds }, campaign: 'catalog', timestamp: { $gte: since, $lte: until } }).select('userId timestamp').lean()
+    ])
+    : [[], [], []];
+
+  const stats = new Map(experiment.variants.map(variant => [variant.key, {
+    users: 0, exposedWeeks: 0, reportsSent: 0, reportsRead: 0, quotes: 0, catalogClicks: 0, clickers: new Set()
+  }]));
+
+  /**
+   * Статистика варианта читателя, если событие после его экспозиции
+   */
+  const statsAfterExposure = (userId, at) => {
+    const exposure = exposureByUser.get(userId);
+    if (!exposure || at < exposure.firstExposedAt) return null;
+    return stats.get(exposure.variantKey) || null;
+  };
+
+  exposures.forEach(exposure => {
+    const variantStats = stats.get(exposure.variantKey);
+    if (!variantStats) return;
+    variantStats.users++;
+    // Минимум сутки, чтобы только что попавшие читатели не раздували "в неделю"
+    variantStats.exposedWeeks += Math.max(until - exposure.firstExposedAt, DAY_MS) / WEEK_MS;
+  });
+  reports.forEach(report => {
+    const variantStats = statsAfterExposure(report.userId, report.sentAt);
+    if (!variantStats) return;
+    variantStats.reportsSent++;
+    if (report.isRead) variantStats.reportsRead++;
+  });
+  quotes.forEach(quote => {
+    const variantStats = statsAfterExposure(quote.userId, quote.createdAt);
+    if (variantStats) variantStats.quotes++;
+  });
+  clicks.forEach(click => {
+    const variantStats = statsAfterExposure(click.userId, click.timestamp);
+    if (!variantStats) return;
+    variantStats.catalogClicks++;
+    variantStats.clickers.add(click.userId);
+  });
+
+  const variants = experiment.variants.map(variant => {
+    const s = stats.get(variant.key);
+    return {
+      key: variant.key,
+      name: variant.name,
+      isControl: variant.isControl,
+      weight: variant.weight,
+      users: s.users,
+      reportsSent: s.reportsSent,
+      reportsRead: s.reportsRead,
+      reportReadRate: s.reportsSent > 0 ? round1((s.reportsRead / s.reportsSent) * 100) : 0,
+      quotes: s.quotes,
+      quotesPerWeek: s.exposedWeeks > 0 ? round1(s.quotes / s.exposedWeeks) : 0,
+      catalogClicks: s.catalogClicks,
+      catalogClicksPerUser: s.users > 0 ? Math.round((s.catalogClicks / s.users) * 100) / 100 : 0,
+      catalogClickRate: s.users > 0 ? round1((s.clickers.size / s.users) * 100) : 0
+    };
+  });
+
+  const control = variants.find(variant => variant.isControl) || variants[0];
+  variants.forEach(variant => {
+    variant.lift = variant === control ? null : {
+      reportReadRate: lift(variant.reportReadRate, control.reportReadRate),
+      quotesPerWeek: lift(variant.quotesPerWeek, control.quotesPerWeek),
+      catalogClicksPerUser: lift(variant.catalogClicksPerUser, control.catalogClicksPerUser)
+    };
+  });
+
+  return {
+    success: true,
+    experiment: {
+      _id: experiment._id,
+      key: experiment.key,
+      name: experiment.name,
+      type: experiment.type,
+      target: experiment.target,
+      status: experiment.status,
+      startedAt: experiment.startedAt,
+      endedAt: experiment.endedAt
+    },
+    variants
+  };
+}
+
+module.exports = {
+  STATUS_TRANSITIONS,
+  hashToUnit,
+  assignVariant,
+  getRunningExperiments,
+  clearCache,
+  logExposure,
+  resolveVariant,
+  getVariantPrompt,
+  getVariantPersona,
+  getNotificationTemplate,
+  createExperiment,
+  updateExperiment,
+  setStatus,
+  listExperiments,
+  getExperimentMetrics
+};
@@ -0,0 +1,369 @@
+/**
+ * Funnel Service - воронки и когорты читателей: регистрация → онбординг → цитаты →
+ * отчет → клик по книге → покупка. Когорта - читатели, зарегистрированные в периоде,
+ * с фильтрами по источнику и целевой аудитории
+ * @file server/services/funnelService.js
+ */
+
+const UserProfile = require('../models/userProfile');
+const Quote = require('../models/quote');
+const WeeklyReport = require('../models/weeklyReport');
+const Purchase = require('../models/Purchase');
+const TargetAudience = require('../models/TargetAudience');
+const { UTMClick, PromoCodeUsage } = require('../models/analytics');
+const { getDayKey, getLocalDayRange } = require('../utils/timezone');
+const { getISOWeekKey } = require('../utils/isoWeek');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const MAX_STEPS = 8;
+const COHORT_GROUPS = ['week', 'month'];
+
+/**
+ * @typedef {Object} FunnelStepDefinition
+ * @property {string} label - Название шага для админки
+ * @property {string[]} params - Допустимые параметры: minCount, withinDays
+ * @property {Function} collect - (cohort) => Promise<Map<userId, Date[]>> моменты выполнения шага
+ */
+
+/**
+ * Собирает моменты выполнения шага по документам
+ * @param {Array<Object>} docs - Документы с userId
+ * @param {Function} getDate - (doc) => Date
+ * @param {Function} [getUserId] - (doc) => Telegram ID
+ * @returns {Map<string, Date[]>}
+ */
+function groupDates(docs, getDate, getUserId = doc => String(doc.userId)) {
+  const byUser = new Map();
+  docs.forEach(doc => {
+    const userId = getUserId(doc);
+    const date = getDate(doc);
+    if (!userId || !date) return;
+    if (!byUser.has(userId)) byUser.set(userId, []);
+    byUser.get(userId).push(new Date(date));
+  });
+  return byUser;
+}
+
+/**
+ * Доступные шаги воронки
+ * @type {Object<string, FunnelStepDefinition>}
+ */
+const FUNNEL_STEPS = {
+  onboarding: {
+    label: 'Прошли онбординг',
+    params: ['withinDays'],
+    collect: async cohort => groupDates(
+      cohort.filter(profile => profile.isOnboardingComplete),
+      profile => profile.testResults?.completedAt || profile.registeredAt
+    )
+  },
+  quotes: {
+    label: 'Сохранили цитаты',
+    params: ['minCount', 'withinDays'],
+    collect: async cohort => groupDates(
+      // Импорт дневника - не сохранение цитат
+      await Quote.find({ userId: { $in: cohort.map(profile => profile.userId) }, origin: { $ne: 'import' } }).select('userId createdAt').lean(),
+      quote => quote.createdAt
+    )
+  },
+  report_opened: {
+    label: 'Открыли еженедельный отчет',
+    params: ['withinDays'],
+    collect: async cohort => groupDates(
+      await WeeklyReport.find({ userId: { $in: cohort.map(profile => profile.userId) }, isRead: true })
+        .select('userId readAt sentAt').lean(),
+      report => report.readAt || report.sentAt
+    )
+  },
+  book_click: {
+    label: 'Кликнули по книге',
+    params: ['withinDays'],
+    collect: async cohort => groupDates(
+      await UTMClick.find({ userId: { $in: cohort.map(profile => profile.userId) }, campaign: 'catalog' })
+        .select('userId timestamp').lean(),
+      click => click.timestamp
+    )
+  },
+  purchase: {
+    label: 'Купили (промокод или оплата)',
+    params: ['withinDays'],
+    collect: async cohort => {
+      // Purchase ссылается на профиль по _id, промокоды - по Telegram ID; выдачи админом не покупки
+      const telegramIdByProfile = new Map(cohort.map(profile => [String(profile._id), profile.userId]));
+      const [promoUsages, purchases] = await Promise.all([
+        PromoCodeUsage.find({ userId: { $in: cohort.map(profile => profile.userId) } }).select('userId timestamp').lean(),
+        Purchase.find({
+          userId: { $in: cohort.map(profile => profile._id) },
+          status: 'completed',
+          source: { $ne: 'admin' }
+        }).select('userId createdAt').lean()
+      ]);
+
+      const byUser = groupDates(promoUsages, usage => usage.timestamp);
+      groupDates(purchases, purchase => purchase.createdAt, purchase => telegramIdByProfile.get(String(purchase.userId)))
+        .forEach((dates, userId) => byUser.set(userId, [...(byUser.get(userId) || []), ...dates]));
+      return byUser;
+    }
+  }
+};
+
+/**
+ * Воронка по умолчанию: онбординг → 3 цитаты за первую неделю → отчет → клик → покупка
+ * @type {Array<Object>}
+ */
+const DEFAULT_FUNNEL = [
+  { type: 'onboarding' },
+  { type: 'quotes', minCount: 3, withinDays: 7 },
+  { type: 'report_opened' },
+  { type: 'book_click' },
+  { type: 'purchase' }
+];
+
+/**
+ * Проверка и нормализация параметров воронки
+ * @param {Object} [input] - {from, to, source, audience, cohortBy, steps}
+ * @param {Date} [now]
+ * @returns {{success: true, options: Object}|{success: false, error: string, code: string}}
+ */
+function normalizeOptions(input = {}, now = new Date()) {
+  const to = input.to || getDayKey(now);
+  const from = input.from || getDayKey(new Date(now.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS));
+
+  let range;
+  try {
+    range = { start: getLocalDayRange(from).start, end: getLocalDayRange(to).end };
+  } catch (error) {
+    return { success: false, error: 'Dates must be YYYY-MM-DD', code: 'INVALID_RANGE' };
+  }
+  if (range.start > range.end || range.end - range.start > MAX_RANGE_DAYS * DAY_MS) {
+    return { success: false, error: `Date range must be 1-${MAX_RANGE_DAYS} days`, code: 'INVALID_RANGE' };
+  }
+
+  const sources = UserProfile.schema.path('source').enumValues;
+  if (input.source && !sources.includes(input.source)) {
+    return { success: false, error: `Unknown source: ${input.source}`, code: 'INVALID_SOURCE' };
+  }
+
+  const cohortBy = input.cohortBy || 'week';
+  if (!COHORT_GROUPS.includes(cohortBy)) {
+    return { success: false, error: `cohortBy must be one of: ${COHORT_GROUPS.join(', ')}`, code: 'INVALID_COHORT' };
+  }
+
+  const rawSteps = Array.isArray(input.steps) && input.steps.length ? input.steps : DEFAULT_FUNNEL;
+  if (rawSteps.length > MAX_STEPS) {
+    return { success: false, error: `A funnel can have at most ${MAX_STEPS} steps`, code: 'INVALID_STEP' };
+  }
+
+  const steps = [];
+  for (const rawStep of rawSteps) {
+    const definition = FUNNEL_STEPS[rawStep?.type];
+    if (!definition) {
+      return { success: false, error: `Unknown step: ${rawStep?.type}`, code: 'INVALID_STEP' };
+    }
+
+    const step = { type: rawStep.type, minCount: 1, withinDays: null };
+    if (definition.params.includes('minCount') && rawStep.minCount !== undefined && rawStep.minCount !== null) {
+      step.minCount = parseInt(rawStep.minCount, 10);
+      if (!Number.isInteger(step.minCount) || step.minCount < 1 || step.minCount > 1000) {
+        return { success: false, error: 'minCount must be 1-1000', code: 'INVALID_STEP' };
+      }
+    }
+    if (rawStep.withinDays !== undefined && rawStep.withinDays !== null && rawStep.withinDays !== '') {
+      step.withinDays = parseInt(rawStep.withinDays, 10);
+      if (!Number.isInteger(step.withinDays) || step.withinDays < 1 || step.withinDays > MAX_RANGE_DAYS) {
+        return { success: false, error: `withinDays must be 1-${MAX_RANGE_DAYS}`, code: 'INVALID_STEP' };
+      }
+    }
+    steps.push(step);
+  }
+
+  return {
+    success: true,
+    options: {
+      from,
+      to,
+      range,
+      source: input.source || null,
+      audience: input.audience || null,
+      cohortBy,
+      steps
+    }
+  };
+}
+
+/**
+ * Выполнил ли читатель шаг: minCount событий, при withinDays - в первые N дней после регистрации
+ * @param {Object} step - Нормализованный шаг
+ * @param {Date} registeredAt - Дата регистрации
+ * @param {Date[]} [dates] - Моменты выполнения шага
+ * @returns {boolean}
+ */
+function passesStep(step, registeredAt, dates = []) {
+  const deadline = step.withinDays ? new Date(registeredAt).getTime() + step.withinDays * DAY_MS : Infinity;
+  return dates.filter(date => date.getTime() <= deadline).length >= step.minCount;
+}
+
+/**
+ * Ключ когорты по дате регистрации (по МСК)
+ * @param {Date} registeredAt
+ * @param {string} cohortBy - week|month
+ * @returns {string} 2026-W23 или 2026-06
+ */
+function getCohortKey(registeredAt, cohortBy) {
+  const dayKey = getDayKey(new Date(registeredAt));
+  if (cohortBy === 'month') {
+    return dayKey.slice(0, 7);
+  }
+  const [year, month, day] = dayKey.split('-').map(Number);
+  return getISOWeekKey(new Date(year, month - 1, day));
+}
+
+/**
+ * @param {number} part
+ * @param {number} total
+ * @returns {number} Процент с одним знаком
+ */
+function percent(part, total) {
+  return total > 0 ? Math.round((part / total) * 1000) / 10 : 0;
+}
+
+/**
+ * Читатели когорты с учетом фильтров
+ * @param {Object} options - Нормализованные параметры
+ * @returns {Promise<{success: true, cohort: Array<Object>}|{success: false, error: string, code: string}>}
+ */
+async function loadCohort(options) {
+  const query = { registeredAt: { $gte: options.range.start, $lte: options.range.end } };
+  if (options.source) query.source = options.source;
+
+  let audience = null;
+  if (options.audience) {
+    audience = await TargetAudience.findOne({ slug: options.audience, isActive: true }).lean();
+    if (!audience) {
+      return { success: false, error: `Unknown audience: ${options.audience}`, code: 'INVALID_AUDIENCE' };
+    }
+  }
+
+  const profiles = await UserProfile.find(query)
+    .select('userId registeredAt source isOnboardingComplete testResults preferences')
+    .lean();
+
+  const cohort = audience
+    ? profiles.filter(profile => TargetAudience.userMatchesCriteria(profile, audience.criteria || {}))
+    : profiles;
+
+  return { success: true, cohort };
+}
+
+/**
+ * Строит воронку и разбивку по когортам регистрации. Шаги последовательные:
+ * на шаг k попадают только выполнившие шаги 1..k-1 (порядок во времени не проверяется)
+ * @param {Object} [input] - {from, to, source, audience, cohortBy, steps}
+ * @param {Date} [now]
+ * @returns {Promise<Object>} {success, filters, cohortSize, steps, cohorts} или {success: false, error, code}
+ */
+async function buildFunnel(input = {}, now = new Date()) {
+  const normalized = normalizeOptions(input, now);
+  if (!normalized.success) return normalized;
+  const { options } = normalized;
+
+  const loaded = await loadCohort(options);
+  if (!loaded.success) return loaded;
+  const { cohort } = loaded;
+
+  // Каждый тип шага запрашиваем один раз, даже если он повторяется с разными параметрами
+  const types = [...new Set(options.steps.map(step => step.type))];
+  const collected = new Map();
+  if (cohort.length) {
+    const results = await Promise.all(types.map(type => FUNNEL_STEPS[type].collect(cohort)));
+    types.forEach((type, index) => collected.set(type, results[index]));
+  }
+
+  // passedBy[k] - читатели, дошедшие до шага k (0 - регистрация)
+  const passedBy = [cohort];
+  options.steps.forEach((step, index) => {
+    const datesByUser = collected.get(step.type) || new Map();
+    passedBy.push(passedBy[index].filter(profile =>
+      passesStep(step, profile.registeredAt, datesByUser.get(profile.userId))
+    ));
+  });
+
+  const steps = [{ type: 'registered', label: 'Зарегистрировались', minCount: 1, withinDays: null }, ...options.steps]
+    .map((step, index) => {
+      const users = passedBy[index].length;
+      return {
+        type: step.type,
+        label: step.label || FUNNEL_STEPS[step.type].label,
+        minCount: step.minCount,
+        withinDays: step.withinDays,
+        users,
+        conversionFromPrevious: index === 0 ? 100 : percent(users, passedBy[index - 1].length),
+        conversionFromStart: percent(users, cohort.length)
+      };
+    });
+
+  const cohortRows = new Map();
+  passedBy.forEach((profiles, stepIndex) => {
+    profiles.forEach(profile => {
+      const key = getCohortKey(profile.registeredAt, options.cohortBy);
+      if (!cohortRows.has(key)) cohortRows.set(key, new Array(passedBy.length).fill(0));
+      cohortRows.get(key)[stepIndex]++;
+    });
+  });
+
+  const cohorts = [...cohortRows.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([cohortKey, counts]) => ({
+      cohort: cohortKey,
+      size: counts[0],
+      steps: counts.map(count => ({ users: count, conversionFromStart: percent(count, counts[0]) }))
+    }));
+
+  logger.info(`📊 Funnel built: ${cohort.length} readers, ${options.steps.length} steps, ${options.from}..${options.to}`);
+
+  return {
+    success: true,
+    filters: {
+      from: options.from,
+      to: options.to,
+      source: options.source,
+      audience: options.audience,
+      cohortBy: options.cohortBy
+    },
+    cohortSize: cohort.length,
+    steps,
+    cohorts
+  };
+}
+
+/**
+ * Справочники для конструктора воронок в админке
+ * @returns {Promise<Object>} {steps, defaultSteps, sources, audiences, cohortBy}
+ */
+async function getFunnelMeta() {
+  const audiences = await TargetAudience.find({ isActive: true })
+    .select('slug name')
+    .sort({ priority: -1, name: 1 })
+    .lean();
+
+  return {
+    steps: Object.entries(FUNNEL_STEPS).map(([type, { label, params }]) => ({ type, label, params })),
+    defaultSteps: DEFAULT_FUNNEL,
+    sources: UserProfile.schema.path('source').enumValues,
+    audiences: audiences.map(({ slug, name }) => ({ slug, name })),
+    cohortBy: COHORT_GROUPS
+  };
+}
+
+module.exports = {
+  FUNNEL_STEPS,
+  DEFAULT_FUNNEL,
+  normalizeOptions,
+  passesStep,
+  getCohortKey,
+  buildFunnel,
+  getFunnelMeta
+};
@@ -9,10 +9,12 @@ const Follow = require('../../models/Follow');
 const Favorite = require('../../models/Favorite');
 const Quote = require('../../models/quote');
 const UserProfile = require('../../models/userProfile');
-const UserEntitlement = require('../../models/UserEntitlement');
+const AchievementUnlock = require('../../models/AchievementUnlock');
 const entitlementService = require('../access/entitlementService');
 const { resolveUserObjectId } = require('../access/resolveUserId');
 const logger = require('../../utils/logger');
+const { getDayKey, getLocalDayRange } = require('../../utils/timezone');
+const { getUserTimezone } = require('../userTimezoneService');
 
 // Constants
 const MAX_STREAK_CHECK_DAYS = 60; // Maximum days to check for streak calculation
@@ -113,36 +115,30 @@ async function countLikesGivenToOthers(userId) {
 /**
  * Calculate activity streak - consecutive days ending today with at least one activity
  * An activity day is one where the user: posted a photo, saved a quote, liked, or followed
- * Uses UTC for consistent timezone handling
+ * Days are counted in the user's timezone (business timezone by default)
  * @param {string} userId - Telegram user ID
+ * @param {string} [timezone] - IANA timezone override
  * @returns {Promise<number>} Number of consecutive days
  */
-async function calculateStreak(userId) {
+async function calculateStreak(userId, timezone = null) {
   try {
-    // Use UTC to avoid timezone issues
-    const today = new Date();
-    const todayUTC = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate()));
+    const tz = timezone || await getUserTimezone(userId);
     
-    // We'll check day by day going backwards from today
+    // We'll check day by day going backwards from today (local day)
     let streak = 0;
-    // eslint-disable-next-line prefer-const
-    let currentDate = new Date(todayUTC);
+    let dayKey = getDayKey(new Date(), tz);
     
     // Check up to MAX_STREAK_CHECK_DAYS (reasonable limit to avoid infinite loop)
     for (let i = 0; i < MAX_STREAK_CHECK_DAYS; i++) {
-      const dayStart = new Date(currentDate);
-      dayStart.setUTCHours(0, 0, 0, 0);
-      
-      const dayEnd = new Date(currentDate);
-      dayEnd.setUTCHours(23, 59, 59, 999);
+      const { start: dayStart, end: dayEnd } = getLocalDayRange(dayKey, tz);
       
       // Check for any activity on this day
       const hasActivity = await checkActivityOnDay(userId, dayStart, dayEnd);
       
       if (hasActivity) {
         streak++;
-        // Move to previous day
-        currentDate.setUTCDate(currentDate.getUTCDate() - 1);
+        // Move to previous local day
+        dayKey = getDayKey(new Date(dayStart.getTime() - 1), tz);
       } else {
         // Streak broken
         break;
@@ -253,6 +249,7 @@ async function getAliceProgress(userId) {
     let hasAccess = false;
     let expiresAt = null;
     let remainingDays = 0;
+    let unlimited = false;
     try {
       const userObjectId = await resolveUserObjectId(userId);
       if (userObjectId) {
@@ -264,12 +261,10 @@ async function getAliceProgress(userId) {
         
         // If user has access, get expiration date and calculate remaining days
         if (hasAccess) {
-          const entitlement = await UserEntitlement.findOne({
-            userId: userObjectId,
-            kind: 'audio',
-            resourceId: 'alice_wonderland'
-          });
-          expiresAt = entitlement?.expiresAt || null;
+          // Badge and purchased access are separate rows - take the one that lasts longest
+          const access = await entitlementService.resolveAudioAccess(userObjectId, 'alice_wonderland');
+          expiresAt = access.expiresAt;
+          unlimited = !expiresAt;
           
           // Calculate remaining days from expiresAt
           if (expiresAt) {
@@ -292,7 +287,8 @@ async function getAliceProgress(userId) {
       claimed,
       hasAccess,
       expiresAt,
-      remainingDays
+      remainingDays,
+      unlimited
     };
 
     logger.info(`✅ Alice progress computed:`, progress);
@@ -303,6 +299,20 @@ async function getAliceProgress(userId) {
   }
 }
 
+/**
+ * Record Alice badge in achievement unlock history (idempotent)
+ * History failures must not break the claim itself
+ * @param {string} userId - Telegram user ID
+ * @returns {Promise<void>}
+ */
+async function recordAliceUnlock(userId) {
+  try {
+    await AchievementUnlock.record(userId, 'alice', { tier: 'gold', source: 'badge' });
+  } catch (error) {
+    logger.warn(`⚠️ Could not record alice unlock history for user ${userId}:`, error);
+  }
+}
+
 /**
  * Claim Alice badge - grant 30-day audio access to alice_wonderland
  * @param {string} userId - Telegram user ID
@@ -340,12 +350,8 @@ async function claimAlice(userId) {
     if (hasAccess) {
       logger.info(`✅ User ${userId} already has Alice entitlement (idempotent)`);
       
-      // Get the existing entitlement to return expiresAt
-      const existingEntitlement = await UserEntitlement.findOne({
-        userId: userObjectId,
-        kind: 'audio',
-        resourceId: 'alice_wonderland'
-      });
+      // Get the current access to return expiresAt
+      const existingAccess = await entitlementService.resolveAudioAccess(userObjectId, 'alice_wonderland');
       
       // Ensure achievement is persisted (idempotent)
       const userProfile = await UserProfile.findOne({ userId });
@@ -365,12 +371,13 @@ async function claimAlice(userId) {
         );
         logger.info(`✅ Added alice achievement to user ${userId} profile (was missing)`);
       }
+      await recordAliceUnlock(userId);
       
       return {
         success: true,
         message: 'Badge already claimed',
         alreadyClaimed: true,
-        expiresAt: existingEntitlement?.expiresAt || null
+        expiresAt: existingAccess.expiresAt
       };
     }
 
@@ -406,6 +413,8 @@ async function claimAlice(userId) {
       }
     );
 
+    await recordAliceUnlock(userId);
+
     logger.info(`✅ Alice badge claimed successfully for user ${userId}`);
 
     // TODO: Optional - Send Telegram notification via notificationService
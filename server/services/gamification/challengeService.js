@@ -0,0 +1,332 @@
+/**
+ * Challenge Service - generic time-boxed reading challenges: progress by metric and reward claims
+ * @file server/services/gamification/challengeService.js
+ */
+
+const PhotoPost = require('../../models/PhotoPost');
+const Follow = require('../../models/Follow');
+const Favorite = require('../../models/Favorite');
+const Quote = require('../../models/quote');
+const UserProfile = require('../../models/userProfile');
+const AudioProgress = require('../../models/AudioProgress');
+const PromoCode = require('../../models/PromoCode');
+const Challenge = require('../../models/Challenge');
+const ChallengeClaim = require('../../models/ChallengeClaim');
+const AchievementUnlock = require('../../models/AchievementUnlock');
+const entitlementService = require('../access/entitlementService');
+const { resolveUserObjectId } = require('../access/resolveUserId');
+const { calculateStreak } = require('./badgesService');
+const logger = require('../../utils/logger');
+
+/**
+ * Аудио считается прослушанным после минуты воспроизведения
+ */
+const MIN_LISTENED_SEC = 60;
+
+/**
+ * Подписи условий по умолчанию
+ */
+const METRIC_LABELS = {
+  quotes: 'цитат сохранено',
+  streak_days: 'дней активности подряд',
+  cover_photos: 'фото в «книжный кадр»',
+  follows: 'подписок на читателей',
+  likes_given: 'лайков цитатам',
+  audio_listened: 'аудиоразборов прослушано'
+};
+
+/**
+ * Счетчики метрик. window - {$gte, $lte} для createdAt/updatedAt
+ * (серия активности не зависит от окна челленджа)
+ */
+const METRIC_COUNTERS = {
+  quotes: (userId, window) => Quote.countDocuments({ userId, createdAt: window }),
+  streak_days: userId => calculateStreak(userId),
+  cover_photos: (userId, window) => PhotoPost.countDocuments({ userId, status: 'published', createdAt: window }),
+  follows: (userId, window) => Follow.countDocuments({ followerId: userId, createdAt: window }),
+  likes_given: (userId, window) => Favorite.countDocuments({ userId, createdAt: window }),
+  audio_listened: async (userId, window) => {
+    const userObjectId = await resolveUserObjectId(userId);
+    if (!userObjectId) return 0;
+    return AudioProgress.countDocuments({
+      userId: userObjectId,
+      positionSec: { $gte: MIN_LISTENED_SEC },
+      updatedAt: window
+    });
+  }
+};
+
+/**
+ * Считает значения метрик челленджа (одинаковые запросы выполняются один раз)
+ * @param {string} userId - Telegram user ID
+ * @param {Object} challenge - Челлендж
+ * @param {Date} now - Текущее время
+ * @param {Map<string, Promise<number>>} [cache] - Кэш на один запрос пользователя
+ * @returns {Promise<Object<string, number>>} metric -> значение
+ */
+async function countChallengeMetrics(userId, challenge, now, cache = new Map()) {
+  const end = challenge.endsAt < now ? challenge.endsAt : now;
+  const window = { $gte: challenge.startsAt, $lte: end };
+  const values = {};
+
+  await Promise.all(challenge.criteria.map(async ({ metric }) => {
+    const key = metric === 'streak_days'
+      ? metric
+      : `${metric}|${new Date(challenge.startsAt).getTime()}|${new Date(end).getTime()}`;
+
+    if (!cache.has(key)) {
+      const counter = METRIC_COUNTERS[metric];
+      cache.set(key, counter ? counter(userId, window) : Promise.resolve(0));
+    }
+
+    try {
+      values[metric] = await cache.get(key);
+    } catch (error) {
+      logger.error(`Error counting ${metric} for user ${userId}:`, error);
+      values[metric] = 0;
+    }
+  }));
+
+  return values;
+}
+
+/**
+ * Прогресс по условиям челленджа
+ * @param {Object} challenge - Челлендж (criteria)
+ * @param {Object<string, number>} values - Значения метрик
+ * @returns {{criteria: Array<Object>, percent: number, completed: boolean}}
+ */
+function buildProgress(challenge, values) {
+  const criteria = challenge.criteria.map(({ metric, target, label }) => {
+    const current = values[metric] || 0;
+    return {
+      metric,
+      label: label || METRIC_LABELS[metric] || metric,
+      current,
+      target,
+      percent: Math.min(100, Math.round((current / target) * 100)),
+      completed: current >= target
+    };
+  });
+
+  const percent = criteria.length
+    ? Math.round(criteria.reduce((sum, criterion) => sum + criterion.percent, 0) / criteria.length)
+    : 0;
+
+  return {
+    criteria,
+    percent,
+    completed: criteria.length > 0 && criteria.every(criterion => criterion.completed)
+  };
+}
+
+/**
+ * Публичное представление челленджа для mini app
+ * @param {Object} challenge - Челлендж
+ * @param {Date} now - Текущее время
+ * @returns {Object}
+ */
+function toPublicChallenge(challenge, now) {
+  return {
+    id: String(challenge._id),
+    slug: challenge.slug,
+    title: challenge.title,
+    description: challenge.description,
+    emoji: challenge.emoji,
+    image: challenge.image || null,
+    startsAt: challenge.startsAt,
+    endsAt: challenge.endsAt,
+    daysLeft: Math.max(0, Math.ceil((new Date(challenge.endsAt) - now) / (1000 * 60 * 60 * 24))),
+    reward: {
+      type: challenge.reward.type,
+      title: challenge.reward.title || ''
+    }
+  };
+}
+
+/**
+ * Активные и завершенные челленджи читателя с прогрессом
+ * @param {string} userId - Telegram user ID
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Текущее время (для тестов)
+ * @returns {Promise<{active: Array<Object>, completed: Array<Object>}>}
+ */
+async function getUserChallenges(userId, { now = new Date() } = {}) {
+  const [running, claims] = await Promise.all([
+    Challenge.findRunning(now),
+    ChallengeClaim.find({ userId }).sort({ claimedAt: -1 }).lean()
+  ]);
+
+  const claimsByChallenge = new Map(claims.map(claim => [String(claim.challengeId), claim]));
+  const cache = new Map();
+
+  const active = [];
+  for (const challenge of running) {
+    if (claimsByChallenge.has(String(challenge._id))) continue;
+
+    const values = await countChallengeMetrics(userId, challenge, now, cache);
+    active.push({
+      ...toPublicChallenge(challenge, now),
+      ...buildProgress(challenge, values),
+      claimed: false
+    });
+  }
+
+  // Завершенные - по записям о наградах (челлендж мог закончиться или быть удален)
+  const challengeIds = claims.map(claim => claim.challengeId);
+  const claimedChallenges = await Challenge.find({ _id: { $in: challengeIds } }).lean();
+  const challengesById = new Map(claimedChallenges.map(challenge => [String(challenge._id), challenge]));
+
+  const completed = claims.map(claim => {
+    const challenge = challengesById.get(String(claim.challengeId));
+    return {
+      ...(challenge ? toPublicChallenge(challenge, now) : { id: String(claim.challengeId), slug: claim.slug, title: claim.slug }),
+      reward: claim.reward,
+      claimed: true,
+      claimedAt: claim.claimedAt,
+      percent: 100,
+      completed: true
+    };
+  });
+
+  return { active, completed };
+}
+
+/**
+ * Выдает награду челленджа
+ * @param {string} userId - Telegram user ID
+ * @param {Object} challenge - Челлендж
+ * @param {Date} now - Текущее время
+ * @returns {Promise<Object>} Снимок выданной награды
+ */
+async function grantReward(userId, challenge, now) {
+  const { reward } = challenge;
+  const granted = { type: reward.type, title: reward.title || '' };
+
+  if (reward.type === 'entitlement') {
+    const userObjectId = await resolveUserObjectId(userId);
+    if (!userObjectId) {
+      const error = new Error('User not found');
+      error.code = 'USER_NOT_FOUND';
+      throw error;
+    }
+
+    const expiresAt = reward.durationDays
+      ? new Date(now.getTime() + reward.durationDays * 24 * 60 * 60 * 1000)
+      : null;
+
+    await entitlementService.grantAudio(userObjectId, reward.resourceId, {
+      expiresAt,
+      grantedBy: 'challenge',
+      metadata: { challenge: challenge.slug, claimedAt: now }
+    });
+
+    return { ...granted, resourceId: reward.resourceId, expiresAt };
+  }
+
+  if (reward.type === 'promo_code') {
+    const validation = await PromoCode.validateCode(reward.promoCode);
+    if (!validation.valid) {
+      const error = new Error(`Promo code ${reward.promoCode} is unavailable: ${validation.reason}`);
+      error.code = 'REWARD_UNAVAILABLE';
+      throw error;
+    }
+
+    return {
+      ...granted,
+      promoCode: validation.promoCode.code,
+      discount: validation.promoCode.discount,
+      discountType: validation.promoCode.discountType,
+      validUntil: validation.promoCode.validUntil
+    };
+  }
+
+  // badge
+  await UserProfile.updateOne(
+    { userId, 'achievements.achievementId': { $ne: reward.badgeId } },
+    { $push: { achievements: { achievementId: reward.badgeId, unlockedAt: now } } }
+  );
+  await AchievementUnlock.record(userId, reward.badgeId, { source: 'challenge', unlockedAt: now })
+    .catch(error => logger.warn(`⚠️ Could not record unlock history ${reward.badgeId} for user ${userId}:`, error));
+  return { ...granted, badgeId: reward.badgeId };
+}
+
+/**
+ * Получение награды за выполненный челлендж (идемпотентно)
+ * @param {string} userId - Telegram user ID
+ * @param {string} slug - Slug челленджа
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Текущее время (для тестов)
+ * @returns {Promise<Object>} {success, reward} или {success: false, error, code}
+ */
+async function claimChallenge(userId, slug, { now = new Date() } = {}) {
+  try {
+    const challenge = await Challenge.findOne({ slug: String(slug).toLowerCase() }).lean();
+    if (!challenge) {
+      return { success: false, error: 'Challenge not found', code: 'CHALLENGE_NOT_FOUND' };
+    }
+
+    const existing = await ChallengeClaim.findOne({ challengeId: challenge._id, userId }).lean();
+    if (existing) {
+      return { success: true, alreadyClaimed: true, reward: existing.reward };
+    }
+
+    if (!challenge.isActive || challenge.startsAt > now || challenge.endsAt < now) {
+      return { success: false, error: 'Challenge is not running', code: 'CHALLENGE_NOT_ACTIVE' };
+    }
+
+    const values = await countChallengeMetrics(userId, challenge, now);
+    const progress = buildProgress(challenge, values);
+    if (!progress.completed) {
+      return { success: false, error: 'Requirements not met', code: 'REQUIREMENTS_NOT_MET', progress };
+    }
+
+    // Сначала резервируем получение: уникальный индекс защищает от двойного клика
+    let claim;
+    try {
+      claim = await ChallengeClaim.create({
+        challengeId: challenge._id,
+        slug: challenge.slug,
+        userId,
+        reward: { type: challenge.reward.type, title: challenge.reward.title || '' },
+        progress: values,
+        claimedAt: now
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        const concurrent = await ChallengeClaim.findOne({ challengeId: challenge._id, userId }).lean();
+        return { success: true, alreadyClaimed: true, reward: concurrent?.reward };
+      }
+      throw error;
+    }
+
+    try {
+      claim.reward = await grantReward(userId, challenge, now);
+      await claim.save();
+    } catch (error) {
+      await ChallengeClaim.deleteOne({ _id: claim._id });
+      logger.error(`❌ Failed to grant reward for challenge ${challenge.slug} to user ${userId}:`, error);
+      return {
+        success: false,
+        error: error.code === 'REWARD_UNAVAILABLE' ? 'Reward is temporarily unavailable' : (error.message || 'Failed to grant reward'),
+        code: error.code || 'REWARD_FAILED'
+      };
+    }
+
+    logger.info(`🏆 Challenge ${challenge.slug} claimed by user ${userId} (${challenge.reward.type})`);
+    return { success: true, reward: claim.reward };
+  } catch (error) {
+    logger.error(`❌ Error claiming challenge ${slug} for user ${userId}:`, error);
+    return { success: false, error: error.message || 'Failed to claim challenge', code: 'INTERNAL_ERROR' };
+  }
+}
+
+module.exports = {
+  getUserChallenges,
+  claimChallenge,
+  // Export helpers for testing
+  buildProgress,
+  countChallengeMetrics,
+  METRIC_LABELS,
+  METRIC_COUNTERS
+};
@@ -76,6 +76,9 @@ class KnowledgeService {
         preserveParagraphs: true
       }
     };
+
+    // 🧮 При смене провайдера embeddings (или пустом индексе в памяти) переиндексируем базу знаний
+    vectorStoreService.setReindexHandler(() => this.syncToVectorStore());
   }
 
   /**
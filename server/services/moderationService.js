@@ -0,0 +1,385 @@
+/**
+ * Moderation Service - жалобы на контент сообщества, действия модератора
+ * (скрыть / вернуть / заблокировать автора) и автоматическая пре-модерация комментариев
+ * @file server/services/moderationService.js
+ */
+
+const mongoose = require('mongoose');
+
+const ModerationReport = require('../models/ModerationReport');
+const { MODERATION_TARGET_TYPES, MODERATION_REASONS, MODERATION_ACTIONS } = require('../models/ModerationReport');
+const PhotoPost = require('../models/PhotoPost');
+const PhotoComment = require('../models/PhotoComment');
+const Quote = require('../models/quote');
+const UserProfile = require('../models/userProfile');
+const { PROFANITY_STEMS, PROFANITY_WORDS, LOOKALIKE_CHARS, LINK_RULES } = require('../config/moderation');
+const logger = require('../utils/logger');
+
+const SYSTEM_REPORTER = 'system';
+const BAN_CACHE_TTL_MS = 30 * 1000;
+
+/**
+ * @typedef {Object} ModerationTarget
+ * @property {mongoose.Model} model - Модель контента
+ * @property {Function} snapshot - (doc) => {text, imageUrl}
+ * @property {Object} hide - update для скрытия
+ * @property {Object} restore - update для возврата
+ */
+
+/**
+ * На что можно пожаловаться и как это скрывается
+ * @type {Object<string, ModerationTarget>}
+ */
+const TARGETS = {
+  cover: {
+    model: PhotoPost,
+    snapshot: doc => ({ text: doc.caption || '', imageUrl: doc.imageUrl || null }),
+    hide: { status: 'hidden' },
+    restore: { status: 'published' }
+  },
+  comment: {
+    model: PhotoComment,
+    snapshot: doc => ({ text: doc.text || '', imageUrl: null }),
+    hide: { status: 'hidden' },
+    restore: { status: 'published' }
+  },
+  quote: {
+    model: Quote,
+    snapshot: doc => ({ text: doc.author ? `${doc.text} — ${doc.author}` : doc.text, imageUrl: null }),
+    hide: { communityHidden: true },
+    restore: { communityHidden: false }
+  }
+};
+
+/** @type {Map<string, {banned: boolean, expiresAt: number}>} */
+const banCache = new Map();
+
+/**
+ * Нормализация текста для поиска мата: нижний регистр, ё → е, латинские двойники → кириллица
+ * @param {string} text - Текст
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/ё/g, 'е')
+    .replace(/[a-z]/g, char => LOOKALIKE_CHARS[char] || char);
+}
+
+/**
+ * Ищет нецензурные слова (основы - по началу слова, короткие слова - целиком)
+ * @param {string} text - Текст
+ * @returns {string[]} Найденные основы и слова
+ */
+function findProfanity(text) {
+  const lowered = String(text || '').toLowerCase().replace(/ё/g, 'е');
+  const variants = [lowered, normalizeText(text)];
+
+  const patterns = [
+    ...PROFANITY_STEMS.map(stem => [stem, new RegExp(`(^|[^a-zа-я])${stem}`, 'i')]),
+    ...PROFANITY_WORDS.map(word => [word, new RegExp(`(^|[^a-zа-я])${word}($|[^a-zа-я])`, 'i')])
+  ];
+
+  return patterns
+    .filter(([, pattern]) => variants.some(variant => pattern.test(variant)))
+    .map(([match]) => match);
+}
+
+/**
+ * Ищет ссылки в тексте
+ * @param {string} text - Текст
+ * @returns {string[]} Найденные ссылки
+ */
+function findLinks(text) {
+  return String(text || '').match(new RegExp(LINK_RULES.pattern.source, LINK_RULES.pattern.flags)) || [];
+}
+
+/**
+ * Автоматическая пре-модерация текста
+ * @param {string} text - Текст комментария
+ * @returns {{allowed: boolean, flags: string[], reason: string|null}}
+ * allowed=false - отклонить; flags без reason - опубликовать и отправить на проверку
+ */
+function prescreenText(text) {
+  if (findProfanity(text).length > 0) {
+    return { allowed: false, flags: ['profanity'], reason: 'abuse' };
+  }
+
+  const links = findLinks(text);
+  if (links.length >= LINK_RULES.rejectAt) {
+    return { allowed: false, flags: ['link_spam'], reason: 'spam' };
+  }
+  if (links.length >= LINK_RULES.flagAt) {
+    return { allowed: true, flags: ['link'], reason: null };
+  }
+
+  return { allowed: true, flags: [], reason: null };
+}
+
+/**
+ * Загружает объект жалобы
+ * @param {string} targetType - cover|comment|quote
+ * @param {string} targetId - _id
+ * @returns {Promise<Object|null>}
+ */
+async function findTarget(targetType, targetId) {
+  const target = TARGETS[targetType];
+  if (!target || !mongoose.Types.ObjectId.isValid(targetId)) return null;
+  return target.model.findById(targetId).lean();
+}
+
+/**
+ * Жалоба читателя на контент
+ * @param {Object} params
+ * @param {string} params.targetType - cover|comment|quote
+ * @param {string} params.targetId - _id объекта
+ * @param {string} params.reporterId - Telegram ID читателя
+ * @param {string} [params.reason='other'] - spam|abuse|inappropriate|other
+ * @param {string} [params.comment] - Пояснение
+ * @returns {Promise<Object>} {success, report, duplicate} или {success:false, error, code}
+ */
+async function reportContent({ targetType, targetId, reporterId, reason = 'other', comment = '' }) {
+  if (!MODERATION_TARGET_TYPES.includes(targetType)) {
+    return { success: false, error: 'Unknown target type', code: 'INVALID_TARGET' };
+  }
+  if (!MODERATION_REASONS.includes(reason)) {
+    return { success: false, error: 'Unknown report reason', code: 'INVALID_REASON' };
+  }
+
+  const doc = await findTarget(targetType, targetId);
+  if (!doc) {
+    return { success: false, error: 'Content not found', code: 'NOT_FOUND' };
+  }
+  if (String(doc.userId) === String(reporterId)) {
+    return { success: false, error: 'Cannot report own content', code: 'OWN_CONTENT' };
+  }
+
+  try {
+    const report = await ModerationReport.create({
+      targetType,
+      targetId: doc._id,
+      targetUserId: String(doc.userId),
+      reporterId: String(reporterId),
+      reason,
+      comment: String(comment || '').slice(0, 500),
+      snapshot: TARGETS[targetType].snapshot(doc)
+    });
+
+    logger.info(`🚩 Report on ${targetType} ${targetId} by ${reporterId} (${reason})`);
+    return { success: true, report };
+  } catch (error) {
+    if (error.code === 11000) {
+      // Повторная жалоба того же читателя - не ошибка для клиента
+      return { success: true, duplicate: true };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Автоматическая жалоба по результату пре-модерации
+ * @param {string} targetType - cover|comment|quote
+ * @param {Object} doc - Объект контента
+ * @param {string[]} flags - Сработавшие правила
+ * @returns {Promise<Object|null>} Жалоба или null
+ */
+async function createAutoReport(targetType, doc, flags) {
+  try {
+    return await ModerationReport.create({
+      targetType,
+      targetId: doc._id,
+      targetUserId: String(doc.userId),
+      reporterId: SYSTEM_REPORTER,
+      source: 'auto',
+      reason: 'spam',
+      autoFlags: flags,
+      snapshot: TARGETS[targetType].snapshot(doc)
+    });
+  } catch (error) {
+    logger.error(`❌ Failed to create auto report for ${targetType} ${doc._id}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Блокирует читателя в сообществе
+ * @param {string} userId - Telegram ID
+ * @param {Object} [options]
+ * @param {number|null} [options.days] - Срок в днях (null/0 - бессрочно)
+ * @param {string} [options.reason] - Причина
+ * @param {string} [options.bannedBy] - Логин администратора
+ * @param {Date} [options.now] - Текущее время (для тестов)
+ * @returns {Promise<Object|null>} communityBan или null, если профиль не найден
+ */
+async function banUser(userId, { days = null, reason = null, bannedBy = null, now = new Date() } = {}) {
+  const communityBan = {
+    bannedAt: now,
+    until: days ? new Date(now.getTime() + days * 24 * 60 * 60 * 1000) : null,
+    reason,
+    bannedBy
+  };
+
+  const result = await UserProfile.updateOne({ userId: String(userId) }, { $set: { communityBan } });
+  banCache.delete(String(userId));
+
+  if (!result.matchedCount) return null;
+  logger.info(`🔨 Community ban for user ${userId} until ${communityBan.until ? communityBan.until.toISOString() : 'forever'}`);
+  return communityBan;
+}
+
+/**
+ * Снимает блокировку в сообществе
+ * @param {string} userId - Telegram ID
+ * @returns {Promise<boolean>} Была ли блокировка
+ */
+async function unbanUser(userId) {
+  const result = await UserProfile.updateOne(
+    { userId: String(userId), communityBan: { $ne: null } },
+    { $set: { communityBan: null } }
+  );
+  banCache.delete(String(userId));
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Заблокирован ли читатель в сообществе (с кэшем на 30 секунд - проверка идет на каждый запрос)
+ * @param {string} userId - Telegram ID
+ * @param {Date} [now] - Текущее время (для тестов)
+ * @returns {Promise<boolean>}
+ */
+async function isCommunityBanned(userId, now = new Date()) {
+  const key = String(userId);
+  const cached = banCache.get(key);
+  if (cached && cached.expiresAt > now.getTime()) {
+    return cached.banned;
+  }
+
+  const profile = await UserProfile.findOne({ userId: key }).select('communityBan').lean();
+  const ban = profile?.communityBan;
+  const banned = !!ban && (!ban.until || new Date(ban.until) > now);
+
+  banCache.set(key, { banned, expiresAt: now.getTime() + BAN_CACHE_TTL_MS });
+  return banned;
+}
+
+/**
+ * Сбрасывает кэш блокировок
+ */
+function clearBanCache() {
+  banCache.clear();
+}
+
+/**
+ * Действие модератора над объектом; закрывает все открытые жалобы на него
+ * @param {Object} params
+ * @param {string} params.targetType - cover|comment|quote
+ * @param {string} params.targetId - _id объекта
+ * @param {string} params.action - hide|restore|ban|dismiss
+ * @param {string} [params.adminLogin] - Логин администратора
+ * @param {string} [params.note] - Комментарий модератора
+ * @param {number|null} [params.banDays] - Срок блокировки для action=ban
+ * @returns {Promise<Object>} {success, action, reportsResolved, ban} или {success:false, error, code}
+ */
+async function applyAction({ targetType, targetId, action, adminLogin = null, note = null, banDays = null }) {
+  if (!MODERATION_ACTIONS.includes(action)) {
+    return { success: false, error: 'Unknown moderation action', code: 'INVALID_ACTION' };
+  }
+
+  const target = TARGETS[targetType];
+  const doc = await findTarget(targetType, targetId);
+  if (!target || !doc) {
+    return { success: false, error: 'Content not found', code: 'NOT_FOUND' };
+  }
+
+  let ban = null;
+  if (action === 'hide' || action === 'ban') {
+    await target.model.updateOne({ _id: doc._id }, { $set: target.hide });
+  } else if (action === 'restore') {
+    await target.model.updateOne({ _id: doc._id }, { $set: target.restore });
+  }
+  if (action === 'ban') {
+    ban = await banUser(doc.userId, { days: banDays, reason: note, bannedBy: adminLogin });
+  }
+
+  const resolved = await ModerationReport.updateMany(
+    { targetType, targetId: doc._id, status: 'open' },
+    {
+      $set: {
+        status: action === 'dismiss' ? 'dismissed' : 'resolved',
+        resolution: { action, by: adminLogin, at: new Date(), note }
+      }
+    }
+  );
+
+  logger.info(`🛡️ Moderation ${action} on ${targetType} ${targetId} by ${adminLogin || 'admin'}`);
+  return { success: true, action, reportsResolved: resolved.modifiedCount || 0, ban };
+}
+
+/**
+ * Очередь модерации с текущим состоянием объектов и авторов
+ * @param {Object} [options] - См. ModerationReport.getQueue
+ * @returns {Promise<Array<Object>>}
+ */
+async function getQueue(options = {}) {
+  const items = await ModerationReport.getQueue(options);
+  if (items.length === 0) return items;
+
+  const userIds = [...new Set(items.map(item => item.targetUserId))];
+  const profiles = await UserProfile.find({ userId: { $in: userIds } })
+    .select('userId name telegramUsername communityBan')
+    .lean();
+  const profileMap = new Map(profiles.map(profile => [profile.userId, profile]));
+
+  return Promise.all(items.map(async item => {
+    const doc = await findTarget(item.targetType, item.targetId);
+    const profile = profileMap.get(item.targetUserId);
+
+    let state = 'deleted';
+    if (doc) {
+      state = item.targetType === 'quote'
+        ? (doc.communityHidden ? 'hidden' : 'published')
+        : (doc.status || 'published');
+    }
+
+    return {
+      ...item,
+      state,
+      author: profile
+        ? { userId: profile.userId, name: profile.name, telegramUsername: profile.telegramUsername, communityBan: profile.communityBan || null }
+        : { userId: item.targetUserId, name: null, telegramUsername: null, communityBan: null }
+    };
+  }));
+}
+
+/**
+ * Читатели с действующей блокировкой
+ * @param {Date} [now] - Текущее время
+ * @returns {Promise<Array<Object>>}
+ */
+async function getBannedUsers(now = new Date()) {
+  return UserProfile.find({
+    communityBan: { $ne: null },
+    $or: [{ 'communityBan.until': null }, { 'communityBan.until': { $gt: now } }]
+  })
+    .select('userId name telegramUsername communityBan')
+    .sort({ 'communityBan.bannedAt': -1 })
+    .lean();
+}
+
+module.exports = {
+  SYSTEM_REPORTER,
+  TARGETS,
+  normalizeText,
+  findProfanity,
+  findLinks,
+  prescreenText,
+  reportContent,
+  createAutoReport,
+  applyAction,
+  getQueue,
+  banUser,
+  unbanUser,
+  isCommunityBanned,
+  clearBanCache,
+  getBannedUsers
+};
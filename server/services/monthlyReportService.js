@@ -6,7 +6,8 @@
  */
 
 const { MonthlyReport, UserProfile, Quote, WeeklyReport } = require('../models');
-const claudeService = require('./claude');
+const aiProviders = require('./ai');
+const { AI_FEATURES } = aiProviders;
 const logger = require('../utils/logger');
 
 /**
@@ -164,7 +165,7 @@ class MonthlyReportService {
     });
 
     // Генерируем анализ через Claude
-    const analysis = await this.generateAnalysisWithClaude(prompt, user.name);
+    const analysis = await this.generateAnalysisWithClaude(prompt, user.name, user.userId);
 
     // 📋 NEW: Агрегируем рекомендации из недельных отчётов
     const bookRecommendations = this.aggregateBookRecommendations(weeklyReports);
@@ -239,7 +240,7 @@ class MonthlyReportService {
     });
 
     // Генерируем анализ
-    const analysis = await this.generateAnalysisWithClaude(prompt, user.name);
+    const analysis = await this.generateAnalysisWithClaude(prompt, user.name, user.userId);
 
     // 📋 NEW: Получаем рекомендации из каталога по темам (fallback)
     let bookRecommendations = [];
@@ -609,24 +610,23 @@ ${quotesText}
   }
 
   /**
-   * 📋 NEW: Генерирует анализ через Claude с обработкой JSON
+   * 📋 NEW: Генерирует анализ через реестр AI провайдеров (AI_ROUTE_MONTHLY_REPORT) с обработкой JSON
    */
-  async generateAnalysisWithClaude(prompt, userName = 'читательница') {
+  async generateAnalysisWithClaude(prompt, userName = 'читательница', userId = null) {
     try {
-      const response = await claudeService.generateResponse(prompt, {
-        platform: 'telegram',
-        userId: 'monthly_analysis',
-        context: 'monthly_report'
+      const response = await aiProviders.complete(AI_FEATURES.MONTHLY_REPORT, {
+        messages: [{ role: 'user', content: prompt }],
+        userId
       });
       
       // Очищаем ответ от markdown
-      let cleanedResponse = response.message
+      let cleanedResponse = response.text
         .replace(/```json\n?/g, '')
         .replace(/```\n?/g, '')
         .trim();
 
       const analysis = JSON.parse(cleanedResponse);
-      logger.info(`🧠 Generated monthly analysis via Claude`);
+      logger.info(`🧠 Generated monthly analysis via ${response.provider}/${response.model}`);
       return analysis;
 
     } catch (error) {
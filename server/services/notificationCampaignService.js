@@ -0,0 +1,321 @@
+/**
+ * Notification campaign calendar - выбор напоминания на дату и слот.
+ * Порядок: переопределение дня -> правило с ротацией (по приоритету кампаний)
+ * -> встроенная ротация, чтобы читатели не остались без напоминаний.
+ * @file server/services/notificationCampaignService.js
+ */
+
+const mongoose = require('mongoose');
+const NotificationCampaign = require('../models/NotificationCampaign');
+const { NOTIFICATION_SLOTS } = require('../models/NotificationCampaign');
+const logger = require('../utils/logger');
+
+/**
+ * Точка отсчета ротации для кампаний без startDate и встроенной ротации
+ */
+const ROTATION_EPOCH = '2025-01-06';
+
+/**
+ * Максимальная длина предпросмотра календаря (дней)
+ */
+const MAX_PREVIEW_DAYS = 62;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Встроенная ротация на случай, когда ни одна кампания не покрывает день
+ * @type {Object.<string, import('../models/NotificationCampaign').NotificationMessage[]>}
+ */
+const FALLBACK_ROTATION = {
+  morning: [
+    { text: '☀️ Доброе утро! Добавьте цитату в «Читателе» - пусть она станет началом дня.' },
+    { text: '«Мы становимся тем, что читаем» - Х. Борхес\nЧто вас волнует сегодня? Найдите цитату, которая отражает это.' },
+    { text: 'Начните день с точной записи ✍️\n\nДобавьте цитату, которая задаёт тон.' },
+    { text: '«Постоянство - это талант, доступный каждому» - Чехов\nЗайдите в приложение и добавьте цитату.' }
+  ],
+  day: [
+    { text: 'Иногда достаточно одной честной фразы 💡\n\nДобавьте её в «Читателе».' },
+    { text: 'Запишите кратко то, что поддерживает вас сегодня 💬' },
+    { text: 'Не всё требует решения 🧘‍♀️\n\nИногда важно просто зафиксировать мысль 💭 Сохраните её в «Читателе» 📖' }
+  ],
+  evening: [
+    { text: '🌙 День подходит к концу. Может быть, одна фраза сегодня особенно Вас задела? Сохраните её в «Читателе».' },
+    { text: 'Оглянитесь на день 🌙\n\nЧто хотелось бы сохранить в словах? Добавьте в «Читателе» 📚' },
+    { text: 'Перед тем как закрыть этот день 🌌\n\nПодумайте, какая цитата его лучше всего отражает 💬 Запишите её в «Читателе» 📖' }
+  ],
+  report: [
+    {
+      text: '📊 Ваш недельный отчет готов!\n\nПосмотрите, какие темы повторяются, что волнует вас чаще всего.',
+      button: { text: '📖 Открыть отчёт', url: 'reports' }
+    }
+  ],
+  monthlyReport: [
+    {
+      text: '📈 Ваш месячный отчёт готов!\n\nЦелый месяц цитат собран воедино. Посмотрите, как менялись ваши темы и настроения через недели.',
+      button: { text: '📈 Открыть месячный отчёт', url: 'reports' }
+    }
+  ]
+};
+
+/**
+ * @typedef {Object} TemplateSource
+ * @property {'override'|'rule'|'skip'|'fallback'} type - Откуда взят шаблон
+ * @property {string|null} campaignId - Кампания (null для встроенной ротации)
+ * @property {string|null} campaignName - Название кампании
+ */
+
+/**
+ * @typedef {Object} ResolvedTemplate
+ * @property {import('../models/NotificationCampaign').NotificationMessage|null} template - null - слот пропущен
+ * @property {TemplateSource} source - Источник
+ */
+
+/**
+ * @param {string} dateKey - Дата YYYY-MM-DD
+ * @returns {number} Номер дня от 1970-01-01
+ */
+function toDayNumber(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return Math.round(Date.UTC(year, month - 1, day) / DAY_MS);
+}
+
+/**
+ * @param {string} dateKey - Дата YYYY-MM-DD
+ * @param {number} days - Сколько дней прибавить
+ * @returns {string} Новая дата YYYY-MM-DD
+ */
+function addDays(dateKey, days) {
+  return new Date((toDayNumber(dateKey) + days) * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * @param {string} dateKey - Дата YYYY-MM-DD
+ * @returns {number} День недели (0 - воскресенье)
+ */
+function getWeekday(dateKey) {
+  return new Date(toDayNumber(dateKey) * DAY_MS).getUTCDay();
+}
+
+/**
+ * Сколько раз правило срабатывало с начала ротации по дату включительно
+ * @param {number[]} weekdays - Дни недели правила (пусто - каждый день)
+ * @param {string} anchorKey - Начало ротации
+ * @param {string} dateKey - Дата
+ * @returns {number} Количество срабатываний (>= 1 для подходящей даты после начала)
+ */
+function countOccurrences(weekdays, anchorKey, dateKey) {
+  const days = toDayNumber(dateKey) - toDayNumber(anchorKey) + 1;
+  if (!weekdays || weekdays.length === 0) {
+    return days;
+  }
+
+  const set = new Set(weekdays);
+  const anchorWeekday = getWeekday(anchorKey);
+  const fullWeeks = Math.floor(days / 7);
+  let count = fullWeeks * set.size;
+  for (let i = 0; i < days % 7; i++) {
+    if (set.has((anchorWeekday + i) % 7)) count++;
+  }
+  return count;
+}
+
+/**
+ * Шаблон правила на дату: ротация сдвигается на один шаг при каждом срабатывании
+ * @param {Object} rule - Правило кампании
+ * @param {string} anchorKey - Начало ротации
+ * @param {string} dateKey - Дата
+ * @returns {Object} Сообщение
+ */
+function pickRotationMessage(rule, anchorKey, dateKey) {
+  const length = rule.messages.length;
+  const index = countOccurrences(rule.weekdays, anchorKey, dateKey) - 1;
+  return rule.messages[((index % length) + length) % length];
+}
+
+/**
+ * @param {Object} campaign - Кампания
+ * @param {string} dateKey - Дата
+ * @returns {boolean} Дата в пределах кампании
+ */
+function coversDate(campaign, dateKey) {
+  return (!campaign.startDate || campaign.startDate <= dateKey) &&
+    (!campaign.endDate || campaign.endDate >= dateKey);
+}
+
+/**
+ * @param {Object} campaign - Кампания
+ * @param {TemplateSource['type']} type - Тип источника
+ * @returns {TemplateSource}
+ */
+function campaignSource(campaign, type) {
+  return {
+    type,
+    campaignId: campaign._id ? String(campaign._id) : null,
+    campaignName: campaign.name || null
+  };
+}
+
+/**
+ * Шаблон встроенной ротации
+ * @param {string} dateKey - Дата
+ * @param {string} slot - Слот
+ * @returns {ResolvedTemplate}
+ */
+function getFallbackTemplate(dateKey, slot) {
+  const messages = FALLBACK_ROTATION[slot] || [];
+  return {
+    template: messages.length > 0 ? pickRotationMessage({ messages, weekdays: [] }, ROTATION_EPOCH, dateKey) : null,
+    source: { type: 'fallback', campaignId: null, campaignName: null }
+  };
+}
+
+/**
+ * Выбор напоминания среди кампаний (без обращения к БД)
+ * @param {Object[]} campaigns - Активные кампании
+ * @param {string} dateKey - Дата YYYY-MM-DD
+ * @param {string} slot - Слот
+ * @returns {ResolvedTemplate}
+ */
+function resolveFromCampaigns(campaigns, dateKey, slot) {
+  const weekday = getWeekday(dateKey);
+  const ordered = [...campaigns]
+    .filter(campaign => campaign.isActive !== false && coversDate(campaign, dateKey))
+    .sort((a, b) => (b.priority || 0) - (a.priority || 0));
+
+  for (const campaign of ordered) {
+    const override = (campaign.overrides || []).find(item => item.date === dateKey && item.slot === slot);
+    if (override) {
+      if (override.skip || !override.message) {
+        return { template: null, source: campaignSource(campaign, 'skip') };
+      }
+      return { template: override.message, source: campaignSource(campaign, 'override') };
+    }
+
+    const rule = (campaign.rules || []).find(item =>
+      item.slot === slot &&
+      (item.messages || []).length > 0 &&
+      (!item.weekdays || item.weekdays.length === 0 || item.weekdays.includes(weekday))
+    );
+    if (rule) {
+      const message = pickRotationMessage(rule, campaign.startDate || ROTATION_EPOCH, dateKey);
+      return { template: message, source: campaignSource(campaign, 'rule') };
+    }
+  }
+
+  return getFallbackTemplate(dateKey, slot);
+}
+
+/**
+ * @returns {boolean} Есть ли подключение к MongoDB
+ */
+function isDatabaseReady() {
+  return mongoose.connection.readyState === 1;
+}
+
+/**
+ * Напоминание на дату и слот из календаря кампаний
+ * @param {string} dateKey - Дата YYYY-MM-DD (московское время)
+ * @param {string} slot - Слот
+ * @returns {Promise<ResolvedTemplate>}
+ */
+async function resolveTemplate(dateKey, slot) {
+  if (!isDatabaseReady()) {
+    return getFallbackTemplate(dateKey, slot);
+  }
+
+  try {
+    const campaigns = await NotificationCampaign.findActiveForRange(dateKey);
+    return resolveFromCampaigns(campaigns, dateKey, slot);
+  } catch (error) {
+    logger.error(`🔔 Failed to load notification campaigns for ${dateKey}: ${error.message}`);
+    return getFallbackTemplate(dateKey, slot);
+  }
+}
+
+/**
+ * Календарь напоминаний по дням (без обращения к БД)
+ * @param {Object[]} campaigns - Кампании
+ * @param {string} fromKey - Первый день
+ * @param {number} days - Количество дней
+ * @param {string[]} [slots=NOTIFICATION_SLOTS] - Слоты
+ * @returns {Array<{date: string, weekday: number, slots: Object.<string, ResolvedTemplate>}>}
+ */
+function buildCalendar(campaigns, fromKey, days, slots = NOTIFICATION_SLOTS) {
+  const calendar = [];
+  for (let i = 0; i < days; i++) {
+    const date = addDays(fromKey, i);
+    const entry = { date, weekday: getWeekday(date), slots: {} };
+    for (const slot of slots) {
+      entry.slots[slot] = resolveFromCampaigns(campaigns, date, slot);
+    }
+    calendar.push(entry);
+  }
+  return calendar;
+}
+
+/**
+ * Предпросмотр календаря для админки
+ * @param {string} fromKey - Первый день YYYY-MM-DD
+ * @param {number} [days=35] - Количество дней (до MAX_PREVIEW_DAYS)
+ * @returns {Promise<Array>} См. buildCalendar
+ */
+async function previewCalendar(fromKey, days = 35) {
+  const length = Math.min(Math.max(parseInt(days) || 35, 1), MAX_PREVIEW_DAYS);
+  const campaigns = isDatabaseReady()
+    ? await NotificationCampaign.findActiveForRange(fromKey, addDays(fromKey, length - 1))
+    : [];
+  return buildCalendar(campaigns, fromKey, length);
+}
+
+/**
+ * Преобразует старый формат notificationTemplates в данные кампании с переопределениями по датам
+ * @param {Object.<string, Object>} templates - { 'YYYY-MM-DD': { slot: { text, image, button } } }
+ * @param {Object} [options={}] - name, priority
+ * @returns {Object} Данные для NotificationCampaign.create
+ */
+function templatesToCampaign(templates, options = {}) {
+  const dates = Object.keys(templates).filter(key => /^\d{4}-\d{2}-\d{2}$/.test(key)).sort();
+  const overrides = [];
+
+  for (const date of dates) {
+    for (const slot of NOTIFICATION_SLOTS) {
+      const legacy = templates[date][slot];
+      if (!legacy) continue;
+
+      const message = {
+        text: legacy.text || '',
+        image: legacy.image ? legacy.image.split('/').pop() : ''
+      };
+      if (legacy.button && legacy.button.text && legacy.button.url) {
+        message.button = { text: legacy.button.text, url: legacy.button.url };
+      }
+      overrides.push({ date, slot, message });
+    }
+  }
+
+  return {
+    name: options.name || 'Календарь напоминаний (импорт)',
+    description: `Импорт из notificationTemplates.js: ${dates[0] || '-'} - ${dates[dates.length - 1] || '-'}`,
+    priority: options.priority ?? 10,
+    startDate: dates[0] || null,
+    endDate: dates[dates.length - 1] || null,
+    rules: [],
+    overrides
+  };
+}
+
+module.exports = {
+  NOTIFICATION_SLOTS,
+  FALLBACK_ROTATION,
+  ROTATION_EPOCH,
+  MAX_PREVIEW_DAYS,
+  addDays,
+  getWeekday,
+  countOccurrences,
+  resolveFromCampaigns,
+  getFallbackTemplate,
+  resolveTemplate,
+  buildCalendar,
+  previewCalendar,
+  templatesToCampaign
+};
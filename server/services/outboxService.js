@@ -0,0 +1,349 @@
+/**
+ * Outbox Service - persisted delivery of ticket notifications by email or Telegram with retry and backoff
+ * @file server/services/outboxService.js
+ */
+
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const { config } = require('../config');
+const { sendEmail } = require('./email');
+const { TICKET_TEMPLATES, renderTicketTemplate, getReplyHint } = require('./email/ticketTemplates');
+
+/**
+ * Максимальная пауза между попытками
+ */
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Как часто воркер проверяет очередь
+ */
+const POLL_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Telegram chat id - только цифры (web-пользователи чата имеют строковые id)
+ */
+const TELEGRAM_CHAT_ID_PATTERN = /^-?\d+$/;
+
+/**
+ * Пауза перед следующей попыткой: base * 2^(attempt-1), не больше MAX_RETRY_DELAY_MS
+ * @param {number} attempts - Сколько попыток уже сделано
+ * @param {number} [baseDelayMs] - Базовая пауза
+ * @returns {number} Миллисекунды
+ */
+function getRetryDelay(attempts, baseDelayMs = config.email.retryBaseDelayMs) {
+  const exponent = Math.max(0, attempts - 1);
+  return Math.min(baseDelayMs * Math.pow(2, exponent), MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Telegram chat id автора тикета (null для web-пользователей)
+ * @param {Object} ticket - Тикет
+ * @returns {string|null}
+ */
+function getTelegramChatId(ticket) {
+  const userId = ticket.userId ? String(ticket.userId) : '';
+  return TELEGRAM_CHAT_ID_PATTERN.test(userId) ? userId : null;
+}
+
+/**
+ * Куда доставлять уведомление: email тикета, иначе Telegram
+ * @param {Object} ticket - Тикет
+ * @param {Object} [options]
+ * @param {boolean} [options.emailOnly=false] - Не использовать Telegram
+ * @returns {{channel: 'email'|'telegram', to: string}|null}
+ */
+function resolveRecipient(ticket, { emailOnly = false } = {}) {
+  if (ticket.email) {
+    return { channel: 'email', to: ticket.email };
+  }
+  const chatId = emailOnly ? null : getTelegramChatId(ticket);
+  return chatId ? { channel: 'telegram', to: chatId } : null;
+}
+
+/**
+ * @class OutboxService
+ * @description Очередь исходящих уведомлений в MongoDB (outbox_messages) и воркер доставки
+ */
+class OutboxService {
+  constructor() {
+    this.bot = null;
+    this.timer = null;
+    this.processing = false;
+  }
+
+  /**
+   * Инициализация зависимостей
+   * @param {Object} dependencies
+   * @param {Object} [dependencies.bot] - Telegraf bot (для канала telegram)
+   */
+  initialize(dependencies = {}) {
+    this.bot = dependencies.bot || null;
+    logger.info(`📮 OutboxService initialized (email transport: ${config.email.transport})`);
+  }
+
+  /**
+   * Доступна ли база данных
+   * @returns {boolean}
+   */
+  isDatabaseReady() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  /**
+   * Модель очереди (ленивая загрузка, как в остальных сервисах)
+   * @returns {import('mongoose').Model}
+   */
+  getModel() {
+    return require('../models/OutboxMessage');
+  }
+
+  /**
+   * Ставит сообщение в очередь
+   * @param {Object} message
+   * @param {'email'|'telegram'} message.channel - Канал
+   * @param {string} message.to - Email или chat id
+   * @param {string} [message.subject] - Тема
+   * @param {string} message.text - Текст
+   * @param {string} [message.html] - HTML (email)
+   * @param {string} message.template - Шаблон
+   * @param {string} [message.ticketId] - Тикет
+   * @param {string} [message.userId] - Пользователь
+   * @returns {Promise<Object|null>} Сообщение очереди или null без БД
+   */
+  async enqueue(message) {
+    if (!this.isDatabaseReady()) {
+      logger.warn(`📮 Outbox: database unavailable, dropped ${message.template} for ${message.to}`);
+      return null;
+    }
+
+    const OutboxMessage = this.getModel();
+    const queued = await OutboxMessage.create({
+      ...message,
+      maxAttempts: config.email.maxAttempts,
+      nextAttemptAt: new Date()
+    });
+
+    logger.info(`📮 Outbox: queued ${message.template} (${message.channel}) for ticket ${message.ticketId || '-'}`);
+
+    // Не ждем следующего тика воркера
+    if (this.timer) {
+      setImmediate(() => this.processOutbox().catch(error => {
+        logger.error(`📮 Outbox: immediate processing failed: ${error.message}`);
+      }));
+    }
+
+    return queued;
+  }
+
+  /**
+   * Рендерит шаблон тикета и ставит уведомление в очередь.
+   * Ошибки не пробрасываются - уведомление не должно ломать операцию с тикетом.
+   * @param {Object} ticket - Тикет
+   * @param {string} template - Один из TICKET_TEMPLATES
+   * @param {Object} [extra={}] - previousStatus / comment
+   * @param {Object} [options={}] - emailOnly или явный recipient {channel, to}
+   * @returns {Promise<Object|null>}
+   */
+  async enqueueTicketNotification(ticket, template, extra = {}, options = {}) {
+    try {
+      const recipient = options.recipient || resolveRecipient(ticket, options);
+      if (!recipient) {
+        logger.info(`📮 Outbox: no recipient for ${template} on ticket ${ticket.ticketId}`);
+        return null;
+      }
+
+      const { subject, text, html } = renderTicketTemplate(template, ticket, extra);
+
+      return await this.enqueue({
+        channel: recipient.channel,
+        to: recipient.to,
+        subject,
+        text: recipient.channel === 'telegram' ? `📩 ${subject}\n\n${text}\n\n${getReplyHint(ticket.language)}` : text,
+        html: recipient.channel === 'email' ? html : null,
+        template,
+        ticketId: ticket.ticketId,
+        userId: ticket.userId
+      });
+    } catch (error) {
+      logger.error(`📮 Outbox: failed to queue ${template} for ticket ${ticket?.ticketId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Публичный ответ поддержки: всегда через бота (reply пользователя вернется в тикет)
+   * и копией на email, если он указан в тикете
+   * @param {Object} ticket - Тикет
+   * @param {string} comment - Текст ответа
+   * @returns {Promise<Array<'email'|'telegram'>>} Каналы, в которые ответ поставлен в очередь
+   */
+  async notifyTicketComment(ticket, comment) {
+    const recipients = [];
+    const chatId = getTelegramChatId(ticket);
+    if (chatId) {
+      recipients.push({ channel: 'telegram', to: chatId });
+    }
+    if (ticket.email) {
+      recipients.push({ channel: 'email', to: ticket.email });
+    }
+
+    const queued = await Promise.all(recipients.map(recipient =>
+      this.enqueueTicketNotification(ticket, TICKET_TEMPLATES.COMMENT, { comment }, { recipient })
+    ));
+    return queued.filter(Boolean).map(message => message.channel);
+  }
+
+  /**
+   * Уведомление об изменении статуса (решен/закрыт - отдельный шаблон с решением)
+   * @param {Object} ticket - Тикет после обновления
+   * @param {string} previousStatus - Статус до обновления
+   * @returns {Promise<Object|null>}
+   */
+  async notifyTicketStatusChange(ticket, previousStatus) {
+    if (!ticket || !previousStatus || ticket.status === previousStatus) {
+      return null;
+    }
+
+    const wasFinished = ['resolved', 'closed'].includes(previousStatus);
+    if (['resolved', 'closed'].includes(ticket.status)) {
+      return wasFinished ? null : this.enqueueTicketNotification(ticket, TICKET_TEMPLATES.RESOLVED);
+    }
+
+    return this.enqueueTicketNotification(ticket, TICKET_TEMPLATES.STATUS_CHANGED, { previousStatus });
+  }
+
+  /**
+   * Доставляет одно сообщение
+   * @param {Object} message - Документ OutboxMessage
+   * @returns {Promise<{messageId: string|null, transport: string}>}
+   */
+  async deliver(message) {
+    if (message.channel === 'email') {
+      return sendEmail({
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+        html: message.html || undefined
+      });
+    }
+
+    const bot = this.bot || global.simpleTelegramBot?.bot || global.simpleTelegramBot;
+    if (!bot?.telegram) {
+      const error = new Error('Telegram bot is not initialized');
+      error.code = 'BOT_UNAVAILABLE';
+      throw error;
+    }
+
+    const sent = await bot.telegram.sendMessage(message.to, message.text);
+    return { messageId: sent?.message_id ? String(sent.message_id) : null, transport: 'telegram' };
+  }
+
+  /**
+   * Обрабатывает готовые к отправке сообщения
+   * @param {Object} [options]
+   * @param {number} [options.limit=20] - Максимум сообщений за проход
+   * @param {Date} [options.now] - Текущее время (для тестов)
+   * @returns {Promise<{sent: number, retried: number, failed: number}>}
+   */
+  async processOutbox({ limit = 20, now = new Date() } = {}) {
+    const stats = { sent: 0, retried: 0, failed: 0 };
+    if (this.processing || !this.isDatabaseReady()) {
+      return stats;
+    }
+
+    this.processing = true;
+    const OutboxMessage = this.getModel();
+
+    try {
+      for (let i = 0; i < limit; i++) {
+        const message = await OutboxMessage.claimNext(now);
+        if (!message) break;
+
+        try {
+          const result = await this.deliver(message);
+          message.status = 'sent';
+          message.sentAt = new Date();
+          message.transport = result.transport;
+          message.providerMessageId = result.messageId || null;
+          message.lastError = null;
+          message.lockedUntil = null;
+          stats.sent++;
+        } catch (error) {
+          message.lastError = error.message;
+          message.lockedUntil = null;
+
+          // 403 от Telegram (бот заблокирован) повторять бессмысленно
+          const permanent = error.response?.error_code === 403;
+          if (permanent || message.attempts >= message.maxAttempts) {
+            message.status = 'failed';
+            stats.failed++;
+            logger.error(`📮 Outbox: giving up on ${message.template} for ${message.to} after ${message.attempts} attempts: ${error.message}`);
+          } else {
+            message.status = 'pending';
+            message.nextAttemptAt = new Date(now.getTime() + getRetryDelay(message.attempts));
+            stats.retried++;
+            logger.warn(`📮 Outbox: ${message.template} for ${message.to} failed (attempt ${message.attempts}), retry at ${message.nextAttemptAt.toISOString()}: ${error.message}`);
+          }
+        }
+
+        await message.save();
+      }
+    } finally {
+      this.processing = false;
+    }
+
+    if (stats.sent || stats.retried || stats.failed) {
+      logger.info(`📮 Outbox processed: ${JSON.stringify(stats)}`);
+    }
+    return stats;
+  }
+
+  /**
+   * Повторно ставит в очередь сообщение со статусом failed
+   * @param {string} id - ID сообщения
+   * @returns {Promise<Object|null>}
+   */
+  async retryMessage(id) {
+    const OutboxMessage = this.getModel();
+    return OutboxMessage.findOneAndUpdate(
+      { _id: id, status: 'failed' },
+      { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date(), lastError: null } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Запускает воркер очереди
+   * @param {number} [intervalMs=POLL_INTERVAL_MS] - Интервал опроса
+   */
+  start(intervalMs = POLL_INTERVAL_MS) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.processOutbox().catch(error => {
+        logger.error(`📮 Outbox worker error: ${error.message}`);
+      });
+    }, intervalMs);
+    this.timer.unref?.();
+
+    logger.info(`📮 Outbox worker started (every ${Math.round(intervalMs / 1000)}s)`);
+  }
+
+  /**
+   * Останавливает воркер очереди
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('📮 Outbox worker stopped');
+    }
+  }
+}
+
+module.exports = new OutboxService();
+module.exports.OutboxService = OutboxService;
+module.exports.getRetryDelay = getRetryDelay;
+module.exports.resolveRecipient = resolveRecipient;
+module.exports.getTelegramChatId = getTelegramChatId;
+module.exports.TICKET_TEMPLATES = TICKET_TEMPLATES;
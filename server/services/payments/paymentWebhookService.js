@@ -0,0 +1,339 @@
+/**
+ * Payment Webhook Service - verifies shop webhooks, records purchases and grants entitlements
+ * @file server/services/payments/paymentWebhookService.js
+ */
+
+const crypto = require('crypto');
+
+const Purchase = require('../../models/Purchase');
+const entitlementService = require('../access/entitlementService');
+const { resolveUserObjectId } = require('../access/resolveUserId');
+const logger = require('../../utils/logger');
+
+/**
+ * Header carrying the webhook signature: "t=<unix seconds>,v1=<hex hmac>"
+ */
+const SIGNATURE_HEADER = 'x-payment-signature';
+
+/**
+ * Maximum age of a signed payload (replay window)
+ */
+const SIGNATURE_TOLERANCE_SEC = 300;
+
+/**
+ * Event types sent by the shop
+ */
+const EVENT_TYPES = {
+  SUCCEEDED: 'payment.succeeded',
+  FAILED: 'payment.failed',
+  REFUNDED: 'payment.refunded'
+};
+
+const ITEM_KINDS = ['audio', 'package', 'subscription'];
+
+/**
+ * How long a delivery may hold a purchase before a retry can take it over
+ */
+const CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Create an error with HTTP status for the webhook route
+ * @param {number} statusCode - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode
+ */
+function webhookError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Get webhook signing secret
+ * @returns {string|undefined} Secret from environment
+ */
+function getSecret() {
+  return process.env.PAYMENT_WEBHOOK_SECRET;
+}
+
+/**
+ * Compute signature header value for a payload
+ * @param {string|Buffer} rawBody - Raw request body
+ * @param {string} secret - Signing secret
+ * @param {number} [timestamp] - Unix seconds (defaults to now)
+ * @returns {string} Header value "t=...,v1=..."
+ */
+function signPayload(rawBody, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const digest = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Verify signature header against raw body
+ * @param {string|Buffer} rawBody - Raw request body
+ * @param {string} header - Signature header value
+ * @param {string} secret - Signing secret
+ * @param {number} [now] - Current unix seconds (for tests)
+ * @returns {boolean} True if signature is valid and fresh
+ */
+function verifySignature(rawBody, header, secret, now = Math.floor(Date.now() / 1000)) {
+  if (!rawBody || !header || !secret) return false;
+
+  const parts = {};
+  for (const part of String(header).split(',')) {
+    const [key, value] = part.trim().split('=');
+    if (key && value) parts[key] = value;
+  }
+
+  const timestamp = parseInt(parts.t, 10);
+  if (!timestamp || !parts.v1) return false;
+  if (Math.abs(now - timestamp) > SIGNATURE_TOLERANCE_SEC) return false;
+
+  const expected = signPayload(rawBody, secret, timestamp).split('v1=')[1];
+  const received = parts.v1;
+  if (expected.length !== received.length) return false;
+
+  return crypto.timingSafeEqual(Buffer.from(expected, 'utf8'), Buffer.from(received, 'utf8'));
+}
+
+/**
+ * Validate event shape and normalize purchase items
+ * @param {Object} event - Parsed webhook body
+ * @returns {{id: string, type: string, data: Object, items: Array}} Normalized event
+ */
+function normalizeEvent(event) {
+  if (!event || typeof event !== 'object' || !event.id || !event.type) {
+    throw webhookError(400, 'Event id and type are required');
+  }
+  if (!Object.values(EVENT_TYPES).includes(event.type)) {
+    throw webhookError(400, `Unsupported event type: ${event.type}`);
+  }
+
+  const data = event.data || {};
+  if (!data.paymentId) {
+    throw webhookError(400, 'data.paymentId is required');
+  }
+
+  const items = (Array.isArray(data.items) ? data.items : []).map(item => {
+    if (!ITEM_KINDS.includes(item.kind) || !item.resourceId) {
+      throw webhookError(400, `Invalid purchase item: ${JSON.stringify(item)}`);
+    }
+    if (item.kind === 'subscription' && !Number(item.durationDays)) {
+      throw webhookError(400, `Subscription item requires durationDays: ${item.resourceId}`);
+    }
+    return {
+      kind: item.kind,
+      resourceId: String(item.resourceId),
+      price: Number(item.price) || 0,
+      currency: item.currency || data.currency || 'RUB',
+      durationDays: Number(item.durationDays) || null,
+      includes: {
+        audioIds: Array.isArray(item.audioIds) ? item.audioIds.map(String) : [],
+        bookSlugs: Array.isArray(item.bookSlugs) ? item.bookSlugs.map(String) : []
+      }
+    };
+  });
+
+  if (event.type === EVENT_TYPES.SUCCEEDED && items.length === 0) {
+    throw webhookError(400, 'Succeeded payment must contain items');
+  }
+
+  return { id: String(event.id), type: event.type, data, items };
+}
+
+/**
+ * Grant entitlement for a purchased item (own row per purchase, renewals extend the current expiry)
+ * @param {mongoose.Types.ObjectId} userObjectId - User ID
+ * @param {Object} item - Normalized purchase item
+ * @param {Object} purchase - Purchase document
+ * @returns {Promise<Object>} Entitlement
+ */
+async function grantItem(userObjectId, item, purchase) {
+  return entitlementService.grantPurchase(userObjectId, item.kind, item.resourceId, {
+    durationDays: item.durationDays,
+    includes: item.includes,
+    metadata: {
+      purchaseId: purchase._id.toString(),
+      externalPaymentId: purchase.externalPaymentId
+    }
+  });
+}
+
+/**
+ * Atomically take a purchase for processing
+ * Only one delivery of an event holds the claim; a claim left by a crashed delivery expires.
+ * @param {Object} filter - Purchase filter (_id and expected status)
+ * @returns {Promise<Object|null>} Claimed purchase or null if another delivery holds it
+ */
+async function claimPurchase(filter) {
+  const now = new Date();
+  return Purchase.findOneAndUpdate(
+    {
+      ...filter,
+      $or: [{ claimedAt: null }, { claimedAt: { $lt: new Date(now.getTime() - CLAIM_TIMEOUT_MS) } }]
+    },
+    { $set: { claimedAt: now } },
+    { new: true }
+  );
+}
+
+/**
+ * Release a claim after a failed attempt so the shop's retry can finish the job
+ * @param {Object} purchase - Claimed purchase
+ * @returns {Promise<void>}
+ */
+async function releasePurchase(purchase) {
+  await Purchase.updateOne({ _id: purchase._id }, { $set: { claimedAt: null } });
+}
+
+/**
+ * Handle payment.succeeded / payment.failed
+ * The purchase stays pending until every item is granted, so a failed attempt is retried, not skipped.
+ * @param {Object} event - Normalized event
+ * @param {Object} rawEvent - Original body (stored for debugging)
+ * @returns {Promise<Object>} Processing result
+ */
+async function handlePayment(event, rawEvent) {
+  const userObjectId = await resolveUserObjectId(event.data.userId);
+  if (!userObjectId) {
+    throw webhookError(422, `Unknown user: ${event.data.userId}`);
+  }
+
+  const succeeded = event.type === EVENT_TYPES.SUCCEEDED;
+  const purchase = await Purchase.recordPurchase({
+    userId: userObjectId,
+    source: 'shop',
+    items: event.items.map(({ kind, resourceId, price, currency }) => ({ kind, resourceId, price, currency })),
+    totalAmount: Number(event.data.amount) || event.items.reduce((sum, item) => sum + item.price, 0),
+    currency: event.data.currency || 'RUB',
+    status: succeeded ? 'pending' : 'failed'
+  }, {
+    eventId: event.id,
+    externalPaymentId: String(event.data.paymentId),
+    rawPayload: rawEvent
+  });
+
+  if (!succeeded) {
+    logger.warn(`💳 Payment ${event.data.paymentId} failed for user ${event.data.userId}`);
+    return { status: 'failed', purchaseId: purchase._id.toString(), granted: 0 };
+  }
+
+  const claimed = await claimPurchase({ _id: purchase._id, status: 'pending' });
+  if (!claimed) {
+    const current = await Purchase.findById(purchase._id).select('status').lean();
+    if (current && current.status !== 'pending') {
+      return { duplicate: true };
+    }
+    throw webhookError(409, `Event ${event.id} is being processed`);
+  }
+
+  try {
+    for (const item of event.items) {
+      await grantItem(userObjectId, item, claimed);
+    }
+  } catch (error) {
+    await releasePurchase(claimed);
+    throw error;
+  }
+
+  await Purchase.updateOne(
+    { _id: claimed._id },
+    { $set: { status: 'completed', processedAt: new Date(), claimedAt: null } }
+  );
+
+  logger.info(`💳 Payment ${event.data.paymentId}: granted ${event.items.length} item(s) to user ${event.data.userId}`);
+  return { status: 'completed', purchaseId: purchase._id.toString(), granted: event.items.length };
+}
+
+/**
+ * Handle payment.refunded - mark purchases refunded and revoke their entitlements
+ * @param {Object} event - Normalized event
+ * @returns {Promise<Object>} Processing result
+ */
+async function handleRefund(event) {
+  const paymentId = String(event.data.paymentId);
+  const purchases = await Purchase.find({ externalPaymentId: paymentId, status: 'completed' });
+
+  let revoked = 0;
+  let busy = 0;
+  for (const found of purchases) {
+    const purchase = await claimPurchase({ _id: found._id, status: 'completed' });
+    if (!purchase) {
+      busy++;
+      continue;
+    }
+
+    try {
+      const result = await entitlementService.revokeByPurchase(purchase.userId, purchase._id.toString());
+      revoked += result.deletedCount || 0;
+    } catch (error) {
+      await releasePurchase(purchase);
+      throw error;
+    }
+
+    purchase.status = 'refunded';
+    purchase.claimedAt = null;
+    purchase.metadata = { ...(purchase.metadata || {}), refundEventId: event.id, refundedAt: new Date() };
+    purchase.markModified('metadata');
+    await purchase.save();
+  }
+
+  if (busy > 0) {
+    throw webhookError(409, `Refund ${event.id} is being processed`);
+  }
+
+  if (purchases.length === 0) {
+    logger.warn(`💳 Refund ${event.id}: no completed purchase for payment ${paymentId}`);
+  } else {
+    logger.info(`💳 Refund ${event.id}: revoked ${revoked} entitlement(s) for payment ${paymentId}`);
+  }
+
+  return { status: 'refunded', purchases: purchases.length, revoked };
+}
+
+/**
+ * Check whether an event was already processed
+ * A pending purchase means an earlier attempt did not finish: its retry is processed again.
+ * @param {string} eventId - Event ID
+ * @returns {Promise<boolean>} True if already processed
+ */
+async function isProcessed(eventId) {
+  const existing = await Purchase.findOne({
+    $or: [{ eventId, status: { $ne: 'pending' } }, { 'metadata.refundEventId': eventId }]
+  }).select('_id').lean();
+  return !!existing;
+}
+
+/**
+ * Process a verified webhook event (replay-safe by event ID, retry-safe after partial failures)
+ * @param {Object} rawEvent - Parsed webhook body
+ * @returns {Promise<Object>} Processing result ({ duplicate: true } for replays)
+ */
+async function processEvent(rawEvent) {
+  const event = normalizeEvent(rawEvent);
+
+  if (await isProcessed(event.id)) {
+    logger.info(`💳 Webhook event ${event.id} already processed, skipping`);
+    return { eventId: event.id, duplicate: true };
+  }
+
+  const result = event.type === EVENT_TYPES.REFUNDED
+    ? await handleRefund(event)
+    : await handlePayment(event, rawEvent);
+
+  return { eventId: event.id, duplicate: false, ...result };
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  SIGNATURE_TOLERANCE_SEC,
+  EVENT_TYPES,
+  getSecret,
+  signPayload,
+  verifySignature,
+  normalizeEvent,
+  processEvent
+};
@@ -0,0 +1,353 @@
+/**
+ * Promo Code Service - использование промокодов читателями (лимит на читателя, целевые аудитории),
+ * персональные одноразовые коды для отчетов и анонсов и атрибуция использований к выдавшей их рассылке
+ * @file server/services/promoCodeService.js
+ */
+
+const crypto = require('crypto');
+
+const PromoCode = require('../models/PromoCode');
+const TargetAudience = require('../models/TargetAudience');
+const UserProfile = require('../models/userProfile');
+const WeeklyReport = require('../models/weeklyReport');
+const { PromoCodeUsage } = require('../models/analytics');
+const { config } = require('../config');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NEW_USER_DAYS = 30;
+const ACTIVE_USER_DAYS = 7;
+const PERSONAL_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // без 0/O и 1/I
+const PERSONAL_CODE_SUFFIX_LENGTH = 6;
+const PERSONAL_CODE_ATTEMPTS = 3;
+const REPORT_TYPES = {
+  weekly_report: 'weekly',
+  monthly_report: 'monthly',
+  announcement: 'special'
+};
+
+/**
+ * @param {Error} error
+ * @returns {boolean} Нарушение уникального индекса
+ */
+function isDuplicateKeyError(error) {
+  return error?.code === 11000;
+}
+
+/**
+ * Аудитории читателя для проверки targetAudience промокода
+ * @param {Object} profile - Профиль (lean)
+ * @param {Date} [now]
+ * @returns {Promise<string[]>} slug-и TargetAudience + new_users/active_users + all
+ */
+async function getUserAudiences(profile, now = new Date()) {
+  const audiences = new Set(['all']);
+  if (!profile) return [...audiences];
+
+  const matched = await TargetAudience.getForUser(profile);
+  matched.forEach(slug => audiences.add(slug));
+
+  if (profile.registeredAt && now - new Date(profile.registeredAt) <= NEW_USER_DAYS * DAY_MS) {
+    audiences.add('new_users');
+  }
+  if (profile.lastActiveAt && now - new Date(profile.lastActiveAt) <= ACTIVE_USER_DAYS * DAY_MS) {
+    audiences.add('active_users');
+  }
+
+  return [...audiences];
+}
+
+/**
+ * Доступен ли код читателю по аудитории
+ * @param {Object} promoCode
+ * @param {string[]} audiences - Аудитории читателя
+ * @returns {boolean}
+ */
+function matchesAudience(promoCode, audiences) {
+  const target = promoCode.targetAudience || [];
+  return target.length === 0 || target.includes('all') || target.some(slug => audiences.includes(slug));
+}
+
+/**
+ * @returns {string} Случайный хвост персонального кода
+ */
+function generateCodeSuffix() {
+  let suffix = '';
+  for (let i = 0; i < PERSONAL_CODE_SUFFIX_LENGTH; i++) {
+    suffix += PERSONAL_CODE_ALPHABET[crypto.randomInt(PERSONAL_CODE_ALPHABET.length)];
+  }
+  return suffix;
+}
+
+/**
+ * Выдает читателю персональный одноразовый код на основе общего кода контекста.
+ * Повторный вызов для той же выдачи (неделя отчета, анонс) возвращает уже созданный код
+ * @param {string} userId - Telegram ID
+ * @param {Object} issue
+ * @param {string} issue.type - weekly_report|monthly_report|announcement
+ * @param {string} issue.ref - Ключ выдачи: неделя (2026-W23) или id анонса
+ * @param {string} [issue.announcementId]
+ * @param {Date} [now]
+ * @returns {Promise<Object|null>} Персональный код или null, если подходящего общего кода нет
+ */
+async function issuePersonalCode(userId, issue, now = new Date()) {
+  const ownerUserId = String(userId);
+  const key = { ownerUserId, 'issuedFor.type': issue.type, 'issuedFor.ref': issue.ref };
+
+  const existing = await PromoCode.findOne(key).lean();
+  if (existing) return existing;
+
+  const profile = await UserProfile.findOne({ userId: ownerUserId }).lean();
+  const audiences = await getUserAudiences(profile, now);
+  const template = await PromoCode.getRandomForContext(issue.type, audiences);
+  if (!template) return null;
+
+  const validUntil = new Date(Math.min(
+    new Date(template.validUntil).getTime(),
+    now.getTime() + config.reader.promoValidityDays * DAY_MS
+  ));
+
+  for (let attempt = 0; attempt < PERSONAL_CODE_ATTEMPTS; attempt++) {
+    try {
+      const personal = await PromoCode.create({
+        code: `${template.code.slice(0, 4)}${generateCodeSuffix()}`,
+        description: template.description,
+        discount: template.discount,
+        discountType: template.discountType,
+        maxUses: 1,
+        maxUsesPerUser: 1,
+        validFrom: now,
+        validUntil,
+        usageContext: [issue.type],
+        targetAudience: ['all'],
+        ownerUserId,
+        issuedFor: { type: issue.type, ref: issue.ref, announcementId: issue.announcementId },
+        templateCode: template.code
+      });
+
+      logger.info(`🎁 Personal promo code ${personal.code} issued to ${ownerUserId} for ${issue.type} ${issue.ref}`);
+      return personal.toObject();
+    } catch (error) {
+      if (!isDuplicateKeyError(error)) throw error;
+
+      // Параллельная выдача для того же читателя уже создала код
+      const raced = await PromoCode.findOne(key).lean();
+      if (raced) return raced;
+      // Иначе совпал сам код - пробуем другой хвост
+    }
+  }
+
+  logger.warn(`🎁 Could not generate a unique personal promo code for ${ownerUserId}`);
+  return null;
+}
+
+/**
+ * Откуда пришел код: персональный знает свою выдачу, общий ищем в последнем отчете читателя
+ * @param {Object} promoCode
+ * @param {string} userId
+ * @param {Object} [hint] - {type, announcementId} из запроса
+ * @returns {Promise<Object|null>} {type, reportId?, announcementId?}
+ */
+async function resolveCampaign(promoCode, userId, hint = null) {
+  const issuedFor = promoCode.issuedFor || {};
+
+  if (issuedFor.type && issuedFor.type !== 'weekly_report') {
+    return { type: issuedFor.type, reportId: issuedFor.reportId, announcementId: issuedFor.announcementId };
+  }
+  if (issuedFor.reportId) {
+    return { type: 'weekly_report', reportId: issuedFor.reportId };
+  }
+
+  const report = await WeeklyReport.findOne({ userId, 'promoCode.code': promoCode.code })
+    .sort({ sentAt: -1 })
+    .select('_id')
+    .lean();
+  if (report) {
+    return { type: 'weekly_report', reportId: String(report._id) };
+  }
+
+  if (hint?.type && REPORT_TYPES[hint.type]) {
+    return { type: hint.type, announcementId: hint.announcementId ? String(hint.announcementId) : undefined };
+  }
+  return issuedFor.type ? { type: issuedFor.type } : null;
+}
+
+/**
+ * Использование промокода читателем: общий лимит, лимит на читателя, владелец персонального
+ * кода и аудитория. Каждое использование записывается в PromoCodeUsage с атрибуцией
+ * @param {string} userId - Telegram ID
+ * @param {string} code
+ * @param {Object} [options]
+ * @param {number} [options.orderValue=0]
+ * @param {Object} [options.product] - {title, category, originalPrice}
+ * @param {string} [options.source] - telegram_bot|website|email|manual
+ * @param {Object} [options.campaign] - {type, announcementId}, если код общий
+ * @param {Date} [now]
+ * @returns {Promise<Object>} {success, usage, discountAmount, finalAmount} или {success: false, error, code}
+ */
+async function redeemCode(userId, code, options = {}, now = new Date()) {
+  if (!userId || !code || typeof code !== 'string') {
+    return { success: false, error: 'userId and code are required', code: 'INVALID_REQUEST' };
+  }
+  const orderValue = options.orderValue === undefined ? 0 : Number(options.orderValue);
+  if (!Number.isFinite(orderValue) || orderValue < 0) {
+    return { success: false, error: 'orderValue must be a non-negative number', code: 'INVALID_REQUEST' };
+  }
+
+  const readerId = String(userId);
+  const validation = await PromoCode.validateCode(code.trim());
+  if (!validation.valid) {
+    return { success: false, error: validation.reason, code: 'PROMO_UNAVAILABLE' };
+  }
+  const promoCode = validation.promoCode;
+
+  if (promoCode.ownerUserId && promoCode.ownerUserId !== readerId) {
+    return { success: false, error: 'Промокод выдан другому читателю', code: 'NOT_OWNER' };
+  }
+
+  const profile = await UserProfile.findOne({ userId: readerId }).lean();
+  if (!matchesAudience(promoCode, await getUserAudiences(profile, now))) {
+    return { success: false, error: 'Промокод недоступен для вашей аудитории', code: 'AUDIENCE_MISMATCH' };
+  }
+
+  const usedCount = await PromoCodeUsage.countDocuments({ promoCode: promoCode.code, userId: readerId });
+  if (usedCount >= (promoCode.maxUsesPerUser || 1)) {
+    return { success: false, error: 'Вы уже использовали этот промокод', code: 'USER_LIMIT_REACHED' };
+  }
+
+  const campaign = await resolveCampaign(promoCode, readerId, options.campaign);
+  const discountAmount = promoCode.discountType === 'fixed'
+    ? Math.min(promoCode.discount, orderValue)
+    : Math.round(orderValue * promoCode.discount) / 100;
+
+  let usage;
+  try {
+    usage = await PromoCodeUsage.create({
+      promoCode: promoCode.code,
+      userId: readerId,
+      orderValue,
+      discount: promoCode.discount,
+      discountAmount,
+      finalAmount: Math.round((orderValue - discountAmount) * 100) / 100,
+      timestamp: now,
+      source: options.source,
+      reportType: campaign ? REPORT_TYPES[campaign.type] : undefined,
+      redemptionIndex: usedCount + 1,
+      campaign: campaign || undefined,
+      product: options.product,
+      userInfo: profile ? {
+        registrationDate: profile.registeredAt,
+        totalQuotes: profile.statistics?.totalQuotes || 0,
+        weeksSinceRegistration: Math.floor((now - new Date(profile.registeredAt)) / (7 * DAY_MS)),
+        source: profile.source,
+        lastActivity: profile.lastActiveAt
+      } : undefined
+    });
+  } catch (error) {
+    if (isDuplicateKeyError(error)) {
+      return { success: false, error: 'Вы уже использовали этот промокод', code: 'USER_LIMIT_REACHED' };
+    }
+    if (error.name === 'ValidationError') {
+      return { success: false, error: error.message, code: 'INVALID_REQUEST' };
+    }
+    throw error;
+  }
+
+  // Общий лимит кода - атомарно; если его исчерпали параллельно, освобождаем слот читателя
+  if (!(await PromoCode.useCode(promoCode.code))) {
+    await PromoCodeUsage.deleteOne({ _id: usage._id });
+    return { success: false, error: 'Превышено максимальное количество использований', code: 'PROMO_UNAVAILABLE' };
+  }
+
+  logger.info(`🎁 Promo code ${promoCode.code} redeemed by ${readerId}${campaign ? ` (${campaign.type})` : ''}`);
+
+  return {
+    success: true,
+    usage: usage.toObject(),
+    discount: promoCode.discount,
+    discountType: promoCode.discountType,
+    discountAmount: usage.discountAmount,
+    finalAmount: usage.finalAmount
+  };
+}
+
+/**
+ * Конверсия выданных кодов: по типу рассылки и по неделям еженедельных отчетов
+ * @param {Object} [options]
+ * @param {number} [options.days=90] - Окно выдачи кодов
+ * @param {Date} [now]
+ * @returns {Promise<Object>} {byCampaign, weeklyReports}
+ */
+async function getAttributionStats({ days = 90 } = {}, now = new Date()) {
+  const since = new Date(now.getTime() - days * DAY_MS);
+
+  const [issued, redemptions] = await Promise.all([
+    PromoCode.aggregate([
+      { $match: { ownerUserId: { $type: 'string' }, createdAt: { $gte: since } } },
+      {
+        $group: {
+          _id: { type: '$issuedFor.type', ref: '$issuedFor.ref' },
+          issued: { $sum: 1 },
+          redeemed: { $sum: { $cond: [{ $gt: ['$currentUses', 0] }, 1, 0] } }
+        }
+      }
+    ]),
+    PromoCodeUsage.aggregate([
+      { $match: { timestamp: { $gte: since } } },
+      {
+        $group: {
+          _id: { $ifNull: ['$campaign.type', 'unattributed'] },
+          redemptions: { $sum: 1 },
+          uniqueUsers: { $addToSet: '$userId' },
+          revenue: { $sum: '$finalAmount' },
+          discountTotal: { $sum: '$discountAmount' }
+        }
+      }
+    ])
+  ]);
+
+  const rate = (part, total) => (total > 0 ? Math.round((part / total) * 1000) / 10 : 0);
+
+  const issuedByType = new Map();
+  issued.forEach(({ _id, issued: count, redeemed }) => {
+    const totals = issuedByType.get(_id.type) || { issued: 0, redeemed: 0 };
+    issuedByType.set(_id.type, { issued: totals.issued + count, redeemed: totals.redeemed + redeemed });
+  });
+
+  const types = new Set([...issuedByType.keys(), ...redemptions.map(row => row._id)]);
+  const byCampaign = [...types].map(type => {
+    const personal = issuedByType.get(type) || { issued: 0, redeemed: 0 };
+    const usage = redemptions.find(row => row._id === type);
+    return {
+      campaign: type,
+      personalIssued: personal.issued,
+      personalRedeemed: personal.redeemed,
+      conversionRate: rate(personal.redeemed, personal.issued),
+      redemptions: usage?.redemptions || 0,
+      uniqueUsers: usage?.uniqueUsers.length || 0,
+      revenue: Math.round((usage?.revenue || 0) * 100) / 100,
+      discountTotal: Math.round((usage?.discountTotal || 0) * 100) / 100
+    };
+  }).sort((a, b) => b.redemptions - a.redemptions);
+
+  const weeklyReports = issued
+    .filter(({ _id }) => _id.type === 'weekly_report')
+    .map(({ _id, issued: count, redeemed }) => ({
+      week: _id.ref,
+      issued: count,
+      redeemed,
+      conversionRate: rate(redeemed, count)
+    }))
+    .sort((a, b) => String(b.week).localeCompare(String(a.week)));
+
+  return { since, byCampaign, weeklyReports };
+}
+
+module.exports = {
+  getUserAudiences,
+  matchesAudience,
+  issuePersonalCode,
+  resolveCampaign,
+  redeemCode,
+  getAttributionStats
+};
@@ -7,6 +7,7 @@
  */
 
 const Prompt = require('../models/prompt');
+const experimentService = require('./experimentService');
 const logger = require('../utils/logger');
 
 /**
@@ -247,10 +248,19 @@ class PromptService {
    * 📖 ИСПРАВЛЕНО: Теперь корректно ищет language: 'none' вместо 'auto'
    * @param {string} type - Тип промпта ('basic', 'rag', 'ticket_detection', 'categorization', 'subject')
    * @param {string} [language='auto'] - Язык промпта (теперь игнорируется)
+   * @param {Object} [options] - Опции
+   * @param {string} [options.userId] - Читатель: промпт может подменить запущенный A/B эксперимент
    * @returns {Promise<string>} Содержимое промпта
    */
-  async getActivePrompt(type, language = 'auto') {
+  async getActivePrompt(type, language = 'auto', options = {}) {
     try {
+      if (options.userId) {
+        const variantContent = await this.getExperimentPrompt(type, options.userId);
+        if (variantContent) {
+          return variantContent;
+        }
+      }
+
       const cacheKey = `${type}_universal`;
       
       logger.debug(`📖 Getting universal prompt chapter: type=${type}`);
@@ -304,6 +314,27 @@ class PromptService {
     }
   }
 
+  /**
+   * 🧪 Промпт варианта A/B эксперимента для читателя (null - контроль или эксперимента нет)
+   * @param {string} type - Тип промпта
+   * @param {string} userId - ID пользователя
+   * @returns {Promise<string|null>} Содержимое промпта варианта
+   */
+  async getExperimentPrompt(type, userId) {
+    try {
+      const prompt = await experimentService.getVariantPrompt(type, userId);
+      if (!prompt) {
+        return null;
+      }
+
+      logger.debug(`🧪 Experiment prompt for user ${userId}: ${prompt.name} (type: ${type})`);
+      return prompt.content;
+    } catch (error) {
+      logger.warn(`🧪 Failed to get experiment prompt (${type}): ${error.message}`);
+      return null;
+    }
+  }
+
   /**
    * 📖 УПРОЩЕНО: Один универсальный промпт для всех языков
    * @param {string} type - Тип промпта
@@ -0,0 +1,784 @@
+/**
+ * Quote Export Service - builds quote exports (CSV, JSON, Markdown diary, EPUB book)
+ * and runs them as stored jobs with downloadable files
+ * @file server/services/quoteExportService.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const mongoose = require('mongoose');
+const JSZip = require('jszip');
+
+const Quote = require('../models/quote');
+const UserProfile = require('../models/userProfile');
+const QuoteExport = require('../models/QuoteExport');
+const { EXPORT_FORMATS } = require('../models/QuoteExport');
+const { toBusinessTimezone } = require('../utils/isoWeek');
+const logger = require('../utils/logger');
+
+/**
+ * Directory for generated export files
+ */
+const EXPORTS_DIR = path.join(__dirname, '../../uploads/exports');
+
+/**
+ * How long a generated file stays available (24 hours)
+ */
+const EXPORT_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Quotes read from the cursor per batch (one profile lookup per batch)
+ */
+const EXPORT_BATCH_SIZE = 500;
+
+/**
+ * Formats written to disk row by row instead of being rendered in memory
+ */
+const STREAMED_FORMATS = ['csv', 'json'];
+
+const MONTH_NAMES = [
+  'Январь', 'Февраль', 'Март', 'Апрель', 'Май', 'Июнь',
+  'Июль', 'Август', 'Сентябрь', 'Октябрь', 'Ноябрь', 'Декабрь'
+];
+
+const MIME_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  md: 'text/markdown; charset=utf-8',
+  epub: 'application/epub+zip'
+};
+
+/**
+ * @typedef {Object} ExportFilters
+ * @property {string} period - 'all' or number of days like '30d'
+ * @property {string} category - 'all' or category name
+ * @property {boolean} includeUserData - Include author profile data for each quote
+ */
+
+/**
+ * @typedef {Object} ExportRow
+ * @property {string} id - Quote ID
+ * @property {string} text - Quote text
+ * @property {string} author - Quote author
+ * @property {string} source - Book title
+ * @property {string} category - Quote category
+ * @property {string} sentiment - Quote sentiment
+ * @property {string[]} themes - AI themes
+ * @property {string} insights - AI insights
+ * @property {boolean} isFavorite - Favorite flag
+ * @property {Date} createdAt - Creation date
+ * @property {Object} [user] - User data (only when includeUserData)
+ */
+
+/**
+ * Build MongoDB filter for export
+ * @param {ExportFilters} filters - Export filters
+ * @param {Object} options - Scope options
+ * @param {string} options.scope - 'user' or 'all'
+ * @param {string} options.userId - Telegram ID for 'user' scope
+ * @returns {Object} MongoDB filter
+ */
+function buildExportFilter(filters = {}, { scope = 'user', userId } = {}) {
+  const filter = {};
+
+  if (scope !== 'all') {
+    filter.userId = userId;
+  }
+
+  const period = filters.period || 'all';
+  if (period !== 'all') {
+    const days = parseInt(period, 10);
+    if (!isNaN(days) && days > 0) {
+      const startDate = new Date();
+      startDate.setDate(startDate.getDate() - days);
+      filter.createdAt = { $gte: startDate };
+    }
+  }
+
+  if (filters.category && filters.category !== 'all') {
+    filter.category = filters.category;
+  }
+
+  return filter;
+}
+
+/**
+ * Get month key and label for a date in business timezone
+ * @param {Date} date - Date
+ * @returns {{key: string, label: string}} Month key (YYYY-MM) and label ("Октябрь 2026")
+ */
+function getMonthBucket(date) {
+  const businessDate = toBusinessTimezone(new Date(date));
+  const year = businessDate.getUTCFullYear();
+  const month = businessDate.getUTCMonth();
+  return {
+    key: `${year}-${String(month + 1).padStart(2, '0')}`,
+    label: `${MONTH_NAMES[month]} ${year}`
+  };
+}
+
+/**
+ * Group rows by month (chronological order)
+ * @param {ExportRow[]} rows - Export rows
+ * @returns {Array<{key: string, label: string, quotes: ExportRow[]}>} Month groups
+ */
+function groupByMonth(rows) {
+  const groups = new Map();
+
+  for (const row of rows) {
+    const bucket = getMonthBucket(row.createdAt);
+    if (!groups.has(bucket.key)) {
+      groups.set(bucket.key, { ...bucket, quotes: [] });
+    }
+    groups.get(bucket.key).quotes.push(row);
+  }
+
+  return [...groups.values()].sort((a, b) => a.key.localeCompare(b.key));
+}
+
+/**
+ * Format date as DD.MM.YYYY in business timezone
+ * @param {Date} date - Date
+ * @returns {string} Formatted date
+ */
+function formatDate(date) {
+  const d = toBusinessTimezone(new Date(date));
+  const day = String(d.getUTCDate()).padStart(2, '0');
+  const month = String(d.getUTCMonth() + 1).padStart(2, '0');
+  return `${day}.${month}.${d.getUTCFullYear()}`;
+}
+
+/**
+ * Escape a value for CSV. Cells starting with =, +, - or @ get a leading ' so
+ * spreadsheets show them as text instead of evaluating a formula
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+function escapeCsv(value) {
+  if (value === null || value === undefined) return '';
+  let str = String(value);
+  if (/^[=+\-@]/.test(str)) {
+    str = `'${str}`;
+  }
+  if (/[",\r\n]/.test(str)) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
+
+/**
+ * Escape text for XHTML
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+  return String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Render rows as CSV (UTF-8 with BOM so Excel opens Cyrillic correctly)
+ * @param {ExportRow[]} rows - Export rows
+ * @param {Object} options - Render options
+ * @param {boolean} options.includeUserData - Add user columns
+ * @returns {string} CSV content
+ */
+function toCSV(rows, { includeUserData = false } = {}) {
+  const lines = [csvHeader(includeUserData), ...rows.map(row => csvLine(row, includeUserData))];
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * CSV header line
+ * @param {boolean} includeUserData - Add user columns
+ * @returns {string} Header line without line break
+ */
+function csvHeader(includeUserData) {
+  const headers = ['Дата', 'Цитата', 'Автор', 'Источник', 'Категория', 'Настроение', 'Темы', 'Избранное'];
+  if (includeUserData) {
+    headers.push('ID пользователя', 'Имя', 'Username');
+  }
+  return headers.map(escapeCsv).join(',');
+}
+
+/**
+ * CSV line for one export row
+ * @param {ExportRow} row - Export row
+ * @param {boolean} includeUserData - Add user columns
+ * @returns {string} CSV line without line break
+ */
+function csvLine(row, includeUserData) {
+  const cells = [
+    formatDate(row.createdAt),
+    row.text,
+    row.author,
+    row.source,
+    row.category,
+    row.sentiment,
+    (row.themes || []).join('; '),
+    row.isFavorite ? 'да' : 'нет'
+  ];
+  if (includeUserData) {
+    cells.push(row.user?.id, row.user?.name, row.user?.username);
+  }
+  return cells.map(escapeCsv).join(',');
+}
+
+/**
+ * Render rows as JSON document
+ * @param {ExportRow[]} rows - Export rows
+ * @param {Object} meta - Export metadata (filters, generatedAt)
+ * @returns {string} JSON content
+ */
+function toJSON(rows, meta = {}) {
+  return JSON.stringify({
+    generatedAt: meta.generatedAt || new Date().toISOString(),
+    filters: meta.filters || {},
+    count: rows.length,
+    quotes: rows
+  }, null, 2);
+}
+
+/**
+ * Render rows as a Markdown diary grouped by month
+ * @param {ExportRow[]} rows - Export rows
+ * @param {Object} meta - Export metadata
+ * @param {string} meta.title - Diary title
+ * @returns {string} Markdown content
+ */
+function toMarkdown(rows, meta = {}) {
+  const lines = [`# ${meta.title || 'Дневник цитат'}`, ''];
+  lines.push(`_Всего цитат: ${rows.length}_`, '');
+
+  for (const group of groupByMonth(rows)) {
+    lines.push(`## ${group.label}`, '');
+    for (const quote of group.quotes) {
+      const textLines = String(quote.text).split(/\r?\n/);
+      textLines.forEach(line => lines.push(`> ${line}`));
+
+      const attribution = [quote.author, quote.source ? `*${quote.source}*` : null].filter(Boolean).join(', ');
+      if (attribution) {
+        lines.push('>', `> — ${attribution}`);
+      }
+      lines.push('');
+
+      const details = [formatDate(quote.createdAt), quote.category];
+      if (quote.isFavorite) details.push('⭐');
+      if (quote.user?.name) details.push(quote.user.name);
+      lines.push(`<sub>${details.filter(Boolean).join(' · ')}</sub>`, '');
+
+      if (quote.insights) {
+        lines.push(`💡 ${quote.insights}`, '');
+      }
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Render rows as an EPUB 3 "book of my quotes" with one chapter per month
+ * @param {ExportRow[]} rows - Export rows
+ * @param {Object} meta - Export metadata
+ * @param {string} meta.title - Book title
+ * @param {string} meta.author - Book author (reader name)
+ * @param {string} meta.identifier - Unique book identifier
+ * @returns {Promise<Buffer>} EPUB file content
+ */
+async function toEPUB(rows, meta = {}) {
+  const title = meta.title || 'Книга моих цитат';
+  const author = meta.author || 'Читатель';
+  const identifier = meta.identifier || `urn:uuid:${Date.now()}`;
+  const modified = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+  const groups = groupByMonth(rows);
+
+  const zip = new JSZip();
+  // mimetype must be the first entry and stored uncompressed
+  zip.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+
+  zip.file('META-INF/container.xml',
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">\n' +
+    '  <rootfiles>\n' +
+    '    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>\n' +
+    '  </rootfiles>\n' +
+    '</container>\n');
+
+  zip.file('OEBPS/style.css', [
+    'body { font-family: serif; line-height: 1.5; margin: 1em; }',
+    'h1 { text-align: center; }',
+    'blockquote { margin: 1.5em 0 0.3em; font-style: italic; }',
+    '.attribution { text-align: right; margin: 0; }',
+    '.meta { font-size: 0.8em; color: #777; margin: 0 0 0.5em; }',
+    '.insight { font-size: 0.9em; margin: 0 0 1.5em; }'
+  ].join('\n'));
+
+  const xhtml = (pageTitle, body) =>
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<!DOCTYPE html>\n' +
+    '<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="ru" lang="ru">\n' +
+    `<head><meta charset="UTF-8"/><title>${escapeXml(pageTitle)}</title>` +
+    '<link rel="stylesheet" type="text/css" href="style.css"/></head>\n' +
+    `<body>\n${body}\n</body>\n</html>\n`;
+
+  zip.file('OEBPS/title.xhtml', xhtml(title,
+    `<h1>${escapeXml(title)}</h1>\n<p style="text-align:center">${escapeXml(author)}</p>\n` +
+    `<p style="text-align:center">Цитат: ${rows.length}</p>`));
+
+  const chapters = groups.map((group, index) => {
+    const body = group.quotes.map(quote => {
+      const parts = [`<blockquote><p>${escapeXml(quote.text).replace(/\r?\n/g, '<br/>')}</p></blockquote>`];
+      const attribution = [quote.author, quote.source].filter(Boolean).map(escapeXml).join(', ');
+      if (attribution) {
+        parts.push(`<p class="attribution">— ${attribution}</p>`);
+      }
+      parts.push(`<p class="meta">${escapeXml(formatDate(quote.createdAt))} · ${escapeXml(quote.category)}</p>`);
+      if (quote.insights) {
+        parts.push(`<p class="insight">${escapeXml(quote.insights)}</p>`);
+      }
+      return parts.join('\n');
+    }).join('\n');
+
+    const file = `chapter-${index + 1}.xhtml`;
+    zip.file(`OEBPS/${file}`, xhtml(group.label, `<h2>${escapeXml(group.label)}</h2>\n${body}`));
+    return { id: `chapter-${index + 1}`, file, label: group.label };
+  });
+
+  const navItems = chapters
+    .map(ch => `      <li><a href="${ch.file}">${escapeXml(ch.label)}</a></li>`)
+    .join('\n');
+  zip.file('OEBPS/nav.xhtml', xhtml('Оглавление',
+    `<nav epub:type="toc" id="toc">\n  <h2>Оглавление</h2>\n  <ol>\n${navItems}\n  </ol>\n</nav>`));
+
+  const manifest = [
+    '    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+    '    <item id="css" href="style.css" media-type="text/css"/>',
+    '    <item id="title" href="title.xhtml" media-type="application/xhtml+xml"/>',
+    ...chapters.map(ch => `    <item id="${ch.id}" href="${ch.file}" media-type="application/xhtml+xml"/>`)
+  ].join('\n');
+  const spine = [
+    '    <itemref idref="title"/>',
+    '    <itemref idref="nav"/>',
+    ...chapters.map(ch => `    <itemref idref="${ch.id}"/>`)
+  ].join('\n');
+
+  zip.file('OEBPS/content.opf',
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="bookid" xml:lang="ru">\n' +
+    '  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">\n' +
+    `    <dc:identifier id="bookid">${escapeXml(identifier)}</dc:identifier>\n` +
+    `    <dc:title>${escapeXml(title)}</dc:title>\n` +
+    `    <dc:creator>${escapeXml(author)}</dc:creator>\n` +
+    '    <dc:language>ru</dc:language>\n' +
+    `    <meta property="dcterms:modified">${modified}</meta>\n` +
+    '  </metadata>\n' +
+    `  <manifest>\n${manifest}\n  </manifest>\n` +
+    `  <spine>\n${spine}\n  </spine>\n` +
+    '</package>\n');
+
+  return zip.generateAsync({
+    type: 'nodebuffer',
+    compression: 'DEFLATE',
+    mimeType: 'application/epub+zip'
+  });
+}
+
+/**
+ * Map a quote document to an export row
+ * @param {Object} quote - Lean quote document
+ * @param {Object|null} userMap - Profiles by userId (null when user data is not included)
+ * @returns {ExportRow} Export row
+ */
+function toExportRow(quote, userMap) {
+  const row = {
+    id: quote._id.toString(),
+    text: quote.text,
+    author: quote.author || '',
+    source: quote.source || '',
+    category: quote.category,
+    sentiment: quote.sentiment,
+    themes: quote.themes || [],
+    insights: quote.insights || '',
+    isFavorite: quote.isFavorite || false,
+    createdAt: quote.createdAt
+  };
+  if (userMap) {
+    row.user = {
+      id: quote.userId,
+      name: userMap[quote.userId]?.name || '',
+      username: userMap[quote.userId]?.telegramUsername || ''
+    };
+  }
+  return row;
+}
+
+/**
+ * Read quotes for export with a cursor and pass them on in batches of export rows,
+ * so scope 'all' never holds the whole collection in memory
+ * @param {Object} filter - MongoDB filter
+ * @param {boolean} includeUserData - Attach user profile data
+ * @param {function(ExportRow[]): Promise<void>} onBatch - Batch handler (oldest first)
+ * @returns {Promise<number>} Number of exported quotes
+ */
+async function forEachRowBatch(filter, includeUserData, onBatch) {
+  const cursor = Quote.find(filter).sort({ createdAt: 1 }).lean().cursor({ batchSize: EXPORT_BATCH_SIZE });
+  let batch = [];
+  let total = 0;
+
+  const flush = async () => {
+    let userMap = null;
+    if (includeUserData) {
+      const userIds = [...new Set(batch.map(q => q.userId))];
+      const users = await UserProfile.find(
+        { userId: { $in: userIds } },
+        { userId: 1, name: 1, telegramUsername: 1 }
+      ).lean();
+      userMap = users.reduce((map, user) => {
+        map[user.userId] = user;
+        return map;
+      }, {});
+    }
+
+    const rows = batch.map(quote => toExportRow(quote, userMap));
+    total += rows.length;
+    batch = [];
+    await onBatch(rows);
+  };
+
+  try {
+    for await (const quote of cursor) {
+      batch.push(quote);
+      if (batch.length >= EXPORT_BATCH_SIZE) {
+        await flush();
+      }
+    }
+    if (batch.length > 0) {
+      await flush();
+    }
+  } finally {
+    await cursor.close().catch(() => {});
+  }
+
+  return total;
+}
+
+/**
+ * Load quotes for export and map them to export rows (formats that need every row at once)
+ * @param {Object} filter - MongoDB filter
+ * @param {boolean} includeUserData - Attach user profile data
+ * @returns {Promise<ExportRow[]>} Export rows (oldest first)
+ */
+async function loadRows(filter, includeUserData) {
+  const rows = [];
+  await forEachRowBatch(filter, includeUserData, async batch => {
+    rows.push(...batch);
+  });
+  return rows;
+}
+
+/**
+ * Write a CSV or JSON export to disk row by row, waiting for the stream to drain
+ * @param {string} filePath - Target file
+ * @param {string} format - 'csv' or 'json'
+ * @param {Object} filter - MongoDB filter
+ * @param {Object} meta - Export metadata (generatedAt, filters, includeUserData)
+ * @returns {Promise<number>} Number of exported quotes
+ */
+async function streamExportFile(filePath, format, filter, meta) {
+  const stream = fs.createWriteStream(filePath);
+  const write = async chunk => {
+    if (!stream.write(chunk)) {
+      await once(stream, 'drain');
+    }
+  };
+
+  try {
+    if (format === 'csv') {
+      await write('\uFEFF' + csvHeader(meta.includeUserData) + '\r\n');
+    } else {
+      // Тот же документ, что и toJSON, только count идет после списка цитат
+      await write('{\n' +
+        `  "generatedAt": ${JSON.stringify(meta.generatedAt)},\n` +
+        `  "filters": ${JSON.stringify(meta.filters || {}, null, 2).replace(/\n/g, '\n  ')},\n` +
+        '  "quotes": [');
+    }
+
+    let written = 0;
+    const count = await forEachRowBatch(filter, meta.includeUserData, async rows => {
+      for (const row of rows) {
+        if (format === 'csv') {
+          await write(csvLine(row, meta.includeUserData) + '\r\n');
+        } else {
+          await write(`${written > 0 ? ',' : ''}\n    ${JSON.stringify(row, null, 2).replace(/\n/g, '\n    ')}`);
+        }
+        written++;
+      }
+    });
+
+    if (format === 'json') {
+      await write(`${count > 0 ? '\n  ' : ''}],\n  "count": ${count}\n}`);
+    }
+
+    stream.end();
+    await once(stream, 'finish');
+    return count;
+  } catch (error) {
+    stream.destroy();
+    await fs.promises.unlink(filePath).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Render export content in the requested format
+ * @param {string} format - Export format
+ * @param {ExportRow[]} rows - Export rows
+ * @param {Object} meta - Export metadata
+ * @returns {Promise<Buffer>} File content
+ */
+async function renderExport(format, rows, meta) {
+  switch (format) {
+    case 'csv':
+      return Buffer.from(toCSV(rows, meta), 'utf8');
+    case 'json':
+      return Buffer.from(toJSON(rows, meta), 'utf8');
+    case 'md':
+      return Buffer.from(toMarkdown(rows, meta), 'utf8');
+    case 'epub':
+      return toEPUB(rows, meta);
+    default:
+      throw new Error(`Unsupported export format: ${format}`);
+  }
+}
+
+/**
+ * Normalize a requested format name ('markdown' → 'md')
+ * @param {string} format - Requested format
+ * @returns {string|null} Supported format or null
+ */
+function normalizeFormat(format) {
+  const value = String(format || 'csv').toLowerCase();
+  const normalized = value === 'markdown' ? 'md' : value;
+  return EXPORT_FORMATS.includes(normalized) ? normalized : null;
+}
+
+/**
+ * Create an export job and start processing it in the background
+ * @param {Object} params - Job parameters
+ * @param {string} params.requestedBy - Telegram ID of requester
+ * @param {string} params.format - Export format
+ * @param {ExportFilters} params.filters - Export filters
+ * @param {string} [params.scope='user'] - 'user' or 'all'
+ * @returns {Promise<Object>} Created job document
+ */
+async function createExportJob({ requestedBy, format, filters = {}, scope = 'user' }) {
+  const normalizedFormat = normalizeFormat(format);
+  if (!normalizedFormat) {
+    const error = new Error(`Unsupported export format: ${format}`);
+    error.code = 'INVALID_FORMAT';
+    throw error;
+  }
+
+  const job = await QuoteExport.create({
+    requestedBy: String(requestedBy),
+    scope,
+    format: normalizedFormat,
+    filters: {
+      period: filters.period || 'all',
+      category: filters.category || 'all',
+      includeUserData: Boolean(filters.includeUserData)
+    },
+    expiresAt: new Date(Date.now() + EXPORT_TTL_MS)
+  });
+
+  logger.info(`📦 Quote export job ${job._id} created`, {
+    requestedBy, format: normalizedFormat, scope
+  });
+
+  setImmediate(() => {
+    processExportJob(job._id).catch(error => {
+      logger.error(`❌ Quote export job ${job._id} crashed:`, error);
+    });
+  });
+
+  cleanupExpiredExports().catch(error => {
+    logger.warn('⚠️ Failed to cleanup expired exports:', error.message);
+  });
+
+  return job;
+}
+
+/**
+ * Generate the file for an export job
+ * @param {string|mongoose.Types.ObjectId} jobId - Job ID
+ * @returns {Promise<Object|null>} Updated job document
+ */
+async function processExportJob(jobId) {
+  const job = await QuoteExport.findOneAndUpdate(
+    { _id: jobId, status: 'pending' },
+    { status: 'processing', startedAt: new Date() },
+    { new: true }
+  );
+
+  if (!job) {
+    return null;
+  }
+
+  try {
+    const filter = buildExportFilter(job.filters, { scope: job.scope, userId: job.requestedBy });
+    const generatedAt = new Date();
+    const meta = {
+      generatedAt: generatedAt.toISOString(),
+      filters: {
+        period: job.filters.period,
+        category: job.filters.category,
+        includeUserData: job.filters.includeUserData
+      },
+      includeUserData: job.filters.includeUserData
+    };
+
+    await fs.promises.mkdir(EXPORTS_DIR, { recursive: true });
+    const filePath = path.join(EXPORTS_DIR, `${job._id}.${job.format}`);
+
+    let recordsCount;
+    if (STREAMED_FORMATS.includes(job.format)) {
+      recordsCount = await streamExportFile(filePath, job.format, filter, meta);
+    } else {
+      const rows = await loadRows(filter, job.filters.includeUserData);
+
+      let readerName = null;
+      if (job.scope === 'user') {
+        const profile = await UserProfile.findOne({ userId: job.requestedBy }, { name: 1 }).lean();
+        readerName = profile?.name || null;
+      }
+
+      const content = await renderExport(job.format, rows, {
+        ...meta,
+        title: job.scope === 'all' ? 'Цитаты читателей' : 'Книга моих цитат',
+        author: readerName || 'Читатель',
+        identifier: `urn:reader-bot:export:${job._id}`
+      });
+      await fs.promises.writeFile(filePath, content);
+      recordsCount = rows.length;
+    }
+
+    const { size } = await fs.promises.stat(filePath);
+
+    job.status = 'completed';
+    job.recordsCount = recordsCount;
+    job.filename = `quotes_export_${generatedAt.toISOString().split('T')[0]}.${job.format}`;
+    job.filePath = filePath;
+    job.fileSize = size;
+    job.completedAt = new Date();
+    await job.save();
+
+    logger.info(`✅ Quote export job ${job._id} completed: ${recordsCount} quotes, ${size} bytes`);
+    return job;
+  } catch (error) {
+    logger.error(`❌ Quote export job ${job._id} failed:`, error);
+    job.status = 'failed';
+    job.error = error.message;
+    job.completedAt = new Date();
+    await job.save();
+    return job;
+  }
+}
+
+/**
+ * Resume export jobs interrupted by a restart: jobs left in 'processing' are returned
+ * to 'pending' (the bot runs as a single process, so nothing else owns them) and all
+ * unexpired pending jobs are processed one by one
+ * @returns {Promise<number>} Number of resumed jobs
+ */
+async function resumePendingExports() {
+  await QuoteExport.updateMany(
+    { status: 'processing' },
+    { $set: { status: 'pending', startedAt: null } }
+  );
+
+  const jobs = await QuoteExport.find({ status: 'pending', expiresAt: { $gt: new Date() } })
+    .select('_id')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  for (const job of jobs) {
+    try {
+      await processExportJob(job._id);
+    } catch (error) {
+      logger.error(`❌ Quote export job ${job._id} crashed:`, error);
+    }
+  }
+
+  return jobs.length;
+}
+
+/**
+ * Get export job visible to the requester
+ * @param {string} jobId - Job ID
+ * @param {string} requestedBy - Telegram ID of requester
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.isAdmin=false] - Admins can see any job
+ * @returns {Promise<Object|null>} Job document or null
+ */
+async function getExportJob(jobId, requestedBy, { isAdmin = false } = {}) {
+  if (!mongoose.Types.ObjectId.isValid(jobId)) {
+    return null;
+  }
+  const query = { _id: jobId };
+  if (!isAdmin) {
+    query.requestedBy = String(requestedBy);
+  }
+  return QuoteExport.findOne(query);
+}
+
+/**
+ * Get MIME type for an export format
+ * @param {string} format - Export format
+ * @returns {string} MIME type
+ */
+function getMimeType(format) {
+  return MIME_TYPES[format] || 'application/octet-stream';
+}
+
+/**
+ * Remove expired export files and jobs
+ * @returns {Promise<number>} Number of removed jobs
+ */
+async function cleanupExpiredExports() {
+  const expired = await QuoteExport.find({ expiresAt: { $lt: new Date() } }).limit(100);
+
+  for (const job of expired) {
+    if (job.filePath) {
+      await fs.promises.unlink(job.filePath).catch(() => {});
+    }
+  }
+
+  if (expired.length > 0) {
+    await QuoteExport.deleteMany({ _id: { $in: expired.map(job => job._id) } });
+    logger.info(`🧹 Removed ${expired.length} expired quote export(s)`);
+  }
+
+  return expired.length;
+}
+
+module.exports = {
+  buildExportFilter,
+  groupByMonth,
+  toCSV,
+  toJSON,
+  toMarkdown,
+  toEPUB,
+  normalizeFormat,
+  createExportJob,
+  processExportJob,
+  resumePendingExports,
+  getExportJob,
+  getMimeType,
+  cleanupExpiredExports,
+  EXPORTS_DIR
+};
@@ -6,8 +6,12 @@
 
 const { Quote, UserProfile } = require('../models');
 const AchievementService = require('./achievementService');
-const claudeService = require('./claude');
+const aiProviders = require('./ai');
+const { AI_FEATURES } = aiProviders;
 const promptService = require('./promptService');
+const analyticsService = require('./analyticsService');
+const recommendationService = require('./recommendationService');
+const { getUserTimezone } = require('./userTimezoneService');
 const { normalizeCategory, normalizeThemes, normalizeAnalysis: normalizeAnalysisUtil } = require('../utils/normalizeCategory');
 
 /**
@@ -184,9 +188,14 @@ class QuoteHandler {
    * Обработать цитату пользователя
    * @param {string} userId - ID пользователя Telegram
    * @param {string} messageText - Текст сообщения с цитатой
+   * @param {string|null} [author] - Автор (если передан, текст не парсится)
+   * @param {string|null} [source] - Источник
+   * @param {Object} [options]
+   * @param {string} [options.clientId] - Ключ идемпотентности из mini app
+   * @param {string} [options.timezone] - Часовой пояс читателя, если профиль уже загружен
    * @returns {Promise<Object>} Результат обработки
    */
-  async handleQuote(userId, messageText, author = null, source = null) {
+  async handleQuote(userId, messageText, author = null, source = null, options = {}) {
     try {
       // 1. Проверяем лимит цитат в день
       const todayCount = await this._checkDailyLimit(userId);
@@ -204,10 +213,16 @@ class QuoteHandler {
       : this._parseQuote(messageText);         // ← ПАРСИМ ТОЛЬКО ЕСЛИ АВТОР НЕ ПЕРЕДАН
       
       // 3. Анализируем цитату через AI
-      const analysis = await this._analyzeQuote(parsedQuote.text, parsedQuote.author);
+      const analysis = await this._analyzeQuote(parsedQuote.text, parsedQuote.author, userId);
       
-      // 4. Сохраняем цитату
-      const quote = await this._saveQuote(userId, parsedQuote, analysis);
+      // 4. Сохраняем цитату (неделя и месяц - в часовом поясе читателя)
+      const timezone = options.timezone || await getUserTimezone(userId);
+      const quote = await this._saveQuote(userId, parsedQuote, analysis, { ...options, timezone });
+      analyticsService.trackEvent('quote_added', userId, {
+        quoteId: String(quote._id),
+        category: quote.category || '',
+        hasAuthor: Boolean(parsedQuote.author)
+      });
       
       // 5. Обновляем статистику пользователя
       await this._updateUserStatistics(userId, parsedQuote.author);
@@ -227,6 +242,10 @@ class QuoteHandler {
       };
       
     } catch (error) {
+      // Параллельный запрос с тем же clientId успел сохранить цитату
+      if (error.code === 11000 && options.clientId) {
+        return { success: false, duplicate: true, message: 'Quote with this clientId already exists' };
+      }
       console.error('Error handling quote:', error);
       return {
         success: false,
@@ -290,11 +309,16 @@ class QuoteHandler {
    * 
    * Метод получает категории для анализа из БД через this._getAvailableCategories(),
    * загружает промпт для анализа цитаты из PromptService, заменяет плейсхолдеры
-   * и отправляет запрос в claudeService для получения анализа. В случае ошибки
+   * и отправляет запрос через реестр AI провайдеров для получения анализа. В случае ошибки
    * возвращается fallback анализ с категорией из БД.
    * 
    * @param {string} text - Текст цитаты для анализа
    * @param {string|null} author - Автор цитаты (может быть null)
+   * @param {string|null} [userId=null] - Читатель (учет токенов и дневной бюджет AI)
+   * @param {Object} [options={}] - Опции
+   * @param {string} [options.feature=AI_FEATURES.QUOTE_ANALYSIS] - Функция AI (маршрут и бюджет)
+   * @param {boolean} [options.throwOnBudgetExceeded=false] - Пробросить AI_BUDGET_EXCEEDED вместо fallback
+   *   (фоновые задачи откладывают цитату, а не сохраняют запасную категорию)
    * @returns {Promise<QuoteAnalysis>} Объект с результатами анализа цитаты:
    *   - category: строка с названием категории
    *   - themes: массив строк с темами (максимум 3)
@@ -303,7 +327,7 @@ class QuoteHandler {
    * @throws {Error} В случае критических ошибок возвращает fallback анализ
    * @since 1.0.0
    */
-  async _analyzeQuote(text, author) {
+  async _analyzeQuote(text, author, userId = null, options = {}) {
     try {
       // Получаем актуальные категории из БД через метод _getAvailableCategories()
       const categories = await this._getAvailableCategories();
@@ -312,9 +336,9 @@ class QuoteHandler {
       // Получаем промпт для анализа цитаты из PromptService из БД методом getActivePrompt('quote_analysis')
       let prompt;
       try {
-        const dynamicPrompt = await promptService.getActivePrompt('quote_analysis');
+        const dynamicPrompt = await promptService.getActivePrompt('quote_analysis', 'auto', { userId });
         
-        // Заменяем плейсхолдеры {text}, {author}, {categories} в промпте перед отправкой в claudeService
+        // Заменяем плейсхолдеры {text}, {author}, {categories} в промпте перед отправкой в AI
         prompt = dynamicPrompt
           .replace('{text}', text)
           .replace('{author}', author || 'Неизвестен')
@@ -342,18 +366,19 @@ class QuoteHandler {
 }`;
       }
 
-      // Отправляем промпт в claudeService.generateResponse с таймаутом
+      // Отправляем промпт через реестр AI провайдеров (модель - AI_ROUTE_QUOTE_ANALYSIS)
+      // Общий таймаут ограничивает и повторы внутри реестра
       const response = await withTimeout(
-        claudeService.generateResponse(prompt, {
-          platform: 'telegram',
-          userId: 'quote_analysis'
+        aiProviders.complete(options.feature || AI_FEATURES.QUOTE_ANALYSIS, {
+          messages: [{ role: 'user', content: prompt }],
+          userId
         }),
         60000 // 60 секунд таймаут
       );
-      console.log('[DEBUG] Claude raw response:', response);
+      console.log(`[DEBUG] AI raw response (${response.provider}/${response.model}):`, response.text);
       
       // Безопасно парсим JSON с обработкой markdown блоков
-      const rawAnalysis = safeJsonExtract(response.message);
+      const rawAnalysis = safeJsonExtract(response.text);
       const analysis = normalizeAnalysis(rawAnalysis);
       
       // Apply category normalization
@@ -377,6 +402,9 @@ class QuoteHandler {
       };
       
     } catch (error) {
+      if (options.throwOnBudgetExceeded && error.code === 'AI_BUDGET_EXCEEDED') {
+        throw error;
+      }
       console.error('Error analyzing quote:', error);
       
       // В случае ошибки — возвращаем fallback анализ с нормализованной категорией
@@ -491,10 +519,11 @@ class QuoteHandler {
    * @param {string} userId - ID пользователя
    * @param {ParsedQuote} parsedQuote - Распарсенная цитата
    * @param {QuoteAnalysis} analysis - Анализ цитаты
+   * @param {Object} [options] - clientId, timezone
    * @returns {Promise<Object>} Сохраненная цитата
    * @private
    */
-  async _saveQuote(userId, parsedQuote, analysis) {
+  async _saveQuote(userId, parsedQuote, analysis, options = {}) {
     const quote = new Quote({
       userId,
       text: parsedQuote.text,
@@ -503,8 +532,10 @@ class QuoteHandler {
       category: analysis.category,
       themes: analysis.themes,
       sentiment: analysis.sentiment,
-      insights: analysis.insights
+      insights: analysis.insights,
+      clientId: options.clientId || undefined
     });
+    quote.$locals.timezone = options.timezone;
 
     return await quote.save();
   }
@@ -607,7 +638,8 @@ class QuoteHandler {
     if (Math.random() < 0.3) {
       const recommendation = await this._getBookRecommendation(
         analysis.category,
-        isClassicAuthor
+        isClassicAuthor,
+        userId
       );
       if (recommendation) {
         summaryParts.push(`💡 ${recommendation}`);
@@ -677,14 +709,27 @@ class QuoteHandler {
    * 📋 NEW: Получить рекомендацию книги из БД на основе категории
    * @param {string} category - Категория цитаты
    * @param {boolean} isClassic - Является ли автор классиком
+   * @param {string} [userId] - ID пользователя для персонального подбора
    * @returns {Promise<string|null>} Рекомендация
    * @private
    */
-  async _getBookRecommendation(category, isClassic) {
+  async _getBookRecommendation(category, isClassic, userId) {
     if (category === "ДРУГОЕ") {
       return null;
     }            
     try {
+      if (userId) {
+        // Персональный подбор: категория цитаты + история читателя, купленное исключено
+        const [recommendation] = await recommendationService.getRecommendations(userId, {
+          limit: 1,
+          themes: [category]
+        });
+        
+        if (recommendation && recommendation.reasons.length > 0) {
+          return `Кстати, у Анны есть разбор "${recommendation.book.title}" — рекомендую, ${recommendation.explanation}.`;
+        }
+      }
+      
       if (this.BookCatalog) {
         // Получаем рекомендации из БД по категории
         const recommendations = await this.BookCatalog.getRecommendationsByThemes([category]);
@@ -841,10 +886,11 @@ class QuoteHandler {
    * Публичный метод для анализа цитаты (для API endpoints)
    * @param {string} text - Текст цитаты
    * @param {string|null} author - Автор цитаты
+   * @param {string|null} [userId=null] - Читатель (учет токенов)
    * @returns {Promise<QuoteAnalysis>} Анализ цитаты
    */
-  async analyzeQuote(text, author = null) {
-    return await this._analyzeQuote(text, author);
+  async analyzeQuote(text, author = null, userId = null) {
+    return await this._analyzeQuote(text, author, userId);
   }
 
   /**
@@ -0,0 +1,315 @@
+/**
+ * Quote Import Service - bulk diary import with deduplication and background AI categorization
+ * @file server/services/quoteImportService.js
+ */
+
+const crypto = require('crypto');
+
+const Quote = require('../models/quote');
+const UserProfile = require('../models/userProfile');
+const { parseImport } = require('../utils/quoteImportParser');
+const { normalizeQuoteField, computeNormalizedKey } = require('../utils/quoteNormalizer');
+const { getUserTimezone } = require('./userTimezoneService');
+const { AI_FEATURES } = require('../config/aiProvider');
+const logger = require('../utils/logger');
+
+/**
+ * Maximum number of quotes accepted in a single import
+ */
+const MAX_IMPORT_QUOTES = 1000;
+
+/**
+ * Quote field limits (mirror Quote schema)
+ */
+const LIMITS = {
+  text: 1000,
+  author: 200,
+  source: 300
+};
+
+/**
+ * Delay between AI analysis calls to avoid flooding the provider
+ */
+const ANALYSIS_DELAY_MS = 500;
+
+/**
+ * Batches being categorized by this process (startup resume and cron must not run one twice)
+ * @type {Set<string>}
+ */
+const runningBatches = new Set();
+
+/**
+ * @typedef {Object} PreviewItem
+ * @property {number} index - Position in parsed list
+ * @property {string} text - Quote text
+ * @property {string|null} author - Author
+ * @property {string|null} source - Book title
+ * @property {Date|null} createdAt - Original date
+ * @property {string} status - 'new' | 'duplicate' | 'invalid'
+ * @property {string} [reason] - Why the item is skipped
+ */
+
+/**
+ * Validate a parsed quote against schema limits
+ * @param {Object} quote - Parsed quote
+ * @returns {string|null} Reason if invalid
+ */
+function validateItem(quote) {
+  if (!quote.text || quote.text.length < 3) return 'Слишком короткий текст';
+  if (quote.text.length > LIMITS.text) return `Текст длиннее ${LIMITS.text} символов`;
+  return null;
+}
+
+/**
+ * Build preview of an import: parse, validate and mark duplicates
+ * @param {string} userId - Telegram ID
+ * @param {string} content - File content
+ * @param {Object} [options] - Parse options
+ * @param {string} [options.format] - Explicit format
+ * @param {string} [options.filename] - Original file name
+ * @returns {Promise<{format: string, items: PreviewItem[], counts: Object}>} Preview
+ */
+async function previewImport(userId, content, options = {}) {
+  const { format, quotes } = parseImport(content, options);
+
+  const items = quotes.slice(0, MAX_IMPORT_QUOTES).map((quote, index) => ({
+    index,
+    text: quote.text,
+    author: quote.author ? quote.author.slice(0, LIMITS.author) : null,
+    source: quote.source ? quote.source.slice(0, LIMITS.source) : null,
+    createdAt: quote.createdAt,
+    status: 'new'
+  }));
+
+  // Existing quotes of the user with the same normalized text
+  const normalizedTexts = [...new Set(items.map(item => normalizeQuoteField(item.text)))];
+  const existing = normalizedTexts.length > 0
+    ? await Quote.find(
+      { userId, normalizedText: { $in: normalizedTexts } },
+      { normalizedText: 1, normalizedAuthor: 1 }
+    ).lean()
+    : [];
+  const seenKeys = new Set(existing.map(q => `${q.normalizedText}|||${q.normalizedAuthor || ''}`));
+
+  for (const item of items) {
+    const reason = validateItem(item);
+    if (reason) {
+      item.status = 'invalid';
+      item.reason = reason;
+      continue;
+    }
+
+    const key = computeNormalizedKey(item.text, item.author || '');
+    if (seenKeys.has(key)) {
+      item.status = 'duplicate';
+      item.reason = 'Уже есть в дневнике';
+      continue;
+    }
+    seenKeys.add(key);
+  }
+
+  const counts = {
+    total: quotes.length,
+    new: items.filter(i => i.status === 'new').length,
+    duplicate: items.filter(i => i.status === 'duplicate').length,
+    invalid: items.filter(i => i.status === 'invalid').length,
+    truncated: Math.max(0, quotes.length - MAX_IMPORT_QUOTES)
+  };
+
+  return { format, items, counts };
+}
+
+/**
+ * Import quotes into the user's diary
+ * Imported quotes bypass the daily limit and are categorized by AI in the background.
+ * @param {string} userId - Telegram ID
+ * @param {string} content - File content
+ * @param {Object} [options] - Import options
+ * @param {string} [options.format] - Explicit format
+ * @param {string} [options.filename] - Original file name
+ * @param {number[]} [options.exclude] - Preview indexes the reader unchecked
+ * @param {Object} [options.quoteHandler] - QuoteHandler instance used for AI analysis
+ * @returns {Promise<Object>} Import result
+ */
+async function importQuotes(userId, content, options = {}) {
+  const preview = await previewImport(userId, content, options);
+  const exclude = new Set((options.exclude || []).map(Number));
+  const toImport = preview.items.filter(item => item.status === 'new' && !exclude.has(item.index));
+
+  const batchId = crypto.randomUUID();
+  let imported = 0;
+  const authors = new Set();
+  // Один запрос часового пояса на весь импорт вместо запроса на каждую цитату
+  const timezone = await getUserTimezone(userId);
+
+  for (const item of toImport) {
+    try {
+      const quote = new Quote({
+        userId,
+        text: item.text,
+        author: item.author,
+        source: item.source,
+        origin: 'import',
+        importBatchId: batchId,
+        aiPending: true
+      });
+      if (item.createdAt && item.createdAt < new Date()) {
+        quote.createdAt = item.createdAt;
+      }
+      quote.$locals.timezone = timezone;
+      await quote.save();
+      imported++;
+      if (item.author) authors.add(item.author);
+    } catch (error) {
+      logger.warn(`⚠️ Import: failed to save quote #${item.index} for user ${userId}: ${error.message}`);
+    }
+  }
+
+  if (imported > 0) {
+    await updateUserStatistics(userId, imported, [...authors]);
+
+    if (options.quoteHandler) {
+      setImmediate(() => {
+        categorizeBatch(batchId, options.quoteHandler).catch(error => {
+          logger.error(`❌ Import batch ${batchId} categorization failed:`, error);
+        });
+      });
+    }
+  }
+
+  logger.info(`📥 Imported ${imported} quote(s) for user ${userId} (batch ${batchId}, format ${preview.format})`);
+
+  return {
+    batchId,
+    format: preview.format,
+    imported,
+    skipped: {
+      duplicate: preview.counts.duplicate,
+      invalid: preview.counts.invalid,
+      excluded: preview.items.filter(i => i.status === 'new' && exclude.has(i.index)).length,
+      truncated: preview.counts.truncated
+    }
+  };
+}
+
+/**
+ * Update profile statistics after import (without touching streaks)
+ * @param {string} userId - Telegram ID
+ * @param {number} count - Number of imported quotes
+ * @param {string[]} authors - Imported authors
+ * @returns {Promise<void>}
+ */
+async function updateUserStatistics(userId, count, authors) {
+  try {
+    const user = await UserProfile.findOne({ userId });
+    if (!user) return;
+
+    if (!user.statistics || typeof user.statistics !== 'object') {
+      user.statistics = { totalQuotes: 0, currentStreak: 0, longestStreak: 0, favoriteAuthors: [], monthlyQuotes: [] };
+    }
+    user.statistics.totalQuotes = (user.statistics.totalQuotes || 0) + count;
+
+    const favoriteAuthors = Array.isArray(user.statistics.favoriteAuthors) ? user.statistics.favoriteAuthors : [];
+    for (const author of authors) {
+      if (!favoriteAuthors.includes(author)) favoriteAuthors.push(author);
+    }
+    user.statistics.favoriteAuthors = favoriteAuthors.slice(-10);
+
+    await user.save();
+  } catch (error) {
+    logger.warn(`⚠️ Import: failed to update statistics for user ${userId}: ${error.message}`);
+  }
+}
+
+/**
+ * Categorize imported quotes one by one
+ * Runs as the quote_import AI feature, so the import does not spend the reader's daily AI budget.
+ * When the global budget runs out the remaining quotes stay aiPending and the batch
+ * is resumed later (resumePendingImports from startup and the daily cron).
+ * @param {string} batchId - Import batch ID
+ * @param {Object} quoteHandler - QuoteHandler instance
+ * @returns {Promise<number>} Number of analyzed quotes
+ */
+async function categorizeBatch(batchId, quoteHandler) {
+  const key = String(batchId);
+  if (runningBatches.has(key)) {
+    return 0;
+  }
+  runningBatches.add(key);
+
+  let analyzed = 0;
+  try {
+    // Re-query each time so a restarted worker picks up where it stopped
+    let quote = await Quote.findOne({ importBatchId: batchId, aiPending: true });
+    while (quote) {
+      try {
+        const analysis = await quoteHandler._analyzeQuote(quote.text, quote.author, quote.userId, {
+          feature: AI_FEATURES.QUOTE_IMPORT,
+          throwOnBudgetExceeded: true
+        });
+        quote.category = analysis.category;
+        quote.themes = analysis.themes;
+        quote.sentiment = analysis.sentiment;
+        quote.insights = analysis.insights;
+      } catch (error) {
+        if (error.code === 'AI_BUDGET_EXCEEDED') {
+          logger.warn(`⏸️ Import batch ${batchId}: AI budget exhausted, ${analyzed} quote(s) categorized, the rest postponed`);
+          return analyzed;
+        }
+        logger.warn(`⚠️ Import: analysis failed for quote ${quote._id}: ${error.message}`);
+      }
+      quote.aiPending = false;
+      await quote.save();
+      analyzed++;
+
+      await new Promise(resolve => setTimeout(resolve, ANALYSIS_DELAY_MS));
+      quote = await Quote.findOne({ importBatchId: batchId, aiPending: true });
+    }
+  } finally {
+    runningBatches.delete(key);
+  }
+
+  logger.info(`🧠 Import batch ${batchId}: categorized ${analyzed} quote(s)`);
+  return analyzed;
+}
+
+/**
+ * Get import batch progress
+ * @param {string} userId - Telegram ID
+ * @param {string} batchId - Import batch ID
+ * @returns {Promise<{total: number, pending: number, done: boolean}>} Progress
+ */
+async function getImportStatus(userId, batchId) {
+  const [total, pending] = await Promise.all([
+    Quote.countDocuments({ userId, importBatchId: batchId }),
+    Quote.countDocuments({ userId, importBatchId: batchId, aiPending: true })
+  ]);
+  return { total, pending, done: pending === 0 };
+}
+
+/**
+ * Resume categorization of batches interrupted by a restart or postponed by the AI budget
+ * (batches run sequentially)
+ * @param {Object} quoteHandler - QuoteHandler instance
+ * @returns {Promise<number>} Number of resumed batches
+ */
+async function resumePendingImports(quoteHandler) {
+  const batchIds = await Quote.distinct('importBatchId', { aiPending: true, importBatchId: { $ne: null } });
+  for (const batchId of batchIds) {
+    try {
+      await categorizeBatch(batchId, quoteHandler);
+    } catch (error) {
+      logger.error(`❌ Import batch ${batchId} categorization failed:`, error);
+    }
+  }
+  return batchIds.length;
+}
+
+module.exports = {
+  MAX_IMPORT_QUOTES,
+  previewImport,
+  importQuotes,
+  categorizeBatch,
+  getImportStatus,
+  resumePendingImports
+};
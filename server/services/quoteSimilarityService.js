@@ -0,0 +1,205 @@
+/**
+ * Quote Similarity Service - semantic index of diary quotes in the vector store
+ * @file server/services/quoteSimilarityService.js
+ */
+
+const { VectorStoreService } = require('./vectorStore');
+const logger = require('../utils/logger');
+
+/**
+ * Размер пачки при полной переиндексации
+ */
+const REINDEX_BATCH_SIZE = 50;
+
+/**
+ * Максимум результатов похожих цитат
+ */
+const MAX_SIMILAR_LIMIT = 20;
+
+/**
+ * Области поиска: свой дневник, сообщество (чужие цитаты), все
+ * @type {string[]}
+ */
+const SIMILAR_SCOPES = ['own', 'community', 'all'];
+
+/**
+ * @typedef {Object} SimilarQuoteMatch
+ * @property {string} quoteId - ID цитаты
+ * @property {string} userId - Владелец цитаты
+ * @property {number} similarity - Косинусная близость (0-1)
+ */
+
+/**
+ * Сервис семантического поиска похожих цитат
+ * @class QuoteSimilarityService
+ */
+class QuoteSimilarityService {
+  constructor() {
+    // QUOTE_SIMILARITY_ENABLED=false - не индексировать цитаты при сохранении
+    this.enabled = process.env.QUOTE_SIMILARITY_ENABLED !== 'false';
+    this.store = new VectorStoreService({
+      collectionName: process.env.QUOTE_VECTOR_COLLECTION_NAME || 'reader_quotes',
+      payloadIndexFields: ['metadata.userId'],
+      chunkingOptions: { enableChunking: false }
+    });
+
+    // Пустой индекс (новая коллекция, смена провайдера, индекс в памяти) заполняем из MongoDB
+    this.store.setReindexHandler(() => this.reindexAll());
+  }
+
+  /**
+   * Документ для векторного хранилища
+   * @private
+   * @param {Object} quote - Цитата (документ или lean)
+   * @returns {Object} Документ { id, content, metadata }
+   */
+  _toDocument(quote) {
+    return {
+      id: String(quote._id),
+      content: quote.text,
+      metadata: {
+        title: quote.author || '',
+        category: quote.category || '',
+        userId: String(quote.userId),
+        tags: Array.isArray(quote.themes) ? quote.themes : [],
+        createdAt: quote.createdAt
+      }
+    };
+  }
+
+  /**
+   * Индексирует цитату (создание или изменение текста)
+   * @param {Object} quote - Цитата
+   * @returns {Promise<boolean>} Успешность
+   */
+  async indexQuote(quote) {
+    if (!quote || !quote._id || !quote.text) {
+      return false;
+    }
+    return this.store.addDocuments([this._toDocument(quote)], { enableChunking: false });
+  }
+
+  /**
+   * Удаляет цитату из индекса
+   * @param {string} quoteId - ID цитаты
+   * @returns {Promise<boolean>} Успешность
+   */
+  async removeQuote(quoteId) {
+    return this.store.deleteDocument(String(quoteId));
+  }
+
+  /**
+   * Полная переиндексация всех цитат
+   * @returns {Promise<{processed: number}>} Количество проиндексированных цитат
+   */
+  async reindexAll() {
+    const Quote = require('../models/quote');
+    let processed = 0;
+    let batch = [];
+
+    const flush = async () => {
+      if (batch.length === 0) return;
+      if (await this.store.addDocuments(batch, { enableChunking: false })) {
+        processed += batch.length;
+      }
+      batch = [];
+    };
+
+    const cursor = Quote.find({}, { text: 1, author: 1, category: 1, themes: 1, userId: 1, createdAt: 1 }).lean().cursor();
+    for await (const quote of cursor) {
+      if (!quote.text) continue;
+      batch.push(this._toDocument(quote));
+      if (batch.length >= REINDEX_BATCH_SIZE) {
+        await flush();
+      }
+    }
+    await flush();
+
+    logger.info(`🔗 Quote similarity index rebuilt: ${processed} quotes`);
+    return { processed };
+  }
+
+  /**
+   * Находит семантически похожие цитаты
+   * @param {Object} quote - Исходная цитата
+   * @param {Object} [options={}] - Опции
+   * @param {string} [options.userId] - Читатель, для которого ищем (по умолчанию владелец цитаты)
+   * @param {'own'|'community'|'all'} [options.scope='own'] - Область поиска
+   * @param {number} [options.limit=5] - Количество результатов
+   * @returns {Promise<SimilarQuoteMatch[]>} Похожие цитаты по убыванию близости
+   */
+  async findSimilar(quote, options = {}) {
+    if (!this.enabled || !quote?.text) {
+      return [];
+    }
+
+    const userId = String(options.userId || quote.userId);
+    const scope = SIMILAR_SCOPES.includes(options.scope) ? options.scope : 'own';
+    const limit = Math.min(Math.max(parseInt(options.limit) || 5, 1), MAX_SIMILAR_LIMIT);
+
+    const searchOptions = {
+      // +1: исходная цитата тоже попадет в выдачу
+      limit: limit + 1
+    };
+    if (scope === 'own') {
+      searchOptions.match = { userId };
+    } else if (scope === 'community') {
+      searchOptions.exclude = { userId };
+    }
+
+    const results = await this.store.search(quote.text, searchOptions);
+    const sourceId = String(quote._id);
+
+    return results
+      .filter(result => result.id !== sourceId)
+      .slice(0, limit)
+      .map(result => ({
+        quoteId: result.id,
+        userId: result.metadata?.userId,
+        similarity: Math.round(Math.max(0, result.score) * 1000) / 1000
+      }));
+  }
+
+  /**
+   * Фоновая индексация (не блокирует сохранение цитаты)
+   * @param {Object} quote - Цитата
+   */
+  scheduleIndex(quote) {
+    if (!this.enabled) return;
+    setImmediate(() => {
+      this.indexQuote(quote).catch(error => {
+        logger.warn(`⚠️ Failed to index quote ${quote._id}: ${error.message}`);
+      });
+    });
+  }
+
+  /**
+   * Фоновое удаление из индекса
+   * @param {string} quoteId - ID цитаты
+   */
+  scheduleRemove(quoteId) {
+    if (!this.enabled) return;
+    setImmediate(() => {
+      this.removeQuote(quoteId).catch(error => {
+        logger.warn(`⚠️ Failed to remove quote ${quoteId} from index: ${error.message}`);
+      });
+    });
+  }
+
+  /**
+   * Состояние индекса
+   * @returns {Object} Провайдер embeddings и бэкенд
+   */
+  getInfo() {
+    return {
+      enabled: this.enabled,
+      collection: this.store.collectionName,
+      ...this.store.getProviderInfo()
+    };
+  }
+}
+
+const quoteSimilarityService = new QuoteSimilarityService();
+
+module.exports = quoteSimilarityService;
+module.exports.SIMILAR_SCOPES = SIMILAR_SCOPES;
@@ -0,0 +1,259 @@
+/**
+ * Recommendation Service - персональные рекомендации разборов из BookCatalog.
+ * Скоринг смешивает категории недавних цитат, любимых авторов, клики по каталогу,
+ * темы текущего контекста (отчет, цитата) и популярность в сообществе; купленное исключается.
+ * Каждая рекомендация объясняет себя: "потому что вы сохранили 5 цитат о ПОИСК СЕБЯ"
+ * @file server/services/recommendationService.js
+ */
+
+const BookCatalog = require('../models/BookCatalog');
+const Quote = require('../models/quote');
+const UserProfile = require('../models/userProfile');
+const Favorite = require('../models/Favorite');
+const UserEntitlement = require('../models/UserEntitlement');
+const { UTMClick, PromoCodeUsage } = require('../models/analytics');
+const { normalizeCategory } = require('../utils/normalizeCategory');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const QUOTES_WINDOW_DAYS = 60;
+const CLICKS_WINDOW_DAYS = 90;
+const POPULARITY_WINDOW_DAYS = 30;
+
+/**
+ * Веса сигналов. Цитаты и клики ограничены сверху, чтобы один сигнал не забивал остальные
+ */
+const WEIGHTS = {
+  quoteCategory: 1.5, // за каждую цитату категории книги
+  quoteCategoryCap: 9,
+  contextTheme: 4, // тема текущего отчета или цитаты
+  favoriteAuthor: 4,
+  onboardingTheme: 1, // интересы из теста
+  click: 1.5, // интересовались книгой, но не купили
+  clickCap: 4.5,
+  popularity: 2, // максимум для самой кликабельной книги сообщества
+  priority: 0.2 // BookCatalog.priority 1-10 - как разрыв ничьих
+};
+
+/**
+ * @typedef {Object} RecommendationReason
+ * @property {string} type - quotes|context|author|onboarding|clicks|popular
+ * @property {number} weight - Вклад в score
+ * @property {string} text - Придаточное для объяснения ("вы сохранили 5 цитат о ЛЮБОВЬ")
+ */
+
+/**
+ * @typedef {Object} ReaderSignals
+ * @property {Map<string, number>} quoteCategories - Категория → число цитат за окно
+ * @property {string[]} favoriteAuthors - Авторы цитат читателя и лайков (нижний регистр)
+ * @property {Map<string, number>} clicks - bookSlug → клики читателя
+ * @property {Set<string>} owned - Купленные bookSlug
+ * @property {string[]} onboardingThemes - preferences.mainThemes
+ * @property {Map<string, number>} popularity - bookSlug → клики всех читателей
+ */
+
+/**
+ * @param {number} count
+ * @returns {string} "цитату" / "цитаты" / "цитат"
+ */
+function declineQuotes(count) {
+  const mod10 = count % 10;
+  const mod100 = count % 100;
+  if (mod10 === 1 && mod100 !== 11) return 'цитату';
+  if (mod10 >= 2 && mod10 <= 4 && (mod100 < 12 || mod100 > 14)) return 'цитаты';
+  return 'цитат';
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeName(value) {
+  return String(value || '').trim().toLowerCase();
+}
+
+/**
+ * Совпадает ли автор книги с любимым автором ("Эрих Фромм" ~ "Фромм")
+ * @param {string} bookAuthor
+ * @param {string[]} authors - В нижнем регистре
+ * @returns {string|null} Совпавший автор
+ */
+function matchAuthor(bookAuthor, authors) {
+  const author = normalizeName(bookAuthor);
+  if (!author) return null;
+  return authors.find(favorite => favorite.length > 2 && (author.includes(favorite) || favorite.includes(author))) || null;
+}
+
+/**
+ * Собирает сигналы читателя одной пачкой запросов
+ * @param {string} userId - Telegram ID
+ * @param {Date} [now]
+ * @returns {Promise<ReaderSignals>}
+ */
+async function collectSignals(userId, now = new Date()) {
+  const profile = await UserProfile.findOne({ userId }).select('_id preferences statistics').lean();
+
+  const [quoteCategories, quoteAuthors, favorites, clicks, popularity, entitlements, promoUsages] = await Promise.all([
+    Quote.aggregate([
+      { $match: { userId, createdAt: { $gte: new Date(now.getTime() - QUOTES_WINDOW_DAYS * DAY_MS) } } },
+      { $group: { _id: '$category', count: { $sum: 1 } } }
+    ]),
+    Quote.distinct('author', { userId, author: { $nin: [null, ''] } }),
+    Favorite.find({ userId }).select('author').lean(),
+    UTMClick.aggregate([
+      { $match: { userId, campaign: 'catalog', timestamp: { $gte: new Date(now.getTime() - CLICKS_WINDOW_DAYS * DAY_MS) } } },
+      { $group: { _id: '$content', count: { $sum: 1 } } }
+    ]),
+    UTMClick.aggregate([
+      { $match: { campaign: 'catalog', timestamp: { $gte: new Date(now.getTime() - POPULARITY_WINDOW_DAYS * DAY_MS) } } },
+      { $group: { _id: '$content', count: { $sum: 1 } } }
+    ]),
+    profile
+      ? UserEntitlement.find({
+        userId: profile._id,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+      }).select('resourceId includes').lean()
+      : [],
+    PromoCodeUsage.find({ userId, 'booksPurchased.0': { $exists: true } }).select('booksPurchased').lean()
+  ]);
+
+  const owned = new Set();
+  entitlements.forEach(entitlement => {
+    owned.add(normalizeName(entitlement.resourceId));
+    (entitlement.includes?.bookSlugs || []).forEach(slug => owned.add(normalizeName(slug)));
+  });
+  promoUsages.forEach(usage => usage.booksPurchased.forEach(slug => owned.add(normalizeName(slug))));
+
+  const authors = new Set([
+    ...(profile?.statistics?.favoriteAuthors || []),
+    ...quoteAuthors,
+    ...favorites.map(favorite => favorite.author)
+  ].map(normalizeName).filter(author => author && author !== 'я'));
+
+  return {
+    quoteCategories: new Map(quoteCategories.filter(row => row._id && row._id !== 'ДРУГОЕ').map(row => [row._id, row.count])),
+    favoriteAuthors: [...authors],
+    clicks: new Map(clicks.map(row => [normalizeName(row._id), row.count])),
+    owned,
+    onboardingThemes: profile?.preferences?.mainThemes || [],
+    popularity: new Map(popularity.map(row => [normalizeName(row._id), row.count]))
+  };
+}
+
+/**
+ * Считает score и причины для каждой книги. Чистая функция - без обращений к БД
+ * @param {Array<Object>} books - Активные книги каталога (lean)
+ * @param {ReaderSignals} signals
+ * @param {Object} [options]
+ * @param {string[]} [options.themes] - Темы контекста (отчет недели, категория цитаты)
+ * @returns {Array<{book: Object, score: number, reasons: RecommendationReason[]}>} По убыванию score
+ */
+function scoreBooks(books, signals, { themes = [] } = {}) {
+  const contextCategories = new Set(themes.map(theme => normalizeCategory(theme)).filter(key => key !== 'ДРУГОЕ'));
+  const contextThemes = new Set(themes.map(normalizeName));
+  const onboardingThemes = new Set(signals.onboardingThemes.map(normalizeName));
+  const maxPopularity = Math.max(0, ...signals.popularity.values());
+
+  return books
+    .filter(book => !signals.owned.has(normalizeName(book.bookSlug)))
+    .map(book => {
+      const reasons = [];
+      const categories = book.categories || [];
+      const targetThemes = (book.targetThemes || []).map(normalizeName);
+
+      // Категории недавних цитат: берем самую "насыщенную"
+      const [topCategory, quoteCount] = categories
+        .map(category => [category, signals.quoteCategories.get(category) || 0])
+        .sort((a, b) => b[1] - a[1])[0] || [null, 0];
+      if (quoteCount > 0) {
+        reasons.push({
+          type: 'quotes',
+          weight: Math.min(quoteCount * WEIGHTS.quoteCategory, WEIGHTS.quoteCategoryCap),
+          text: `вы сохранили ${quoteCount} ${declineQuotes(quoteCount)} о ${topCategory}`
+        });
+      }
+
+      const contextMatch = categories.find(category => contextCategories.has(category))
+        || targetThemes.find(theme => contextThemes.has(theme));
+      if (contextMatch) {
+        reasons.push({ type: 'context', weight: WEIGHTS.contextTheme, text: `вам сейчас близка тема ${contextMatch}` });
+      }
+
+      const author = matchAuthor(book.author, signals.favoriteAuthors);
+      if (author) {
+        reasons.push({ type: 'author', weight: WEIGHTS.favoriteAuthor, text: `вы сохраняете цитаты автора ${book.author}` });
+      }
+
+      const onboardingMatch = [...categories, ...targetThemes].find(theme => onboardingThemes.has(normalizeName(theme)));
+      if (onboardingMatch) {
+        reasons.push({ type: 'onboarding', weight: WEIGHTS.onboardingTheme, text: `в тесте вы отметили интерес к теме ${onboardingMatch}` });
+      }
+
+      const clicks = signals.clicks.get(normalizeName(book.bookSlug)) || 0;
+      if (clicks > 0) {
+        reasons.push({
+          type: 'clicks',
+          weight: Math.min(clicks * WEIGHTS.click, WEIGHTS.clickCap),
+          text: 'вы уже интересовались этим разбором'
+        });
+      }
+
+      const popularity = signals.popularity.get(normalizeName(book.bookSlug)) || 0;
+      if (popularity > 0 && maxPopularity > 0) {
+        reasons.push({
+          type: 'popular',
+          weight: Math.round((popularity / maxPopularity) * WEIGHTS.popularity * 100) / 100,
+          text: 'его выбирают другие читатели'
+        });
+      }
+
+      reasons.sort((a, b) => b.weight - a.weight);
+      const score = reasons.reduce((sum, reason) => sum + reason.weight, 0) + (book.priority || 0) * WEIGHTS.priority;
+
+      return { book, score: Math.round(score * 100) / 100, reasons };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Объяснение из двух сильнейших причин
+ * @param {RecommendationReason[]} reasons - По убыванию веса
+ * @param {string} [fallback] - BookCatalog.reasoning, если персональных причин нет
+ * @returns {string} "потому что вы сохранили 5 цитат о ПОИСК СЕБЯ и ..."
+ */
+function explain(reasons, fallback = '') {
+  if (!reasons.length) return fallback;
+  return `потому что ${reasons.slice(0, 2).map(reason => reason.text).join(' и ')}`;
+}
+
+/**
+ * Персональные рекомендации читателю
+ * @param {string} userId - Telegram ID
+ * @param {Object} [options]
+ * @param {number} [options.limit=3]
+ * @param {string[]} [options.themes] - Темы контекста
+ * @param {Date} [options.now]
+ * @returns {Promise<Array<{book: Object, score: number, reasons: RecommendationReason[], explanation: string}>>}
+ */
+async function getRecommendations(userId, { limit = 3, themes = [], now = new Date() } = {}) {
+  const [books, signals] = await Promise.all([
+    BookCatalog.find({ isActive: true }).lean(),
+    collectSignals(String(userId), now)
+  ]);
+
+  const ranked = scoreBooks(books, signals, { themes }).slice(0, limit);
+  logger.debug(`📚 Recommendations for ${userId}: ${ranked.map(r => `${r.book.bookSlug}=${r.score}`).join(', ')}`);
+
+  return ranked.map(entry => ({
+    ...entry,
+    explanation: explain(entry.reasons, entry.book.reasoning)
+  }));
+}
+
+module.exports = {
+  WEIGHTS,
+  collectSignals,
+  scoreBooks,
+  explain,
+  getRecommendations
+};
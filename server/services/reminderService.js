@@ -5,12 +5,24 @@
  * UPDATED: Added support for:
  * - button field in templates for inline keyboard
  * - monthlyReport slot for 1st of each month
+ * - templates come from the NotificationCampaign calendar (notificationCampaignService)
+ * - slots are sent at the user's local time (settings.timezone, business timezone by default)
  * 
  * @author g1orgi89
  */
 
 const logger = require('../utils/logger');
-const { notificationTemplates } = require('../config/notificationTemplates');
+const notificationCampaignService = require('./notificationCampaignService');
+const experimentService = require('./experimentService');
+const {
+  DEFAULT_TIMEZONE,
+  normalizeTimezone,
+  isValidTimezone,
+  getDayKey,
+  getLocalHour,
+  getLocalWeekday,
+  getLocalDayRange
+} = require('../utils/timezone');
 const fs = require('fs');
 const path = require('path');
 
@@ -22,17 +34,43 @@ const path = require('path');
  * @property {Object[]} errors - Массив ошибок
  */
 
+/**
+ * Локальный час отправки каждого слота (report - только по понедельникам)
+ * monthlyReport отправляется из cronService по бизнес-времени
+ */
+const SLOT_LOCAL_HOURS = {
+  morning: 9,
+  day: 15,
+  evening: 21,
+  report: 11
+};
+
+/**
+ * Слоты, которые пора отправить в часовом поясе в данный момент
+ * @param {Date} now - Текущий момент
+ * @param {string} timezone - IANA timezone
+ * @returns {string[]}
+ */
+function getDueSlots(now, timezone) {
+  const hour = getLocalHour(now, timezone);
+  const weekday = getLocalWeekday(now, timezone);
+
+  return Object.keys(SLOT_LOCAL_HOURS).filter(slot => {
+    if (SLOT_LOCAL_HOURS[slot] !== hour) return false;
+    return slot !== 'report' || weekday === 1;
+  });
+}
+
 /**
  * Production-ready сервис напоминаний с поддержкой изображений и кнопок
  */
 class ReminderService {
   constructor() {
     this.bot = null;
-    this.templates = notificationTemplates;
     this.assetsPath = path.join(__dirname, '../assets/notifications');
     this.botUsername = process.env.BOT_USERNAME || 'reader_app_bot';
 
-    logger.info('🔔 ReminderService initialized with date-based notification system');
+    logger.info('🔔 ReminderService initialized with campaign-based notification calendar');
     logger.info(`📂 Assets path: ${this.assetsPath}`);
   }
 
@@ -47,19 +85,21 @@ class ReminderService {
   }
 
   /**
-   * Получить шаблон уведомления для конкретной даты и слота
+   * Получить шаблон уведомления для конкретной даты и слота из календаря кампаний
    * @param {string} dateKey - Ключ даты в формате YYYY-MM-DD
    * @param {string} slot - Слот времени: 'report', 'monthlyReport', 'morning', 'day', 'evening'
-   * @returns {Object|null} Объект шаблона или null
+   * @returns {Promise<Object|null>} Объект шаблона или null (слот пропущен кампанией)
    */
-  getNotificationTemplate(dateKey, slot) {
-    const dayTemplates = this.templates[dateKey];
-    
-    if (!dayTemplates) {
-      return null;
+  async getNotificationTemplate(dateKey, slot) {
+    const { template, source } = await notificationCampaignService.resolveTemplate(dateKey, slot);
+
+    if (source.type === 'fallback') {
+      logger.info(`🔔 No campaign covers ${dateKey} ${slot} - using fallback rotation`);
+    } else {
+      logger.info(`🔔 Template for ${dateKey} ${slot}: ${source.type} from campaign "${source.campaignName}"`);
     }
 
-    return dayTemplates[slot] || null;
+    return template;
   }
 
   /**
@@ -100,9 +140,12 @@ class ReminderService {
   /**
    * Отправка напоминаний для определенного слота
    * @param {string} slot - Слот времени: 'morning', 'day', 'evening', 'report', 'monthlyReport'
+   * @param {Object} [options={}] - Параметры
+   * @param {string} [options.timezone] - Только пользователи этого часового пояса (иначе - все)
+   * @param {Date} [options.now] - Текущий момент (для тестов)
    * @returns {Promise<ReminderStats>}
    */
-  async sendSlotReminders(slot) {
+  async sendSlotReminders(slot, options = {}) {
     if (!this.bot) {
       logger.warn('🔔 Bot not initialized, skipping reminder sending');
       return { sent: 0, skipped: 0, failed: 0, errors: [] };
@@ -116,26 +159,30 @@ class ReminderService {
     try {
       const stats = { sent: 0, skipped: 0, failed: 0, errors: [] };
       
-      // Получаем текущую дату в формате YYYY-MM-DD для Moscow timezone
-      const dateKey = this.getCurrentMoscowDateKey();
-      logger.info(`🔔 Processing ${slot} reminders for date: ${dateKey}`);
+      // Дата календаря - локальная дата часового пояса (бизнес-время для общей рассылки)
+      const now = options.now || new Date();
+      const timezone = options.timezone ? normalizeTimezone(options.timezone) : null;
+      const dateKey = getDayKey(now, timezone || DEFAULT_TIMEZONE);
+      logger.info(`🔔 Processing ${slot} reminders for date: ${dateKey}${timezone ? ` (${timezone})` : ''}`);
 
       // Получаем шаблон для этой даты и слота
-      const template = this.getNotificationTemplate(dateKey, slot);
+      const template = await this.getNotificationTemplate(dateKey, slot);
       
       if (!template) {
-        logger.info(`🔔 No template found for date ${dateKey}, slot ${slot} - skipping`);
+        logger.info(`🔔 Slot ${slot} is skipped by the campaign calendar for ${dateKey}`);
         return stats;
       }
 
       // Получаем пользователей для отправки напоминаний
-      const eligibleUsers = await this.getEligibleUsers(slot);
+      const eligibleUsers = await this.getEligibleUsers(slot, { timezone, now });
       logger.info(`[DEBUG] eligibleUsers: ` + eligibleUsers.map(u => `${u.userId} (${u.name})`).join(', '));
       logger.info(`🔔 Processing ${slot} reminders for ${eligibleUsers.length} users`);
 
       for (const user of eligibleUsers) {
         try {
-          const result = await this.sendReminderToUser(user, template, slot, dateKey);
+          // Вариант A/B эксперимента с текстом уведомления подменяет шаблон кампании
+          const userTemplate = await experimentService.getNotificationTemplate(slot, user.userId, template);
+          const result = await this.sendReminderToUser(user, userTemplate, slot, dateKey);
           
           if (result === 'sent') {
             stats.sent++;
@@ -170,26 +217,74 @@ class ReminderService {
    * @returns {string} Date key
    */
   getCurrentMoscowDateKey() {
-    const formatter = new Intl.DateTimeFormat('en-CA', {
-      timeZone: 'Europe/Moscow',
-      year: 'numeric',
-      month: '2-digit',
-      day: '2-digit'
-    });
-    
-    return formatter.format(new Date());
+    return getDayKey(new Date(), DEFAULT_TIMEZONE);
+  }
+
+  /**
+   * Отправить слоты, локальное время которых наступило, во всех часовых поясах читателей
+   * Вызывается ежечасно из reminderJobs
+   * @param {Date} [now=new Date()] - Текущий момент
+   * @returns {Promise<ReminderStats & {dispatched: string[]}>}
+   */
+  async sendDueReminders(now = new Date()) {
+    const total = { sent: 0, skipped: 0, failed: 0, errors: [], dispatched: [] };
+    const timezones = await this.getReminderTimezones();
+
+    for (const timezone of timezones) {
+      for (const slot of getDueSlots(now, timezone)) {
+        const stats = await this.sendSlotReminders(slot, { timezone, now });
+        total.sent += stats.sent;
+        total.skipped += stats.skipped;
+        total.failed += stats.failed;
+        total.errors.push(...stats.errors);
+        total.dispatched.push(`${timezone}:${slot}`);
+      }
+    }
+
+    return total;
+  }
+
+  /**
+   * Часовые пояса, в которых есть читатели (бизнес-время - всегда)
+   * @returns {Promise<string[]>}
+   */
+  async getReminderTimezones() {
+    const timezones = new Set([DEFAULT_TIMEZONE]);
+    try {
+      const { UserProfile } = require('../models');
+      const stored = await UserProfile.distinct('settings.timezone', { isActive: true });
+      stored.filter(isValidTimezone).forEach(timezone => timezones.add(timezone));
+    } catch (error) {
+      logger.error('🔔 Error getting reminder timezones:', error);
+    }
+    return Array.from(timezones);
+  }
+
+  /**
+   * Условие выборки пользователей часового пояса
+   * Пользователи без сохранённого пояса относятся к бизнес-времени
+   * @param {string} timezone - IANA timezone
+   * @returns {Object} MongoDB filter
+   */
+  buildTimezoneFilter(timezone) {
+    if (timezone === DEFAULT_TIMEZONE) {
+      return { 'settings.timezone': { $in: [null, DEFAULT_TIMEZONE] } };
+    }
+    return { 'settings.timezone': timezone };
   }
 
   /**
    * Получить пользователей, которым нужно отправить напоминания
    * @param {string} slot - Слот времени
+   * @param {Object} [options={}] - Параметры
+   * @param {string|null} [options.timezone] - Только пользователи этого часового пояса
+   * @param {Date} [options.now] - Текущий момент
    * @returns {Promise<Array>}
    */
-  async getEligibleUsers(slot) {
+  async getEligibleUsers(slot, options = {}) {
     try {
       const { UserProfile, Quote } = require('../models');
-      const today = new Date();
-      const startOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+      const now = options.now || new Date();
 
       // Базовый запрос для активных пользователей
       const baseQuery = {
@@ -202,6 +297,10 @@ class ReminderService {
         ]
       };
 
+      if (options.timezone) {
+        Object.assign(baseQuery, this.buildTimezoneFilter(options.timezone));
+      }
+
       // Получаем пользователей с фильтрацией на уровне БД
       const allUsers = await UserProfile.find(baseQuery)
         .select({ userId: 1, name: 1, statistics: 1, settings: 1 });
@@ -222,13 +321,14 @@ class ReminderService {
           continue;
         }
 
-        // Для остальных слотов проверяем частоту
-        const dayOfWeek = today.getDay();
+        // Для остальных слотов проверяем частоту (день недели - локальный)
+        const dayOfWeek = getLocalWeekday(now, settings.timezone);
         if (!this.shouldSendForFrequency(settings.reminders.frequency, slot, dayOfWeek)) {
           continue;
         }
 
-        // Проверяем, не добавил ли пользователь уже 10+ цитат сегодня
+        // Проверяем, не добавил ли пользователь уже 10+ цитат сегодня (по его времени)
+        const { start: startOfDay } = getLocalDayRange(getDayKey(now, settings.timezone), settings.timezone);
         const todayQuotesCount = await Quote.countDocuments({
           userId: user.userId,
           createdAt: { $gte: startOfDay }
@@ -328,7 +428,7 @@ class ReminderService {
         
         // Добавляем информацию о сегодняшних цитатах, если есть (только для обычных напоминаний)
         if (!['report', 'monthlyReport'].includes(slot)) {
-          const todayCount = await this.getTodayQuotesCount(user.userId);
+          const todayCount = await this.getTodayQuotesCount(user.userId, this.getUserTimezone(user));
           if (todayCount > 0) {
             message += `\n\n📊 Сегодня уже добавлено: ${todayCount} цитат`;
           }
@@ -354,7 +454,7 @@ class ReminderService {
           
           let message = template.text;
           if (!['report', 'monthlyReport'].includes(slot)) {
-            const todayCount = await this.getTodayQuotesCount(user.userId);
+            const todayCount = await this.getTodayQuotesCount(user.userId, this.getUserTimezone(user));
             if (todayCount > 0) {
               message += `\n\n📊 Сегодня уже добавлено: ${todayCount} цитат`;
             }
@@ -373,7 +473,7 @@ class ReminderService {
         // Отправляем изображение с текстом в caption
         let caption = template.text;
         if (!['report', 'monthlyReport'].includes(slot)) {
-          const todayCount = await this.getTodayQuotesCount(user.userId);
+          const todayCount = await this.getTodayQuotesCount(user.userId, this.getUserTimezone(user));
           if (todayCount > 0) {
             caption += `\n\n📊 Сегодня уже добавлено: ${todayCount} цитат`;
           }
@@ -403,13 +503,13 @@ class ReminderService {
   /**
    * Получить количество цитат пользователя за сегодня
    * @param {string} userId - ID пользователя
+   * @param {string} [timezone] - Часовой пояс пользователя
    * @returns {Promise<number>}
    */
-  async getTodayQuotesCount(userId) {
+  async getTodayQuotesCount(userId, timezone = DEFAULT_TIMEZONE) {
     try {
       const { Quote } = require('../models');
-      const today = new Date();
-      const startOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+      const { start: startOfDay } = getLocalDayRange(getDayKey(new Date(), timezone), timezone);
       
       return await Quote.countDocuments({
         userId: userId,
@@ -421,6 +521,15 @@ class ReminderService {
     }
   }
 
+  /**
+   * Часовой пояс пользователя из профиля
+   * @param {Object} user - UserProfile
+   * @returns {string}
+   */
+  getUserTimezone(user) {
+    return normalizeTimezone(user?.settings?.timezone);
+  }
+
   /**
    * Обновить время последней отправки напоминания
    * @param {string} userId - ID пользователя
@@ -451,7 +560,9 @@ class ReminderService {
       slots: ['report', 'monthlyReport', 'morning', 'day', 'evening'],
       frequencies: ['off', 'rare', 'standard', 'often'],
       assetsPath: this.assetsPath,
-      templateDates: Object.keys(this.templates).length,
+      templateSource: 'NotificationCampaign',
+      slotLocalHours: SLOT_LOCAL_HOURS,
+      defaultTimezone: DEFAULT_TIMEZONE,
       botUsername: this.botUsername
     };
   }
@@ -492,4 +603,4 @@ class ReminderService {
   }
 }
 
-module.exports = { ReminderService };
+module.exports = { ReminderService, getDueSlots, SLOT_LOCAL_HOURS };
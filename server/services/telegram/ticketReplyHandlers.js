@@ -0,0 +1,111 @@
+/**
+ * @fileoverview Telegram bot handlers for ticket conversations
+ * A user's reply to a support message sent by the bot is threaded back into the ticket as a comment
+ * and pushed live to the admin panel.
+ */
+
+const mongoose = require('mongoose');
+const OutboxMessage = require('../../models/OutboxMessage');
+const ticketService = require('../ticketing');
+const ticketRealtime = require('../ticketRealtime');
+const logger = require('../../utils/logger');
+
+/**
+ * Имя пользователя для комментария
+ * @param {Object} from - ctx.from
+ * @returns {string}
+ */
+function getAuthorName(from) {
+  const fullName = [from.first_name, from.last_name].filter(Boolean).join(' ');
+  if (fullName && from.username) {
+    return `${fullName} (@${from.username})`;
+  }
+  return fullName || (from.username ? `@${from.username}` : String(from.id));
+}
+
+/**
+ * Сохраняет reply пользователя в тикет и оповещает админ-панель
+ * @param {Object} params
+ * @param {string|number} params.chatId - Чат
+ * @param {string|number} params.replyToMessageId - message_id сообщения бота, на которое ответили
+ * @param {Object} params.from - ctx.from
+ * @param {string} params.text - Текст ответа
+ * @returns {Promise<Object|null>} Обновленный тикет или null, если сообщение не относится к тикету
+ */
+async function handleTicketReply({ chatId, replyToMessageId, from, text }) {
+  const ticketId = await OutboxMessage.findTicketIdByTelegramMessage(chatId, replyToMessageId);
+  if (!ticketId) {
+    return null;
+  }
+
+  const comment = {
+    content: text,
+    authorId: String(from.id),
+    authorName: getAuthorName(from)
+  };
+
+  const ticket = await ticketService.addUserReplyByTicketId(ticketId, comment);
+  if (!ticket) {
+    return null;
+  }
+
+  const savedComment = ticket.comments[ticket.comments.length - 1];
+  ticketRealtime.emitTicketEvent(ticketRealtime.TICKET_EVENTS.USER_REPLY, {
+    ticket: {
+      _id: ticket._id,
+      ticketId: ticket.ticketId,
+      status: ticket.status,
+      updatedAt: ticket.updatedAt,
+      comments: ticket.comments
+    },
+    comment: savedComment
+  });
+
+  return ticket;
+}
+
+/**
+ * Register ticket reply handlers with the bot
+ * @param {Object} bot - Telegraf bot instance
+ */
+function registerTicketReplyHandlers(bot) {
+  bot.on('text', async (ctx, next) => {
+    const replyTo = ctx.message?.reply_to_message;
+
+    // Только reply на сообщения бота; команды - дальше
+    if (!replyTo || !replyTo.from?.is_bot || ctx.message.text.startsWith('/')) {
+      return next();
+    }
+
+    if (mongoose.connection.readyState !== 1) {
+      return next();
+    }
+
+    try {
+      const ticket = await handleTicketReply({
+        chatId: ctx.chat.id,
+        replyToMessageId: replyTo.message_id,
+        from: ctx.from,
+        text: ctx.message.text.trim()
+      });
+
+      if (!ticket) {
+        return next();
+      }
+
+      logger.info(`🎫 Telegram reply from ${ctx.from.id} threaded into ticket ${ticket.ticketId}`);
+      await ctx.reply(`✅ Ответ добавлен к обращению ${ticket.ticketId}. Мы скоро ответим!`, {
+        reply_to_message_id: ctx.message.message_id
+      });
+    } catch (error) {
+      logger.error(`❌ Error threading Telegram reply into ticket: ${error.message}`);
+      await ctx.reply('Не удалось передать ответ в поддержку. Попробуйте еще раз чуть позже.');
+    }
+  });
+}
+
+module.exports = {
+  registerTicketReplyHandlers,
+  handleTicketReply,
+  getAuthorName
+};
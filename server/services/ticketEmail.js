@@ -3,14 +3,19 @@
  * @file server/services/ticketEmail.js
  */
 
+const mongoose = require('mongoose');
 const logger = require('../utils/logger');
+const Ticket = require('../models/ticket');
 const TicketService = require('./ticketing');
+const outboxService = require('./outboxService');
+const { TICKET_TEMPLATES } = require('./email/ticketTemplates');
 
 /**
  * @typedef {Object} PendingTicket
  * @property {string} ticketId - ID созданного тикета
  * @property {string} userId - ID пользователя  
  * @property {string} conversationId - ID разговора
+ * @property {string} mongoId - MongoDB ID тикета
  * @property {Date} createdAt - Время создания
  * @property {Date} expiresAt - Время истечения
  */
@@ -21,19 +26,14 @@ const TicketService = require('./ticketing');
  */
 class TicketEmailService {
   constructor() {
-    /**
-     * Временное хранилище неполных тикетов, ожидающих email
-     * @type {Map<string, PendingTicket>}
-     */
-    this.pendingTickets = new Map();
-    
     /**
      * Время ожидания email в миллисекундах (10 минут)
      * @type {number}
      */
     this.EMAIL_TIMEOUT = 10 * 60 * 1000;
     
-    // Запускаем очистку просроченных тикетов каждую минуту
+    // Ожидание email хранится в самих тикетах (metadata.pendingEmail), поэтому переживает рестарт.
+    // Запускаем очистку просроченных ожиданий каждую минуту
     this.startCleanupTimer();
   }
 
@@ -96,6 +96,14 @@ class TicketEmailService {
   async createPendingTicket(ticketData) {
     try {
       logger.info(`🍄 DEBUG: Creating pending ticket for user ${ticketData.userId}`);
+
+      // Новый тикет заменяет предыдущее ожидание email
+      await Ticket.updateMany(
+        { userId: ticketData.userId, 'metadata.pendingEmail': true },
+        { $set: { 'metadata.pendingEmail': false } }
+      );
+
+      const expiresAt = new Date(Date.now() + this.EMAIL_TIMEOUT);
       
       // Создаем тикет без email со статусом open
       const ticket = await TicketService.createTicket({
@@ -106,23 +114,12 @@ class TicketEmailService {
           ...ticketData.metadata,
           pendingEmail: true, // Помечаем что ожидаем email
           emailRequested: true,
+          pendingEmailExpiresAt: expiresAt,
           source: 'telegram'
         }
       });
 
       logger.info(`🍄 DEBUG: Ticket created with ID: ${ticket.ticketId}`);
-
-      // Добавляем в временное хранилище
-      const pendingTicket = {
-        ticketId: ticket.ticketId, // Используем ticketId из созданного тикета
-        userId: ticketData.userId,
-        conversationId: ticketData.conversationId,
-        mongoId: ticket._id, // Сохраняем MongoDB ID для обновлений
-        createdAt: new Date(),
-        expiresAt: new Date(Date.now() + this.EMAIL_TIMEOUT)
-      };
-
-      this.pendingTickets.set(ticketData.userId, pendingTicket);
       
       logger.info(`🍄 Pending ticket created: ${ticket.ticketId} for user ${ticketData.userId} (expires in ${this.EMAIL_TIMEOUT/60000} minutes)`);
       
@@ -204,7 +201,7 @@ class TicketEmailService {
    */
   async updateTicketWithEmail(userId, email, language = 'en') {
     try {
-      const pendingTicket = this.pendingTickets.get(userId);
+      const pendingTicket = await this.findLatestPendingTicket(userId);
       
       logger.info(`🍄 DEBUG: Updating ticket with email for user ${userId}, pendingTicket exists: ${!!pendingTicket}`);
       
@@ -218,7 +215,7 @@ class TicketEmailService {
 
       // Проверяем не истек ли тикет
       if (new Date() > pendingTicket.expiresAt) {
-        this.pendingTickets.delete(userId);
+        await this.clearPendingTicket(pendingTicket.mongoId);
         logger.warn(`🍄 WARNING: Pending ticket expired for user: ${userId}, ticketId: ${pendingTicket.ticketId}`);
         return {
           success: false,
@@ -240,10 +237,10 @@ class TicketEmailService {
       );
 
       if (updatedTicket) {
-        // Удаляем из ожидающих
-        this.pendingTickets.delete(userId);
-        
         logger.info(`🍄 SUCCESS: Email collected for ticket: ${pendingTicket.ticketId} - ${email}`);
+
+        // Подтверждение на почту (через outbox с повторами)
+        await outboxService.enqueueTicketNotification(updatedTicket, TICKET_TEMPLATES.CREATED, {}, { emailOnly: true });
         
         return {
           success: true,
@@ -265,22 +262,67 @@ class TicketEmailService {
     }
   }
 
+  /**
+   * Последний тикет пользователя, ожидающий email (включая просроченный)
+   * @private
+   * @param {string} userId - ID пользователя
+   * @returns {Promise<PendingTicket|null>}
+   */
+  async findLatestPendingTicket(userId) {
+    if (mongoose.connection.readyState !== 1) {
+      return null;
+    }
+
+    const ticket = await Ticket.findOne(
+      { userId, 'metadata.pendingEmail': true },
+      { ticketId: 1, userId: 1, conversationId: 1, createdAt: 1, 'metadata.pendingEmailExpiresAt': 1 }
+    ).sort({ createdAt: -1 }).lean();
+
+    if (!ticket) {
+      return null;
+    }
+
+    return {
+      ticketId: ticket.ticketId,
+      userId: ticket.userId,
+      conversationId: ticket.conversationId,
+      mongoId: ticket._id,
+      createdAt: ticket.createdAt,
+      expiresAt: ticket.metadata?.pendingEmailExpiresAt || new Date(ticket.createdAt.getTime() + this.EMAIL_TIMEOUT)
+    };
+  }
+
+  /**
+   * Снимает пометку ожидания email
+   * @private
+   * @param {string} mongoId - MongoDB ID тикета
+   * @returns {Promise<void>}
+   */
+  async clearPendingTicket(mongoId) {
+    await Ticket.updateOne({ _id: mongoId }, { $set: { 'metadata.pendingEmail': false } });
+  }
+
   /**
    * Проверяет есть ли у пользователя тикет в ожидании email
    * @param {string} userId - ID пользователя
-   * @returns {PendingTicket|null} Тикет в ожидании или null
+   * @returns {Promise<PendingTicket|null>} Тикет в ожидании или null
    */
-  getPendingTicket(userId) {
-    const pendingTicket = this.pendingTickets.get(userId);
-    
-    if (pendingTicket && new Date() > pendingTicket.expiresAt) {
-      // Удаляем просроченный тикет
-      this.pendingTickets.delete(userId);
-      logger.info(`🍄 Removed expired pending ticket for user ${userId}: ${pendingTicket.ticketId}`);
+  async getPendingTicket(userId) {
+    try {
+      const pendingTicket = await this.findLatestPendingTicket(userId);
+
+      if (pendingTicket && new Date() > pendingTicket.expiresAt) {
+        // Снимаем ожидание с просроченного тикета
+        await this.clearPendingTicket(pendingTicket.mongoId);
+        logger.info(`🍄 Removed expired pending ticket for user ${userId}: ${pendingTicket.ticketId}`);
+        return null;
+      }
+
+      return pendingTicket;
+    } catch (error) {
+      logger.error(`🍄 ERROR: Failed to load pending ticket for user ${userId}: ${error.message}`);
       return null;
     }
-    
-    return pendingTicket;
   }
 
   /**
@@ -319,26 +361,29 @@ class TicketEmailService {
    * @private
    */
   startCleanupTimer() {
-    setInterval(() => {
-      this.cleanupExpiredTickets();
+    const timer = setInterval(() => {
+      this.cleanupExpiredTickets().catch(error => {
+        logger.error(`🍄 ERROR: Pending tickets cleanup failed: ${error.message}`);
+      });
     }, 60000); // Каждую минуту
+    timer.unref?.();
   }
 
   /**
-   * Очищает просроченные тикеты из памяти
+   * Снимает ожидание email с просроченных тикетов
    * @private
+   * @returns {Promise<void>}
    */
-  cleanupExpiredTickets() {
-    const now = new Date();
-    let cleanedCount = 0;
-    
-    for (const [userId, pendingTicket] of this.pendingTickets.entries()) {
-      if (now > pendingTicket.expiresAt) {
-        this.pendingTickets.delete(userId);
-        cleanedCount++;
-        logger.info(`🍄 Cleaned up expired pending ticket: ${pendingTicket.ticketId} for user ${userId}`);
-      }
+  async cleanupExpiredTickets() {
+    if (mongoose.connection.readyState !== 1) {
+      return;
     }
+
+    const result = await Ticket.updateMany(
+      { 'metadata.pendingEmail': true, 'metadata.pendingEmailExpiresAt': { $lte: new Date() } },
+      { $set: { 'metadata.pendingEmail': false } }
+    );
+    const cleanedCount = result.modifiedCount || 0;
     
     if (cleanedCount > 0) {
       logger.info(`🍄 Cleaned up ${cleanedCount} expired pending tickets`);
@@ -347,23 +392,22 @@ class TicketEmailService {
 
   /**
    * Получает статистику по ожидающим тикетам
-   * @returns {Object} Статистика
+   * @returns {Promise<Object>} Статистика
    */
-  getPendingTicketsStats() {
+  async getPendingTicketsStats() {
     const now = new Date();
     let active = 0;
     let expired = 0;
-    
-    for (const pendingTicket of this.pendingTickets.values()) {
-      if (now > pendingTicket.expiresAt) {
-        expired++;
-      } else {
-        active++;
-      }
+
+    if (mongoose.connection.readyState === 1) {
+      [active, expired] = await Promise.all([
+        Ticket.countDocuments({ 'metadata.pendingEmail': true, 'metadata.pendingEmailExpiresAt': { $gt: now } }),
+        Ticket.countDocuments({ 'metadata.pendingEmail': true, 'metadata.pendingEmailExpiresAt': { $lte: now } })
+      ]);
     }
     
     return {
-      total: this.pendingTickets.size,
+      total: active + expired,
       active,
       expired,
       timeout: this.EMAIL_TIMEOUT / 1000 // в секундах
@@ -0,0 +1,85 @@
+/**
+ * Ticket Realtime - live ticket events for the admin panel over socket.io (/admin namespace)
+ * @file server/services/ticketRealtime.js
+ */
+
+const logger = require('../utils/logger');
+const { authenticateAdminHeader } = require('../middleware/adminAuth');
+
+/**
+ * Namespace админ-панели
+ */
+const ADMIN_NAMESPACE = '/admin';
+
+/**
+ * События тикетов
+ */
+const TICKET_EVENTS = {
+  USER_REPLY: 'ticket:reply'
+};
+
+/** @type {import('socket.io').Namespace|null} */
+let adminNamespace = null;
+
+/**
+ * Подключает namespace /admin к socket.io серверу.
+ * Клиент передает тот же Authorization, что и в REST: io('/admin', { auth: { authorization } })
+ * @param {import('socket.io').Server} io - socket.io сервер
+ * @returns {import('socket.io').Namespace}
+ */
+function attach(io) {
+  adminNamespace = io.of(ADMIN_NAMESPACE);
+
+  adminNamespace.use((socket, next) => {
+    const authHeader = socket.handshake.auth?.authorization || socket.handshake.headers?.authorization;
+    const admin = authenticateAdminHeader(authHeader);
+
+    if (!admin) {
+      const error = new Error('Access denied. Invalid credentials.');
+      error.data = { code: 'UNAUTHORIZED' };
+      return next(error);
+    }
+
+    socket.data.admin = admin;
+    next();
+  });
+
+  adminNamespace.on('connection', socket => {
+    logger.info(`🔌 Admin socket connected: ${socket.id} (${socket.data.admin.username})`);
+    socket.on('disconnect', reason => {
+      logger.info(`🔌 Admin socket disconnected: ${socket.id} (${reason})`);
+    });
+  });
+
+  logger.info(`🔌 Ticket realtime attached to socket.io namespace ${ADMIN_NAMESPACE}`);
+  return adminNamespace;
+}
+
+/**
+ * Отправляет событие всем подключенным админам
+ * @param {string} event - Одно из TICKET_EVENTS
+ * @param {Object} payload - Данные события
+ * @returns {boolean} false, если socket.io не подключен
+ */
+function emitTicketEvent(event, payload) {
+  if (!adminNamespace) {
+    return false;
+  }
+  adminNamespace.emit(event, payload);
+  return true;
+}
+
+/**
+ * Сбрасывает namespace (для тестов)
+ */
+function detach() {
+  adminNamespace = null;
+}
+
+module.exports = {
+  attach,
+  detach,
+  emitTicketEvent,
+  ADMIN_NAMESPACE,
+  TICKET_EVENTS
+};
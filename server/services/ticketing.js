@@ -6,6 +6,84 @@
 const Ticket = require('../models/ticket');
 const logger = require('../utils/logger');
 
+/**
+ * Повышение приоритета при нарушении SLA
+ */
+const PRIORITY_ESCALATION = {
+  low: 'medium',
+  medium: 'high',
+  high: 'urgent',
+  urgent: 'urgent'
+};
+
+/**
+ * Статусы, в которых идут сроки SLA (waiting_response - ждем пользователя)
+ */
+const SLA_ACTIVE_STATUSES = ['open', 'in_progress'];
+
+/**
+ * Определяет, какой срок SLA нарушен и еще не зафиксирован
+ * @param {Object} ticket - Тикет (createdAt, firstResponseAt, sla)
+ * @param {Date} [now] - Текущее время
+ * @returns {{violationType: 'response'|'resolution', minutesOverdue: number}|null}
+ */
+function getSLAViolation(ticket, now = new Date()) {
+  const sla = ticket.sla || {};
+  const minutesPassed = Math.floor((now - new Date(ticket.createdAt)) / (1000 * 60));
+
+  // Срок решения важнее: если просрочены оба, эскалируем один раз
+  if (!sla.resolutionBreachedAt && sla.resolutionTime && minutesPassed > sla.resolutionTime) {
+    return { violationType: 'resolution', minutesOverdue: minutesPassed - sla.resolutionTime };
+  }
+
+  if (!sla.responseBreachedAt && !ticket.firstResponseAt && sla.responseTime && minutesPassed > sla.responseTime) {
+    return { violationType: 'response', minutesOverdue: minutesPassed - sla.responseTime };
+  }
+
+  return null;
+}
+
+/**
+ * Процент, округленный до десятых (null, если не из чего считать)
+ * @param {number} part
+ * @param {number} total
+ * @returns {number|null}
+ */
+function toPercent(part, total) {
+  return total > 0 ? Math.round((part / total) * 1000) / 10 : null;
+}
+
+/**
+ * Сводка соблюдения SLA из результата агрегации
+ * @param {Object} [row] - Строка $group из getTicketStats
+ * @returns {Object} Метрики SLA
+ */
+function summarizeSLAStats(row = {}) {
+  const tracked = row.tracked || 0;
+  const breached = row.breached || 0;
+
+  return {
+    tracked,
+    breached,
+    breachedOpen: row.breachedOpen || 0,
+    escalated: row.escalated || 0,
+    autoClosed: row.autoClosed || 0,
+    complianceRate: toPercent(tracked - breached, tracked),
+    response: {
+      responded: row.responded || 0,
+      withinSLA: row.respondedInTime || 0,
+      complianceRate: toPercent(row.respondedInTime || 0, row.responded || 0),
+      avgMinutes: row.avgResponseMinutes != null ? Math.round(row.avgResponseMinutes) : null
+    },
+    resolution: {
+      resolved: row.resolved || 0,
+      withinSLA: row.resolvedInTime || 0,
+      complianceRate: toPercent(row.resolvedInTime || 0, row.resolved || 0),
+      avgMinutes: row.avgResolutionMinutes != null ? Math.round(row.avgResolutionMinutes) : null
+    }
+  };
+}
+
 /**
  * @typedef {Object} TicketFilter
  * @property {string} [status] - Статус тикета
@@ -299,14 +377,47 @@ class TicketService {
     }
   }
 
+  /**
+   * Добавляет ответ пользователя (например, reply в Telegram) к тикету.
+   * Решенный или закрытый тикет переоткрывается, ожидающий ответа - возвращается в работу.
+   * @param {string} ticketId - Читаемый ID тикета
+   * @param {Object} comment - Данные комментария (content, authorId, authorName)
+   * @returns {Promise<Object|null>} Обновленный тикет или null
+   */
+  async addUserReplyByTicketId(ticketId, comment) {
+    try {
+      const ticket = await Ticket.findOne({ ticketId });
+
+      if (!ticket) {
+        return null;
+      }
+
+      if (['resolved', 'closed'].includes(ticket.status)) {
+        ticket.status = 'open';
+        ticket.resolvedAt = null;
+      } else if (ticket.status === 'waiting_response') {
+        ticket.status = 'in_progress';
+      }
+
+      await ticket.addComment({ ...comment, isInternal: false, createdAt: new Date() });
+
+      logger.info(`User reply added to ticket: ${ticket.ticketId} by ${comment.authorId}`);
+      return ticket;
+    } catch (error) {
+      logger.error(`Error adding user reply to ticket ${ticketId}: ${error.message}`);
+      return null;
+    }
+  }
+
   /**
    * Закрывает тикет по MongoDB ObjectId
    * @param {string} id - MongoDB ObjectId тикета
    * @param {string} resolution - Причина закрытия
    * @param {string} [closedBy] - Кто закрыл тикет
+   * @param {string} [closedByName] - Имя закрывшего (для комментария)
    * @returns {Promise<Object|null>} Закрытый тикет или null
    */
-  async closeTicketById(id, resolution, closedBy) {
+  async closeTicketById(id, resolution, closedBy, closedByName = 'Administrator') {
     try {
       const ticket = await Ticket.findById(id).populate('conversationId');
       
@@ -315,7 +426,7 @@ class TicketService {
       }
 
       // Используем метод close из модели
-      await ticket.close(resolution, closedBy, req.user?.name || 'Administrator');
+      await ticket.close(resolution, closedBy, closedByName);
       
       logger.info(`Ticket closed: ${ticket.ticketId}`);
       return ticket;
@@ -330,9 +441,10 @@ class TicketService {
    * @param {string} ticketId - Читаемый ID тикета
    * @param {string} resolution - Причина закрытия
    * @param {string} [closedBy] - Кто закрыл тикет
+   * @param {string} [closedByName] - Имя закрывшего (для комментария)
    * @returns {Promise<Object|null>} Закрытый тикет или null
    */
-  async closeTicketByTicketId(ticketId, resolution, closedBy) {
+  async closeTicketByTicketId(ticketId, resolution, closedBy, closedByName = 'Administrator') {
     try {
       const ticket = await Ticket.findOne({ ticketId }).populate('conversationId');
       
@@ -341,7 +453,7 @@ class TicketService {
       }
 
       // Используем метод close из модели
-      await ticket.close(resolution, closedBy, 'Administrator');
+      await ticket.close(resolution, closedBy, closedByName);
       
       logger.info(`Ticket closed: ${ticket.ticketId}`);
       return ticket;
@@ -514,6 +626,51 @@ class TicketService {
         }
       ]);
 
+      // Соблюдение SLA (только тикеты со сроками)
+      const slaStats = await Ticket.aggregate([
+        {
+          $match: { 'sla.responseTime': { $gt: 0 } }
+        },
+        {
+          $project: {
+            status: 1,
+            breached: { $ifNull: ['$sla.breached', false] },
+            escalated: { $cond: ['$sla.escalatedAt', 1, 0] },
+            autoClosed: { $cond: ['$metadata.autoClosed', 1, 0] },
+            responseTime: '$sla.responseTime',
+            resolutionTime: '$sla.resolutionTime',
+            responseMinutes: {
+              $cond: ['$firstResponseAt', { $divide: [{ $subtract: ['$firstResponseAt', '$createdAt'] }, 60000] }, null]
+            },
+            resolutionMinutes: {
+              $cond: ['$resolvedAt', { $divide: [{ $subtract: ['$resolvedAt', '$createdAt'] }, 60000] }, null]
+            }
+          }
+        },
+        {
+          $group: {
+            _id: null,
+            tracked: { $sum: 1 },
+            breached: { $sum: { $cond: ['$breached', 1, 0] } },
+            breachedOpen: {
+              $sum: { $cond: [{ $and: ['$breached', { $in: ['$status', ['open', 'in_progress', 'waiting_response']] }] }, 1, 0] }
+            },
+            escalated: { $sum: '$escalated' },
+            autoClosed: { $sum: '$autoClosed' },
+            responded: { $sum: { $cond: [{ $ne: ['$responseMinutes', null] }, 1, 0] } },
+            respondedInTime: {
+              $sum: { $cond: [{ $and: [{ $ne: ['$responseMinutes', null] }, { $lte: ['$responseMinutes', '$responseTime'] }] }, 1, 0] }
+            },
+            avgResponseMinutes: { $avg: '$responseMinutes' },
+            resolved: { $sum: { $cond: [{ $ne: ['$resolutionMinutes', null] }, 1, 0] } },
+            resolvedInTime: {
+              $sum: { $cond: [{ $and: [{ $ne: ['$resolutionMinutes', null] }, { $lte: ['$resolutionMinutes', '$resolutionTime'] }] }, 1, 0] }
+            },
+            avgResolutionMinutes: { $avg: '$resolutionMinutes' }
+          }
+        }
+      ]);
+
       return {
         overview: stats[0] || {
           total: 0,
@@ -521,7 +678,8 @@ class TicketService {
           byPriority: { high: 0, urgent: 0 }
         },
         byCategory: categoryStats,
-        byLanguage: languageStats
+        byLanguage: languageStats,
+        sla: summarizeSLAStats(slaStats[0])
       };
     } catch (error) {
       logger.error(`Error fetching ticket stats: ${error.message}`);
@@ -564,37 +722,45 @@ class TicketService {
   }
 
   /**
-   * Проверяет нарушения SLA для всех открытых тикетов
+   * Проверяет нарушения SLA для всех открытых тикетов и фиксирует их в тикете
+   * @param {Date} [now] - Текущее время
    * @returns {Promise<Array>} Список тикетов с нарушениями SLA
    */
-  async checkSLAViolations() {
+  async checkSLAViolations(now = new Date()) {
     try {
       const openTickets = await Ticket.find({
-        status: { $in: ['open', 'in_progress'] },
-        'sla.breached': false
+        status: { $in: SLA_ACTIVE_STATUSES },
+        'sla.resolutionBreachedAt': null
       });
 
       const violations = [];
-      const now = new Date();
 
       for (const ticket of openTickets) {
-        const createdAt = new Date(ticket.createdAt);
-        const minutesPassed = Math.floor((now - createdAt) / (1000 * 60));
-        
-        // Проверяем нарушение времени ответа
-        if (minutesPassed > ticket.sla.responseTime) {
-          violations.push({
-            ...ticket.toObject(),
-            violationType: 'response',
-            minutesOverdue: minutesPassed - ticket.sla.responseTime
-          });
-          
-          // Помечаем тикет как нарушивший SLA
-          await Ticket.findByIdAndUpdate(ticket._id, {
-            'sla.breached': true,
-            'sla.breachedAt': now
-          });
+        const violation = getSLAViolation(ticket, now);
+        if (!violation) {
+          continue;
         }
+
+        violations.push({
+          ...ticket.toObject(),
+          ...violation
+        });
+
+        // Помечаем тикет как нарушивший SLA
+        const update = { 'sla.breached': true };
+        if (!ticket.sla.breachedAt) {
+          update['sla.breachedAt'] = now;
+        }
+        if (violation.violationType === 'response') {
+          update['sla.responseBreachedAt'] = now;
+        } else {
+          update['sla.resolutionBreachedAt'] = now;
+          // Ответа так и не было - второй раз за ответ не эскалируем
+          if (!ticket.firstResponseAt && !ticket.sla.responseBreachedAt) {
+            update['sla.responseBreachedAt'] = now;
+          }
+        }
+        await Ticket.updateOne({ _id: ticket._id }, { $set: update });
       }
 
       return violations;
@@ -603,7 +769,85 @@ class TicketService {
       throw new Error(`Failed to check SLA violations: ${error.message}`);
     }
   }
+
+  /**
+   * Эскалирует тикеты с новыми нарушениями SLA: повышает приоритет
+   * и оставляет внутренний комментарий
+   * @param {Date} [now] - Текущее время
+   * @returns {Promise<Array<{ticketId: string, subject: string, violationType: string, minutesOverdue: number, previousPriority: string, priority: string}>>}
+   */
+  async escalateSLAViolations(now = new Date()) {
+    const violations = await this.checkSLAViolations(now);
+    const escalated = [];
+
+    for (const violation of violations) {
+      const ticket = await Ticket.findById(violation._id);
+      if (!ticket) {
+        continue;
+      }
+
+      const previousPriority = ticket.priority;
+      const priority = PRIORITY_ESCALATION[previousPriority] || 'high';
+      const reason = `SLA ${violation.violationType} time exceeded by ${violation.minutesOverdue} min`;
+
+      ticket.sla.escalatedAt = now;
+      if (priority !== previousPriority) {
+        await ticket.updatePriority(priority, reason, 'system');
+      } else {
+        ticket.comments.push({
+          content: `Escalated: ${reason}`,
+          authorId: 'system',
+          authorName: 'System',
+          isInternal: true
+        });
+        await ticket.save();
+      }
+
+      logger.warn(`⏰ Ticket ${ticket.ticketId} escalated (${reason}): ${previousPriority} → ${priority}`);
+      escalated.push({
+        ticketId: ticket.ticketId,
+        subject: ticket.subject,
+        violationType: violation.violationType,
+        minutesOverdue: violation.minutesOverdue,
+        previousPriority,
+        priority
+      });
+    }
+
+    return escalated;
+  }
+
+  /**
+   * Закрывает тикеты, которые дольше заданного срока ждут ответа пользователя
+   * @param {number} days - Сколько дней ждать ответа
+   * @param {Date} [now] - Текущее время
+   * @returns {Promise<Array<Object>>} Закрытые тикеты
+   */
+  async autoCloseStaleTickets(days, now = new Date()) {
+    const cutoff = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+    const staleTickets = await Ticket.find({
+      status: 'waiting_response',
+      updatedAt: { $lt: cutoff }
+    });
+
+    const closed = [];
+    for (const ticket of staleTickets) {
+      try {
+        ticket.metadata.autoClosed = true;
+        await ticket.close(`Closed automatically: no reply from the user for ${days} days`, 'system', 'System');
+        closed.push(ticket);
+        logger.info(`⏰ Ticket ${ticket.ticketId} closed automatically after ${days} days of waiting`);
+      } catch (error) {
+        logger.error(`Error auto-closing ticket ${ticket.ticketId}: ${error.message}`);
+      }
+    }
+
+    return closed;
+  }
 }
 
 // Экспорт экземпляра сервиса
-module.exports = new TicketService();
\ No newline at end of file
+module.exports = new TicketService();
+module.exports.getSLAViolation = getSLAViolation;
+module.exports.summarizeSLAStats = summarizeSLAStats;
+module.exports.PRIORITY_ESCALATION = PRIORITY_ESCALATION;
@@ -0,0 +1,76 @@
+/**
+ * User Timezone Service - кэш часовых поясов читателей
+ * @file server/services/userTimezoneService.js
+ */
+
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const { DEFAULT_TIMEZONE, normalizeTimezone } = require('../utils/timezone');
+
+/**
+ * Время жизни записи кэша
+ */
+const CACHE_TTL_MS = 10 * 60 * 1000;
+
+/** @type {Map<string, {timezone: string, expiresAt: number}>} */
+const cache = new Map();
+
+/**
+ * Часовой пояс читателя из настроек профиля (бизнес-время, если не задан или нет БД)
+ * @param {string} userId - ID пользователя
+ * @returns {Promise<string>} IANA timezone
+ */
+async function getUserTimezone(userId) {
+  if (!userId) return DEFAULT_TIMEZONE;
+
+  const key = String(userId);
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.timezone;
+  }
+
+  if (mongoose.connection.readyState !== 1) {
+    return DEFAULT_TIMEZONE;
+  }
+
+  try {
+    const UserProfile = require('../models/userProfile');
+    const profile = await UserProfile.findOne({ userId: key }, { 'settings.timezone': 1 }).lean();
+    const timezone = normalizeTimezone(profile?.settings?.timezone);
+    remember(key, timezone);
+    return timezone;
+  } catch (error) {
+    logger.warn(`🕐 Не удалось получить часовой пояс пользователя ${key}: ${error.message}`);
+    return DEFAULT_TIMEZONE;
+  }
+}
+
+/**
+ * Запоминает часовой пояс (после сохранения настроек)
+ * @param {string} userId - ID пользователя
+ * @param {string|null} timezone - IANA timezone
+ */
+function remember(userId, timezone) {
+  cache.set(String(userId), {
+    timezone: normalizeTimezone(timezone),
+    expiresAt: Date.now() + CACHE_TTL_MS
+  });
+}
+
+/**
+ * Сбрасывает кэш пользователя или весь кэш
+ * @param {string} [userId] - ID пользователя
+ */
+function invalidate(userId) {
+  if (userId) {
+    cache.delete(String(userId));
+  } else {
+    cache.clear();
+  }
+}
+
+module.exports = {
+  getUserTimezone,
+  remember,
+  invalidate
+};
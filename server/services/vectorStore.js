@@ -4,13 +4,15 @@
  * ОБНОВЛЕНО: Добавлена поддержка автоматического чанкинга документов
  * 🍄 УПРОЩЕНО: Универсальный поиск без языковых ограничений
  * 🔧 ИСПРАВЛЕНО: Добавлен timeout для embeddings API для предотвращения зависаний
+ * 🧮 Провайдер embeddings подключаемый (openai/local), при недоступности Qdrant - индекс в памяти
  */
 
 const { QdrantClient } = require("@qdrant/js-client-rest");
-const { OpenAIEmbeddings } = require("@langchain/openai");
 const logger = require('../utils/logger');
 const textChunker = require('../utils/textChunker');
 const { createHash } = require('crypto');
+const { getEmbeddingProvider } = require('./embeddings');
+const MemoryVectorClient = require('./embeddings/memoryVectorClient');
 
 /**
  * @typedef {Object} DocumentMetadata
@@ -31,6 +33,8 @@ const { createHash } = require('crypto');
  * @property {string[]} [tags] - Фильтр по тегам
  * @property {number} [score_threshold] - Минимальный порог релевантности
  * @property {boolean} [returnChunks=false] - Возвращать отдельные чанки вместо группировки по документам
+ * @property {Object<string, string>} [match] - Точное совпадение полей metadata (например, { userId: '123' })
+ * @property {Object<string, string>} [exclude] - Исключить точки с такими значениями полей metadata
  */
 
 /**
@@ -60,13 +64,29 @@ class VectorStoreService {
   /**
    * Создает экземпляр сервиса VectorStoreService
    * @constructor
+   * @param {Object} [options={}] - Опции для дополнительных коллекций (например, цитат)
+   * @param {string} [options.collectionName] - Имя коллекции
+   * @param {string[]} [options.payloadIndexFields] - Дополнительные keyword-индексы payload
+   * @param {ChunkingOptions} [options.chunkingOptions] - Настройки чанкинга по умолчанию
    */
-  constructor() {
+  constructor(options = {}) {
     this.initialized = false;
-    this.collectionName = process.env.VECTOR_COLLECTION_NAME || 'reader_knowledge';
+    this.collectionName = options.collectionName || process.env.VECTOR_COLLECTION_NAME || 'reader_knowledge';
     this.url = process.env.VECTOR_DB_URL || 'http://localhost:6333';
-    this.embeddingModel = process.env.EMBEDDING_MODEL || 'text-embedding-ada-002';
-    this.vectorDimension = 1536; // Размерность для text-embedding-ada-002
+    this.connectTimeout = parseInt(process.env.VECTOR_DB_TIMEOUT) || 10000;
+    // При недоступности Qdrant используем индекс в памяти процесса (VECTOR_STORE_FALLBACK=false - отключить)
+    this.memoryFallback = process.env.VECTOR_STORE_FALLBACK !== 'false';
+    this.backend = null; // 'qdrant' | 'memory'
+
+    // Провайдер embeddings и размерность определяются при инициализации
+    this.embeddingProvider = null;
+    this.embeddingModel = null;
+    this.vectorDimension = null;
+
+    // Переиндексация при смене провайдера (или пустом индексе в памяти)
+    this.reindexRequired = false;
+    this.reindexInProgress = false;
+    this.reindexHandler = null;
     
     // 🔧 ИСПРАВЛЕНО: Добавлены таймауты для предотвращения зависаний
     this.embeddingTimeout = 30000; // 30 секунд timeout для embeddings
@@ -78,15 +98,25 @@ class VectorStoreService {
       chunkSize: 500,      // Оптимально для качественных embeddings
       overlap: 100,        // Сохранение контекста между чанками
       minChunkSize: 50,    // Избегаем слишком маленьких чанков
-      preserveParagraphs: true  // Сохраняем целостность параграфов
+      preserveParagraphs: true,  // Сохраняем целостность параграфов
+      ...(options.chunkingOptions || {})
     };
+
+    // 🍄 УПРОЩЕНО: Только необходимые индексы (без language), originalId - для удаления чанков
+    this.payloadIndexFields = [
+      'metadata.category',
+      'metadata.tags',
+      'metadata.originalId',
+      ...(options.payloadIndexFields || [])
+    ];
     
     // 🍄 УПРОЩЕНО: Единый порог релевантности для всех языков
-    this.defaultThreshold = 0.7; // Универсальный порог для всех языков
+    // Без VECTOR_SCORE_THRESHOLD берется рекомендуемый порог провайдера embeddings
+    this.thresholdOverride = process.env.VECTOR_SCORE_THRESHOLD ? parseFloat(process.env.VECTOR_SCORE_THRESHOLD) : null;
+    this.defaultThreshold = this.thresholdOverride !== null ? this.thresholdOverride : 0.7;
     
     // Создание клиента будет происходить при инициализации
     this.client = null;
-    this.embeddings = null;
     
     // Кэш для embeddings для оптимизации запросов
     this.embeddingCache = new Map();
@@ -118,76 +148,33 @@ class VectorStoreService {
         return true;
       }
 
-      if (!process.env.OPENAI_API_KEY) {
-        logger.warn('OPENAI_API_KEY not set, vector store cannot be initialized');
-        return false;
+      this.embeddingProvider = getEmbeddingProvider();
+      this.embeddingModel = this.embeddingProvider.model;
+      this.vectorDimension = this.embeddingProvider.dimension;
+      if (this.thresholdOverride === null) {
+        this.defaultThreshold = this.embeddingProvider.defaultThreshold;
       }
 
-      logger.info(`Initializing vector store: ${this.url}, collection: ${this.collectionName}`);
-      
-      // Инициализация клиента Qdrant
-      this.client = new QdrantClient({ url: this.url });
-      
-      // Инициализация OpenAI Embeddings
-      this.embeddings = new OpenAIEmbeddings({
-        apiKey: process.env.OPENAI_API_KEY,
-        model: this.embeddingModel
-      });
-      
-      // Проверка подключения к Qdrant
-      try {
-        // Проверка соединения с Qdrant (без вызова healthCheck)
-        await this.client.getCollections();
-        logger.info('Successfully connected to Qdrant');
-      } catch (error) {
-        logger.error(`Failed to connect to Qdrant: ${error.message}`);
+      logger.info(`Initializing vector store: ${this.url}, collection: ${this.collectionName}, embeddings: ${this.embeddingProvider.fingerprint}`);
+
+      if (!(await this._connect())) {
         return false;
       }
-      
-      // Проверка существования коллекции
-      try {
-        const collections = await this.client.getCollections();
-        const collectionExists = collections.collections.some(c => c.name === this.collectionName);
-        
-        if (!collectionExists) {
-          logger.info(`Creating collection: ${this.collectionName}`);
-          
-          // Создание коллекции, если не существует
-          await this.client.createCollection(this.collectionName, {
-            vectors: {
-              size: this.vectorDimension,
-              distance: 'Cosine'
-            }
-          });
-          
-          // 🍄 УПРОЩЕНО: Создание только необходимых индексов (без language)
-          await this.client.createPayloadIndex(this.collectionName, {
-            field_name: 'metadata.category',
-            field_schema: 'keyword'
-          });
-          
-          await this.client.createPayloadIndex(this.collectionName, {
-            field_name: 'metadata.tags',
-            field_schema: 'keyword'
-          });
 
-          // Индекс для фильтрации по originalId чанков
-          await this.client.createPayloadIndex(this.collectionName, {
-            field_name: 'metadata.originalId',
-            field_schema: 'keyword'
-          });
-        } else {
-          logger.info(`Collection ${this.collectionName} already exists`);
-        }
+      // Проверка существования коллекции и совместимости с провайдером embeddings
+      try {
+        await this._ensureCollection();
       } catch (error) {
         logger.error(`Failed to check/create collection: ${error.message}`);
         return false;
       }
       
       this.initialized = true;
-      logger.info('🍄 Vector store initialized successfully with chunking support');
+      logger.info(`🍄 Vector store initialized successfully with chunking support (backend: ${this.backend})`);
       logger.info(`🍄 Universal threshold configured: ${this.defaultThreshold}`);
       logger.info(`🍄 Default chunking options: ${JSON.stringify(this.defaultChunkingOptions)}`);
+
+      this._scheduleReindex();
       return true;
     } catch (error) {
       logger.error(`Failed to initialize vector store: ${error.message}`);
@@ -196,6 +183,162 @@ class VectorStoreService {
     }
   }
 
+  /**
+   * Подключается к Qdrant, при недоступности - к индексу в памяти
+   * @private
+   * @returns {Promise<boolean>} Успешность подключения
+   */
+  async _connect() {
+    // Индекс в памяти живет до перезапуска процесса, не пересоздаем его
+    if (this.backend === 'memory' && this.client) {
+      return true;
+    }
+
+    if (this.url !== 'memory') {
+      try {
+        const client = new QdrantClient({ url: this.url });
+        // Проверка соединения с Qdrant (без вызова healthCheck)
+        await Promise.race([
+          client.getCollections(),
+          new Promise((_, reject) =>
+            setTimeout(() => reject(new Error(`Qdrant timeout after ${this.connectTimeout}ms`)), this.connectTimeout)
+          )
+        ]);
+        this.client = client;
+        this.backend = 'qdrant';
+        logger.info('Successfully connected to Qdrant');
+        return true;
+      } catch (error) {
+        logger.error(`Failed to connect to Qdrant: ${error.message}`);
+        if (!this.memoryFallback) {
+          return false;
+        }
+      }
+    }
+
+    logger.warn(`⚠️ Using in-process vector index for ${this.collectionName}, documents will be re-indexed`);
+    this.client = new MemoryVectorClient();
+    this.backend = 'memory';
+    return true;
+  }
+
+  /**
+   * Создает коллекцию, если ее нет, и пересоздает при смене провайдера embeddings
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _ensureCollection() {
+    const collections = await this.client.getCollections();
+    const collectionExists = collections.collections.some(c => c.name === this.collectionName);
+
+    if (collectionExists) {
+      const mismatch = await this._getIndexMismatch();
+      if (!mismatch) {
+        logger.info(`Collection ${this.collectionName} already exists`);
+        return;
+      }
+      logger.warn(`🧮 ${mismatch}, recreating collection ${this.collectionName}`);
+      await this.client.deleteCollection(this.collectionName);
+    } else {
+      logger.info(`Creating collection: ${this.collectionName}`);
+    }
+
+    // Создание коллекции с размерностью текущего провайдера
+    await this.client.createCollection(this.collectionName, {
+      vectors: {
+        size: this.vectorDimension,
+        distance: 'Cosine'
+      }
+    });
+
+    for (const field of this.payloadIndexFields) {
+      await this.client.createPayloadIndex(this.collectionName, {
+        field_name: field,
+        field_schema: 'keyword'
+      });
+    }
+
+    // Новая коллекция пуста - документы нужно проиндексировать заново
+    this.reindexRequired = true;
+  }
+
+  /**
+   * Проверяет, построена ли коллекция текущим провайдером embeddings
+   * @private
+   * @returns {Promise<string|null>} Описание несовпадения или null
+   */
+  async _getIndexMismatch() {
+    const info = await this.client.getCollection(this.collectionName);
+    const size = info.config?.params?.vectors?.size;
+    if (size && size !== this.vectorDimension) {
+      return `Vector dimension changed (${size} -> ${this.vectorDimension})`;
+    }
+
+    const sample = await this.client.scroll(this.collectionName, { limit: 1, with_payload: true });
+    const point = sample.points[0];
+    if (!point) {
+      return null;
+    }
+
+    // Точки, созданные до появления провайдеров, не содержат отпечатка - это OpenAI
+    const fingerprint = point.payload?.metadata?.embeddingFingerprint;
+    if (fingerprint ? fingerprint !== this.embeddingProvider.fingerprint : this.embeddingProvider.name !== 'openai') {
+      return `Embedding provider changed (${fingerprint || 'openai'} -> ${this.embeddingProvider.fingerprint})`;
+    }
+    return null;
+  }
+
+  /**
+   * Регистрирует обработчик полной переиндексации (knowledgeService.syncToVectorStore)
+   * @param {function(): Promise<*>} handler - Обработчик
+   */
+  setReindexHandler(handler) {
+    this.reindexHandler = handler;
+    if (this.initialized) {
+      this._scheduleReindex();
+    }
+  }
+
+  /**
+   * Запускает переиндексацию в фоне, если она требуется
+   * @private
+   */
+  _scheduleReindex() {
+    if (!this.reindexRequired || !this.reindexHandler || this.reindexInProgress) {
+      return;
+    }
+
+    this.reindexInProgress = true;
+    setImmediate(async () => {
+      try {
+        logger.info(`🧮 Re-indexing vector store with ${this.embeddingProvider.fingerprint}...`);
+        await this.reindexHandler();
+        this.reindexRequired = false;
+        logger.info('🧮 Vector store re-index completed');
+      } catch (error) {
+        logger.error(`🧮 Vector store re-index failed: ${error.message}`);
+      } finally {
+        this.reindexInProgress = false;
+      }
+    });
+  }
+
+  /**
+   * Информация о провайдере embeddings и бэкенде индекса
+   * @returns {Object} Информация
+   */
+  getProviderInfo() {
+    return {
+      provider: this.embeddingProvider?.name || null,
+      model: this.embeddingModel,
+      dimension: this.vectorDimension,
+      fingerprint: this.embeddingProvider?.fingerprint || null,
+      backend: this.backend,
+      reindexRequired: this.reindexRequired,
+      reindexInProgress: this.reindexInProgress
+    };
+  }
+
   /**
    * Создает уникальный числовой ID из строки
    * @param {string} str - Строка для преобразования в числовой ID
@@ -203,8 +346,8 @@ class VectorStoreService {
    */
   _createNumericalId(str) {
     const hash = createHash('md5').update(str).digest('hex');
-    // Берем первые 8 символов и преобразуем в число
-    return parseInt(hash.substring(0, 8), 16);
+    // Берем первые 13 символов (52 бита - безопасное целое в JS, меньше коллизий для цитат)
+    return parseInt(hash.substring(0, 13), 16);
   }
 
   /**
@@ -293,7 +436,7 @@ class VectorStoreService {
           // 🔧 ИСПРАВЛЕНО: Создание embedding с timeout защитой
           const embedding = await this._createEmbeddingWithTimeout(chunk.content);
           
-          if (!embedding || !Array.isArray(embedding) || embedding.length !== 1536) {
+          if (!embedding || !Array.isArray(embedding) || embedding.length !== this.vectorDimension) {
             logger.error(`🍄 Invalid embedding for chunk ${chunk.id}: ${embedding ? 'Length: ' + embedding.length : 'null'}`);
             failedChunks++;
             continue;
@@ -308,6 +451,7 @@ class VectorStoreService {
             payload: {
               content: chunk.content,
               metadata: {
+                ...chunk.metadata,
                 id: chunk.id.toString(),
                 originalId: chunk.metadata.originalId || chunk.id,
                 title: chunk.metadata?.title || '',
@@ -318,6 +462,7 @@ class VectorStoreService {
                 totalChunks: chunk.metadata.totalChunks || 1,
                 startPosition: chunk.metadata.startPosition || 0,
                 endPosition: chunk.metadata.endPosition || chunk.content.length,
+                embeddingFingerprint: this.embeddingProvider.fingerprint,
                 createdAt: chunk.metadata?.createdAt ? new Date(chunk.metadata.createdAt).toISOString() : new Date().toISOString(),
                 updatedAt: new Date().toISOString()
               }
@@ -449,7 +594,9 @@ class VectorStoreService {
         category, 
         tags,
         returnChunks = false,  // НОВАЯ ОПЦИЯ: для возврата отдельных чанков
-        score_threshold
+        score_threshold,
+        match,
+        exclude
       } = options;
       
       // 🍄 УПРОЩЕНО: Определяем порог без языковой зависимости
@@ -490,11 +637,23 @@ class VectorStoreService {
         }
       }
       
+      // Точные совпадения и исключения по произвольным полям metadata
+      Object.entries(match || {}).forEach(([field, value]) => {
+        mustConditions.push({ key: `metadata.${field}`, match: { value } });
+      });
+      const mustNotConditions = Object.entries(exclude || {}).map(([field, value]) => ({
+        key: `metadata.${field}`,
+        match: { value }
+      }));
+      
       // Если есть условия, добавляем их в фильтр
       if (mustConditions.length > 0) {
         filter.must = mustConditions;
         logger.debug(`Applied filter with ${mustConditions.length} conditions`);
       }
+      if (mustNotConditions.length > 0) {
+        filter.must_not = mustNotConditions;
+      }
       
       // Выполнение поиска - увеличиваем лимит для поиска чанков
       const searchLimit = Math.min(limit * 3, 30); // Ищем больше чанков для лучшего покрытия
@@ -663,6 +822,8 @@ class VectorStoreService {
         status: 'ok',
         message: 'Vector store is healthy with universal search',
         isInitialized: true,
+        backend: this.backend,
+        embeddings: this.getProviderInfo(),
         qdrantStatus: { collections_count: collections.collections.length },
         collection: {
           name: this.collectionName,
@@ -838,15 +999,14 @@ class VectorStoreService {
   }
   
   /**
-   * Создает embedding для текста с использованием кэша (базовый метод)
+   * Создает embedding для текста через текущий провайдер (базовый метод)
    * @private
    * @param {string} text - Текст для создания embedding
    * @returns {Promise<number[]>} Embedding вектор
    */
   async _createEmbedding(text) {
     try {
-      // Попробуем использовать прямой вызов API OpenAI для эмбеддингов
-      const embedding = await this.embeddings.embedQuery(text);
+      const embedding = await this.embeddingProvider.embed(text);
       
       if (!embedding || !Array.isArray(embedding)) {
         throw new Error('Invalid embedding returned: not an array');
@@ -963,7 +1123,7 @@ class VectorStoreService {
       
       // Проверка соединения
       const connectionStatus = await this.client.getCollections()
-        .then(() => ({ status: 'ok', message: 'Connected to Qdrant' }))
+        .then(() => ({ status: 'ok', message: this.backend === 'memory' ? 'Using in-process vector index' : 'Connected to Qdrant' }))
         .catch(error => ({ status: 'error', message: `Connection failed: ${error.message}` }));
       
       // Проверка коллекции - используем правильное поле points_count
@@ -1039,8 +1199,11 @@ class VectorStoreService {
         chunking: chunkingStatus,
         config: {
           url: this.url,
+          backend: this.backend,
           collectionName: this.collectionName,
+          embeddingProvider: this.embeddingProvider?.name,
           embeddingModel: this.embeddingModel,
+          vectorDimension: this.vectorDimension,
           embeddingTimeout: this.embeddingTimeout,
           cacheSize: this.embeddingCache.size,
           maxCacheSize: this.maxCacheSize,
@@ -1060,4 +1223,6 @@ class VectorStoreService {
 }
 
 // Экспортируем единственный экземпляр сервиса
-module.exports = new VectorStoreService();
\ No newline at end of file
+module.exports = new VectorStoreService();
+// Класс - для отдельных коллекций (например, индекс цитат)
+module.exports.VectorStoreService = VectorStoreService;
\ No newline at end of file
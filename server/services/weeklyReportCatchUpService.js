@@ -143,6 +143,13 @@ class WeeklyReportCatchUpService {
           continue;
         }
 
+        // Неделя ещё не закончилась в часовом поясе читателя
+        const localWeek = getISOWeekInfo(getBusinessNow(profile.settings?.timezone));
+        if (localWeek.isoYear < isoYear || (localWeek.isoYear === isoYear && localWeek.isoWeek <= isoWeek)) {
+          skipped++;
+          continue;
+        }
+
         const quotes = await Quote.find({
           userId,
           weekNumber: isoWeek,
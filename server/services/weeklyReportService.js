@@ -8,8 +8,72 @@
  * 🔧 NEW: Интеграция с API для BookCatalog и PromoCode вместо хардкода
  */
 
+const mongoose = require('mongoose');
 const logger = require('../utils/logger');
 const { normalizeThemes } = require('../utils/normalizeCategory');
+const recommendationService = require('./recommendationService');
+const experimentService = require('./experimentService');
+
+/**
+ * Данные недели для промпта анализа (дописываются к шаблонам без плейсхолдера {quotes})
+ * @type {string}
+ */
+const WEEKLY_PROMPT_DATA_BLOCK = `ЦИТАТЫ ЗА НЕДЕЛЮ:
+{quotes}
+
+Имя пользователя: {name}
+
+{previousReport}`;
+
+/**
+ * Встроенный промпт недельного анализа (если в БД нет активного промпта категории weekly_reports)
+ * @type {string}
+ */
+const WEEKLY_ANALYSIS_PROMPT = `Ты — литературный психолог, делаешь подробный еженедельный анализ для женщины 30–45 лет (часто мама), ищущей баланс и поддержку. В основе анализа опирайся на психоанализ, но простым языком для тех, кто не разбирается в нем.
+Женщины чувствуют растерянность, повышенную тревогу и желание все успеть. Важно акцентировать внимание на их состоянии, задавать вопросы, которые будут помогать им понимать себя лучше. В отчете важно упоминать про регулярность использования приложения.
+
+Проанализируй все цитаты недели и верни ТОЛЬКО сырой JSON-объект строго по формату:
+{
+  "dominantThemes": ["…", "…"],
+  "emotionalTone": "…",
+  "insights": "…",
+  "personalGrowth": "…"
+}
+
+Требования к insights:
+- Обозначь главную эмоцию и боль недели (усталость, вина, тревога, ощущение «ничего не успеваю», желание перемен и т.д.).
+- Приведи 1–2 цитаты классиков (по смыслу недели, с автором — НЕ цитируй пользователя!).
+- не используй "моя любимый автор или писатель": цитата + имя кто ее написал
+- Обобщи, какие темы и чувства повторялись — что это говорит о внутреннем состоянии пользователя.
+- Приведи жизненный пример из тематики семьи, материнства, перемен, поиска себя — чтобы читатель могла узнать себя.
+- Задай вопрос читателю по теме недели.
+- В конце добавь: "Динамика по сравнению с прошлой неделей:" — опиши, что изменилось, даже если прошлый анализ пуст.
+- Заверши письмо мягкой поддержкой и призывом беречь себя.
+- Напоминай через раз о том, что важно продолжать записывать цитаты в приложение - именно это позволит людям оставаться в осознанности
+
+СТИЛЬ:
+- Искренний, дружелюбный, как личная колонка для женского журнала.
+- Не используй банальных советов и формальных фраз — только индивидуальный разбор.
+- Можно добавить лёгкий юмор, короткую цитату классика, вопрос читателю.
+- Не используй эмодзи, не делай коротких предложений, избегай универсальных фраз.
+- Не рассказывай о книгах, не давай биографию авторов и не делай книжные рекомендации.
+
+ОБЯЗАТЕЛЬНО:
+- В insights должна быть хотя бы одна цитата классика.
+- Должен быть отдельный абзац с динамикой по неделям.
+- Явно обозначь главную эмоцию и "боль" недели.
+- Приведи жизненный пример.
+- Задай вопрос читателю в конце анализа.
+
+ЗАПРЕЩЕНО:
+- НЕ цитируй пользователя вместо классика.
+- НЕ используй формальные/универсальные фразы.
+- НЕ добавляй рекомендации книг, биографии авторов, эмодзи, markdown или короткие предложения.
+- НЕ игнорируй динамику по сравнению с прошлой неделей.
+
+Ответ — ТОЛЬКО сырой JSON без markdown и пояснений.
+
+${WEEKLY_PROMPT_DATA_BLOCK}`;
 
 /**
  * @typedef {Object} Quote
@@ -37,6 +101,16 @@ const { normalizeThemes } = require('../utils/normalizeCategory');
  * @property {string} personalGrowth - Наблюдения о росте
  */
 
+/**
+ * @typedef {Object} GenerationInfo
+ * @property {string|null} provider - AI провайдер (null - fallback анализ)
+ * @property {string|null} model - Модель
+ * @property {string|null} promptId - ID промпта из БД (null - встроенный)
+ * @property {string} promptName - Название промпта
+ * @property {string|null} promptVersion - Версия промпта
+ * @property {boolean} fallback - Анализ построен без AI
+ */
+
 /**
  * @class WeeklyReportService
  * @description Сервис для генерации еженедельных отчетов с AI-анализом
@@ -44,23 +118,8 @@ const { normalizeThemes } = require('../utils/normalizeCategory');
 class WeeklyReportService {
   constructor() {
     this.logger = logger;
-    // Получаем прямой доступ к API для JSON анализа
-    const { getAIProviderConfig } = require('../config/aiProvider');
-    this.config = getAIProviderConfig();
-
-    this.anthropic = null;
-    this.openai = null;
-
-    if (this.config.provider === 'claude' && this.config.claude.apiKey) {
-      const { Anthropic } = require('@anthropic-ai/sdk');
-      this.anthropic = new Anthropic({ apiKey: this.config.claude.apiKey });
-      this.claudeConfig = this.config.claude;
-    }
-    if (this.config.provider === 'openai' && this.config.openai.apiKey) {
-      const OpenAI = require('openai');
-      this.openai = new OpenAI({ apiKey: this.config.openai.apiKey });
-      this.openaiConfig = this.config.openai;
-    }
+    // JSON анализ идет через реестр провайдеров без чатового системного промпта
+    this.aiProviders = require('./ai');
     
     // 📋 NEW: Инициализация моделей для работы с БД
     this.initializeModels();
@@ -89,154 +148,138 @@ class WeeklyReportService {
   }
 
   /**
-   * 🔧 FIX: Инициализация прямого клиента Anthropic для JSON анализа
-   * @private
+   * Промпт недельного анализа: промпт варианта A/B эксперимента (target weekly_reports),
+   * активный промпт категории weekly_reports из БД или встроенный.
+   * Конкретный промпт (в т.ч. черновик) можно передать для перегенерации - тогда эксперимент не участвует.
+   * @param {string|null} [promptId=null] - ID промпта
+   * @param {string|null} [userId=null] - Telegram ID читателя (для варианта эксперимента и экспозиции)
+   * @returns {Promise<{template: string, promptId: string|null, promptName: string, promptVersion: string|null}>}
+   * @throws {Error} Промпт с promptId не найден (statusCode 404)
    */
-  initializeAnthropicClient() {
+  async resolveWeeklyPrompt(promptId = null, userId = null) {
+    const builtin = { template: WEEKLY_ANALYSIS_PROMPT, promptId: null, promptName: 'builtin', promptVersion: null };
+    const Prompt = require('../models/prompt');
+
+    if (promptId) {
+      const prompt = await Prompt.findById(promptId).lean();
+      if (!prompt) {
+        const error = new Error(`Prompt ${promptId} not found`);
+        error.statusCode = 404;
+        throw error;
+      }
+      return { template: prompt.content, promptId: prompt._id, promptName: prompt.name, promptVersion: prompt.version };
+    }
+
+    // Без подключения к MongoDB запрос ждал бы буферизации - сразу встроенный промпт
+    if (mongoose.connection.readyState !== 1) {
+      return builtin;
+    }
+
     try {
-      const { Anthropic } = require('@anthropic-ai/sdk');
-      const { getAIProviderConfig } = require('../config/aiProvider');
-      
-      const config = getAIProviderConfig();
-      this.anthropic = new Anthropic({
-        apiKey: config.claude.apiKey,
-      });
-      
-      this.claudeConfig = config.claude;
-      logger.info('📖 WeeklyReportService: Direct Anthropic client initialized');
+      const prompt = (userId && await experimentService.getVariantPrompt('weekly_reports', userId))
+        || await Prompt.getReaderPrompt('weekly');
+      if (prompt) {
+        return { template: prompt.content, promptId: prompt._id, promptName: prompt.name, promptVersion: prompt.version };
+      }
     } catch (error) {
-      logger.error('📖 WeeklyReportService: Failed to initialize Anthropic client:', error.message);
-      this.anthropic = null;
+      logger.warn(`📖 Failed to load weekly report prompt, using builtin: ${error.message}`);
     }
+    return builtin;
   }
 
   /**
-   * 🔧 FIX: Прямой AI-анализ без конфликтующих системных промптов
+   * Подставляет данные недели в шаблон промпта.
+   * Плейсхолдеры: {quotes}, {name}, {previousReport}; если {quotes} нет - данные дописываются в конец.
+   * @param {string} template - Шаблон
    * @param {Array<Quote>} quotes - Цитаты за неделю
    * @param {UserProfile} userProfile - Профиль пользователя
-   * @param {string} previousReport - Текст прошлого отчета для сравнения (по умолчанию пустая строка)
-   * @returns {Promise<WeeklyAnalysis>} Анализ недели
+   * @param {string} [previousReport=''] - Текст прошлого отчета
+   * @returns {string} Промпт
    */
-  async analyzeWeeklyQuotes(quotes, userProfile, previousReport = '') {
+  buildWeeklyAnalysisPrompt(template, quotes, userProfile, previousReport = '') {
     const quotesText = quotes.map(q => `"${q.text}" ${q.author ? `(${q.author})` : ''}`).join('\n\n');
-    const analysisPrompt = `
-Ты — литературный психолог, делаешь подробный еженедельный анализ для женщины 30–45 лет (часто мама), ищущей баланс и поддержку. В основе анализа опирайся на психоанализ, но простым языком для тех, кто не разбирается в нем.
-Женщины чувствуют растерянность, повышенную тревогу и желание все успеть. Важно акцентировать внимание на их состоянии, задавать вопросы, которые будут помогать им понимать себя лучше. В отчете важно упоминать про регулярность использования приложения.
-
-Проанализируй все цитаты недели и верни ТОЛЬКО сырой JSON-объект строго по формату:
-{
-  "dominantThemes": ["…", "…"],
-  "emotionalTone": "…",
-  "insights": "…",
-  "personalGrowth": "…"
-}
+    const fullTemplate = template.includes('{quotes}') ? template : `${template.trim()}\n\n${WEEKLY_PROMPT_DATA_BLOCK}`;
 
-Требования к insights:
-- Обозначь главную эмоцию и боль недели (усталость, вина, тревога, ощущение «ничего не успеваю», желание перемен и т.д.).
-- Приведи 1–2 цитаты классиков (по смыслу недели, с автором — НЕ цитируй пользователя!).
-- не используй "моя любимый автор или писатель": цитата + имя кто ее написал
-- Обобщи, какие темы и чувства повторялись — что это говорит о внутреннем состоянии пользователя.
-- Приведи жизненный пример из тематики семьи, материнства, перемен, поиска себя — чтобы читатель могла узнать себя.
-- Задай вопрос читателю по теме недели.
-- В конце добавь: "Динамика по сравнению с прошлой неделей:" — опиши, что изменилось, даже если прошлый анализ пуст.
-- Заверши письмо мягкой поддержкой и призывом беречь себя.
-- Напоминай через раз о том, что важно продолжать записывать цитаты в приложение - именно это позволит людям оставаться в осознанности
-
-СТИЛЬ:
-- Искренний, дружелюбный, как личная колонка для женского журнала.
-- Не используй банальных советов и формальных фраз — только индивидуальный разбор.
-- Можно добавить лёгкий юмор, короткую цитату классика, вопрос читателю.
-- Не используй эмодзи, не делай коротких предложений, избегай универсальных фраз.
-- Не рассказывай о книгах, не давай биографию авторов и не делай книжные рекомендации.
-
-ОБЯЗАТЕЛЬНО:
-- В insights должна быть хотя бы одна цитата классика.
-- Должен быть отдельный абзац с динамикой по неделям.
-- Явно обозначь главную эмоцию и "боль" недели.
-- Приведи жизненный пример.
-- Задай вопрос читателю в конце анализа.
+    return fullTemplate
+      .split('{quotes}').join(quotesText)
+      .split('{name}').join(userProfile.name || '')
+      .split('{previousReport}').join(previousReport ? `ПРОШЛЫЙ ОТЧЁТ:\n${previousReport}` : '')
+      .trim();
+  }
 
-ЗАПРЕЩЕНО:
-- НЕ цитируй пользователя вместо классика.
-- НЕ используй формальные/универсальные фразы.
-- НЕ добавляй рекомендации книг, биографии авторов, эмодзи, markdown или короткие предложения.
-- НЕ игнорируй динамику по сравнению с прошлой неделей.
+  /**
+   * 🔧 FIX: Прямой AI-анализ без конфликтующих системных промптов
+   * @param {Array<Quote>} quotes - Цитаты за неделю
+   * @param {UserProfile} userProfile - Профиль пользователя
+   * @param {string} previousReport - Текст прошлого отчета для сравнения (по умолчанию пустая строка)
+   * @param {Object} [options={}] - Опции
+   * @param {string} [options.promptId] - Конкретный промпт вместо активного
+   * @returns {Promise<WeeklyAnalysis>} Анализ недели
+   */
+  async analyzeWeeklyQuotes(quotes, userProfile, previousReport = '', options = {}) {
+    const { analysis } = await this._runWeeklyAnalysis(quotes, userProfile, previousReport, options);
+    return analysis;
+  }
 
-Ответ — ТОЛЬКО сырой JSON без markdown и пояснений.
+  /**
+   * AI-анализ недели вместе со сведениями о генерации (промпт, провайдер, модель)
+   * @private
+   * @param {Array<Quote>} quotes - Цитаты за неделю
+   * @param {UserProfile} userProfile - Профиль пользователя
+   * @param {string} previousReport - Текст прошлого отчета
+   * @param {Object} options - Опции analyzeWeeklyQuotes
+   * @returns {Promise<{analysis: WeeklyAnalysis, generation: GenerationInfo}>}
+   */
+  async _runWeeklyAnalysis(quotes, userProfile, previousReport, options) {
+    const prompt = await this.resolveWeeklyPrompt(options.promptId, userProfile?.userId || null);
+    const analysisPrompt = this.buildWeeklyAnalysisPrompt(prompt.template, quotes, userProfile, previousReport);
+    const generation = {
+      provider: null,
+      model: null,
+      promptId: prompt.promptId,
+      promptName: prompt.promptName,
+      promptVersion: prompt.promptVersion,
+      fallback: true
+    };
 
-ЦИТАТЫ ЗА НЕДЕЛЮ:
-${quotesText}
+    const { AI_FEATURES } = this.aiProviders;
 
-Имя пользователя: ${userProfile.name || ""}
+    try {
+      if (!this.aiProviders.isAvailable(AI_FEATURES.WEEKLY_REPORT)) {
+        logger.warn('📖 No AI client available, using fallback analysis');
+        return { analysis: this.getFallbackAnalysis(quotes, userProfile), generation };
+      }
 
-${previousReport ? `ПРОШЛЫЙ ОТЧЁТ:\n${previousReport}` : ""}
-  `.trim();
+      const route = this.aiProviders.resolveRoute(AI_FEATURES.WEEKLY_REPORT);
+      logger.info(`📖 Analyzing ${quotes.length} quotes for user ${userProfile.userId} (provider: ${route.provider}, model: ${route.model}, prompt: ${prompt.promptName})`);
 
-    try {
-      logger.info(`📖 Analyzing ${quotes.length} quotes for user ${userProfile.userId} (provider: ${this.config.provider})`);
-
-      if (this.config.provider === 'openai' && this.openai) {
-        // GPT-4o prompt
-        const response = await this.openai.chat.completions.create({
-          model: this.openaiConfig.model,
-          messages: [
-            { role: 'system', content: 'Ты психолог Анна Бусел. Отвечай в формате JSON.' },
-            { role: 'user', content: analysisPrompt }
-          ],
-          max_tokens: this.openaiConfig.maxTokens,
-          temperature: this.openaiConfig.temperature
-        });
-        const aiText = response.choices[0].message.content;
-        const analysis = this._parseAIResponse(aiText);
-        if (!analysis.insights) {
-          logger.warn(`📖 Invalid analysis (OpenAI), using fallback for user ${userProfile.userId}`);
-          return this.getFallbackAnalysis(quotes, userProfile);
-        }
-        logger.info(`📖 OpenAI analysis completed for user ${userProfile.userId}`);
-        
-        // Normalize dominantThemes before returning
-        const normalizedDominantThemes = normalizeThemes(analysis.dominantThemes || []);
-        
-        return {
-          dominantThemes: normalizedDominantThemes,
-          emotionalTone: analysis.emotionalTone || 'размышляющий',
-          insights: analysis.insights,
-          personalGrowth: analysis.personalGrowth || 'Ваш выбор цитат говорит о стремлении к пониманию себя и мира вокруг.'
-        };
-      } else if (this.anthropic) {
-        // ... как было для Anthropic
-        const response = await this.anthropic.messages.create({
-          model: this.claudeConfig.model,
-          max_tokens: 1000,
-          temperature: 0.3,
-          messages: [{
-            role: 'user',
-            content: analysisPrompt
-          }]
-        });
-        const analysis = this._parseAIResponse(response.content[0].text);
-        if (!analysis.insights) {
-          logger.warn(`📖 Invalid analysis (Claude), using fallback for user ${userProfile.userId}`);
-          return this.getFallbackAnalysis(quotes, userProfile);
-        }
-        logger.info(`📖 Direct AI analysis completed successfully for user ${userProfile.userId}`);
-        
-        // Normalize dominantThemes before returning
-        const normalizedDominantThemes = normalizeThemes(analysis.dominantThemes || []);
-        
-        return {
+      const response = await this.aiProviders.complete(AI_FEATURES.WEEKLY_REPORT, {
+        system: 'Ты психолог Анна Бусел. Отвечай в формате JSON.',
+        messages: [{ role: 'user', content: analysisPrompt }],
+        userId: userProfile.userId
+      });
+      const analysis = this._parseAIResponse(response.text);
+      if (!analysis.insights) {
+        logger.warn(`📖 Invalid analysis (${response.provider}), using fallback for user ${userProfile.userId}`);
+        return { analysis: this.getFallbackAnalysis(quotes, userProfile), generation };
+      }
+      logger.info(`📖 AI analysis completed for user ${userProfile.userId} (${response.provider}/${response.model})`);
+      
+      // Normalize dominantThemes before returning
+      const normalizedDominantThemes = normalizeThemes(analysis.dominantThemes || []);
+      
+      return {
+        analysis: {
           dominantThemes: normalizedDominantThemes,
           emotionalTone: analysis.emotionalTone || 'размышляющий',
           insights: analysis.insights,
           personalGrowth: analysis.personalGrowth || 'Ваш выбор цитат говорит о стремлении к пониманию себя и мира вокруг.'
-        };
-      } else {
-        logger.warn('📖 No AI client available, using fallback analysis');
-        return this.getFallbackAnalysis(quotes, userProfile);
-      }
+        },
+        generation: { ...generation, provider: response.provider, model: response.model, fallback: false }
+      };
     } catch (error) {
       logger.error(`📖 Error in AI weekly analysis: ${error.message}`);
-      return this.getFallbackAnalysis(quotes, userProfile);
+      return { analysis: this.getFallbackAnalysis(quotes, userProfile), generation };
     }
   }
 
@@ -491,9 +534,11 @@ ${previousReport ? `ПРОШЛЫЙ ОТЧЁТ:\n${previousReport}` : ""}
    * @param {number} options.weekMeta.isoYear - ISO year
    * @param {Date} options.weekMeta.start - Начало недели
    * @param {Date} options.weekMeta.end - Конец недели
+   * @param {string} [options.promptId] - Конкретный промпт анализа (перегенерация, оценка черновика)
    * @returns {Promise<Object>} Полный отчет
    */
   async generateWeeklyReport(userId, quotes, userProfile, options = {}) {
+    const startedAt = Date.now();
     try {
       logger.info(`📖 Generating weekly report for user ${userId} with ${quotes.length} quotes`);
       
@@ -516,8 +561,8 @@ ${previousReport ? `ПРОШЛЫЙ ОТЧЁТ:\n${previousReport}` : ""}
         
         logger.info(`📖 Using provided weekMeta: week ${weekRange.isoWeek}/${weekRange.isoYear}`);
       } else {
-        // Fallback to previous week range
-        weekRange = this.getPreviousWeekRange();
+        // Fallback to previous week range in the reader's timezone
+        weekRange = this.getPreviousWeekRange(userProfile?.settings?.timezone);
         logger.info(`📖 Using previous week range: week ${weekRange.isoWeek}/${weekRange.isoYear}`);
       }
       
@@ -555,7 +600,9 @@ ${previousReport ? `ПРОШЛЫЙ ОТЧЁТ:\n${previousReport}` : ""}
       }
       
       // Получаем AI-анализ цитат с предыдущим отчетом
-      const analysis = await this.analyzeWeeklyQuotes(quotes, userProfile, previousReportText);
+      const { analysis, generation } = await this._runWeeklyAnalysis(quotes, userProfile, previousReportText, {
+        promptId: options.promptId
+      });
       
       // 🆕 Извлекаем вторичные темы из цитат на основе targetThemes из BookCatalog
       const secondaryThemes = await this._extractSecondaryThemes(quotes);
@@ -621,8 +668,8 @@ ${previousReport ? `ПРОШЛЫЙ ОТЧЁТ:\n${previousReport}` : ""}
         progressDaysPct
       };
       
-      // 📋 NEW: Создаем промокод из БД
-      const promoCode = await this.generatePromoCode();
+      // 📋 NEW: Создаем промокод из БД (персональный одноразовый, если есть общий код для отчетов)
+      const promoCode = await this.generatePromoCode(userId, weekRange);
       
       // Defensive validation: ensure weekNumber and year are present
       if (!weekRange.isoWeek || !weekRange.isoYear) {
@@ -641,6 +688,8 @@ ${previousReport ? `ПРОШЛЫЙ ОТЧЁТ:\n${previousReport}` : ""}
         recommendations,
         promoCode,
         metrics,
+        generation,
+        generationTime: Date.now() - startedAt,
         generatedAt: new Date()
       };
 
@@ -675,18 +724,26 @@ ${previousReport ? `ПРОШЛЫЙ ОТЧЁТ:\n${previousReport}` : ""}
           });
         }
         
-        // Получаем рекомендации из БД на основе комбинированного списка тем
-        let recommendations = await this.BookCatalog.getRecommendationsByThemes(recThemes);
+        // 🆕 Общий движок рекомендаций: темы недели + история читателя, купленное исключено
+        let recommendations = [];
+        if (userProfile?.userId) {
+          recommendations = await recommendationService.getRecommendations(userProfile.userId, {
+            limit: 2,
+            themes: recThemes
+          });
+        }
         
-        // Если не нашли подходящих книг по темам, берем универсальные
-        if (!recommendations || recommendations.length === 0) {
-          recommendations = await this.BookCatalog.getUniversalRecommendations();
+        // Без профиля или пустого каталога - прежний подбор по темам и универсальные книги
+        if (recommendations.length === 0) {
+          const books = await this.BookCatalog.getRecommendationsByThemes(recThemes);
+          recommendations = (books && books.length > 0 ? books : await this.BookCatalog.getUniversalRecommendations() || [])
+            .map(book => ({ book, reasons: [] }));
         }
         
-        if (recommendations && recommendations.length > 0) {
+        if (recommendations.length > 0) {
           // Форматируем рекомендации с UTM ссылками
           const formattedRecommendations = await Promise.all(
-            recommendations.slice(0, 2).map(async (book) => {
+            recommendations.slice(0, 2).map(async ({ book, reasons, explanation }) => {
               const utmLink = await this.generateUTMLink(book.bookSlug, 'weekly_report');
               return {
                 title: book.title,
@@ -695,7 +752,9 @@ ${previousReport ? `ПРОШЛЫЙ ОТЧЁТ:\n${previousReport}` : ""}
                 price: book.price || book.priceByn || 10, // fallback для совместимости
                 priceByn: book.priceByn,
                 bookSlug: book.bookSlug,
-                reasoning: this.generatePersonalizedReasoning(book, analysis, userProfile.testResults),
+                reasoning: reasons.length > 0
+                  ? `Рекомендуем, ${explanation}.`
+                  : this.generatePersonalizedReasoning(book, analysis, userProfile.testResults),
                 link: utmLink
               };
             })
@@ -809,10 +868,31 @@ ${previousReport ? `ПРОШЛЫЙ ОТЧЁТ:\n${previousReport}` : ""}
 
   /**
    * 📋 NEW: Генерирует промокод из БД
+   * Для читателя выдается персональный одноразовый код на неделю отчета,
+   * чтобы использование можно было связать с конкретным отчетом
+   * @param {string} [userId] - Telegram ID читателя
+   * @param {Object} [weekRange] - {isoWeek, isoYear}
    * @returns {Promise<Object>} Информация о промокоде
    */
-  async generatePromoCode() {
+  async generatePromoCode(userId = null, weekRange = null) {
     try {
+      if (this.PromoCode && userId && weekRange?.isoWeek && weekRange?.isoYear) {
+        const promoCodeService = require('./promoCodeService');
+        const personal = await promoCodeService.issuePersonalCode(userId, {
+          type: 'weekly_report',
+          ref: `${weekRange.isoYear}-W${String(weekRange.isoWeek).padStart(2, '0')}`
+        });
+
+        if (personal) {
+          return {
+            code: personal.code,
+            discount: personal.discount,
+            validUntil: personal.validUntil,
+            description: personal.description
+          };
+        }
+      }
+
       if (this.PromoCode) {
         // Получаем активный промокод для еженедельных отчетов
         const promoCode = await this.PromoCode.getRandomForContext('weekly_report');
@@ -919,11 +999,13 @@ ${previousReport ? `ПРОШЛЫЙ ОТЧЁТ:\n${previousReport}` : ""}
 
   /**
    * Получает диапазон предыдущей полной недели по ISO 8601
+   * @param {string} [timezone] - Часовой пояс читателя (по умолчанию бизнес-время)
    * @returns {{start: Date, end: Date, isoWeek: number, isoYear: number}}
    */
-  getPreviousWeekRange() {
+  getPreviousWeekRange(timezone = null) {
     const { getPreviousCompleteISOWeek } = require('../utils/isoWeek');
-    return getPreviousCompleteISOWeek();
+    const { isValidTimezone } = require('../utils/timezone');
+    return getPreviousCompleteISOWeek(isValidTimezone(timezone) ? timezone : null);
   }
 
   /**
@@ -0,0 +1,351 @@
+/**
+ * Weekly report versioning - admin-triggered regeneration with history and diffs.
+ * The current version lives in WeeklyReport; replaced versions are archived and
+ * unpublished regenerations are kept as candidates in WeeklyReportVersion.
+ * @file server/services/weeklyReportVersionService.js
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const WeeklyReport = require('../models/weeklyReport');
+const WeeklyReportVersion = require('../models/WeeklyReportVersion');
+const Quote = require('../models/quote');
+const UserProfile = require('../models/userProfile');
+const WeeklyReportService = require('./weeklyReportService');
+const { diffWeeklyReports } = require('../utils/reportDiff');
+const logger = require('../utils/logger');
+
+/**
+ * Максимум отчетов в одной массовой перегенерации
+ */
+const MAX_BULK_REPORTS = 200;
+
+/**
+ * Сколько завершенных задач хранить в памяти
+ */
+const MAX_STORED_JOBS = 20;
+
+/**
+ * @typedef {Object} RegenerateOptions
+ * @property {string} [promptId] - Промпт анализа (по умолчанию - активный)
+ * @property {boolean} [publish=true] - Заменить текущую версию; false - сохранить как кандидата
+ * @property {string} [reason] - Причина перегенерации
+ * @property {string} [triggeredBy='admin'] - Инициатор
+ */
+
+/**
+ * @typedef {Object} RegenerationFilter
+ * @property {string} [userId] - Один читатель
+ * @property {string[]} [userIds] - Когорта читателей
+ * @property {number} [weekNumber] - Неделя (вместе с year)
+ * @property {number} [year] - Год
+ * @property {string} [dateFrom] - Отчеты, отправленные с даты
+ * @property {string} [dateTo] - Отчеты, отправленные по дату
+ */
+
+let weeklyReportService = null;
+
+/** @type {Map<string, Object>} Задачи массовой перегенерации */
+const jobs = new Map();
+
+/**
+ * @returns {WeeklyReportService} Общий экземпляр генератора
+ */
+function getWeeklyReportService() {
+  if (!weeklyReportService) {
+    weeklyReportService = new WeeklyReportService();
+  }
+  return weeklyReportService;
+}
+
+/**
+ * Ошибка с HTTP статусом для API
+ * @param {string} message - Сообщение
+ * @param {number} statusCode - Статус
+ * @returns {Error}
+ */
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * @param {string} reportId - ID отчета
+ * @returns {Promise<Object>} Документ WeeklyReport
+ * @throws {Error} 400 - некорректный ID, 404 - отчет не найден
+ */
+async function loadReport(reportId) {
+  if (!mongoose.Types.ObjectId.isValid(reportId)) {
+    throw httpError('Invalid report id', 400);
+  }
+  const report = await WeeklyReport.findById(reportId);
+  if (!report) {
+    throw httpError('Report not found', 404);
+  }
+  return report;
+}
+
+/**
+ * Перегенерирует анализ и рекомендации отчета на исходных цитатах недели.
+ * Промокод и метрики недели не меняются.
+ * @param {string} reportId - ID отчета
+ * @param {RegenerateOptions} [options={}] - Опции
+ * @returns {Promise<{report: Object, version: Object, published: boolean}>}
+ *   report - текущая версия, version - архивная (publish) или кандидат
+ */
+async function regenerateReport(reportId, options = {}) {
+  const { promptId = null, publish = true, reason = null, triggeredBy = 'admin' } = options;
+  const report = await loadReport(reportId);
+
+  const userProfile = await UserProfile.findOne({ userId: report.userId }).lean();
+  if (!userProfile) {
+    throw httpError('User not found', 404);
+  }
+
+  let quotes = await Quote.find({ _id: { $in: report.quotes } }).sort({ createdAt: 1 });
+  if (quotes.length === 0) {
+    // Исходные цитаты удалены - берем то, что осталось за неделю
+    quotes = await Quote.find({ userId: report.userId, weekNumber: report.weekNumber, yearNumber: report.year }).sort({ createdAt: 1 });
+  }
+  if (quotes.length === 0) {
+    throw httpError('No quotes left for this report week', 409);
+  }
+
+  const regenerated = await getWeeklyReportService().generateWeeklyReport(report.userId, quotes, userProfile, {
+    weekMeta: { isoWeek: report.weekNumber, isoYear: report.year },
+    promptId
+  });
+
+  const nextVersion = await WeeklyReportVersion.getNextVersion(report);
+  const versionBase = {
+    reportId: report._id,
+    userId: report.userId,
+    weekNumber: report.weekNumber,
+    year: report.year,
+    reason,
+    triggeredBy
+  };
+
+  if (!publish) {
+    const candidate = await WeeklyReportVersion.create({
+      ...versionBase,
+      version: nextVersion,
+      status: 'candidate',
+      analysis: regenerated.analysis,
+      recommendations: regenerated.recommendations,
+      generation: regenerated.generation,
+      generationTime: regenerated.generationTime
+    });
+    logger.info(`📖 Weekly report ${report._id} candidate v${nextVersion} (prompt: ${regenerated.generation.promptName})`);
+    return { report, version: candidate, published: false };
+  }
+
+  const archived = await WeeklyReportVersion.create({
+    ...versionBase,
+    version: report.version || 1,
+    status: 'archived',
+    analysis: report.analysis.toObject ? report.analysis.toObject() : report.analysis,
+    recommendations: report.recommendations.map(rec => (rec.toObject ? rec.toObject() : rec)),
+    generation: report.generation,
+    generationTime: report.generationTime
+  });
+
+  report.analysis = regenerated.analysis;
+  report.recommendations = regenerated.recommendations;
+  report.generation = regenerated.generation;
+  report.generationTime = regenerated.generationTime;
+  report.version = nextVersion;
+  report.regeneratedAt = new Date();
+  await report.save();
+
+  logger.info(`📖 Weekly report ${report._id} regenerated: v${archived.version} -> v${nextVersion} (prompt: ${regenerated.generation.promptName})`);
+  return { report, version: archived, published: true };
+}
+
+/**
+ * Строит запрос отчетов для массовой перегенерации
+ * @param {RegenerationFilter} filter - Фильтр
+ * @returns {Object} MongoDB query
+ * @throws {Error} 400 - фильтр пустой (перегенерация всех отчетов запрещена)
+ */
+function buildRegenerationQuery(filter = {}) {
+  const query = {};
+
+  if (filter.userId) {
+    query.userId = String(filter.userId);
+  } else if (Array.isArray(filter.userIds) && filter.userIds.length > 0) {
+    query.userId = { $in: filter.userIds.map(String) };
+  }
+
+  if (filter.weekNumber && filter.year) {
+    query.weekNumber = Number(filter.weekNumber);
+    query.year = Number(filter.year);
+  }
+
+  if (filter.dateFrom || filter.dateTo) {
+    query.sentAt = {};
+    if (filter.dateFrom) query.sentAt.$gte = new Date(filter.dateFrom);
+    if (filter.dateTo) query.sentAt.$lte = new Date(filter.dateTo);
+  }
+
+  if (Object.keys(query).length === 0) {
+    throw httpError('Specify userId, userIds, weekNumber+year or a date range', 400);
+  }
+  return query;
+}
+
+/**
+ * Запускает перегенерацию пользователя, недели или когорты в фоне
+ * @param {RegenerationFilter} filter - Какие отчеты перегенерировать
+ * @param {RegenerateOptions & {limit?: number}} [options={}] - Опции
+ * @returns {Promise<Object>} Задача (см. getJob)
+ */
+async function startBulkRegeneration(filter, options = {}) {
+  const query = buildRegenerationQuery(filter);
+  const limit = Math.min(parseInt(options.limit) || 50, MAX_BULK_REPORTS);
+
+  const reports = await WeeklyReport.find(query).sort({ year: -1, weekNumber: -1 }).limit(limit).select('_id').lean();
+
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'running',
+    filter,
+    publish: options.publish !== false,
+    promptId: options.promptId || null,
+    total: reports.length,
+    processed: 0,
+    failed: 0,
+    errors: [],
+    startedAt: new Date(),
+    finishedAt: null
+  };
+  jobs.set(job.id, job);
+
+  // Старые задачи не держим в памяти бесконечно
+  if (jobs.size > MAX_STORED_JOBS) {
+    const oldest = [...jobs.values()].find(stored => stored.status !== 'running');
+    if (oldest) jobs.delete(oldest.id);
+  }
+
+  setImmediate(async () => {
+    for (const { _id } of reports) {
+      try {
+        await regenerateReport(String(_id), options);
+      } catch (error) {
+        job.failed++;
+        job.errors.push({ reportId: String(_id), error: error.message });
+        logger.error(`📖 Bulk regeneration failed for report ${_id}: ${error.message}`);
+      }
+      job.processed++;
+    }
+    job.status = 'completed';
+    job.finishedAt = new Date();
+    logger.info(`📖 Bulk weekly report regeneration ${job.id} done: ${job.processed - job.failed}/${job.total}`);
+  });
+
+  return job;
+}
+
+/**
+ * @param {string} jobId - ID задачи
+ * @returns {Object|null} Задача массовой перегенерации
+ */
+function getJob(jobId) {
+  return jobs.get(jobId) || null;
+}
+
+/**
+ * Краткое описание версии для списка
+ * @param {Object} source - WeeklyReport или WeeklyReportVersion
+ * @param {string} id - 'current' или ID версии
+ * @param {string} status - current | archived | candidate
+ * @returns {Object}
+ */
+function toVersionSummary(source, id, status) {
+  return {
+    id,
+    version: source.version || 1,
+    status,
+    generation: source.generation || null,
+    generationTime: source.generationTime || null,
+    reason: source.reason || null,
+    triggeredBy: source.triggeredBy || null,
+    createdAt: status === 'current' ? (source.regeneratedAt || source.createdAt) : source.createdAt,
+    emotionalTone: source.analysis?.emotionalTone || null,
+    dominantThemes: source.analysis?.dominantThemes || []
+  };
+}
+
+/**
+ * Все версии отчета, новые первыми (текущая - с id 'current')
+ * @param {string} reportId - ID отчета
+ * @returns {Promise<{report: Object, versions: Object[]}>}
+ */
+async function listVersions(reportId) {
+  const report = await loadReport(reportId);
+  const versions = await WeeklyReportVersion.find({ reportId: report._id }).sort({ version: -1 }).lean();
+
+  return {
+    report: {
+      id: String(report._id),
+      userId: report.userId,
+      weekNumber: report.weekNumber,
+      year: report.year,
+      version: report.version || 1
+    },
+    versions: [
+      toVersionSummary(report, 'current', 'current'),
+      ...versions.map(version => toVersionSummary(version, String(version._id), version.status))
+    ].sort((a, b) => b.version - a.version)
+  };
+}
+
+/**
+ * Содержимое версии отчета
+ * @param {Object} report - Документ WeeklyReport
+ * @param {string} ref - 'current' или ID версии
+ * @returns {Promise<Object>} summary + analysis + recommendations
+ */
+async function getVersionContent(report, ref) {
+  if (!ref || ref === 'current') {
+    const plain = report.toObject();
+    return { ...toVersionSummary(plain, 'current', 'current'), analysis: plain.analysis, recommendations: plain.recommendations };
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(ref)) {
+    throw httpError('Invalid version id', 400);
+  }
+  const version = await WeeklyReportVersion.findOne({ _id: ref, reportId: report._id }).lean();
+  if (!version) {
+    throw httpError('Version not found', 404);
+  }
+  return { ...toVersionSummary(version, String(version._id), version.status), analysis: version.analysis, recommendations: version.recommendations };
+}
+
+/**
+ * Сравнение двух версий отчета для side-by-side просмотра
+ * @param {string} reportId - ID отчета
+ * @param {string} fromRef - Левая версия ('current' или ID)
+ * @param {string} [toRef='current'] - Правая версия
+ * @returns {Promise<{left: Object, right: Object, diff: Object}>}
+ */
+async function diffVersions(reportId, fromRef, toRef = 'current') {
+  const report = await loadReport(reportId);
+  const [left, right] = await Promise.all([
+    getVersionContent(report, fromRef),
+    getVersionContent(report, toRef)
+  ]);
+
+  return { left, right, diff: diffWeeklyReports(left, right) };
+}
+
+module.exports = {
+  regenerateReport,
+  buildRegenerationQuery,
+  startBulkRegeneration,
+  getJob,
+  listVersions,
+  diffVersions,
+  MAX_BULK_REPORTS
+};
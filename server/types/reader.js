@@ -102,6 +102,8 @@ const TRAFFIC_SOURCES = {
  * @property {boolean} reminderEnabled - Whether reminders are enabled
  * @property {string[]} reminderTimes - Reminder times (e.g., ['09:00', '19:00'])
  * @property {string} language - User language preference
+ * @property {string|null} timezone - IANA timezone (null = business timezone)
+ * @property {'auto'|'manual'} timezoneSource - Detected by the mini-app or chosen by the user
  */
 
 /**
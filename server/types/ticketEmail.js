@@ -8,6 +8,7 @@
  * @property {string} ticketId - ID созданного тикета
  * @property {string} userId - ID пользователя
  * @property {string} conversationId - ID разговора
+ * @property {string} mongoId - MongoDB ID тикета (ожидание хранится в metadata.pendingEmail)
  * @property {Date} createdAt - Время создания
  * @property {Date} expiresAt - Время истечения
  */
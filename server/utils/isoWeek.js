@@ -11,12 +11,20 @@
  */
 const BUSINESS_TZ_OFFSET_MIN = parseInt(process.env.BUSINESS_TZ_OFFSET_MIN) || 180;
 
+const { toTimezone, getLocalDayRange } = require('./timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 /**
  * Get current business time with timezone offset applied
+ * @param {string} [timezone] - IANA timezone of the user (defaults to business offset)
  * @returns {Date} Current date/time adjusted for business timezone
  */
-function getBusinessNow() {
+function getBusinessNow(timezone = null) {
   const now = new Date();
+  if (timezone) {
+    return toTimezone(now, timezone);
+  }
   // Apply business timezone offset
   const businessTime = new Date(now.getTime() + (BUSINESS_TZ_OFFSET_MIN * 60 * 1000));
   return businessTime;
@@ -86,12 +94,37 @@ function getISOWeekRange(isoWeek, isoYear) {
   };
 }
 
+/**
+ * Get the date range of an ISO week in a user's timezone
+ * Calendar math is done in UTC, boundaries are local midnights (independent of the server timezone)
+ * @param {number} isoWeek - ISO week number (1-53)
+ * @param {number} isoYear - ISO year
+ * @param {string} timezone - IANA timezone of the user
+ * @returns {{start: Date, end: Date, isoWeek: number, isoYear: number}}
+ */
+function getLocalISOWeekRange(isoWeek, isoYear, timezone) {
+  // January 4th is always in week 1
+  const jan4 = Date.UTC(isoYear, 0, 4);
+  const jan4DayOfWeek = new Date(jan4).getUTCDay() || 7;
+  const monday = jan4 - (jan4DayOfWeek - 1) * DAY_MS + (isoWeek - 1) * 7 * DAY_MS;
+
+  const dayKey = time => new Date(time).toISOString().slice(0, 10);
+
+  return {
+    start: getLocalDayRange(dayKey(monday), timezone).start,
+    end: getLocalDayRange(dayKey(monday + 6 * DAY_MS), timezone).end,
+    isoWeek,
+    isoYear
+  };
+}
+
 /**
  * Get previous complete ISO week info (for weekly reports)
+ * @param {string} [timezone] - IANA timezone of the user (defaults to business offset)
  * @returns {{start: Date, end: Date, isoWeek: number, isoYear: number}}
  */
-function getPreviousCompleteISOWeek() {
-  const businessNow = getBusinessNow();
+function getPreviousCompleteISOWeek(timezone = null) {
+  const businessNow = getBusinessNow(timezone);
   const currentWeekInfo = getISOWeekInfo(businessNow);
   
   let prevWeek = currentWeekInfo.isoWeek - 1;
@@ -103,7 +136,7 @@ function getPreviousCompleteISOWeek() {
     prevWeek = weeksInISOYear(prevYear);
   }
   
-  return getISOWeekRange(prevWeek, prevYear);
+  return timezone ? getLocalISOWeekRange(prevWeek, prevYear, timezone) : getISOWeekRange(prevWeek, prevYear);
 }
 
 /**
@@ -125,9 +158,13 @@ function weeksInISOYear(isoYear) {
 /**
  * Convert date to business timezone adjusted date for ISO week calculation
  * @param {Date} date - Input date
+ * @param {string} [timezone] - IANA timezone of the user (defaults to business offset)
  * @returns {Date} Date adjusted for business timezone
  */
-function toBusinessTimezone(date) {
+function toBusinessTimezone(date, timezone = null) {
+  if (timezone) {
+    return toTimezone(date, timezone);
+  }
   return new Date(date.getTime() + (BUSINESS_TZ_OFFSET_MIN * 60 * 1000));
 }
 
@@ -175,6 +212,7 @@ module.exports = {
   getBusinessNow,
   getISOWeekInfo,
   getISOWeekRange,
+  getLocalISOWeekRange,
   getPreviousCompleteISOWeek,
   weeksInISOYear,
   toBusinessTimezone,
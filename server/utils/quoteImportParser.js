@@ -0,0 +1,362 @@
+/**
+ * @fileoverview Parsers for bulk diary import: Kindle "My Clippings.txt",
+ * Goodreads/Bookmate CSV exports and free-form "text — author" lists
+ * @author g1orgi89
+ */
+
+/**
+ * @typedef {Object} ImportedQuote
+ * @property {string} text - Quote text
+ * @property {string|null} author - Quote author
+ * @property {string|null} source - Book title
+ * @property {Date|null} createdAt - Original highlight date (if known)
+ */
+
+const SUPPORTED_FORMATS = ['kindle', 'csv', 'text'];
+
+const KINDLE_SEPARATOR = /^={5,}\s*$/m;
+
+/**
+ * Longer "author" part after a dash is treated as part of the quote text
+ */
+const MAX_AUTHOR_WORDS = 8;
+
+const RU_MONTHS = {
+  'января': 0, 'февраля': 1, 'марта': 2, 'апреля': 3, 'мая': 4, 'июня': 5,
+  'июля': 6, 'августа': 7, 'сентября': 8, 'октября': 9, 'ноября': 10, 'декабря': 11
+};
+
+/**
+ * Column names recognised in CSV headers (lowercased)
+ */
+const CSV_COLUMNS = {
+  text: ['quote', 'text', 'highlight', 'content', 'цитата', 'текст', 'выделение'],
+  author: ['author', 'authors', 'author l-f', 'автор', 'авторы'],
+  source: ['title', 'book', 'book title', 'source', 'книга', 'название', 'источник'],
+  date: ['date', 'date added', 'created', 'created at', 'highlighted at', 'дата', 'дата добавления']
+};
+
+/**
+ * Strip BOM and normalize line endings
+ * @param {string} content - Raw content
+ * @returns {string} Clean content
+ */
+function cleanContent(content) {
+  return String(content || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+}
+
+/**
+ * Convert "Фамилия, Имя" to "Имя Фамилия"
+ * @param {string} author - Author string
+ * @returns {string|null} Normalized author
+ */
+function normalizeAuthorName(author) {
+  const value = String(author || '').trim();
+  if (!value) return null;
+  const parts = value.split(',').map(p => p.trim()).filter(Boolean);
+  if (parts.length === 2 && !/\s/.test(parts[0])) {
+    return `${parts[1]} ${parts[0]}`;
+  }
+  return value;
+}
+
+/**
+ * Parse a date from Kindle metadata line ("Added on ..." / "Добавлено: ...")
+ * @param {string} line - Metadata line
+ * @returns {Date|null} Parsed date
+ */
+function parseKindleDate(line) {
+  const ru = line.match(/(\d{1,2})\s+([а-яё]+)\s+(\d{4})[^\d]*(\d{1,2}):(\d{2})(?::(\d{2}))?/i);
+  if (ru && RU_MONTHS[ru[2].toLowerCase()] !== undefined) {
+    const date = new Date(
+      parseInt(ru[3], 10), RU_MONTHS[ru[2].toLowerCase()], parseInt(ru[1], 10),
+      parseInt(ru[4], 10), parseInt(ru[5], 10), parseInt(ru[6] || '0', 10)
+    );
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  const en = line.match(/Added on\s+(?:\w+,\s*)?(.+)$/i);
+  if (en) {
+    const date = new Date(en[1].trim());
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  return null;
+}
+
+/**
+ * Parse Kindle "My Clippings.txt"
+ * Only highlights are imported; notes and bookmarks are skipped.
+ * @param {string} content - File content
+ * @returns {ImportedQuote[]} Parsed quotes
+ */
+function parseKindleClippings(content) {
+  const entries = cleanContent(content).split(KINDLE_SEPARATOR);
+  const quotes = [];
+
+  for (const entry of entries) {
+    const lines = entry.split('\n').map(l => l.replace(/^\uFEFF/, '').trim());
+    while (lines.length && !lines[0]) lines.shift();
+    if (lines.length < 3) continue;
+
+    const header = lines[0];
+    const meta = lines[1];
+    const text = lines.slice(2).join('\n').trim();
+
+    if (!meta.startsWith('-') || !text) continue;
+    if (/note|bookmark|заметка|закладка/i.test(meta)) continue;
+
+    let source = header;
+    let author = null;
+    const authorMatch = header.match(/^(.*)\(([^()]+)\)\s*$/);
+    if (authorMatch) {
+      source = authorMatch[1].trim();
+      author = normalizeAuthorName(authorMatch[2]);
+    }
+
+    quotes.push({
+      text,
+      author,
+      source: source || null,
+      createdAt: parseKindleDate(meta)
+    });
+  }
+
+  return quotes;
+}
+
+/**
+ * Detect CSV delimiter from header line
+ * @param {string} headerLine - First line of CSV
+ * @returns {string} Delimiter
+ */
+function detectDelimiter(headerLine) {
+  const candidates = [',', ';', '\t'];
+  let best = ',';
+  let bestCount = 0;
+  for (const delimiter of candidates) {
+    const count = headerLine.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * Split CSV content into rows (RFC 4180 quoting)
+ * @param {string} content - CSV content
+ * @param {string} delimiter - Field delimiter
+ * @returns {string[][]} Rows
+ */
+function splitCsvRows(content, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (content[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n') {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(cell => cell.trim()));
+}
+
+/**
+ * Find column index by candidate names
+ * @param {string[]} headers - Lowercased headers
+ * @param {string[]} names - Candidate names
+ * @returns {number} Column index or -1
+ */
+function findColumn(headers, names) {
+  return headers.findIndex(h => names.includes(h));
+}
+
+/**
+ * Parse Goodreads/Bookmate style CSV export
+ * @param {string} content - CSV content
+ * @returns {ImportedQuote[]} Parsed quotes
+ */
+function parseCsvQuotes(content) {
+  const clean = cleanContent(content);
+  const firstLine = clean.split('\n', 1)[0] || '';
+  const rows = splitCsvRows(clean, detectDelimiter(firstLine));
+  if (rows.length < 2) return [];
+
+  const headers = rows[0].map(h => h.trim().toLowerCase());
+  const columns = {
+    text: findColumn(headers, CSV_COLUMNS.text),
+    author: findColumn(headers, CSV_COLUMNS.author),
+    source: findColumn(headers, CSV_COLUMNS.source),
+    date: findColumn(headers, CSV_COLUMNS.date)
+  };
+
+  if (columns.text === -1) {
+    return [];
+  }
+
+  return rows.slice(1).map(row => {
+    const rawDate = columns.date !== -1 ? (row[columns.date] || '').trim() : '';
+    const date = rawDate ? new Date(rawDate.replace(/\//g, '-')) : null;
+    return {
+      text: (row[columns.text] || '').trim(),
+      author: columns.author !== -1 ? normalizeAuthorName(row[columns.author]) : null,
+      source: columns.source !== -1 ? ((row[columns.source] || '').trim() || null) : null,
+      createdAt: date && !isNaN(date.getTime()) ? date : null
+    };
+  }).filter(q => q.text);
+}
+
+/**
+ * Parse a single "text — author" entry
+ * Supports «text» — author, text (author) and an optional «Book» after the author.
+ * @param {string} entry - Entry text
+ * @returns {ImportedQuote} Parsed quote
+ */
+function parsePlainEntry(entry) {
+  let text = entry.trim();
+  let author = null;
+  let source = null;
+
+  const dashMatch = text.match(/^([\s\S]+?)\s+[—–-]\s+([^—–\n]+)$/);
+  const parenMatch = text.match(/^([\s\S]+?)\s*\(([^()]+)\)\s*$/);
+
+  if (dashMatch && dashMatch[2].trim().split(/\s+/).length <= MAX_AUTHOR_WORDS) {
+    text = dashMatch[1];
+    author = dashMatch[2];
+  } else if (parenMatch) {
+    text = parenMatch[1];
+    author = parenMatch[2];
+  }
+
+  if (author) {
+    const sourceMatch = author.match(/^(.*?),?\s*[«"]([^»"]+)[»"]\s*$/);
+    if (sourceMatch) {
+      author = sourceMatch[1];
+      source = sourceMatch[2].trim();
+    }
+    author = author.trim() || null;
+  }
+
+  text = text.trim().replace(/^[«"“]([\s\S]*)[»"”]$/, '$1').trim();
+
+  return { text, author, source, createdAt: null };
+}
+
+/**
+ * Parse free-form list of quotes
+ * Entries are separated by blank lines; without blank lines every line is an entry.
+ * @param {string} content - Text content
+ * @returns {ImportedQuote[]} Parsed quotes
+ */
+function parsePlainText(content) {
+  const clean = cleanContent(content).trim();
+  if (!clean) return [];
+
+  const entries = /\n\s*\n/.test(clean)
+    ? clean.split(/\n\s*\n/)
+    : clean.split('\n');
+
+  return entries
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(parsePlainEntry)
+    .filter(q => q.text);
+}
+
+/**
+ * Detect import format from content and filename
+ * @param {string} content - File content
+ * @param {string} [filename] - Original file name
+ * @returns {string} One of SUPPORTED_FORMATS
+ */
+function detectFormat(content, filename = '') {
+  const name = String(filename || '').toLowerCase();
+  const clean = cleanContent(content);
+
+  if (name.includes('clippings') || (KINDLE_SEPARATOR.test(clean) && /^-\s.*\|/m.test(clean))) {
+    return 'kindle';
+  }
+
+  if (name.endsWith('.csv')) {
+    return 'csv';
+  }
+
+  const header = (clean.split('\n', 1)[0] || '').toLowerCase();
+  const headerCells = header.split(detectDelimiter(header)).map(h => h.trim().replace(/^"|"$/g, ''));
+  if (headerCells.length > 1 && headerCells.some(h => CSV_COLUMNS.text.includes(h))) {
+    return 'csv';
+  }
+
+  return 'text';
+}
+
+/**
+ * Parse import content
+ * @param {string} content - File content
+ * @param {Object} [options] - Options
+ * @param {string} [options.format] - Explicit format (auto-detected if omitted)
+ * @param {string} [options.filename] - Original file name
+ * @returns {{format: string, quotes: ImportedQuote[]}} Detected format and quotes
+ */
+function parseImport(content, { format, filename } = {}) {
+  const resolvedFormat = SUPPORTED_FORMATS.includes(format) ? format : detectFormat(content, filename);
+
+  let quotes;
+  switch (resolvedFormat) {
+    case 'kindle':
+      quotes = parseKindleClippings(content);
+      break;
+    case 'csv':
+      quotes = parseCsvQuotes(content);
+      break;
+    default:
+      quotes = parsePlainText(content);
+  }
+
+  return { format: resolvedFormat, quotes };
+}
+
+module.exports = {
+  SUPPORTED_FORMATS,
+  parseImport,
+  detectFormat,
+  parseKindleClippings,
+  parseCsvQuotes,
+  parsePlainText,
+  parsePlainEntry
+};
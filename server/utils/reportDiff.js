@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Сравнение версий еженедельных отчетов (для side-by-side просмотра в админке)
+ * @description Пословный diff текстов (LCS) и сравнение списков тем/рекомендаций
+ */
+
+/**
+ * @typedef {Object} DiffSegment
+ * @property {'equal'|'added'|'removed'} type - Тип фрагмента
+ * @property {string} text - Текст фрагмента (с пробелами)
+ */
+
+/**
+ * Разбивает текст на слова, сохраняя пробелы и переносы отдельными токенами
+ * @param {string} text - Текст
+ * @returns {string[]} Токены
+ */
+function tokenize(text) {
+  return String(text || '').split(/(\s+)/).filter(token => token.length > 0);
+}
+
+/**
+ * Добавляет фрагмент, склеивая его с предыдущим того же типа
+ * @param {DiffSegment[]} segments - Фрагменты
+ * @param {DiffSegment['type']} type - Тип
+ * @param {string} text - Текст
+ */
+function pushSegment(segments, type, text) {
+  const last = segments[segments.length - 1];
+  if (last && last.type === type) {
+    last.text += text;
+  } else {
+    segments.push({ type, text });
+  }
+}
+
+/**
+ * Пословный diff двух текстов
+ * @param {string} before - Старый текст
+ * @param {string} after - Новый текст
+ * @returns {DiffSegment[]} Фрагменты в порядке чтения
+ */
+function diffWords(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  // lcs[i][j] - длина общей подпоследовательности a[i..] и b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const segments = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      pushSegment(segments, 'equal', a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      pushSegment(segments, 'removed', a[i++]);
+    } else {
+      pushSegment(segments, 'added', b[j++]);
+    }
+  }
+  while (i < a.length) pushSegment(segments, 'removed', a[i++]);
+  while (j < b.length) pushSegment(segments, 'added', b[j++]);
+
+  return segments;
+}
+
+/**
+ * Сравнение двух списков строк
+ * @param {string[]} [before=[]] - Старый список
+ * @param {string[]} [after=[]] - Новый список
+ * @returns {{added: string[], removed: string[], kept: string[]}}
+ */
+function diffLists(before = [], after = []) {
+  return {
+    added: after.filter(item => !before.includes(item)),
+    removed: before.filter(item => !after.includes(item)),
+    kept: after.filter(item => before.includes(item))
+  };
+}
+
+/**
+ * Сравнение двух версий недельного отчета
+ * @param {{analysis: Object, recommendations?: Array<Object>}} before - Старая версия
+ * @param {{analysis: Object, recommendations?: Array<Object>}} after - Новая версия
+ * @returns {Object} Различия по анализу и рекомендациям
+ */
+function diffWeeklyReports(before, after) {
+  const beforeAnalysis = before.analysis || {};
+  const afterAnalysis = after.analysis || {};
+  const recommendationKey = rec => rec.bookSlug || rec.title;
+
+  const insights = diffWords(beforeAnalysis.insights, afterAnalysis.insights);
+  const changedWords = insights
+    .filter(segment => segment.type !== 'equal')
+    .reduce((sum, segment) => sum + tokenize(segment.text).filter(token => token.trim()).length, 0);
+
+  return {
+    dominantThemes: diffLists(beforeAnalysis.dominantThemes, afterAnalysis.dominantThemes),
+    secondaryThemes: diffLists(beforeAnalysis.secondaryThemes, afterAnalysis.secondaryThemes),
+    emotionalTone: {
+      before: beforeAnalysis.emotionalTone || null,
+      after: afterAnalysis.emotionalTone || null,
+      changed: beforeAnalysis.emotionalTone !== afterAnalysis.emotionalTone
+    },
+    insights,
+    insightsStats: {
+      beforeLength: (beforeAnalysis.insights || '').length,
+      afterLength: (afterAnalysis.insights || '').length,
+      changedWords
+    },
+    recommendations: diffLists(
+      (before.recommendations || []).map(recommendationKey),
+      (after.recommendations || []).map(recommendationKey)
+    )
+  };
+}
+
+module.exports = {
+  diffWords,
+  diffLists,
+  diffWeeklyReports
+};
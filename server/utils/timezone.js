@@ -0,0 +1,177 @@
+/**
+ * @fileoverview IANA timezone helpers for per-user dates
+ * @description Дневные ключи, локальные часы и границы суток в часовом поясе пользователя.
+ * Работает через Intl без сторонних библиотек, учитывает переход на летнее время.
+ * @author Reader Bot Team
+ */
+
+/**
+ * Часовой пояс по умолчанию (бизнес-время проекта)
+ */
+const DEFAULT_TIMEZONE = process.env.BUSINESS_TIMEZONE || 'Europe/Moscow';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const DAY_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const formatterCache = new Map();
+
+/**
+ * Кэшированный форматтер для часового пояса
+ * @param {string} timezone - IANA timezone
+ * @returns {Intl.DateTimeFormat}
+ */
+function getFormatter(timezone) {
+  if (!formatterCache.has(timezone)) {
+    formatterCache.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatterCache.get(timezone);
+}
+
+/**
+ * Проверяет, что строка - корректный IANA часовой пояс
+ * @param {string} timezone - Например, 'Europe/Moscow'
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Возвращает корректный часовой пояс или значение по умолчанию
+ * @param {string} [timezone] - IANA timezone
+ * @returns {string}
+ */
+function normalizeTimezone(timezone) {
+  return isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+}
+
+/**
+ * Компоненты локального времени в часовом поясе
+ * @param {Date} date - Момент времени
+ * @param {string} timezone - IANA timezone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+function getZonedParts(date, timezone) {
+  const parts = {};
+  getFormatter(normalizeTimezone(timezone)).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = parseInt(value, 10);
+  });
+  return parts;
+}
+
+/**
+ * Смещение часового пояса относительно UTC в минутах для конкретного момента
+ * @param {string} timezone - IANA timezone
+ * @param {Date} [date=new Date()] - Момент времени (важен для летнего времени)
+ * @returns {number} Например, 180 для Europe/Moscow
+ */
+function getTimezoneOffsetMinutes(timezone, date = new Date()) {
+  const p = getZonedParts(date, timezone);
+  const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  const truncated = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((asUTC - truncated) / MINUTE_MS);
+}
+
+/**
+ * Сдвигает дату на смещение часового пояса (аналог toBusinessTimezone из isoWeek).
+ * Результат читается локальными геттерами при серверном времени в UTC.
+ * @param {Date} date - Момент времени
+ * @param {string} timezone - IANA timezone
+ * @returns {Date}
+ */
+function toTimezone(date, timezone) {
+  return new Date(date.getTime() + getTimezoneOffsetMinutes(timezone, date) * MINUTE_MS);
+}
+
+/**
+ * Ключ дня YYYY-MM-DD в часовом поясе
+ * @param {Date} [date=new Date()] - Момент времени
+ * @param {string} [timezone] - IANA timezone
+ * @returns {string}
+ */
+function getDayKey(date = new Date(), timezone = DEFAULT_TIMEZONE) {
+  const p = getZonedParts(date, timezone);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+/**
+ * Локальный час (0-23)
+ * @param {Date} [date=new Date()] - Момент времени
+ * @param {string} [timezone] - IANA timezone
+ * @returns {number}
+ */
+function getLocalHour(date = new Date(), timezone = DEFAULT_TIMEZONE) {
+  return getZonedParts(date, timezone).hour;
+}
+
+/**
+ * Локальный день недели (0 - воскресенье, 6 - суббота)
+ * @param {Date} [date=new Date()] - Момент времени
+ * @param {string} [timezone] - IANA timezone
+ * @returns {number}
+ */
+function getLocalWeekday(date = new Date(), timezone = DEFAULT_TIMEZONE) {
+  const p = getZonedParts(date, timezone);
+  return new Date(Date.UTC(p.year, p.month - 1, p.day)).getUTCDay();
+}
+
+/**
+ * UTC-момент локальной полуночи для ключа дня
+ * @param {string} dayKey - YYYY-MM-DD
+ * @param {string} [timezone] - IANA timezone
+ * @returns {Date}
+ */
+function getLocalMidnight(dayKey, timezone = DEFAULT_TIMEZONE) {
+  if (!DAY_KEY_PATTERN.test(dayKey)) {
+    throw new Error(`Invalid day key: ${dayKey}`);
+  }
+  const [year, month, day] = dayKey.split('-').map(Number);
+  const utcMidnight = Date.UTC(year, month - 1, day);
+  // Первое приближение смещением на полночь UTC, затем уточняем для дней с переводом часов
+  let result = utcMidnight - getTimezoneOffsetMinutes(timezone, new Date(utcMidnight)) * MINUTE_MS;
+  result = utcMidnight - getTimezoneOffsetMinutes(timezone, new Date(result)) * MINUTE_MS;
+  return new Date(result);
+}
+
+/**
+ * Границы локальных суток в UTC
+ * @param {string} dayKey - YYYY-MM-DD
+ * @param {string} [timezone] - IANA timezone
+ * @returns {{start: Date, end: Date}} end - последняя миллисекунда суток
+ */
+function getLocalDayRange(dayKey, timezone = DEFAULT_TIMEZONE) {
+  const start = getLocalMidnight(dayKey, timezone);
+  const [year, month, day] = dayKey.split('-').map(Number);
+  const nextKey = new Date(Date.UTC(year, month - 1, day) + DAY_MS).toISOString().slice(0, 10);
+  const end = new Date(getLocalMidnight(nextKey, timezone).getTime() - 1);
+  return { start, end };
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  normalizeTimezone,
+  getTimezoneOffsetMinutes,
+  toTimezone,
+  getDayKey,
+  getLocalHour,
+  getLocalWeekday,
+  getLocalMidnight,
+  getLocalDayRange
+};
@@ -3,6 +3,24 @@
  * @file server/utils/tokenCounter.js
  */
 
+/**
+ * Approximate pricing in USD per 1M tokens (by model name prefix)
+ * @type {Object<string, {input: number, output: number}>}
+ */
+const MODEL_PRICING = {
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'claude-3-sonnet': { input: 3, output: 15 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  // Локальный сценарный провайдер бесплатен
+  'scripted': { input: 0, output: 0 }
+};
+
 /**
  * Counts tokens in messages for Anthropic API
  * Uses a simple approximation since Anthropic doesn't provide a tokenizer library
@@ -169,33 +187,55 @@ class TokenCounter {
     };
   }
 
+  /**
+   * Pricing table in USD per 1M tokens, merged with AI_MODEL_PRICING overrides
+   * (JSON: {"gpt-4o": {"input": 2.5, "output": 10}})
+   * @returns {Object<string, {input: number, output: number}>} Pricing by model prefix
+   */
+  getPricing() {
+    if (!this._pricing) {
+      let overrides = {};
+      try {
+        overrides = process.env.AI_MODEL_PRICING ? JSON.parse(process.env.AI_MODEL_PRICING) : {};
+      } catch (error) {
+        overrides = {};
+      }
+      this._pricing = { ...MODEL_PRICING, ...overrides };
+    }
+    return this._pricing;
+  }
+
+  /**
+   * Find pricing for a model: exact name first, then the longest matching prefix
+   * ('claude-3-haiku-20240307' -> 'claude-3-haiku', 'gpt-4o-mini-2024-07-18' -> 'gpt-4o-mini')
+   * @param {string} model - Model name
+   * @returns {{input: number, output: number}|null} Pricing per 1M tokens or null if unknown
+   */
+  getModelPricing(model) {
+    const pricing = this.getPricing();
+    if (!model) {
+      return null;
+    }
+    if (pricing[model]) {
+      return pricing[model];
+    }
+    const prefix = Object.keys(pricing)
+      .filter(name => model.startsWith(name))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? pricing[prefix] : null;
+  }
+
   /**
    * Estimate cost for token usage (approximate)
    * @param {import('../types').TokenUsage} tokenUsage - Token usage statistics
-   * @param {string} [model] - Model name ('claude-3-haiku', 'claude-3-sonnet', etc.)
-   * @returns {number} Estimated cost in USD
+   * @param {string} [model] - Model name ('claude-3-haiku-20240307', 'gpt-4o-mini', etc.)
+   * @returns {number} Estimated cost in USD (unknown models are priced as claude-3-haiku)
    */
   estimateCost(tokenUsage, model = 'claude-3-haiku') {
-    // Pricing as of 2024 (approximate)
-    const pricing = {
-      'claude-3-haiku': {
-        input: 0.00025 / 1000,  // $0.25 per 1M input tokens
-        output: 0.00125 / 1000  // $1.25 per 1M output tokens
-      },
-      'claude-3-sonnet': {
-        input: 0.003 / 1000,    // $3 per 1M input tokens
-        output: 0.015 / 1000    // $15 per 1M output tokens
-      },
-      'claude-3-opus': {
-        input: 0.015 / 1000,    // $15 per 1M input tokens
-        output: 0.075 / 1000    // $75 per 1M output tokens
-      }
-    };
-    
-    const modelPricing = pricing[model] || pricing['claude-3-haiku'];
+    const modelPricing = this.getModelPricing(model) || MODEL_PRICING['claude-3-haiku'];
     
-    const inputCost = tokenUsage.inputTokens * modelPricing.input;
-    const outputCost = tokenUsage.outputTokens * modelPricing.output;
+    const inputCost = (tokenUsage.inputTokens || 0) * modelPricing.input / 1000000;
+    const outputCost = (tokenUsage.outputTokens || 0) * modelPricing.output / 1000000;
     
     return Number((inputCost + outputCost).toFixed(6));
   }
@@ -203,3 +243,4 @@ class TokenCounter {
 
 // Export singleton instance
 module.exports = new TokenCounter();
+module.exports.MODEL_PRICING = MODEL_PRICING;
@@ -9,6 +9,8 @@ const { MongoMemoryServer } = require('mongodb-memory-server');
 const express = require('express');
 const audioRoutes = require('../../server/api/audio');
 const AudioProgress = require('../../server/models/AudioProgress');
+const AudioCatalog = require('../../server/models/AudioCatalog');
+const audioService = require('../../server/services/audio/audioService');
 const UserEntitlement = require('../../server/models/UserEntitlement');
 const UserProfile = require('../../server/models/userProfile');
 
@@ -41,9 +43,30 @@ describe('Audio API Integration Tests', () => {
 
     // Create test user ID
     testUserId = new mongoose.Types.ObjectId();
+
+    // Seed audio catalog: default entries plus test fixtures
+    await AudioCatalog.createDefaultCatalog();
+    await AudioCatalog.create([
+      {
+        audioId: 'free-1',
+        title: 'Test free audio',
+        author: 'Test Author',
+        isFree: true,
+        tracks: [{ trackId: 'free-1-01', title: 'Полный разбор', file: 'free-1/01.mp3', durationSec: 600, order: 0 }]
+      },
+      {
+        audioId: 'premium-1',
+        title: 'Test premium audio',
+        author: 'Test Author',
+        isFree: false,
+        tracks: [{ trackId: 'premium-1-01', title: 'Часть 1', file: 'premium-1/01.mp3', order: 0 }]
+      }
+    ]);
+    audioService.invalidateCatalog();
   });
 
   afterAll(async () => {
+    await AudioCatalog.deleteMany({});
     await mongoose.disconnect();
     await mongoServer.stop();
   });
@@ -75,6 +98,37 @@ describe('Audio API Integration Tests', () => {
     });
   });
 
+  describe('GET /api/audio', () => {
+    it('should list free and paid catalog entries', async () => {
+      const response = await request(app)
+        .get('/api/audio')
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      const ids = response.body.audios.map(a => a.id);
+      expect(ids).toEqual(expect.arrayContaining(['malenkii_princ', 'alice_wonderland', 'free-1', 'premium-1']));
+
+      const alice = response.body.audios.find(a => a.id === 'alice_wonderland');
+      expect(alice.isFree).toBe(false);
+      expect(alice.requiresEntitlement).toBe(true);
+      expect(alice.trackCount).toBe(3);
+    });
+
+    it('should hide inactive entries', async () => {
+      await AudioCatalog.updateOne({ audioId: 'premium-1' }, { isActive: false });
+      audioService.invalidateCatalog();
+
+      const response = await request(app)
+        .get('/api/audio')
+        .expect(200);
+
+      expect(response.body.audios.map(a => a.id)).not.toContain('premium-1');
+
+      await AudioCatalog.updateOne({ audioId: 'premium-1' }, { isActive: true });
+      audioService.invalidateCatalog();
+    });
+  });
+
   describe('GET /api/audio/:id', () => {
     it('should return audio metadata for free audio', async () => {
       const response = await request(app)
@@ -100,14 +154,14 @@ describe('Audio API Integration Tests', () => {
     });
 
     it('should return unlocked=false for premium audio without entitlement', async () => {
-      // This test assumes we have a premium audio in the future
-      // For now, it just checks that non-free audio without entitlement is locked
       const response = await request(app)
         .get('/api/audio/premium-1')
         .query({ userId: testUserId.toString() })
-        .expect(404); // Will be 404 since premium-1 doesn't exist yet
+        .expect(200);
 
-      expect(response.body.success).toBe(false);
+      expect(response.body.success).toBe(true);
+      expect(response.body.audio.isFree).toBe(false);
+      expect(response.body.audio.unlocked).toBe(false);
     });
   });
 
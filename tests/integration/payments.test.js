@@ -0,0 +1,206 @@
+/**
+ * Integration tests for payment webhook → Purchase → UserEntitlement flow
+ * @file tests/integration/payments.test.js
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const express = require('express');
+const paymentsRoutes = require('../../server/api/payments');
+const Purchase = require('../../server/models/Purchase');
+const UserEntitlement = require('../../server/models/UserEntitlement');
+const UserProfile = require('../../server/models/userProfile');
+const { signPayload } = require('../../server/services/payments/paymentWebhookService');
+const succeededFixture = require('../fixtures/payments/payment-succeeded.json');
+const refundedFixture = require('../fixtures/payments/payment-refunded.json');
+const failedFixture = require('../fixtures/payments/payment-failed.json');
+
+// Mock the logger to avoid console output during tests
+jest.mock('../../server/utils/logger', () => {
+  const mockLogger = {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  };
+  return mockLogger;
+});
+
+const SECRET = 'test_webhook_secret';
+
+/**
+ * Send a fixture to the webhook, signed like the shop does
+ */
+function sendEvent(app, event, secret = SECRET) {
+  const body = JSON.stringify(event);
+  return request(app)
+    .post('/api/payments/webhook')
+    .set('Content-Type', 'application/json')
+    .set('X-Payment-Signature', signPayload(body, secret))
+    .send(body);
+}
+
+describe('Payment webhook integration', () => {
+  let app;
+  let mongoServer;
+  let user;
+
+  beforeAll(async () => {
+    process.env.PAYMENT_WEBHOOK_SECRET = SECRET;
+
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    app = express();
+    app.use(express.json({
+      verify: (req, res, buf) => {
+        req.rawBody = buf.toString('utf8');
+      }
+    }));
+    app.use('/api/payments', paymentsRoutes);
+  });
+
+  afterAll(async () => {
+    delete process.env.PAYMENT_WEBHOOK_SECRET;
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    user = await UserProfile.create({ userId: 'test_telegram_123', name: 'Test User' });
+  });
+
+  afterEach(async () => {
+    await Purchase.deleteMany({});
+    await UserEntitlement.deleteMany({});
+    await UserProfile.deleteMany({});
+  });
+
+  it('should record purchase and grant entitlements', async () => {
+    const response = await sendEvent(app, succeededFixture);
+
+    expect(response.status).toBe(200);
+    expect(response.body.duplicate).toBe(false);
+    expect(response.body.granted).toBe(2);
+
+    const purchase = await Purchase.findOne({ eventId: succeededFixture.id });
+    expect(purchase.status).toBe('completed');
+    expect(purchase.externalPaymentId).toBe('pay_test_001');
+    expect(purchase.userId.toString()).toBe(user._id.toString());
+
+    const entitlements = await UserEntitlement.find({ userId: user._id });
+    expect(entitlements.map(e => e.kind).sort()).toEqual(['audio', 'subscription']);
+    expect(entitlements.every(e => e.grantedBy === 'purchase' && e.expiresAt)).toBe(true);
+  });
+
+  it('should ignore replays of the same event', async () => {
+    await sendEvent(app, succeededFixture);
+    const replay = await sendEvent(app, succeededFixture);
+
+    expect(replay.status).toBe(200);
+    expect(replay.body.duplicate).toBe(true);
+    expect(await Purchase.countDocuments({})).toBe(1);
+  });
+
+  it('should revoke only purchased entitlements on refund', async () => {
+    await UserEntitlement.grant(user._id, 'audio', 'bonus_audio', { grantedBy: 'admin' });
+    await sendEvent(app, succeededFixture);
+
+    const response = await sendEvent(app, refundedFixture);
+    expect(response.status).toBe(200);
+    expect(response.body.revoked).toBe(2);
+
+    const purchase = await Purchase.findOne({ eventId: succeededFixture.id });
+    expect(purchase.status).toBe('refunded');
+
+    const remaining = await UserEntitlement.find({ userId: user._id });
+    expect(remaining.map(e => e.resourceId)).toEqual(['bonus_audio']);
+
+    const replay = await sendEvent(app, refundedFixture);
+    expect(replay.body.duplicate).toBe(true);
+  });
+
+  it('should extend a subscription renewed before expiry and refund only the renewal days', async () => {
+    const day = 24 * 60 * 60 * 1000;
+    const renewal = {
+      ...succeededFixture,
+      id: 'evt_test_renewal_001',
+      data: {
+        ...succeededFixture.data,
+        paymentId: 'pay_test_002',
+        amount: 500,
+        items: [{ kind: 'subscription', resourceId: 'reading_club', price: 500, durationDays: 30 }]
+      }
+    };
+
+    await sendEvent(app, succeededFixture);
+    await sendEvent(app, renewal);
+
+    const subscriptions = await UserEntitlement.find({ userId: user._id, kind: 'subscription' }).sort({ expiresAt: 1 });
+    expect(subscriptions).toHaveLength(2);
+    // Продление начинается с конца оплаченного периода, оставшиеся дни не теряются
+    expect(subscriptions[1].expiresAt - subscriptions[0].expiresAt).toBe(30 * day);
+    expect(subscriptions[1].expiresAt - Date.now()).toBeGreaterThan(59 * day);
+
+    const response = await sendEvent(app, {
+      ...refundedFixture,
+      id: 'evt_test_refunded_002',
+      data: { ...refundedFixture.data, paymentId: 'pay_test_002', amount: 500 }
+    });
+    expect(response.body.revoked).toBe(1);
+
+    const remaining = await UserEntitlement.find({ userId: user._id, kind: 'subscription' });
+    expect(remaining).toHaveLength(1);
+    expect(remaining[0].expiresAt.getTime()).toBe(subscriptions[0].expiresAt.getTime());
+  });
+
+  it('should keep a promo grant of the same subscription on refund', async () => {
+    const day = 24 * 60 * 60 * 1000;
+    const promoExpiresAt = new Date(Date.now() + 7 * day);
+    await UserEntitlement.grant(user._id, 'subscription', 'reading_club', {
+      expiresAt: promoExpiresAt,
+      grantedBy: 'promo',
+      metadata: { promoCode: 'READER7' }
+    });
+
+    await sendEvent(app, succeededFixture);
+
+    const purchased = await UserEntitlement.findOne({ userId: user._id, kind: 'subscription', grantedBy: 'purchase' });
+    expect(purchased.expiresAt.getTime()).toBe(promoExpiresAt.getTime() + 30 * day);
+
+    const response = await sendEvent(app, refundedFixture);
+    expect(response.body.revoked).toBe(2);
+
+    const remaining = await UserEntitlement.find({ userId: user._id });
+    expect(remaining).toHaveLength(1);
+    expect(remaining[0].grantedBy).toBe('promo');
+    expect(remaining[0].metadata).toEqual({ promoCode: 'READER7' });
+    expect(remaining[0].expiresAt.getTime()).toBe(promoExpiresAt.getTime());
+  });
+
+  it('should record failed payments without granting access', async () => {
+    const response = await sendEvent(app, failedFixture);
+
+    expect(response.status).toBe(200);
+    expect(response.body.status).toBe('failed');
+    expect(await UserEntitlement.countDocuments({ userId: user._id })).toBe(0);
+  });
+
+  it('should reject invalid signatures', async () => {
+    const response = await sendEvent(app, succeededFixture, 'wrong_secret');
+
+    expect(response.status).toBe(401);
+    expect(await Purchase.countDocuments({})).toBe(0);
+  });
+
+  it('should reject events for unknown users', async () => {
+    const response = await sendEvent(app, {
+      ...succeededFixture,
+      id: 'evt_unknown_user',
+      data: { ...succeededFixture.data, userId: 'nobody' }
+    });
+
+    expect(response.status).toBe(422);
+  });
+});
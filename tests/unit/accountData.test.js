@@ -0,0 +1,185 @@
+/**
+ * Unit tests for reader data export and account deletion with grace period
+ * @file tests/unit/accountData.test.js
+ */
+
+jest.mock('../../server/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../server/services/quoteSimilarityService', () => ({
+  enabled: true,
+  removeQuote: jest.fn(async () => true)
+}));
+
+const JSZip = require('jszip');
+const UserProfile = require('../../server/models/userProfile');
+const PhotoPost = require('../../server/models/PhotoPost');
+const PhotoComment = require('../../server/models/PhotoComment');
+const QuoteExport = require('../../server/models/QuoteExport');
+const Purchase = require('../../server/models/Purchase');
+const Ticket = require('../../server/models/ticket');
+const ExperimentExposure = require('../../server/models/ExperimentExposure');
+const Quote = require('../../server/models/quote');
+const quoteSimilarityService = require('../../server/services/quoteSimilarityService');
+const accountDataService = require('../../server/services/accountDataService');
+const { config } = require('../../server/config');
+
+const { EXPORT_SECTIONS, DELETION_STEPS } = accountDataService;
+
+const now = new Date('2026-05-15T12:00:00Z');
+const profile = { _id: '665f1c2b9d3e4a0012345678', userId: '123', name: 'Анна', avatarUrl: null };
+
+/**
+ * Mongoose query stub: chainable find().sort().select().limit().lean()
+ */
+const query = value => {
+  const chain = {
+    sort: () => chain,
+    select: () => chain,
+    limit: () => chain,
+    lean: () => Promise.resolve(value)
+  };
+  return chain;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('buildAccountExport', () => {
+  it('should bundle every section and a manifest into a zip', async () => {
+    jest.spyOn(UserProfile, 'findOne').mockReturnValue(query(profile));
+    EXPORT_SECTIONS.filter(section => !section.single).forEach(section => {
+      jest.spyOn(section.model, 'find').mockReturnValue(query(section.name === 'quotes' ? [{ text: 'Цитата' }] : []));
+    });
+
+    const result = await accountDataService.buildAccountExport('123', { now });
+    const zip = await JSZip.loadAsync(result.buffer);
+    const manifest = JSON.parse(await zip.file('manifest.json').async('string'));
+
+    expect(result.filename).toBe('reader-data-123-2026-05-15.zip');
+    expect(Object.keys(zip.files).sort()).toEqual([...EXPORT_SECTIONS.map(section => `${section.name}.json`), 'manifest.json'].sort());
+    expect(JSON.parse(await zip.file('quotes.json').async('string'))).toEqual([{ text: 'Цитата' }]);
+    expect(manifest).toEqual(expect.objectContaining({ userId: '123', exportedAt: now.toISOString() }));
+    expect(manifest.counts).toEqual(expect.objectContaining({ profile: 1, quotes: 1, covers: 0, experiment_exposures: 0 }));
+  });
+
+  it('should look up profile-linked models by profile _id', () => {
+    const audio = EXPORT_SECTIONS.find(section => section.name === 'audio_progress');
+    expect(audio.filter('123', profile)).toEqual({ userId: profile._id });
+  });
+
+  it('should return null for unknown readers', async () => {
+    jest.spyOn(UserProfile, 'findOne').mockReturnValue(query(null));
+    await expect(accountDataService.buildAccountExport('404')).resolves.toBeNull();
+  });
+});
+
+describe('account deletion requests', () => {
+  it('should schedule deletion after the grace period and deactivate the profile', async () => {
+    jest.spyOn(UserProfile, 'findOne').mockReturnValue(query({ userId: '123', deletion: null }));
+    const updateOne = jest.spyOn(UserProfile, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const status = await accountDataService.requestAccountDeletion('123', { now, reason: 'Не пользуюсь' });
+
+    const scheduledFor = new Date(now.getTime() + config.accountDeletion.graceDays * 24 * 60 * 60 * 1000);
+    expect(status).toEqual({ scheduled: true, requestedAt: now, scheduledFor, graceDays: config.accountDeletion.graceDays });
+    expect(updateOne).toHaveBeenCalledWith(
+      { userId: '123' },
+      { $set: { deletion: { requestedAt: now, scheduledFor, reason: 'Не пользуюсь' }, isActive: false } }
+    );
+  });
+
+  it('should not move an already scheduled deletion', async () => {
+    const deletion = { requestedAt: now, scheduledFor: new Date('2026-05-29T12:00:00Z') };
+    jest.spyOn(UserProfile, 'findOne').mockReturnValue(query({ userId: '123', deletion }));
+    const updateOne = jest.spyOn(UserProfile, 'updateOne');
+
+    const status = await accountDataService.requestAccountDeletion('123', { now: new Date('2026-05-20T00:00:00Z') });
+
+    expect(status.scheduledFor).toEqual(deletion.scheduledFor);
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+
+  it('should cancel a pending deletion and reactivate the profile', async () => {
+    const updateOne = jest.spyOn(UserProfile, 'updateOne')
+      .mockResolvedValueOnce({ modifiedCount: 1 })
+      .mockResolvedValueOnce({ modifiedCount: 0 });
+
+    await expect(accountDataService.cancelAccountDeletion('123')).resolves.toBe(true);
+    await expect(accountDataService.cancelAccountDeletion('123')).resolves.toBe(false);
+
+    expect(updateOne).toHaveBeenCalledWith(
+      { userId: '123', 'deletion.scheduledFor': { $ne: null } },
+      { $set: { deletion: null, isActive: true } }
+    );
+  });
+});
+
+describe('purgeAccount', () => {
+  beforeEach(() => {
+    jest.spyOn(UserProfile, 'findOne').mockReturnValue(query(profile));
+    jest.spyOn(UserProfile, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(PhotoPost, 'find').mockReturnValue(query([{ _id: 'post-1', imageUrl: '/uploads/covers/missing.jpg' }]));
+    jest.spyOn(PhotoPost, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(PhotoPost, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(PhotoComment, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(QuoteExport, 'find').mockReturnValue(query([]));
+    jest.spyOn(QuoteExport, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+    jest.spyOn(Quote, 'find').mockReturnValue(query([{ _id: 'quote-1' }, { _id: 'quote-2' }]));
+    quoteSimilarityService.removeQuote.mockClear();
+    DELETION_STEPS.forEach(step => {
+      jest.spyOn(step.model, step.update ? 'updateMany' : 'deleteMany').mockResolvedValue({ deletedCount: 2, modifiedCount: 1 });
+    });
+  });
+
+  it('should delete personal content and anonymize retained records', async () => {
+    const stats = await accountDataService.purgeAccount('123');
+
+    expect(stats).toEqual(expect.objectContaining({ covers: 1, quotes: 2, follows: 2, purchases: 1, tickets: 1, profile: 1 }));
+    expect(PhotoComment.deleteMany).toHaveBeenCalledWith({ postId: { $in: ['post-1'] } });
+    expect(UserProfile.deleteOne).toHaveBeenCalledWith({ _id: profile._id });
+
+    const [purchaseFilter, purchaseUpdate] = Purchase.updateMany.mock.calls[0];
+    expect(purchaseFilter).toEqual({ userId: profile._id });
+    expect(purchaseUpdate.$set.userId).not.toEqual(profile._id);
+
+    const [, ticketUpdate] = Ticket.updateMany.mock.calls[0];
+    expect(ticketUpdate.$set.userId).toMatch(/^deleted_[0-9a-f]{16}$/);
+    expect(ticketUpdate.$unset).toEqual({ email: 1 });
+
+    const [exposureFilter, exposureUpdate] = ExperimentExposure.updateMany.mock.calls[0];
+    expect(exposureFilter).toEqual({ userId: '123' });
+    expect(exposureUpdate.$set.userId).toBe(ticketUpdate.$set.userId);
+  });
+
+  it('should remove the deleted quotes from the similarity index', async () => {
+    const stats = await accountDataService.purgeAccount('123');
+
+    expect(Quote.find).toHaveBeenCalledWith({ userId: '123' });
+    expect(quoteSimilarityService.removeQuote.mock.calls).toEqual([['quote-1'], ['quote-2']]);
+    expect(stats.similarityIndex).toBe(2);
+  });
+
+  it('should remove the reader likes from other covers', async () => {
+    await accountDataService.purgeAccount('123');
+
+    expect(PhotoPost.updateMany).toHaveBeenCalledWith(
+      { likedBy: '123' },
+      { $pull: { likedBy: '123' }, $inc: { likesCount: -1 } }
+    );
+  });
+
+  it('should purge only accounts past their grace period', async () => {
+    const find = jest.spyOn(UserProfile, 'find').mockReturnValue(query([{ userId: '123' }]));
+
+    const result = await accountDataService.processDueDeletions({ now });
+
+    expect(find).toHaveBeenCalledWith({ 'deletion.scheduledFor': { $lte: now } });
+    expect(result).toEqual({ processed: 1, failed: 0 });
+  });
+});
@@ -0,0 +1,249 @@
+/**
+ * Unit tests for DB-backed achievements: evaluation, visibility, rarity and backfill
+ * @file tests/unit/achievements.test.js
+ */
+
+jest.mock('../../server/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../server/services/gamification/badgesService', () => ({
+  countBookFramePhotos: jest.fn().mockResolvedValue(0),
+  countFollows: jest.fn().mockResolvedValue(0),
+  countLikesGivenToOthers: jest.fn().mockResolvedValue(0)
+}));
+
+const Achievement = require('../../server/models/Achievement');
+const AchievementUnlock = require('../../server/models/AchievementUnlock');
+const Quote = require('../../server/models/quote');
+const UserProfile = require('../../server/models/userProfile');
+const badgesService = require('../../server/services/gamification/badgesService');
+const AchievementService = require('../../server/services/achievementService');
+const { DEFAULT_ACHIEVEMENTS } = require('../../server/config/achievements');
+
+const { METRIC_EVALUATORS, evaluateAchievement } = AchievementService;
+
+const now = new Date('2026-05-15T12:00:00Z');
+
+/**
+ * Mongoose query stub: chainable find().sort().skip().select().lean()
+ */
+const query = value => {
+  const chain = {
+    sort: () => chain,
+    skip: () => chain,
+    select: () => chain,
+    lean: () => Promise.resolve(value)
+  };
+  return chain;
+};
+
+/**
+ * Quote.countDocuments by filter shape
+ */
+const mockQuoteCounts = ({ total = 0, classics = 0, own = 0 }) => {
+  jest.spyOn(Quote, 'countDocuments').mockImplementation(async filter => {
+    if (filter.author) return classics;
+    if (filter.$or) return own;
+    return total;
+  });
+};
+
+describe('Default achievement definitions', () => {
+  it('should pass model validation and have unique ids', async () => {
+    const ids = DEFAULT_ACHIEVEMENTS.map(definition => definition.achievementId);
+    expect(new Set(ids).size).toBe(ids.length);
+
+    for (const definition of DEFAULT_ACHIEVEMENTS) {
+      await expect(new Achievement(definition).validate()).resolves.toBeUndefined();
+    }
+  });
+
+  it('should have an evaluator for every non-manual type', () => {
+    const types = Achievement.ACHIEVEMENT_TYPES.filter(type => type !== 'manual');
+    expect(Object.keys(METRIC_EVALUATORS).sort()).toEqual([...types].sort());
+  });
+
+  it('should map rarity percent to levels', () => {
+    expect(Achievement.getRarityLevel(null)).toBeNull();
+    expect(Achievement.getRarityLevel(0.5)).toEqual({ level: 'legendary', label: 'Легендарное' });
+    expect(Achievement.getRarityLevel(5)).toEqual({ level: 'epic', label: 'Эпическое' });
+    expect(Achievement.getRarityLevel(12.5).level).toBe('rare');
+    expect(Achievement.getRarityLevel(73).level).toBe('common');
+  });
+});
+
+describe('evaluateAchievement', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const monthlyConsistent = {
+    id: 'monthly_consistent',
+    type: 'days_with_bot',
+    targetValue: 30,
+    requirements: [{ type: 'quotes_count', targetValue: 15 }]
+  };
+
+  it('should require every additional condition', async () => {
+    const user = { registeredAt: new Date('2026-04-01T12:00:00Z') };
+    mockQuoteCounts({ total: 10 });
+
+    const result = await evaluateAchievement('123', monthlyConsistent, { user, now, cache: new Map() });
+
+    expect(result).toEqual({ current: 44, completed: false, values: { days_with_bot: 44, quotes_count: 10 } });
+
+    Quote.countDocuments.mockResolvedValue(15);
+    expect((await evaluateAchievement('123', monthlyConsistent, { user, now })).completed).toBe(true);
+  });
+
+  it('should count each metric once per check', async () => {
+    mockQuoteCounts({ total: 30 });
+    const context = { user: {}, now, cache: new Map() };
+
+    await evaluateAchievement('123', { type: 'quotes_count', targetValue: 1 }, context);
+    await evaluateAchievement('123', { type: 'quotes_count', targetValue: 25 }, context);
+
+    expect(Quote.countDocuments).toHaveBeenCalledTimes(1);
+  });
+
+  it('should use badgesService counters for community metrics', async () => {
+    badgesService.countLikesGivenToOthers.mockResolvedValueOnce(12);
+
+    const result = await evaluateAchievement('123', { type: 'likes_given', targetValue: 10 }, { now });
+
+    expect(badgesService.countLikesGivenToOthers).toHaveBeenCalledWith('123');
+    expect(result.completed).toBe(true);
+  });
+
+  it('should never complete manual achievements', async () => {
+    const result = await evaluateAchievement('123', { type: 'manual', targetValue: 1 }, { now });
+    expect(result.completed).toBe(false);
+  });
+});
+
+describe('AchievementService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new AchievementService();
+    mockQuoteCounts({ total: 3 });
+    jest.spyOn(Quote, 'distinct').mockResolvedValue(['Любовь']);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should hide hidden achievements and mask secret ones until unlocked', async () => {
+    service.achievements.find(a => a.id === 'first_quote').rarity = { percent: 82.4 };
+    jest.spyOn(UserProfile, 'findOne').mockResolvedValue({
+      registeredAt: now,
+      statistics: { currentStreak: 2 },
+      achievements: [{ achievementId: 'first_quote', unlockedAt: now }]
+    });
+
+    const progress = await service.getUserAchievementProgress('123');
+    const byId = Object.fromEntries(progress.map(item => [item.id, item]));
+
+    expect(byId.thousand_quotes).toBeUndefined();
+    expect(byId.year_reader).toEqual(expect.objectContaining({ isSecret: true, name: 'Секретное достижение', icon: '❔', currentValue: 2 }));
+    expect(byId.first_quote).toEqual(expect.objectContaining({
+      isUnlocked: true,
+      progress: 100,
+      rarity: { percent: 82.4, level: 'common', label: 'Обычное' }
+    }));
+    expect(byId.wisdom_collector).toEqual(expect.objectContaining({ isUnlocked: false, currentValue: 3, progress: 12, rarity: null }));
+  });
+
+  it('should unlock completed achievements and record history', async () => {
+    const addAchievement = jest.fn();
+    jest.spyOn(UserProfile, 'findOne').mockResolvedValue({
+      registeredAt: now,
+      statistics: { currentStreak: 0 },
+      achievements: [],
+      addAchievement
+    });
+    const record = jest.spyOn(AchievementUnlock, 'record').mockResolvedValue(true);
+
+    const unlocked = await service.checkAndUnlockAchievements('123');
+
+    expect(unlocked.map(a => a.id)).toEqual(['first_quote']);
+    expect(addAchievement).toHaveBeenCalledWith('first_quote');
+    expect(record).toHaveBeenCalledWith('123', 'first_quote', { tier: 'bronze', source: 'live', value: 3 });
+  });
+
+  it('should compute rarity as a share of onboarded readers', async () => {
+    jest.spyOn(UserProfile, 'countDocuments').mockResolvedValue(200);
+    jest.spyOn(UserProfile, 'aggregate').mockResolvedValue([{ _id: 'first_quote', count: 150 }, { _id: 'alice', count: 1 }]);
+    jest.spyOn(Achievement, 'find').mockReturnValue(query([{ achievementId: 'first_quote' }, { achievementId: 'alice' }, { achievementId: 'year_reader' }]));
+    const bulkWrite = jest.spyOn(Achievement, 'bulkWrite').mockResolvedValue({});
+
+    const result = await service.refreshRarity();
+
+    expect(UserProfile.countDocuments).toHaveBeenCalledWith({ isOnboardingComplete: true });
+    expect(result).toEqual({ readersCount: 200, achievements: { first_quote: 75, alice: 0.5, year_reader: 0 } });
+    expect(bulkWrite.mock.calls[0][0][1].updateOne.update.$set.rarity).toEqual(expect.objectContaining({ unlockedCount: 1, readersCount: 200, percent: 0.5 }));
+  });
+
+  it('should backfill history and estimate unlock dates from quotes', async () => {
+    const registeredAt = new Date('2026-01-01T00:00:00Z');
+    const firstQuoteAt = new Date('2026-01-03T10:00:00Z');
+    jest.spyOn(UserProfile, 'findOne').mockResolvedValue({
+      registeredAt,
+      statistics: { currentStreak: 0 },
+      achievements: [{ achievementId: 'alice', unlockedAt: registeredAt }]
+    });
+    jest.spyOn(AchievementUnlock, 'find').mockReturnValue(query([]));
+    jest.spyOn(Quote, 'findOne').mockReturnValue(query({ createdAt: firstQuoteAt }));
+    const updateOne = jest.spyOn(UserProfile, 'updateOne').mockResolvedValue({});
+    const record = jest.spyOn(AchievementUnlock, 'record').mockResolvedValue(true);
+
+    const result = await service.backfillUser('123', { now });
+
+    expect(result).toEqual({ recorded: 1, unlocked: ['first_quote'] });
+    expect(record).toHaveBeenCalledWith('123', 'alice', { tier: 'gold', source: 'profile', unlockedAt: registeredAt });
+    expect(record).toHaveBeenCalledWith('123', 'first_quote', { tier: 'bronze', source: 'backfill', value: 3, unlockedAt: firstQuoteAt });
+    expect(updateOne).toHaveBeenCalledWith(
+      { userId: '123', 'achievements.achievementId': { $ne: 'first_quote' } },
+      { $push: { achievements: { achievementId: 'first_quote', unlockedAt: firstQuoteAt } } }
+    );
+  });
+
+  it('should not write anything on dry run', async () => {
+    jest.spyOn(UserProfile, 'findOne').mockResolvedValue({ registeredAt: now, statistics: {}, achievements: [] });
+    jest.spyOn(AchievementUnlock, 'find').mockReturnValue(query([]));
+    const updateOne = jest.spyOn(UserProfile, 'updateOne');
+    const record = jest.spyOn(AchievementUnlock, 'record');
+
+    const result = await service.backfillUser('123', { now, dryRun: true });
+
+    expect(result.unlocked).toEqual(['first_quote']);
+    expect(updateOne).not.toHaveBeenCalled();
+    expect(record).not.toHaveBeenCalled();
+  });
+});
+
+describe('AchievementUnlock.record', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should insert once and report whether the record is new', async () => {
+    const updateOne = jest.spyOn(AchievementUnlock, 'updateOne')
+      .mockResolvedValueOnce({ upsertedCount: 1 })
+      .mockResolvedValueOnce({ upsertedCount: 0 });
+
+    await expect(AchievementUnlock.record('123', 'alice', { source: 'badge', unlockedAt: now })).resolves.toBe(true);
+    await expect(AchievementUnlock.record('123', 'alice', { source: 'badge' })).resolves.toBe(false);
+
+    expect(updateOne.mock.calls[0]).toEqual([
+      { userId: '123', achievementId: 'alice' },
+      { $setOnInsert: { userId: '123', achievementId: 'alice', tier: null, source: 'badge', value: null, unlockedAt: now } },
+      { upsert: true }
+    ]);
+  });
+});
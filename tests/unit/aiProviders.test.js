@@ -0,0 +1,255 @@
+/**
+ * Unit tests for the AI provider registry, scripted local provider and services routed through it
+ * @file tests/unit/aiProviders.test.js
+ */
+
+jest.mock('../../server/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../server/services/promptService', () => ({
+  getActivePrompt: jest.fn().mockRejectedValue(new Error('Prompt not found')),
+  getDefaultPrompt: jest.fn().mockReturnValue('Default prompt')
+}));
+
+const path = require('path');
+const { getAIRoutingConfig } = require('../../server/config/aiProvider');
+const aiProviders = require('../../server/services/ai');
+const { AIProviderRegistry, AI_FEATURES, isRetryableError } = aiProviders;
+const LocalProvider = require('../../server/services/ai/localProvider');
+
+const SCRIPT_PATH = path.join(__dirname, '../fixtures/ai/local-script.json');
+
+describe('getAIRoutingConfig', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  it('should parse per-feature routes', () => {
+    process.env.AI_ROUTE_QUOTE_ANALYSIS = 'openai:gpt-4o-mini';
+    process.env.AI_ROUTE_WEEKLY_REPORT = 'anthropic';
+    process.env.AI_ROUTE_MONTHLY_REPORT = 'local:custom:v2';
+
+    const { routes } = getAIRoutingConfig();
+
+    expect(routes.quote_analysis).toEqual({ provider: 'openai', model: 'gpt-4o-mini' });
+    expect(routes.weekly_report).toEqual({ provider: 'claude', model: undefined });
+    expect(routes.monthly_report).toEqual({ provider: 'local', model: 'custom:v2' });
+    expect(routes.chat).toBeUndefined();
+  });
+
+  it('should route import categorization like quote analysis unless configured', () => {
+    process.env.AI_ROUTE_QUOTE_ANALYSIS = 'openai:gpt-4o-mini';
+    expect(getAIRoutingConfig().routes.quote_import).toEqual({ provider: 'openai', model: 'gpt-4o-mini' });
+
+    process.env.AI_ROUTE_QUOTE_IMPORT = 'local';
+    expect(getAIRoutingConfig().routes.quote_import).toEqual({ provider: 'local', model: undefined });
+  });
+
+  it('should read timeout and retry settings', () => {
+    process.env.AI_TIMEOUT_MS = '5000';
+    process.env.AI_MAX_RETRIES = '0';
+
+    const config = getAIRoutingConfig();
+
+    expect(config.timeoutMs).toBe(5000);
+    expect(config.maxRetries).toBe(0);
+    expect(config.retryDelayMs).toBe(1000);
+  });
+});
+
+describe('LocalProvider', () => {
+  it('should answer with default JSON for known features', async () => {
+    const provider = new LocalProvider();
+
+    const result = await provider.complete({
+      feature: AI_FEATURES.QUOTE_ANALYSIS,
+      messages: [{ role: 'user', content: 'Цитата' }]
+    });
+
+    expect(JSON.parse(result.text).category).toBe('ПОИСК СЕБЯ');
+    expect(result.model).toBe('scripted-v1');
+    expect(result.usage.totalTokens).toBe(result.usage.inputTokens + result.usage.outputTokens);
+  });
+
+  it('should load rules from a script file and match by feature and text', async () => {
+    const provider = new LocalProvider({ scriptPath: SCRIPT_PATH });
+
+    const love = await provider.complete({
+      feature: AI_FEATURES.QUOTE_ANALYSIS,
+      messages: [{ role: 'user', content: 'Цитата: "Любовь долготерпит"' }]
+    });
+    const other = await provider.complete({
+      feature: AI_FEATURES.QUOTE_ANALYSIS,
+      messages: [{ role: 'user', content: 'Цитата: "Время лечит"' }]
+    });
+
+    expect(JSON.parse(love.text).category).toBe('ЛЮБОВЬ');
+    expect(JSON.parse(other.text).category).toBe('ПОИСК СЕБЯ');
+    expect(provider.calls).toHaveLength(2);
+  });
+
+  it('should support regex rules limited by times', async () => {
+    const provider = new LocalProvider({
+      script: [{ match: '/^ping$/i', response: 'pong', times: 1 }]
+    });
+
+    const first = await provider.complete({ messages: [{ role: 'user', content: 'PING' }] });
+    const second = await provider.complete({ messages: [{ role: 'user', content: 'PING' }] });
+
+    expect(first.text).toBe('pong');
+    expect(second.text).toBe('[local] PING');
+  });
+});
+
+describe('AIProviderRegistry', () => {
+  const originalEnv = { ...process.env };
+  let registry;
+
+  beforeEach(() => {
+    process.env.AI_PROVIDER = 'local';
+    process.env.AI_RETRY_DELAY_MS = '1';
+    delete process.env.AI_MAX_RETRIES;
+    delete process.env.AI_TIMEOUT_MS;
+    registry = new AIProviderRegistry();
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  it('should route features to their provider and model', async () => {
+    process.env.AI_ROUTE_WEEKLY_REPORT = 'local:strong-model';
+    registry.reset();
+
+    expect(registry.resolveRoute(AI_FEATURES.QUOTE_ANALYSIS)).toEqual({ provider: 'local', model: 'scripted-v1' });
+    expect(registry.resolveRoute(AI_FEATURES.WEEKLY_REPORT)).toEqual({ provider: 'local', model: 'strong-model' });
+
+    const result = await registry.complete(AI_FEATURES.WEEKLY_REPORT, {
+      messages: [{ role: 'user', content: 'Анализ недели' }]
+    });
+
+    expect(result.provider).toBe('local');
+    expect(result.model).toBe('strong-model');
+    expect(result.feature).toBe(AI_FEATURES.WEEKLY_REPORT);
+    expect(result.attempts).toBe(1);
+  });
+
+  it('should report providers without credentials as unavailable', async () => {
+    delete process.env.OPENAI_API_KEY;
+    process.env.AI_ROUTE_CHAT = 'openai';
+    registry.reset();
+
+    expect(registry.isAvailable(AI_FEATURES.CHAT)).toBe(false);
+    expect(registry.isAvailable(AI_FEATURES.QUOTE_ANALYSIS)).toBe(true);
+    await expect(registry.complete(AI_FEATURES.CHAT, { messages: [{ role: 'user', content: 'Hi' }] }))
+      .rejects.toMatchObject({ code: 'AI_PROVIDER_UNAVAILABLE' });
+  });
+
+  it('should retry transient errors', async () => {
+    registry.setProvider('local', new LocalProvider({
+      script: [
+        { error: { status: 429, message: 'Rate limited' }, times: 2 },
+        { response: 'ok' }
+      ]
+    }));
+
+    const result = await registry.complete(AI_FEATURES.CHAT, { messages: [{ role: 'user', content: 'Hi' }] });
+
+    expect(result.text).toBe('ok');
+    expect(result.attempts).toBe(3);
+  });
+
+  it('should not retry client errors', async () => {
+    const provider = new LocalProvider({ script: [{ error: { status: 400, message: 'Bad request' } }] });
+    registry.setProvider('local', provider);
+
+    await expect(registry.complete(AI_FEATURES.CHAT, { messages: [{ role: 'user', content: 'Hi' }] }))
+      .rejects.toMatchObject({ message: 'Bad request', attempts: 1 });
+    expect(provider.calls).toHaveLength(1);
+  });
+
+  it('should time out slow attempts and retry them', async () => {
+    const provider = new LocalProvider({
+      script: [
+        { delayMs: 200, response: 'late', times: 1 },
+        { response: 'fast' }
+      ]
+    });
+    registry.setProvider('local', provider);
+
+    const result = await registry.complete(AI_FEATURES.CHAT, {
+      messages: [{ role: 'user', content: 'Hi' }],
+      timeoutMs: 20
+    });
+
+    expect(result.text).toBe('fast');
+    expect(result.attempts).toBe(2);
+  });
+
+  it('should classify retryable errors', () => {
+    expect(isRetryableError({ status: 503 })).toBe(true);
+    expect(isRetryableError({ status: 429 })).toBe(true);
+    expect(isRetryableError({ status: 401 })).toBe(false);
+    expect(isRetryableError({ code: 'ETIMEDOUT' })).toBe(true);
+    expect(isRetryableError(new TypeError('boom'))).toBe(false);
+  });
+});
+
+describe('Services routed through the registry', () => {
+  const originalProvider = process.env.AI_PROVIDER;
+
+  beforeAll(() => {
+    aiProviders.reset();
+    process.env.AI_PROVIDER = 'local';
+    aiProviders.setProvider('local', new LocalProvider({ scriptPath: SCRIPT_PATH }));
+  });
+
+  afterAll(() => {
+    if (originalProvider === undefined) {
+      delete process.env.AI_PROVIDER;
+    } else {
+      process.env.AI_PROVIDER = originalProvider;
+    }
+    aiProviders.reset();
+  });
+
+  it('should analyze quotes with the scripted provider', async () => {
+    const QuoteHandler = require('../../server/services/quoteHandler');
+    const handler = new QuoteHandler();
+    handler.Category = null;
+
+    const analysis = await handler._analyzeQuote('Любовь долготерпит, милосердствует', 'Апостол Павел');
+
+    expect(analysis.category).toBe('ЛЮБОВЬ');
+    expect(analysis.sentiment).toBe('positive');
+    expect(aiProviders.getProvider('local').calls.pop().feature).toBe(AI_FEATURES.QUOTE_ANALYSIS);
+  });
+
+  it('should generate weekly analysis without network access', async () => {
+    const WeeklyReportService = require('../../server/services/weeklyReportService');
+    const service = new WeeklyReportService();
+
+    const analysis = await service.analyzeWeeklyQuotes(
+      [{ text: 'Любовь долготерпит', author: 'Апостол Павел' }],
+      { userId: 'u1', name: 'Мария' }
+    );
+
+    expect(analysis.emotionalTone).toBe('вдохновленный');
+    expect(analysis.insights).toContain('Толстой');
+  });
+
+  it('should generate monthly analysis without network access', async () => {
+    const MonthlyReportService = require('../../server/services/monthlyReportService');
+    const service = new MonthlyReportService();
+
+    const analysis = await service.generateAnalysisWithClaude('Промпт месяца', 'Мария');
+
+    expect(analysis.insights).toBe('Месяц поиска опоры и бережности к себе.');
+  });
+});
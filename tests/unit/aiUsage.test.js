@@ -0,0 +1,185 @@
+/**
+ * Unit tests for AI token/cost accounting and daily budgets
+ * @file tests/unit/aiUsage.test.js
+ */
+
+jest.mock('../../server/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const tokenCounter = require('../../server/utils/tokenCounter');
+const aiUsageService = require('../../server/services/aiUsageService');
+const { AIProviderRegistry, AI_FEATURES } = require('../../server/services/ai');
+const LocalProvider = require('../../server/services/ai/localProvider');
+
+const BUDGET_ENV = ['AI_BUDGET_USER_DAILY_TOKENS', 'AI_BUDGET_USER_DAILY_USD', 'AI_BUDGET_DAILY_TOKENS', 'AI_BUDGET_DAILY_USD'];
+
+describe('tokenCounter pricing', () => {
+  afterEach(() => {
+    delete process.env.AI_MODEL_PRICING;
+    tokenCounter._pricing = null;
+  });
+
+  it('should match dated model names by the longest prefix', () => {
+    expect(tokenCounter.getModelPricing('claude-3-5-haiku-20241022')).toEqual({ input: 0.8, output: 4 });
+    expect(tokenCounter.getModelPricing('gpt-4o-mini-2024-07-18')).toEqual({ input: 0.15, output: 0.6 });
+    expect(tokenCounter.getModelPricing('unknown-model')).toBeNull();
+  });
+
+  it('should estimate cost per 1M tokens', () => {
+    const cost = tokenCounter.estimateCost({ inputTokens: 1000000, outputTokens: 1000000 }, 'gpt-4o-mini');
+
+    expect(cost).toBeCloseTo(0.75);
+  });
+
+  it('should apply AI_MODEL_PRICING overrides', () => {
+    process.env.AI_MODEL_PRICING = JSON.stringify({ 'my-model': { input: 1, output: 2 } });
+    tokenCounter._pricing = null;
+
+    expect(tokenCounter.estimateCost({ inputTokens: 500000, outputTokens: 500000 }, 'my-model-v2')).toBeCloseTo(1.5);
+  });
+});
+
+describe('AIUsageService budgets', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    BUDGET_ENV.forEach(key => delete process.env[key]);
+    aiUsageService.resetCache();
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    aiUsageService.resetCache();
+  });
+
+  it('should allow everything when no budgets are configured', async () => {
+    aiUsageService.record({ feature: AI_FEATURES.CHAT, userId: 'u1', provider: 'claude', model: 'claude-3-haiku', usage: { inputTokens: 10000000, outputTokens: 0, totalTokens: 10000000 } });
+
+    await expect(aiUsageService.checkBudget({ feature: AI_FEATURES.CHAT, userId: 'u1' })).resolves.toEqual({ allowed: true });
+  });
+
+  it('should block a reader after their daily token budget is spent', async () => {
+    process.env.AI_BUDGET_USER_DAILY_TOKENS = '100';
+
+    expect((await aiUsageService.checkBudget({ feature: AI_FEATURES.CHAT, userId: 'u1' })).allowed).toBe(true);
+    aiUsageService.record({ feature: AI_FEATURES.CHAT, userId: 'u1', provider: 'local', model: 'scripted-v1', usage: { inputTokens: 60, outputTokens: 60, totalTokens: 120 } });
+
+    await expect(aiUsageService.checkBudget({ feature: AI_FEATURES.QUOTE_ANALYSIS, userId: 'u1' }))
+      .resolves.toEqual({ allowed: false, scope: 'user', unit: 'tokens', limit: 100, used: 120 });
+    expect((await aiUsageService.checkBudget({ feature: AI_FEATURES.CHAT, userId: 'u2' })).allowed).toBe(true);
+    expect((await aiUsageService.checkBudget({ feature: AI_FEATURES.PROMPT_TEST, userId: 'u1' })).allowed).toBe(true);
+  });
+
+  it('should block everyone after the global USD budget is spent', async () => {
+    process.env.AI_BUDGET_DAILY_USD = '0.5';
+
+    await aiUsageService.checkBudget({ feature: AI_FEATURES.CHAT });
+    const cost = aiUsageService.record({ feature: AI_FEATURES.WEEKLY_REPORT, userId: 'u1', provider: 'openai', model: 'gpt-4o-mini', usage: { inputTokens: 1000000, outputTokens: 1000000, totalTokens: 2000000 } });
+
+    expect(cost).toBeCloseTo(0.75);
+    const check = await aiUsageService.checkBudget({ feature: AI_FEATURES.CHAT, userId: 'u2' });
+    expect(check).toMatchObject({ allowed: false, scope: 'global', unit: 'usd' });
+  });
+
+  it('should not spend the reader budget on import categorization', async () => {
+    process.env.AI_BUDGET_USER_DAILY_TOKENS = '100';
+
+    await aiUsageService.checkBudget({ feature: AI_FEATURES.CHAT, userId: 'u1' });
+    aiUsageService.record({ feature: AI_FEATURES.QUOTE_IMPORT, userId: 'u1', provider: 'local', model: 'scripted-v1', usage: { inputTokens: 500, outputTokens: 500, totalTokens: 1000 } });
+
+    expect((await aiUsageService.checkBudget({ feature: AI_FEATURES.CHAT, userId: 'u1' })).allowed).toBe(true);
+
+    aiUsageService.record({ feature: AI_FEATURES.CHAT, userId: 'u1', provider: 'local', model: 'scripted-v1', usage: { inputTokens: 60, outputTokens: 60, totalTokens: 120 } });
+    expect((await aiUsageService.checkBudget({ feature: AI_FEATURES.CHAT, userId: 'u1' })).allowed).toBe(false);
+    expect((await aiUsageService.checkBudget({ feature: AI_FEATURES.QUOTE_IMPORT, userId: 'u1' })).allowed).toBe(true);
+  });
+
+  it('should still stop import categorization at the global budget', async () => {
+    process.env.AI_BUDGET_DAILY_TOKENS = '100';
+
+    await aiUsageService.checkBudget({ feature: AI_FEATURES.QUOTE_IMPORT });
+    aiUsageService.record({ feature: AI_FEATURES.QUOTE_IMPORT, userId: 'u1', provider: 'local', model: 'scripted-v1', usage: { inputTokens: 60, outputTokens: 60, totalTokens: 120 } });
+
+    expect(await aiUsageService.checkBudget({ feature: AI_FEATURES.QUOTE_IMPORT, userId: 'u1' }))
+      .toMatchObject({ allowed: false, scope: 'global' });
+  });
+
+  it('should price the local provider at zero', () => {
+    expect(aiUsageService.record({ feature: AI_FEATURES.CHAT, provider: 'local', model: 'claude-3-opus', usage: { inputTokens: 1000, outputTokens: 1000, totalTokens: 2000 } })).toBe(0);
+  });
+});
+
+describe('AIProviderRegistry usage tracking', () => {
+  const originalEnv = { ...process.env };
+  let registry;
+  let tracker;
+
+  beforeEach(() => {
+    process.env.AI_PROVIDER = 'local';
+    process.env.AI_RETRY_DELAY_MS = '1';
+    registry = new AIProviderRegistry();
+    tracker = {
+      checkBudget: jest.fn().mockResolvedValue({ allowed: true }),
+      record: jest.fn().mockReturnValue(0.0012)
+    };
+    registry.setUsageTracker(tracker);
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  it('should record successful calls with the reader and cost', async () => {
+    const result = await registry.complete(AI_FEATURES.CHAT, {
+      messages: [{ role: 'user', content: 'Привет' }],
+      userId: 'u1'
+    });
+
+    expect(result.costUsd).toBe(0.0012);
+    expect(tracker.checkBudget).toHaveBeenCalledWith({ feature: AI_FEATURES.CHAT, userId: 'u1' });
+    expect(tracker.record).toHaveBeenCalledWith(expect.objectContaining({
+      feature: AI_FEATURES.CHAT,
+      userId: 'u1',
+      provider: 'local',
+      usage: result.usage,
+      attempts: 1
+    }));
+  });
+
+  it('should record failed calls', async () => {
+    registry.setProvider('local', new LocalProvider({ script: [{ error: { status: 400, message: 'Bad request' } }] }));
+
+    await expect(registry.complete(AI_FEATURES.CHAT, { messages: [{ role: 'user', content: 'Hi' }] })).rejects.toThrow('Bad request');
+    expect(tracker.record).toHaveBeenCalledWith(expect.objectContaining({ status: 'error', errorMessage: 'Bad request' }));
+  });
+
+  it('should refuse calls over budget without reaching the provider', async () => {
+    const provider = new LocalProvider();
+    registry.setProvider('local', provider);
+    tracker.checkBudget.mockResolvedValue({ allowed: false, scope: 'user', unit: 'tokens', limit: 100, used: 120 });
+
+    await expect(registry.complete(AI_FEATURES.QUOTE_ANALYSIS, { messages: [{ role: 'user', content: 'Цитата' }], userId: 'u1' }))
+      .rejects.toMatchObject({ code: 'AI_BUDGET_EXCEEDED', statusCode: 429 });
+    expect(provider.calls).toHaveLength(0);
+    expect(tracker.record).toHaveBeenCalledWith(expect.objectContaining({ status: 'budget_exceeded', userId: 'u1' }));
+  });
+
+  it('should answer chat with a friendly message when the budget is exhausted', async () => {
+    jest.doMock('../../server/services/promptService', () => ({
+      getActivePrompt: jest.fn().mockResolvedValue('Prompt'),
+      getDefaultPrompt: jest.fn().mockReturnValue('Default prompt')
+    }));
+    const claudeService = require('../../server/services/claude');
+    const error = new Error('AI user daily budget exceeded');
+    error.code = 'AI_BUDGET_EXCEEDED';
+
+    const response = claudeService._getErrorResponse(error, 'telegram');
+
+    expect(response.needsTicket).toBe(false);
+    expect(response.model).toBe('budget_exceeded');
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * Unit tests for the analytics event pipeline: buffered server events, mini-app batches
+ * and daily rollups behind /api/analytics/dashboard
+ * @file tests/unit/analyticsPipeline.test.js
+ */
+
+jest.mock('../../server/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const AnalyticsEvent = require('../../server/models/AnalyticsEvent');
+const AnalyticsDailyRollup = require('../../server/models/AnalyticsDailyRollup');
+const UserProfile = require('../../server/models/userProfile');
+const Quote = require('../../server/models/quote');
+const { UTMClick, PromoCodeUsage, UserAction } = require('../../server/models/analytics');
+const analyticsService = require('../../server/services/analyticsService');
+
+const now = new Date('2026-06-10T09:00:00Z'); // 12:00 МСК
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  analyticsService._eventBuffer = [];
+  await analyticsService.flushEvents();
+});
+
+describe('trackEvent', () => {
+  it('should buffer server events and write them in one batch', async () => {
+    const insertMany = jest.spyOn(AnalyticsEvent, 'insertMany').mockResolvedValue([]);
+
+    expect(analyticsService.trackEvent('quote_added', 42, { quoteId: 'q1', nested: { a: 1 } })).toBe(true);
+    expect(analyticsService.trackEvent('cover_posted', '42')).toBe(true);
+    expect(insertMany).not.toHaveBeenCalled();
+
+    await expect(analyticsService.flushEvents()).resolves.toBe(2);
+    expect(insertMany).toHaveBeenCalledTimes(1);
+    const [batch, options] = insertMany.mock.calls[0];
+    expect(options).toEqual({ ordered: false });
+    expect(batch[0]).toEqual(expect.objectContaining({
+      name: 'quote_added',
+      userId: '42',
+      source: 'server',
+      properties: { quoteId: 'q1' }
+    }));
+  });
+
+  it('should ignore unknown events', () => {
+    expect(analyticsService.trackEvent('something_else', '42')).toBe(false);
+    expect(analyticsService._eventBuffer).toHaveLength(0);
+  });
+
+  it('should drop the batch instead of throwing when the write fails', async () => {
+    jest.spyOn(AnalyticsEvent, 'insertMany').mockRejectedValue(new Error('connection lost'));
+    analyticsService.trackEvent('audio_played', '42');
+
+    await expect(analyticsService.flushEvents()).resolves.toBe(0);
+    expect(analyticsService._eventBuffer).toHaveLength(0);
+  });
+});
+
+describe('ingestClientEvents', () => {
+  it('should accept only client events and scope eventId by user', async () => {
+    const insertMany = jest.spyOn(AnalyticsEvent, 'insertMany').mockResolvedValue([]);
+
+    const result = await analyticsService.ingestClientEvents('42', [
+      { name: 'page_view', occurredAt: '2026-06-10T08:59:00Z', properties: { page: '/reports' }, eventId: 'e1' },
+      { name: 'quote_added', occurredAt: '2026-06-10T08:59:00Z' },
+      null
+    ], now);
+
+    expect(result).toEqual({ accepted: 1, duplicates: 0, rejected: 2 });
+    expect(insertMany.mock.calls[0][0]).toEqual([expect.objectContaining({
+      name: 'page_view',
+      userId: '42',
+      source: 'client',
+      eventId: '42:e1',
+      occurredAt: new Date('2026-06-10T08:59:00Z')
+    })]);
+  });
+
+  it('should replace implausible client timestamps with the receive time', async () => {
+    const insertMany = jest.spyOn(AnalyticsEvent, 'insertMany').mockResolvedValue([]);
+
+    await analyticsService.ingestClientEvents('42', [
+      { name: 'app_open', occurredAt: '2025-01-01T00:00:00Z' },
+      { name: 'app_open', occurredAt: 'not a date' }
+    ], now);
+
+    insertMany.mock.calls[0][0].forEach(doc => expect(doc.occurredAt).toBe(now));
+  });
+
+  it('should count resent events as duplicates', async () => {
+    const error = Object.assign(new Error('E11000'), { writeErrors: [{ code: 11000 }] });
+    jest.spyOn(AnalyticsEvent, 'insertMany').mockRejectedValue(error);
+
+    const result = await analyticsService.ingestClientEvents('42', [
+      { name: 'app_open', occurredAt: now.toISOString(), eventId: 'e1' },
+      { name: 'page_view', occurredAt: now.toISOString(), eventId: 'e2' }
+    ], now);
+
+    expect(result).toEqual({ accepted: 1, duplicates: 1, rejected: 0 });
+  });
+});
+
+describe('trackUserAction', () => {
+  it('should route pipeline events to trackEvent and legacy actions to UserAction', async () => {
+    const recordAction = jest.spyOn(UserAction, 'recordAction').mockResolvedValue({});
+
+    await expect(analyticsService.trackUserAction('42', 'quote_added', { quoteId: 'q1' })).resolves.toBe(true);
+    expect(analyticsService._eventBuffer).toHaveLength(1);
+
+    await expect(analyticsService.trackUserAction('42', 'link_clicked', { linkUrl: '/x' })).resolves.toBe(true);
+    expect(recordAction).toHaveBeenCalledWith('42', 'link_clicked', { linkUrl: '/x' });
+
+    await expect(analyticsService.trackUserAction('42', 'unknown_action')).resolves.toBe(false);
+  });
+});
+
+describe('daily rollups', () => {
+  const mockAggregate = (model, value) => jest.spyOn(model, 'aggregate').mockResolvedValue(value);
+
+  it('should build a day from raw data and upsert it by dayKey', async () => {
+    jest.spyOn(UserProfile, 'countDocuments').mockResolvedValueOnce(120).mockResolvedValueOnce(3);
+    mockAggregate(UserProfile, [{ _id: 'Telegram', count: 2 }, { _id: null, count: 1 }]);
+    jest.spyOn(Quote, 'countDocuments').mockResolvedValue(7);
+    jest.spyOn(Quote, 'distinct').mockResolvedValue(['1', '2']);
+    mockAggregate(AnalyticsEvent, [{ _id: 'app_open', count: 5, uniqueUsers: 3 }]);
+    jest.spyOn(AnalyticsEvent, 'distinct').mockResolvedValue(['2', '3']);
+    jest.spyOn(PromoCodeUsage, 'countDocuments').mockResolvedValue(1);
+    mockAggregate(UTMClick, [{ _id: 'catalog', clicks: 4, userIds: ['1', '3'] }]);
+    const updateOne = jest.spyOn(AnalyticsDailyRollup, 'updateOne').mockResolvedValue({});
+
+    const rollup = await analyticsService.buildDailyRollup('2026-06-09');
+
+    expect(rollup).toEqual(expect.objectContaining({
+      totalUsers: 120,
+      newUsers: 3,
+      activeUsers: 3,
+      activeUserIds: ['1', '2', '3'],
+      quotesAdded: 7,
+      promoUsage: 1,
+      events: [{ name: 'app_open', count: 5, uniqueUsers: 3 }],
+      sources: [{ source: 'Telegram', count: 2 }, { source: null, count: 1 }],
+      utm: [{ campaign: 'catalog', clicks: 4, userIds: ['1', '3'] }]
+    }));
+    expect(Quote.countDocuments).toHaveBeenCalledWith({
+      createdAt: { $gte: new Date('2026-06-08T21:00:00.000Z'), $lte: new Date('2026-06-09T20:59:59.999Z') }
+    });
+    expect(updateOne).toHaveBeenCalledWith({ dayKey: '2026-06-09' }, { $set: rollup }, { upsert: true });
+  });
+
+  it('should build missing and unfinished past days but keep today as is', async () => {
+    const today = { dayKey: '2026-06-10', computedAt: new Date('2026-06-10T08:10:00Z') };
+    const unfinished = { dayKey: '2026-06-09', computedAt: new Date('2026-06-09T15:00:00Z') };
+    jest.spyOn(AnalyticsDailyRollup, 'find').mockReturnValue({ lean: () => Promise.resolve([today, unfinished]) });
+    const build = jest.spyOn(analyticsService, 'buildDailyRollup')
+      .mockImplementation(dayKey => Promise.resolve({ dayKey, rebuilt: true }));
+
+    const keys = analyticsService.getPeriodDayKeys('7d', now);
+    const rollups = await analyticsService.ensureRollups(keys, now);
+
+    expect(keys).toEqual(['2026-06-04', '2026-06-05', '2026-06-06', '2026-06-07', '2026-06-08', '2026-06-09', '2026-06-10']);
+    expect(build).toHaveBeenCalledTimes(6);
+    expect(build).not.toHaveBeenCalledWith('2026-06-10');
+    expect(rollups[6]).toBe(today);
+  });
+
+  it('should aggregate rollups into the dashboard shape', () => {
+    const result = analyticsService.aggregateRollups([
+      {
+        totalUsers: 100, newUsers: 2, quotesAdded: 10, promoUsage: 1, activeUsers: 2, activeUserIds: ['1', '2'],
+        sources: [{ source: 'Telegram', count: 2 }],
+        utm: [{ campaign: 'catalog', clicks: 3, userIds: ['1', '2'] }],
+        events: [{ name: 'app_open', count: 4, uniqueUsers: 2 }]
+      },
+      {
+        totalUsers: 102, newUsers: 2, quotesAdded: 12, promoUsage: 0, activeUsers: 2, activeUserIds: ['2', '3'],
+        sources: [{ source: 'Telegram', count: 1 }, { source: 'YouTube', count: 1 }],
+        utm: [{ campaign: 'catalog', clicks: 1, userIds: ['3'] }],
+        events: [{ name: 'app_open', count: 3, uniqueUsers: 2 }]
+      }
+    ]);
+
+    expect(result.overview).toEqual({
+      totalUsers: 102,
+      newUsers: 4,
+      totalQuotes: 22,
+      avgQuotesPerUser: 0.2,
+      activeUsers: 3,
+      promoUsage: 1
+    });
+    expect(result.sourceStats).toEqual([{ _id: 'Telegram', count: 3 }, { _id: 'YouTube', count: 1 }]);
+    expect(result.utmStats).toEqual([{ campaign: 'catalog', clicks: 4, uniqueUsers: 3 }]);
+    expect(result.events).toEqual([{ name: 'app_open', count: 7, userDays: 4 }]);
+  });
+
+  it('should fall back to the daily maximum once user ids are pruned', () => {
+    const result = analyticsService.aggregateRollups([
+      { totalUsers: 10, activeUsers: 4, activeUserIds: [] },
+      { totalUsers: 10, activeUsers: 6, activeUserIds: [] }
+    ]);
+
+    expect(result.overview.activeUsers).toBe(6);
+  });
+});
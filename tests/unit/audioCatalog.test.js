@@ -0,0 +1,75 @@
+/**
+ * Unit tests for AudioCatalog model methods
+ * @file tests/unit/audioCatalog.test.js
+ */
+
+const AudioCatalog = require('../../server/models/AudioCatalog');
+
+function buildEntry(overrides = {}) {
+  return new AudioCatalog({
+    audioId: 'test_audio',
+    title: 'Разбор: «Тест»',
+    author: 'Автор',
+    isFree: false,
+    tracks: [
+      { trackId: 'test_audio-01', title: 'Часть 1', file: 'test_audio/01.mp3', durationSec: 100, order: 0 },
+      { trackId: 'test_audio-02', title: 'Часть 2', file: 'test_audio/02.mp3', durationSec: 200, order: 1 },
+      { trackId: 'test_audio-03', title: 'Часть 3', file: 'test_audio/03.mp3', durationSec: 300, order: 2 }
+    ],
+    ...overrides
+  });
+}
+
+describe('AudioCatalog model', () => {
+  describe('nextTrackId', () => {
+    it('should continue numbering after the highest track', () => {
+      expect(buildEntry().nextTrackId()).toBe('test_audio-04');
+    });
+
+    it('should start at 01 for an empty container', () => {
+      expect(buildEntry({ tracks: [] }).nextTrackId()).toBe('test_audio-01');
+    });
+  });
+
+  describe('reorderTracks', () => {
+    it('should apply the requested order', () => {
+      const entry = buildEntry();
+      const ok = entry.reorderTracks(['test_audio-03', 'test_audio-01', 'test_audio-02']);
+
+      expect(ok).toBe(true);
+      expect(entry.getSortedTracks().map(t => t.trackId)).toEqual(['test_audio-03', 'test_audio-01', 'test_audio-02']);
+    });
+
+    it('should reject lists that do not contain every track exactly once', () => {
+      const entry = buildEntry();
+
+      expect(entry.reorderTracks(['test_audio-01', 'test_audio-02'])).toBe(false);
+      expect(entry.reorderTracks(['test_audio-01', 'test_audio-01', 'test_audio-02'])).toBe(false);
+      expect(entry.getSortedTracks()[0].trackId).toBe('test_audio-01');
+    });
+  });
+
+  describe('toMetadata', () => {
+    it('should expose the legacy metadata shape', () => {
+      const meta = buildEntry().toMetadata();
+
+      expect(meta.id).toBe('test_audio');
+      expect(meta.isFree).toBe(false);
+      expect(meta.requiresEntitlement).toBe(true);
+      expect(meta.totalDurationSec).toBe(600);
+      expect(meta.tracks[1]).toEqual({ id: 'test_audio-02', title: 'Часть 2', file: 'test_audio/02.mp3', durationSec: 200 });
+    });
+
+    it('should report unknown total duration when a track has no duration', () => {
+      const entry = buildEntry();
+      entry.tracks[0].durationSec = null;
+
+      expect(entry.toMetadata().totalDurationSec).toBeNull();
+    });
+  });
+
+  it('should validate audioId format', () => {
+    const error = buildEntry({ audioId: 'Bad ID' }).validateSync();
+    expect(error.errors.audioId).toBeDefined();
+  });
+});
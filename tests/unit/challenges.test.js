@@ -0,0 +1,170 @@
+/**
+ * Unit tests for the generic challenge engine
+ * @file tests/unit/challenges.test.js
+ */
+
+jest.mock('../../server/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const Challenge = require('../../server/models/Challenge');
+const ChallengeClaim = require('../../server/models/ChallengeClaim');
+const PromoCode = require('../../server/models/PromoCode');
+const Quote = require('../../server/models/quote');
+const Follow = require('../../server/models/Follow');
+const challengeService = require('../../server/services/gamification/challengeService');
+
+const { buildProgress, claimChallenge, METRIC_COUNTERS } = challengeService;
+
+const now = new Date('2026-05-15T12:00:00Z');
+
+/**
+ * Mongoose query stub with .lean()
+ */
+const query = value => ({ lean: () => Promise.resolve(value) });
+
+const challenge = {
+  _id: '6650a1b2c3d4e5f6a7b8c9d0',
+  slug: 'may-reading',
+  title: 'Майский марафон',
+  isActive: true,
+  startsAt: new Date('2026-05-01T00:00:00Z'),
+  endsAt: new Date('2026-05-31T23:59:59Z'),
+  criteria: [
+    { metric: 'quotes', target: 10 },
+    { metric: 'follows', target: 2, label: 'подписки' }
+  ],
+  reward: { type: 'promo_code', title: 'Скидка 20%', promoCode: 'MAY20' }
+};
+
+describe('Challenge model validation', () => {
+  const valid = {
+    slug: 'may-reading',
+    title: 'Майский марафон',
+    startsAt: new Date('2026-05-01'),
+    endsAt: new Date('2026-05-31'),
+    criteria: [{ metric: 'quotes', target: 10 }],
+    reward: { type: 'badge', badgeId: 'may_reader' }
+  };
+
+  /**
+   * Validation errors of a challenge (pre('validate') hooks only run with async validate)
+   */
+  const validationErrors = data => new Challenge(data).validate().then(() => ({}), error => error.errors);
+
+  it('should accept a valid challenge', async () => {
+    await expect(validationErrors(valid)).resolves.toEqual({});
+  });
+
+  it('should reject an empty window, unknown metrics and incomplete rewards', async () => {
+    const errors = await validationErrors({
+      ...valid,
+      endsAt: valid.startsAt,
+      criteria: [{ metric: 'pages_read', target: 5 }],
+      reward: { type: 'entitlement' }
+    });
+
+    expect(errors.endsAt).toBeDefined();
+    expect(errors['criteria.0.metric']).toBeDefined();
+    expect(errors['reward.resourceId']).toBeDefined();
+  });
+
+  it('should reject duplicated metrics', async () => {
+    const errors = await validationErrors({
+      ...valid,
+      criteria: [{ metric: 'quotes', target: 10 }, { metric: 'quotes', target: 20 }]
+    });
+    expect(errors.criteria).toBeDefined();
+  });
+});
+
+describe('buildProgress', () => {
+  it('should compute per-criterion and overall progress', () => {
+    const progress = buildProgress(challenge, { quotes: 5, follows: 3 });
+
+    expect(progress.criteria).toEqual([
+      { metric: 'quotes', label: 'цитат сохранено', current: 5, target: 10, percent: 50, completed: false },
+      { metric: 'follows', label: 'подписки', current: 3, target: 2, percent: 100, completed: true }
+    ]);
+    expect(progress.percent).toBe(75);
+    expect(progress.completed).toBe(false);
+    expect(buildProgress(challenge, { quotes: 10, follows: 2 }).completed).toBe(true);
+  });
+
+  it('should have a counter for every metric of the model', () => {
+    expect(Object.keys(METRIC_COUNTERS).sort()).toEqual([...Challenge.CHALLENGE_METRICS].sort());
+  });
+});
+
+describe('claimChallenge', () => {
+  beforeEach(() => {
+    jest.spyOn(Challenge, 'findOne').mockReturnValue(query(challenge));
+    jest.spyOn(ChallengeClaim, 'findOne').mockReturnValue(query(null));
+    jest.spyOn(Quote, 'countDocuments').mockResolvedValue(12);
+    jest.spyOn(Follow, 'countDocuments').mockResolvedValue(2);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should count metrics inside the challenge window', async () => {
+    jest.spyOn(ChallengeClaim, 'create').mockImplementation(async data => ({ ...data, _id: 'claim1', save: jest.fn() }));
+    jest.spyOn(PromoCode, 'validateCode').mockResolvedValue({ valid: true, promoCode: { code: 'MAY20', discount: 20, discountType: 'percentage', validUntil: null } });
+
+    await claimChallenge('123', 'may-reading', { now });
+
+    expect(Quote.countDocuments).toHaveBeenCalledWith({ userId: '123', createdAt: { $gte: challenge.startsAt, $lte: now } });
+    expect(Follow.countDocuments).toHaveBeenCalledWith({ followerId: '123', createdAt: { $gte: challenge.startsAt, $lte: now } });
+  });
+
+  it('should grant the promo code reward and record the claim', async () => {
+    const save = jest.fn();
+    jest.spyOn(ChallengeClaim, 'create').mockImplementation(async data => ({ ...data, _id: 'claim1', save }));
+    jest.spyOn(PromoCode, 'validateCode').mockResolvedValue({ valid: true, promoCode: { code: 'MAY20', discount: 20, discountType: 'percentage', validUntil: null } });
+
+    const result = await claimChallenge('123', 'may-reading', { now });
+
+    expect(result.success).toBe(true);
+    expect(result.reward).toEqual(expect.objectContaining({ type: 'promo_code', promoCode: 'MAY20', discount: 20 }));
+    expect(ChallengeClaim.create).toHaveBeenCalledWith(expect.objectContaining({ slug: 'may-reading', userId: '123', progress: { quotes: 12, follows: 2 } }));
+    expect(save).toHaveBeenCalled();
+  });
+
+  it('should refuse incomplete challenges', async () => {
+    Follow.countDocuments.mockResolvedValue(1);
+    const create = jest.spyOn(ChallengeClaim, 'create');
+
+    const result = await claimChallenge('123', 'may-reading', { now });
+
+    expect(result).toEqual(expect.objectContaining({ success: false, code: 'REQUIREMENTS_NOT_MET' }));
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('should be idempotent for already claimed challenges', async () => {
+    ChallengeClaim.findOne.mockReturnValue(query({ reward: { type: 'promo_code', promoCode: 'MAY20' } }));
+
+    const result = await claimChallenge('123', 'may-reading', { now });
+
+    expect(result).toEqual({ success: true, alreadyClaimed: true, reward: { type: 'promo_code', promoCode: 'MAY20' } });
+  });
+
+  it('should refuse finished challenges', async () => {
+    const result = await claimChallenge('123', 'may-reading', { now: new Date('2026-06-02T00:00:00Z') });
+    expect(result.code).toBe('CHALLENGE_NOT_ACTIVE');
+  });
+
+  it('should roll back the claim when the reward cannot be granted', async () => {
+    jest.spyOn(ChallengeClaim, 'create').mockImplementation(async data => ({ ...data, _id: 'claim1', save: jest.fn() }));
+    const deleteOne = jest.spyOn(ChallengeClaim, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(PromoCode, 'validateCode').mockResolvedValue({ valid: false, reason: 'Промокод истек' });
+
+    const result = await claimChallenge('123', 'may-reading', { now });
+
+    expect(result).toEqual(expect.objectContaining({ success: false, code: 'REWARD_UNAVAILABLE' }));
+    expect(deleteOne).toHaveBeenCalledWith({ _id: 'claim1' });
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Unit tests for embedding providers, in-process vector index and offline vector store
+ * @file tests/unit/embeddings.test.js
+ */
+
+jest.mock('../../server/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const {
+  createEmbeddingProvider,
+  setEmbeddingProvider,
+  cosineSimilarity,
+  LocalEmbeddingProvider
+} = require('../../server/services/embeddings');
+const MemoryVectorClient = require('../../server/services/embeddings/memoryVectorClient');
+const { getEmbeddingProviderConfig } = require('../../server/config/aiProvider');
+
+describe('getEmbeddingProviderConfig', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  it('should use local provider without OpenAI key', () => {
+    delete process.env.EMBEDDING_PROVIDER;
+    delete process.env.OPENAI_API_KEY;
+    delete process.env.EMBEDDING_DIMENSION;
+
+    expect(getEmbeddingProviderConfig()).toEqual({ provider: 'local', model: 'hashing-v1', dimension: 512 });
+  });
+
+  it('should take dimension from the OpenAI model', () => {
+    process.env.EMBEDDING_PROVIDER = 'openai';
+    process.env.OPENAI_API_KEY = 'sk-test';
+    process.env.EMBEDDING_MODEL = 'text-embedding-3-large';
+    delete process.env.EMBEDDING_DIMENSION;
+
+    expect(getEmbeddingProviderConfig().dimension).toBe(3072);
+  });
+
+  it('should fall back to local provider when openai has no key', () => {
+    const provider = createEmbeddingProvider({ provider: 'openai', model: 'text-embedding-ada-002', dimension: 1536 });
+    expect(provider.name).toBe('local');
+  });
+});
+
+describe('LocalEmbeddingProvider', () => {
+  const provider = new LocalEmbeddingProvider({ dimension: 256 });
+
+  it('should be deterministic and normalized', async () => {
+    const a = await provider.embed('Счастье — это когда тебя понимают');
+    const b = await provider.embed('Счастье — это когда тебя понимают');
+
+    expect(a).toHaveLength(256);
+    expect(a).toEqual(b);
+    expect(cosineSimilarity(a, a)).toBeCloseTo(1, 5);
+  });
+
+  it('should rank related texts above unrelated ones', async () => {
+    const [source, related, unrelated] = await provider.embedBatch([
+      'Любовь побеждает страх и сомнения',
+      'Только любовь способна победить страх',
+      'Курс валют на бирже вырос за неделю'
+    ]);
+
+    expect(cosineSimilarity(source, related)).toBeGreaterThan(cosineSimilarity(source, unrelated));
+  });
+
+  it('should include model and dimension in fingerprint', () => {
+    expect(provider.fingerprint).toBe('local:hashing-v1:256');
+  });
+});
+
+describe('MemoryVectorClient', () => {
+  let client;
+
+  beforeEach(async () => {
+    client = new MemoryVectorClient();
+    await client.createCollection('test', { vectors: { size: 2, distance: 'Cosine' } });
+    await client.upsert('test', {
+      points: [
+        { id: 1, vector: [1, 0], payload: { metadata: { category: 'books', tags: ['love'], originalId: 'a' } } },
+        { id: 2, vector: [0.8, 0.6], payload: { metadata: { category: 'psychology', tags: ['fear'], originalId: 'b' } } },
+        { id: 3, vector: [0, 1], payload: { metadata: { category: 'books', tags: ['fear'], originalId: 'c' } } }
+      ]
+    });
+  });
+
+  it('should search by cosine similarity with threshold', async () => {
+    const results = await client.search('test', { vector: [1, 0], limit: 5, score_threshold: 0.5 });
+    expect(results.map(r => r.id)).toEqual([1, 2]);
+  });
+
+  it('should apply must/should filters', async () => {
+    const results = await client.search('test', {
+      vector: [1, 0],
+      limit: 5,
+      filter: { must: [{ key: 'metadata.category', match: { value: 'books' } }, { should: [{ key: 'metadata.tags', match: { value: 'fear' } }] }] }
+    });
+    expect(results.map(r => r.id)).toEqual([3]);
+  });
+
+  it('should reject vectors of a different dimension', async () => {
+    await expect(client.upsert('test', { points: [{ id: 4, vector: [1, 0, 0] }] })).rejects.toThrow('dimension');
+  });
+
+  it('should scroll and delete points', async () => {
+    const { points } = await client.scroll('test', { filter: { must: [{ key: 'metadata.originalId', match: { value: 'b' } }] } });
+    await client.delete('test', { points: points.map(p => p.id) });
+
+    const info = await client.getCollection('test');
+    expect(info.points_count).toBe(2);
+  });
+});
+
+describe('VectorStoreService offline mode', () => {
+  const { VectorStoreService } = require('../../server/services/vectorStore');
+  const originalUrl = process.env.VECTOR_DB_URL;
+
+  beforeAll(() => {
+    process.env.VECTOR_DB_URL = 'memory';
+  });
+
+  afterAll(() => {
+    process.env.VECTOR_DB_URL = originalUrl;
+    setEmbeddingProvider(null);
+  });
+
+  it('should index and search documents with the local provider', async () => {
+    setEmbeddingProvider(new LocalEmbeddingProvider({ dimension: 384 }));
+    const store = new VectorStoreService();
+
+    await store.addDocuments([
+      { id: 'doc-love', content: 'Любовь — это умение принимать другого человека целиком.', metadata: { title: 'Любовь', category: 'psychology' } },
+      { id: 'doc-money', content: 'Финансовая грамотность начинается с бюджета и учета расходов.', metadata: { title: 'Деньги', category: 'self-development' } }
+    ], { enableChunking: false });
+
+    const results = await store.search('как принимать любовь другого человека', { limit: 2 });
+
+    expect(store.getProviderInfo()).toMatchObject({ provider: 'local', dimension: 384, backend: 'memory' });
+    expect(results[0].id).toBe('doc-love');
+  });
+
+  it('should recreate the collection and request re-index when the provider changes', async () => {
+    setEmbeddingProvider(new LocalEmbeddingProvider({ dimension: 384 }));
+    const store = new VectorStoreService();
+    const reindex = jest.fn().mockResolvedValue({ success: true });
+    store.setReindexHandler(reindex);
+
+    await store.addDocuments([{ id: 'doc-1', content: 'Книги меняют жизнь', metadata: {} }], { enableChunking: false });
+    await new Promise(resolve => setImmediate(resolve));
+    expect(reindex).toHaveBeenCalledTimes(1);
+
+    // Переключаем провайдер: новая размерность -> коллекция пересоздается
+    setEmbeddingProvider(new LocalEmbeddingProvider({ dimension: 128 }));
+    store.initialized = false;
+    await store.initialize();
+    await new Promise(resolve => setImmediate(resolve));
+
+    const info = await store.client.getCollection(store.collectionName);
+    expect(info.config.params.vectors.size).toBe(128);
+    expect(info.points_count).toBe(0);
+    expect(reindex).toHaveBeenCalledTimes(2);
+  });
+});
@@ -160,6 +160,60 @@ describe('Entitlement Service', () => {
     });
   });
 
+  describe('package and subscription access', () => {
+    const inDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+    it('should grant access through a package of audio IDs', async () => {
+      await entitlementService.grantPackage(testUserId, 'classics', {
+        includes: { audioIds: ['alice_wonderland'] }
+      });
+
+      const access = await entitlementService.resolveAudioAccess(testUserId, 'alice_wonderland');
+      expect(access).toMatchObject({ hasAccess: true, reason: 'package', resourceId: 'classics', expiresAt: null });
+      expect(await entitlementService.hasAudioAccess(testUserId, 'other_audio')).toBe(false);
+    });
+
+    it('should grant access through a package of book slugs', async () => {
+      await entitlementService.grantPackage(testUserId, 'fairy_tales', {
+        includes: { bookSlugs: ['alice-in-wonderland'] }
+      });
+
+      expect(await entitlementService.hasAudioAccess(testUserId, 'alice_wonderland', { bookSlug: 'alice-in-wonderland' })).toBe(true);
+      expect(await entitlementService.hasAudioAccess(testUserId, 'alice_wonderland')).toBe(false);
+    });
+
+    it('should grant access to all audio through an active subscription', async () => {
+      await entitlementService.grantSubscription(testUserId, 'reading_club', { expiresAt: inDays(10) });
+
+      const access = await entitlementService.resolveAudioAccess(testUserId, 'any_premium_audio');
+      expect(access.reason).toBe('subscription');
+      expect(await entitlementService.getRemainingDays(testUserId, 'any_premium_audio')).toBe(10);
+    });
+
+    it('should deny access after the subscription ends', async () => {
+      const expiresAt = inDays(-1);
+      await entitlementService.grantSubscription(testUserId, 'reading_club', { expiresAt });
+
+      expect(await entitlementService.hasAudioAccess(testUserId, 'alice_wonderland')).toBe(false);
+      // Окончание доступа остается видно, чтобы отличать "истек" от "закрыт"
+      const access = await entitlementService.resolveAudioAccess(testUserId, 'alice_wonderland');
+      expect(access).toMatchObject({ hasAccess: false, expiresAt });
+    });
+
+    it('should require expiresAt for subscriptions', async () => {
+      await expect(entitlementService.grantSubscription(testUserId, 'reading_club')).rejects.toThrow(/expiresAt/);
+    });
+
+    it('should report the entitlement that gives the longest access', async () => {
+      await entitlementService.grantAudio(testUserId, 'alice_wonderland', { expiresAt: inDays(5) });
+      await entitlementService.grantSubscription(testUserId, 'reading_club', { expiresAt: inDays(20) });
+
+      const access = await entitlementService.resolveAudioAccess(testUserId, 'alice_wonderland');
+      expect(access.reason).toBe('subscription');
+      expect(await entitlementService.getRemainingDays(testUserId, 'alice_wonderland')).toBe(20);
+    });
+  });
+
   describe('getRemainingDays', () => {
     it('should calculate remaining days correctly', async () => {
       const expiresAt = new Date();
@@ -0,0 +1,345 @@
+/**
+ * Unit tests for A/B experiment bucketing, exposure logging, variant overrides and per-variant metrics
+ * @file tests/unit/experimentService.test.js
+ */
+
+jest.mock('../../server/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Experiment = require('../../server/models/Experiment');
+const ExperimentExposure = require('../../server/models/ExperimentExposure');
+const Prompt = require('../../server/models/prompt');
+const AnnaPersona = require('../../server/models/AnnaPersona');
+const WeeklyReport = require('../../server/models/weeklyReport');
+const Quote = require('../../server/models/quote');
+const { UTMClick } = require('../../server/models/analytics');
+const experimentService = require('../../server/services/experimentService');
+const WeeklyReportService = require('../../server/services/weeklyReportService');
+const promptService = require('../../server/services/promptService');
+const claudeService = require('../../server/services/claude');
+
+const now = new Date('2026-06-29T09:00:00Z');
+
+/**
+ * Mongoose query stub: chainable find().select().sort().lean()
+ */
+const query = value => {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    lean: () => Promise.resolve(value)
+  };
+  return chain;
+};
+
+const experiment = (overrides = {}) => ({
+  _id: 'exp1',
+  key: 'quote-analysis-tone',
+  name: 'Тон анализа цитат',
+  type: 'prompt',
+  target: 'quote_analysis',
+  status: 'running',
+  trafficPercent: 100,
+  variants: [
+    { key: 'control', weight: 50, isControl: true, promptId: null },
+    { key: 'warm', weight: 50, isControl: false, promptId: 'prompt-warm' }
+  ],
+  ...overrides
+});
+
+const userIds = Array.from({ length: 2000 }, (_, index) => String(100000 + index));
+
+beforeEach(() => {
+  experimentService.clearCache();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('assignVariant', () => {
+  it('should keep a reader in the same variant and split traffic by weight', () => {
+    const split = experiment({
+      variants: [
+        { key: 'control', weight: 75, isControl: true },
+        { key: 'warm', weight: 25 }
+      ]
+    });
+
+    expect(experimentService.assignVariant(split, '42')).toBe(experimentService.assignVariant(split, '42'));
+
+    const warmShare = userIds.filter(userId => experimentService.assignVariant(split, userId).key === 'warm').length / userIds.length;
+    expect(warmShare).toBeGreaterThan(0.2);
+    expect(warmShare).toBeLessThan(0.3);
+  });
+
+  it('should bucket independently per experiment key and respect the traffic share', () => {
+    const first = experiment();
+    const second = experiment({ key: 'report-format' });
+    const agreement = userIds.filter(userId =>
+      experimentService.assignVariant(first, userId).key === experimentService.assignVariant(second, userId).key
+    ).length / userIds.length;
+    expect(agreement).toBeGreaterThan(0.4);
+    expect(agreement).toBeLessThan(0.6);
+
+    const partial = experiment({ trafficPercent: 10 });
+    const enrolled = userIds.filter(userId => experimentService.assignVariant(partial, userId)).length / userIds.length;
+    expect(enrolled).toBeGreaterThan(0.07);
+    expect(enrolled).toBeLessThan(0.13);
+  });
+});
+
+describe('resolveVariant', () => {
+  it('should log the first exposure with the assigned variant', async () => {
+    jest.spyOn(Experiment, 'find').mockReturnValue(query([experiment()]));
+    const updateOne = jest.spyOn(ExperimentExposure, 'updateOne').mockResolvedValue({});
+
+    const assignment = await experimentService.resolveVariant('prompt', 'quote_analysis', '42', { now });
+
+    expect(assignment.variant.key).toBe(experimentService.assignVariant(experiment(), '42').key);
+    expect(updateOne).toHaveBeenCalledWith(
+      { experimentId: 'exp1', userId: '42' },
+      {
+        $setOnInsert: expect.objectContaining({ variantKey: assignment.variant.key, firstExposedAt: now }),
+        $set: { lastExposedAt: now },
+        $inc: { exposures: 1 }
+      },
+      { upsert: true }
+    );
+    await expect(experimentService.resolveVariant('persona', 'quote_analysis', '42', { now })).resolves.toBeNull();
+  });
+
+  it('should swap the prompt only for the treatment variant', async () => {
+    jest.spyOn(Experiment, 'find').mockReturnValue(query([experiment()]));
+    jest.spyOn(ExperimentExposure, 'updateOne').mockResolvedValue({});
+    const findById = jest.spyOn(Prompt, 'findById').mockReturnValue(query({ name: 'warm', content: 'Тепло' }));
+
+    const treated = userIds.find(userId => experimentService.assignVariant(experiment(), userId).key === 'warm');
+    const control = userIds.find(userId => experimentService.assignVariant(experiment(), userId).key === 'control');
+
+    await expect(experimentService.getVariantPrompt('quote_analysis', treated)).resolves.toEqual({ name: 'warm', content: 'Тепло' });
+    await expect(experimentService.getVariantPrompt('quote_analysis', control)).resolves.toBeNull();
+    expect(findById).toHaveBeenCalledTimes(1);
+  });
+
+  it('should fall back to the campaign template for control readers', async () => {
+    const notification = experiment({
+      type: 'notification',
+      target: 'morning',
+      variants: [
+        { key: 'control', weight: 50, isControl: true },
+        { key: 'short', weight: 50, template: { text: 'Одна цитата сегодня?' } }
+      ]
+    });
+    jest.spyOn(Experiment, 'find').mockReturnValue(query([notification]));
+    jest.spyOn(ExperimentExposure, 'updateOne').mockResolvedValue({});
+    const base = { text: 'Доброе утро!' };
+
+    const treated = userIds.find(userId => experimentService.assignVariant(notification, userId).key === 'short');
+    const control = userIds.find(userId => experimentService.assignVariant(notification, userId).key === 'control');
+
+    await expect(experimentService.getNotificationTemplate('morning', treated, base)).resolves.toEqual({ text: 'Одна цитата сегодня?' });
+    await expect(experimentService.getNotificationTemplate('morning', control, base)).resolves.toBe(base);
+  });
+});
+
+describe('weekly report prompt', () => {
+  // resolveWeeklyPrompt без подключения сразу берет встроенный промпт
+  beforeEach(() => {
+    mongoose.connection._readyState = 1;
+  });
+
+  afterEach(() => {
+    mongoose.connection._readyState = 0;
+  });
+
+  it('should use the variant prompt for treated readers and log their exposure', async () => {
+    const weekly = experiment({ target: 'weekly_reports' });
+    jest.spyOn(Experiment, 'find').mockReturnValue(query([weekly]));
+    const updateOne = jest.spyOn(ExperimentExposure, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Prompt, 'findById').mockReturnValue(query({ _id: 'prompt-warm', name: 'warm', content: 'Тепло {quotes}', version: '2' }));
+    jest.spyOn(Prompt, 'getReaderPrompt').mockResolvedValue({ _id: 'prompt-active', name: 'active', content: 'Обычный {quotes}', version: '1' });
+    const service = new WeeklyReportService();
+
+    const treated = userIds.find(userId => experimentService.assignVariant(weekly, userId).key === 'warm');
+    const control = userIds.find(userId => experimentService.assignVariant(weekly, userId).key === 'control');
+
+    await expect(service.resolveWeeklyPrompt(null, treated)).resolves.toEqual(expect.objectContaining({ promptName: 'warm' }));
+    await expect(service.resolveWeeklyPrompt(null, control)).resolves.toEqual(expect.objectContaining({ promptName: 'active' }));
+    expect(updateOne).toHaveBeenCalledWith(
+      { experimentId: 'exp1', userId: treated },
+      expect.objectContaining({ $setOnInsert: expect.objectContaining({ variantKey: 'warm', context: 'weekly_reports' }) }),
+      { upsert: true }
+    );
+    expect(updateOne).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('chat persona', () => {
+  it('should add the variant persona to the chat prompt of the reader', async () => {
+    const persona = experiment({
+      type: 'persona',
+      target: 'general_chat',
+      variants: [
+        { key: 'control', weight: 50, isControl: true },
+        { key: 'mentor', weight: 50, personaId: 'persona-mentor' }
+      ]
+    });
+    jest.spyOn(Experiment, 'find').mockReturnValue(query([persona]));
+    jest.spyOn(ExperimentExposure, 'updateOne').mockResolvedValue({});
+    jest.spyOn(promptService, 'getActivePrompt').mockResolvedValue('Базовый промпт');
+    jest.spyOn(AnnaPersona, 'findById').mockResolvedValue({ generateSystemPrompt: () => 'Ты наставник' });
+
+    const treated = userIds.find(userId => experimentService.assignVariant(persona, userId).key === 'mentor');
+    const control = userIds.find(userId => experimentService.assignVariant(persona, userId).key === 'control');
+
+    await expect(claudeService._getSystemPrompt('telegram', treated)).resolves.toBe('Базовый промпт\n\nТы наставник');
+    await expect(claudeService._getSystemPrompt('telegram', control)).resolves.toBe('Базовый промпт');
+    await expect(claudeService._getSystemPrompt('telegram')).resolves.toBe('Базовый промпт');
+  });
+});
+
+describe('experiment targets', () => {
+  /**
+   * Validation error of the target path, if any
+   */
+  const targetError = (type, target) => new Experiment({
+    key: 'target-check',
+    name: 'Проверка цели',
+    type,
+    target,
+    variants: [{ key: 'control', isControl: true }, { key: 'treatment', template: { text: 'Текст' } }]
+  }).validateSync()?.errors?.target;
+
+  it('should accept only targets that the code resolves for the type', () => {
+    expect(targetError('persona', 'general_chat')).toBeUndefined();
+    expect(targetError('prompt', 'weekly_reports')).toBeUndefined();
+    expect(targetError('notification', 'morning')).toBeUndefined();
+
+    expect(targetError('persona', 'quote_analysis')).toBeDefined();
+    expect(targetError('prompt', 'rag')).toBeDefined();
+    expect(targetError('notification', 'general_chat')).toBeDefined();
+  });
+
+  it('should report an unsupported target as an invalid experiment', async () => {
+    jest.spyOn(AnnaPersona, 'exists').mockResolvedValue(true);
+
+    const result = await experimentService.createExperiment({
+      key: 'persona-tone',
+      name: 'Тон персоны',
+      type: 'persona',
+      target: 'weekly_reports',
+      variants: [{ key: 'control', isControl: true }, { key: 'warm', personaId: new mongoose.Types.ObjectId() }]
+    });
+
+    expect(result).toMatchObject({ success: false, code: 'INVALID_EXPERIMENT' });
+    expect(result.error).toMatch(/Unsupported experiment target "weekly_reports"/);
+  });
+});
+
+describe('updateExperiment', () => {
+  it('should only let the traffic share grow after start', async () => {
+    const doc = { ...experiment({ trafficPercent: 50 }), set: jest.fn(), save: jest.fn() };
+    jest.spyOn(Experiment, 'findById').mockResolvedValue(doc);
+
+    await expect(experimentService.updateExperiment('exp1', { trafficPercent: 20 }))
+      .resolves.toEqual(expect.objectContaining({ success: false, code: 'LOCKED' }));
+    await expect(experimentService.updateExperiment('exp1', { variants: [] }))
+      .resolves.toEqual(expect.objectContaining({ success: false, code: 'LOCKED' }));
+    expect(doc.save).not.toHaveBeenCalled();
+
+    await expect(experimentService.updateExperiment('exp1', { trafficPercent: 80 }))
+      .resolves.toEqual(expect.objectContaining({ success: true }));
+    expect(doc.set).toHaveBeenCalledWith('trafficPercent', 80);
+  });
+
+  it('should keep readers enrolled when the traffic share grows', () => {
+    const small = experiment({ trafficPercent: 20 });
+    const large = experiment({ trafficPercent: 60 });
+    const enrolled = userIds.filter(userId => experimentService.assignVariant(small, userId));
+
+    enrolled.forEach(userId => {
+      expect(experimentService.assignVariant(large, userId).key).toBe(experimentService.assignVariant(small, userId).key);
+    });
+  });
+});
+
+describe('setStatus', () => {
+  it('should refuse to run two experiments on the same target', async () => {
+    const doc = { ...experiment({ status: 'draft' }), save: jest.fn() };
+    jest.spyOn(Experiment, 'findById').mockResolvedValue(doc);
+    jest.spyOn(Experiment, 'findOne').mockReturnValue(query({ key: 'older-test' }));
+
+    await expect(experimentService.setStatus('exp1', 'running', now))
+      .resolves.toEqual(expect.objectContaining({ success: false, code: 'CONFLICT' }));
+    expect(doc.save).not.toHaveBeenCalled();
+  });
+
+  it('should stamp start and end dates and reject invalid transitions', async () => {
+    const doc = { ...experiment({ status: 'draft', startedAt: null }), save: jest.fn() };
+    jest.spyOn(Experiment, 'findById').mockResolvedValue(doc);
+    jest.spyOn(Experiment, 'findOne').mockReturnValue(query(null));
+
+    await experimentService.setStatus('exp1', 'running', now);
+    expect(doc).toEqual(expect.objectContaining({ status: 'running', startedAt: now }));
+
+    await experimentService.setStatus('exp1', 'completed', now);
+    expect(doc.endedAt).toBe(now);
+
+    await expect(experimentService.setStatus('exp1', 'running', now))
+      .resolves.toEqual(expect.objectContaining({ success: false, code: 'INVALID_STATUS' }));
+  });
+});
+
+describe('getExperimentMetrics', () => {
+  it('should count outcomes after each reader exposure and compare with control', async () => {
+    jest.spyOn(Experiment, 'findById').mockReturnValue(query(experiment({ endedAt: null })));
+    jest.spyOn(ExperimentExposure, 'find').mockReturnValue(query([
+      { userId: '1', variantKey: 'control', firstExposedAt: new Date('2026-06-01T09:00:00Z') },
+      { userId: '2', variantKey: 'control', firstExposedAt: new Date('2026-06-15T09:00:00Z') },
+      { userId: '3', variantKey: 'warm', firstExposedAt: new Date('2026-06-01T09:00:00Z') }
+    ]));
+    jest.spyOn(WeeklyReport, 'find').mockReturnValue(query([
+      { userId: '1', sentAt: new Date('2026-06-08T08:00:00Z'), isRead: true },
+      { userId: '1', sentAt: new Date('2026-06-15T08:00:00Z'), isRead: false },
+      // До экспозиции читателя 2 - не считается
+      { userId: '2', sentAt: new Date('2026-06-08T08:00:00Z'), isRead: true },
+      { userId: '3', sentAt: new Date('2026-06-08T08:00:00Z'), isRead: true }
+    ]));
+    jest.spyOn(Quote, 'find').mockReturnValue(query([
+      ...Array.from({ length: 4 }, () => ({ userId: '1', createdAt: new Date('2026-06-10T10:00:00Z') })),
+      { userId: '2', createdAt: new Date('2026-06-20T10:00:00Z') },
+      ...Array.from({ length: 8 }, () => ({ userId: '3', createdAt: new Date('2026-06-10T10:00:00Z') }))
+    ]));
+    jest.spyOn(UTMClick, 'find').mockReturnValue(query([
+      { userId: '3', timestamp: new Date('2026-06-12T10:00:00Z') },
+      { userId: '3', timestamp: new Date('2026-06-13T10:00:00Z') }
+    ]));
+
+    const result = await experimentService.getExperimentMetrics('exp1', now);
+
+    expect(result.success).toBe(true);
+    const [control, warm] = result.variants;
+    // Контроль: 4 недели (читатель 1) + 2 недели (читатель 2), 5 цитат
+    expect(control).toEqual(expect.objectContaining({
+      users: 2, reportsSent: 2, reportsRead: 1, reportReadRate: 50, quotesPerWeek: 0.8, catalogClicksPerUser: 0, lift: null
+    }));
+    expect(warm).toEqual(expect.objectContaining({
+      users: 1, reportReadRate: 100, quotesPerWeek: 2, catalogClicks: 2, catalogClicksPerUser: 2, catalogClickRate: 100
+    }));
+    expect(warm.lift).toEqual({ reportReadRate: 100, quotesPerWeek: 150, catalogClicksPerUser: null });
+    expect(Quote.find.mock.calls[0][0].origin).toEqual({ $ne: 'import' });
+  });
+
+  it('should report missing experiments', async () => {
+    jest.spyOn(Experiment, 'findById').mockReturnValue(query(null));
+
+    await expect(experimentService.getExperimentMetrics('missing', now))
+      .resolves.toEqual(expect.objectContaining({ success: false, code: 'NOT_FOUND' }));
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Unit tests for onboarding → first quote → first report → purchase funnels and registration cohorts
+ * @file tests/unit/funnelService.test.js
+ */
+
+jest.mock('../../server/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const UserProfile = require('../../server/models/userProfile');
+const Quote = require('../../server/models/quote');
+const WeeklyReport = require('../../server/models/weeklyReport');
+const Purchase = require('../../server/models/Purchase');
+const TargetAudience = require('../../server/models/TargetAudience');
+const { UTMClick, PromoCodeUsage } = require('../../server/models/analytics');
+const funnelService = require('../../server/services/funnelService');
+
+const now = new Date('2026-06-30T09:00:00Z');
+
+/**
+ * Mongoose query stub: chainable find().select().sort().lean()
+ */
+const query = value => {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    lean: () => Promise.resolve(value)
+  };
+  return chain;
+};
+
+const profile = (userId, registeredAt, extra = {}) => ({
+  _id: `p${userId}`,
+  userId,
+  registeredAt: new Date(registeredAt),
+  source: 'Instagram',
+  isOnboardingComplete: true,
+  testResults: { completedAt: new Date(registeredAt) },
+  ...extra
+});
+
+const mockStepData = ({ quotes = [], reports = [], clicks = [], promo = [], purchases = [] } = {}) => {
+  jest.spyOn(Quote, 'find').mockReturnValue(query(quotes));
+  jest.spyOn(WeeklyReport, 'find').mockReturnValue(query(reports));
+  jest.spyOn(UTMClick, 'find').mockReturnValue(query(clicks));
+  jest.spyOn(PromoCodeUsage, 'find').mockReturnValue(query(promo));
+  jest.spyOn(Purchase, 'find').mockReturnValue(query(purchases));
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('normalizeOptions', () => {
+  it('should default to the last 30 days and the default funnel', () => {
+    const { success, options } = funnelService.normalizeOptions({}, now);
+
+    expect(success).toBe(true);
+    expect(options.from).toBe('2026-06-01');
+    expect(options.to).toBe('2026-06-30');
+    expect(options.range.start).toEqual(new Date('2026-05-31T21:00:00.000Z'));
+    expect(options.cohortBy).toBe('week');
+    expect(options.steps.map(step => step.type))
+      .toEqual(['onboarding', 'quotes', 'report_opened', 'book_click', 'purchase']);
+    expect(options.steps[1]).toEqual({ type: 'quotes', minCount: 3, withinDays: 7 });
+  });
+
+  it('should reject unknown steps, sources and broken ranges', () => {
+    expect(funnelService.normalizeOptions({ steps: [{ type: 'magic' }] }, now).code).toBe('INVALID_STEP');
+    expect(funnelService.normalizeOptions({ steps: [{ type: 'quotes', minCount: 0 }] }, now).code).toBe('INVALID_STEP');
+    expect(funnelService.normalizeOptions({ source: 'TikTok' }, now).code).toBe('INVALID_SOURCE');
+    expect(funnelService.normalizeOptions({ from: '2026-06-10', to: '2026-06-01' }, now).code).toBe('INVALID_RANGE');
+    expect(funnelService.normalizeOptions({ from: '10.06.2026' }, now).code).toBe('INVALID_RANGE');
+    expect(funnelService.normalizeOptions({ cohortBy: 'day' }, now).code).toBe('INVALID_COHORT');
+  });
+});
+
+describe('passesStep', () => {
+  const registeredAt = new Date('2026-06-01T10:00:00Z');
+  const dates = ['2026-06-02', '2026-06-05', '2026-06-20'].map(day => new Date(`${day}T10:00:00Z`));
+
+  it('should count only events inside the window', () => {
+    expect(funnelService.passesStep({ minCount: 2, withinDays: 7 }, registeredAt, dates)).toBe(true);
+    expect(funnelService.passesStep({ minCount: 3, withinDays: 7 }, registeredAt, dates)).toBe(false);
+    expect(funnelService.passesStep({ minCount: 3, withinDays: null }, registeredAt, dates)).toBe(true);
+    expect(funnelService.passesStep({ minCount: 1, withinDays: null }, registeredAt, undefined)).toBe(false);
+  });
+});
+
+describe('getCohortKey', () => {
+  it('should group by ISO week and month in Moscow time', () => {
+    // 2026-06-07 22:30 UTC = понедельник 2026-06-08 01:30 МСК
+    expect(funnelService.getCohortKey(new Date('2026-06-07T22:30:00Z'), 'week')).toBe('2026-W24');
+    expect(funnelService.getCohortKey(new Date('2026-06-07T20:30:00Z'), 'week')).toBe('2026-W23');
+    expect(funnelService.getCohortKey(new Date('2026-05-31T21:30:00Z'), 'month')).toBe('2026-06');
+  });
+});
+
+describe('buildFunnel', () => {
+  it('should narrow readers step by step and break them down by cohort', async () => {
+    const find = jest.spyOn(UserProfile, 'find').mockReturnValue(query([
+      profile('1', '2026-06-02T10:00:00Z'),
+      profile('2', '2026-06-03T10:00:00Z'),
+      profile('3', '2026-06-10T10:00:00Z'),
+      profile('4', '2026-06-10T10:00:00Z', { isOnboardingComplete: false })
+    ]));
+    mockStepData({
+      quotes: [
+        ...['2026-06-03', '2026-06-04', '2026-06-05'].map(day => ({ userId: '1', createdAt: new Date(`${day}T10:00:00Z`) })),
+        // Третья цитата читателя 2 - после первой недели
+        ...['2026-06-04', '2026-06-05', '2026-06-20'].map(day => ({ userId: '2', createdAt: new Date(`${day}T10:00:00Z`) })),
+        ...['2026-06-11', '2026-06-11', '2026-06-12'].map(day => ({ userId: '3', createdAt: new Date(`${day}T10:00:00Z`) })),
+        ...['2026-06-11', '2026-06-11', '2026-06-12'].map(day => ({ userId: '4', createdAt: new Date(`${day}T10:00:00Z`) }))
+      ],
+      reports: [
+        { userId: '1', readAt: new Date('2026-06-08T10:00:00Z') },
+        { userId: '3', sentAt: new Date('2026-06-15T10:00:00Z') }
+      ],
+      clicks: [{ userId: '1', timestamp: new Date('2026-06-09T10:00:00Z') }],
+      purchases: [{ userId: 'p1', createdAt: new Date('2026-06-12T10:00:00Z') }]
+    });
+
+    const result = await funnelService.buildFunnel({
+      from: '2026-06-01', to: '2026-06-30', source: 'Instagram'
+    }, now);
+
+    expect(result.success).toBe(true);
+    expect(find.mock.calls[0][0]).toEqual(expect.objectContaining({ source: 'Instagram' }));
+    expect(Quote.find.mock.calls[0][0].origin).toEqual({ $ne: 'import' });
+    expect(Purchase.find.mock.calls[0][0]).toEqual(expect.objectContaining({
+      status: 'completed',
+      source: { $ne: 'admin' }
+    }));
+    expect(result.cohortSize).toBe(4);
+    expect(result.steps.map(step => step.users)).toEqual([4, 3, 2, 2, 1, 1]);
+    expect(result.steps[2]).toEqual(expect.objectContaining({
+      type: 'quotes',
+      minCount: 3,
+      withinDays: 7,
+      conversionFromPrevious: 66.7,
+      conversionFromStart: 50
+    }));
+    expect(result.cohorts).toEqual([
+      { cohort: '2026-W23', size: 2, steps: [2, 2, 1, 1, 1, 1].map(users => expect.objectContaining({ users })) },
+      { cohort: '2026-W24', size: 2, steps: [2, 1, 1, 1, 0, 0].map(users => expect.objectContaining({ users })) }
+    ]);
+  });
+
+  it('should filter the cohort by target audience criteria', async () => {
+    jest.spyOn(TargetAudience, 'findOne').mockReturnValue(query({
+      slug: 'mothers',
+      criteria: { testResults: [{ field: 'question4_priorities', values: ['семья'] }] }
+    }));
+    jest.spyOn(UserProfile, 'find').mockReturnValue(query([
+      profile('1', '2026-06-02T10:00:00Z', { testResults: { question4_priorities: 'семья и дети' } }),
+      profile('2', '2026-06-02T10:00:00Z', { testResults: { question4_priorities: 'карьера' } })
+    ]));
+    mockStepData();
+
+    const result = await funnelService.buildFunnel({ audience: 'mothers', steps: [{ type: 'onboarding' }] }, now);
+
+    expect(result.cohortSize).toBe(1);
+    expect(Quote.find).not.toHaveBeenCalled();
+  });
+
+  it('should report unknown audiences', async () => {
+    jest.spyOn(TargetAudience, 'findOne').mockReturnValue(query(null));
+
+    await expect(funnelService.buildFunnel({ audience: 'nobody' }, now))
+      .resolves.toEqual(expect.objectContaining({ success: false, code: 'INVALID_AUDIENCE' }));
+  });
+});
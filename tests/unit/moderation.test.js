@@ -0,0 +1,178 @@
+/**
+ * Unit tests for community moderation: reports, moderator actions, bans and comment pre-screening
+ * @file tests/unit/moderation.test.js
+ */
+
+jest.mock('../../server/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const ModerationReport = require('../../server/models/ModerationReport');
+const PhotoComment = require('../../server/models/PhotoComment');
+const PhotoPost = require('../../server/models/PhotoPost');
+const UserProfile = require('../../server/models/userProfile');
+const moderationService = require('../../server/services/moderationService');
+const { communityBanGuard } = require('../../server/middleware/communityBan');
+
+const now = new Date('2026-06-01T12:00:00Z');
+const commentId = '665f1c2b9d3e4a0012345678';
+
+/**
+ * Mongoose query stub: chainable findById().select().lean()
+ */
+const query = value => {
+  const chain = {
+    select: () => chain,
+    lean: () => Promise.resolve(value)
+  };
+  return chain;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  moderationService.clearBanCache();
+});
+
+describe('prescreenText', () => {
+  it('should allow ordinary comments', () => {
+    expect(moderationService.prescreenText('Какая красивая обложка, употребляя чай, дочитала за вечер'))
+      .toEqual({ allowed: true, flags: [], reason: null });
+  });
+
+  it('should reject profanity, including latin lookalikes', () => {
+    expect(moderationService.prescreenText('ну ты и сука')).toEqual(expect.objectContaining({ allowed: false, flags: ['profanity'] }));
+    expect(moderationService.prescreenText('ну ты и cyкa')).toEqual(expect.objectContaining({ allowed: false, reason: 'abuse' }));
+    expect(moderationService.prescreenText('бля, опять спойлер')).toEqual(expect.objectContaining({ allowed: false, reason: 'abuse' }));
+  });
+
+  it('should not match short words inside ordinary words', () => {
+    expect(moderationService.prescreenText('Ну бляха-муха, какой финал!')).toEqual({ allowed: true, flags: [], reason: null });
+    expect(moderationService.prescreenText('На обложке золотая бляшка')).toEqual({ allowed: true, flags: [], reason: null });
+  });
+
+  it('should flag a single link for review and reject link spam', () => {
+    expect(moderationService.prescreenText('Мой отзыв: https://example.com/review'))
+      .toEqual({ allowed: true, flags: ['link'], reason: null });
+    expect(moderationService.prescreenText('Скидки тут t.me/sale и тут shop-books.ru'))
+      .toEqual({ allowed: false, flags: ['link_spam'], reason: 'spam' });
+  });
+});
+
+describe('reportContent', () => {
+  const comment = { _id: commentId, userId: '42', text: 'Комментарий' };
+
+  it('should store a report with a snapshot of the content', async () => {
+    jest.spyOn(PhotoComment, 'findById').mockReturnValue(query(comment));
+    const create = jest.spyOn(ModerationReport, 'create').mockImplementation(data => Promise.resolve(data));
+
+    const result = await moderationService.reportContent({ targetType: 'comment', targetId: commentId, reporterId: '7', reason: 'abuse' });
+
+    expect(result.success).toBe(true);
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      targetType: 'comment',
+      targetUserId: '42',
+      reporterId: '7',
+      reason: 'abuse',
+      snapshot: { text: 'Комментарий', imageUrl: null }
+    }));
+  });
+
+  it('should not let readers report their own content', async () => {
+    jest.spyOn(PhotoComment, 'findById').mockReturnValue(query(comment));
+
+    const result = await moderationService.reportContent({ targetType: 'comment', targetId: commentId, reporterId: '42' });
+
+    expect(result).toEqual(expect.objectContaining({ success: false, code: 'OWN_CONTENT' }));
+  });
+
+  it('should treat a repeated report as a duplicate, not an error', async () => {
+    jest.spyOn(PhotoComment, 'findById').mockReturnValue(query(comment));
+    jest.spyOn(ModerationReport, 'create').mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+
+    const result = await moderationService.reportContent({ targetType: 'comment', targetId: commentId, reporterId: '7' });
+
+    expect(result).toEqual({ success: true, duplicate: true });
+  });
+});
+
+describe('applyAction', () => {
+  beforeEach(() => {
+    jest.spyOn(PhotoPost, 'findById').mockReturnValue(query({ _id: commentId, userId: '42', caption: '', imageUrl: '/uploads/covers/x.jpg' }));
+    jest.spyOn(PhotoPost, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(ModerationReport, 'updateMany').mockResolvedValue({ modifiedCount: 3 });
+  });
+
+  it('should hide the content and resolve all open reports on it', async () => {
+    const result = await moderationService.applyAction({ targetType: 'cover', targetId: commentId, action: 'hide', adminLogin: 'anna' });
+
+    expect(result).toEqual(expect.objectContaining({ success: true, reportsResolved: 3, ban: null }));
+    expect(PhotoPost.updateOne).toHaveBeenCalledWith({ _id: commentId }, { $set: { status: 'hidden' } });
+    expect(ModerationReport.updateMany).toHaveBeenCalledWith(
+      { targetType: 'cover', targetId: commentId, status: 'open' },
+      { $set: expect.objectContaining({ status: 'resolved', resolution: expect.objectContaining({ action: 'hide', by: 'anna' }) }) }
+    );
+  });
+
+  it('should hide the content and ban its author', async () => {
+    const updateProfile = jest.spyOn(UserProfile, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+
+    const result = await moderationService.applyAction({ targetType: 'cover', targetId: commentId, action: 'ban', banDays: 7, adminLogin: 'anna' });
+
+    expect(PhotoPost.updateOne).toHaveBeenCalledWith({ _id: commentId }, { $set: { status: 'hidden' } });
+    expect(updateProfile).toHaveBeenCalledWith({ userId: '42' }, { $set: { communityBan: expect.objectContaining({ bannedBy: 'anna' }) } });
+    expect(result.ban.until.getTime() - result.ban.bannedAt.getTime()).toBe(7 * 24 * 60 * 60 * 1000);
+  });
+
+  it('should dismiss reports without touching the content', async () => {
+    await moderationService.applyAction({ targetType: 'cover', targetId: commentId, action: 'dismiss' });
+
+    expect(PhotoPost.updateOne).not.toHaveBeenCalled();
+    expect(ModerationReport.updateMany.mock.calls[0][1].$set.status).toBe('dismissed');
+  });
+});
+
+describe('community bans', () => {
+  it('should treat expired bans as lifted and cache the lookup', async () => {
+    const findOne = jest.spyOn(UserProfile, 'findOne')
+      .mockReturnValue(query({ communityBan: { bannedAt: now, until: new Date('2026-05-31T00:00:00Z') } }));
+
+    await expect(moderationService.isCommunityBanned('42', now)).resolves.toBe(false);
+    await expect(moderationService.isCommunityBanned('42', now)).resolves.toBe(false);
+    expect(findOne).toHaveBeenCalledTimes(1);
+  });
+
+  it('should block banned readers with COMMUNITY_BANNED', async () => {
+    jest.spyOn(UserProfile, 'findOne').mockReturnValue(query({ communityBan: { bannedAt: now, until: null } }));
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+
+    await communityBanGuard({ userId: '42', method: 'POST', originalUrl: '/api/reader/covers' }, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'COMMUNITY_BANNED' }));
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should skip requests without an authenticated reader', async () => {
+    const findOne = jest.spyOn(UserProfile, 'findOne');
+    const next = jest.fn();
+
+    await communityBanGuard({ method: 'GET' }, {}, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(findOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('hidden comments', () => {
+  it('should not be counted on the post', async () => {
+    const countDocuments = jest.spyOn(PhotoComment, 'countDocuments').mockResolvedValue(2);
+
+    await PhotoComment.countForPost(commentId);
+
+    expect(countDocuments).toHaveBeenCalledWith({ postId: commentId, status: { $ne: 'hidden' } });
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Unit tests for the notification campaign calendar: rotations, overrides and fallback
+ * @file tests/unit/notificationCampaigns.test.js
+ */
+
+jest.mock('../../server/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const {
+  resolveFromCampaigns,
+  resolveTemplate,
+  buildCalendar,
+  countOccurrences,
+  getWeekday,
+  addDays,
+  templatesToCampaign,
+  FALLBACK_ROTATION
+} = require('../../server/services/notificationCampaignService');
+const { ReminderService } = require('../../server/services/reminderService');
+
+const message = text => ({ text, image: '' });
+
+describe('calendar date helpers', () => {
+  it('should compute weekdays and add days across months', () => {
+    expect(getWeekday('2026-10-19')).toBe(1); // понедельник
+    expect(addDays('2026-10-30', 3)).toBe('2026-11-02');
+  });
+
+  it('should count rule occurrences on selected weekdays', () => {
+    // 2026-10-19 - понедельник; правило по Пн и Чт
+    expect(countOccurrences([1, 4], '2026-10-19', '2026-10-19')).toBe(1);
+    expect(countOccurrences([1, 4], '2026-10-19', '2026-10-22')).toBe(2);
+    expect(countOccurrences([1, 4], '2026-10-19', '2026-10-26')).toBe(3);
+    expect(countOccurrences([], '2026-10-19', '2026-10-25')).toBe(7);
+  });
+});
+
+describe('resolveFromCampaigns', () => {
+  const campaign = {
+    _id: 'c1',
+    name: 'Осень',
+    priority: 0,
+    startDate: '2026-10-19',
+    endDate: '2026-12-31',
+    rules: [
+      { slot: 'morning', weekdays: [], messages: [message('A'), message('B'), message('C')] },
+      { slot: 'evening', weekdays: [2, 5], messages: [message('Вт/Пт 1'), message('Вт/Пт 2')] }
+    ],
+    overrides: [
+      { date: '2026-10-21', slot: 'morning', message: { text: 'Праздник', image: 'holiday.jpg', button: { text: 'Открыть', url: 'reports' } } },
+      { date: '2026-10-22', slot: 'morning', skip: true }
+    ]
+  };
+
+  it('should rotate daily messages from the campaign start', () => {
+    expect(resolveFromCampaigns([campaign], '2026-10-19', 'morning').template.text).toBe('A');
+    expect(resolveFromCampaigns([campaign], '2026-10-20', 'morning').template.text).toBe('B');
+    expect(resolveFromCampaigns([campaign], '2026-10-23', 'morning').template.text).toBe('B');
+  });
+
+  it('should advance weekday rotations only on matching days', () => {
+    expect(resolveFromCampaigns([campaign], '2026-10-20', 'evening').template.text).toBe('Вт/Пт 1');
+    expect(resolveFromCampaigns([campaign], '2026-10-23', 'evening').template.text).toBe('Вт/Пт 2');
+    expect(resolveFromCampaigns([campaign], '2026-10-27', 'evening').template.text).toBe('Вт/Пт 1');
+  });
+
+  it('should prefer date overrides and honour skipped slots', () => {
+    const override = resolveFromCampaigns([campaign], '2026-10-21', 'morning');
+    expect(override.template).toEqual(campaign.overrides[0].message);
+    expect(override.source).toEqual({ type: 'override', campaignId: 'c1', campaignName: 'Осень' });
+
+    const skipped = resolveFromCampaigns([campaign], '2026-10-22', 'morning');
+    expect(skipped.template).toBeNull();
+    expect(skipped.source.type).toBe('skip');
+  });
+
+  it('should let a higher priority campaign win and fall through to lower ones', () => {
+    const promo = {
+      _id: 'c2',
+      name: 'Акция',
+      priority: 10,
+      startDate: '2026-10-20',
+      endDate: '2026-10-20',
+      rules: [{ slot: 'morning', weekdays: [], messages: [message('Скидка')] }],
+      overrides: []
+    };
+
+    expect(resolveFromCampaigns([campaign, promo], '2026-10-20', 'morning').template.text).toBe('Скидка');
+    expect(resolveFromCampaigns([campaign, promo], '2026-10-20', 'evening').source.campaignId).toBe('c1');
+    expect(resolveFromCampaigns([campaign, promo], '2026-10-19', 'morning').source.campaignId).toBe('c1');
+  });
+
+  it('should use the fallback rotation when no campaign covers the day', () => {
+    const outside = resolveFromCampaigns([campaign], '2027-01-05', 'morning');
+    expect(outside.source.type).toBe('fallback');
+    expect(FALLBACK_ROTATION.morning).toContainEqual(outside.template);
+
+    const noRule = resolveFromCampaigns([campaign], '2026-10-19', 'day');
+    expect(noRule.source.type).toBe('fallback');
+    expect(resolveFromCampaigns([{ ...campaign, isActive: false }], '2026-10-19', 'morning').source.type).toBe('fallback');
+  });
+
+  it('should rotate the fallback so consecutive days differ', () => {
+    const first = resolveFromCampaigns([], '2026-10-19', 'evening').template;
+    const second = resolveFromCampaigns([], '2026-10-20', 'evening').template;
+    expect(first).not.toEqual(second);
+  });
+});
+
+describe('buildCalendar', () => {
+  it('should resolve every slot for each day', () => {
+    const calendar = buildCalendar([], '2026-10-19', 3);
+
+    expect(calendar.map(day => day.date)).toEqual(['2026-10-19', '2026-10-20', '2026-10-21']);
+    expect(Object.keys(calendar[0].slots)).toEqual(['morning', 'day', 'evening', 'report', 'monthlyReport']);
+    expect(calendar[0].slots.report.template.button).toEqual({ text: '📖 Открыть отчёт', url: 'reports' });
+  });
+});
+
+describe('templatesToCampaign', () => {
+  it('should turn legacy dated templates into overrides', () => {
+    const data = templatesToCampaign({
+      '2025-11-18': {
+        day: { time: '14:00', image: 'server/assets/notifications/2025-11-18_reminder.jpg' }
+      },
+      '2025-11-17': {
+        report: { time: '11:00', text: 'Отчет', button: { text: '📖 Открыть отчёт', url: 'reports' } },
+        morning: { time: '09:00', text: 'Утро' }
+      }
+    });
+
+    expect(data.startDate).toBe('2025-11-17');
+    expect(data.endDate).toBe('2025-11-18');
+    expect(data.overrides).toEqual([
+      { date: '2025-11-17', slot: 'morning', message: { text: 'Утро', image: '' } },
+      { date: '2025-11-17', slot: 'report', message: { text: 'Отчет', image: '', button: { text: '📖 Открыть отчёт', url: 'reports' } } },
+      { date: '2025-11-18', slot: 'day', message: { text: '', image: '2025-11-18_reminder.jpg' } }
+    ]);
+  });
+});
+
+describe('ReminderService calendar integration', () => {
+  it('should never be left without a template when the database is unavailable', async () => {
+    const resolved = await resolveTemplate('2030-01-01', 'morning');
+    expect(resolved.source.type).toBe('fallback');
+
+    const service = new ReminderService();
+    await expect(service.getNotificationTemplate('2030-01-01', 'evening')).resolves.toEqual(expect.objectContaining({ text: expect.any(String) }));
+  });
+});
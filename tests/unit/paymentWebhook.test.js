@@ -0,0 +1,273 @@
+/**
+ * Unit tests for payment webhook signature and event validation
+ * @file tests/unit/paymentWebhook.test.js
+ */
+
+jest.mock('../../server/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../server/services/access/resolveUserId', () => ({
+  resolveUserObjectId: jest.fn(async () => 'user_object_id')
+}));
+
+const Purchase = require('../../server/models/Purchase');
+const UserEntitlement = require('../../server/models/UserEntitlement');
+const entitlementService = require('../../server/services/access/entitlementService');
+const {
+  signPayload,
+  verifySignature,
+  normalizeEvent,
+  processEvent,
+  SIGNATURE_TOLERANCE_SEC
+} = require('../../server/services/payments/paymentWebhookService');
+const succeededFixture = require('../fixtures/payments/payment-succeeded.json');
+
+const SECRET = 'test_webhook_secret';
+
+describe('Payment webhook', () => {
+  describe('verifySignature', () => {
+    const body = JSON.stringify(succeededFixture);
+    const now = 1735689600;
+
+    it('should accept a payload signed with the same secret', () => {
+      const header = signPayload(body, SECRET, now);
+      expect(verifySignature(body, header, SECRET, now)).toBe(true);
+    });
+
+    it('should reject a tampered body', () => {
+      const header = signPayload(body, SECRET, now);
+      expect(verifySignature(body.replace('990', '1'), header, SECRET, now)).toBe(false);
+    });
+
+    it('should reject a wrong secret', () => {
+      const header = signPayload(body, 'other_secret', now);
+      expect(verifySignature(body, header, SECRET, now)).toBe(false);
+    });
+
+    it('should reject stale signatures', () => {
+      const header = signPayload(body, SECRET, now - SIGNATURE_TOLERANCE_SEC - 1);
+      expect(verifySignature(body, header, SECRET, now)).toBe(false);
+    });
+
+    it('should reject malformed headers', () => {
+      expect(verifySignature(body, 'garbage', SECRET, now)).toBe(false);
+      expect(verifySignature(body, undefined, SECRET, now)).toBe(false);
+      expect(verifySignature(body, `t=${now},v1=abc`, SECRET, now)).toBe(false);
+    });
+  });
+
+  describe('normalizeEvent', () => {
+    it('should normalize purchase items with currency and duration', () => {
+      const event = normalizeEvent(succeededFixture);
+      expect(event.id).toBe('evt_test_succeeded_001');
+      expect(event.items).toEqual([
+        { kind: 'audio', resourceId: 'alice_wonderland', price: 490, currency: 'RUB', durationDays: 30, includes: { audioIds: [], bookSlugs: [] } },
+        { kind: 'subscription', resourceId: 'reading_club', price: 500, currency: 'RUB', durationDays: 30, includes: { audioIds: [], bookSlugs: [] } }
+      ]);
+    });
+
+    it('should pass package contents and require subscription duration', () => {
+      const event = normalizeEvent({
+        ...succeededFixture,
+        data: { ...succeededFixture.data, items: [{ kind: 'package', resourceId: 'classics', audioIds: ['alice_wonderland'], bookSlugs: ['art_of_loving'] }] }
+      });
+      expect(event.items[0].includes).toEqual({ audioIds: ['alice_wonderland'], bookSlugs: ['art_of_loving'] });
+
+      expect(() => normalizeEvent({
+        ...succeededFixture,
+        data: { ...succeededFixture.data, items: [{ kind: 'subscription', resourceId: 'reading_club' }] }
+      })).toThrow(/durationDays/);
+    });
+
+    it('should reject unknown event types and items', () => {
+      expect(() => normalizeEvent({ ...succeededFixture, type: 'payment.unknown' })).toThrow(/Unsupported/);
+      expect(() => normalizeEvent({
+        ...succeededFixture,
+        data: { ...succeededFixture.data, items: [{ kind: 'book', resourceId: 'x' }] }
+      })).toThrow(/Invalid purchase item/);
+    });
+
+    it('should require items for succeeded payments', () => {
+      let error;
+      try {
+        normalizeEvent({ ...succeededFixture, data: { ...succeededFixture.data, items: [] } });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.statusCode).toBe(400);
+    });
+  });
+
+  describe('purchased entitlements', () => {
+    const day = 24 * 60 * 60 * 1000;
+    const now = new Date('2026-06-01T00:00:00Z');
+
+    /**
+     * Purchased entitlement row stub
+     */
+    const row = (id, purchaseId, periodStart, days) => ({
+      _id: id,
+      kind: 'subscription',
+      resourceId: 'reading_club',
+      expiresAt: new Date(periodStart.getTime() + days * day),
+      metadata: { purchaseId, periodStart },
+      markModified: jest.fn(),
+      save: jest.fn()
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should continue a renewal from the current expiry', async () => {
+      const current = row('e1', 'p1', now, 30);
+      jest.spyOn(UserEntitlement, 'findOne').mockResolvedValue(null);
+      jest.spyOn(UserEntitlement, 'find').mockReturnValue({
+        sort: () => ({ limit: () => Promise.resolve([current]) })
+      });
+      const create = jest.spyOn(UserEntitlement, 'create').mockImplementation(async doc => doc);
+
+      const renewal = await entitlementService.grantPurchase('u1', 'subscription', 'reading_club', {
+        durationDays: 30,
+        metadata: { purchaseId: 'p2' },
+        now: new Date(now.getTime() + 10 * day)
+      });
+
+      expect(create).toHaveBeenCalledTimes(1);
+      expect(renewal.grantedBy).toBe('purchase');
+      expect(renewal.metadata).toEqual({ purchaseId: 'p2', periodStart: current.expiresAt });
+      expect(renewal.expiresAt).toEqual(new Date(now.getTime() + 60 * day));
+    });
+
+    it('should return the row granted before when the same purchase item is granted again', async () => {
+      const granted = row('e1', 'p1', now, 30);
+      jest.spyOn(UserEntitlement, 'findOne').mockResolvedValue(granted);
+      const create = jest.spyOn(UserEntitlement, 'create');
+
+      const result = await entitlementService.grantPurchase('u1', 'subscription', 'reading_club', {
+        durationDays: 30,
+        metadata: { purchaseId: 'p1' },
+        now
+      });
+
+      expect(result).toBe(granted);
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('should move queued periods back when an earlier purchase is refunded', async () => {
+      const first = row('e1', 'p1', now, 30);
+      const renewal = row('e2', 'p2', first.expiresAt, 30);
+      jest.spyOn(UserEntitlement, 'find')
+        .mockResolvedValueOnce([first])
+        .mockResolvedValueOnce([renewal]);
+      const deleteMany = jest.spyOn(UserEntitlement, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+
+      await entitlementService.revokeByPurchase('u1', 'p1');
+
+      expect(deleteMany).toHaveBeenCalledWith({ _id: { $in: ['e1'] } });
+      expect(renewal.expiresAt).toEqual(new Date(now.getTime() + 30 * day));
+      expect(renewal.metadata.periodStart).toEqual(now);
+      expect(renewal.metadata.shiftedBy).toEqual(['e1']);
+      expect(renewal.save).toHaveBeenCalled();
+    });
+
+    it('should not move a queued period again when a refund is retried', async () => {
+      const first = row('e1', 'p1', now, 30);
+      const find = jest.spyOn(UserEntitlement, 'find')
+        .mockResolvedValueOnce([first])
+        .mockResolvedValueOnce([]);
+      jest.spyOn(UserEntitlement, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+
+      await entitlementService.revokeByPurchase('u1', 'p1');
+
+      expect(find.mock.calls[1][0]['metadata.shiftedBy']).toEqual({ $ne: 'e1' });
+    });
+  });
+
+  describe('processEvent', () => {
+    const purchase = { _id: 'purchase_1', externalPaymentId: 'pay_test_001' };
+
+    /**
+     * Chainable query stub
+     */
+    const query = (value) => ({
+      select: () => query(value),
+      lean: () => Promise.resolve(value)
+    });
+
+    beforeEach(() => {
+      jest.spyOn(Purchase, 'findOne').mockReturnValue(query(null));
+      jest.spyOn(Purchase, 'recordPurchase').mockResolvedValue(purchase);
+      jest.spyOn(Purchase, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should look only at finished purchases when checking for replays', async () => {
+      jest.spyOn(Purchase, 'findOneAndUpdate').mockResolvedValue(purchase);
+      jest.spyOn(entitlementService, 'grantPurchase').mockResolvedValue({});
+
+      await processEvent(succeededFixture);
+
+      expect(Purchase.findOne).toHaveBeenCalledWith({
+        $or: [
+          { eventId: 'evt_test_succeeded_001', status: { $ne: 'pending' } },
+          { 'metadata.refundEventId': 'evt_test_succeeded_001' }
+        ]
+      });
+      expect(Purchase.recordPurchase.mock.calls[0][0].status).toBe('pending');
+    });
+
+    it('should complete the purchase only after every item is granted', async () => {
+      jest.spyOn(Purchase, 'findOneAndUpdate').mockResolvedValue(purchase);
+      const grant = jest.spyOn(entitlementService, 'grantPurchase').mockResolvedValue({});
+
+      const result = await processEvent(succeededFixture);
+
+      expect(result).toMatchObject({ duplicate: false, status: 'completed', granted: 2 });
+      expect(grant).toHaveBeenCalledTimes(2);
+      expect(Purchase.updateOne).toHaveBeenCalledWith(
+        { _id: 'purchase_1' },
+        { $set: expect.objectContaining({ status: 'completed', claimedAt: null }) }
+      );
+    });
+
+    it('should release the claim and keep the purchase pending when a grant fails', async () => {
+      jest.spyOn(Purchase, 'findOneAndUpdate').mockResolvedValue(purchase);
+      jest.spyOn(entitlementService, 'grantPurchase')
+        .mockResolvedValueOnce({})
+        .mockRejectedValueOnce(new Error('db down'));
+
+      await expect(processEvent(succeededFixture)).rejects.toThrow('db down');
+
+      expect(Purchase.updateOne).toHaveBeenCalledTimes(1);
+      expect(Purchase.updateOne).toHaveBeenCalledWith({ _id: 'purchase_1' }, { $set: { claimedAt: null } });
+    });
+
+    it('should ask the shop to retry while another delivery holds the purchase', async () => {
+      jest.spyOn(Purchase, 'findOneAndUpdate').mockResolvedValue(null);
+      jest.spyOn(Purchase, 'findById').mockReturnValue(query({ status: 'pending' }));
+      const grant = jest.spyOn(entitlementService, 'grantPurchase');
+
+      await expect(processEvent(succeededFixture)).rejects.toMatchObject({ statusCode: 409 });
+      expect(grant).not.toHaveBeenCalled();
+    });
+
+    it('should report a duplicate when a concurrent delivery already finished', async () => {
+      jest.spyOn(Purchase, 'findOneAndUpdate').mockResolvedValue(null);
+      jest.spyOn(Purchase, 'findById').mockReturnValue(query({ status: 'completed' }));
+      const grant = jest.spyOn(entitlementService, 'grantPurchase');
+
+      const result = await processEvent(succeededFixture);
+
+      expect(result).toEqual({ eventId: 'evt_test_succeeded_001', duplicate: true });
+      expect(grant).not.toHaveBeenCalled();
+    });
+  });
+});
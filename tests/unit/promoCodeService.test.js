@@ -0,0 +1,237 @@
+/**
+ * Unit tests for per-reader promo code redemption, personal report codes and attribution
+ * @file tests/unit/promoCodeService.test.js
+ */
+
+jest.mock('../../server/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const PromoCode = require('../../server/models/PromoCode');
+const TargetAudience = require('../../server/models/TargetAudience');
+const UserProfile = require('../../server/models/userProfile');
+const WeeklyReport = require('../../server/models/weeklyReport');
+const { PromoCodeUsage } = require('../../server/models/analytics');
+const promoCodeService = require('../../server/services/promoCodeService');
+
+const now = new Date('2026-06-10T09:00:00Z');
+
+/**
+ * Mongoose query stub: chainable findOne().sort().select().lean()
+ */
+const query = value => {
+  const chain = {
+    sort: () => chain,
+    select: () => chain,
+    lean: () => Promise.resolve(value)
+  };
+  return chain;
+};
+
+const readerProfile = {
+  _id: 'p1',
+  userId: '42',
+  source: 'Instagram',
+  registeredAt: new Date('2026-05-20T10:00:00Z'),
+  lastActiveAt: new Date('2026-06-09T10:00:00Z'),
+  statistics: { totalQuotes: 12 },
+  testResults: {}
+};
+
+const sharedCode = (overrides = {}) => ({
+  code: 'READER20',
+  discount: 20,
+  discountType: 'percentage',
+  maxUsesPerUser: 1,
+  targetAudience: ['all'],
+  ownerUserId: null,
+  ...overrides
+});
+
+/**
+ * Обвязка успешного использования; возвращает шпионы для проверок
+ */
+const mockRedeem = ({ promoCode = sharedCode(), usedCount = 0, report = null, audiences = ['all'] } = {}) => {
+  jest.spyOn(PromoCode, 'validateCode').mockResolvedValue({ valid: true, promoCode });
+  jest.spyOn(UserProfile, 'findOne').mockReturnValue(query(readerProfile));
+  jest.spyOn(TargetAudience, 'getForUser').mockResolvedValue(audiences);
+  jest.spyOn(PromoCodeUsage, 'countDocuments').mockResolvedValue(usedCount);
+  jest.spyOn(WeeklyReport, 'findOne').mockReturnValue(query(report));
+  const create = jest.spyOn(PromoCodeUsage, 'create').mockImplementation(async doc => ({
+    ...doc,
+    _id: 'u1',
+    toObject: () => doc
+  }));
+  const useCode = jest.spyOn(PromoCode, 'useCode').mockResolvedValue(true);
+  const deleteOne = jest.spyOn(PromoCodeUsage, 'deleteOne').mockResolvedValue({});
+  return { create, useCode, deleteOne };
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getUserAudiences', () => {
+  it('should combine TargetAudience matches with activity-based audiences', async () => {
+    jest.spyOn(TargetAudience, 'getForUser').mockResolvedValue(['mothers']);
+
+    const audiences = await promoCodeService.getUserAudiences(readerProfile, now);
+
+    expect(audiences.sort()).toEqual(['active_users', 'all', 'mothers', 'new_users']);
+  });
+});
+
+describe('redeemCode', () => {
+  it('should record the usage with the issuing report and reader snapshot', async () => {
+    const { create, useCode } = mockRedeem({ report: { _id: 'report-1' } });
+
+    const result = await promoCodeService.redeemCode('42', 'reader20', {
+      orderValue: 50,
+      product: { title: 'Разбор «Маленький принц»', category: 'book_analysis' }
+    }, now);
+
+    expect(result).toEqual(expect.objectContaining({ success: true, discountAmount: 10, finalAmount: 40 }));
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      promoCode: 'READER20',
+      userId: '42',
+      orderValue: 50,
+      redemptionIndex: 1,
+      reportType: 'weekly',
+      campaign: { type: 'weekly_report', reportId: 'report-1' },
+      userInfo: expect.objectContaining({ totalQuotes: 12, source: 'Instagram', weeksSinceRegistration: 2 })
+    }));
+    expect(WeeklyReport.findOne).toHaveBeenCalledWith({ userId: '42', 'promoCode.code': 'READER20' });
+    expect(useCode).toHaveBeenCalledWith('READER20');
+  });
+
+  it('should stop a reader from draining a shared code', async () => {
+    const { create } = mockRedeem({ promoCode: sharedCode({ maxUsesPerUser: 2 }), usedCount: 2 });
+
+    const result = await promoCodeService.redeemCode('42', 'READER20', {}, now);
+
+    expect(result).toEqual(expect.objectContaining({ success: false, code: 'USER_LIMIT_REACHED' }));
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('should treat a concurrent redemption of the same slot as the limit', async () => {
+    mockRedeem();
+    PromoCodeUsage.create.mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+
+    await expect(promoCodeService.redeemCode('42', 'READER20', {}, now))
+      .resolves.toEqual(expect.objectContaining({ success: false, code: 'USER_LIMIT_REACHED' }));
+    expect(PromoCode.useCode).not.toHaveBeenCalled();
+  });
+
+  it('should reject personal codes of another reader', async () => {
+    mockRedeem({ promoCode: sharedCode({ code: 'READK7M2QX', ownerUserId: '7' }) });
+
+    await expect(promoCodeService.redeemCode('42', 'READK7M2QX', {}, now))
+      .resolves.toEqual(expect.objectContaining({ success: false, code: 'NOT_OWNER' }));
+  });
+
+  it('should enforce target audiences', async () => {
+    mockRedeem({ promoCode: sharedCode({ targetAudience: ['relationships'] }), audiences: ['mothers'] });
+
+    await expect(promoCodeService.redeemCode('42', 'READER20', {}, now))
+      .resolves.toEqual(expect.objectContaining({ success: false, code: 'AUDIENCE_MISMATCH' }));
+  });
+
+  it('should release the reader slot when the global limit is exhausted meanwhile', async () => {
+    const { useCode, deleteOne } = mockRedeem();
+    useCode.mockResolvedValue(false);
+
+    await expect(promoCodeService.redeemCode('42', 'READER20', {}, now))
+      .resolves.toEqual(expect.objectContaining({ success: false, code: 'PROMO_UNAVAILABLE' }));
+    expect(deleteOne).toHaveBeenCalledWith({ _id: 'u1' });
+  });
+
+  it('should attribute personal announcement codes without a report lookup', async () => {
+    const { create } = mockRedeem({
+      promoCode: sharedCode({
+        code: 'READK7M2QX',
+        ownerUserId: '42',
+        issuedFor: { type: 'announcement', ref: 'course-1:2026-06', announcementId: 'course-1' }
+      })
+    });
+
+    await promoCodeService.redeemCode('42', 'READK7M2QX', {}, now);
+
+    expect(create.mock.calls[0][0]).toEqual(expect.objectContaining({
+      reportType: 'special',
+      campaign: expect.objectContaining({ type: 'announcement', announcementId: 'course-1' })
+    }));
+    expect(WeeklyReport.findOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('issuePersonalCode', () => {
+  it('should create a single-use code owned by the reader from the context template', async () => {
+    jest.spyOn(PromoCode, 'findOne').mockReturnValue(query(null));
+    jest.spyOn(UserProfile, 'findOne').mockReturnValue(query(readerProfile));
+    jest.spyOn(TargetAudience, 'getForUser').mockResolvedValue(['all']);
+    jest.spyOn(PromoCode, 'getRandomForContext').mockResolvedValue({
+      code: 'READER20',
+      description: 'Скидка 20% на разбор',
+      discount: 20,
+      discountType: 'percentage',
+      validUntil: new Date('2026-12-31T00:00:00Z')
+    });
+    const create = jest.spyOn(PromoCode, 'create').mockImplementation(async doc => ({ ...doc, toObject: () => doc }));
+
+    const code = await promoCodeService.issuePersonalCode('42', { type: 'weekly_report', ref: '2026-W23' }, now);
+
+    expect(code.code).toMatch(/^READ[A-Z2-9]{6}$/);
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      maxUses: 1,
+      maxUsesPerUser: 1,
+      ownerUserId: '42',
+      templateCode: 'READER20',
+      issuedFor: expect.objectContaining({ type: 'weekly_report', ref: '2026-W23' }),
+      validUntil: new Date('2026-06-13T09:00:00Z')
+    }));
+    expect(PromoCode.getRandomForContext).toHaveBeenCalledWith('weekly_report', expect.arrayContaining(['all', 'new_users']));
+  });
+
+  it('should return the already issued code for the same week', async () => {
+    const existing = { code: 'READABC234', ownerUserId: '42' };
+    jest.spyOn(PromoCode, 'findOne').mockReturnValue(query(existing));
+    const create = jest.spyOn(PromoCode, 'create');
+
+    await expect(promoCodeService.issuePersonalCode('42', { type: 'weekly_report', ref: '2026-W23' }, now))
+      .resolves.toBe(existing);
+    expect(create).not.toHaveBeenCalled();
+  });
+});
+
+describe('getAttributionStats', () => {
+  it('should report conversion per campaign and per report week', async () => {
+    jest.spyOn(PromoCode, 'aggregate').mockResolvedValue([
+      { _id: { type: 'weekly_report', ref: '2026-W22' }, issued: 10, redeemed: 2 },
+      { _id: { type: 'weekly_report', ref: '2026-W23' }, issued: 8, redeemed: 1 }
+    ]);
+    jest.spyOn(PromoCodeUsage, 'aggregate').mockResolvedValue([
+      { _id: 'weekly_report', redemptions: 4, uniqueUsers: ['1', '2', '3'], revenue: 120, discountTotal: 30 },
+      { _id: 'unattributed', redemptions: 1, uniqueUsers: ['9'], revenue: 40, discountTotal: 10 }
+    ]);
+
+    const stats = await promoCodeService.getAttributionStats({ days: 30 }, now);
+
+    expect(stats.byCampaign[0]).toEqual({
+      campaign: 'weekly_report',
+      personalIssued: 18,
+      personalRedeemed: 3,
+      conversionRate: 16.7,
+      redemptions: 4,
+      uniqueUsers: 3,
+      revenue: 120,
+      discountTotal: 30
+    });
+    expect(stats.weeklyReports).toEqual([
+      { week: '2026-W23', issued: 8, redeemed: 1, conversionRate: 12.5 },
+      { week: '2026-W22', issued: 10, redeemed: 2, conversionRate: 20 }
+    ]);
+  });
+});
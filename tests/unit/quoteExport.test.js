@@ -0,0 +1,254 @@
+/**
+ * Tests for quote export formatters
+ * @file tests/unit/quoteExport.test.js
+ */
+
+jest.mock('../../server/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const fs = require('fs');
+const JSZip = require('jszip');
+const Quote = require('../../server/models/quote');
+const UserProfile = require('../../server/models/userProfile');
+const QuoteExport = require('../../server/models/QuoteExport');
+const {
+  buildExportFilter,
+  groupByMonth,
+  toCSV,
+  toJSON,
+  toMarkdown,
+  toEPUB,
+  normalizeFormat,
+  processExportJob,
+  resumePendingExports
+} = require('../../server/services/quoteExportService');
+
+const rows = [
+  {
+    id: '1',
+    text: 'В каждом слове — целая жизнь, "смысл" и, кажется, ответ',
+    author: 'Марина Цветаева',
+    source: 'Письма',
+    category: 'ЛЮБОВЬ',
+    sentiment: 'positive',
+    themes: ['любовь', 'слово'],
+    insights: '',
+    isFavorite: true,
+    createdAt: new Date('2025-01-15T10:00:00Z')
+  },
+  {
+    id: '2',
+    text: 'Хорошая жизнь строится, а не дается по рождению',
+    author: '',
+    source: '',
+    category: 'ПОИСК СЕБЯ',
+    sentiment: 'neutral',
+    themes: [],
+    insights: 'Мысль о выборе',
+    isFavorite: false,
+    createdAt: new Date('2025-02-03T08:00:00Z')
+  }
+];
+
+describe('Quote export', () => {
+  describe('buildExportFilter', () => {
+    it('should scope filter to the requesting user', () => {
+      const filter = buildExportFilter({ period: 'all', category: 'all' }, { scope: 'user', userId: '42' });
+      expect(filter).toEqual({ userId: '42' });
+    });
+
+    it('should apply period and category for admin scope', () => {
+      const filter = buildExportFilter({ period: '30d', category: 'ЛЮБОВЬ' }, { scope: 'all' });
+      expect(filter.userId).toBeUndefined();
+      expect(filter.category).toBe('ЛЮБОВЬ');
+      expect(filter.createdAt.$gte).toBeInstanceOf(Date);
+    });
+  });
+
+  describe('normalizeFormat', () => {
+    it('should accept known formats and markdown alias', () => {
+      expect(normalizeFormat('CSV')).toBe('csv');
+      expect(normalizeFormat('markdown')).toBe('md');
+      expect(normalizeFormat('pdf')).toBeNull();
+    });
+  });
+
+  describe('groupByMonth', () => {
+    it('should group rows by month in chronological order', () => {
+      const groups = groupByMonth([rows[1], rows[0]]);
+      expect(groups.map(g => g.label)).toEqual(['Январь 2025', 'Февраль 2025']);
+    });
+  });
+
+  describe('toCSV', () => {
+    it('should escape quotes and commas and start with BOM', () => {
+      const csv = toCSV(rows);
+      expect(csv.charCodeAt(0)).toBe(0xFEFF);
+      expect(csv).toContain('"В каждом слове — целая жизнь, ""смысл"" и, кажется, ответ"');
+      expect(csv.trim().split('\r\n')).toHaveLength(3);
+    });
+
+    it('should add user columns when requested', () => {
+      const csv = toCSV([{ ...rows[0], user: { id: '42', name: 'Анна', username: 'anna' } }], { includeUserData: true });
+      expect(csv).toContain('Username');
+      expect(csv).toContain('42,Анна,anna');
+    });
+  });
+
+  describe('toCSV formula cells', () => {
+    it('should prefix cells that spreadsheets would evaluate as formulas', () => {
+      const csv = toCSV([{
+        ...rows[0],
+        text: '=HYPERLINK("http://evil.example","жми")',
+        author: '+79990000000',
+        source: '-2+3',
+        themes: ['@SUM(A1)']
+      }]);
+      const line = csv.trim().split('\r\n')[1];
+
+      expect(line).toContain('"\'=HYPERLINK(""http://evil.example"",""жми"")"');
+      expect(line).toContain(",'+79990000000,'-2+3,");
+      expect(line).toContain(",'@SUM(A1),");
+      expect(line.startsWith('15.01.2025,')).toBe(true);
+    });
+  });
+
+  describe('toJSON', () => {
+    it('should include count and quotes', () => {
+      const data = JSON.parse(toJSON(rows, { filters: { period: 'all' } }));
+      expect(data.count).toBe(2);
+      expect(data.quotes[0].id).toBe('1');
+    });
+  });
+
+  describe('toMarkdown', () => {
+    it('should render month headings and blockquotes', () => {
+      const md = toMarkdown(rows, { title: 'Мой дневник' });
+      expect(md).toContain('# Мой дневник');
+      expect(md).toContain('## Январь 2025');
+      expect(md).toContain('> — Марина Цветаева, *Письма*');
+      expect(md).toContain('💡 Мысль о выборе');
+    });
+  });
+
+  describe('toEPUB', () => {
+    it('should produce a valid EPUB container with one chapter per month', async () => {
+      const buffer = await toEPUB(rows, { title: 'Книга', author: 'Анна' });
+      const zip = await JSZip.loadAsync(buffer);
+
+      expect(Object.keys(zip.files)[0]).toBe('mimetype');
+      expect(await zip.file('mimetype').async('string')).toBe('application/epub+zip');
+      expect(zip.file('OEBPS/chapter-1.xhtml')).not.toBeNull();
+      expect(zip.file('OEBPS/chapter-2.xhtml')).not.toBeNull();
+
+      const opf = await zip.file('OEBPS/content.opf').async('string');
+      expect(opf).toContain('<dc:title>Книга</dc:title>');
+
+      const chapter = await zip.file('OEBPS/chapter-1.xhtml').async('string');
+      expect(chapter).toContain('&quot;смысл&quot;');
+    });
+  });
+
+  describe('processExportJob', () => {
+    const quoteDocs = count => Array.from({ length: count }, (_, index) => ({
+      _id: `q${index}`,
+      userId: String(index % 3),
+      text: `Цитата ${index}`,
+      category: 'ЛЮБОВЬ',
+      createdAt: new Date('2025-01-15T10:00:00Z')
+    }));
+
+    const mockQuoteCursor = docs => {
+      const cursor = {
+        close: jest.fn().mockResolvedValue(),
+        async *[Symbol.asyncIterator]() {
+          yield* docs;
+        }
+      };
+      jest.spyOn(Quote, 'find').mockReturnValue({
+        sort: () => ({ lean: () => ({ cursor: () => cursor }) })
+      });
+      return cursor;
+    };
+
+    const exportJob = format => ({
+      _id: `job-${format}`,
+      scope: 'all',
+      requestedBy: 'admin:anna',
+      format,
+      filters: { period: 'all', category: 'all', includeUserData: true },
+      save: jest.fn()
+    });
+
+    let exportFilePath = null;
+
+    afterEach(async () => {
+      jest.restoreAllMocks();
+      await fs.promises.unlink(exportFilePath).catch(() => {});
+    });
+
+    it('should stream quotes from a cursor with one profile lookup per batch', async () => {
+      const job = exportJob('json');
+      const cursor = mockQuoteCursor(quoteDocs(1201));
+      jest.spyOn(QuoteExport, 'findOneAndUpdate').mockResolvedValue(job);
+      const profiles = jest.spyOn(UserProfile, 'find').mockReturnValue({
+        lean: () => Promise.resolve([{ userId: '1', name: 'Анна', telegramUsername: 'anna' }])
+      });
+
+      await processExportJob(job._id);
+      exportFilePath = job.filePath;
+
+      expect(job.status).toBe('completed');
+      expect(job.recordsCount).toBe(1201);
+      expect(profiles).toHaveBeenCalledTimes(3);
+      expect(cursor.close).toHaveBeenCalled();
+
+      const data = JSON.parse(await fs.promises.readFile(job.filePath, 'utf8'));
+      expect(data.count).toBe(1201);
+      expect(data.filters).toEqual(job.filters);
+      expect(data.quotes).toHaveLength(1201);
+      expect(data.quotes[1].user).toEqual({ id: '1', name: 'Анна', username: 'anna' });
+      expect(job.fileSize).toBe((await fs.promises.stat(job.filePath)).size);
+    });
+
+    it('should write a valid empty document when nothing matches', async () => {
+      const job = exportJob('json');
+      mockQuoteCursor([]);
+      jest.spyOn(QuoteExport, 'findOneAndUpdate').mockResolvedValue(job);
+
+      await processExportJob(job._id);
+      exportFilePath = job.filePath;
+
+      expect(JSON.parse(await fs.promises.readFile(job.filePath, 'utf8'))).toEqual(
+        expect.objectContaining({ count: 0, quotes: [] })
+      );
+    });
+  });
+
+  describe('resumePendingExports', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should requeue interrupted jobs and process pending ones after restart', async () => {
+      const updateMany = jest.spyOn(QuoteExport, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(QuoteExport, 'find').mockReturnValue({
+        select: () => ({ sort: () => ({ lean: () => Promise.resolve([{ _id: 'job-1' }, { _id: 'job-2' }]) }) })
+      });
+      // Задачу уже забрал другой вызов - пропускается
+      const claim = jest.spyOn(QuoteExport, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await expect(resumePendingExports()).resolves.toBe(2);
+      expect(updateMany).toHaveBeenCalledWith(
+        { status: 'processing' },
+        { $set: { status: 'pending', startedAt: null } }
+      );
+      expect(claim).toHaveBeenCalledTimes(2);
+      expect(claim.mock.calls[0][0]).toEqual({ _id: 'job-1', status: 'pending' });
+    });
+  });
+});
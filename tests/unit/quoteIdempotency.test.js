@@ -0,0 +1,83 @@
+/**
+ * Unit tests for idempotent quote creation (client-generated IDs from the mini app offline queue)
+ * @file tests/unit/quoteIdempotency.test.js
+ */
+
+jest.mock('../../server/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const Quote = require('../../server/models/quote');
+const QuoteHandler = require('../../server/services/quoteHandler');
+
+describe('Quote clientId', () => {
+  it('should be unique per user only when present', () => {
+    const index = Quote.schema.indexes().find(([fields]) => fields.clientId === 1);
+
+    expect(index).toEqual([
+      { userId: 1, clientId: 1 },
+      expect.objectContaining({ unique: true, partialFilterExpression: { clientId: { $type: 'string' } } })
+    ]);
+  });
+
+  it('should not store clientId for quotes without one', () => {
+    const quote = new Quote({ userId: '123', text: 'Текст' });
+    expect(quote.toObject()).not.toHaveProperty('clientId');
+  });
+});
+
+describe('QuoteHandler.handleQuote with clientId', () => {
+  let handler;
+
+  beforeEach(() => {
+    handler = new QuoteHandler();
+    jest.spyOn(handler, '_checkDailyLimit').mockResolvedValue(2);
+    jest.spyOn(handler, '_analyzeQuote').mockResolvedValue({
+      category: 'Любовь',
+      themes: [],
+      sentiment: 'positive',
+      insights: ''
+    });
+    jest.spyOn(handler, '_updateUserStatistics').mockResolvedValue();
+    jest.spyOn(handler, 'generateAnnaResponse').mockResolvedValue('ok');
+    jest.spyOn(handler.achievementService, 'checkAndUnlockAchievements').mockResolvedValue([]);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should save the client id with the quote', async () => {
+    const save = jest.spyOn(Quote.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+
+    const result = await handler.handleQuote('123', 'Текст', 'Автор', null, { clientId: 'client-id-1' });
+
+    expect(save).toHaveBeenCalledTimes(1);
+    expect(result.success).toBe(true);
+    expect(result.quote.clientId).toBe('client-id-1');
+  });
+
+  it('should report a concurrent duplicate instead of a generic error', async () => {
+    jest.spyOn(Quote.prototype, 'save').mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+    const result = await handler.handleQuote('123', 'Текст', 'Автор', null, { clientId: 'client-id-1' });
+
+    expect(result).toEqual(expect.objectContaining({ success: false, duplicate: true }));
+    expect(handler._updateUserStatistics).not.toHaveBeenCalled();
+  });
+
+  it('should keep the generic error without a client id', async () => {
+    jest.spyOn(Quote.prototype, 'save').mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+    const result = await handler.handleQuote('123', 'Текст', 'Автор');
+
+    expect(result.duplicate).toBeUndefined();
+    expect(result.error).toBe('E11000 duplicate key');
+  });
+});
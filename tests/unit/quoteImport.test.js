@@ -0,0 +1,87 @@
+/**
+ * Unit tests for background AI categorization of imported quotes
+ * @file tests/unit/quoteImport.test.js
+ */
+
+jest.mock('../../server/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const Quote = require('../../server/models/quote');
+const quoteImportService = require('../../server/services/quoteImportService');
+const { AI_FEATURES } = require('../../server/config/aiProvider');
+
+/**
+ * Pending imported quote stub
+ */
+const pendingQuote = (id) => ({
+  _id: id,
+  text: 'Хорошая жизнь строится, а не дается по умолчанию',
+  author: 'Анна Бусел',
+  userId: '123',
+  aiPending: true,
+  save: jest.fn()
+});
+
+/**
+ * Budget error as thrown by the AI provider registry
+ */
+const budgetError = () => Object.assign(new Error('AI global daily budget exceeded'), { code: 'AI_BUDGET_EXCEEDED' });
+
+describe('categorizeBatch', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should analyze imports as the quote_import feature', async () => {
+    const quote = pendingQuote('q1');
+    jest.spyOn(Quote, 'findOne').mockResolvedValueOnce(quote).mockResolvedValueOnce(null);
+    const quoteHandler = {
+      _analyzeQuote: jest.fn(async () => ({ category: 'ЛЮБОВЬ', themes: ['любовь'], sentiment: 'positive', insights: 'Инсайт' }))
+    };
+
+    const analyzed = await quoteImportService.categorizeBatch('batch-1', quoteHandler);
+
+    expect(analyzed).toBe(1);
+    expect(quoteHandler._analyzeQuote).toHaveBeenCalledWith(quote.text, quote.author, '123', {
+      feature: AI_FEATURES.QUOTE_IMPORT,
+      throwOnBudgetExceeded: true
+    });
+    expect(quote.category).toBe('ЛЮБОВЬ');
+    expect(quote.aiPending).toBe(false);
+    expect(quote.save).toHaveBeenCalled();
+  });
+
+  it('should leave quotes pending when the AI budget runs out', async () => {
+    const quote = pendingQuote('q1');
+    const findOne = jest.spyOn(Quote, 'findOne').mockResolvedValue(quote);
+    const quoteHandler = { _analyzeQuote: jest.fn(async () => { throw budgetError(); }) };
+
+    const analyzed = await quoteImportService.categorizeBatch('batch-2', quoteHandler);
+
+    expect(analyzed).toBe(0);
+    expect(findOne).toHaveBeenCalledTimes(1);
+    expect(quote.aiPending).toBe(true);
+    expect(quote.save).not.toHaveBeenCalled();
+  });
+
+  it('should not run the same batch twice at once', async () => {
+    let release;
+    const quote = pendingQuote('q1');
+    jest.spyOn(Quote, 'findOne').mockResolvedValue(quote);
+    const quoteHandler = {
+      _analyzeQuote: jest.fn(() => new Promise((resolve, reject) => { release = () => reject(budgetError()); }))
+    };
+
+    const first = quoteImportService.categorizeBatch('batch-3', quoteHandler);
+    await expect(quoteImportService.categorizeBatch('batch-3', quoteHandler)).resolves.toBe(0);
+    await new Promise(resolve => setImmediate(resolve));
+    release();
+    await first;
+
+    expect(quoteHandler._analyzeQuote).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Tests for diary import parsers
+ * @file tests/unit/quoteImportParser.test.js
+ */
+
+const {
+  parseImport,
+  detectFormat,
+  parseKindleClippings,
+  parseCsvQuotes,
+  parsePlainText,
+  parsePlainEntry
+} = require('../../server/utils/quoteImportParser');
+
+const kindleClippings = [
+  '\uFEFFThe Little Prince (Saint-Exupéry, Antoine)',
+  '- Your Highlight on page 12 | Location 180-181 | Added on Monday, March 3, 2025 9:15:02 PM',
+  '',
+  'What is essential is invisible to the eye.',
+  '==========',
+  'The Little Prince (Saint-Exupéry, Antoine)',
+  '- Your Note on page 12 | Location 181 | Added on Monday, March 3, 2025 9:16:00 PM',
+  '',
+  'remember this',
+  '==========',
+  'Мастер и Маргарита (Булгаков, Михаил)',
+  '- Ваш выделенный отрывок на странице 45 | Место 690-691 | Добавлено: понедельник, 5 мая 2025 г. в 10:20:30',
+  '',
+  'Никогда и ничего не просите.',
+  '=========='
+].join('\r\n');
+
+describe('Quote import parser', () => {
+  describe('parseKindleClippings', () => {
+    it('should import highlights and skip notes', () => {
+      const quotes = parseKindleClippings(kindleClippings);
+      expect(quotes).toHaveLength(2);
+      expect(quotes[0]).toMatchObject({
+        text: 'What is essential is invisible to the eye.',
+        author: 'Antoine Saint-Exupéry',
+        source: 'The Little Prince'
+      });
+      expect(quotes[0].createdAt).toBeInstanceOf(Date);
+    });
+
+    it('should parse Russian metadata dates', () => {
+      const [, quote] = parseKindleClippings(kindleClippings);
+      expect(quote.author).toBe('Михаил Булгаков');
+      expect(quote.createdAt.getFullYear()).toBe(2025);
+      expect(quote.createdAt.getMonth()).toBe(4);
+      expect(quote.createdAt.getDate()).toBe(5);
+    });
+  });
+
+  describe('parseCsvQuotes', () => {
+    it('should handle quoted fields with commas and escaped quotes', () => {
+      const csv = 'Quote,Author,Title,Date Added\n"Жизнь — это ""то"", что с тобой происходит, пока ты строишь планы","Леннон, Джон",,2024/12/01\n';
+      const quotes = parseCsvQuotes(csv);
+      expect(quotes).toHaveLength(1);
+      expect(quotes[0].text).toBe('Жизнь — это "то", что с тобой происходит, пока ты строишь планы');
+      expect(quotes[0].author).toBe('Джон Леннон');
+      expect(quotes[0].source).toBeNull();
+      expect(quotes[0].createdAt).toBeInstanceOf(Date);
+    });
+
+    it('should detect semicolon delimiter and Russian headers', () => {
+      const csv = 'Цитата;Автор;Книга\nРукописи не горят;Булгаков;Мастер и Маргарита\n';
+      const [quote] = parseCsvQuotes(csv);
+      expect(quote).toMatchObject({ text: 'Рукописи не горят', author: 'Булгаков', source: 'Мастер и Маргарита' });
+    });
+
+    it('should return nothing without a text column', () => {
+      expect(parseCsvQuotes('Name,Rating\nBook,5\n')).toEqual([]);
+    });
+  });
+
+  describe('parsePlainEntry', () => {
+    it('should split text, author and book', () => {
+      expect(parsePlainEntry('«Рукописи не горят» — Михаил Булгаков, «Мастер и Маргарита»')).toMatchObject({
+        text: 'Рукописи не горят',
+        author: 'Михаил Булгаков',
+        source: 'Мастер и Маргарита'
+      });
+    });
+
+    it('should accept author in parentheses', () => {
+      expect(parsePlainEntry('Красота спасёт мир (Достоевский)')).toMatchObject({
+        text: 'Красота спасёт мир',
+        author: 'Достоевский'
+      });
+    });
+
+    it('should keep long dash tails as part of the text', () => {
+      const entry = 'Я думал — и это было самое странное из всего, что случилось со мной за этот долгий год';
+      expect(parsePlainEntry(entry)).toMatchObject({ text: entry, author: null });
+    });
+  });
+
+  describe('parsePlainText', () => {
+    it('should split by blank lines when present', () => {
+      const quotes = parsePlainText('Первая строка\nпродолжение — Автор\n\nВторая — Другой');
+      expect(quotes).toHaveLength(2);
+      expect(quotes[0].text).toBe('Первая строка\nпродолжение');
+    });
+
+    it('should treat every line as an entry otherwise', () => {
+      expect(parsePlainText('Одна — А\nДве — Б\n')).toHaveLength(2);
+    });
+  });
+
+  describe('detectFormat', () => {
+    it('should recognise each format', () => {
+      expect(detectFormat(kindleClippings)).toBe('kindle');
+      expect(detectFormat('anything', 'My Clippings.txt')).toBe('kindle');
+      expect(detectFormat('Quote,Author\n"a",b')).toBe('csv');
+      expect(detectFormat('', 'export.csv')).toBe('csv');
+      expect(detectFormat('Просто цитата — Автор')).toBe('text');
+    });
+
+    it('should honour explicit format in parseImport', () => {
+      const { format, quotes } = parseImport('Quote,Author\nТекст,Автор', { format: 'text' });
+      expect(format).toBe('text');
+      expect(quotes).toHaveLength(2);
+    });
+  });
+});
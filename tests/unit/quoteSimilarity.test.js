@@ -0,0 +1,98 @@
+/**
+ * Unit tests for semantic similar-quote search (in-process index, local embeddings)
+ * @file tests/unit/quoteSimilarity.test.js
+ */
+
+jest.mock('../../server/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const storedQuotes = [];
+
+jest.mock('../../server/models/quote', () => ({
+  find: jest.fn(() => ({
+    lean: () => ({
+      cursor: () => storedQuotes[Symbol.iterator]()
+    })
+  }))
+}));
+
+process.env.VECTOR_DB_URL = 'memory';
+
+const { setEmbeddingProvider, LocalEmbeddingProvider } = require('../../server/services/embeddings');
+setEmbeddingProvider(new LocalEmbeddingProvider({ dimension: 512 }));
+
+const quoteSimilarityService = require('../../server/services/quoteSimilarityService');
+
+const quotes = [
+  { _id: 'a1', userId: 'alice', text: 'Любовь к себе - начало долгого романа длиною в жизнь', author: 'Оскар Уайльд', themes: ['любовь'] },
+  { _id: 'a2', userId: 'alice', text: 'Любить себя - это начало романа, который длится всю жизнь', author: 'Оскар Уайльд', themes: ['любовь'] },
+  { _id: 'a3', userId: 'alice', text: 'Счастье не в деньгах, а в умении радоваться мелочам', author: null, themes: [] },
+  { _id: 'b1', userId: 'bob', text: 'Любовь к себе - начало романа длиною в целую жизнь', author: 'Уайльд', themes: ['любовь'] },
+  { _id: 'b2', userId: 'bob', text: 'Хаос порождает звезды', author: 'Ницше', themes: [] }
+];
+
+describe('QuoteSimilarityService', () => {
+  afterAll(() => {
+    setEmbeddingProvider(null);
+  });
+
+  it('should rebuild the index from MongoDB when the collection is new', async () => {
+    storedQuotes.push(...quotes);
+    const reindexSpy = jest.spyOn(quoteSimilarityService, 'reindexAll');
+
+    await quoteSimilarityService.store.initialize();
+    while (quoteSimilarityService.store.reindexInProgress) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    expect(reindexSpy).toHaveBeenCalledTimes(1);
+    expect(quoteSimilarityService.store.reindexRequired).toBe(false);
+    const info = await quoteSimilarityService.store.client.getCollection(quoteSimilarityService.store.collectionName);
+    expect(info.points_count).toBe(quotes.length);
+  });
+
+  it('should find similar quotes only in the reader\'s own diary by default', async () => {
+    const similar = await quoteSimilarityService.findSimilar(quotes[0]);
+
+    expect(similar.length).toBeGreaterThan(0);
+    expect(similar[0].quoteId).toBe('a2');
+    expect(similar.every(match => match.userId === 'alice')).toBe(true);
+    expect(similar.map(match => match.quoteId)).not.toContain('a1');
+  });
+
+  it('should search other readers\' quotes in community scope', async () => {
+    const similar = await quoteSimilarityService.findSimilar(quotes[0], { scope: 'community' });
+
+    expect(similar[0].quoteId).toBe('b1');
+    expect(similar.every(match => match.userId !== 'alice')).toBe(true);
+  });
+
+  it('should respect the limit', async () => {
+    const similar = await quoteSimilarityService.findSimilar(quotes[0], { scope: 'all', limit: 1 });
+
+    expect(similar).toHaveLength(1);
+    expect(similar[0].similarity).toBeGreaterThan(0);
+    expect(similar[0].similarity).toBeLessThanOrEqual(1);
+  });
+
+  it('should update and remove single quotes', async () => {
+    await quoteSimilarityService.indexQuote({ _id: 'a4', userId: 'alice', text: 'Звезды рождаются из хаоса', themes: [] });
+
+    let similar = await quoteSimilarityService.findSimilar(
+      { _id: 'tmp', userId: 'alice', text: 'Хаос и звезды' },
+      { limit: 3 }
+    );
+    expect(similar.map(match => match.quoteId)).toContain('a4');
+
+    await quoteSimilarityService.removeQuote('a4');
+    similar = await quoteSimilarityService.findSimilar(
+      { _id: 'tmp', userId: 'alice', text: 'Хаос и звезды' },
+      { limit: 3 }
+    );
+    expect(similar.map(match => match.quoteId)).not.toContain('a4');
+  });
+});
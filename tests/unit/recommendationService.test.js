@@ -0,0 +1,131 @@
+/**
+ * Unit tests for the blended book recommendation engine and its explanations
+ * @file tests/unit/recommendationService.test.js
+ */
+
+jest.mock('../../server/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const BookCatalog = require('../../server/models/BookCatalog');
+const Quote = require('../../server/models/quote');
+const UserProfile = require('../../server/models/userProfile');
+const Favorite = require('../../server/models/Favorite');
+const UserEntitlement = require('../../server/models/UserEntitlement');
+const { UTMClick, PromoCodeUsage } = require('../../server/models/analytics');
+const recommendationService = require('../../server/services/recommendationService');
+
+const now = new Date('2026-06-10T09:00:00Z');
+
+/**
+ * Mongoose query stub: chainable find().select().lean()
+ */
+const query = value => {
+  const chain = {
+    select: () => chain,
+    lean: () => Promise.resolve(value)
+  };
+  return chain;
+};
+
+const book = (bookSlug, overrides = {}) => ({
+  _id: `b-${bookSlug}`,
+  bookSlug,
+  title: bookSlug,
+  author: 'Анна Бусел',
+  categories: [],
+  targetThemes: [],
+  priority: 5,
+  reasoning: 'Универсальный разбор',
+  ...overrides
+});
+
+const signals = (overrides = {}) => ({
+  quoteCategories: new Map(),
+  favoriteAuthors: [],
+  clicks: new Map(),
+  owned: new Set(),
+  onboardingThemes: [],
+  popularity: new Map(),
+  ...overrides
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('scoreBooks', () => {
+  it('should rank by the reader quote categories and explain why', () => {
+    const ranked = recommendationService.scoreBooks([
+      book('art_of_loving', { categories: ['ЛЮБОВЬ'] }),
+      book('be_yourself', { categories: ['ПОИСК СЕБЯ', 'КРИЗИСЫ'] })
+    ], signals({ quoteCategories: new Map([['ПОИСК СЕБЯ', 5], ['ЛЮБОВЬ', 1]]) }));
+
+    expect(ranked.map(entry => entry.book.bookSlug)).toEqual(['be_yourself', 'art_of_loving']);
+    expect(recommendationService.explain(ranked[0].reasons))
+      .toBe('потому что вы сохранили 5 цитат о ПОИСК СЕБЯ');
+    expect(ranked[1].reasons[0].text).toBe('вы сохранили 1 цитату о ЛЮБОВЬ');
+  });
+
+  it('should exclude purchased books and boost favorite authors, clicks and context themes', () => {
+    const ranked = recommendationService.scoreBooks([
+      book('art_of_loving', { author: 'Эрих Фромм', categories: ['ЛЮБОВЬ'] }),
+      book('little_prince', { author: 'Антуан де Сент-Экзюпери' }),
+      book('letters_to_poet', { author: 'Райнер Мария Рильке', categories: ['ОДИНОЧЕСТВО'] })
+    ], signals({
+      favoriteAuthors: ['фромм'],
+      clicks: new Map([['art_of_loving', 2]]),
+      owned: new Set(['little_prince'])
+    }), { themes: ['Одиночество'] });
+
+    expect(ranked.map(entry => entry.book.bookSlug)).toEqual(['art_of_loving', 'letters_to_poet']);
+    expect(ranked[0].reasons.map(reason => reason.type)).toEqual(['author', 'clicks']);
+    expect(ranked[1].reasons).toEqual([expect.objectContaining({ type: 'context', text: 'вам сейчас близка тема ОДИНОЧЕСТВО' })]);
+  });
+
+  it('should fall back to priority and catalog reasoning without personal signals', () => {
+    const ranked = recommendationService.scoreBooks([
+      book('low', { priority: 2 }),
+      book('high', { priority: 9 })
+    ], signals());
+
+    expect(ranked.map(entry => entry.score)).toEqual([1.8, 0.4]);
+    expect(recommendationService.explain(ranked[0].reasons, ranked[0].book.reasoning)).toBe('Универсальный разбор');
+  });
+});
+
+describe('getRecommendations', () => {
+  it('should collect signals from quotes, favorites, clicks, entitlements and promo purchases', async () => {
+    jest.spyOn(BookCatalog, 'find').mockReturnValue(query([
+      book('art_of_loving', { categories: ['ЛЮБОВЬ'] }),
+      book('be_yourself', { categories: ['ПОИСК СЕБЯ'] }),
+      book('little_prince'),
+      book('alchemist', { categories: ['ДЕНЬГИ'] })
+    ]));
+    jest.spyOn(UserProfile, 'findOne').mockReturnValue(query({
+      _id: 'p42',
+      preferences: { mainThemes: [] },
+      statistics: { favoriteAuthors: [] }
+    }));
+    jest.spyOn(Quote, 'aggregate').mockResolvedValue([{ _id: 'ПОИСК СЕБЯ', count: 3 }, { _id: 'ДРУГОЕ', count: 7 }]);
+    jest.spyOn(Quote, 'distinct').mockResolvedValue([]);
+    jest.spyOn(Favorite, 'find').mockReturnValue(query([]));
+    jest.spyOn(UTMClick, 'aggregate')
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce([{ _id: 'art_of_loving', count: 40 }, { _id: 'alchemist', count: 10 }]);
+    const entitlements = jest.spyOn(UserEntitlement, 'find').mockReturnValue(query([
+      { resourceId: 'package-1', includes: { bookSlugs: ['little_prince'] } }
+    ]));
+    jest.spyOn(PromoCodeUsage, 'find').mockReturnValue(query([{ booksPurchased: ['alchemist'] }]));
+
+    const result = await recommendationService.getRecommendations('42', { limit: 5, now });
+
+    expect(entitlements.mock.calls[0][0]).toEqual(expect.objectContaining({ userId: 'p42' }));
+    expect(result.map(entry => entry.book.bookSlug)).toEqual(['be_yourself', 'art_of_loving']);
+    expect(result[0].explanation).toBe('потому что вы сохранили 3 цитаты о ПОИСК СЕБЯ');
+    expect(result[1].explanation).toBe('потому что его выбирают другие читатели');
+  });
+});
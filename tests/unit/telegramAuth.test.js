@@ -0,0 +1,83 @@
+/**
+ * Unit tests for the shared Telegram initData auth middleware
+ * @file tests/unit/telegramAuth.test.js
+ */
+
+jest.mock('../../server/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { parseUserIdFromInitData, telegramAuth } = require('../../server/middleware/telegramAuth');
+
+const initData = 'user=%7B%22id%22%3A123%7D&auth_date=1234567890';
+
+/**
+ * Express response stub
+ */
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('parseUserIdFromInitData', () => {
+  it('should read the user id from plain and encoded initData', () => {
+    expect(parseUserIdFromInitData(initData)).toBe('123');
+    expect(parseUserIdFromInitData(encodeURIComponent(initData))).toBe('123');
+  });
+
+  it('should return null for broken initData', () => {
+    expect(parseUserIdFromInitData(null)).toBeNull();
+    expect(parseUserIdFromInitData('garbage')).toBeNull();
+    expect(parseUserIdFromInitData('user=%7Bbroken')).toBeNull();
+  });
+});
+
+describe('telegramAuth', () => {
+  const originalEnv = process.env.NODE_ENV;
+
+  afterEach(() => {
+    process.env.NODE_ENV = originalEnv;
+  });
+
+  it('should accept both the tma Authorization header and X-Telegram-Init-Data', () => {
+    for (const headers of [{ authorization: `tma ${initData}` }, { 'x-telegram-init-data': initData }]) {
+      const req = { headers, query: {} };
+      const next = jest.fn();
+
+      telegramAuth(req, response(), next);
+
+      expect(req.userId).toBe('123');
+      expect(next).toHaveBeenCalled();
+    }
+  });
+
+  it('should answer 401 without valid initData', () => {
+    const missing = response();
+    telegramAuth({ headers: {}, query: {} }, missing, jest.fn());
+    expect(missing.status).toHaveBeenCalledWith(401);
+    expect(missing.json).toHaveBeenCalledWith({ success: false, error: 'No Telegram initData' });
+
+    const invalid = response();
+    telegramAuth({ headers: { 'x-telegram-init-data': 'garbage' }, query: {} }, invalid, jest.fn());
+    expect(invalid.json).toHaveBeenCalledWith({ success: false, error: 'Invalid Telegram initData' });
+  });
+
+  it('should allow the userId query param only in development', () => {
+    process.env.NODE_ENV = 'production';
+    const res = response();
+    telegramAuth({ headers: {}, query: { userId: '42' } }, res, jest.fn());
+    expect(res.status).toHaveBeenCalledWith(401);
+
+    process.env.NODE_ENV = 'development';
+    const req = { headers: {}, query: { userId: '42' } };
+    const next = jest.fn();
+    telegramAuth(req, response(), next);
+    expect(req.userId).toBe('42');
+    expect(next).toHaveBeenCalled();
+  });
+});
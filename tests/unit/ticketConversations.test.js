@@ -0,0 +1,126 @@
+/**
+ * Unit tests for two-way ticket conversations: bot delivery, Telegram reply threading and admin live events
+ * @file tests/unit/ticketConversations.test.js
+ */
+
+jest.mock('../../server/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../server/models/OutboxMessage', () => ({
+  findTicketIdByTelegramMessage: jest.fn()
+}));
+
+jest.mock('../../server/services/ticketing', () => ({
+  addUserReplyByTicketId: jest.fn()
+}));
+
+const OutboxMessage = require('../../server/models/OutboxMessage');
+const ticketService = require('../../server/services/ticketing');
+const ticketRealtime = require('../../server/services/ticketRealtime');
+const { handleTicketReply, getAuthorName } = require('../../server/services/telegram/ticketReplyHandlers');
+const { OutboxService } = require('../../server/services/outboxService');
+const { TICKET_TEMPLATES } = require('../../server/services/email/ticketTemplates');
+const { authenticateAdminHeader } = require('../../server/middleware/adminAuth');
+
+const from = { id: 123456789, first_name: 'Мария', username: 'maria_k' };
+
+describe('support replies through the bot', () => {
+  it('should send public comments to Telegram and copy them to email', async () => {
+    const service = new OutboxService();
+    const enqueue = jest.spyOn(service, 'enqueueTicketNotification')
+      .mockImplementation(async (ticket, template, extra, { recipient }) => ({ channel: recipient.channel }));
+
+    const channels = await service.notifyTicketComment({ ticketId: 'RDER1', userId: '123456789', email: 'maria@example.com' }, 'Готово');
+
+    expect(channels).toEqual(['telegram', 'email']);
+    expect(enqueue).toHaveBeenCalledWith(expect.anything(), TICKET_TEMPLATES.COMMENT, { comment: 'Готово' }, { recipient: { channel: 'telegram', to: '123456789' } });
+  });
+
+  it('should skip Telegram for web chat users', async () => {
+    const service = new OutboxService();
+    jest.spyOn(service, 'enqueueTicketNotification')
+      .mockImplementation(async (ticket, template, extra, { recipient }) => ({ channel: recipient.channel }));
+
+    await expect(service.notifyTicketComment({ ticketId: 'RDER1', userId: 'web_42', email: null }, 'Готово')).resolves.toEqual([]);
+  });
+});
+
+describe('Telegram reply threading', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+    ticketRealtime.detach();
+  });
+
+  it('should format the comment author', () => {
+    expect(getAuthorName(from)).toBe('Мария (@maria_k)');
+    expect(getAuthorName({ id: 1, username: 'reader' })).toBe('@reader');
+    expect(getAuthorName({ id: 7 })).toBe('7');
+  });
+
+  it('should ignore replies to messages that are not about a ticket', async () => {
+    OutboxMessage.findTicketIdByTelegramMessage.mockResolvedValue(null);
+
+    await expect(handleTicketReply({ chatId: 123456789, replyToMessageId: 10, from, text: 'Привет' })).resolves.toBeNull();
+    expect(ticketService.addUserReplyByTicketId).not.toHaveBeenCalled();
+  });
+
+  it('should add the reply to the ticket and push it to connected admins', async () => {
+    const comment = { content: 'Спасибо, заработало', authorId: '123456789', authorName: 'Мария (@maria_k)' };
+    OutboxMessage.findTicketIdByTelegramMessage.mockResolvedValue('RDER1');
+    ticketService.addUserReplyByTicketId.mockResolvedValue({
+      _id: 'abc',
+      ticketId: 'RDER1',
+      status: 'open',
+      updatedAt: new Date(),
+      comments: [comment]
+    });
+
+    const emit = jest.fn();
+    const namespace = { use: jest.fn(), on: jest.fn(), emit };
+    ticketRealtime.attach({ of: () => namespace });
+
+    const ticket = await handleTicketReply({ chatId: 123456789, replyToMessageId: 10, from, text: 'Спасибо, заработало' });
+
+    expect(OutboxMessage.findTicketIdByTelegramMessage).toHaveBeenCalledWith(123456789, 10);
+    expect(ticketService.addUserReplyByTicketId).toHaveBeenCalledWith('RDER1', comment);
+    expect(ticket.ticketId).toBe('RDER1');
+    expect(emit).toHaveBeenCalledWith('ticket:reply', expect.objectContaining({
+      ticket: expect.objectContaining({ ticketId: 'RDER1', status: 'open' }),
+      comment
+    }));
+  });
+});
+
+describe('admin socket authentication', () => {
+  it('should accept the same credentials as the REST API', () => {
+    const basic = `Basic ${Buffer.from(`${process.env.ADMIN_USERNAME || 'admin'}:${process.env.ADMIN_PASSWORD || 'password123'}`).toString('base64')}`;
+
+    expect(authenticateAdminHeader(basic)).toEqual(expect.objectContaining({ role: 'admin' }));
+    expect(authenticateAdminHeader(`Bearer ${process.env.ADMIN_TOKEN || 'default-admin-token'}`)).not.toBeNull();
+    expect(authenticateAdminHeader('Bearer wrong')).toBeNull();
+    expect(authenticateAdminHeader(undefined)).toBeNull();
+  });
+
+  it('should reject sockets without valid credentials', () => {
+    const namespace = { use: jest.fn(), on: jest.fn(), emit: jest.fn() };
+    ticketRealtime.attach({ of: () => namespace });
+    const middleware = namespace.use.mock.calls[0][0];
+
+    const next = jest.fn();
+    middleware({ handshake: { auth: { authorization: 'Bearer wrong' } }, data: {} }, next);
+    expect(next.mock.calls[0][0]).toBeInstanceOf(Error);
+
+    const socket = { handshake: { auth: { authorization: `Bearer ${process.env.ADMIN_TOKEN || 'default-admin-token'}` } }, data: {} };
+    const allow = jest.fn();
+    middleware(socket, allow);
+    expect(allow).toHaveBeenCalledWith();
+    expect(socket.data.admin.role).toBe('admin');
+
+    ticketRealtime.detach();
+    expect(ticketRealtime.emitTicketEvent('ticket:reply', {})).toBe(false);
+  });
+});
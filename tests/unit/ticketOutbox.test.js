@@ -0,0 +1,138 @@
+/**
+ * Unit tests for ticket notification templates, email transports and outbox retry policy
+ * @file tests/unit/ticketOutbox.test.js
+ */
+
+jest.mock('../../server/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TICKET_TEMPLATES, renderTicketTemplate, resolveLanguage } = require('../../server/services/email/ticketTemplates');
+const { getTransport, sendEmail } = require('../../server/services/email');
+const FileTransport = require('../../server/services/email/fileTransport');
+const { OutboxService, getRetryDelay, resolveRecipient } = require('../../server/services/outboxService');
+
+const ticket = {
+  ticketId: 'RDERTEST01',
+  userId: '123456789',
+  subject: 'Не приходит <отчет>',
+  status: 'in_progress',
+  language: 'ru',
+  email: null
+};
+
+describe('ticket templates', () => {
+  it('should render status changes with localized labels', () => {
+    const { subject, text } = renderTicketTemplate(TICKET_TEMPLATES.STATUS_CHANGED, ticket, { previousStatus: 'open' });
+
+    expect(subject).toBe('Обращение RDERTEST01: статус изменен');
+    expect(text).toContain('Открыт → В работе');
+    expect(text.startsWith('Здравствуйте!')).toBe(true);
+  });
+
+  it('should include the resolution and escape html', () => {
+    const resolved = { ...ticket, status: 'resolved', resolution: 'Отчет отправлен повторно', language: 'en' };
+    const { subject, text, html } = renderTicketTemplate(TICKET_TEMPLATES.RESOLVED, resolved);
+
+    expect(subject).toBe('Ticket RDERTEST01 resolved');
+    expect(text).toContain('Resolution:\nОтчет отправлен повторно');
+    expect(html).toContain('&lt;отчет&gt;');
+    expect(html).not.toContain('<отчет>');
+  });
+
+  it('should fall back to russian for auto and english for unknown languages', () => {
+    expect(resolveLanguage('auto')).toBe('ru');
+    expect(resolveLanguage('es')).toBe('en');
+    expect(() => renderTicketTemplate('unknown', ticket)).toThrow('Unknown ticket template');
+  });
+});
+
+describe('email transports', () => {
+  let outboxDir;
+
+  beforeEach(() => {
+    outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reader-outbox-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(outboxDir, { recursive: true, force: true });
+  });
+
+  it('should write .eml and .json files with the file transport', async () => {
+    const transport = new FileTransport(outboxDir);
+    const result = await transport.send({
+      from: 'noreply@reader-bot.io',
+      to: 'reader@example.com',
+      subject: 'Тест',
+      text: 'Привет',
+      html: '<p>Привет</p>'
+    });
+
+    const files = fs.readdirSync(outboxDir).sort();
+    expect(files).toHaveLength(2);
+    expect(result.path.endsWith('.eml')).toBe(true);
+
+    const eml = fs.readFileSync(result.path, 'utf8');
+    expect(eml).toContain('To: reader@example.com');
+    expect(eml).toContain(`Message-ID: ${result.messageId}`);
+
+    const json = JSON.parse(fs.readFileSync(path.join(outboxDir, files.find(f => f.endsWith('.json'))), 'utf8'));
+    expect(json).toEqual(expect.objectContaining({ to: 'reader@example.com', subject: 'Тест', messageId: result.messageId }));
+  });
+
+  it('should log messages with the log transport and reject unknown transports', async () => {
+    const result = await sendEmail({ to: 'reader@example.com', subject: 'Тест', text: 'Привет' }, 'log');
+
+    expect(result.transport).toBe('log');
+    expect(result.messageId).toMatch(/@log\.local>$/);
+    expect(() => getTransport('pigeon')).toThrow('Unknown email transport: pigeon');
+  });
+});
+
+describe('outbox retry policy', () => {
+  it('should back off exponentially up to six hours', () => {
+    expect(getRetryDelay(1, 60000)).toBe(60000);
+    expect(getRetryDelay(2, 60000)).toBe(120000);
+    expect(getRetryDelay(4, 60000)).toBe(480000);
+    expect(getRetryDelay(20, 60000)).toBe(6 * 60 * 60 * 1000);
+  });
+
+  it('should prefer email and fall back to Telegram chat ids', () => {
+    expect(resolveRecipient({ ...ticket, email: 'reader@example.com' })).toEqual({ channel: 'email', to: 'reader@example.com' });
+    expect(resolveRecipient(ticket)).toEqual({ channel: 'telegram', to: '123456789' });
+    expect(resolveRecipient(ticket, { emailOnly: true })).toBeNull();
+    expect(resolveRecipient({ ...ticket, userId: 'web_user_1' })).toBeNull();
+  });
+
+  it('should notify only on real status transitions', async () => {
+    const service = new OutboxService();
+    const enqueue = jest.spyOn(service, 'enqueueTicketNotification').mockResolvedValue({ channel: 'telegram' });
+
+    await service.notifyTicketStatusChange({ ...ticket, status: 'in_progress' }, 'in_progress');
+    expect(enqueue).not.toHaveBeenCalled();
+
+    await service.notifyTicketStatusChange({ ...ticket, status: 'in_progress' }, 'open');
+    expect(enqueue).toHaveBeenLastCalledWith(expect.anything(), TICKET_TEMPLATES.STATUS_CHANGED, { previousStatus: 'open' });
+
+    await service.notifyTicketStatusChange({ ...ticket, status: 'closed' }, 'open');
+    expect(enqueue).toHaveBeenLastCalledWith(expect.anything(), TICKET_TEMPLATES.RESOLVED);
+
+    // resolved -> closed: пользователь уже получил письмо о решении
+    enqueue.mockClear();
+    await service.notifyTicketStatusChange({ ...ticket, status: 'closed' }, 'resolved');
+    expect(enqueue).not.toHaveBeenCalled();
+  });
+
+  it('should not queue or process anything without a database', async () => {
+    const service = new OutboxService();
+
+    await expect(service.enqueueTicketNotification(ticket, TICKET_TEMPLATES.COMMENT, { comment: 'Ответ' })).resolves.toBeNull();
+    await expect(service.processOutbox()).resolves.toEqual({ sent: 0, retried: 0, failed: 0 });
+  });
+});
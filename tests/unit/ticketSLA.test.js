@@ -0,0 +1,151 @@
+/**
+ * Unit tests for ticket SLA escalation, auto-close and compliance metrics
+ * @file tests/unit/ticketSLA.test.js
+ */
+
+jest.mock('../../server/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../server/services/outboxService', () => ({
+  notifyTicketStatusChange: jest.fn().mockResolvedValue(null)
+}));
+
+const ticketService = require('../../server/services/ticketing');
+const outboxService = require('../../server/services/outboxService');
+const { CronService, formatDuration } = require('../../server/services/cronService');
+
+const { getSLAViolation, summarizeSLAStats, PRIORITY_ESCALATION } = ticketService;
+
+const now = new Date('2026-03-10T12:00:00Z');
+const minutesAgo = minutes => new Date(now.getTime() - minutes * 60 * 1000);
+
+describe('getSLAViolation', () => {
+  const sla = { responseTime: 240, resolutionTime: 1440 };
+
+  it('should report a missed first response', () => {
+    expect(getSLAViolation({ createdAt: minutesAgo(300), sla }, now)).toEqual({ violationType: 'response', minutesOverdue: 60 });
+  });
+
+  it('should ignore the response deadline once support has answered', () => {
+    expect(getSLAViolation({ createdAt: minutesAgo(300), firstResponseAt: minutesAgo(10), sla }, now)).toBeNull();
+  });
+
+  it('should prefer the resolution deadline and not repeat recorded breaches', () => {
+    expect(getSLAViolation({ createdAt: minutesAgo(1500), sla }, now)).toEqual({ violationType: 'resolution', minutesOverdue: 60 });
+    expect(getSLAViolation({ createdAt: minutesAgo(300), sla: { ...sla, responseBreachedAt: minutesAgo(60) } }, now)).toBeNull();
+    expect(getSLAViolation({ createdAt: minutesAgo(1500), sla: { ...sla, resolutionBreachedAt: minutesAgo(60) }, firstResponseAt: minutesAgo(1000) }, now)).toBeNull();
+  });
+
+  it('should escalate priority one step up to urgent', () => {
+    expect(PRIORITY_ESCALATION.low).toBe('medium');
+    expect(PRIORITY_ESCALATION.high).toBe('urgent');
+    expect(PRIORITY_ESCALATION.urgent).toBe('urgent');
+  });
+});
+
+describe('summarizeSLAStats', () => {
+  it('should compute compliance rates from the aggregation row', () => {
+    const summary = summarizeSLAStats({
+      tracked: 8,
+      breached: 2,
+      breachedOpen: 1,
+      escalated: 2,
+      autoClosed: 1,
+      responded: 6,
+      respondedInTime: 5,
+      avgResponseMinutes: 95.4,
+      resolved: 4,
+      resolvedInTime: 3,
+      avgResolutionMinutes: 600
+    });
+
+    expect(summary.complianceRate).toBe(75);
+    expect(summary.response).toEqual({ responded: 6, withinSLA: 5, complianceRate: 83.3, avgMinutes: 95 });
+    expect(summary.resolution.complianceRate).toBe(75);
+    expect(summary.breachedOpen).toBe(1);
+  });
+
+  it('should return empty metrics when no tickets are tracked', () => {
+    const summary = summarizeSLAStats(undefined);
+    expect(summary.tracked).toBe(0);
+    expect(summary.complianceRate).toBeNull();
+    expect(summary.response.avgMinutes).toBeNull();
+  });
+});
+
+describe('CronService.processTicketSLA', () => {
+  const originalAdminId = process.env.ADMIN_TELEGRAM_ID;
+
+  beforeEach(() => {
+    jest.spyOn(CronService.prototype, 'isDatabaseReady').mockReturnValue(true);
+    process.env.ADMIN_TELEGRAM_ID = '42';
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    if (originalAdminId === undefined) {
+      delete process.env.ADMIN_TELEGRAM_ID;
+    } else {
+      process.env.ADMIN_TELEGRAM_ID = originalAdminId;
+    }
+  });
+
+  it('should escalate, auto-close, notify the user and alert the admin', async () => {
+    jest.spyOn(ticketService, 'escalateSLAViolations').mockResolvedValue([{
+      ticketId: 'RDER1',
+      subject: 'Не приходят отчеты',
+      violationType: 'response',
+      minutesOverdue: 65,
+      previousPriority: 'medium',
+      priority: 'high'
+    }]);
+    const closedTicket = { ticketId: 'RDER2', status: 'closed' };
+    jest.spyOn(ticketService, 'autoCloseStaleTickets').mockResolvedValue([closedTicket]);
+
+    const sendMessage = jest.fn().mockResolvedValue({ message_id: 1 });
+    const cronService = new CronService();
+    cronService.bot = { telegram: { sendMessage } };
+
+    await expect(cronService.processTicketSLA()).resolves.toEqual({ escalated: 1, autoClosed: 1 });
+
+    expect(ticketService.autoCloseStaleTickets).toHaveBeenCalledWith(7);
+    expect(outboxService.notifyTicketStatusChange).toHaveBeenCalledWith(closedTicket, 'waiting_response');
+    expect(sendMessage).toHaveBeenCalledTimes(1);
+    const [chatId, text] = sendMessage.mock.calls[0];
+    expect(chatId).toBe('42');
+    expect(text).toContain('RDER1 «Не приходят отчеты» - нет ответа, просрочено на 1 ч 5 мин, приоритет medium → high');
+    expect(text).toContain('RDER2');
+  });
+
+  it('should stay silent when nothing is breached', async () => {
+    jest.spyOn(ticketService, 'escalateSLAViolations').mockResolvedValue([]);
+    jest.spyOn(ticketService, 'autoCloseStaleTickets').mockResolvedValue([]);
+    const sendMessage = jest.fn();
+    const cronService = new CronService();
+    cronService.bot = { telegram: { sendMessage } };
+
+    await expect(cronService.processTicketSLA()).resolves.toEqual({ escalated: 0, autoClosed: 0 });
+    expect(sendMessage).not.toHaveBeenCalled();
+  });
+
+  it('should skip the check without a database connection', async () => {
+    CronService.prototype.isDatabaseReady.mockReturnValue(false);
+    const escalate = jest.spyOn(ticketService, 'escalateSLAViolations');
+
+    await expect(new CronService().processTicketSLA()).resolves.toEqual({ escalated: 0, autoClosed: 0 });
+    expect(escalate).not.toHaveBeenCalled();
+  });
+});
+
+describe('formatDuration', () => {
+  it('should format minutes, hours and days', () => {
+    expect(formatDuration(45)).toBe('45 мин');
+    expect(formatDuration(120)).toBe('2 ч');
+    expect(formatDuration(60 * 27)).toBe('1 д 3 ч');
+  });
+});
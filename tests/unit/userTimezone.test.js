@@ -0,0 +1,124 @@
+/**
+ * Unit tests for per-user timezone helpers, ISO weeks in user timezone and local reminder slots
+ * @file tests/unit/userTimezone.test.js
+ */
+
+jest.mock('../../server/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  normalizeTimezone,
+  getTimezoneOffsetMinutes,
+  getDayKey,
+  getLocalHour,
+  getLocalWeekday,
+  getLocalDayRange
+} = require('../../server/utils/timezone');
+const { getPreviousCompleteISOWeek, getISOWeekInfo, toBusinessTimezone } = require('../../server/utils/isoWeek');
+const { ReminderService, getDueSlots } = require('../../server/services/reminderService');
+
+// Понедельник 01:30 в Москве, но ещё воскресенье в Лос-Анджелесе
+const MONDAY_NIGHT_UTC = new Date('2026-10-18T22:30:00Z');
+
+describe('timezone helpers', () => {
+  it('should validate and normalize IANA timezones', () => {
+    expect(isValidTimezone('Asia/Vladivostok')).toBe(true);
+    expect(isValidTimezone('Mars/Olympus')).toBe(false);
+    expect(isValidTimezone(null)).toBe(false);
+    expect(normalizeTimezone('Mars/Olympus')).toBe(DEFAULT_TIMEZONE);
+    expect(normalizeTimezone('Europe/Berlin')).toBe('Europe/Berlin');
+  });
+
+  it('should compute local day keys, hours and weekdays', () => {
+    expect(getDayKey(MONDAY_NIGHT_UTC, 'Europe/Moscow')).toBe('2026-10-19');
+    expect(getDayKey(MONDAY_NIGHT_UTC, 'America/Los_Angeles')).toBe('2026-10-18');
+    expect(getLocalHour(MONDAY_NIGHT_UTC, 'Europe/Moscow')).toBe(1);
+    expect(getLocalWeekday(MONDAY_NIGHT_UTC, 'Europe/Moscow')).toBe(1);
+    expect(getLocalWeekday(MONDAY_NIGHT_UTC, 'America/Los_Angeles')).toBe(0);
+  });
+
+  it('should follow daylight saving time', () => {
+    expect(getTimezoneOffsetMinutes('America/New_York', new Date('2026-01-15T12:00:00Z'))).toBe(-300);
+    expect(getTimezoneOffsetMinutes('America/New_York', new Date('2026-07-15T12:00:00Z'))).toBe(-240);
+
+    // День перевода часов длится 23 часа
+    const { start, end } = getLocalDayRange('2026-03-08', 'America/New_York');
+    expect(start.toISOString()).toBe('2026-03-08T05:00:00.000Z');
+    expect(end.toISOString()).toBe('2026-03-09T03:59:59.999Z');
+  });
+
+  it('should return local day boundaries in UTC', () => {
+    const { start, end } = getLocalDayRange('2026-10-19', 'Europe/Moscow');
+    expect(start.toISOString()).toBe('2026-10-18T21:00:00.000Z');
+    expect(end.toISOString()).toBe('2026-10-19T20:59:59.999Z');
+  });
+});
+
+describe('ISO weeks in user timezone', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: MONDAY_NIGHT_UTC });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should pick the previous complete week per timezone', () => {
+    expect(getPreviousCompleteISOWeek('Europe/Moscow').isoWeek).toBe(42);
+    expect(getPreviousCompleteISOWeek('America/Los_Angeles').isoWeek).toBe(41);
+    // Без часового пояса - бизнес-смещение как раньше
+    expect(getPreviousCompleteISOWeek().isoWeek).toBe(42);
+  });
+
+  it('should bound the previous week by local midnights', () => {
+    const moscow = getPreviousCompleteISOWeek('Europe/Moscow');
+    expect(moscow.start.toISOString()).toBe('2026-10-11T21:00:00.000Z');
+    expect(moscow.end.toISOString()).toBe('2026-10-18T20:59:59.999Z');
+
+    const losAngeles = getPreviousCompleteISOWeek('America/Los_Angeles');
+    expect(losAngeles.start.toISOString()).toBe('2026-10-05T07:00:00.000Z');
+    expect(losAngeles.end.toISOString()).toBe('2026-10-12T06:59:59.999Z');
+  });
+
+  it('should bucket a quote into the week of the user timezone', () => {
+    expect(getISOWeekInfo(toBusinessTimezone(MONDAY_NIGHT_UTC, 'Europe/Moscow')).isoWeek).toBe(43);
+    expect(getISOWeekInfo(toBusinessTimezone(MONDAY_NIGHT_UTC, 'America/Los_Angeles')).isoWeek).toBe(42);
+  });
+});
+
+describe('local reminder slots', () => {
+  it('should send slots at the local hour of each timezone', () => {
+    // 06:05 UTC = 09:05 в Москве, 15:05 в Токио
+    const now = new Date('2026-10-20T06:05:00Z');
+    expect(getDueSlots(now, 'Europe/Moscow')).toEqual(['morning']);
+    expect(getDueSlots(now, 'Asia/Tokyo')).toEqual(['day']);
+    expect(getDueSlots(now, 'Europe/London')).toEqual([]);
+  });
+
+  it('should send the weekly report slot only on local Monday', () => {
+    expect(getDueSlots(new Date('2026-10-19T08:05:00Z'), 'Europe/Moscow')).toEqual(['report']);
+    expect(getDueSlots(new Date('2026-10-20T08:05:00Z'), 'Europe/Moscow')).toEqual([]);
+  });
+
+  it('should treat users without a timezone as business timezone users', () => {
+    const service = new ReminderService();
+    expect(service.buildTimezoneFilter(DEFAULT_TIMEZONE)).toEqual({
+      'settings.timezone': { $in: [null, DEFAULT_TIMEZONE] }
+    });
+    expect(service.buildTimezoneFilter('Asia/Tokyo')).toEqual({ 'settings.timezone': 'Asia/Tokyo' });
+    expect(service.getUserTimezone({ settings: { timezone: 'Asia/Tokyo' } })).toBe('Asia/Tokyo');
+    expect(service.getUserTimezone({ settings: {} })).toBe(DEFAULT_TIMEZONE);
+  });
+
+  it('should not dispatch anything without a bot', async () => {
+    const service = new ReminderService();
+    const stats = await service.sendSlotReminders('morning', { timezone: 'Asia/Tokyo' });
+    expect(stats).toEqual({ sent: 0, skipped: 0, failed: 0, errors: [] });
+  });
+});
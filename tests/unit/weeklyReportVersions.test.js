@@ -0,0 +1,135 @@
+/**
+ * Unit tests for weekly report versioning: prompt templates, generation info and version diffs
+ * @file tests/unit/weeklyReportVersions.test.js
+ */
+
+jest.mock('../../server/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { diffWords, diffWeeklyReports } = require('../../server/utils/reportDiff');
+const WeeklyReportService = require('../../server/services/weeklyReportService');
+const { buildRegenerationQuery } = require('../../server/services/weeklyReportVersionService');
+const aiProviders = require('../../server/services/ai');
+const LocalProvider = require('../../server/services/ai/localProvider');
+
+describe('reportDiff', () => {
+  it('should mark added and removed words', () => {
+    const segments = diffWords('Неделя тревоги и усталости', 'Неделя надежды и усталости');
+
+    expect(segments).toEqual([
+      { type: 'equal', text: 'Неделя ' },
+      { type: 'removed', text: 'тревоги' },
+      { type: 'added', text: 'надежды' },
+      { type: 'equal', text: ' и усталости' }
+    ]);
+  });
+
+  it('should rebuild both versions from segments', () => {
+    const before = 'Первая строка\nВторая строка';
+    const after = 'Первая строка\nТретья строка и еще';
+    const segments = diffWords(before, after);
+
+    expect(segments.filter(s => s.type !== 'added').map(s => s.text).join('')).toBe(before);
+    expect(segments.filter(s => s.type !== 'removed').map(s => s.text).join('')).toBe(after);
+  });
+
+  it('should compare themes, tone and recommendations', () => {
+    const diff = diffWeeklyReports(
+      {
+        analysis: { dominantThemes: ['ЛЮБОВЬ', 'СЕМЬЯ'], emotionalTone: 'задумчивый', insights: 'Старый текст' },
+        recommendations: [{ bookSlug: 'art-of-love' }]
+      },
+      {
+        analysis: { dominantThemes: ['ЛЮБОВЬ', 'ПОИСК СЕБЯ'], emotionalTone: 'задумчивый', insights: 'Новый текст' },
+        recommendations: [{ bookSlug: 'art-of-love' }, { bookSlug: 'women-who-run' }]
+      }
+    );
+
+    expect(diff.dominantThemes).toEqual({ added: ['ПОИСК СЕБЯ'], removed: ['СЕМЬЯ'], kept: ['ЛЮБОВЬ'] });
+    expect(diff.emotionalTone.changed).toBe(false);
+    expect(diff.recommendations.added).toEqual(['women-who-run']);
+    expect(diff.insightsStats.changedWords).toBe(2);
+  });
+});
+
+describe('WeeklyReportService prompt templates', () => {
+  const service = new WeeklyReportService();
+  const quotes = [{ text: 'Любовь долготерпит', author: 'Апостол Павел' }];
+
+  it('should substitute placeholders', () => {
+    const prompt = service.buildWeeklyAnalysisPrompt('Для {name}:\n{quotes}\n{previousReport}', quotes, { name: 'Мария' }, 'Прошлый анализ');
+
+    expect(prompt).toBe('Для Мария:\n"Любовь долготерпит" (Апостол Павел)\nПРОШЛЫЙ ОТЧЁТ:\nПрошлый анализ');
+  });
+
+  it('should append week data to templates without placeholders', () => {
+    const prompt = service.buildWeeklyAnalysisPrompt('Проанализируй неделю.', quotes, { name: 'Мария' });
+
+    expect(prompt).toMatch(/^Проанализируй неделю\.\n\nЦИТАТЫ ЗА НЕДЕЛЮ:\n"Любовь долготерпит"/);
+    expect(prompt).toContain('Имя пользователя: Мария');
+  });
+
+  it('should use the builtin prompt without a database', async () => {
+    const prompt = await service.resolveWeeklyPrompt();
+
+    expect(prompt.promptName).toBe('builtin');
+    expect(prompt.template).toContain('{quotes}');
+  });
+});
+
+describe('Weekly report generation info', () => {
+  const originalProvider = process.env.AI_PROVIDER;
+
+  beforeAll(() => {
+    aiProviders.reset();
+    process.env.AI_PROVIDER = 'local';
+    aiProviders.setUsageTracker(null);
+    aiProviders.setProvider('local', new LocalProvider());
+  });
+
+  afterAll(() => {
+    if (originalProvider === undefined) {
+      delete process.env.AI_PROVIDER;
+    } else {
+      process.env.AI_PROVIDER = originalProvider;
+    }
+    aiProviders.reset();
+  });
+
+  it('should record the provider, model and prompt of the analysis', async () => {
+    const service = new WeeklyReportService();
+
+    const { generation } = await service._runWeeklyAnalysis(
+      [{ text: 'Любовь долготерпит', author: 'Апостол Павел' }],
+      { userId: 'u1', name: 'Мария' },
+      '',
+      {}
+    );
+
+    expect(generation).toEqual({
+      provider: 'local',
+      model: 'scripted-v1',
+      promptId: null,
+      promptName: 'builtin',
+      promptVersion: null,
+      fallback: false
+    });
+  });
+});
+
+describe('buildRegenerationQuery', () => {
+  it('should build queries for a user, a week and a cohort', () => {
+    expect(buildRegenerationQuery({ userId: 42 })).toEqual({ userId: '42' });
+    expect(buildRegenerationQuery({ weekNumber: '5', year: '2025' })).toEqual({ weekNumber: 5, year: 2025 });
+    expect(buildRegenerationQuery({ userIds: ['1', '2'], weekNumber: 5, year: 2025 }))
+      .toEqual({ userId: { $in: ['1', '2'] }, weekNumber: 5, year: 2025 });
+  });
+
+  it('should refuse to regenerate every report', () => {
+    expect(() => buildRegenerationQuery({})).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});